@@ -5,18 +5,31 @@ import SettingsPanel from './components/SettingsPanel';
 import AuthModal from './components/AuthModal';
 import ProfileDropdown from './components/ProfileDropdown';
 import HeaderDropdown from './components/HeaderDropdown';
+import NotificationBell from './components/NotificationBell';
 import Dashboard from './components/Dashboard';
 import AboutElocutionist from './components/AboutElocutionist';
+import CounselorWorkspace from './components/CounselorWorkspace';
 import { UploadProvider } from './context/UploadContext';
 import { ThemeProvider } from './context/ThemeContext';
-import { getAIRatingsHistory } from './services/api';
+import { getAIRatingsHistory, logoutSession, logoutAllDevices, resendVerificationEmail, AUTH_EVENTS, subscribeToRealtime, REALTIME_EVENTS } from './services/api';
+import { hydrateVoicePreferences, applyServerVoicePreferences } from './services/voicePreferences';
 import './index.css';     // we'll put our grid styles here
 
+// LevelSelector level that matches each assignment difficulty
+const ASSIGNMENT_LEVELS = {
+  beginner: 'Beginner',
+  intermediate: 'Advanced',
+  advanced: 'Advanced',
+  expert: 'Expert'
+};
+
 function AppContent() {
   const navigate = useNavigate();
   const [difficulty, setDifficulty] = useState(null);
   const [user, setUser] = useState(null);
   const [showAuthModal, setShowAuthModal] = useState(false);
+  const [authModalMode, setAuthModalMode] = useState('login');
+  const [authLinkToken, setAuthLinkToken] = useState(null);
   
   // AI Rating state management - shared between ChatBox and SettingsPanel
   const [aiRating, setAiRating] = useState(null);
@@ -29,6 +42,14 @@ function AppContent() {
   // Latest AI Rating from database for dashboard
   const [latestRatingFromDB, setLatestRatingFromDB] = useState(null);
 
+  // Transcript of the latest rating, used to load counselor review comments
+  const [ratingTranscriptId, setRatingTranscriptId] = useState(null);
+
+  // Counselor assignment started from the dashboard, completed by the next interview
+  const [activeAssignment, setActiveAssignment] = useState(null);
+
+  const isCounselor = user?.role === 'counselor' || user?.role === 'admin';
+
   /**
    * Test the voice mode tutorial for debugging purposes
    * This function can be called multiple times to re-trigger the tutorial
@@ -59,6 +80,66 @@ function AppContent() {
     }
   }, []);
 
+  // Open the reset or verification screen when arriving from an emailed link
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const resetToken = params.get('resetToken');
+    const verifyToken = params.get('verifyToken');
+
+    if (!resetToken && !verifyToken) {
+      return;
+    }
+
+    setAuthModalMode(resetToken ? 'reset' : 'verify');
+    setAuthLinkToken(resetToken || verifyToken);
+    setShowAuthModal(true);
+
+    // Keep the single-use token out of the address bar and browser history
+    params.delete('resetToken');
+    params.delete('verifyToken');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+  }, []);
+
+  // Keep user state in sync when the API layer refreshes or ends the session
+  useEffect(() => {
+    const handleTokenRefreshed = (event) => {
+      setUser(prev => (prev ? { ...prev, token: event.detail.token } : prev));
+    };
+
+    const handleSessionExpired = () => {
+      console.log('[App] Session expired, signing out');
+      resetSessionState();
+    };
+
+    window.addEventListener(AUTH_EVENTS.TOKEN_REFRESHED, handleTokenRefreshed);
+    window.addEventListener(AUTH_EVENTS.SESSION_EXPIRED, handleSessionExpired);
+
+    return () => {
+      window.removeEventListener(AUTH_EVENTS.TOKEN_REFRESHED, handleTokenRefreshed);
+      window.removeEventListener(AUTH_EVENTS.SESSION_EXPIRED, handleSessionExpired);
+    };
+  }, []);
+
+  // Load voice preferences from the server on login, and keep them in sync with the user's other devices
+  useEffect(() => {
+    if (!user?.token) {
+      return;
+    }
+
+    hydrateVoicePreferences(user);
+
+    // Save changes made while offline once the connection is back
+    const handleOnline = () => hydrateVoicePreferences(user);
+    window.addEventListener('online', handleOnline);
+    const unsubscribe = subscribeToRealtime(REALTIME_EVENTS.VOICE_PREFERENCES, applyServerVoicePreferences);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      unsubscribe();
+    };
+  }, [user?.id]);
+
   // Fetch AI ratings history when user logs in
   useEffect(() => {
     const fetchLatestRating = async () => {
@@ -70,9 +151,11 @@ function AppContent() {
           if (response.data?.statistics?.latestRating) {
             console.log('[App] Latest rating found:', response.data.statistics.latestRating);
             setLatestRatingFromDB(response.data.statistics.latestRating.rating);
+            setRatingTranscriptId(response.data.statistics.latestRating.transcriptId);
           } else {
             console.log('[App] No ratings found for user');
             setLatestRatingFromDB(null);
+            setRatingTranscriptId(null);
           }
         } catch (error) {
           console.error('[App] Error fetching ratings history:', error);
@@ -80,6 +163,7 @@ function AppContent() {
         }
       } else {
         setLatestRatingFromDB(null);
+        setRatingTranscriptId(null);
       }
     };
 
@@ -91,15 +175,59 @@ function AppContent() {
     setUser({ ...authData.user, token: authData.token });
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const openAuthModal = () => {
+    setAuthModalMode('login');
+    setAuthLinkToken(null);
+    setShowAuthModal(true);
+  };
+
+  const handleEmailVerified = () => {
+    setUser(prev => (prev ? { ...prev, isEmailVerified: true } : prev));
+  };
+
+  const handleProfileUpdated = (profile) => {
+    setUser(prev => (prev ? { ...prev, ...profile } : prev));
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const result = await resendVerificationEmail(user?.token);
+      window.alert(result.message);
+    } catch (error) {
+      console.error('[App] Error resending verification email:', error);
+      window.alert(`Could not send verification email: ${error.message}`);
+    }
+  };
+
+  // Clear user and AI rating state once the session has ended
+  const resetSessionState = () => {
     setUser(null);
-    // Clear AI rating state on logout
     setAiRating(null);
     setRatingLoading(false);
     setRatingError(null);
     setLatestRatingFromDB(null);
+    setRatingTranscriptId(null);
+    setActiveAssignment(null);
+  };
+
+  const handleStartAssignment = (assignment) => {
+    setActiveAssignment(assignment);
+    navigate('/');
+  };
+
+  const handleLogout = async () => {
+    await logoutSession(user?.token);
+    resetSessionState();
+  };
+
+  const handleLogoutAllDevices = async () => {
+    try {
+      await logoutAllDevices(user?.token);
+      resetSessionState();
+    } catch (error) {
+      console.error('[App] Failed to log out of all devices:', error);
+      window.alert('Could not sign out of all devices. Please try again.');
+    }
   };
 
   // Function to retry AI rating generation
@@ -213,6 +341,30 @@ function AppContent() {
           }}>
             Pricing
           </button>
+
+          {isCounselor && (
+            <button style={{
+              background: 'none',
+              border: 'none',
+              color: 'var(--text-primary)',
+              fontSize: '14px',
+              fontWeight: '500',
+              cursor: 'pointer',
+              padding: '6px 10px',
+              borderRadius: '4px',
+              transition: 'all 0.2s ease'
+            }}
+            onMouseEnter={(e) => {
+              e.target.style.backgroundColor = 'var(--background-secondary)';
+            }}
+            onMouseLeave={(e) => {
+              e.target.style.backgroundColor = 'transparent';
+            }}
+            onClick={() => navigate('/counselor')}
+            >
+              Counselor
+            </button>
+          )}
         </div>
       </div>
 
@@ -226,11 +378,20 @@ function AppContent() {
         justifyContent: 'flex-end'
       }}>
         {user ? (
-          <ProfileDropdown user={user} onSignOut={handleLogout} />
+          <>
+            <NotificationBell user={user} />
+            <ProfileDropdown
+              user={user}
+              onSignOut={handleLogout}
+              onSignOutAllDevices={handleLogoutAllDevices}
+              onResendVerification={handleResendVerification}
+              onProfileUpdated={handleProfileUpdated}
+            />
+          </>
         ) : (
           <>
             <button
-              onClick={() => setShowAuthModal(true)}
+              onClick={openAuthModal}
               style={{
                 background: 'none',
                 border: 'none',
@@ -252,7 +413,7 @@ function AppContent() {
               Sign in
             </button>
             <button
-              onClick={() => setShowAuthModal(true)}
+              onClick={openAuthModal}
               style={{
                 padding: '6px 12px',
                 fontSize: '14px',
@@ -291,7 +452,7 @@ function AppContent() {
               </div>
               <div className="chat-area">
                 <ChatBox 
-                  difficulty={difficulty} 
+                  difficulty={activeAssignment ? ASSIGNMENT_LEVELS[activeAssignment.difficulty] : difficulty} 
                   user={user}
                   aiRating={aiRating}
                   setAiRating={(rating) => {
@@ -307,17 +468,23 @@ function AppContent() {
                   setRatingError={setRatingError}
                   showVoiceTutorial={showVoiceTutorial}
                   setShowVoiceTutorial={setShowVoiceTutorial}
+                  assignment={activeAssignment}
+                  onAssignmentCompleted={() => setActiveAssignment(null)}
+                  setRatingTranscriptId={setRatingTranscriptId}
                 />
               </div>
               <div className="settings-area">
                 <SettingsPanel 
                   onDifficultyChange={setDifficulty}
                   user={user}
-                  aiRating={aiRating}
+                  aiRating={aiRating || latestRatingFromDB}
                   ratingLoading={ratingLoading}
                   ratingError={ratingError}
                   onRetryRating={retryRating}
+                  ratingTranscriptId={ratingTranscriptId}
                   testVoiceTutorial={testVoiceTutorial}
+                  onProfileUpdated={handleProfileUpdated}
+                  onAccountDeleted={resetSessionState}
                 />
               </div>
             </div>
@@ -325,7 +492,13 @@ function AppContent() {
           <Route path="/dashboard" element={
             <div style={{ minHeight: '100vh', display: 'flex', flexDirection: 'column' }}>
               <HeaderComponent />
-              <Dashboard aiRating={aiRating || latestRatingFromDB} />
+              <Dashboard aiRating={aiRating || latestRatingFromDB} onStartAssignment={handleStartAssignment} />
+            </div>
+          } />
+          <Route path="/counselor" element={
+            <div style={{ minHeight: '100vh', display: 'flex', flexDirection: 'column' }}>
+              <HeaderComponent />
+              <CounselorWorkspace user={user} />
             </div>
           } />
           <Route path="/about-elocutionist" element={
@@ -341,6 +514,9 @@ function AppContent() {
           isOpen={showAuthModal}
           onClose={() => setShowAuthModal(false)}
           onAuthSuccess={handleAuthSuccess}
+          initialMode={authModalMode}
+          linkToken={authLinkToken}
+          onEmailVerified={handleEmailVerified}
         />
       </UploadProvider>
     </ThemeProvider>
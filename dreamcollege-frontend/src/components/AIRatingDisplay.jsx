@@ -10,15 +10,21 @@
  * - iOS/macOS-style card layouts and interactions
  * 
  * Updated to match Apple's design language from provided references
+ * 
+ * Counselor review comments on the rated interview are shown below the
+ * feedback sections when a transcriptId is provided.
  */
 
 import React, { useState, useCallback } from 'react';
+import ReviewComments from './ReviewComments';
 
 const AIRatingDisplay = ({ 
   rating, 
   loading, 
   error, 
-  onRetry 
+  onRetry,
+  transcriptId,
+  user
 }) => {
   // State for collapsible sections
   const [expandedSections, setExpandedSections] = useState({
@@ -781,6 +787,11 @@ const AIRatingDisplay = ({
         )}
       </div>
 
+      {/* Counselor review comments anchored to interview messages */}
+      {transcriptId && user && (
+        <ReviewComments transcriptId={transcriptId} user={user} />
+      )}
+
       <style jsx>{`
         .collapsible-header {
           will-change: transform, background-color;
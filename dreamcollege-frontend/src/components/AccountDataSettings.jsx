@@ -0,0 +1,229 @@
+/**
+ * AccountDataSettings Component - Data Export, History Retention and Account Deletion
+ *
+ * Lets a logged-in user download everything stored about them as a JSON file,
+ * choose how long rated interviews stay in their history, and permanently
+ * delete their account. Deletion asks for the current password (and a
+ * two-factor or recovery code when two-factor is on) and removes interviews,
+ * recordings, transcripts and uploaded files with it. Rendered inside
+ * SettingsPanel.
+ *
+ * Related Files:
+ * - src/components/SettingsPanel.jsx - Hosts this section
+ * - src/services/api.js - exportAccountData / deleteAccount / getProfile / updateProfile
+ * - Backend: src/routes/auth.routes.ts - GET /api/auth/me/export and DELETE /api/auth/me
+ * - Backend: src/services/retention.service.ts - Enforces the retention period
+ */
+
+import React, { useState, useEffect } from 'react';
+import { exportAccountData, deleteAccount, getProfile, updateProfile } from '../services/api';
+
+// Empty value keeps the server default (rated interviews are kept indefinitely unless configured)
+const RETENTION_OPTIONS = [
+  { value: '', label: 'Keep (default)' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '730', label: '2 years' }
+];
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid var(--border-primary, #ddd)',
+  borderRadius: '4px',
+  fontSize: '14px',
+  backgroundColor: 'var(--background-tertiary, #ffffff)',
+  color: 'var(--text-primary, #000000)',
+  boxSizing: 'border-box',
+  marginBottom: '10px'
+};
+
+const buttonStyle = (color, disabled) => ({
+  padding: '8px 12px',
+  fontSize: '13px',
+  backgroundColor: disabled ? '#ccc' : color,
+  color: 'white',
+  border: 'none',
+  borderRadius: '12px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontWeight: '600'
+});
+
+const textStyle = {
+  margin: '0 0 10px 0',
+  fontSize: '14px',
+  color: 'var(--text-tertiary)'
+};
+
+// Six digits are an authenticator code; anything else is treated as a recovery code
+const toCredentials = (value) => {
+  const trimmed = value.trim();
+  return /^\d{6}$/.test(trimmed) ? { code: trimmed } : { recoveryCode: trimmed };
+};
+
+const downloadJson = (data, filename) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default function AccountDataSettings({ user, onAccountDeleted }) {
+  const [retentionDays, setRetentionDays] = useState('');
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const token = user?.token;
+  const needsCode = !!user?.twoFactorEnabled;
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    getProfile(token)
+      .then(data => setRetentionDays(data.user.transcriptRetentionDays ? String(data.user.transcriptRetentionDays) : ''))
+      .catch(loadError => console.error('[AccountDataSettings] Error loading retention setting:', loadError));
+  }, [token]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      await action();
+    } catch (actionError) {
+      setError(actionError.serverMessage || actionError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = () => runAction(async () => {
+    const data = await exportAccountData(token);
+    downloadJson(data, `elocutionist-data-${data.exportedAt.slice(0, 10)}.json`);
+  });
+
+  const handleRetentionChange = (e) => {
+    const { value } = e.target;
+    return runAction(async () => {
+      await updateProfile(token, { transcriptRetentionDays: value ? Number(value) : null });
+      setRetentionDays(value);
+    });
+  };
+
+  const handleDelete = (e) => {
+    e.preventDefault();
+    return runAction(async () => {
+      await deleteAccount(token, { password, ...(needsCode && toCredentials(code)) });
+      if (onAccountDeleted) {
+        onAccountDeleted();
+      }
+    });
+  };
+
+  const handleCancel = () => {
+    setConfirming(false);
+    setPassword('');
+    setCode('');
+    setError('');
+  };
+
+  const canDelete = password.length > 0 && (!needsCode || code.trim().length > 0);
+  const retentionOptions = RETENTION_OPTIONS.some(option => option.value === retentionDays)
+    ? RETENTION_OPTIONS
+    : [...RETENTION_OPTIONS, { value: retentionDays, label: `${retentionDays} days` }];
+
+  return (
+    <div>
+      {error && (
+        <div style={{
+          backgroundColor: 'var(--error-background, #fee)',
+          border: '1px solid var(--error-border, #fcc)',
+          color: 'var(--error-text, #c00)',
+          padding: '10px',
+          borderRadius: '4px',
+          marginBottom: '10px',
+          fontSize: '13px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      <p style={textStyle}>
+        Download a copy of your profile, interviews, recordings, transcripts and uploaded files as a JSON file.
+      </p>
+      <button onClick={handleExport} disabled={busy} style={{ ...buttonStyle('#007AFF', busy), marginBottom: '16px' }}>
+        {busy && !confirming ? 'Please wait...' : 'Download my data'}
+      </button>
+
+      <p style={textStyle}>
+        Rated interviews stay in your history. Choose how long to keep them; older ones are deleted automatically.
+      </p>
+      <select
+        value={retentionDays}
+        onChange={handleRetentionChange}
+        disabled={busy}
+        aria-label="Keep rated interviews for"
+        style={{ ...inputStyle, marginBottom: '16px' }}
+      >
+        {retentionOptions.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      {!confirming ? (
+        <>
+          <p style={textStyle}>
+            Deleting your account permanently removes it and all of your data. This cannot be undone.
+          </p>
+          <button onClick={() => setConfirming(true)} disabled={busy} style={buttonStyle('#FF3B30', busy)}>
+            Delete account
+          </button>
+        </>
+      ) : (
+        <form onSubmit={handleDelete}>
+          <p style={textStyle}>
+            Enter your password{needsCode && ' and an authentication or recovery code'} to permanently delete
+            your account and all of your data.
+          </p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Current password"
+            autoComplete="current-password"
+            aria-label="Current password"
+            required
+            style={inputStyle}
+          />
+          {needsCode && (
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Authentication or recovery code"
+              autoComplete="one-time-code"
+              aria-label="Authentication or recovery code"
+              required
+              style={inputStyle}
+            />
+          )}
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button type="submit" disabled={busy || !canDelete} style={buttonStyle('#FF3B30', busy || !canDelete)}>
+              {busy ? 'Deleting...' : 'Delete permanently'}
+            </button>
+            <button type="button" onClick={handleCancel} disabled={busy} style={buttonStyle('#8E8E93', busy)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
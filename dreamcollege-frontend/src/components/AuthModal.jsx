@@ -3,23 +3,115 @@
  * 
  * This component provides a modal interface for user login and registration.
  * It handles authentication token storage and integrates with the backend auth API.
+ * 
+ * Screens:
+ * - login / register - Credential forms
+ * - forgot - Request a password reset link by email
+ * - reset - Choose a new password from an emailed reset link
+ * - verify - Confirm an email address from an emailed verification link
+ * - twoFactor - Second login step for accounts with two-factor authentication
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { postAuth, storeAuthTokens } from '../services/api';
+
+// Values accepted by the initialMode prop
+const AUTH_MODAL_MODES = {
+  LOGIN: 'login',
+  REGISTER: 'register',
+  FORGOT: 'forgot',
+  RESET: 'reset',
+  VERIFY: 'verify',
+  TWO_FACTOR: 'twoFactor'
+};
+
+const MODE_TITLES = {
+  [AUTH_MODAL_MODES.LOGIN]: 'Login',
+  [AUTH_MODAL_MODES.REGISTER]: 'Sign Up',
+  [AUTH_MODAL_MODES.FORGOT]: 'Forgot Password',
+  [AUTH_MODAL_MODES.RESET]: 'Reset Password',
+  [AUTH_MODAL_MODES.VERIFY]: 'Verify Email',
+  [AUTH_MODAL_MODES.TWO_FACTOR]: 'Two-Factor Authentication'
+};
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+const SUBMIT_LABELS = {
+  [AUTH_MODAL_MODES.LOGIN]: 'Login',
+  [AUTH_MODAL_MODES.REGISTER]: 'Sign Up',
+  [AUTH_MODAL_MODES.FORGOT]: 'Send Reset Link',
+  [AUTH_MODAL_MODES.RESET]: 'Reset Password',
+  [AUTH_MODAL_MODES.TWO_FACTOR]: 'Verify'
+};
 
-export default function AuthModal({ isOpen, onClose, onAuthSuccess }) {
-  const [isLogin, setIsLogin] = useState(true);
+export default function AuthModal({
+  isOpen,
+  onClose,
+  onAuthSuccess,
+  initialMode = AUTH_MODAL_MODES.LOGIN,
+  linkToken = null,
+  onEmailVerified
+}) {
+  const [mode, setMode] = useState(initialMode);
   const [formData, setFormData] = useState({
     email: '',
     password: '',
+    confirmPassword: '',
     name: '',
     grade: '',
-    targetMajor: ''
+    targetMajor: '',
+    twoFactorCode: ''
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [accountLocked, setAccountLocked] = useState(false);
+  const [notice, setNotice] = useState('');
+  // Issued by the password step when the account has two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Verification links are single use, so each token is submitted only once
+  const submittedLinkTokenRef = useRef(null);
+
+  const isLogin = mode === AUTH_MODAL_MODES.LOGIN;
+  const isRegister = mode === AUTH_MODAL_MODES.REGISTER;
+
+  // Open on the screen requested by the caller (e.g. an emailed link)
+  useEffect(() => {
+    if (isOpen) {
+      setMode(initialMode);
+      setError('');
+      setNotice('');
+    }
+  }, [isOpen, initialMode]);
+
+  // Verification links are confirmed as soon as the modal opens
+  useEffect(() => {
+    if (!isOpen || mode !== AUTH_MODAL_MODES.VERIFY || !linkToken || submittedLinkTokenRef.current === linkToken) {
+      return;
+    }
+
+    submittedLinkTokenRef.current = linkToken;
+    setLoading(true);
+    setError('');
+
+    postAuth('/verify-email', { token: linkToken })
+      .then(() => {
+        setNotice('Your email address has been verified. Thank you!');
+
+        const storedUser = localStorage.getItem('user');
+        if (storedUser) {
+          try {
+            localStorage.setItem('user', JSON.stringify({ ...JSON.parse(storedUser), isEmailVerified: true }));
+          } catch (parseError) {
+            console.error('Error updating stored user:', parseError);
+          }
+        }
+
+        if (onEmailVerified) {
+          onEmailVerified();
+        }
+      })
+      .catch(verifyError => setError(verifyError.message))
+      .finally(() => setLoading(false));
+  }, [isOpen, mode, linkToken, onEmailVerified]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -29,13 +121,77 @@ export default function AuthModal({ isOpen, onClose, onAuthSuccess }) {
     }));
   };
 
+  const handleForgotPassword = async () => {
+    const data = await postAuth('/forgot-password', { email: formData.email });
+    setNotice(data.message);
+  };
+
+  const handleResetPassword = async () => {
+    if (formData.password !== formData.confirmPassword) {
+      throw new Error('Passwords do not match');
+    }
+
+    await postAuth('/reset-password', { token: linkToken, password: formData.password });
+
+    resetForm();
+    setMode(AUTH_MODAL_MODES.LOGIN);
+    setNotice('Your password has been reset. Please log in with your new password.');
+  };
+
+  const finishLogin = (data) => {
+    // Store access and refresh tokens in localStorage
+    storeAuthTokens(data);
+    localStorage.setItem('user', JSON.stringify(data.user));
+
+    // Call success callback
+    onAuthSuccess(data);
+
+    // Close modal
+    onClose();
+  };
+
+  const handleTwoFactor = async () => {
+    const code = formData.twoFactorCode.trim();
+
+    try {
+      const data = await postAuth(
+        '/login/2fa',
+        { challengeToken, ...(useRecoveryCode ? { recoveryCode: code } : { code }) }
+      );
+      finishLogin(data);
+    } catch (twoFactorError) {
+      // An expired challenge means starting over from the password step
+      if (twoFactorError.code === 'TWO_FACTOR_CHALLENGE_INVALID') {
+        setChallengeToken(null);
+        setMode(AUTH_MODAL_MODES.LOGIN);
+      }
+      throw twoFactorError;
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
+    setNotice('');
 
     try {
-      const endpoint = isLogin ? '/auth/login' : '/auth/register';
+      if (mode === AUTH_MODAL_MODES.FORGOT) {
+        await handleForgotPassword();
+        return;
+      }
+
+      if (mode === AUTH_MODAL_MODES.RESET) {
+        await handleResetPassword();
+        return;
+      }
+
+      if (mode === AUTH_MODAL_MODES.TWO_FACTOR) {
+        await handleTwoFactor();
+        return;
+      }
+
+      const endpoint = isLogin ? '/login' : '/register';
       const payload = isLogin 
         ? { email: formData.email, password: formData.password }
         : {
@@ -46,32 +202,21 @@ export default function AuthModal({ isOpen, onClose, onAuthSuccess }) {
             ...(formData.targetMajor && { targetMajor: formData.targetMajor })
           };
 
-      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-      });
-
-      const data = await response.json();
+      const data = await postAuth(endpoint, payload);
 
-      if (!response.ok) {
-        throw new Error(data.message || `${isLogin ? 'Login' : 'Registration'} failed`);
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        setUseRecoveryCode(false);
+        setFormData(prev => ({ ...prev, password: '', twoFactorCode: '' }));
+        setMode(AUTH_MODAL_MODES.TWO_FACTOR);
+        return;
       }
 
-      // Store token in localStorage
-      localStorage.setItem('token', data.token);
-      localStorage.setItem('user', JSON.stringify(data.user));
-
-      // Call success callback
-      onAuthSuccess(data);
-
-      // Close modal
-      onClose();
+      finishLogin(data);
 
     } catch (error) {
       setError(error.message);
+      setAccountLocked(error.code === 'ACCOUNT_LOCKED');
     } finally {
       setLoading(false);
     }
@@ -81,18 +226,27 @@ export default function AuthModal({ isOpen, onClose, onAuthSuccess }) {
     setFormData({
       email: '',
       password: '',
+      confirmPassword: '',
       name: '',
       grade: '',
-      targetMajor: ''
+      targetMajor: '',
+      twoFactorCode: ''
     });
     setError('');
+    setAccountLocked(false);
   };
 
-  const switchMode = () => {
-    setIsLogin(!isLogin);
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setNotice('');
+    setChallengeToken(null);
     resetForm();
   };
 
+  const isTwoFactor = mode === AUTH_MODAL_MODES.TWO_FACTOR;
+  const showEmailField = mode !== AUTH_MODAL_MODES.RESET && mode !== AUTH_MODAL_MODES.VERIFY && !isTwoFactor;
+  const showPasswordField = mode !== AUTH_MODAL_MODES.FORGOT && mode !== AUTH_MODAL_MODES.VERIFY && !isTwoFactor;
+
   if (!isOpen) return null;
 
   return (
@@ -129,7 +283,7 @@ export default function AuthModal({ isOpen, onClose, onAuthSuccess }) {
             fontWeight: '600',
             color: 'var(--text-primary, #000000)'
           }}>
-            {isLogin ? 'Login' : 'Sign Up'}
+            {MODE_TITLES[mode]}
           </h2>
           <button
             onClick={onClose}
@@ -156,10 +310,123 @@ export default function AuthModal({ isOpen, onClose, onAuthSuccess }) {
             fontSize: '14px'
           }}>
             {error}
+            {accountLocked && (
+              <button
+                type="button"
+                onClick={() => {
+                  // Keep the email so the reset link can be requested right away
+                  setMode(AUTH_MODAL_MODES.FORGOT);
+                  setError('');
+                  setAccountLocked(false);
+                }}
+                style={{
+                  display: 'block',
+                  background: 'none',
+                  border: 'none',
+                  padding: 0,
+                  marginTop: '8px',
+                  color: '#007bff',
+                  cursor: 'pointer',
+                  fontSize: '14px'
+                }}
+              >
+                Reset password to unlock
+              </button>
+            )}
+          </div>
+        )}
+
+        {notice && (
+          <div style={{
+            backgroundColor: 'var(--success-background, #efe)',
+            border: '1px solid var(--success-border, #cfc)',
+            color: 'var(--success-text, #060)',
+            padding: '12px',
+            borderRadius: '4px',
+            marginBottom: '16px',
+            fontSize: '14px'
+          }}>
+            {notice}
           </div>
         )}
 
+        {mode === AUTH_MODAL_MODES.VERIFY && loading && (
+          <p style={{ fontSize: '14px', color: 'var(--text-secondary, #333333)' }}>
+            Verifying your email address...
+          </p>
+        )}
+
+        {mode === AUTH_MODAL_MODES.FORGOT && !notice && (
+          <p style={{ fontSize: '14px', color: 'var(--text-secondary, #333333)', marginTop: 0 }}>
+            Enter the email address for your account and we'll send you a link to reset your password.
+          </p>
+        )}
+
+        {isTwoFactor && (
+          <p style={{ fontSize: '14px', color: 'var(--text-secondary, #333333)', marginTop: 0 }}>
+            {useRecoveryCode
+              ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication. Each code works once.'
+              : 'Enter the 6-digit code from your authenticator app to finish signing in.'}
+          </p>
+        )}
+
+        {mode !== AUTH_MODAL_MODES.VERIFY && (
         <form onSubmit={handleSubmit}>
+          {isTwoFactor && (
+            <div style={{ marginBottom: '16px' }}>
+              <label style={{ 
+                display: 'block', 
+                marginBottom: '8px', 
+                fontWeight: '500',
+                fontSize: '14px',
+                color: 'var(--text-secondary, #333333)'
+              }}>
+                {useRecoveryCode ? 'Recovery Code:' : 'Authentication Code:'}
+              </label>
+              <input
+                type="text"
+                name="twoFactorCode"
+                value={formData.twoFactorCode}
+                onChange={handleInputChange}
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                style={{
+                  width: '100%',
+                  padding: '8px 12px',
+                  border: '1px solid var(--border-primary, #ddd)',
+                  borderRadius: '4px',
+                  fontSize: '14px',
+                  backgroundColor: 'var(--background-tertiary, #ffffff)',
+                  color: 'var(--text-primary, #000000)',
+                  boxSizing: 'border-box'
+                }}
+              />
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(prev => !prev);
+                  setFormData(prev => ({ ...prev, twoFactorCode: '' }));
+                  setError('');
+                }}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  padding: 0,
+                  marginTop: '6px',
+                  color: '#007bff',
+                  cursor: 'pointer',
+                  fontSize: '13px'
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator app code' : 'Use a recovery code instead'}
+              </button>
+            </div>
+          )}
+
+          {showEmailField && (
           <div style={{ marginBottom: '16px' }}>
             <label style={{ 
               display: 'block', 
@@ -188,7 +455,9 @@ export default function AuthModal({ isOpen, onClose, onAuthSuccess }) {
               }}
             />
           </div>
+          )}
 
+          {showPasswordField && (
           <div style={{ marginBottom: '16px' }}>
             <label style={{ 
               display: 'block', 
@@ -197,7 +466,7 @@ export default function AuthModal({ isOpen, onClose, onAuthSuccess }) {
               fontSize: '14px',
               color: 'var(--text-secondary, #333333)'
             }}>
-              Password:
+              {mode === AUTH_MODAL_MODES.RESET ? 'New Password:' : 'Password:'}
             </label>
             <input
               type="password"
@@ -216,9 +485,58 @@ export default function AuthModal({ isOpen, onClose, onAuthSuccess }) {
                 boxSizing: 'border-box'
               }}
             />
+            {isLogin && (
+              <button
+                type="button"
+                onClick={() => switchMode(AUTH_MODAL_MODES.FORGOT)}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  padding: 0,
+                  marginTop: '6px',
+                  color: '#007bff',
+                  cursor: 'pointer',
+                  fontSize: '13px'
+                }}
+              >
+                Forgot password?
+              </button>
+            )}
           </div>
+          )}
+
+          {mode === AUTH_MODAL_MODES.RESET && (
+            <div style={{ marginBottom: '16px' }}>
+              <label style={{ 
+                display: 'block', 
+                marginBottom: '8px', 
+                fontWeight: '500',
+                fontSize: '14px',
+                color: 'var(--text-secondary, #333333)'
+              }}>
+                Confirm New Password:
+              </label>
+              <input
+                type="password"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleInputChange}
+                required
+                style={{
+                  width: '100%',
+                  padding: '8px 12px',
+                  border: '1px solid var(--border-primary, #ddd)',
+                  borderRadius: '4px',
+                  fontSize: '14px',
+                  backgroundColor: 'var(--background-tertiary, #ffffff)',
+                  color: 'var(--text-primary, #000000)',
+                  boxSizing: 'border-box'
+                }}
+              />
+            </div>
+          )}
 
-          {!isLogin && (
+          {isRegister && (
             <>
               <div style={{ marginBottom: '16px' }}>
                 <label style={{ 
@@ -328,13 +646,14 @@ export default function AuthModal({ isOpen, onClose, onAuthSuccess }) {
               marginBottom: '16px'
             }}
           >
-            {loading ? 'Please wait...' : (isLogin ? 'Login' : 'Sign Up')}
+            {loading ? 'Please wait...' : SUBMIT_LABELS[mode]}
           </button>
         </form>
+        )}
 
         <div style={{ textAlign: 'center' }}>
           <button
-            onClick={switchMode}
+            onClick={() => switchMode(isLogin ? AUTH_MODAL_MODES.REGISTER : AUTH_MODAL_MODES.LOGIN)}
             style={{
               background: 'none',
               border: 'none',
@@ -344,7 +663,9 @@ export default function AuthModal({ isOpen, onClose, onAuthSuccess }) {
               fontSize: '14px'
             }}
           >
-            {isLogin ? "Don't have an account? Sign up" : "Already have an account? Login"}
+            {isLogin
+              ? "Don't have an account? Sign up"
+              : isRegister ? "Already have an account? Login" : "Back to Login"}
           </button>
         </div>
       </div>
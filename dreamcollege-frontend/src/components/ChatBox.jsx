@@ -1,8 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 import { useUploadContext } from '../context/UploadContext';
-import { submitInterviewTranscript, generateAIRating as apiGenerateAIRating, retryApiCall, getUserFriendlyErrorMessage, getProgressMessage } from '../services/api';
-import { speakText, stopSpeaking, getTextToSpeechStatus, setTextToSpeechCallbacks } from '../services/textToSpeech';
+import {
+  submitInterviewTranscript,
+  endConversationInterview,
+  startConversation,
+  getConversations,
+  getConversation,
+  appendConversationMessages,
+  discardConversation,
+  streamChatReply,
+  getDebugFiles,
+  generateAIRating as apiGenerateAIRating,
+  retryApiCall,
+  getUserFriendlyErrorMessage,
+  getProgressMessage,
+  API_CONFIG
+} from '../services/api';
+import {
+  speakText,
+  stopSpeaking,
+  getTextToSpeechStatus,
+  setTextToSpeechCallbacks,
+  createSentenceSpeaker
+} from '../services/textToSpeech';
+import { getCachedVoicePreferences } from '../services/voicePreferences';
 import ProgressIndicator from './ProgressIndicator';
 import VoiceModeToggle from './VoiceModeToggle';
 import VoiceTutorial from './VoiceTutorial';
@@ -18,13 +40,17 @@ export default function ChatBox({
   ratingError, 
   setRatingError,
   showVoiceTutorial,
-  setShowVoiceTutorial
+  setShowVoiceTutorial,
+  assignment = null,
+  onAssignmentCompleted,
+  setRatingTranscriptId
 }) {
   const [messages, setMessages] = useState([
     { sender: 'ai', text: 'Hello! Ready to practice?' }
   ]);
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [isReplyStreaming, setIsReplyStreaming] = useState(false);
   const [useUploadedContent, setUseUploadedContent] = useState(true);
   const [showContentIndicator, setShowContentIndicator] = useState(false);
   
@@ -35,10 +61,16 @@ export default function ChatBox({
   // AI Rating state management (Step 9) - using props from App.jsx
   const [transcriptId, setTranscriptId] = useState(null);
   const [interviewStartTime, setInterviewStartTime] = useState(null);
+
+  // Server-side conversation: a promise chain resolving to the conversation ID,
+  // or null when the interview is not (or no longer completely) stored
+  const conversationRef = useRef(Promise.resolve(null));
+  const [resumableConversation, setResumableConversation] = useState(null);
   
   // Progress indicator state (Step 14)
   const [showProgressIndicator, setShowProgressIndicator] = useState(false);
   const [progressStep, setProgressStep] = useState(1);
+  const [ratingJobProgress, setRatingJobProgress] = useState(null); // { jobId, progress, message } from the rating job
   
   // End interview button state (Step 15)
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
@@ -81,24 +113,10 @@ export default function ChatBox({
   const hasContent = uploadedFiles && uploadedFiles.length > 0;
 
   /**
-   * Read speech settings from localStorage
+   * Read speech settings from the voice preferences cache, kept in sync with the server
    * @returns {Object} Speech settings object with autoPlayAI flag
    */
-  const getSpeechSettings = () => {
-    try {
-      const saved = localStorage.getItem('speechSettings');
-      if (saved) {
-        return JSON.parse(saved);
-      }
-    } catch (error) {
-      console.error('Failed to load speech settings:', error);
-    }
-    // Return default settings if not found or error
-    return {
-      autoPlayAI: true,
-      preferredGender: 'female'
-    };
-  };
+  const getSpeechSettings = () => getCachedVoicePreferences().speechSettings;
 
   /**
    * Automatically speak AI response if voice mode and auto-play are enabled
@@ -242,6 +260,99 @@ export default function ChatBox({
     }
   }, [messages, isInterviewActive, isInterviewCompleted]);
 
+  // Offer to resume the latest unfinished interview stored on the server
+  const token = user?.token;
+  useEffect(() => {
+    if (!token) {
+      setResumableConversation(null);
+      return;
+    }
+
+    getConversations(token, 'active')
+      .then(data => setResumableConversation(data.conversations.find(conversation => conversation.messageCount > 0) || null))
+      .catch(error => console.error('Error checking for unfinished interviews:', error));
+  }, [token]);
+
+  /**
+   * Store a turn of the interview on the server
+   * Turns are queued so they are saved in order; if one cannot be saved the
+   * interview is submitted in full when it ends instead.
+   * @param {Array} turn - Messages ({ sender, text }) to append
+   */
+  const saveTurn = (turn) => {
+    conversationRef.current = conversationRef.current
+      .then(id => id && appendConversationMessages(user.token, id, turn).then(() => id))
+      .catch(error => {
+        console.error('Error saving interview turn:', error);
+        return null;
+      });
+  };
+
+  /**
+   * Get the AI reply as it is generated
+   * The reply is shown while it streams in and, when voice mode auto-play is
+   * on, each sentence is spoken as soon as it is complete.
+   * @param {string} endpoint - Chat endpoint path
+   * @param {Object} requestBody - Chat request body
+   * @returns {Promise<Object>} Full reply and content metadata
+   */
+  const streamAIReply = async (endpoint, requestBody) => {
+    const speaker = isVoiceMode && getSpeechSettings().autoPlayAI ? createSentenceSpeaker() : null;
+    let replyText = '';
+    let replyShown = false;
+
+    const showReply = (text) => {
+      const replaceShown = replyShown;
+      replyShown = true;
+      setMessages(prev => [...(replaceShown ? prev.slice(0, -1) : prev), { sender: 'ai', text }]);
+    };
+
+    try {
+      const data = await streamChatReply(endpoint, requestBody, user?.token, (chunk) => {
+        replyText += chunk;
+        setIsReplyStreaming(true);
+        showReply(replyText);
+        speaker?.push(chunk);
+      });
+
+      showReply(data.message);
+      speaker?.finish();
+      return data;
+    } catch (error) {
+      // Drop the partial reply; the caller shows an error message instead
+      if (replyShown) {
+        setMessages(prev => prev.slice(0, -1));
+      }
+      throw error;
+    } finally {
+      setIsReplyStreaming(false);
+    }
+  };
+
+  /**
+   * Continue an unfinished interview from the server
+   */
+  const resumeConversation = async () => {
+    try {
+      const { conversation } = await getConversation(user.token, resumableConversation.id);
+      conversationRef.current = Promise.resolve(conversation.id);
+      setMessages(conversation.messages.map(({ sender, text }) => ({ sender, text })));
+      setIsInterviewActive(true);
+      setIsInterviewCompleted(false);
+      setInterviewStartTime(new Date(conversation.createdAt));
+      setAiRating(null);
+      setRatingError(null);
+      setTranscriptId(null);
+      setShowProgressIndicator(false);
+      setProgressStep(1);
+      setEndInterviewButtonState('idle');
+    } catch (error) {
+      console.error('Error resuming interview:', error);
+    } finally {
+      setResumableConversation(null);
+    }
+  };
+
   const sendMessage = async () => {
     if (!input.trim() || isLoading || isInterviewCompleted) return;
 
@@ -484,17 +595,17 @@ Your goal is to help students become more confident, articulate, and authentic i
         voiceMode: isVoiceMode
       };
       
+      // Use authenticated endpoint when user is logged in and wants to use uploaded content
+      const endpoint = user?.token && useUploadedContent 
+        ? '/chat/authenticated'
+        : '/chat';
+      
       console.log('Full request details:', {
-        url: 'http://localhost:3000/api/chat',
+        url: `${API_CONFIG.BASE_URL}${endpoint}`,
         authHeader: user?.token ? `Bearer ${user.token}` : 'No token',
         body: requestBody,
         userObject: user
       });
-
-      // Use authenticated endpoint when user is logged in and wants to use uploaded content
-      const endpoint = user?.token && useUploadedContent 
-        ? 'http://localhost:3000/api/chat/authenticated'
-        : 'http://localhost:3000/api/chat';
       
       console.log('=== CHAT REQUEST DEBUG ===');
       console.log('User:', user);
@@ -507,35 +618,21 @@ Your goal is to help students become more confident, articulate, and authentic i
       console.log('Auth Header:', user?.token ? `Bearer ${user.token.substring(0, 20)}...` : 'No token');
       console.log('Full Request Body:', JSON.stringify(requestBody, null, 2));
       
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(user?.token && { 'Authorization': `Bearer ${user.token}` })
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
+      // Shows and speaks the reply as it streams in
+      const data = await streamAIReply(endpoint, requestBody);
       
       // Log content usage for debugging
       if (data.contentMetadata) {
         console.log('Content metadata:', data.contentMetadata);
       }
       
-      const aiMessage = { sender: 'ai', text: data.message };
-      setMessages(prev => [...prev, aiMessage]);
-      
-      // Auto-speak AI response if voice mode and auto-play are enabled
-      handleAutoSpeakAIResponse(data.message);
+      saveTurn([userMessage, { sender: 'ai', text: data.message }]);
 
     } catch (error) {
       console.error('Error sending message:', error);
-      const errorMessage = 'Sorry, I encountered an error. Please try again.';
+      const errorMessage = error.code === 'LLM_BUDGET_EXCEEDED'
+        ? getUserFriendlyErrorMessage(error)
+        : 'Sorry, I encountered an error. Please try again.';
       const aiErrorMessage = { sender: 'ai', text: errorMessage };
       setMessages(prev => [...prev, aiErrorMessage]);
       
@@ -576,11 +673,11 @@ Your goal is to help students become more confident, articulate, and authentic i
         email: user?.email,
         grade: user?.grade,
         targetMajor: user?.targetMajor,
-        targetColleges: user?.targetColleges,
+        targetColleges: assignment?.targetCollege ? [assignment.targetCollege] : user?.targetColleges,
         strengths: user?.strengths,
         weaknesses: user?.weaknesses
       },
-      interviewType: 'behavioral',
+      interviewType: assignment?.interviewType || 'behavioral',
       duration: Math.max(durationMinutes, 1) // Ensure at least 1 minute
     };
   };
@@ -595,14 +692,16 @@ Your goal is to help students become more confident, articulate, and authentic i
 
     setRatingLoading(true);
     setRatingError(null);
+    setRatingJobProgress(null);
 
     try {
       console.log('Generating AI rating for transcript:', transcriptId);
       
-      // Use centralized API service with retry capability
+      // Use centralized API service with retry capability; the rating job's
+      // progress drives the progress indicator
       const data = await retryApiCall(
         apiGenerateAIRating,
-        [transcriptId, user.token],
+        [transcriptId, user.token, job => setRatingJobProgress({ jobId: job.id, progress: job.progress, message: job.progressMessage })],
         2, // Max 2 retries for rating generation
         2000 // 2 second base delay
       );
@@ -652,6 +751,13 @@ Your goal is to help students become more confident, articulate, and authentic i
     setEndInterviewButtonState('complete');
     setIsInterviewActive(false);
     setIsInterviewCompleted(true);
+
+    // The interview will not be rated, so it no longer needs to be resumable
+    const storedConversation = conversationRef.current;
+    conversationRef.current = Promise.resolve(null);
+    storedConversation
+      .then(id => id && discardConversation(user.token, id))
+      .catch(error => console.error('Error discarding interview:', error));
     
     // Stop any current speech immediately
     if (isVoiceMode) {
@@ -747,16 +853,26 @@ Your goal is to help students become more confident, articulate, and authentic i
         context: interviewContext
       });
 
-      // Submit transcript to backend using centralized API service
-      const transcriptData = await retryApiCall(
-        submitInterviewTranscript,
-        [transcriptMessages, interviewContext, user.token],
-        1, // Only 1 retry for transcript submission
-        1000 // 1 second base delay
-      );
+      // End the stored conversation, or submit the whole transcript if it was not stored
+      const conversationId = await conversationRef.current;
+      conversationRef.current = Promise.resolve(null);
+      const transcriptData = conversationId
+        ? await retryApiCall(endConversationInterview, [conversationId, interviewContext, user.token], 1, 1000)
+        : await retryApiCall(
+          submitInterviewTranscript,
+          [transcriptMessages, interviewContext, user.token, assignment?.id || null],
+          1, // Only 1 retry for transcript submission
+          1000 // 1 second base delay
+        );
       
       if (transcriptData.success && transcriptData.data.transcriptId) {
         console.log('Transcript saved with ID:', transcriptData.data.transcriptId);
+        setRatingTranscriptId?.(transcriptData.data.transcriptId);
+
+        // The backend marks the assignment completed alongside the transcript
+        if (assignment && transcriptData.data.assignmentId) {
+          onAssignmentCompleted?.(assignment);
+        }
         
         // Move to step 2 (generating rating)
         setProgressStep(2);
@@ -842,6 +958,8 @@ Your goal is to help students become more confident, articulate, and authentic i
     setIsInterviewActive(true); // Start as active when "New Interview" is clicked
     setIsInterviewCompleted(false);
     setInterviewStartTime(new Date());
+    conversationRef.current = Promise.resolve(null);
+    setResumableConversation(null);
     setAiRating(null);
     setRatingError(null);
     setRatingLoading(false);
@@ -849,6 +967,7 @@ Your goal is to help students become more confident, articulate, and authentic i
     // Reset progress indicator (Step 14)
     setShowProgressIndicator(false);
     setProgressStep(1);
+    setRatingJobProgress(null);
     // Reset end interview button state (Step 15)
     setEndInterviewButtonState('idle');
     setShowConfirmDialog(false);
@@ -1092,34 +1211,32 @@ Your goal is to help students become more confident, articulate, and authentic i
 
         // Use authenticated endpoint when user is logged in and wants to use uploaded content
         const endpoint = user?.token && useUploadedContent 
-          ? 'http://localhost:3000/api/chat/authenticated'
-          : 'http://localhost:3000/api/chat';
+          ? '/chat/authenticated'
+          : '/chat';
         
-        const response = await fetch(endpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            ...(user?.token && { 'Authorization': `Bearer ${user.token}` })
-          },
-          body: JSON.stringify(requestBody)
-        });
+        // Shows and speaks the AI's first question as it streams in
+        const data = await streamAIReply(endpoint, requestBody);
+        const aiMessage = { sender: 'ai', text: data.message };
 
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
+        // Store the interview on the server so it can be resumed
+        if (user?.token) {
+          conversationRef.current = startConversation(user.token, {
+            interviewContext: collectInterviewContext(),
+            messages: [aiMessage],
+            ...(assignment && { assignmentId: assignment.id })
+          })
+            .then(result => result.conversation.id)
+            .catch(error => {
+              console.error('Error storing interview:', error);
+              return null;
+            });
         }
 
-        const data = await response.json();
-        
-        // Add the AI's first question to the messages
-        const aiMessage = { sender: 'ai', text: data.message };
-        setMessages(prev => [...prev, aiMessage]);
-        
-        // Auto-speak AI response if voice mode and auto-play are enabled
-        handleAutoSpeakAIResponse(data.message);
-
       } catch (error) {
         console.error('Error starting interview:', error);
-        const errorMessage = 'Sorry, I encountered an error starting the interview. Please try again.';
+        const errorMessage = error.code === 'LLM_BUDGET_EXCEEDED'
+          ? getUserFriendlyErrorMessage(error)
+          : 'Sorry, I encountered an error starting the interview. Please try again.';
         const aiErrorMessage = { sender: 'ai', text: errorMessage };
         setMessages(prev => [...prev, aiErrorMessage]);
         
@@ -1409,17 +1526,17 @@ Your goal is to help students become more confident, articulate, and authentic i
         voiceMode: isVoiceMode
       };
       
+      // Use authenticated endpoint when user is logged in and wants to use uploaded content
+      const endpoint = user?.token && useUploadedContent 
+        ? '/chat/authenticated'
+        : '/chat';
+      
       console.log('Full request details:', {
-        url: 'http://localhost:3000/api/chat',
+        url: `${API_CONFIG.BASE_URL}${endpoint}`,
         authHeader: user?.token ? `Bearer ${user.token}` : 'No token',
         body: requestBody,
         userObject: user
       });
-
-      // Use authenticated endpoint when user is logged in and wants to use uploaded content
-      const endpoint = user?.token && useUploadedContent 
-        ? 'http://localhost:3000/api/chat/authenticated'
-        : 'http://localhost:3000/api/chat';
       
       console.log('=== CHAT REQUEST DEBUG ===');
       console.log('User:', user);
@@ -1432,31 +1549,15 @@ Your goal is to help students become more confident, articulate, and authentic i
       console.log('Auth Header:', user?.token ? `Bearer ${user.token.substring(0, 20)}...` : 'No token');
       console.log('Full Request Body:', JSON.stringify(requestBody, null, 2));
       
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(user?.token && { 'Authorization': `Bearer ${user.token}` })
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
+      // Shows and speaks the reply as it streams in
+      const data = await streamAIReply(endpoint, requestBody);
       
       // Log content usage for debugging
       if (data.contentMetadata) {
         console.log('Content metadata:', data.contentMetadata);
       }
       
-      const aiMessage = { sender: 'ai', text: data.message };
-      setMessages(prev => [...prev, aiMessage]);
-      
-      // Auto-speak AI response if voice mode and auto-play are enabled
-      handleAutoSpeakAIResponse(data.message);
+      saveTurn([userMessage, { sender: 'ai', text: data.message }]);
 
       // Mark voice calibration as complete after successful voice message
       if (!voiceCalibrationComplete) {
@@ -1465,7 +1566,9 @@ Your goal is to help students become more confident, articulate, and authentic i
 
     } catch (error) {
       console.error('Error sending voice message:', error);
-      const errorMessage = 'Sorry, I encountered an error. Please try again.';
+      const errorMessage = error.code === 'LLM_BUDGET_EXCEEDED'
+        ? getUserFriendlyErrorMessage(error)
+        : 'Sorry, I encountered an error. Please try again.';
       const aiErrorMessage = { sender: 'ai', text: errorMessage };
       setMessages(prev => [...prev, aiErrorMessage]);
       
@@ -1535,18 +1638,7 @@ Your goal is to help students become more confident, articulate, and authentic i
     }
     
     try {
-      const response = await fetch('http://localhost:3000/api/chat/debug-files', {
-        headers: {
-          'Authorization': `Bearer ${user.token}`
-        }
-      });
-      
-      if (!response.ok) {
-        console.error('Failed to fetch debug files:', response.status);
-        return;
-      }
-      
-      const data = await response.json();
+      const data = await getDebugFiles(user.token);
       console.log('=== UPLOADED FILES DEBUG ===');
       console.log('User ID:', data.userId);
       console.log('File count:', data.fileCount);
@@ -1570,6 +1662,64 @@ Your goal is to help students become more confident, articulate, and authentic i
         disabled={isLoading}
       />
 
+      {/* Counselor assignment this interview will complete */}
+      {assignment && (
+        <div style={{
+          margin: '0 0 12px 0',
+          padding: '10px 14px',
+          borderRadius: '8px',
+          border: '1px solid var(--border-primary)',
+          backgroundColor: 'var(--background-secondary)',
+          color: 'var(--text-primary)',
+          fontSize: '13px'
+        }}>
+          <strong>Assigned practice:</strong>{' '}
+          {assignment.interviewType.replace('_', ' ')} · {assignment.difficulty}
+          {assignment.targetCollege && ` · ${assignment.targetCollege}`}
+          {assignment.instructions && (
+            <div style={{ marginTop: '4px', color: 'var(--text-secondary)' }}>
+              {assignment.instructions}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Unfinished interview stored on the server */}
+      {resumableConversation && !isInterviewActive && (
+        <div style={{
+          margin: '0 0 12px 0',
+          padding: '10px 14px',
+          borderRadius: '8px',
+          border: '1px solid var(--border-primary)',
+          backgroundColor: 'var(--background-secondary)',
+          color: 'var(--text-primary)',
+          fontSize: '13px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: '12px'
+        }}>
+          <span>
+            You have an unfinished {resumableConversation.interviewContext.interviewType.replace('_', ' ')} interview
+            from {new Date(resumableConversation.updatedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}.
+          </span>
+          <span style={{ display: 'flex', gap: '8px', flexShrink: 0 }}>
+            <button
+              onClick={resumeConversation}
+              style={{ padding: '6px 12px', fontSize: '13px', backgroundColor: '#007AFF', color: 'white', border: 'none', borderRadius: '12px', cursor: 'pointer', fontWeight: '600' }}
+            >
+              Resume
+            </button>
+            <button
+              onClick={() => setResumableConversation(null)}
+              style={{ padding: '6px 12px', fontSize: '13px', backgroundColor: 'transparent', color: 'var(--text-secondary)', border: '1px solid var(--border-primary)', borderRadius: '12px', cursor: 'pointer' }}
+            >
+              Dismiss
+            </button>
+          </span>
+        </div>
+      )}
+
       {/* Voice Mode Tutorial (Step 12) */}
       {showVoiceTutorial && (
         <VoiceTutorial
@@ -1643,7 +1793,7 @@ Your goal is to help students become more confident, articulate, and authentic i
             <ReactMarkdown>{message.text}</ReactMarkdown>
           </div>
         ))}
-        {isLoading && (
+        {isLoading && !isReplyStreaming && (
           <div className="message ai">
             <em>Thinking...</em>
           </div>
@@ -1761,6 +1911,9 @@ Your goal is to help students become more confident, articulate, and authentic i
         isVisible={showProgressIndicator}
         currentStep={progressStep}
         totalSteps={3}
+        progress={progressStep === 2 ? ratingJobProgress?.progress ?? null : null}
+        detail={progressStep === 2 ? ratingJobProgress?.message ?? null : null}
+        jobId={progressStep === 2 ? ratingJobProgress?.jobId ?? null : null}
         showOverlay={true}
         onComplete={() => {
           console.log('Progress indicator completed');
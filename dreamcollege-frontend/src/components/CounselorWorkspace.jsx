@@ -0,0 +1,514 @@
+/**
+ * CounselorWorkspace Component - Rosters, Invitations and Assignments
+ *
+ * Page for counselors to manage their organizations: create invitation codes
+ * students redeem from the Dashboard, review the roster with each student's
+ * rating statistics and completed interview ratings, comment on individual
+ * messages of a rated interview, and assign practice interviews (type,
+ * difficulty, target college, due date).
+ *
+ * Related Files:
+ * - src/App.jsx - /counselor route, shown to counselor and admin users
+ * - src/components/Dashboard.jsx - Student side: joining and assigned practice
+ * - src/components/ReviewComments.jsx - Review comments on a student's interview
+ * - src/services/api.js - Counselor workspace API calls
+ * - Backend: src/routes/organization.routes.ts - /api/organizations endpoints
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getOrganizations,
+  createOrganization,
+  createInvitation,
+  getInvitations,
+  getRoster,
+  removeFromRoster,
+  getStudentRatings,
+  createAssignments,
+  getOrganizationAssignments
+} from '../services/api';
+import ReviewComments from './ReviewComments';
+
+const INTERVIEW_TYPES = ['behavioral', 'technical', 'situational', 'case_study', 'mixed'];
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+const cardStyle = {
+  backgroundColor: 'var(--background-secondary)',
+  border: '1px solid var(--border-primary)',
+  borderRadius: '8px',
+  padding: '20px',
+  marginBottom: '20px'
+};
+
+const headingStyle = {
+  fontSize: '16px',
+  fontWeight: '600',
+  color: 'var(--text-primary)',
+  margin: '0 0 12px 0'
+};
+
+const inputStyle = {
+  padding: '8px 12px',
+  border: '1px solid var(--border-primary, #ddd)',
+  borderRadius: '4px',
+  fontSize: '14px',
+  backgroundColor: 'var(--background-tertiary, #ffffff)',
+  color: 'var(--text-primary, #000000)',
+  boxSizing: 'border-box',
+  fontFamily: 'inherit'
+};
+
+const buttonStyle = {
+  padding: '8px 14px',
+  fontSize: '14px',
+  backgroundColor: 'var(--accent-blue)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontWeight: '500'
+};
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  padding: 0,
+  fontSize: '13px',
+  color: 'var(--accent-blue)',
+  cursor: 'pointer'
+};
+
+const cellStyle = {
+  padding: '8px',
+  fontSize: '13px',
+  color: 'var(--text-primary)',
+  borderBottom: '1px solid var(--border-primary)',
+  textAlign: 'left'
+};
+
+const EMPTY_ASSIGNMENT = {
+  interviewType: 'behavioral',
+  difficulty: 'intermediate',
+  targetCollege: '',
+  instructions: '',
+  dueDate: ''
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const errorText = (error) => error.serverMessage || error.message;
+
+export default function CounselorWorkspace({ user }) {
+  const token = user?.token;
+  const [organizations, setOrganizations] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [newOrganizationName, setNewOrganizationName] = useState('');
+  const [invitations, setInvitations] = useState([]);
+  const [roster, setRoster] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [selectedStudent, setSelectedStudent] = useState(null);
+  const [studentRatings, setStudentRatings] = useState([]);
+  const [reviewingTranscriptId, setReviewingTranscriptId] = useState(null);
+  const [assignmentForm, setAssignmentForm] = useState(EMPTY_ASSIGNMENT);
+  const [assignTo, setAssignTo] = useState([]);
+  const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState([]);
+  const [notice, setNotice] = useState('');
+
+  const showError = (requestError) => {
+    setNotice('');
+    setError(errorText(requestError));
+    setErrorDetails(Array.isArray(requestError.details) ? requestError.details : []);
+  };
+
+  const showNotice = (message) => {
+    setError('');
+    setErrorDetails([]);
+    setNotice(message);
+  };
+
+  // Load the organizations this counselor manages
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    getOrganizations(token)
+      .then(data => {
+        const managed = data.organizations.filter(organization => organization.isCounselor);
+        setOrganizations(managed);
+        setSelectedId(current => current || managed[0]?.id || null);
+      })
+      .catch(loadError => {
+        console.error('[CounselorWorkspace] Error loading organizations:', loadError);
+        setError(errorText(loadError));
+      });
+  }, [token]);
+
+  const loadOrganization = useCallback(async () => {
+    if (!token || !selectedId) {
+      return;
+    }
+
+    try {
+      const [invitationData, rosterData, assignmentData] = await Promise.all([
+        getInvitations(token, selectedId),
+        getRoster(token, selectedId),
+        getOrganizationAssignments(token, selectedId)
+      ]);
+      setInvitations(invitationData.invitations);
+      setRoster(rosterData.students);
+      setAssignments(assignmentData.assignments);
+    } catch (loadError) {
+      console.error('[CounselorWorkspace] Error loading organization:', loadError);
+      setError(errorText(loadError));
+    }
+  }, [token, selectedId]);
+
+  useEffect(() => {
+    setSelectedStudent(null);
+    setStudentRatings([]);
+    setAssignTo([]);
+    loadOrganization();
+  }, [loadOrganization]);
+
+  const handleCreateOrganization = async (e) => {
+    e.preventDefault();
+    try {
+      const data = await createOrganization(token, newOrganizationName.trim());
+      setOrganizations(prev => [...prev, data.organization]);
+      setSelectedId(data.organization.id);
+      setNewOrganizationName('');
+      showNotice(data.message);
+    } catch (createError) {
+      showError(createError);
+    }
+  };
+
+  const handleCreateInvitation = async () => {
+    try {
+      const data = await createInvitation(token, selectedId);
+      setInvitations(prev => [data.invitation, ...prev]);
+      showNotice(`Share code ${data.invitation.code} with your students`);
+    } catch (inviteError) {
+      showError(inviteError);
+    }
+  };
+
+  const handleViewRatings = async (student) => {
+    try {
+      const data = await getStudentRatings(token, selectedId, student.id);
+      setSelectedStudent(student);
+      setStudentRatings(data.ratings);
+      setReviewingTranscriptId(null);
+    } catch (ratingsError) {
+      showError(ratingsError);
+    }
+  };
+
+  const handleRemoveStudent = async (student) => {
+    if (!window.confirm(`Remove ${student.name} from this roster? Their open assignments will be cancelled.`)) {
+      return;
+    }
+
+    try {
+      await removeFromRoster(token, selectedId, student.id);
+      showNotice(`${student.name} was removed from the roster`);
+      loadOrganization();
+    } catch (removeError) {
+      showError(removeError);
+    }
+  };
+
+  const toggleAssignTo = (studentId) => {
+    setAssignTo(prev => (prev.includes(studentId)
+      ? prev.filter(id => id !== studentId)
+      : [...prev, studentId]));
+  };
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+    try {
+      const data = await createAssignments(token, selectedId, {
+        studentIds: assignTo,
+        interviewType: assignmentForm.interviewType,
+        difficulty: assignmentForm.difficulty,
+        ...(assignmentForm.targetCollege.trim() && { targetCollege: assignmentForm.targetCollege.trim() }),
+        ...(assignmentForm.instructions.trim() && { instructions: assignmentForm.instructions.trim() }),
+        // Due at the end of the chosen day in the counselor's timezone
+        ...(assignmentForm.dueDate && { dueDate: new Date(`${assignmentForm.dueDate}T23:59:59`).toISOString() })
+      });
+      setAssignmentForm(EMPTY_ASSIGNMENT);
+      setAssignTo([]);
+      showNotice(data.message);
+      loadOrganization();
+    } catch (assignError) {
+      showError(assignError);
+    }
+  };
+
+  const updateAssignmentField = (field) => (e) => {
+    setAssignmentForm(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  if (!token) {
+    return (
+      <div style={{ padding: '24px', color: 'var(--text-primary)' }}>
+        Sign in with a counselor account to manage your students.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: '24px', flex: 1, backgroundColor: 'var(--background-primary)' }}>
+      <div style={{ maxWidth: '1000px', margin: '0 auto' }}>
+        <h2 style={{ fontSize: '22px', fontWeight: '600', color: 'var(--text-primary)', margin: '0 0 20px 0' }}>
+          Counselor Workspace
+        </h2>
+
+        {error && (
+          <div style={{ ...cardStyle, borderColor: '#EF4444', color: '#EF4444', padding: '12px 16px' }}>
+            {error}
+            {errorDetails.length > 0 && (
+              <ul style={{ margin: '8px 0 0 0', paddingLeft: '20px' }}>
+                {errorDetails.map(detail => <li key={detail}>{detail}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+        {notice && (
+          <div style={{ ...cardStyle, borderColor: '#10B981', color: '#10B981', padding: '12px 16px' }}>
+            {notice}
+          </div>
+        )}
+
+        {/* Organization selection and creation */}
+        <div style={cardStyle}>
+          <h3 style={headingStyle}>Organizations</h3>
+          <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center' }}>
+            {organizations.length > 0 && (
+              <select
+                value={selectedId || ''}
+                onChange={(e) => setSelectedId(e.target.value)}
+                style={inputStyle}
+              >
+                {organizations.map(organization => (
+                  <option key={organization.id} value={organization.id}>{organization.name}</option>
+                ))}
+              </select>
+            )}
+            <form onSubmit={handleCreateOrganization} style={{ display: 'flex', gap: '8px' }}>
+              <input
+                type="text"
+                value={newOrganizationName}
+                onChange={(e) => setNewOrganizationName(e.target.value)}
+                placeholder="New organization name"
+                maxLength={100}
+                style={inputStyle}
+              />
+              <button type="submit" style={buttonStyle} disabled={!newOrganizationName.trim()}>
+                Create
+              </button>
+            </form>
+          </div>
+        </div>
+
+        {selectedId && (
+          <>
+            {/* Invitation codes */}
+            <div style={cardStyle}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 style={headingStyle}>Invitation Codes</h3>
+                <button onClick={handleCreateInvitation} style={buttonStyle}>New Code</button>
+              </div>
+              {invitations.length === 0 ? (
+                <p style={{ fontSize: '14px', color: 'var(--text-secondary)', margin: 0 }}>
+                  No active codes. Create one and share it with your students.
+                </p>
+              ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr>
+                      <th style={cellStyle}>Code</th>
+                      <th style={cellStyle}>Uses</th>
+                      <th style={cellStyle}>Expires</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invitations.map(invitation => (
+                      <tr key={invitation.id}>
+                        <td style={{ ...cellStyle, fontFamily: 'monospace', fontSize: '15px' }}>{invitation.code}</td>
+                        <td style={cellStyle}>{invitation.uses}{invitation.maxUses ? ` / ${invitation.maxUses}` : ''}</td>
+                        <td style={cellStyle}>{formatDate(invitation.expiresAt)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {/* Roster with rating statistics */}
+            <div style={cardStyle}>
+              <h3 style={headingStyle}>Roster</h3>
+              {roster.length === 0 ? (
+                <p style={{ fontSize: '14px', color: 'var(--text-secondary)', margin: 0 }}>
+                  No students yet. Students join from their Dashboard with an invitation code.
+                </p>
+              ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr>
+                      <th style={cellStyle}>Assign</th>
+                      <th style={cellStyle}>Student</th>
+                      <th style={cellStyle}>Rated Interviews</th>
+                      <th style={cellStyle}>Avg. Rating</th>
+                      <th style={cellStyle}>Last Interview</th>
+                      <th style={cellStyle}>Assignments</th>
+                      <th style={cellStyle}></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {roster.map(student => (
+                      <tr key={student.id}>
+                        <td style={cellStyle}>
+                          <input
+                            type="checkbox"
+                            checked={assignTo.includes(student.id)}
+                            onChange={() => toggleAssignTo(student.id)}
+                            aria-label={`Assign to ${student.name}`}
+                          />
+                        </td>
+                        <td style={cellStyle}>
+                          {student.name}
+                          <div style={{ fontSize: '12px', color: 'var(--text-secondary)' }}>{student.email}</div>
+                        </td>
+                        <td style={cellStyle}>{student.ratedInterviews}</td>
+                        <td style={cellStyle}>{student.averageRating ?? '—'}</td>
+                        <td style={cellStyle}>{formatDate(student.lastInterviewAt)}</td>
+                        <td style={cellStyle}>{student.completedAssignments} done, {student.openAssignments} open</td>
+                        <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                          <button style={linkButtonStyle} onClick={() => handleViewRatings(student)}>Ratings</button>
+                          {' · '}
+                          <button style={{ ...linkButtonStyle, color: '#EF4444' }} onClick={() => handleRemoveStudent(student)}>Remove</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {/* Completed interview ratings for one student */}
+            {selectedStudent && (
+              <div style={cardStyle}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <h3 style={headingStyle}>Ratings — {selectedStudent.name}</h3>
+                  <button style={linkButtonStyle} onClick={() => setSelectedStudent(null)}>Close</button>
+                </div>
+                {studentRatings.length === 0 ? (
+                  <p style={{ fontSize: '14px', color: 'var(--text-secondary)', margin: 0 }}>
+                    No rated interviews yet.
+                  </p>
+                ) : (
+                  studentRatings.map(rating => (
+                    <div key={rating.transcriptId} style={{ padding: '12px 0', borderBottom: '1px solid var(--border-primary)' }}>
+                      <div style={{ fontSize: '14px', fontWeight: '600', color: 'var(--text-primary)', textTransform: 'capitalize' }}>
+                        {rating.overallRating ?? '—'} / 100 · {rating.interviewType.replace('_', ' ')} · {rating.difficulty}
+                        {rating.assignmentId && ' · Assigned'}
+                      </div>
+                      <div style={{ fontSize: '12px', color: 'var(--text-secondary)', marginTop: '2px' }}>
+                        {formatDate(rating.ratedAt || rating.createdAt)}
+                        {' · '}
+                        <button
+                          style={linkButtonStyle}
+                          onClick={() => setReviewingTranscriptId(
+                            reviewingTranscriptId === rating.transcriptId ? null : rating.transcriptId
+                          )}
+                        >
+                          {reviewingTranscriptId === rating.transcriptId ? 'Hide interview' : 'Review interview'}
+                        </button>
+                      </div>
+                      {rating.summary && (
+                        <p style={{ fontSize: '13px', color: 'var(--text-primary)', margin: '6px 0 0 0' }}>{rating.summary}</p>
+                      )}
+                      {reviewingTranscriptId === rating.transcriptId && (
+                        <ReviewComments transcriptId={rating.transcriptId} user={user} showAllEntries />
+                      )}
+                    </div>
+                  ))
+                )}
+              </div>
+            )}
+
+            {/* Assign a practice interview to the checked students */}
+            <div style={cardStyle}>
+              <h3 style={headingStyle}>Assign Practice Interview</h3>
+              <form onSubmit={handleAssign} style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+                <select value={assignmentForm.interviewType} onChange={updateAssignmentField('interviewType')} style={inputStyle}>
+                  {INTERVIEW_TYPES.map(type => <option key={type} value={type}>{type.replace('_', ' ')}</option>)}
+                </select>
+                <select value={assignmentForm.difficulty} onChange={updateAssignmentField('difficulty')} style={inputStyle}>
+                  {DIFFICULTIES.map(level => <option key={level} value={level}>{level}</option>)}
+                </select>
+                <input
+                  type="text"
+                  value={assignmentForm.targetCollege}
+                  onChange={updateAssignmentField('targetCollege')}
+                  placeholder="Target college (optional)"
+                  maxLength={100}
+                  style={inputStyle}
+                />
+                <input
+                  type="date"
+                  value={assignmentForm.dueDate}
+                  onChange={updateAssignmentField('dueDate')}
+                  style={inputStyle}
+                />
+                <textarea
+                  value={assignmentForm.instructions}
+                  onChange={updateAssignmentField('instructions')}
+                  placeholder="Instructions for the student (optional)"
+                  maxLength={1000}
+                  rows={3}
+                  style={{ ...inputStyle, gridColumn: '1 / -1', resize: 'vertical' }}
+                />
+                <div style={{ gridColumn: '1 / -1', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <span style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>
+                    {assignTo.length === 0 ? 'Check students on the roster to assign' : `${assignTo.length} student${assignTo.length === 1 ? '' : 's'} selected`}
+                  </span>
+                  <button type="submit" style={buttonStyle} disabled={assignTo.length === 0}>Assign</button>
+                </div>
+              </form>
+
+              {assignments.length > 0 && (
+                <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '16px' }}>
+                  <thead>
+                    <tr>
+                      <th style={cellStyle}>Student</th>
+                      <th style={cellStyle}>Interview</th>
+                      <th style={cellStyle}>Due</th>
+                      <th style={cellStyle}>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {assignments.map(assignment => (
+                      <tr key={assignment.id}>
+                        <td style={cellStyle}>{assignment.studentName}</td>
+                        <td style={{ ...cellStyle, textTransform: 'capitalize' }}>
+                          {assignment.interviewType.replace('_', ' ')} · {assignment.difficulty}
+                          {assignment.targetCollege && ` · ${assignment.targetCollege}`}
+                        </td>
+                        <td style={cellStyle}>{formatDate(assignment.dueDate)}</td>
+                        <td style={{ ...cellStyle, textTransform: 'capitalize' }}>{assignment.status}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { getAIRatingsHistory } from '../services/api';
+import { getAIRatingsHistory, getMyAssignments, joinOrganization } from '../services/api';
 import { useTheme } from '../context/ThemeContext';
 
 // InterviewSkillsGraph component
@@ -290,7 +290,169 @@ const SkillsDistributionPieChart = ({ isDark }) => {
   );
 };
 
-const Dashboard = ({ aiRating }) => {
+// AssignedPractice component - counselor assignments and invitation code entry
+const AssignedPractice = ({ isDark, onStartAssignment }) => {
+  const [assignments, setAssignments] = useState([]);
+  const [inviteCode, setInviteCode] = useState('');
+  const [joinMessage, setJoinMessage] = useState(null);
+  const [isJoining, setIsJoining] = useState(false);
+
+  const fetchAssignments = async () => {
+    const token = localStorage.getItem('token');
+    if (!token) return;
+
+    try {
+      const response = await getMyAssignments(token);
+      setAssignments(response.assignments || []);
+    } catch (error) {
+      console.error('Dashboard: Error fetching assignments:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchAssignments();
+  }, []);
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    const token = localStorage.getItem('token');
+    if (!token || !inviteCode.trim()) return;
+
+    setIsJoining(true);
+    setJoinMessage(null);
+    try {
+      const response = await joinOrganization(token, inviteCode.trim());
+      setJoinMessage({ type: 'success', text: `Joined ${response.organization.name}` });
+      setInviteCode('');
+      fetchAssignments();
+    } catch (error) {
+      setJoinMessage({ type: 'error', text: error.serverMessage || error.message });
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  const formatDueDate = (dueDate) => {
+    if (!dueDate) return 'No due date';
+    return `Due ${new Date(dueDate).toLocaleDateString()}`;
+  };
+
+  const isOverdue = (assignment) =>
+    assignment.status === 'assigned' && assignment.dueDate && new Date(assignment.dueDate) < new Date();
+
+  return (
+    <div style={{
+      backgroundColor: isDark ? '#2a2a2a' : 'white',
+      borderRadius: '12px',
+      padding: '24px',
+      boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)',
+      border: isDark ? '2px solid #505050' : '2px solid #E5E7EB',
+      marginBottom: '32px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '16px', marginBottom: '16px', flexWrap: 'wrap' }}>
+        <h3 style={{ fontSize: '18px', fontWeight: '600', color: isDark ? '#ffffff' : '#1F2937', margin: 0 }}>
+          Assigned Practice
+        </h3>
+        <form onSubmit={handleJoin} style={{ display: 'flex', gap: '8px' }}>
+          <input
+            type="text"
+            value={inviteCode}
+            onChange={(e) => setInviteCode(e.target.value.toUpperCase())}
+            placeholder="Invitation code"
+            maxLength={8}
+            style={{
+              padding: '6px 10px',
+              fontSize: '14px',
+              borderRadius: '6px',
+              border: isDark ? '1px solid #505050' : '1px solid #D1D5DB',
+              backgroundColor: isDark ? '#1a1a1a' : 'white',
+              color: isDark ? '#ffffff' : '#1F2937',
+              width: '140px'
+            }}
+          />
+          <button
+            type="submit"
+            disabled={isJoining || !inviteCode.trim()}
+            style={{
+              padding: '6px 12px',
+              fontSize: '14px',
+              backgroundColor: '#3B82F6',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: isJoining ? 'wait' : 'pointer',
+              opacity: isJoining || !inviteCode.trim() ? 0.6 : 1
+            }}
+          >
+            Join
+          </button>
+        </form>
+      </div>
+
+      {joinMessage && (
+        <p style={{ fontSize: '13px', margin: '0 0 12px 0', color: joinMessage.type === 'success' ? '#10B981' : '#EF4444' }}>
+          {joinMessage.text}
+        </p>
+      )}
+
+      {assignments.length === 0 ? (
+        <p style={{ fontSize: '14px', margin: 0, color: isDark ? '#b0b0b0' : '#6B7280' }}>
+          No assignments yet. Practice interviews your counselor assigns will appear here.
+        </p>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          {assignments.map((assignment) => (
+            <div key={assignment.id} style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              gap: '16px',
+              padding: '12px 16px',
+              borderRadius: '8px',
+              backgroundColor: isDark ? '#1a1a1a' : '#F9FAFB',
+              opacity: assignment.status === 'completed' ? 0.7 : 1
+            }}>
+              <div>
+                <div style={{ fontSize: '14px', fontWeight: '600', color: isDark ? '#ffffff' : '#1F2937', textTransform: 'capitalize' }}>
+                  {assignment.interviewType.replace('_', ' ')} · {assignment.difficulty}
+                  {assignment.targetCollege && ` · ${assignment.targetCollege}`}
+                </div>
+                <div style={{ fontSize: '12px', marginTop: '4px', color: isOverdue(assignment) ? '#EF4444' : (isDark ? '#b0b0b0' : '#6B7280') }}>
+                  {assignment.organizationName && `${assignment.organizationName} · `}
+                  {assignment.status === 'completed' ? 'Completed' : formatDueDate(assignment.dueDate)}
+                </div>
+                {assignment.instructions && (
+                  <div style={{ fontSize: '13px', marginTop: '6px', color: isDark ? '#e0e0e0' : '#374151' }}>
+                    {assignment.instructions}
+                  </div>
+                )}
+              </div>
+              {assignment.status === 'assigned' && (
+                <button
+                  onClick={() => onStartAssignment?.(assignment)}
+                  style={{
+                    padding: '6px 14px',
+                    fontSize: '14px',
+                    backgroundColor: '#10B981',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '6px',
+                    cursor: 'pointer',
+                    flexShrink: 0
+                  }}
+                >
+                  Start
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Dashboard = ({ aiRating, onStartAssignment }) => {
   const { isDark } = useTheme();
   const [ratingsHistory, setRatingsHistory] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
@@ -467,6 +629,9 @@ const Dashboard = ({ aiRating }) => {
         </>
       )}
       
+      {/* Assigned Practice Section */}
+      <AssignedPractice isDark={isDark} onStartAssignment={onStartAssignment} />
+
       {/* Top Stats Section */}
       <div style={{
         display: 'grid',
@@ -8,9 +8,17 @@
  * - Extracted text preview
  * - Batch operations
  * - Detailed file information
+ * - Review of activities, awards, courses and skills parsed from resumes and
+ *   activity lists, with suggested profile entries to add
+ *
+ * Related Files:
+ * - src/components/SettingsPanel.jsx - Shows the file manager in detailed view
+ * - src/services/api.js - getProfileExtraction / mergeProfileExtraction
+ * - Backend: src/routes/upload.routes.ts - Profile extraction endpoints
  */
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
+import { getProfileExtraction, mergeProfileExtraction } from '../services/api';
 
 // File type icons and labels
 const FILE_TYPE_CONFIG = {
@@ -28,18 +36,205 @@ const STATUS_CONFIG = {
   failed: { label: 'Failed', color: 'var(--accent-error)', icon: '❌' }
 };
 
+const SUGGESTION_FIELDS = [
+  { name: 'extracurriculars', label: 'Add to Extracurriculars' },
+  { name: 'strengths', label: 'Add to Strengths' }
+];
+
+const reviewButtonStyle = {
+  padding: '6px 12px',
+  fontSize: '12px',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+// One line describing a parsed activity: position, timing and time commitment
+const describeActivity = (activity) => [
+  activity.role ? `${activity.role}, ${activity.name}` : activity.name,
+  activity.organization,
+  activity.startDate && [activity.startDate, activity.endDate].filter(Boolean).join(' - '),
+  activity.grades && `Grades ${activity.grades.join(', ')}`,
+  activity.hoursPerWeek && `${activity.hoursPerWeek} hrs/week`
+].filter(Boolean).join(' · ');
+
+/**
+ * Review panel for profile data parsed from one file
+ * Lists what was found and lets the student choose which suggested entries
+ * to add to their extracurriculars and strengths.
+ */
+function ProfileImportReview({ fileId, token, onProfileUpdated }) {
+  const [review, setReview] = useState(null);
+  const [selected, setSelected] = useState({ extracurriculars: [], strengths: [] });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+
+    getProfileExtraction(token, fileId)
+      .then(data => {
+        setReview(data);
+        setSelected(data.suggestions);
+      })
+      .catch(loadError => setError(loadError.serverMessage || loadError.message))
+      .finally(() => setLoading(false));
+  }, [token, fileId]);
+
+  const toggleEntry = (field, entry) => {
+    setSelected(prev => ({
+      ...prev,
+      [field]: prev[field].includes(entry)
+        ? prev[field].filter(item => item !== entry)
+        : [...prev[field], entry]
+    }));
+  };
+
+  const submit = async (selection) => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const data = await mergeProfileExtraction(token, fileId, selection);
+      setMessage(data.message);
+      setReview(prev => ({
+        ...prev,
+        extraction: { ...prev.extraction, importStatus: data.importStatus },
+        suggestions: Object.fromEntries(SUGGESTION_FIELDS.map(({ name }) => [
+          name,
+          prev.suggestions[name].filter(entry => !data.added[name].includes(entry))
+        ]))
+      }));
+      setSelected({ extracurriculars: [], strengths: [] });
+
+      if (onProfileUpdated) {
+        onProfileUpdated(data.profile);
+      }
+    } catch (saveError) {
+      setError(saveError.serverMessage || saveError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div style={{ fontSize: '14px', color: 'var(--text-tertiary)' }}>Looking for activities and skills...</div>;
+  }
+
+  if (!review) {
+    return <div style={{ fontSize: '14px', color: 'var(--error-text)' }}>{error}</div>;
+  }
+
+  const { extraction, suggestions } = review;
+  const found = [
+    { label: 'Activities', items: extraction.activities.map(describeActivity) },
+    { label: 'Awards', items: extraction.awards.map(award => (award.date ? `${award.title} (${award.date})` : award.title)) },
+    { label: 'Courses', items: extraction.courses.map(course => (course.level ? `${course.level} ${course.name}` : course.name)) },
+    { label: 'Skills', items: extraction.skills }
+  ].filter(group => group.items.length > 0);
+  const hasSuggestions = SUGGESTION_FIELDS.some(({ name }) => suggestions[name].length > 0);
+  const selectedCount = selected.extracurriculars.length + selected.strengths.length;
+
+  if (found.length === 0) {
+    return (
+      <div style={{ fontSize: '14px', color: 'var(--text-tertiary)' }}>
+        No activities, awards or skills were found. Profile suggestions work with resumes and activity lists.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ fontSize: '14px', color: 'var(--text-primary)' }}>
+      {found.map(group => (
+        <div key={group.label} style={{ marginBottom: '10px' }}>
+          <div style={{ fontSize: '12px', fontWeight: '600', color: 'var(--text-secondary)', marginBottom: '4px' }}>
+            {group.label} found ({group.items.length})
+          </div>
+          <ul style={{ margin: 0, paddingLeft: '20px' }}>
+            {group.items.map((item, index) => <li key={index}>{item}</li>)}
+          </ul>
+        </div>
+      ))}
+
+      {SUGGESTION_FIELDS.filter(({ name }) => suggestions[name].length > 0).map(({ name, label }) => (
+        <fieldset key={name} style={{ border: '1px solid var(--border-primary)', borderRadius: '4px', margin: '0 0 10px', padding: '8px 12px' }}>
+          <legend style={{ fontSize: '12px', fontWeight: '600', color: 'var(--text-secondary)' }}>{label}</legend>
+          {suggestions[name].map(entry => (
+            <label key={entry} style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={selected[name].includes(entry)}
+                onChange={() => toggleEntry(name, entry)}
+              />
+              {entry}
+            </label>
+          ))}
+        </fieldset>
+      ))}
+
+      {!hasSuggestions && !message && (
+        <div style={{ color: 'var(--text-tertiary)', marginBottom: '10px' }}>
+          Your profile already lists everything suggested by this file.
+        </div>
+      )}
+
+      {error && <div style={{ color: 'var(--error-text)', marginBottom: '10px' }}>{error}</div>}
+      {message && <div style={{ color: 'var(--accent-success)', marginBottom: '10px' }}>{message}</div>}
+
+      {hasSuggestions && (
+        <div style={{ display: 'flex', gap: '10px' }}>
+          <button
+            onClick={() => submit(selected)}
+            disabled={saving || selectedCount === 0}
+            style={{
+              ...reviewButtonStyle,
+              border: '1px solid var(--accent-primary)',
+              backgroundColor: 'var(--accent-primary)',
+              color: 'white',
+              opacity: saving || selectedCount === 0 ? 0.6 : 1
+            }}
+          >
+            {saving ? 'Saving...' : `Add ${selectedCount} to Profile`}
+          </button>
+          {extraction.importStatus === 'pending' && (
+            <button
+              onClick={() => submit({})}
+              disabled={saving}
+              style={{
+                ...reviewButtonStyle,
+                border: '1px solid var(--text-tertiary)',
+                backgroundColor: 'var(--background-primary)',
+                color: 'var(--text-tertiary)'
+              }}
+            >
+              Dismiss
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function FileManager({ 
   files = [], 
   onRemoveFile, 
   onRetryUpload,
   showPreview = true,
-  maxPreviewLength = 200 
+  maxPreviewLength = 200,
+  user = null,
+  onProfileUpdated
 }) {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedFileType, setSelectedFileType] = useState('all');
   const [selectedStatus, setSelectedStatus] = useState('all');
   const [expandedFiles, setExpandedFiles] = useState({});
   const [selectedFiles, setSelectedFiles] = useState([]);
+  const [reviewingFiles, setReviewingFiles] = useState({});
+  const token = user?.token;
 
   // Filter files based on search and filters
   const filteredFiles = useMemo(() => {
@@ -115,6 +310,14 @@ export default function FileManager({
     }));
   };
 
+  // Toggle the profile suggestions panel
+  const toggleFileReview = (fileId) => {
+    setReviewingFiles(prev => ({
+      ...prev,
+      [fileId]: !prev[fileId]
+    }));
+  };
+
   // Toggle file selection
   const toggleFileSelection = (fileId) => {
     setSelectedFiles(prev => 
@@ -306,6 +509,7 @@ export default function FileManager({
         {filteredFiles.map((file) => {
           const fileId = file.id || file._id;
           const isExpanded = expandedFiles[fileId];
+          const isReviewing = reviewingFiles[fileId] && token && file.processingStatus === 'completed';
           const isSelected = selectedFiles.includes(fileId);
           const typeConfig = FILE_TYPE_CONFIG[file.fileType] || FILE_TYPE_CONFIG.document;
           const statusConfig = STATUS_CONFIG[file.processingStatus];
@@ -420,6 +624,24 @@ export default function FileManager({
                     </button>
                   )}
 
+                  {token && file.processingStatus === 'completed' && (
+                    <button
+                      onClick={() => toggleFileReview(fileId)}
+                      style={{
+                        padding: '6px',
+                        fontSize: '16px',
+                        border: '1px solid var(--accent-primary)',
+                        backgroundColor: 'var(--background-primary)',
+                        color: 'var(--accent-primary)',
+                        borderRadius: '4px',
+                        cursor: 'pointer'
+                      }}
+                      title={isReviewing ? 'Hide profile suggestions' : 'Review profile suggestions'}
+                    >
+                      🎓
+                    </button>
+                  )}
+
                   {onRemoveFile && (
                     <button
                       onClick={(e) => {
@@ -476,6 +698,25 @@ export default function FileManager({
                   </div>
                 </div>
               )}
+
+              {/* Profile Suggestions */}
+              {isReviewing && (
+                <div style={{
+                  padding: '12px',
+                  backgroundColor: 'var(--background-secondary)',
+                  borderTop: '1px solid var(--border-primary)'
+                }}>
+                  <div style={{
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    marginBottom: '8px',
+                    color: 'var(--text-secondary)'
+                  }}>
+                    Profile Suggestions:
+                  </div>
+                  <ProfileImportReview fileId={fileId} token={token} onProfileUpdated={onProfileUpdated} />
+                </div>
+              )}
             </div>
           );
         })}
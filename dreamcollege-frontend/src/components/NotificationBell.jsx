@@ -0,0 +1,173 @@
+/**
+ * NotificationBell Component - In-App Notification Feed
+ *
+ * Header bell showing the number of unread notifications, such as a counselor
+ * commenting on one of the student's interviews. Opening the bell lists the
+ * latest notifications and lets the user mark them all read.
+ *
+ * Related Files:
+ * - src/App.jsx - Renders the bell next to ProfileDropdown
+ * - src/services/api.js - Notification API calls
+ * - Backend: src/routes/notification.routes.ts - /api/notifications
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import { useTheme } from '../context/ThemeContext';
+import { getNotifications, markAllNotificationsRead } from '../services/api';
+
+const formatTime = (value) => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+const NotificationBell = ({ user }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const dropdownRef = useRef(null);
+  const { isDark } = useTheme();
+  const token = user?.token;
+
+  // Load the feed on sign-in and refresh it each time the bell is opened
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    getNotifications(token)
+      .then(data => {
+        setNotifications(data.notifications);
+        setUnreadCount(data.unreadCount);
+      })
+      .catch(error => console.error('[NotificationBell] Error loading notifications:', error));
+  }, [token, isOpen]);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead(token);
+      setNotifications(prev => prev.map(notification => ({ ...notification, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('[NotificationBell] Error marking notifications read:', error);
+    }
+  };
+
+  return (
+    <div ref={dropdownRef} style={{ position: 'relative' }}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-label={unreadCount > 0 ? `${unreadCount} unread notifications` : 'Notifications'}
+        style={{
+          position: 'relative',
+          background: 'none',
+          border: 'none',
+          color: 'var(--text-primary)',
+          cursor: 'pointer',
+          padding: '6px 8px',
+          borderRadius: '6px',
+          display: 'flex',
+          alignItems: 'center',
+          backgroundColor: isOpen ? 'var(--background-secondary)' : 'transparent'
+        }}
+      >
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M18 8a6 6 0 0 0-12 0c0 7-3 9-3 9h18s-3-2-3-9" />
+          <path d="M13.73 21a2 2 0 0 1-3.46 0" />
+        </svg>
+        {unreadCount > 0 && (
+          <span style={{
+            position: 'absolute',
+            top: '0',
+            right: '0',
+            minWidth: '16px',
+            height: '16px',
+            padding: '0 4px',
+            borderRadius: '8px',
+            backgroundColor: '#FF3B30',
+            color: '#ffffff',
+            fontSize: '10px',
+            fontWeight: '600',
+            lineHeight: '16px',
+            textAlign: 'center',
+            boxSizing: 'border-box'
+          }}>
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div
+          style={{
+            position: 'absolute',
+            top: '100%',
+            right: 0,
+            marginTop: '8px',
+            width: '320px',
+            maxHeight: '400px',
+            overflowY: 'auto',
+            backgroundColor: 'var(--background-primary)',
+            border: '1px solid var(--border-primary)',
+            borderRadius: '8px',
+            boxShadow: isDark ? '0 8px 24px rgba(0, 0, 0, 0.4)' : '0 8px 24px rgba(0, 0, 0, 0.12)',
+            zIndex: 1000,
+            fontSize: '14px'
+          }}
+        >
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            padding: '10px 16px',
+            borderBottom: '1px solid var(--border-primary)'
+          }}>
+            <strong style={{ color: 'var(--text-primary)' }}>Notifications</strong>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                style={{ background: 'none', border: 'none', padding: 0, fontSize: '12px', color: 'var(--accent-blue)', cursor: 'pointer' }}
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <div style={{ padding: '16px', color: 'var(--text-secondary)', fontSize: '13px' }}>
+              You have no notifications.
+            </div>
+          ) : notifications.map(notification => (
+            <div key={notification.id} style={{
+              padding: '10px 16px',
+              borderBottom: '1px solid var(--border-primary)',
+              backgroundColor: notification.read ? 'transparent' : 'var(--background-secondary)'
+            }}>
+              <div style={{ fontWeight: notification.read ? '400' : '600', color: 'var(--text-primary)' }}>
+                {notification.title}
+              </div>
+              <div style={{ fontSize: '13px', color: 'var(--text-secondary)', marginTop: '2px' }}>
+                {notification.message}
+              </div>
+              <div style={{ fontSize: '11px', color: 'var(--text-secondary)', marginTop: '4px' }}>
+                {formatTime(notification.createdAt)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -1,8 +1,10 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useTheme } from '../context/ThemeContext';
+import ProfileEditor from './ProfileEditor';
 
-const ProfileDropdown = ({ user, onSignOut }) => {
+const ProfileDropdown = ({ user, onSignOut, onSignOutAllDevices, onResendVerification, onProfileUpdated }) => {
   const [isOpen, setIsOpen] = useState(false);
+  const [showProfileEditor, setShowProfileEditor] = useState(false);
   const dropdownRef = useRef(null);
   const { toggleTheme, isDark } = useTheme();
 
@@ -29,6 +31,23 @@ const ProfileDropdown = ({ user, onSignOut }) => {
     onSignOut();
   };
 
+  const handleOpenProfile = () => {
+    setIsOpen(false);
+    setShowProfileEditor(true);
+  };
+
+  const handleResendVerification = () => {
+    setIsOpen(false);
+    onResendVerification();
+  };
+
+  const handleSignOutAllDevices = () => {
+    setIsOpen(false);
+    if (window.confirm('Sign out on every device, including this one?')) {
+      onSignOutAllDevices();
+    }
+  };
+
   // Generate avatar with user's initials
   const getInitials = (name) => {
     return name
@@ -267,6 +286,24 @@ const ProfileDropdown = ({ user, onSignOut }) => {
                 <div style={{ fontSize: '14px', color: 'var(--text-secondary)', marginTop: '2px' }}>
                   {user?.email || 'user@email.com'}
                 </div>
+                {user?.isEmailVerified === false && onResendVerification && (
+                  <div style={{ fontSize: '13px', color: 'var(--text-tertiary)', marginTop: '4px' }}>
+                    Email not verified ·{' '}
+                    <button
+                      onClick={handleResendVerification}
+                      style={{
+                        background: 'none',
+                        border: 'none',
+                        padding: 0,
+                        color: '#6366f1',
+                        cursor: 'pointer',
+                        fontSize: '13px'
+                      }}
+                    >
+                      Resend link
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -275,6 +312,7 @@ const ProfileDropdown = ({ user, onSignOut }) => {
           <div>
             <button
               className="dropdown-item"
+              onClick={handleOpenProfile}
               style={{
                 width: '100%',
                 padding: '14px 20px',
@@ -410,10 +448,53 @@ const ProfileDropdown = ({ user, onSignOut }) => {
               </svg>
               Sign Out
             </button>
+
+            {onSignOutAllDevices && (
+              <button
+                className="dropdown-item"
+                onClick={handleSignOutAllDevices}
+                style={{
+                  width: '100%',
+                  padding: '14px 20px',
+                  backgroundColor: 'transparent',
+                  border: 'none',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '14px',
+                  color: 'var(--text-primary)',
+                  cursor: 'pointer',
+                  fontSize: '15px',
+                  transition: 'background-color 0.2s ease'
+                }}
+                onMouseEnter={(e) => {
+                  e.target.style.backgroundColor = 'var(--background-secondary)';
+                }}
+                onMouseLeave={(e) => {
+                  e.target.style.backgroundColor = 'transparent';
+                }}
+              >
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                  <rect x="1.5" y="3" width="9" height="6.5" rx="1" stroke="currentColor" strokeWidth="1.2" />
+                  <path d="M4 12h4M6 9.5V12" stroke="currentColor" strokeWidth="1.2" strokeLinecap="round" />
+                  <rect x="11.5" y="5" width="3.5" height="7" rx="0.75" stroke="currentColor" strokeWidth="1.2" />
+                </svg>
+                Sign Out of All Devices
+              </button>
+            )}
           </div>
           </div>
         )}
       </div>
+
+      {/* Mounted only while open so it starts from the current user */}
+      {showProfileEditor && (
+        <ProfileEditor
+          isOpen={showProfileEditor}
+          onClose={() => setShowProfileEditor(false)}
+          user={user}
+          onProfileUpdated={onProfileUpdated}
+        />
+      )}
     </div>
   );
 };
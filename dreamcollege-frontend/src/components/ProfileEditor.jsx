@@ -0,0 +1,323 @@
+/**
+ * ProfileEditor Component - Student Profile Management
+ *
+ * Modal form for viewing and updating the profile fields the interviewer uses
+ * to personalize questions and feedback: grade, target major, target colleges,
+ * extracurriculars, strengths and weaknesses. Opened from ProfileDropdown.
+ *
+ * Related Files:
+ * - src/components/ProfileDropdown.jsx - Opens the editor from "My Profile"
+ * - src/services/api.js - getProfile / updateProfile
+ * - Backend: src/routes/auth.routes.ts - GET/PATCH /api/auth/me
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getProfile, updateProfile } from '../services/api';
+
+// List-valued profile fields, edited as one entry per line
+const LIST_FIELDS = [
+  { name: 'targetColleges', label: 'Target Colleges', placeholder: 'e.g., Stanford University', maxItems: 20 },
+  { name: 'extracurriculars', label: 'Extracurriculars', placeholder: 'e.g., Debate Team Captain', maxItems: 50 },
+  { name: 'strengths', label: 'Strengths', placeholder: 'e.g., Public speaking', maxItems: 10 },
+  { name: 'weaknesses', label: 'Areas to Improve', placeholder: 'e.g., Time management', maxItems: 10 }
+];
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '8px',
+  fontWeight: '500',
+  fontSize: '14px',
+  color: 'var(--text-secondary, #333333)'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid var(--border-primary, #ddd)',
+  borderRadius: '4px',
+  fontSize: '14px',
+  backgroundColor: 'var(--background-tertiary, #ffffff)',
+  color: 'var(--text-primary, #000000)',
+  boxSizing: 'border-box',
+  fontFamily: 'inherit'
+};
+
+const toFormState = (profile) => ({
+  name: profile?.name || '',
+  grade: profile?.grade ? String(profile.grade) : '',
+  targetMajor: profile?.targetMajor || '',
+  ...Object.fromEntries(LIST_FIELDS.map(field => [field.name, (profile?.[field.name] || []).join('\n')]))
+});
+
+const splitLines = (value) => value
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line.length > 0);
+
+export default function ProfileEditor({ isOpen, onClose, user, onProfileUpdated }) {
+  const [formData, setFormData] = useState(toFormState(user));
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [errorDetails, setErrorDetails] = useState([]);
+  const [saved, setSaved] = useState(false);
+  const token = user?.token;
+
+  // Load the latest profile from the server each time the editor opens
+  useEffect(() => {
+    if (!isOpen || !token) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setErrorDetails([]);
+    setSaved(false);
+
+    getProfile(token)
+      .then(data => setFormData(toFormState(data.user)))
+      .catch(loadError => {
+        console.error('[ProfileEditor] Error loading profile:', loadError);
+        setError('Could not load your latest profile. Showing saved details.');
+      })
+      .finally(() => setLoading(false));
+  }, [isOpen, token]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setSaved(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setErrorDetails([]);
+
+    try {
+      const updates = {
+        name: formData.name,
+        grade: formData.grade ? parseInt(formData.grade, 10) : null,
+        targetMajor: formData.targetMajor,
+        ...Object.fromEntries(LIST_FIELDS.map(field => [field.name, splitLines(formData[field.name])]))
+      };
+
+      const data = await updateProfile(token, updates);
+      setFormData(toFormState(data.user));
+      setSaved(true);
+
+      if (onProfileUpdated) {
+        onProfileUpdated(data.user);
+      }
+    } catch (saveError) {
+      setError(saveError.serverMessage || saveError.message);
+      setErrorDetails(Array.isArray(saveError.details) ? saveError.details : []);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1100
+    }}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="profile-editor-title"
+        style={{
+          backgroundColor: 'var(--background-primary, white)',
+          borderRadius: '8px',
+          padding: '24px',
+          width: '90%',
+          maxWidth: '520px',
+          maxHeight: '90vh',
+          overflow: 'auto'
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '8px'
+        }}>
+          <h2 id="profile-editor-title" style={{
+            margin: 0,
+            fontSize: '24px',
+            fontWeight: '600',
+            color: 'var(--text-primary, #000000)'
+          }}>
+            My Profile
+          </h2>
+          <button
+            onClick={onClose}
+            aria-label="Close profile editor"
+            style={{
+              background: 'none',
+              border: 'none',
+              fontSize: '24px',
+              cursor: 'pointer',
+              color: 'var(--text-tertiary, #666)'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <p style={{ marginTop: 0, marginBottom: '20px', fontSize: '14px', color: 'var(--text-tertiary, #666)' }}>
+          Your interviewer uses these details to tailor questions and feedback. {user?.email}
+        </p>
+
+        {error && (
+          <div style={{
+            backgroundColor: 'var(--error-background, #fee)',
+            border: '1px solid var(--error-border, #fcc)',
+            color: 'var(--error-text, #c00)',
+            padding: '12px',
+            borderRadius: '4px',
+            marginBottom: '16px',
+            fontSize: '14px'
+          }}>
+            {error}
+            {errorDetails.length > 0 && (
+              <ul style={{ margin: '8px 0 0', paddingLeft: '20px' }}>
+                {errorDetails.map(detail => <li key={detail}>{detail}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {saved && (
+          <div style={{
+            backgroundColor: 'var(--success-background, #efe)',
+            border: '1px solid var(--success-border, #cfc)',
+            color: 'var(--success-text, #060)',
+            padding: '12px',
+            borderRadius: '4px',
+            marginBottom: '16px',
+            fontSize: '14px'
+          }}>
+            Profile saved. Your next interview will use these details.
+          </div>
+        )}
+
+        {loading ? (
+          <p style={{ fontSize: '14px', color: 'var(--text-secondary, #333333)' }}>Loading profile...</p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div style={{ marginBottom: '16px' }}>
+              <label htmlFor="profile-name" style={labelStyle}>Full Name:</label>
+              <input
+                id="profile-name"
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleInputChange}
+                required
+                style={inputStyle}
+              />
+            </div>
+
+            <div style={{ display: 'flex', gap: '12px', marginBottom: '16px' }}>
+              <div style={{ flex: '0 0 120px' }}>
+                <label htmlFor="profile-grade" style={labelStyle}>Grade:</label>
+                <select
+                  id="profile-grade"
+                  name="grade"
+                  value={formData.grade}
+                  onChange={handleInputChange}
+                  style={inputStyle}
+                >
+                  <option value="">Not set</option>
+                  {[...Array(12)].map((_, i) => (
+                    <option key={i + 1} value={i + 1}>{i + 1}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div style={{ flex: 1 }}>
+                <label htmlFor="profile-targetMajor" style={labelStyle}>Target Major:</label>
+                <input
+                  id="profile-targetMajor"
+                  type="text"
+                  name="targetMajor"
+                  value={formData.targetMajor}
+                  onChange={handleInputChange}
+                  placeholder="e.g., Computer Science"
+                  style={inputStyle}
+                />
+              </div>
+            </div>
+
+            {LIST_FIELDS.map(field => (
+              <div key={field.name} style={{ marginBottom: '16px' }}>
+                <label htmlFor={`profile-${field.name}`} style={labelStyle}>
+                  {field.label} <span style={{ fontWeight: '400', color: 'var(--text-tertiary, #666)' }}>
+                    (one per line, up to {field.maxItems})
+                  </span>
+                </label>
+                <textarea
+                  id={`profile-${field.name}`}
+                  name={field.name}
+                  value={formData[field.name]}
+                  onChange={handleInputChange}
+                  placeholder={field.placeholder}
+                  rows={3}
+                  style={{ ...inputStyle, resize: 'vertical' }}
+                />
+              </div>
+            ))}
+
+            <div style={{ display: 'flex', gap: '12px' }}>
+              <button
+                type="button"
+                onClick={onClose}
+                style={{
+                  flex: 1,
+                  padding: '12px',
+                  backgroundColor: 'transparent',
+                  color: 'var(--text-primary, #000000)',
+                  border: '1px solid var(--border-primary, #ddd)',
+                  borderRadius: '4px',
+                  fontSize: '16px',
+                  cursor: 'pointer'
+                }}
+              >
+                Close
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                style={{
+                  flex: 2,
+                  padding: '12px',
+                  backgroundColor: saving ? '#ccc' : '#007bff',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  fontSize: '16px',
+                  fontWeight: '500',
+                  cursor: saving ? 'not-allowed' : 'pointer'
+                }}
+              >
+                {saving ? 'Saving...' : 'Save Profile'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -12,21 +12,40 @@
  * ✅ Contextual messages for each phase
  * ✅ Professional styling with hover effects
  * ✅ Can be shown in chat area or as overlay
+ * ✅ Follows the progress reported by a background job when one is given
+ * ✅ Follows a job's progress pushed over the realtime WebSocket by its ID
  */
 
 import React, { useState, useEffect } from 'react';
+import { subscribeToRealtime, REALTIME_EVENTS } from '../services/api';
 
 const ProgressIndicator = ({ 
   isVisible = false,
   currentStep = 1,
   totalSteps = 3,
   customMessage = null,
+  progress: reportedProgress = null, // 0-100 within the current step, e.g. from a background job
+  detail = null, // Replaces the step subtitle, e.g. the job's progress message
+  jobId = null, // Background job whose pushed updates take over progress and detail
   onComplete = null,
   style = {},
   showOverlay = true
 }) => {
-  const [progress, setProgress] = useState(0);
+  const [autoProgress, setProgress] = useState(0);
   const [animationStep, setAnimationStep] = useState(0);
+  const [pushedJob, setPushedJob] = useState(null);
+
+  // Follow the job's realtime updates while visible
+  useEffect(() => {
+    setPushedJob(null);
+    if (!isVisible || !jobId) return;
+
+    return subscribeToRealtime(REALTIME_EVENTS.JOB_UPDATED, (job) => {
+      if (job.id === jobId) {
+        setPushedJob(job);
+      }
+    });
+  }, [isVisible, jobId]);
 
   // Progress messages for each step
   const stepMessages = [
@@ -52,9 +71,18 @@ const ProgressIndicator = ({
 
   const currentStepData = stepMessages[Math.min(currentStep - 1, stepMessages.length - 1)];
 
-  // Auto-advance progress bar
+  // Pushed updates are at least as recent as the progress passed in
+  const jobProgress = pushedJob ? pushedJob.progress : reportedProgress;
+  const stepDetail = pushedJob?.progressMessage || detail;
+
+  // Reported progress fills the current step's share of the bar
+  const progress = jobProgress === null
+    ? autoProgress
+    : ((currentStep - 1 + Math.min(Math.max(jobProgress, 0), 100) / 100) / totalSteps) * 100;
+
+  // Auto-advance progress bar while no progress is reported
   useEffect(() => {
-    if (!isVisible) return;
+    if (!isVisible || jobProgress !== null) return;
 
     const interval = setInterval(() => {
       setProgress(prev => {
@@ -70,7 +98,7 @@ const ProgressIndicator = ({
     }, 100);
 
     return () => clearInterval(interval);
-  }, [isVisible, currentStep, totalSteps, onComplete]);
+  }, [isVisible, currentStep, totalSteps, onComplete, jobProgress]);
 
   // Animation step for visual effects
   useEffect(() => {
@@ -169,7 +197,7 @@ const ProgressIndicator = ({
           marginBottom: '25px',
           lineHeight: '1.4'
         }}>
-          {currentStepData.subtitle}
+          {stepDetail || currentStepData.subtitle}
         </div>
 
         {/* Progress Bar */}
@@ -0,0 +1,240 @@
+/**
+ * ReviewComments Component - Counselor Comments on Interview Messages
+ *
+ * Shows counselor review threads next to the interview messages they are
+ * anchored to. Students see it inline in AIRatingDisplay and can reply to or
+ * resolve a thread; counselors open it from CounselorWorkspace with every
+ * message listed so they can start new threads.
+ *
+ * Related Files:
+ * - src/components/AIRatingDisplay.jsx - Student view below the AI rating
+ * - src/components/CounselorWorkspace.jsx - Counselor view of a student's interview
+ * - src/services/api.js - Review comment API calls
+ * - Backend: src/routes/review.routes.ts - /api/transcripts/:id/comments
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  getReviewComments,
+  addReviewComment,
+  setReviewThreadResolved,
+  deleteReviewComment
+} from '../services/api';
+
+const SPEAKER_LABELS = { ai: 'Interviewer', user: 'Student', system: 'System' };
+
+const quoteStyle = {
+  borderLeft: '3px solid var(--border-primary)',
+  padding: '4px 10px',
+  margin: '0 0 8px 0',
+  fontSize: '13px',
+  color: 'var(--text-secondary)',
+  whiteSpace: 'pre-wrap'
+};
+
+const textareaStyle = {
+  width: '100%',
+  padding: '6px 8px',
+  border: '1px solid var(--border-primary, #ddd)',
+  borderRadius: '4px',
+  fontSize: '13px',
+  backgroundColor: 'var(--background-tertiary, #ffffff)',
+  color: 'var(--text-primary, #000000)',
+  boxSizing: 'border-box',
+  fontFamily: 'inherit',
+  resize: 'vertical'
+};
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  padding: 0,
+  fontSize: '12px',
+  color: 'var(--accent-blue)',
+  cursor: 'pointer'
+};
+
+const formatTime = (value) => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+export default function ReviewComments({ transcriptId, user, showAllEntries = false }) {
+  const [entries, setEntries] = useState([]);
+  const [threads, setThreads] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [composingIndex, setComposingIndex] = useState(null);
+  const [error, setError] = useState('');
+  const token = user?.token;
+  const userId = user?.id || user?._id;
+
+  useEffect(() => {
+    if (!token || !transcriptId) {
+      return;
+    }
+
+    getReviewComments(token, transcriptId)
+      .then(data => {
+        setEntries(data.entries);
+        setThreads(data.threads);
+        setError('');
+      })
+      .catch(loadError => {
+        // Students without counselors get 403 here; there is simply nothing to show
+        if (loadError.status !== 403 || showAllEntries) {
+          console.error('[ReviewComments] Error loading comments:', loadError);
+          setError(loadError.serverMessage || loadError.message);
+        }
+      });
+  }, [token, transcriptId, showAllEntries]);
+
+  const runUpdate = async (request, draftKey) => {
+    try {
+      const data = await request();
+      setThreads(data.threads);
+      setError('');
+      if (draftKey) {
+        setDrafts(prev => ({ ...prev, [draftKey]: '' }));
+      }
+      return true;
+    } catch (updateError) {
+      setError(updateError.serverMessage || updateError.message);
+      return false;
+    }
+  };
+
+  const handleAddComment = async (anchorIndex) => {
+    const body = (drafts[`entry-${anchorIndex}`] || '').trim();
+    if (!body) return;
+
+    const added = await runUpdate(() => addReviewComment(token, transcriptId, { anchorIndex, body }), `entry-${anchorIndex}`);
+    if (added) {
+      setComposingIndex(null);
+    }
+  };
+
+  const handleReply = (thread) => {
+    const body = (drafts[thread.id] || '').trim();
+    if (!body) return;
+
+    runUpdate(() => addReviewComment(token, transcriptId, { parentId: thread.id, body }), thread.id);
+  };
+
+  const handleToggleResolved = (thread) => {
+    runUpdate(() => setReviewThreadResolved(token, transcriptId, thread.id, !thread.resolved));
+  };
+
+  const handleDelete = (comment) => {
+    if (!window.confirm(comment.parentId ? 'Delete this reply?' : 'Delete this comment and its replies?')) {
+      return;
+    }
+    runUpdate(() => deleteReviewComment(token, transcriptId, comment.id));
+  };
+
+  const updateDraft = (key) => (e) => {
+    setDrafts(prev => ({ ...prev, [key]: e.target.value }));
+  };
+
+  if (!showAllEntries && threads.length === 0 && !error) {
+    return null;
+  }
+
+  const openCount = threads.filter(thread => !thread.resolved).length;
+  const visibleEntries = showAllEntries
+    ? entries
+    : entries.filter(entry => threads.some(thread => thread.anchorIndex === entry.index));
+
+  const renderComment = (comment) => (
+    <div key={comment.id} style={{ marginBottom: '6px' }}>
+      <div style={{ fontSize: '12px', color: 'var(--text-secondary)' }}>
+        <strong style={{ color: 'var(--text-primary)' }}>{comment.author.name}</strong>
+        {comment.author.role !== 'student' && ' · Counselor'} · {formatTime(comment.createdAt)}
+        {comment.author.id === userId && (
+          <>
+            {' · '}
+            <button style={linkButtonStyle} onClick={() => handleDelete(comment)}>Delete</button>
+          </>
+        )}
+      </div>
+      <div style={{ fontSize: '13px', color: 'var(--text-primary)', whiteSpace: 'pre-wrap' }}>{comment.body}</div>
+    </div>
+  );
+
+  return (
+    <div style={{ marginTop: '16px' }}>
+      <div style={{ fontSize: '15px', fontWeight: '600', color: 'var(--text-primary)', marginBottom: '8px' }}>
+        Counselor Comments{threads.length > 0 && ` (${openCount} open)`}
+      </div>
+
+      {error && (
+        <div style={{ fontSize: '13px', color: '#FF3B30', marginBottom: '8px' }}>{error}</div>
+      )}
+
+      {visibleEntries.map(entry => {
+        const entryThreads = threads.filter(thread => thread.anchorIndex === entry.index);
+        const draftKey = `entry-${entry.index}`;
+
+        return (
+          <div key={entry.index} style={{ marginBottom: '14px' }}>
+            <div style={quoteStyle}>
+              <strong>{SPEAKER_LABELS[entry.speaker] || entry.speaker}:</strong> {entry.text}
+            </div>
+
+            {entryThreads.map(thread => (
+              <div key={thread.id} style={{
+                marginLeft: '12px',
+                padding: '8px 10px',
+                borderRadius: '6px',
+                backgroundColor: 'var(--background-secondary)',
+                opacity: thread.resolved ? 0.6 : 1,
+                marginBottom: '8px'
+              }}>
+                {renderComment(thread)}
+                <div style={{ marginLeft: '12px' }}>
+                  {thread.replies.map(renderComment)}
+                </div>
+                <textarea
+                  value={drafts[thread.id] || ''}
+                  onChange={updateDraft(thread.id)}
+                  placeholder="Reply…"
+                  rows={1}
+                  maxLength={2000}
+                  style={textareaStyle}
+                />
+                <div style={{ display: 'flex', gap: '12px', marginTop: '4px' }}>
+                  <button style={linkButtonStyle} onClick={() => handleReply(thread)} disabled={!(drafts[thread.id] || '').trim()}>
+                    Reply
+                  </button>
+                  <button style={linkButtonStyle} onClick={() => handleToggleResolved(thread)}>
+                    {thread.resolved ? 'Reopen' : 'Resolve'}
+                  </button>
+                </div>
+              </div>
+            ))}
+
+            {showAllEntries && (composingIndex === entry.index ? (
+              <div style={{ marginLeft: '12px' }}>
+                <textarea
+                  value={drafts[draftKey] || ''}
+                  onChange={updateDraft(draftKey)}
+                  placeholder="Comment on this message…"
+                  rows={2}
+                  maxLength={2000}
+                  style={textareaStyle}
+                  autoFocus
+                />
+                <div style={{ display: 'flex', gap: '12px', marginTop: '4px' }}>
+                  <button style={linkButtonStyle} onClick={() => handleAddComment(entry.index)} disabled={!(drafts[draftKey] || '').trim()}>
+                    Post
+                  </button>
+                  <button style={linkButtonStyle} onClick={() => setComposingIndex(null)}>Cancel</button>
+                </div>
+              </div>
+            ) : (
+              <button style={{ ...linkButtonStyle, marginLeft: '12px' }} onClick={() => setComposingIndex(entry.index)}>
+                Add comment
+              </button>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
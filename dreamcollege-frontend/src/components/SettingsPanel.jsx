@@ -4,6 +4,9 @@
  * This component now includes comprehensive file upload management
  * with the ability to toggle between simple and detailed views,
  * show upload statistics, and manage uploaded files.
+ * 
+ * Voice settings are saved to the user's account through the voice
+ * preferences service, so they apply on every device the user signs in on.
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -12,6 +15,8 @@ import UploadButton from './UploadButton';
 import FileManager from './FileManager';
 import CheckboxInput from './CheckboxInput';
 import AIRatingDisplay from './AIRatingDisplay';
+import TwoFactorSettings from './TwoFactorSettings';
+import AccountDataSettings from './AccountDataSettings';
 import { useUploadContext } from '../context/UploadContext';
 import {
   getAvailableVoices,
@@ -21,6 +26,14 @@ import {
   initializeTextToSpeech,
   checkTextToSpeechSupport
 } from '../services/textToSpeech';
+import {
+  getCachedVoicePreferences,
+  saveVoicePreferences,
+  applyVoicePreferences,
+  VOICE_PREFERENCES_EVENT,
+  DEFAULT_VOICE_SETTINGS,
+  DEFAULT_SPEECH_SETTINGS
+} from '../services/voicePreferences';
 
 export default function SettingsPanel({ 
   onDifficultyChange, 
@@ -29,7 +42,10 @@ export default function SettingsPanel({
   ratingLoading, 
   ratingError, 
   onRetryRating,
-  testVoiceTutorial
+  ratingTranscriptId,
+  testVoiceTutorial,
+  onProfileUpdated,
+  onAccountDeleted
 }) {
   const [showDetailedView, setShowDetailedView] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
@@ -38,15 +54,8 @@ export default function SettingsPanel({
   // Voice Settings State
   const [availableVoices, setAvailableVoices] = useState([]);
   const [selectedVoiceId, setSelectedVoiceId] = useState('');
-  const [voiceSettings, setVoiceSettings] = useState({
-    rate: 1.0,
-    volume: 0.8,
-    pitch: 1.0
-  });
-  const [speechSettings, setSpeechSettings] = useState({
-    autoPlayAI: true,
-    preferredGender: 'female'
-  });
+  const [voiceSettings, setVoiceSettings] = useState(DEFAULT_VOICE_SETTINGS);
+  const [speechSettings, setSpeechSettings] = useState(DEFAULT_SPEECH_SETTINGS);
   const [voiceInitialized, setVoiceInitialized] = useState(false);
   const [voiceError, setVoiceError] = useState(null);
   const [showVoiceSettings, setShowVoiceSettings] = useState(false);
@@ -61,12 +70,6 @@ export default function SettingsPanel({
     loadSavedSettings();
   }, []);
 
-  // Save settings when they change
-  useEffect(() => {
-    if (voiceInitialized) {
-      saveSettings();
-    }
-  }, [voiceSettings, speechSettings, selectedVoiceId, voiceInitialized]);
 
   /**
    * Initialize voice services and load available voices
@@ -82,16 +85,18 @@ export default function SettingsPanel({
         return;
       }
 
-      // Initialize text-to-speech service
+      // Initialize text-to-speech service with the saved settings
+      const saved = getCachedVoicePreferences();
       const initialized = await initializeTextToSpeech({
         preferredLanguage: 'en-US',
-        preferredGender: speechSettings.preferredGender,
-        rate: voiceSettings.rate,
-        volume: voiceSettings.volume,
-        pitch: voiceSettings.pitch
+        preferredGender: saved.speechSettings.preferredGender,
+        rate: saved.voiceSettings.rate,
+        volume: saved.voiceSettings.volume,
+        pitch: saved.voiceSettings.pitch
       });
 
       if (initialized) {
+        applyVoicePreferences(saved);
         setVoiceInitialized(true);
         await loadVoices();
         setVoiceError(null);
@@ -126,48 +131,41 @@ export default function SettingsPanel({
   }, [selectedVoiceId]);
 
   /**
-   * Load saved settings from localStorage
+   * Load saved settings from the voice preferences cache
    */
   const loadSavedSettings = useCallback(() => {
-    try {
-      const savedVoiceSettings = localStorage.getItem('voiceSettings');
-      const savedSpeechSettings = localStorage.getItem('speechSettings');
-      const savedSelectedVoice = localStorage.getItem('selectedVoice');
-      
-      if (savedVoiceSettings) {
-        setVoiceSettings(JSON.parse(savedVoiceSettings));
-      }
-      
-      if (savedSpeechSettings) {
-        setSpeechSettings(JSON.parse(savedSpeechSettings));
-      }
-      
-      if (savedSelectedVoice) {
-        setSelectedVoiceId(savedSelectedVoice);
-      }
-    } catch (error) {
-      console.error('Failed to load saved settings:', error);
+    const saved = getCachedVoicePreferences();
+    setVoiceSettings(saved.voiceSettings);
+    setSpeechSettings(saved.speechSettings);
+    if (saved.selectedVoice) {
+      setSelectedVoiceId(saved.selectedVoice);
     }
   }, []);
 
+  // Show preferences loaded from the server or changed on another device
+  useEffect(() => {
+    window.addEventListener(VOICE_PREFERENCES_EVENT, loadSavedSettings);
+    return () => window.removeEventListener(VOICE_PREFERENCES_EVENT, loadSavedSettings);
+  }, [loadSavedSettings]);
+
   /**
-   * Save settings to localStorage
+   * Save settings locally and to the server
    */
-  const saveSettings = useCallback(() => {
-    try {
-      localStorage.setItem('voiceSettings', JSON.stringify(voiceSettings));
-      localStorage.setItem('speechSettings', JSON.stringify(speechSettings));
-      localStorage.setItem('selectedVoice', selectedVoiceId);
-    } catch (error) {
-      console.error('Failed to save settings:', error);
-    }
-  }, [voiceSettings, speechSettings, selectedVoiceId]);
+  const saveSettings = (changes) => {
+    saveVoicePreferences(user, {
+      voiceSettings,
+      speechSettings,
+      selectedVoice: selectedVoiceId,
+      ...changes
+    });
+  };
 
   /**
    * Handle voice selection change
    */
   const handleVoiceChange = (voiceName) => {
     setSelectedVoiceId(voiceName);
+    saveSettings({ selectedVoice: voiceName });
     try {
       setVoice(voiceName);
     } catch (error) {
@@ -181,6 +179,7 @@ export default function SettingsPanel({
   const handleVoiceSettingChange = (setting, value) => {
     const newSettings = { ...voiceSettings, [setting]: value };
     setVoiceSettings(newSettings);
+    saveSettings({ voiceSettings: newSettings });
     
     try {
       configureTextToSpeech(newSettings);
@@ -193,7 +192,10 @@ export default function SettingsPanel({
    * Handle speech settings change
    */
   const handleSpeechSettingChange = (setting, value) => {
-    setSpeechSettings({ ...speechSettings, [setting]: value });
+    const newSettings = { ...speechSettings, [setting]: value };
+    setSpeechSettings(newSettings);
+    saveSettings({ speechSettings: newSettings });
+    applyVoicePreferences({ voiceSettings, speechSettings: newSettings, selectedVoice: selectedVoiceId });
   };
 
   /**
@@ -227,21 +229,12 @@ export default function SettingsPanel({
    * Reset voice settings to defaults
    */
   const handleResetSettings = () => {
-    const defaultVoiceSettings = {
-      rate: 1.0,
-      volume: 0.8,
-      pitch: 1.0
-    };
-    const defaultSpeechSettings = {
-      autoPlayAI: true,
-      preferredGender: 'female'
-    };
-    
-    setVoiceSettings(defaultVoiceSettings);
-    setSpeechSettings(defaultSpeechSettings);
+    setVoiceSettings(DEFAULT_VOICE_SETTINGS);
+    setSpeechSettings(DEFAULT_SPEECH_SETTINGS);
+    saveSettings({ voiceSettings: DEFAULT_VOICE_SETTINGS, speechSettings: DEFAULT_SPEECH_SETTINGS });
     
     try {
-      configureTextToSpeech(defaultVoiceSettings);
+      configureTextToSpeech(DEFAULT_VOICE_SETTINGS);
     } catch (error) {
       console.error('Failed to reset settings:', error);
     }
@@ -534,6 +527,29 @@ export default function SettingsPanel({
 
 
 
+            {/* Microphone sensitivity */}
+            <div style={{ marginBottom: '15px' }}>
+              <label style={{ display: 'flex', alignItems: 'center', marginBottom: '5px', fontWeight: '600' }}>
+                🎙️ Microphone Sensitivity: {Math.round(speechSettings.microphoneSensitivity * 100)}%
+              </label>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                <span style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>Strict</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="0.6"
+                  step="0.05"
+                  value={speechSettings.microphoneSensitivity}
+                  onChange={(e) => handleSpeechSettingChange('microphoneSensitivity', parseFloat(e.target.value))}
+                  style={{ flex: 1 }}
+                />
+                <span style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>Sensitive</span>
+              </div>
+              <div style={{ fontSize: '12px', color: 'var(--text-tertiary)', marginTop: '2px' }}>
+                Higher sensitivity accepts speech the browser is less sure it heard correctly
+              </div>
+            </div>
+
             {/* Auto-play AI responses */}
             <div style={{ marginBottom: '15px' }}>
               <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
@@ -617,6 +633,48 @@ export default function SettingsPanel({
         )}
       </div>
 
+      {/* Account Security */}
+      {user && (
+        <div style={{
+          backgroundColor: 'var(--settings-background)',
+          borderRadius: '16px',
+          padding: '20px',
+          marginBottom: '16px',
+          boxShadow: '0 1px 3px var(--shadow-light)',
+          border: '1px solid var(--border-primary)'
+        }}>
+          <h3 style={{
+            fontSize: '20px',
+            fontWeight: '600',
+            color: 'var(--text-secondary)',
+            margin: '0 0 16px 0',
+            letterSpacing: '-0.32px'
+          }}>Two-Factor Authentication</h3>
+          <TwoFactorSettings key={user.id || user._id} user={user} onProfileUpdated={onProfileUpdated} />
+        </div>
+      )}
+
+      {/* Account Data */}
+      {user && (
+        <div style={{
+          backgroundColor: 'var(--settings-background)',
+          borderRadius: '16px',
+          padding: '20px',
+          marginBottom: '16px',
+          boxShadow: '0 1px 3px var(--shadow-light)',
+          border: '1px solid var(--border-primary)'
+        }}>
+          <h3 style={{
+            fontSize: '20px',
+            fontWeight: '600',
+            color: 'var(--text-secondary)',
+            margin: '0 0 16px 0',
+            letterSpacing: '-0.32px'
+          }}>Your Data</h3>
+          <AccountDataSettings key={user.id || user._id} user={user} onAccountDeleted={onAccountDeleted} />
+        </div>
+      )}
+
       {/* Upload Information - Enhanced */}
       <div className="settings-box">
         <div style={{
@@ -692,6 +750,8 @@ export default function SettingsPanel({
             onRetryUpload={uploadContext.retryUpload}
             showPreview={true}
             maxPreviewLength={300}
+            user={user}
+            onProfileUpdated={onProfileUpdated}
           />
         ) : (
           user ? (
@@ -787,6 +847,8 @@ export default function SettingsPanel({
           loading={ratingLoading}
           error={ratingError}
           onRetry={onRetryRating}
+          transcriptId={ratingTranscriptId}
+          user={user}
         />
       </div>
     </div>
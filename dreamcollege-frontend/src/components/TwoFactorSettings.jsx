@@ -0,0 +1,226 @@
+/**
+ * TwoFactorSettings Component - Two-Factor Authentication Management
+ *
+ * Lets a logged-in student or counselor turn TOTP two-factor authentication
+ * on and off. Enrollment shows a QR code (and the secret for manual entry),
+ * confirms a first code from the authenticator app and then shows the
+ * recovery codes once. Rendered inside SettingsPanel.
+ *
+ * Related Files:
+ * - src/components/SettingsPanel.jsx - Hosts this section
+ * - src/components/AuthModal.jsx - Second login step
+ * - src/services/api.js - startTwoFactorSetup / enableTwoFactor / disableTwoFactor / regenerateRecoveryCodes
+ * - Backend: src/routes/auth.routes.ts - /api/auth/2fa endpoints
+ */
+
+import React, { useState } from 'react';
+import {
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../services/api';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid var(--border-primary, #ddd)',
+  borderRadius: '4px',
+  fontSize: '14px',
+  backgroundColor: 'var(--background-tertiary, #ffffff)',
+  color: 'var(--text-primary, #000000)',
+  boxSizing: 'border-box',
+  marginBottom: '10px'
+};
+
+const buttonStyle = (color, disabled) => ({
+  padding: '8px 12px',
+  fontSize: '13px',
+  backgroundColor: disabled ? '#ccc' : color,
+  color: 'white',
+  border: 'none',
+  borderRadius: '12px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontWeight: '600'
+});
+
+const textStyle = {
+  margin: '0 0 10px 0',
+  fontSize: '14px',
+  color: 'var(--text-tertiary)'
+};
+
+// Six digits are an authenticator code; anything else is treated as a recovery code
+const toCredentials = (value) => {
+  const trimmed = value.trim();
+  return /^\d{6}$/.test(trimmed) ? { code: trimmed } : { recoveryCode: trimmed };
+};
+
+export default function TwoFactorSettings({ user, onProfileUpdated }) {
+  const [enabled, setEnabled] = useState(!!user?.twoFactorEnabled);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const token = user?.token;
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      await action();
+    } catch (actionError) {
+      setError(actionError.serverMessage || actionError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateEnabled = (nextEnabled) => {
+    setEnabled(nextEnabled);
+    if (onProfileUpdated) {
+      onProfileUpdated({ twoFactorEnabled: nextEnabled });
+    }
+  };
+
+  const handleStartSetup = () => runAction(async () => {
+    setRecoveryCodes(null);
+    setCode('');
+    setSetup(await startTwoFactorSetup(token));
+  });
+
+  const handleConfirmSetup = (e) => {
+    e.preventDefault();
+    return runAction(async () => {
+      const data = await enableTwoFactor(token, code.trim());
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      updateEnabled(true);
+    });
+  };
+
+  const handleDisable = () => runAction(async () => {
+    await disableTwoFactor(token, toCredentials(code));
+    setCode('');
+    setRecoveryCodes(null);
+    updateEnabled(false);
+  });
+
+  const handleRegenerate = () => runAction(async () => {
+    const data = await regenerateRecoveryCodes(token, toCredentials(code));
+    setCode('');
+    setRecoveryCodes(data.recoveryCodes);
+  });
+
+  return (
+    <div>
+      {error && (
+        <div style={{
+          backgroundColor: 'var(--error-background, #fee)',
+          border: '1px solid var(--error-border, #fcc)',
+          color: 'var(--error-text, #c00)',
+          padding: '10px',
+          borderRadius: '4px',
+          marginBottom: '10px',
+          fontSize: '13px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div style={{
+          padding: '10px',
+          backgroundColor: 'var(--tip-background)',
+          border: '1px solid var(--tip-border)',
+          borderRadius: '4px',
+          marginBottom: '10px',
+          fontSize: '13px',
+          color: 'var(--tip-text)'
+        }}>
+          <strong>Save these recovery codes somewhere safe.</strong> Each one signs you in once if you lose your
+          authenticator app. They will not be shown again.
+          <ul style={{ margin: '8px 0 0', paddingLeft: '20px', fontFamily: 'monospace' }}>
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {!enabled && !setup && (
+        <>
+          <p style={textStyle}>
+            Protect your account with a code from an authenticator app (Google Authenticator, Authy, 1Password)
+            each time you sign in.
+          </p>
+          <button onClick={handleStartSetup} disabled={busy} style={buttonStyle('#007AFF', busy)}>
+            {busy ? 'Please wait...' : 'Set up two-factor authentication'}
+          </button>
+        </>
+      )}
+
+      {!enabled && setup && (
+        <form onSubmit={handleConfirmSetup}>
+          <p style={textStyle}>
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img
+            src={setup.qrCodeDataUrl}
+            alt="Two-factor authentication QR code"
+            style={{ display: 'block', width: '180px', height: '180px', margin: '0 auto 10px' }}
+          />
+          <p style={{ ...textStyle, fontSize: '12px', wordBreak: 'break-all' }}>
+            Can't scan it? Enter this key instead: <code>{setup.secret}</code>
+          </p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="123456"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            aria-label="Authentication code"
+            required
+            style={inputStyle}
+          />
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button type="submit" disabled={busy} style={buttonStyle('#34C759', busy)}>
+              {busy ? 'Verifying...' : 'Turn on'}
+            </button>
+            <button type="button" onClick={() => setSetup(null)} disabled={busy} style={buttonStyle('#8E8E93', busy)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {enabled && (
+        <>
+          <p style={textStyle}>
+            ✅ Two-factor authentication is on. Enter a current code or a recovery code to turn it off or to
+            get new recovery codes.
+          </p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Authentication or recovery code"
+            autoComplete="one-time-code"
+            aria-label="Authentication or recovery code"
+            style={inputStyle}
+          />
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={handleRegenerate} disabled={busy || !code.trim()} style={buttonStyle('#007AFF', busy || !code.trim())}>
+              New recovery codes
+            </button>
+            <button onClick={handleDisable} disabled={busy || !code.trim()} style={buttonStyle('#FF3B30', busy || !code.trim())}>
+              Turn off
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
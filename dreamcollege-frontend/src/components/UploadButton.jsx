@@ -229,8 +229,11 @@ export default function UploadButton() {
                   borderRadius: '4px',
                   fontSize: '12px',
                   fontWeight: '500'
-                }}>
+                }} title={file.processingStatus === 'processing' ? file.processingMessage : undefined}>
                   {getStatusText(file.processingStatus)}
+                  {file.processingStatus === 'processing' && file.processingProgress > 0 &&
+                    ` ${file.processingProgress}%`
+                  }
                 </div>
 
                 {/* Actions */}
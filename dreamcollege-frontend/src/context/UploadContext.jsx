@@ -5,10 +5,14 @@
  * making upload functionality accessible throughout the application.
  * It wraps the useFileUpload hook and adds additional features like
  * persistent state and cross-component communication.
+ * 
+ * File status changes and processing progress are pushed over the realtime
+ * WebSocket; polling and the refresh triggers below catch anything missed.
  */
 
 import React, { createContext, useContext, useEffect, useCallback, useRef } from 'react';
 import { useFileUpload } from '../hooks/useFileUpload';
+import { subscribeToRealtime, REALTIME_EVENTS } from '../services/api';
 
 // Create the context
 const UploadContext = createContext(null);
@@ -39,6 +43,30 @@ export function UploadProvider({ children, user }) {
     };
   }, [user?.id]); // Only re-run when user ID changes
   
+  // Realtime file status and processing progress
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+    
+    let wasConnected = false;
+    const unsubscribers = [
+      subscribeToRealtime(REALTIME_EVENTS.FILE_STATUS, fileUpload.applyFileStatus),
+      subscribeToRealtime(REALTIME_EVENTS.JOB_UPDATED, fileUpload.applyJobUpdate),
+      // Events sent while disconnected are not replayed; reload after reconnecting
+      subscribeToRealtime(REALTIME_EVENTS.CONNECTION, ({ connected }) => {
+        if (connected && wasConnected) {
+          console.log('[UploadProvider] Realtime reconnected - reloading files');
+          fileUpload.loadUploadedFiles();
+          lastRefreshTimeRef.current = Date.now();
+        }
+        wasConnected = wasConnected || connected;
+      })
+    ];
+    
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [user?.id, fileUpload.applyFileStatus, fileUpload.applyJobUpdate, fileUpload.loadUploadedFiles]);
+  
   // Automatic refresh functionality
   useEffect(() => {
     if (!user) {
@@ -4,7 +4,9 @@
  * This custom React hook manages file upload functionality including:
  * - Multiple file selection and validation
  * - Upload progress tracking
- * - Processing status monitoring
+ * - Processing progress from the background job for each file
+ * - Processing status monitoring, pushed over the realtime WebSocket with
+ *   polling as a fallback
  * - Error handling and retry logic
  * - File removal capabilities
  * 
@@ -12,8 +14,15 @@
  */
 
 import { useState, useCallback, useRef } from 'react';
-
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+import {
+  isRealtimeConnected,
+  getUploadedFiles,
+  uploadDocuments,
+  getUploadedFileContent,
+  deleteUploadedFile,
+  getJob,
+  getJobs
+} from '../services/api';
 
 // File type configurations matching backend
 const ALLOWED_FILE_TYPES = {
@@ -30,6 +39,8 @@ const ALLOWED_FILE_TYPES = {
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 const MAX_FILES = 10;
 const MAX_TOTAL_SIZE = 50 * 1024 * 1024; // 50MB total
+const POLL_INTERVAL = 2000; // Status checks while processing
+const REALTIME_FALLBACK_POLL_INTERVAL = 10000; // Status checks while realtime events are arriving
 
 export function useFileUpload() {
   const [files, setFiles] = useState([]);
@@ -37,6 +48,7 @@ export function useFileUpload() {
   const [uploadProgress, setUploadProgress] = useState({});
   const [errors, setErrors] = useState([]);
   const pollingIntervals = useRef({});
+  const lastPolledAt = useRef({});
 
   /**
    * Validates a single file
@@ -90,36 +102,133 @@ export function useFileUpload() {
    */
   const pollProcessingStatus = useCallback(async (fileId) => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${API_BASE_URL}/uploads/${fileId}/content`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      const data = await getUploadedFileContent(localStorage.getItem('token'), fileId);
       
-      if (response.ok) {
-        const data = await response.json();
-        
-        // Update file status
-        setFiles(prevFiles => 
-          prevFiles.map(f => 
-            f.id === fileId 
-              ? { ...f, processingStatus: data.file.processingStatus, extractedText: data.file.extractedText }
-              : f
-          )
-        );
-        
-        // Stop polling if processing is complete or failed
-        if (data.file.processingStatus === 'completed' || data.file.processingStatus === 'failed') {
-          clearInterval(pollingIntervals.current[fileId]);
-          delete pollingIntervals.current[fileId];
-        }
+      // Update file status
+      setFiles(prevFiles => 
+        prevFiles.map(f => 
+          f.id === fileId 
+            ? { ...f, processingStatus: data.file.processingStatus, extractedText: data.file.extractedText }
+            : f
+        )
+      );
+      
+      // Stop polling if processing is complete or failed
+      if (data.file.processingStatus === 'completed' || data.file.processingStatus === 'failed') {
+        clearInterval(pollingIntervals.current[fileId]);
+        delete pollingIntervals.current[fileId];
       }
     } catch (error) {
       console.error('Error polling status:', error);
     }
   }, []);
 
+  /**
+   * Polls a file's background processing job for progress
+   * Once the job finishes, the file's final status and text are fetched.
+   */
+  const pollJobStatus = useCallback(async (fileId, jobId) => {
+    let job;
+    try {
+      ({ job } = await getJob(localStorage.getItem('token'), jobId));
+    } catch (error) {
+      // Finished jobs are removed after a while; the file still has its status
+      if (error.status) {
+        await pollProcessingStatus(fileId);
+      } else {
+        console.error('Error polling job status:', error);
+      }
+      return;
+    }
+
+    setFiles(prevFiles =>
+      prevFiles.map(f =>
+        f.id === fileId
+          ? {
+              ...f,
+              processingStatus: job.status === 'running' ? 'processing' : f.processingStatus,
+              processingProgress: job.progress,
+              processingMessage: job.progressMessage
+            }
+          : f
+      )
+    );
+
+    if (job.status === 'completed' || job.status === 'failed') {
+      clearInterval(pollingIntervals.current[fileId]);
+      delete pollingIntervals.current[fileId];
+      await pollProcessingStatus(fileId);
+    }
+  }, [pollProcessingStatus]);
+
+  /**
+   * Starts polling a file that is still being processed
+   * Files with a job ID poll the job; others poll the file itself. While
+   * realtime events are arriving, polling only catches missed updates.
+   */
+  const startPolling = useCallback((file) => {
+    if (pollingIntervals.current[file.id]) {
+      return;
+    }
+
+    lastPolledAt.current[file.id] = Date.now();
+    pollingIntervals.current[file.id] = setInterval(() => {
+      const interval = isRealtimeConnected() ? REALTIME_FALLBACK_POLL_INTERVAL : POLL_INTERVAL;
+      if (Date.now() - lastPolledAt.current[file.id] < interval) {
+        return;
+      }
+      lastPolledAt.current[file.id] = Date.now();
+
+      if (file.jobId) {
+        pollJobStatus(file.id, file.jobId);
+      } else {
+        pollProcessingStatus(file.id);
+      }
+    }, POLL_INTERVAL);
+  }, [pollJobStatus, pollProcessingStatus]);
+
+  /**
+   * Applies a pushed processing job update to its file
+   */
+  const applyJobUpdate = useCallback((job) => {
+    if (!job.fileId) {
+      return;
+    }
+
+    setFiles(prevFiles =>
+      prevFiles.map(f =>
+        f.id === job.fileId
+          ? {
+              ...f,
+              processingStatus: job.status === 'running' ? 'processing' : f.processingStatus,
+              processingProgress: job.progress,
+              processingMessage: job.progressMessage
+            }
+          : f
+      )
+    );
+  }, []);
+
+  /**
+   * Applies a pushed file status change
+   * Finished files stop polling and fetch their extracted text.
+   */
+  const applyFileStatus = useCallback(({ fileId, processingStatus, processingError }) => {
+    setFiles(prevFiles =>
+      prevFiles.map(f =>
+        f.id === fileId
+          ? { ...f, processingStatus, ...(processingError && { processingError }) }
+          : f
+      )
+    );
+
+    if (processingStatus === 'completed' || processingStatus === 'failed') {
+      clearInterval(pollingIntervals.current[fileId]);
+      delete pollingIntervals.current[fileId];
+      pollProcessingStatus(fileId);
+    }
+  }, [pollProcessingStatus]);
+
   /**
    * Uploads files to the backend
    */
@@ -136,26 +245,7 @@ export function useFileUpload() {
     }
     
     try {
-      const formData = new FormData();
-      filesToUpload.forEach(file => {
-        formData.append('files', file);
-      });
-      
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${API_BASE_URL}/uploads`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        },
-        body: formData
-      });
-      
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || 'Upload failed');
-      }
-      
-      const data = await response.json();
+      const data = await uploadDocuments(localStorage.getItem('token'), filesToUpload);
       
       // Add uploaded files to state with metadata
       const newFiles = data.files.map((uploadedFile, index) => ({
@@ -166,12 +256,10 @@ export function useFileUpload() {
       
       setFiles(prevFiles => [...prevFiles, ...newFiles]);
       
-      // Start polling for processing status
+      // Start polling each file's processing job
       newFiles.forEach(file => {
         if (file.processingStatus === 'pending' || file.processingStatus === 'processing') {
-          pollingIntervals.current[file.id] = setInterval(() => {
-            pollProcessingStatus(file.id);
-          }, 2000); // Poll every 2 seconds
+          startPolling(file);
         }
       });
       
@@ -192,24 +280,14 @@ export function useFileUpload() {
       setUploading(false);
       setUploadProgress({});
     }
-  }, [validateFiles, pollProcessingStatus]);
+  }, [validateFiles, startPolling]);
 
   /**
    * Removes a file (both locally and from server)
    */
   const removeFile = useCallback(async (fileId) => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${API_BASE_URL}/uploads/${fileId}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error('Failed to delete file');
-      }
+      await deleteUploadedFile(localStorage.getItem('token'), fileId);
       
       // Stop polling if active
       if (pollingIntervals.current[fileId]) {
@@ -262,34 +340,37 @@ export function useFileUpload() {
         return;
       }
       
-      const response = await fetch(`${API_BASE_URL}/uploads`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
+      const data = await getUploadedFiles(token);
+      console.log('[loadUploadedFiles] Loaded files:', data.files.length);
+
+      // Match files still processing to their active jobs
+      const isProcessing = file => file.processingStatus === 'pending' || file.processingStatus === 'processing';
+      const jobIds = {};
+      if (data.files.some(isProcessing)) {
+        try {
+          const { jobs } = await getJobs(token, 'active');
+          jobs.forEach(job => {
+            if (job.fileId) {
+              jobIds[job.fileId] = job.id;
+            }
+          });
+        } catch (jobsError) {
+          // Files without a job ID poll their own status instead
+          console.warn('[loadUploadedFiles] Could not load active jobs:', jobsError);
         }
-      });
-      
-      console.log('[loadUploadedFiles] Response status:', response.status);
-      
-      if (response.ok) {
-        const data = await response.json();
-        console.log('[loadUploadedFiles] Loaded files:', data.files.length);
-        setFiles(data.files);
-        
-        // Start polling for any files still processing
-        data.files.forEach(file => {
-          if (file.processingStatus === 'pending' || file.processingStatus === 'processing') {
-            pollingIntervals.current[file.id] = setInterval(() => {
-              pollProcessingStatus(file.id);
-            }, 2000);
-          }
-        });
-      } else {
-        console.error('[loadUploadedFiles] Failed to load files:', response.status, response.statusText);
       }
+
+      const loadedFiles = data.files.map(file => (
+        jobIds[file.id] ? { ...file, jobId: jobIds[file.id] } : file
+      ));
+      setFiles(loadedFiles);
+      
+      // Start polling for any files still processing
+      loadedFiles.filter(isProcessing).forEach(startPolling);
     } catch (error) {
       console.error('[loadUploadedFiles] Error loading files:', error);
     }
-  }, [pollProcessingStatus]);
+  }, [startPolling]);
 
   /**
    * Clears all errors
@@ -317,6 +398,8 @@ export function useFileUpload() {
     removeFile,
     retryUpload,
     loadUploadedFiles,
+    applyJobUpdate,
+    applyFileStatus,
     clearErrors,
     cleanup,
     // Expose validation for external use
@@ -1,22 +1,40 @@
 /**
  * AI Interview Coach Frontend - API Service
  * 
- * Centralized API service for AI rating functionality including
- * interview transcript submission, rating generation, and rating retrieval.
+ * Centralized API client for every backend call the frontend makes, from
+ * authentication and uploads to interview transcripts and AI ratings.
  * Provides consistent error handling, authentication, and response validation.
  * 
  * Features:
  * - Centralized API endpoint management
+ * - Base URL configured with VITE_API_URL; the realtime URL is derived from it
+ * - Failed requests throw ApiError with the server's message, code and details
+ * - JSDoc types for the backend's response shapes
  * - Automatic authentication header injection
  * - Consistent error handling and user-friendly messages
  * - Response validation and type checking
  * - Retry mechanisms for transient failures
  * - Network timeout handling
+ * - Transparent access token refresh and request replay on 401
+ * - Streaming chat replies read from Server-Sent Events
+ * - Background jobs polled until they finish, with progress callbacks
+ * - Realtime job and interview events over an authenticated WebSocket
  * 
  * Related Files:
  * - src/components/ChatBox.jsx - Main consumer of these API functions
+ * - src/components/AuthModal.jsx - Login, registration and emailed link screens
+ * - src/hooks/useFileUpload.js - Document uploads and processing status
  * - src/components/SettingsPanel.jsx - Displays AI rating results
  * - Backend: src/routes/chat.routes.ts - API endpoints
+ * - Backend: src/routes/auth.routes.ts - Token refresh endpoint
+ * - Backend: src/routes/organization.routes.ts - Counselor workspace endpoints
+ * - Backend: src/routes/review.routes.ts - Review comment endpoints
+ * - Backend: src/routes/conversation.routes.ts - Stored interview conversations
+ * - Backend: src/routes/upload.routes.ts - Uploaded documents and profile suggestions
+ * - Backend: src/routes/job.routes.ts - Background job status
+ * - Backend: src/services/realtime.service.ts - Realtime event WebSocket
+ * - Backend: src/services/voicePreference.service.ts - Stored voice preferences
+ * - Backend: src/schemas/ - Request and response schemas the types below follow
  * 
  * Task: Step 11 - Frontend API Service Functions
  * 
@@ -24,9 +42,111 @@
  * @version 1.0.0
  */
 
-// API Configuration
-const API_BASE_URL = 'http://localhost:3000';
+// API Configuration; VITE_API_URL includes the /api prefix
+const API_BASE_URL = (import.meta.env.VITE_API_URL || 'http://localhost:3000/api').replace(/\/+$/, '');
 const API_TIMEOUT = 30000; // 30 seconds
+const JOB_POLL_INTERVAL = 1500; // 1.5 seconds between job status checks
+const JOB_TIMEOUT = 5 * 60 * 1000; // Stop waiting for a background job after 5 minutes
+const JOB_FALLBACK_POLL_INTERVAL = 10000; // Job status checks while realtime events are arriving
+const REALTIME_URL = `${API_BASE_URL.replace(/^http/, 'ws')}/ws`;
+const REALTIME_RECONNECT_DELAY = 1000; // First reconnect attempt, doubled up to the maximum
+const REALTIME_MAX_RECONNECT_DELAY = 30000;
+const REALTIME_UNAUTHORIZED = 4001; // Close code for a rejected or expired access token
+
+// Auth storage keys shared with AuthModal and App
+const TOKEN_STORAGE_KEY = 'token';
+const REFRESH_TOKEN_STORAGE_KEY = 'refreshToken';
+const USER_STORAGE_KEY = 'user';
+const DEVICE_ID_STORAGE_KEY = 'deviceId';
+
+/**
+ * Window events dispatched when the stored session changes outside React
+ * App listens to these to keep user state in sync with localStorage
+ */
+export const AUTH_EVENTS = {
+  TOKEN_REFRESHED: 'auth:token-refreshed',
+  SESSION_EXPIRED: 'auth:session-expired'
+};
+
+/**
+ * Realtime events pushed by the backend, plus the connection state of the channel itself
+ */
+export const REALTIME_EVENTS = {
+  JOB_UPDATED: 'job.updated',
+  FILE_STATUS: 'file.status',
+  RATING_COMPLETED: 'rating.completed',
+  RATING_FAILED: 'rating.failed',
+  SESSION_STATUS: 'session.status',
+  VOICE_PREFERENCES: 'voice.preferences',
+  CONNECTION: 'realtime.connection'
+};
+
+/**
+ * Error body returned by every backend route
+ * @typedef {Object} ErrorResponse
+ * @property {string} error - HTTP status title, e.g. 'Bad Request'
+ * @property {string} message - Readable description of the problem
+ * @property {string} [code] - Machine-readable code, e.g. 'VALIDATION_ERROR'
+ * @property {*} [details] - Field errors or other context
+ * @property {number} [retryAfterSeconds] - Wait before retrying a rate-limited request
+ */
+
+/**
+ * Background job for a document upload or AI rating
+ * @typedef {Object} Job
+ * @property {string} id - Job ID
+ * @property {string} type - Job type
+ * @property {'queued'|'running'|'completed'|'failed'} status - Current state
+ * @property {number} progress - Percentage complete
+ * @property {string} [progressMessage] - Current step
+ * @property {string} [fileId] - Uploaded file the job processes
+ * @property {string} [error] - Failure message
+ */
+
+/**
+ * Uploaded document as listed by the uploads endpoints
+ * @typedef {Object} UploadedFile
+ * @property {string} id - File ID
+ * @property {string} originalName - Name the file was uploaded with
+ * @property {number} size - Size in bytes
+ * @property {string} fileType - File type, e.g. 'pdf'
+ * @property {'pending'|'processing'|'completed'|'failed'} processingStatus - Text extraction state
+ * @property {string} [jobId] - Processing job, while the file is being processed
+ * @property {string} [extractedText] - Text read from the file, once processed
+ */
+
+/**
+ * Error thrown for every failed API request
+ * Carries the fields of the server's ErrorResponse so callers can branch on
+ * the status or code rather than on the message.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - User-facing message
+   * @param {Response} response - Failed fetch response
+   * @param {ErrorResponse|null} body - Parsed error body, if the server sent JSON
+   */
+  constructor(message, response, body = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = response.status;
+    this.response = response;
+    this.code = body?.code;
+    this.details = body?.details;
+    this.serverMessage = body?.message;
+    this.retryAfterSeconds = body?.retryAfterSeconds ?? parseRetryAfter(response.headers.get('Retry-After'));
+  }
+}
+
+// In-flight refresh request shared by concurrent 401 responses
+let refreshPromise = null;
+
+// Realtime channel state; the socket is open while anything is subscribed
+const realtimeListeners = new Map();
+let realtimeSocket = null;
+let realtimeConnected = false;
+let realtimeReconnectTimer = null;
+let realtimeReconnectDelay = REALTIME_RECONNECT_DELAY;
 
 /**
  * Create fetch request with timeout and proper headers
@@ -39,8 +159,9 @@ const fetchWithTimeout = (url, options = {}, token = null) => {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
 
+  // The browser sets the multipart boundary for FormData bodies
   const headers = {
-    'Content-Type': 'application/json',
+    ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
     ...options.headers
   };
 
@@ -57,20 +178,166 @@ const fetchWithTimeout = (url, options = {}, token = null) => {
   });
 };
 
+/**
+ * Get the identifier for this browser, creating one on first use
+ * Refresh tokens are issued per device so one device can be signed out alone
+ * @returns {string} Stable device identifier
+ */
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_STORAGE_KEY);
+
+  if (!deviceId) {
+    deviceId = typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    localStorage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+  }
+
+  return deviceId;
+};
+
+/**
+ * Persist the tokens returned by login, register or refresh
+ * @param {Object} authData - Response containing token and refreshToken
+ */
+export const storeAuthTokens = (authData) => {
+  if (authData.token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, authData.token);
+  }
+
+  if (authData.refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_STORAGE_KEY, authData.refreshToken);
+  }
+};
+
+/**
+ * Remove all stored session data
+ */
+export const clearAuthTokens = () => {
+  localStorage.removeItem(TOKEN_STORAGE_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_STORAGE_KEY);
+  localStorage.removeItem(USER_STORAGE_KEY);
+};
+
+/**
+ * Exchange the stored refresh token for a new access token
+ * Concurrent callers share a single request so the single-use refresh
+ * token is only presented once.
+ * 
+ * @returns {Promise<string|null>} New access token, or null if the session has ended
+ */
+export const refreshAccessToken = () => {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+  if (!refreshToken) {
+    return Promise.resolve(null);
+  }
+
+  refreshPromise = (async () => {
+    try {
+      const response = await fetchWithTimeout(
+        `${API_BASE_URL}/auth/refresh`,
+        {
+          method: 'POST',
+          headers: { 'X-Device-Id': getDeviceId() },
+          body: JSON.stringify({ refreshToken })
+        }
+      );
+
+      if (!response.ok) {
+        // Only a definitive rejection ends the session; keep tokens on server errors
+        if (response.status === 400 || response.status === 401) {
+          console.log('API: Refresh token rejected, ending session');
+          clearAuthTokens();
+          window.dispatchEvent(new CustomEvent(AUTH_EVENTS.SESSION_EXPIRED));
+        }
+        return null;
+      }
+
+      const data = await response.json();
+      storeAuthTokens(data);
+      window.dispatchEvent(new CustomEvent(AUTH_EVENTS.TOKEN_REFRESHED, {
+        detail: { token: data.token, expiresAt: data.expiresAt }
+      }));
+
+      console.log('API: Access token refreshed', { expiresAt: data.expiresAt });
+      return data.token;
+
+    } catch (error) {
+      console.error('API: Error refreshing access token:', error);
+      return null;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+};
+
+/**
+ * Authenticated fetch that refreshes an expired access token and replays the request
+ * @param {string} url - API endpoint URL
+ * @param {Object} options - Fetch options
+ * @param {string} token - Authentication token
+ * @returns {Promise<Response>} Response of the original or replayed request
+ */
+export const fetchWithAuth = async (url, options = {}, token = null) => {
+  const response = await fetchWithTimeout(url, options, token);
+
+  if (response.status !== 401 || !token) {
+    return response;
+  }
+
+  // Another request may already have refreshed the token this one was sent with
+  const storedToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+  const newToken = storedToken && storedToken !== token
+    ? storedToken
+    : await refreshAccessToken();
+
+  if (!newToken) {
+    return response;
+  }
+
+  console.log('API: Replaying request with refreshed token:', url);
+  return fetchWithTimeout(url, options, newToken);
+};
+
+/**
+ * Read a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|undefined} Seconds to wait, or undefined if missing or unreadable
+ */
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
 /**
  * Handle API response and extract data with error handling
  * @param {Response} response - Fetch response object
  * @returns {Promise<Object>} Parsed response data
- * @throws {Error} API or network errors with user-friendly messages
+ * @throws {ApiError} API errors with user-friendly messages
  */
 const handleApiResponse = async (response) => {
   // Handle network errors
   if (!response.ok) {
     let errorMessage = 'An unexpected error occurred';
+    let errorData = null;
     
     try {
-      const errorData = await response.json();
-      errorMessage = errorData.error || errorData.message || errorMessage;
+      errorData = await response.json();
+      // Error bodies carry a readable message; error is only the HTTP status title
+      errorMessage = errorData.message || errorData.error || errorMessage;
     } catch (parseError) {
       // If response is not JSON, use status-based messages
       switch (response.status) {
@@ -100,10 +367,7 @@ const handleApiResponse = async (response) => {
       }
     }
     
-    const error = new Error(errorMessage);
-    error.status = response.status;
-    error.response = response;
-    throw error;
+    throw new ApiError(errorMessage, response, errorData);
   }
 
   try {
@@ -120,6 +384,7 @@ const handleApiResponse = async (response) => {
  * @param {Array} transcript - Array of interview messages
  * @param {Object} context - Interview context (difficulty, user profile, etc.)
  * @param {string} token - User authentication token
+ * @param {string|null} assignmentId - Counselor assignment this interview completes, if any
  * @returns {Promise<Object>} Response with transcript ID and metadata
  * @throws {Error} Validation, network, or API errors
  * 
@@ -133,7 +398,7 @@ const handleApiResponse = async (response) => {
  * console.log('Transcript saved with ID:', result.data.transcriptId);
  * ```
  */
-export const submitInterviewTranscript = async (transcript, context, token) => {
+export const submitInterviewTranscript = async (transcript, context, token, assignmentId = null) => {
   // Validate inputs
   if (!transcript || !Array.isArray(transcript) || transcript.length === 0) {
     throw new Error('Interview transcript is required and cannot be empty');
@@ -166,13 +431,14 @@ export const submitInterviewTranscript = async (transcript, context, token) => {
       contextKeys: Object.keys(context)
     });
 
-    const response = await fetchWithTimeout(
-      `${API_BASE_URL}/api/chat/end-interview`,
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/chat/end-interview`,
       {
         method: 'POST',
         body: JSON.stringify({
           messages: transcript,
-          interviewContext: context
+          interviewContext: context,
+          ...(assignmentId && { assignmentId })
         })
       },
       token
@@ -203,21 +469,51 @@ export const submitInterviewTranscript = async (transcript, context, token) => {
   }
 };
 
+/**
+ * End an interview stored on the server as a conversation
+ * The backend builds the transcript from the stored messages, so only the
+ * conversation ID and the final interview context are sent.
+ * 
+ * @param {string} conversationId - Conversation ID from startConversation
+ * @param {Object} context - Interview context (difficulty, user profile, duration, etc.)
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} Response with transcript ID and metadata
+ */
+export const endConversationInterview = async (conversationId, context, token) => {
+  const data = await apiRequest(
+    token,
+    'POST',
+    '/chat/end-interview',
+    { conversationId, interviewContext: context },
+    'ending interview'
+  );
+
+  if (!data.success || !data.data || !data.data.transcriptId) {
+    throw new Error('Invalid response: Missing transcript ID');
+  }
+
+  return data;
+};
+
 /**
  * Generate AI feedback from collected transcript
  * 
+ * The rating is generated by a background job; this waits for the job and
+ * then reads the finished rating.
+ * 
  * @param {string} transcriptId - ID of the stored transcript
  * @param {string} token - User authentication token
+ * @param {Function} onProgress - Optional callback receiving the rating job as it runs
  * @returns {Promise<Object>} Complete AI feedback report
  * @throws {Error} Validation, network, or API errors
  * 
  * @example
  * ```javascript
- * const rating = await generateAIRating(transcriptId, userToken);
+ * const rating = await generateAIRating(transcriptId, userToken, job => console.log(job.progress));
  * console.log('Overall rating:', rating.rating.overallRating);
  * ```
  */
-export const generateAIRating = async (transcriptId, token) => {
+export const generateAIRating = async (transcriptId, token, onProgress = null) => {
   // Validate inputs
   if (!transcriptId) {
     throw new Error('Transcript ID is required');
@@ -230,8 +526,8 @@ export const generateAIRating = async (transcriptId, token) => {
   try {
     console.log('API: Generating AI rating for transcript:', transcriptId);
 
-    const response = await fetchWithTimeout(
-      `${API_BASE_URL}/api/chat/generate-rating`,
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/chat/generate-rating`,
       {
         method: 'POST',
         body: JSON.stringify({ transcriptId })
@@ -239,7 +535,13 @@ export const generateAIRating = async (transcriptId, token) => {
       token
     );
 
-    const data = await handleApiResponse(response);
+    let data = await handleApiResponse(response);
+
+    // 202: the rating is being generated in the background
+    if (response.status === 202) {
+      await waitForJob(token, data.job.id, onProgress);
+      data = await getAIRating(transcriptId, token);
+    }
 
     // Validate response structure
     if (!data.success || !data.rating) {
@@ -271,7 +573,13 @@ export const generateAIRating = async (transcriptId, token) => {
     
     // Handle specific API errors with user-friendly messages
     if (error.status === 429) {
-      throw new Error('AI service is currently busy analyzing other interviews. Please wait a moment and try again.');
+      const busyError = new Error('AI service is currently busy analyzing other interviews. Please wait a moment and try again.');
+      // Keep what retryApiCall needs to wait out a rate limit
+      busyError.status = error.status;
+      busyError.code = error.code;
+      busyError.serverMessage = error.serverMessage;
+      busyError.retryAfterSeconds = error.retryAfterSeconds;
+      throw busyError;
     }
     
     if (error.status === 410) {
@@ -310,8 +618,8 @@ export const getAIRating = async (transcriptId, token) => {
   try {
     console.log('API: Retrieving AI rating for transcript:', transcriptId);
 
-    const response = await fetchWithTimeout(
-      `${API_BASE_URL}/api/chat/rating/${encodeURIComponent(transcriptId)}`,
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/chat/rating/${encodeURIComponent(transcriptId)}`,
       {
         method: 'GET'
       },
@@ -347,8 +655,13 @@ export const getAIRating = async (transcriptId, token) => {
   }
 };
 
+// Longest Retry-After that retryApiCall waits out; longer waits are left to the user
+const MAX_RETRY_AFTER_SECONDS = 60;
+
 /**
  * Retry an API call with exponential backoff
+ * A 429 response with a Retry-After is retried once the server allows it,
+ * or not at all if that is more than a minute away.
  * 
  * @param {Function} apiCall - The API function to retry
  * @param {Array} args - Arguments to pass to the API function
@@ -379,8 +692,14 @@ export const retryApiCall = async (apiCall, args, maxRetries = 3, baseDelay = 10
         break;
       }
       
-      // Calculate delay with exponential backoff
-      const delay = baseDelay * Math.pow(2, attempt);
+      // Wait as long as the server asks when rate limited, otherwise back off exponentially
+      const retryAfter = error.status === 429 ? error.retryAfterSeconds : undefined;
+      if (retryAfter > MAX_RETRY_AFTER_SECONDS) {
+        throw error;
+      }
+      const delay = retryAfter !== undefined
+        ? retryAfter * 1000
+        : baseDelay * Math.pow(2, attempt);
       console.log(`API: Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
       
       // Wait before retrying
@@ -415,8 +734,8 @@ export const getAIRatingsHistory = async (token, limit = 10, offset = 0) => {
   try {
     console.log('API: Fetching AI ratings history', { limit, offset });
 
-    const response = await fetchWithTimeout(
-      `${API_BASE_URL}/api/chat/ratings/history?limit=${limit}&offset=${offset}`,
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/chat/ratings/history?limit=${limit}&offset=${offset}`,
       {
         method: 'GET'
       },
@@ -456,8 +775,8 @@ export const getAIRatingsHistory = async (token, limit = 10, offset = 0) => {
  */
 export const testApiConnection = async (token = null) => {
   try {
-    const response = await fetchWithTimeout(
-      `${API_BASE_URL}/api/chat/test-auth`,
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/chat/test-auth`,
       {
         method: 'GET'
       },
@@ -472,14 +791,1076 @@ export const testApiConnection = async (token = null) => {
 };
 
 /**
- * Get user-friendly error message based on error type and context
+ * POST to a login, registration or emailed link endpoint
+ * These requests are made without an access token; the device ID ties the
+ * issued refresh token to this browser.
  * 
- * @param {Error} error - The original error
- * @param {string} context - Context where error occurred ('transcript', 'rating', 'retrieval')
- * @returns {string} User-friendly error message
+ * @param {string} path - Path below /auth, e.g. '/login'
+ * @param {Object} payload - Request body
+ * @returns {Promise<Object>} Parsed response
+ * @throws {ApiError} Invalid credentials, lockouts (ACCOUNT_LOCKED) and other API errors
  */
-export const getUserFriendlyErrorMessage = (error, context = 'general') => {
-  const message = error.message || 'An unexpected error occurred';
+export const postAuth = async (path, payload) => {
+  try {
+    const response = await fetchWithTimeout(
+      `${API_BASE_URL}/auth${path}`,
+      {
+        method: 'POST',
+        headers: { 'X-Device-Id': getDeviceId() },
+        body: JSON.stringify(payload)
+      }
+    );
+
+    return await handleApiResponse(response);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timed out. Please check your connection and try again.');
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * End the current session on the server
+ * Revokes the access token and this device's refresh token. Local session
+ * data is always cleared, even if the server cannot be reached.
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<void>}
+ */
+export const logoutSession = async (token) => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+
+  try {
+    if (token) {
+      const response = await fetchWithTimeout(
+        `${API_BASE_URL}/auth/logout`,
+        {
+          method: 'POST',
+          headers: { 'X-Device-Id': getDeviceId() },
+          body: JSON.stringify(refreshToken ? { refreshToken } : {})
+        },
+        token
+      );
+
+      await handleApiResponse(response);
+      console.log('API: Session revoked on server');
+    }
+  } catch (error) {
+    // Logging out locally must still succeed when the server is unreachable
+    console.error('API: Error revoking session on server:', error);
+  } finally {
+    clearAuthTokens();
+  }
+};
+
+/**
+ * End every session the user has on every device
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} Response with the number of sessions revoked
+ * @throws {Error} Network or API errors; local session data is kept on failure
+ */
+export const logoutAllDevices = async (token) => {
+  if (!token) {
+    throw new Error('Authentication token is required');
+  }
+
+  try {
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/auth/logout-all`,
+      {
+        method: 'POST'
+      },
+      localStorage.getItem(TOKEN_STORAGE_KEY) || token
+    );
+
+    const data = await handleApiResponse(response);
+    clearAuthTokens();
+
+    console.log('API: Logged out of all devices', {
+      sessionsRevoked: data.sessionsRevoked
+    });
+
+    return data;
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timed out. Please check your connection and try again.');
+    }
+
+    console.error('API: Error logging out of all devices:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the logged-in user's profile
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} Response with the user's profile
+ * @throws {Error} Network or API errors
+ */
+export const getProfile = async (token) => {
+  if (!token) {
+    throw new Error('Authentication token is required');
+  }
+
+  try {
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/auth/me`,
+      {
+        method: 'GET'
+      },
+      token
+    );
+
+    return await handleApiResponse(response);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timed out. Please check your connection and try again.');
+    }
+
+    console.error('API: Error fetching profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update the logged-in user's profile
+ * Only the provided fields change; null clears an optional field.
+ * 
+ * @param {string} token - User authentication token
+ * @param {Object} updates - Profile fields to change (name, grade, targetMajor,
+ *   targetColleges, extracurriculars, strengths, weaknesses)
+ * @returns {Promise<Object>} Response with the updated profile
+ * @throws {Error} Validation, network or API errors
+ */
+export const updateProfile = async (token, updates) => {
+  if (!token) {
+    throw new Error('Authentication token is required');
+  }
+
+  try {
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/auth/me`,
+      {
+        method: 'PATCH',
+        body: JSON.stringify(updates)
+      },
+      token
+    );
+
+    const data = await handleApiResponse(response);
+
+    // Keep the cached user in sync so a reload shows the new profile
+    const storedUser = localStorage.getItem(USER_STORAGE_KEY);
+    if (storedUser) {
+      localStorage.setItem(USER_STORAGE_KEY, JSON.stringify({ ...JSON.parse(storedUser), ...data.user }));
+    }
+
+    return data;
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timed out. Please check your connection and try again.');
+    }
+
+    console.error('API: Error updating profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download everything stored for the logged-in user
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} Export bundle with the profile, interviews,
+ *   session recordings, transcripts, uploaded files and avatar preferences
+ * @throws {Error} Network or API errors
+ */
+export const exportAccountData = async (token) => {
+  if (!token) {
+    throw new Error('Authentication token is required');
+  }
+
+  try {
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/auth/me/export`,
+      {
+        method: 'GET'
+      },
+      token
+    );
+
+    return await handleApiResponse(response);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timed out. Please check your connection and try again.');
+    }
+
+    console.error('API: Error exporting account data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete the logged-in user's account and all of their data
+ * Local session data is cleared once the server confirms the deletion.
+ * 
+ * @param {string} token - User authentication token
+ * @param {Object} confirmation - { password } plus { code } or { recoveryCode }
+ *   when two-factor authentication is on
+ * @returns {Promise<Object>} Response with the number of records deleted
+ * @throws {Error} Wrong password or code, network or API errors
+ */
+export const deleteAccount = async (token, confirmation) => {
+  if (!token) {
+    throw new Error('Authentication token is required');
+  }
+
+  try {
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/auth/me`,
+      {
+        method: 'DELETE',
+        body: JSON.stringify(confirmation)
+      },
+      token
+    );
+
+    const data = await handleApiResponse(response);
+    clearAuthTokens();
+    return data;
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timed out. Please check your connection and try again.');
+    }
+
+    console.error('API: Error deleting account:', error);
+    throw error;
+  }
+};
+
+/**
+ * Email a new verification link to the logged-in user
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} Response with a confirmation message
+ * @throws {Error} Network or API errors
+ */
+export const resendVerificationEmail = async (token) => {
+  if (!token) {
+    throw new Error('Authentication token is required');
+  }
+
+  try {
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/auth/resend-verification`,
+      {
+        method: 'POST'
+      },
+      token
+    );
+
+    return await handleApiResponse(response);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timed out. Please check your connection and try again.');
+    }
+
+    console.error('API: Error resending verification email:', error);
+    throw error;
+  }
+};
+
+/**
+ * POST to a two-factor management endpoint for the logged-in user
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} path - Path below /auth/2fa
+ * @param {Object} body - Request body
+ * @param {string} action - Description used in error logs
+ * @returns {Promise<Object>} Parsed response
+ */
+const postTwoFactor = async (token, path, body, action) => {
+  if (!token) {
+    throw new Error('Authentication token is required');
+  }
+
+  try {
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}/auth/2fa/${path}`,
+      {
+        method: 'POST',
+        body: JSON.stringify(body)
+      },
+      token
+    );
+
+    return await handleApiResponse(response);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timed out. Please check your connection and try again.');
+    }
+
+    console.error(`API: Error ${action}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Record the two-factor status on the cached user so a reload shows it
+ * 
+ * @param {boolean} enabled - Whether two-factor authentication is on
+ */
+const storeTwoFactorStatus = (enabled) => {
+  const storedUser = localStorage.getItem(USER_STORAGE_KEY);
+  if (storedUser) {
+    localStorage.setItem(USER_STORAGE_KEY, JSON.stringify({ ...JSON.parse(storedUser), twoFactorEnabled: enabled }));
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} { secret, otpauthUri, qrCodeDataUrl } for the authenticator app
+ * @throws {Error} Network or API errors
+ */
+export const startTwoFactorSetup = (token) =>
+  postTwoFactor(token, 'setup', {}, 'starting two-factor setup');
+
+/**
+ * Confirm two-factor enrollment with a code from the authenticator app
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} code - 6-digit authentication code
+ * @returns {Promise<Object>} Response with recoveryCodes (shown only once)
+ * @throws {Error} Invalid code, network or API errors
+ */
+export const enableTwoFactor = async (token, code) => {
+  const data = await postTwoFactor(token, 'enable', { code }, 'enabling two-factor authentication');
+  storeTwoFactorStatus(true);
+  return data;
+};
+
+/**
+ * Turn two-factor authentication off
+ * 
+ * @param {string} token - User authentication token
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @returns {Promise<Object>} Response with a confirmation message
+ * @throws {Error} Invalid code, network or API errors
+ */
+export const disableTwoFactor = async (token, credentials) => {
+  const data = await postTwoFactor(token, 'disable', credentials, 'disabling two-factor authentication');
+  storeTwoFactorStatus(false);
+  return data;
+};
+
+/**
+ * Replace the two-factor recovery codes
+ * 
+ * @param {string} token - User authentication token
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @returns {Promise<Object>} Response with the new recoveryCodes
+ * @throws {Error} Invalid code, network or API errors
+ */
+export const regenerateRecoveryCodes = (token, credentials) =>
+  postTwoFactor(token, 'recovery-codes', credentials, 'regenerating recovery codes');
+
+/**
+ * Send an authenticated request to the API
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the API base URL
+ * @param {Object|FormData|null} body - JSON request body or form data, if any
+ * @param {string} action - Description used in error logs
+ * @returns {Promise<Object>} Parsed response
+ * @throws {ApiError} API errors, after an expired token has been refreshed and the request replayed
+ */
+const apiRequest = async (token, method, path, body, action) => {
+  if (!token) {
+    throw new Error('Authentication token is required');
+  }
+
+  try {
+    const response = await fetchWithAuth(
+      `${API_BASE_URL}${path}`,
+      {
+        method,
+        ...(body && { body: body instanceof FormData ? body : JSON.stringify(body) })
+      },
+      token
+    );
+
+    return await handleApiResponse(response);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timed out. Please check your connection and try again.');
+    }
+
+    console.error(`API: Error ${action}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * List the organizations the user manages or has joined
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} Response with organizations (each with an isCounselor flag)
+ */
+export const getOrganizations = (token) =>
+  apiRequest(token, 'GET', '/organizations', null, 'fetching organizations');
+
+/**
+ * Create an organization (counselors only)
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} name - Organization name
+ * @returns {Promise<Object>} Response with the new organization
+ */
+export const createOrganization = (token, name) =>
+  apiRequest(token, 'POST', '/organizations', { name }, 'creating organization');
+
+/**
+ * Join a counselor's roster with an invitation code (students only)
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} code - Invitation code from the counselor
+ * @returns {Promise<Object>} Response with the joined organization
+ */
+export const joinOrganization = (token, code) =>
+  apiRequest(token, 'POST', '/organizations/join', { code }, 'joining organization');
+
+/**
+ * Create an invitation code for an organization
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} organizationId - Organization ID
+ * @param {Object} options - Optional { email, maxUses, expiresInDays }
+ * @returns {Promise<Object>} Response with the invitation code
+ */
+export const createInvitation = (token, organizationId, options = {}) =>
+  apiRequest(token, 'POST', `/organizations/${organizationId}/invitations`, options, 'creating invitation');
+
+/**
+ * List an organization's active invitation codes
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} Response with invitations
+ */
+export const getInvitations = (token, organizationId) =>
+  apiRequest(token, 'GET', `/organizations/${organizationId}/invitations`, null, 'fetching invitations');
+
+/**
+ * List the students on an organization's roster with rating statistics
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} Response with students
+ */
+export const getRoster = (token, organizationId) =>
+  apiRequest(token, 'GET', `/organizations/${organizationId}/roster`, null, 'fetching roster');
+
+/**
+ * Remove a student from an organization's roster
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} organizationId - Organization ID
+ * @param {string} studentId - Student's user ID
+ * @returns {Promise<Object>} Success response
+ */
+export const removeFromRoster = (token, organizationId, studentId) =>
+  apiRequest(token, 'DELETE', `/organizations/${organizationId}/roster/${studentId}`, null, 'removing student');
+
+/**
+ * List a roster student's rated interviews
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} organizationId - Organization ID
+ * @param {string} studentId - Student's user ID
+ * @returns {Promise<Object>} Response with ratings, newest first
+ */
+export const getStudentRatings = (token, organizationId, studentId) =>
+  apiRequest(token, 'GET', `/organizations/${organizationId}/students/${studentId}/ratings`, null, 'fetching student ratings');
+
+/**
+ * Assign a practice interview to roster students
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} organizationId - Organization ID
+ * @param {Object} assignment - { studentIds, interviewType, difficulty, targetCollege?, instructions?, dueDate? }
+ * @returns {Promise<Object>} Response with created assignments and skippedStudentIds
+ */
+export const createAssignments = (token, organizationId, assignment) =>
+  apiRequest(token, 'POST', `/organizations/${organizationId}/assignments`, assignment, 'creating assignments');
+
+/**
+ * List an organization's assignments
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} Response with assignments
+ */
+export const getOrganizationAssignments = (token, organizationId) =>
+  apiRequest(token, 'GET', `/organizations/${organizationId}/assignments`, null, 'fetching assignments');
+
+/**
+ * List the practice interviews assigned to the logged-in student
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} Response with assignments, open ones first
+ */
+export const getMyAssignments = (token) =>
+  apiRequest(token, 'GET', '/assignments', null, 'fetching assignments');
+
+/**
+ * Load an interview transcript's entries and review comment threads
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} transcriptId - Interview transcript ID
+ * @returns {Promise<Object>} Response with entries ({ index, speaker, text }) and threads
+ */
+export const getReviewComments = (token, transcriptId) =>
+  apiRequest(token, 'GET', `/transcripts/${transcriptId}/comments`, null, 'fetching review comments');
+
+/**
+ * Comment on a transcript message or reply to a thread
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} transcriptId - Interview transcript ID
+ * @param {Object} comment - { body, anchorIndex } for a new thread or { body, parentId } for a reply
+ * @returns {Promise<Object>} Response with the updated threads
+ */
+export const addReviewComment = (token, transcriptId, comment) =>
+  apiRequest(token, 'POST', `/transcripts/${transcriptId}/comments`, comment, 'adding review comment');
+
+/**
+ * Resolve or reopen a review thread
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} transcriptId - Interview transcript ID
+ * @param {string} commentId - First comment of the thread
+ * @param {boolean} resolved - New thread state
+ * @returns {Promise<Object>} Response with the updated threads
+ */
+export const setReviewThreadResolved = (token, transcriptId, commentId, resolved) =>
+  apiRequest(token, 'PATCH', `/transcripts/${transcriptId}/comments/${commentId}`, { resolved }, 'updating review thread');
+
+/**
+ * Delete one of your review comments
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} transcriptId - Interview transcript ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<Object>} Response with the updated threads
+ */
+export const deleteReviewComment = (token, transcriptId, commentId) =>
+  apiRequest(token, 'DELETE', `/transcripts/${transcriptId}/comments/${commentId}`, null, 'deleting review comment');
+
+/**
+ * List the user's notifications
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} Response with notifications and unreadCount
+ */
+export const getNotifications = (token) =>
+  apiRequest(token, 'GET', '/notifications', null, 'fetching notifications');
+
+/**
+ * Mark every notification read
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} Success response
+ */
+export const markAllNotificationsRead = (token) =>
+  apiRequest(token, 'POST', '/notifications/read-all', null, 'updating notifications');
+
+/**
+ * Start storing an interview on the server
+ * 
+ * @param {string} token - User authentication token
+ * @param {Object} conversation - { interviewContext, messages?, assignmentId? }
+ * @returns {Promise<Object>} Response with the new conversation
+ */
+export const startConversation = (token, conversation) =>
+  apiRequest(token, 'POST', '/conversations', conversation, 'starting conversation');
+
+/**
+ * List the user's conversations, most recently active first
+ * 
+ * @param {string} token - User authentication token
+ * @param {string|null} status - 'active' for interviews that can be resumed
+ * @returns {Promise<Object>} Response with conversations (each with its last message)
+ */
+export const getConversations = (token, status = null) =>
+  apiRequest(token, 'GET', `/conversations${status ? `?status=${status}` : ''}`, null, 'fetching conversations');
+
+/**
+ * Load a conversation with all of its messages
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} Response with the conversation
+ */
+export const getConversation = (token, conversationId) =>
+  apiRequest(token, 'GET', `/conversations/${conversationId}`, null, 'fetching conversation');
+
+/**
+ * Append a turn to a stored conversation
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} messages - Messages ({ sender, text }) in order
+ * @returns {Promise<Object>} Response with the new message count
+ */
+export const appendConversationMessages = (token, conversationId, messages) =>
+  apiRequest(token, 'POST', `/conversations/${conversationId}/messages`, { messages }, 'saving conversation');
+
+/**
+ * Discard a stored conversation
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} Success response
+ */
+export const discardConversation = (token, conversationId) =>
+  apiRequest(token, 'DELETE', `/conversations/${conversationId}`, null, 'discarding conversation');
+
+/**
+ * List the user's uploaded documents
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<{ files: UploadedFile[], pagination: Object }>} Files, newest first
+ */
+export const getUploadedFiles = (token) =>
+  apiRequest(token, 'GET', '/uploads', null, 'fetching uploaded files');
+
+/**
+ * Upload documents; each is processed by a background job
+ * 
+ * @param {string} token - User authentication token
+ * @param {File[]} files - Files to upload
+ * @returns {Promise<{ files: UploadedFile[] }>} Uploaded files with their job IDs
+ */
+export const uploadDocuments = (token, files) => {
+  const formData = new FormData();
+  files.forEach(file => formData.append('files', file));
+  return apiRequest(token, 'POST', '/uploads', formData, 'uploading files');
+};
+
+/**
+ * Get an uploaded document's processing status and extracted text
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} fileId - Uploaded file ID
+ * @returns {Promise<{ file: UploadedFile }>} Response with the file
+ */
+export const getUploadedFileContent = (token, fileId) =>
+  apiRequest(token, 'GET', `/uploads/${fileId}/content`, null, 'fetching file content');
+
+/**
+ * Delete an uploaded document and the text extracted from it
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} fileId - Uploaded file ID
+ * @returns {Promise<Object>} Success response
+ */
+export const deleteUploadedFile = (token, fileId) =>
+  apiRequest(token, 'DELETE', `/uploads/${fileId}`, null, 'deleting file');
+
+/**
+ * List the uploaded documents the server sees for the user, for debugging
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} Response with userId, fileCount and files
+ */
+export const getDebugFiles = (token) =>
+  apiRequest(token, 'GET', '/chat/debug-files', null, 'fetching debug files');
+
+/**
+ * Get the activities, awards, courses and skills parsed from an uploaded
+ * resume or activity list, with the profile entries they suggest
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} fileId - Uploaded file ID
+ * @returns {Promise<Object>} Response with extraction and suggestions
+ */
+export const getProfileExtraction = (token, fileId) =>
+  apiRequest(token, 'GET', `/uploads/${fileId}/profile-extraction`, null, 'fetching profile suggestions');
+
+/**
+ * Add reviewed suggestions to the profile; empty lists dismiss them
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} fileId - Uploaded file ID
+ * @param {Object} selection - { extracurriculars?, strengths? }
+ * @returns {Promise<Object>} Response with the added entries and updated profile lists
+ */
+export const mergeProfileExtraction = (token, fileId, selection) =>
+  apiRequest(token, 'POST', `/uploads/${fileId}/profile-extraction/merge`, selection, 'adding profile suggestions');
+
+/**
+ * Get the user's stored voice preferences
+ * 
+ * @param {string} token - User authentication token
+ * @returns {Promise<Object>} Response with preferences (updatedAt is null until first saved)
+ */
+export const getVoicePreferences = (token) =>
+  apiRequest(token, 'GET', '/chat/voice-preferences', null, 'fetching voice preferences');
+
+/**
+ * Save voice preferences; fields left out keep their stored values
+ * 
+ * @param {string} token - User authentication token
+ * @param {Object} preferences - { selectedVoice?, speechRate?, speechVolume?,
+ *   microphoneSensitivity?, autoPlayResponses?, voiceGender?, voiceLanguage?, voiceEnabled? }
+ * @returns {Promise<Object>} Response with the preferences after the update
+ */
+export const updateVoicePreferences = (token, preferences) =>
+  apiRequest(token, 'PUT', '/chat/voice-preferences', preferences, 'saving voice preferences');
+
+/**
+ * Call the handlers subscribed to a realtime event
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ */
+const emitRealtimeEvent = (type, data) => {
+  realtimeListeners.get(type)?.forEach(handler => {
+    try {
+      handler(data);
+    } catch (error) {
+      console.error('API: Realtime handler failed:', type, error);
+    }
+  });
+};
+
+const setRealtimeConnected = (connected) => {
+  if (realtimeConnected !== connected) {
+    realtimeConnected = connected;
+    emitRealtimeEvent(REALTIME_EVENTS.CONNECTION, { connected });
+  }
+};
+
+const hasRealtimeListeners = () =>
+  [...realtimeListeners.values()].some(handlers => handlers.size > 0);
+
+/**
+ * Retry the connection later, backing off after each failure
+ */
+const scheduleRealtimeReconnect = (delay = realtimeReconnectDelay) => {
+  clearTimeout(realtimeReconnectTimer);
+  realtimeReconnectTimer = setTimeout(connectRealtime, delay);
+  realtimeReconnectDelay = Math.min(realtimeReconnectDelay * 2, REALTIME_MAX_RECONNECT_DELAY);
+};
+
+/**
+ * Open the realtime WebSocket and authenticate with the stored access token
+ * An expired token closes the socket with 4001; the token is refreshed and the socket reopened.
+ */
+const connectRealtime = () => {
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+  if (realtimeSocket || !token || !hasRealtimeListeners() || typeof WebSocket === 'undefined') {
+    return;
+  }
+
+  const socket = new WebSocket(REALTIME_URL);
+  realtimeSocket = socket;
+
+  socket.onopen = () => {
+    socket.send(JSON.stringify({ type: 'authenticate', token: localStorage.getItem(TOKEN_STORAGE_KEY) }));
+  };
+
+  socket.onmessage = (message) => {
+    let event;
+    try {
+      event = JSON.parse(message.data);
+    } catch {
+      return;
+    }
+
+    if (event.type === 'authenticated') {
+      realtimeReconnectDelay = REALTIME_RECONNECT_DELAY;
+      setRealtimeConnected(true);
+    } else if (event.data) {
+      emitRealtimeEvent(event.type, event.data);
+    }
+  };
+
+  socket.onclose = (close) => {
+    // A socket closed by disconnectRealtime may already have been replaced
+    if (realtimeSocket !== socket) {
+      return;
+    }
+    realtimeSocket = null;
+    setRealtimeConnected(false);
+
+    if (!hasRealtimeListeners() || !localStorage.getItem(TOKEN_STORAGE_KEY)) {
+      return;
+    }
+
+    if (close.code === REALTIME_UNAUTHORIZED) {
+      refreshAccessToken().then(newToken => {
+        if (newToken) {
+          scheduleRealtimeReconnect(0);
+        }
+      });
+      return;
+    }
+
+    scheduleRealtimeReconnect();
+  };
+};
+
+/**
+ * Close the realtime WebSocket without reconnecting
+ */
+const disconnectRealtime = () => {
+  clearTimeout(realtimeReconnectTimer);
+  realtimeReconnectDelay = REALTIME_RECONNECT_DELAY;
+  const socket = realtimeSocket;
+  realtimeSocket = null;
+  socket?.close();
+  setRealtimeConnected(false);
+};
+
+if (typeof window !== 'undefined') {
+  // Keep the open socket on the refreshed token rather than waiting for it to be closed
+  window.addEventListener(AUTH_EVENTS.TOKEN_REFRESHED, (event) => {
+    if (realtimeSocket?.readyState === WebSocket.OPEN && event.detail?.token) {
+      realtimeSocket.send(JSON.stringify({ type: 'authenticate', token: event.detail.token }));
+    }
+  });
+  window.addEventListener(AUTH_EVENTS.SESSION_EXPIRED, disconnectRealtime);
+}
+
+/**
+ * Subscribe to a realtime event; the WebSocket opens with the first subscriber
+ * and closes when the last one unsubscribes
+ * 
+ * @param {string} type - One of REALTIME_EVENTS
+ * @param {Function} handler - Called with the event data
+ * @returns {Function} Unsubscribe function
+ * 
+ * @example
+ * ```javascript
+ * const unsubscribe = subscribeToRealtime(REALTIME_EVENTS.FILE_STATUS, ({ fileId, processingStatus }) => { ... });
+ * ```
+ */
+export const subscribeToRealtime = (type, handler) => {
+  if (!realtimeListeners.has(type)) {
+    realtimeListeners.set(type, new Set());
+  }
+  realtimeListeners.get(type).add(handler);
+  connectRealtime();
+
+  return () => {
+    realtimeListeners.get(type)?.delete(handler);
+    if (!hasRealtimeListeners()) {
+      disconnectRealtime();
+    }
+  };
+};
+
+/**
+ * Whether realtime events are currently being received
+ * @returns {boolean} True while the WebSocket is open and authenticated
+ */
+export const isRealtimeConnected = () => realtimeConnected;
+
+/**
+ * Get a background job's status and progress
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} jobId - Job ID returned by an upload or rating request
+ * @returns {Promise<{ job: Job }>} Response with the job
+ */
+export const getJob = (token, jobId) =>
+  apiRequest(token, 'GET', `/jobs/${jobId}`, null, 'fetching job status');
+
+/**
+ * List the user's background jobs
+ * 
+ * @param {string} token - User authentication token
+ * @param {string|null} status - 'active' for jobs that have not finished
+ * @returns {Promise<{ jobs: Job[] }>} Response with jobs
+ */
+export const getJobs = (token, status = null) =>
+  apiRequest(token, 'GET', `/jobs${status ? `?status=${status}` : ''}`, null, 'fetching jobs');
+
+/**
+ * Wait for a background job to finish
+ * Job updates arrive over the realtime WebSocket when it is connected; the job
+ * is still checked every few seconds in case an update is missed.
+ * 
+ * @param {string} token - User authentication token
+ * @param {string} jobId - Job ID
+ * @param {Function} onProgress - Optional callback receiving the job after each check
+ * @returns {Promise<Object>} The completed job
+ * @throws {Error} The job's error message if it failed, or a timeout error
+ */
+export const waitForJob = async (token, jobId, onProgress = null) => {
+  const deadline = Date.now() + JOB_TIMEOUT;
+  let pushedJob = null;
+  let wake = null;
+
+  const unsubscribe = subscribeToRealtime(REALTIME_EVENTS.JOB_UPDATED, (job) => {
+    if (job.id === jobId) {
+      pushedJob = job;
+      wake?.();
+    }
+  });
+
+  try {
+    let { job } = await getJob(token, jobId);
+
+    while (Date.now() < deadline) {
+      onProgress?.(job);
+
+      if (job.status === 'completed') {
+        return job;
+      }
+      if (job.status === 'failed') {
+        throw new Error(job.error || 'Background job failed. Please try again.');
+      }
+
+      if (!pushedJob) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, isRealtimeConnected() ? JOB_FALLBACK_POLL_INTERVAL : JOB_POLL_INTERVAL);
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        wake = null;
+      }
+
+      job = pushedJob || (await getJob(token, jobId)).job;
+      pushedJob = null;
+    }
+  } finally {
+    unsubscribe();
+  }
+
+  throw new Error('This is taking longer than expected. Please check back in a few minutes.');
+};
+
+/**
+ * Parse one Server-Sent Event block into its type and JSON data
+ * @param {string} block - Lines of one event, without the blank separator line
+ * @returns {{ type: string, data: Object|null }} Parsed event
+ */
+const parseServerSentEvent = (block) => {
+  let type = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  });
+
+  return { type, data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : null };
+};
+
+/**
+ * Send chat messages and receive the AI reply while it is generated
+ * Posts to the /stream variant of a chat endpoint and reads its events:
+ * `chunk` for each piece of the reply, then `done` or `error`.
+ * 
+ * @param {string} path - Chat endpoint ('/chat' or '/chat/authenticated')
+ * @param {Object} chatRequest - Request body (messages, includeUploadedContent, voiceMode, ...)
+ * @param {string|null} token - User authentication token, if logged in
+ * @param {function(string): void} onChunk - Called with each piece of the reply
+ * @returns {Promise<Object>} Full message and content metadata from the done event
+ * @throws {Error} Request, network, or generation errors
+ */
+export const streamChatReply = async (path, chatRequest, token, onChunk) => {
+  // The timeout only covers the wait for the response to start
+  const response = await fetchWithAuth(
+    `${API_BASE_URL}${path}/stream`,
+    {
+      method: 'POST',
+      body: JSON.stringify(chatRequest)
+    },
+    token
+  );
+
+  if (!response.ok) {
+    // Throws with the server's error message
+    await handleApiResponse(response);
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += value;
+
+    let separator;
+    while ((separator = buffer.indexOf('\n\n')) >= 0) {
+      const event = parseServerSentEvent(buffer.slice(0, separator));
+      buffer = buffer.slice(separator + 2);
+
+      if (event.type === 'chunk') {
+        onChunk(event.data.text);
+      } else if (event.type === 'done') {
+        reader.cancel();
+        return event.data;
+      } else if (event.type === 'error') {
+        reader.cancel();
+        throw new Error(event.data.error);
+      }
+    }
+  }
+
+  throw new Error('The reply ended unexpectedly. Please try again.');
+};
+
+/**
+ * Get user-friendly error message based on error type and context
+ * 
+ * @param {Error} error - The original error
+ * @param {string} context - Context where error occurred ('transcript', 'rating', 'retrieval')
+ * @returns {string} User-friendly error message
+ */
+export const getUserFriendlyErrorMessage = (error, context = 'general') => {
+  const message = error.message || 'An unexpected error occurred';
+  
+  // Login lockouts carry their own wait time and recovery advice
+  if (error.code === 'ACCOUNT_LOCKED' || error.code === 'TOO_MANY_LOGIN_ATTEMPTS') {
+    return error.serverMessage || 'Too many failed login attempts. Please wait and try again.';
+  }
+  
+  // Monthly AI budgets say whose allowance ran out and when it resets
+  if (error.code === 'LLM_BUDGET_EXCEEDED') {
+    return error.serverMessage || 'The AI practice allowance for this month has been used up.';
+  }
+  
+  // Rate limits say how long to wait
+  if (error.code === 'RATE_LIMIT_EXCEEDED') {
+    return error.serverMessage || 'Too many requests. Please wait and try again.';
+  }
   
   // Handle specific error patterns
   if (message.includes('Authentication') || error.status === 401) {
@@ -555,5 +1936,6 @@ export const getProgressMessage = (operation, step = 1) => {
 // Export API configuration for other modules
 export const API_CONFIG = {
   BASE_URL: API_BASE_URL,
+  REALTIME_URL,
   TIMEOUT: API_TIMEOUT
 }; 
\ No newline at end of file
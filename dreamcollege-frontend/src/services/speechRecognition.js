@@ -63,6 +63,7 @@ const CONFIG = {
   
   // Enhanced accuracy features
   confidenceThreshold: 0.7,    // Minimum confidence required for final results
+  minFinalConfidence: 0.5,     // Final results in natural speech mode; set from microphone sensitivity
   enableGrammarHints: true,    // Enable grammar hints for better context
   technicalVocabulary: true,   // Enable technical vocabulary optimization
   contextualProcessing: true   // Enable contextual word processing
@@ -656,7 +657,7 @@ function setupEventHandlers() {
       let confidenceThreshold;
       if (CONFIG.treatFillersAsNormalSpeech) {
         // Use lower threshold for natural speech patterns including filler words
-        confidenceThreshold = isFillerWord ? 0.4 : 0.5; // More lenient for natural speech
+        confidenceThreshold = isFillerWord ? CONFIG.minFinalConfidence - 0.1 : CONFIG.minFinalConfidence; // More lenient for natural speech
       } else {
         // Use original high threshold
         confidenceThreshold = CONFIG.confidenceThreshold * 0.6;
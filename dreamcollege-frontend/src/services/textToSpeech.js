@@ -9,6 +9,7 @@
  * - Voice selection with intelligent fallbacks
  * - Speech rate, pitch, and volume configuration
  * - Message queue management for sequential playback
+ * - Sentence-by-sentence playback of streamed replies
  * - Interrupt and resume functionality
  * - Natural voice prioritization
  * - Mobile device optimizations
@@ -48,6 +49,7 @@ let speechQueue = [];
 let currentUtterance = null;
 let isPaused = false;
 let isSpeaking = false;
+let speechGeneration = 0; // Bumped by stopSpeaking so pending streamed sentences are dropped
 
 // Configuration with optimal defaults
 const CONFIG = {
@@ -657,6 +659,7 @@ export function stopSpeaking() {
     isPaused = false;
     currentUtterance = null;
     speechQueue.length = 0;
+    speechGeneration += 1;
     
     console.log('Speech stopped and queue cleared');
     
@@ -866,6 +869,52 @@ export async function speakTextTutorial(text, options = {}) {
   return await speakText(text, tutorialOptions);
 }
 
+/**
+ * Create a speaker for text that arrives in pieces, such as a streamed AI reply
+ * Each sentence is spoken as soon as it is complete, after the previous one
+ * finishes; whatever is left is spoken by finish(). stopSpeaking() drops
+ * sentences that have not started yet.
+ * @param {Object} options - Speech options passed to speakText
+ * @returns {{ push: function(string): void, finish: function(): Promise<void> }} Speaker
+ */
+export function createSentenceSpeaker(options = {}) {
+  const generation = speechGeneration;
+  const sentenceEnd = /[.!?]+["')\]]*\s+/;
+  let pending = '';
+  let playback = Promise.resolve();
+
+  const speakSentence = (sentence) => {
+    playback = playback
+      .then(() => {
+        if (generation !== speechGeneration || !sentence.trim()) {
+          return;
+        }
+        // High priority waits for the sentence to finish instead of using the size-limited queue
+        return speakText(sentence, { ...options, priority: 'high' });
+      })
+      .catch(error => console.error('Failed to speak sentence:', error));
+  };
+
+  return {
+    push(text) {
+      pending += text;
+
+      let match;
+      while ((match = sentenceEnd.exec(pending))) {
+        const end = match.index + match[0].length;
+        speakSentence(pending.slice(0, end));
+        pending = pending.slice(end);
+      }
+    },
+
+    finish() {
+      speakSentence(pending);
+      pending = '';
+      return playback;
+    }
+  };
+}
+
 /**
  * Cleanup text-to-speech resources
  */
@@ -0,0 +1,255 @@
+/**
+ * Voice Preferences Service
+ *
+ * Keeps the user's voice settings on the server so they follow the user to
+ * every device, with localStorage as an offline cache. The settings are
+ * loaded from the server on login, saved there whenever they change, and
+ * applied to text-to-speech and speech recognition.
+ *
+ * Features:
+ * - Hydration from the server on login; the server copy wins
+ * - localStorage cache read by ChatBox and SettingsPanel without waiting for the network
+ * - Changes made offline kept as pending and sent on the next sync
+ * - Existing local settings uploaded the first time a user has none stored
+ * - Changes from the user's other devices applied as they arrive
+ *
+ * Cached Settings:
+ * - voiceSettings: { rate, volume, pitch } - pitch stays on this device
+ * - speechSettings: { autoPlayAI, preferredGender, microphoneSensitivity }
+ * - selectedVoice: voice name, empty for the browser default
+ *
+ * Related Files:
+ * - src/services/api.js - Voice preference endpoints
+ * - src/services/textToSpeech.js - Voice, rate and volume
+ * - src/services/speechRecognition.js - Minimum confidence from microphone sensitivity
+ * - src/components/SettingsPanel.jsx - Voice configuration UI
+ * - src/App.jsx - Hydration on login
+ * - Backend: src/services/voicePreference.service.ts - Stored voice preferences
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { getVoicePreferences, updateVoicePreferences } from './api';
+import { configureTextToSpeech, setVoice } from './textToSpeech';
+import { configureSpeechRecognition } from './speechRecognition';
+
+// localStorage keys; the first three predate server storage
+const VOICE_SETTINGS_KEY = 'voiceSettings';
+const SPEECH_SETTINGS_KEY = 'speechSettings';
+const SELECTED_VOICE_KEY = 'selectedVoice';
+const PENDING_KEY = 'voicePreferencesPending'; // { userId, preferences } not yet saved on the server
+
+const SAVE_DELAY = 800; // Slider drags are saved once they settle
+
+/**
+ * Window event dispatched when preferences from the server replace the cache
+ * SettingsPanel listens to reload its controls
+ */
+export const VOICE_PREFERENCES_EVENT = 'voice:preferences-changed';
+
+export const DEFAULT_VOICE_SETTINGS = {
+  rate: 1.0,
+  volume: 0.8,
+  pitch: 1.0
+};
+
+export const DEFAULT_SPEECH_SETTINGS = {
+  autoPlayAI: true,
+  preferredGender: 'female',
+  microphoneSensitivity: 0.3 // Speech accepted from a confidence of 0.5
+};
+
+let saveTimer = null;
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value, or null if missing or unreadable
+ */
+const readJson = (key) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Failed to read voice preferences:', key, error);
+    return null;
+  }
+};
+
+/**
+ * Get the cached voice settings, filled in with defaults
+ * @returns {Object} { voiceSettings, speechSettings, selectedVoice }
+ */
+export const getCachedVoicePreferences = () => ({
+  voiceSettings: { ...DEFAULT_VOICE_SETTINGS, ...readJson(VOICE_SETTINGS_KEY) },
+  speechSettings: { ...DEFAULT_SPEECH_SETTINGS, ...readJson(SPEECH_SETTINGS_KEY) },
+  selectedVoice: localStorage.getItem(SELECTED_VOICE_KEY) || ''
+});
+
+/**
+ * Write voice settings to the localStorage cache
+ * @param {Object} settings - { voiceSettings, speechSettings, selectedVoice }
+ */
+const writeCache = ({ voiceSettings, speechSettings, selectedVoice }) => {
+  localStorage.setItem(VOICE_SETTINGS_KEY, JSON.stringify(voiceSettings));
+  localStorage.setItem(SPEECH_SETTINGS_KEY, JSON.stringify(speechSettings));
+  localStorage.setItem(SELECTED_VOICE_KEY, selectedVoice || '');
+};
+
+/**
+ * Convert cached settings to the server's preference fields
+ * @param {Object} settings - { voiceSettings, speechSettings, selectedVoice }
+ * @returns {Object} Preferences for PUT /api/chat/voice-preferences
+ */
+const toServerPreferences = ({ voiceSettings, speechSettings, selectedVoice }) => ({
+  selectedVoice: selectedVoice || null,
+  speechRate: Math.min(Math.max(voiceSettings.rate, 0.5), 2.0),
+  speechVolume: voiceSettings.volume,
+  microphoneSensitivity: speechSettings.microphoneSensitivity,
+  autoPlayResponses: speechSettings.autoPlayAI,
+  voiceGender: speechSettings.preferredGender === 'any' ? 'neutral' : speechSettings.preferredGender
+});
+
+/**
+ * Convert server preferences to cached settings, keeping device-only settings
+ * @param {Object} preferences - Preferences from the server
+ * @param {Object} cached - Current cached settings
+ * @returns {Object} { voiceSettings, speechSettings, selectedVoice }
+ */
+const fromServerPreferences = (preferences, cached) => ({
+  voiceSettings: {
+    ...cached.voiceSettings,
+    rate: preferences.speechRate,
+    volume: preferences.speechVolume
+  },
+  speechSettings: {
+    ...cached.speechSettings,
+    autoPlayAI: preferences.autoPlayResponses,
+    preferredGender: preferences.voiceGender === 'neutral' ? 'any' : preferences.voiceGender,
+    microphoneSensitivity: preferences.microphoneSensitivity
+  },
+  selectedVoice: preferences.selectedVoice || ''
+});
+
+const isSameSettings = (a, b) => JSON.stringify(toServerPreferences(a)) === JSON.stringify(toServerPreferences(b));
+
+/**
+ * Apply voice settings to text-to-speech and speech recognition
+ * @param {Object} settings - { voiceSettings, speechSettings, selectedVoice }
+ */
+export const applyVoicePreferences = ({ voiceSettings, speechSettings, selectedVoice }) => {
+  try {
+    configureTextToSpeech({ ...voiceSettings, preferredGender: speechSettings.preferredGender });
+    if (selectedVoice) {
+      setVoice(selectedVoice);
+    }
+    // Higher sensitivity accepts results the recognizer is less sure of
+    configureSpeechRecognition({ minFinalConfidence: Math.max(0.8 - speechSettings.microphoneSensitivity, 0.2) });
+  } catch (error) {
+    console.error('Failed to apply voice preferences:', error);
+  }
+};
+
+/**
+ * Replace the cache with preferences from the server
+ * Nothing changes, and no event is sent, if they match the cache.
+ *
+ * @param {Object} preferences - Preferences from the server
+ */
+export const applyServerVoicePreferences = (preferences) => {
+  const cached = getCachedVoicePreferences();
+  const next = fromServerPreferences(preferences, cached);
+
+  if (isSameSettings(next, cached)) {
+    return;
+  }
+
+  writeCache(next);
+  applyVoicePreferences(next);
+  window.dispatchEvent(new CustomEvent(VOICE_PREFERENCES_EVENT, { detail: next }));
+};
+
+/**
+ * Send the pending change to the server
+ * @param {Object} user - Logged-in user with token
+ * @returns {Promise<Object|null>} Saved preferences, or null if nothing was pending or saving failed
+ */
+const flushPending = async (user) => {
+  const pending = readJson(PENDING_KEY);
+  if (!pending || pending.userId !== user.id) {
+    return null;
+  }
+
+  try {
+    const response = await updateVoicePreferences(user.token, pending.preferences);
+    // A newer change may have been queued while this one was being saved
+    if (JSON.stringify(readJson(PENDING_KEY)) === JSON.stringify(pending)) {
+      localStorage.removeItem(PENDING_KEY);
+    }
+    return response.preferences;
+  } catch (error) {
+    console.warn('Voice preferences not saved yet, will retry:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Load the user's voice preferences from the server into the cache
+ * A change made offline is saved first. A user with nothing stored yet gets
+ * the settings already cached on this device.
+ *
+ * @param {Object} user - Logged-in user with id and token
+ * @returns {Promise<void>}
+ */
+export const hydrateVoicePreferences = async (user) => {
+  if (!user?.token) {
+    return;
+  }
+
+  try {
+    let preferences = await flushPending(user);
+
+    if (!preferences) {
+      ({ preferences } = await getVoicePreferences(user.token));
+
+      if (!preferences.updatedAt && (readJson(VOICE_SETTINGS_KEY) || readJson(SPEECH_SETTINGS_KEY))) {
+        ({ preferences } = await updateVoicePreferences(user.token, toServerPreferences(getCachedVoicePreferences())));
+      }
+    }
+
+    applyServerVoicePreferences(preferences);
+    applyVoicePreferences(getCachedVoicePreferences());
+
+  } catch (error) {
+    // Keep using the cached settings while offline
+    console.warn('Using cached voice preferences:', error.message);
+    applyVoicePreferences(getCachedVoicePreferences());
+  }
+};
+
+/**
+ * Save voice settings changed on this device
+ * The cache is updated at once; the server copy shortly after, or on the
+ * next sync if this device is offline.
+ *
+ * @param {Object|null} user - Logged-in user with id and token; null only caches
+ * @param {Object} settings - { voiceSettings, speechSettings, selectedVoice }
+ */
+export const saveVoicePreferences = (user, settings) => {
+  const unchanged = isSameSettings(settings, getCachedVoicePreferences());
+
+  try {
+    writeCache(settings);
+  } catch (error) {
+    console.error('Failed to cache voice preferences:', error);
+  }
+
+  if (!user?.token || unchanged) {
+    return;
+  }
+
+  localStorage.setItem(PENDING_KEY, JSON.stringify({ userId: user.id, preferences: toServerPreferences(settings) }));
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => flushPending(user), SAVE_DELAY);
+};
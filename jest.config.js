@@ -81,7 +81,7 @@ module.exports = {
   verbose: true,
   
   // Setup environment variables for tests
-  setupFiles: ['dotenv/config'],
+  setupFiles: ['dotenv/config', '<rootDir>/src/tests/helpers/setupEnv.ts'],
   
   // Ignore patterns
   testPathIgnorePatterns: [
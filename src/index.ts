@@ -13,6 +13,11 @@
  * - MongoDB database connection
  * - Basic error handling and logging
  * - Health check endpoint for monitoring
+ * - Scheduled transcript retention job
+ * - Background job worker for file processing and rating generation
+ * - Realtime WebSocket at /api/ws for job and interview events
+ * - TRUST_PROXY so client IP addresses are read behind a reverse proxy
+ * - OPENAI_API_KEY required only for the OpenAI LLM provider
  * 
  * Related Files:
  * - tsconfig.json: TypeScript configuration
@@ -29,8 +34,12 @@ import express, { Application, Request, Response, NextFunction } from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { connectDB, disconnectDB } from './config/database';
-import { authRoutes, interviewRoutes, sessionRoutes, chatRoutes, uploadRoutes, avatarRoutes } from './routes';
+import { authRoutes, interviewRoutes, sessionRoutes, chatRoutes, uploadRoutes, avatarRoutes, organizationRoutes, assignmentRoutes, transcriptReviewRoutes, sessionReviewRoutes, notificationRoutes, conversationRoutes, usageRoutes, jobRoutes, docsRoutes } from './routes';
 import { errorHandler, notFoundHandler } from './middleware';
+import { startRetentionJob } from './services/retention.service';
+import { startJobWorker, stopJobWorker } from './services/jobQueue.service';
+import { attachRealtimeServer, closeRealtimeServer } from './services/realtime.service';
+import { LLM_PROVIDERS } from './services/llmProvider.service';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -42,7 +51,19 @@ dotenv.config();
  * @returns {void}
  */
 function validateEnvironmentVariables(): void {
-  const requiredEnvVars = ['PORT', 'MONGODB_URI', 'JWT_SECRET', 'OPENAI_API_KEY'];
+  const requiredEnvVars = ['PORT', 'MONGODB_URI', 'JWT_SECRET'];
+
+  // Outside production account emails fall back to the console; in production
+  // that would log every reset and verification link
+  if (process.env.NODE_ENV === 'production') {
+    requiredEnvVars.push('MAIL_TRANSPORT');
+  }
+
+  // Only the OpenAI provider (the default) needs an OpenAI key
+  if ((process.env.LLM_PROVIDER || LLM_PROVIDERS.OPENAI).toLowerCase() === LLM_PROVIDERS.OPENAI) {
+    requiredEnvVars.push('OPENAI_API_KEY');
+  }
+
   const missingVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
   
   if (missingVars.length > 0) {
@@ -50,6 +71,30 @@ function validateEnvironmentVariables(): void {
   }
 }
 
+/**
+ * Reads the Express 'trust proxy' setting from TRUST_PROXY
+ *
+ * Login lockouts and rate limits key on req.ip, which is the proxy's address
+ * unless the proxy is trusted. Accepts true/false, a number of proxy hops, or
+ * a comma-separated list of trusted addresses and subnets.
+ *
+ * @returns {boolean | number | string} Value for app.set('trust proxy'); false when unset
+ */
+export function getTrustProxySetting(): boolean | number | string {
+  const value = process.env.TRUST_PROXY?.trim();
+
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return value;
+}
+
 /**
  * Creates and configures the Express application
  * 
@@ -58,10 +103,14 @@ function validateEnvironmentVariables(): void {
 function createApp(): Application {
   const app: Application = express();
 
+  // Client IP addresses come from X-Forwarded-For only behind a trusted proxy
+  app.set('trust proxy', getTrustProxySetting());
+
   // CORS middleware - allow cross-origin requests
   app.use(cors({
     origin: true, // Allow all origins in development
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'] // Read by the frontend to wait out rate limits
   }));
 
   // JSON parsing middleware
@@ -80,10 +129,19 @@ function createApp(): Application {
   // API Routes
   app.use('/api/auth', authRoutes);
   app.use('/api/interviews', interviewRoutes);
+  app.use('/api/sessions/:targetId/comments', sessionReviewRoutes);
   app.use('/api/sessions', sessionRoutes);
   app.use('/api/chat', chatRoutes);
+  app.use('/api/conversations', conversationRoutes);
   app.use('/api/uploads', uploadRoutes);
   app.use('/api/avatar', avatarRoutes);
+  app.use('/api/organizations', organizationRoutes);
+  app.use('/api/assignments', assignmentRoutes);
+  app.use('/api/transcripts/:targetId/comments', transcriptReviewRoutes);
+  app.use('/api/notifications', notificationRoutes);
+  app.use('/api/usage', usageRoutes);
+  app.use('/api/jobs', jobRoutes);
+  app.use('/api/docs', docsRoutes);
 
   // 404 handler for undefined routes (must be before error handler)
   app.use(notFoundHandler);
@@ -113,20 +171,26 @@ async function startServer(app: Application): Promise<void> {
     
     if (dbResult.isMockMode) {
       console.log('⚠️ Running in mock database mode - data will not persist');
+    } else {
+      startRetentionJob();
+      startJobWorker();
     }
     
     const PORT: number = parseInt(process.env.PORT || '3000', 10);
     
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log('🎉 ===============================================');
       console.log(`✅ AI Interview Coach Backend started successfully`);
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📅 Started at: ${new Date().toISOString()}`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+      console.log(`📡 Realtime events: ws://localhost:${PORT}/api/ws`);
       console.log('🎉 ===============================================');
     });
     
+    attachRealtimeServer(server);
+    
   } catch (error) {
     console.error('💥 Failed to start server:', error);
     process.exit(1);
@@ -141,6 +205,8 @@ async function startServer(app: Application): Promise<void> {
  */
 async function gracefulShutdown(): Promise<void> {
   console.log('\n🛑 Graceful shutdown initiated...');
+  stopJobWorker();
+  closeRealtimeServer();
   
   try {
     await disconnectDB();
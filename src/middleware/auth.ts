@@ -11,9 +11,12 @@
  * - User lookup and validation from database
  * - Request context enrichment with user data
  * - Comprehensive error handling with appropriate HTTP status codes
+ * - Role checks and resource ownership checks for authorization
  * 
  * Security Features:
  * - Validates JWT signature and expiration
+ * - Rejects refresh, password reset and verification tokens presented as access tokens
+ * - Rejects tokens on the server-side revocation list
  * - Checks user existence and active status
  * - Prevents access with invalid or expired tokens
  * - Secure error messages without internal details
@@ -22,17 +25,20 @@
  * Middleware Flow:
  * 1. Extract token from Authorization header (Bearer format)
  * 2. Verify token signature and decode payload
- * 3. Find user in database using token's userId
- * 4. Validate user exists and is active
- * 5. Attach user object to request for downstream use
- * 6. Continue to next middleware/route handler
+ * 3. Check the token has not been revoked
+ * 4. Find user in database using token's userId
+ * 5. Validate user exists and is active
+ * 6. Attach user object to request for downstream use
+ * 7. Continue to next middleware/route handler
  * 
  * Error Scenarios:
  * - Missing Authorization header → 401 Unauthorized
  * - Invalid token format → 401 Unauthorized  
  * - Expired or malformed token → 401 Unauthorized
+ * - Revoked token → 401 Unauthorized
  * - User not found or inactive → 401 Unauthorized
  * - Database errors → 500 Internal Server Error
+ * - Missing role or not the resource owner → 403 Forbidden
  * 
  * Related Files:
  * - src/services/auth.service.ts - JWT token operations
@@ -40,15 +46,17 @@
  * - src/routes/ - Protected route implementations
  * 
  * Task: #11 - Authentication middleware implementation
+ * Task: Role-based access control with counselor and admin roles
  * 
  * @author AI Interview Coach Team
  * @version 1.0.0
  */
 
 import { Request, Response, NextFunction } from 'express';
-import { verifyToken, extractTokenFromHeader } from '../services/auth.service';
-import User, { IUser } from '../models/User';
-import mongoose from 'mongoose';
+import { verifyToken, extractTokenFromHeader, isAccessToken, IJwtPayload } from '../services/auth.service';
+import { isTokenRevoked } from '../services/tokenRevocation.service';
+import User, { IUser, UserRole, USER_ROLES } from '../models/User';
+import mongoose, { Model } from 'mongoose';
 
 /**
  * Extended Express Request interface to include authenticated user
@@ -56,8 +64,24 @@ import mongoose from 'mongoose';
  */
 export interface AuthenticatedRequest extends Request {
   user?: IUser & { _id: mongoose.Types.ObjectId };
+  tokenPayload?: IJwtPayload; // Decoded access token, used by logout
 }
 
+/**
+ * Resolves the owner of the resource a request targets
+ * Returns null when the resource cannot be found or the ID is malformed.
+ */
+export type OwnerResolver = (req: AuthenticatedRequest) => Promise<mongoose.Types.ObjectId | string | null>;
+
+/**
+ * Default 403 body for requests denied by role or ownership checks
+ */
+const FORBIDDEN_RESPONSE = {
+  error: 'Forbidden',
+  message: 'You do not have permission to access this resource.',
+  code: 'FORBIDDEN'
+};
+
 /**
  * Authentication middleware that validates JWT tokens and attaches user to request
  * 
@@ -108,6 +132,24 @@ export async function authenticateToken(
       return;
     }
 
+    // Refresh, reset and verification tokens may only be used at their own endpoints
+    if (!isAccessToken(verificationResult.payload)) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Only access tokens can be used to access resources.'
+      });
+      return;
+    }
+
+    // Reject tokens revoked by logout or "log out of all devices"
+    if (await isTokenRevoked(verificationResult.payload)) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Access token has been revoked. Please log in again.'
+      });
+      return;
+    }
+
     // Find user in database using userId from token payload
     const user = await User.findById(verificationResult.payload.userId).select('-password');
 
@@ -137,6 +179,7 @@ export async function authenticateToken(
       _id: userId,
       id: userId.toString()
     };
+    req.tokenPayload = verificationResult.payload;
 
     // Continue to next middleware/route handler
     next();
@@ -205,7 +248,12 @@ export async function optionalAuth(
     const verificationResult = verifyToken(token);
     console.log(`[OptionalAuth] Token verification: ${verificationResult.isValid ? 'Valid' : 'Invalid'}`);
 
-    if (verificationResult.isValid && verificationResult.payload) {
+    if (
+      verificationResult.isValid &&
+      verificationResult.payload &&
+      isAccessToken(verificationResult.payload) &&
+      !(await isTokenRevoked(verificationResult.payload))
+    ) {
       // Find user if token is valid
       const user = await User.findById(verificationResult.payload.userId).select('-password');
       console.log(`[OptionalAuth] User lookup: ${user ? 'Found' : 'Not found'}, Active: ${user?.isActive}`);
@@ -234,25 +282,72 @@ export async function optionalAuth(
 }
 
 /**
- * Middleware to require specific user roles or permissions
+ * Returns the role of a user, treating accounts created before roles existed
+ * as students
+ * 
+ * @param {IUser | undefined} user - Authenticated user
+ * @returns {UserRole | undefined} The user's role
+ */
+function getUserRole(user: IUser | undefined): UserRole | undefined {
+  return user ? user.role || USER_ROLES.STUDENT : undefined;
+}
+
+/**
+ * Checks whether a user holds one of the given roles
+ * 
+ * @param {IUser | undefined} user - Authenticated user
+ * @param {UserRole[]} roles - Accepted roles
+ * @returns {boolean} True if the user's role is in the list
+ */
+export function hasRole(user: IUser | undefined, ...roles: UserRole[]): boolean {
+  const role = getUserRole(user);
+  return !!role && roles.includes(role);
+}
+
+/**
+ * Checks whether a user owns a resource or holds a role that may access it anyway
+ * Use inside handlers that already load the resource; use requireOwnershipOr
+ * to check before the handler runs.
+ * 
+ * @param {IUser | undefined} user - Authenticated user
+ * @param {mongoose.Types.ObjectId | string} ownerId - The resource owner's user ID
+ * @param {UserRole[]} roles - Roles allowed regardless of ownership
+ * @returns {boolean} True if access is allowed
  * 
- * This function returns a middleware that checks if the authenticated user
- * has the required permissions. Must be used after authenticateToken.
+ * @example
+ * ```typescript
+ * if (!isOwnerOrHasRole(req.user, transcript.userId, USER_ROLES.ADMIN)) {
+ *   res.status(403).json({ error: 'Access denied' });
+ *   return;
+ * }
+ * ```
+ */
+export function isOwnerOrHasRole(
+  user: IUser | undefined,
+  ownerId: mongoose.Types.ObjectId | string,
+  ...roles: UserRole[]
+): boolean {
+  if (!user) {
+    return false;
+  }
+
+  return ownerId.toString() === (user._id as mongoose.Types.ObjectId).toString() || hasRole(user, ...roles);
+}
+
+/**
+ * Middleware to require one of the given roles
+ * Must be used after authenticateToken.
  * 
- * @param {string[]} allowedRoles - Array of roles that can access the resource
+ * @param {UserRole[]} roles - Roles that can access the resource
  * @returns {Function} Express middleware function
  * 
  * @example
  * ```typescript
  * // Protect admin-only routes
- * router.delete('/admin/users/:id', 
- *   authenticateToken, 
- *   requireRoles(['admin', 'moderator']), 
- *   deleteUser
- * );
+ * router.get('/analytics/dashboard', authenticateToken, requireRole(USER_ROLES.ADMIN), getDashboard);
  * ```
  */
-export function requireRoles(allowedRoles: string[]) {
+export function requireRole(...roles: UserRole[]) {
   return (req: AuthenticatedRequest, res: Response, next: NextFunction): void => {
     if (!req.user) {
       res.status(401).json({
@@ -262,14 +357,88 @@ export function requireRoles(allowedRoles: string[]) {
       return;
     }
 
-    // Note: Role checking logic would go here when roles are implemented
-    // For now, all authenticated users are allowed
-    // TODO: Implement role-based access control when user roles are added to User model
-    
+    if (!hasRole(req.user, ...roles)) {
+      res.status(403).json(FORBIDDEN_RESPONSE);
+      return;
+    }
+
     next();
   };
 }
 
+/**
+ * Middleware to require that the user owns the targeted resource or holds one
+ * of the given roles. Must be used after authenticateToken.
+ * 
+ * Requests whose resource cannot be resolved (malformed or unknown ID) are
+ * passed on so the route handler reports them in its own format.
+ * 
+ * @param {UserRole[]} roles - Roles allowed regardless of ownership (empty for owner only)
+ * @param {OwnerResolver} resolveOwnerId - Looks up the resource owner
+ * @param {object} forbiddenResponse - 403 body, to match the route's error format
+ * @returns {Function} Express middleware function
+ * 
+ * @example
+ * ```typescript
+ * // Owners and admins can read, only owners can change
+ * router.get('/:id', authenticateToken, requireOwnershipOr([USER_ROLES.ADMIN], ownerOf(Interview, 'id')), getInterview);
+ * router.post('/:id/start', authenticateToken, requireOwnershipOr([], ownerOf(Interview, 'id')), startInterview);
+ * ```
+ */
+export function requireOwnershipOr(
+  roles: UserRole[],
+  resolveOwnerId: OwnerResolver,
+  forbiddenResponse: object = FORBIDDEN_RESPONSE
+) {
+  return async (req: AuthenticatedRequest, res: Response, next: NextFunction): Promise<void> => {
+    if (!req.user) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required for this resource.'
+      });
+      return;
+    }
+
+    try {
+      const ownerId = await resolveOwnerId(req);
+
+      if (ownerId && !isOwnerOrHasRole(req.user, ownerId, ...roles)) {
+        res.status(403).json(forbiddenResponse);
+        return;
+      }
+
+      next();
+    } catch (error) {
+      console.error('Ownership check error:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Authorization service temporarily unavailable. Please try again later.'
+      });
+    }
+  };
+}
+
+/**
+ * Builds an OwnerResolver that loads a document by an ID from the route
+ * parameters (or, failing that, the request body) and returns its userId
+ * 
+ * @param {Model<any>} model - Model whose documents carry a userId field
+ * @param {string} idField - Name of the route parameter or body field holding the ID
+ * @returns {OwnerResolver} Resolver for requireOwnershipOr
+ */
+export function ownerOf(model: Model<any>, idField: string): OwnerResolver {
+  return async (req: AuthenticatedRequest) => {
+    const id = req.params?.[idField] ?? req.body?.[idField];
+
+    if (typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    const document = await model.findById(id).select('userId').lean<{ userId?: mongoose.Types.ObjectId }>();
+    return document?.userId ?? null;
+  };
+}
+
 /**
  * Default export containing all authentication middleware functions
  * Follows the functional programming pattern while providing centralized access
@@ -277,5 +446,9 @@ export function requireRoles(allowedRoles: string[]) {
 export default {
   authenticateToken,
   optionalAuth,
-  requireRoles
+  requireRole,
+  requireOwnershipOr,
+  ownerOf,
+  hasRole,
+  isOwnerOrHasRole
 }; 
\ No newline at end of file
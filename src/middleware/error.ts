@@ -12,6 +12,7 @@
  * - Security-conscious error messages (no internal details exposed)
  * - Different error type handling (validation, authentication, database, etc.)
  * - Performance monitoring for error tracking
+ * - sendError helper so route handlers answer with the same body shape
  * 
  * Error Types Handled:
  * - Validation errors (400 Bad Request)
@@ -50,11 +51,72 @@ import { AuthenticatedRequest } from './auth';
 export interface IErrorResponse {
   error: string;
   message: string;
+  code?: string | undefined;
   details?: string[] | undefined;
   timestamp: string;
   requestId?: string | undefined;
 }
 
+/**
+ * Titles used for the `error` field of route error responses
+ */
+export const HTTP_ERROR_TITLES: Record<number, string> = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  410: 'Gone',
+  413: 'Payload Too Large',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable'
+};
+
+/**
+ * Options for sendError
+ * Fields other than code and details are added to the body as they are,
+ * for example the existing transcriptId of a 409 response.
+ */
+export interface ISendErrorOptions {
+  code?: string | undefined;
+  details?: unknown;
+  [field: string]: unknown;
+}
+
+/**
+ * Sends an error response in the shared route error format
+ * The body is { error, message, code?, details?, ...extra }, where error is
+ * the title for the status code. The OpenAPI ErrorResponse schema in
+ * src/schemas/common.schemas.ts describes the same shape.
+ *
+ * @param {Response} res - Express response object
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Human-readable message for the caller
+ * @param {ISendErrorOptions} options - Error code, details and extra fields
+ *
+ * @example
+ * ```typescript
+ * sendError(res, 404, 'Interview not found', { code: 'INTERVIEW_NOT_FOUND' });
+ * ```
+ */
+export function sendError(
+  res: Response,
+  statusCode: number,
+  message: string,
+  options: ISendErrorOptions = {}
+): void {
+  const { code, details, ...extra } = options;
+
+  res.status(statusCode).json({
+    error: HTTP_ERROR_TITLES[statusCode] || (statusCode >= 500 ? 'Internal Server Error' : 'Error'),
+    message,
+    ...(code && { code }),
+    ...(details !== undefined && { details }),
+    ...extra
+  });
+}
+
 /**
  * Interface for error logging context
  * Provides comprehensive information for debugging
@@ -94,13 +156,15 @@ export class OperationalError extends Error implements IKnownError {
   public statusCode: number;
   public isOperational: boolean;
   public details?: string[] | undefined;
+  public code?: string | undefined;
 
-  constructor(message: string, statusCode: number = 500, details?: string[]) {
+  constructor(message: string, statusCode: number = 500, details?: string[], code?: string) {
     super(message);
     this.name = 'OperationalError';
     this.statusCode = statusCode;
     this.isOperational = true;
     this.details = details;
+    this.code = code;
 
     // Maintain proper stack trace for V8
     if (Error.captureStackTrace) {
@@ -115,7 +179,7 @@ export class OperationalError extends Error implements IKnownError {
  */
 export class ValidationError extends OperationalError {
   constructor(message: string, details?: string[]) {
-    super(message, 400, details);
+    super(message, 400, details, 'VALIDATION_ERROR');
     this.name = 'ValidationError';
   }
 }
@@ -344,6 +408,7 @@ export function errorHandler(
   const errorResponse: IErrorResponse = {
     error: statusCode >= 500 ? 'Internal Server Error' : error.name || 'Error',
     message: getUserFriendlyMessage(error, statusCode),
+    ...(error.isOperational && typeof error.code === 'string' && { code: error.code }),
     ...(error.details && Array.isArray(error.details) && { details: error.details }),
     timestamp: errorContext.timestamp,
     requestId
@@ -49,10 +49,15 @@ export { default as authMiddleware } from './auth';
 export { 
   authenticateToken, 
   optionalAuth, 
-  requireRoles 
+  requireRole,
+  requireOwnershipOr,
+  ownerOf,
+  hasRole,
+  isOwnerOrHasRole
 } from './auth';
 export type { 
-  AuthenticatedRequest 
+  AuthenticatedRequest,
+  OwnerResolver
 } from './auth';
 
 // File upload middleware exports
@@ -74,6 +79,12 @@ export {
   DOCUMENT_UPLOAD_CONFIG
 } from './documentUpload';
 
+// LLM budget middleware exports
+export { requireLLMBudget } from './llmBudget';
+
+// Rate limit middleware exports
+export { rateLimit } from './rateLimit';
+
 // Error handling middleware exports
 export { default as errorHandler } from './error';
 export {
@@ -85,10 +96,11 @@ export {
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
-  ConflictError
+  ConflictError,
+  sendError,
+  HTTP_ERROR_TITLES
 } from './error';
-export type { IErrorResponse } from './error';
+export type { IErrorResponse, ISendErrorOptions } from './error';
 
-// Future middleware exports will be added here as they are implemented:
-// export { default as validateRequest } from './validation';
-// export { default as rateLimiter } from './rate-limit'; 
\ No newline at end of file
+// Request validation middleware exports
+export { default as validateRequest, VALIDATION_ERROR_CODE } from './validation';
@@ -0,0 +1,91 @@
+/**
+ * AI Interview Coach Backend - LLM Budget Middleware
+ *
+ * This file implements the check that runs before endpoints which call the
+ * language model. A signed-in user whose monthly budget, or whose
+ * organization's monthly budget, has been used up gets a 403 with the
+ * LLM_BUDGET_EXCEEDED code, the scope of the budget that was hit and when it
+ * resets, so the frontend can explain why. Amounts spent and limits are not
+ * sent, since students should not see their organization's spending.
+ * Signed-out visitors share one anonymous budget, so open chat cannot spend
+ * without limit.
+ *
+ * Key Features:
+ * - Per-user and per-organization monthly budgets
+ * - One monthly budget shared by all anonymous requests
+ * - Fails closed: if the ledger cannot be read the request gets a 503
+ *
+ * Related Files:
+ * - src/services/usage.service.ts - Budgets and the usage ledger
+ * - src/routes/chat.routes.ts - Chat and rating endpoints
+ * - src/routes/interview.routes.ts - Question generation
+ * - src/routes/session.routes.ts - Session feedback
+ *
+ * Task: Per-user LLM usage metering, cost tracking and budgets
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Response, NextFunction } from 'express';
+import { AuthenticatedRequest } from './auth';
+import { sendError } from './error';
+import {
+  findExceededBudget,
+  getAnonymousBudgetStatus,
+  USAGE_ERROR_CODES,
+  BUDGET_SCOPES,
+  IBudgetStatus,
+  BudgetScope
+} from '../services/usage.service';
+
+/**
+ * Explanation shown for each kind of exceeded budget
+ */
+const BUDGET_EXCEEDED_MESSAGES: Record<BudgetScope, string> = {
+  [BUDGET_SCOPES.USER]: 'You have used your AI practice allowance for this month. It resets at the start of next month.',
+  [BUDGET_SCOPES.ORGANIZATION]: 'Your organization has used its AI practice allowance for this month. It resets at the start of next month.',
+  [BUDGET_SCOPES.ANONYMOUS]: 'Practice without an account has reached its AI allowance for this month. Sign in to keep practicing.'
+};
+
+/**
+ * Middleware to stop AI requests once a monthly budget is used up
+ * Use after authenticateToken or optionalAuth.
+ *
+ * @example
+ * ```typescript
+ * router.post('/generate-rating', authenticateToken, requireLLMBudget, generateRating);
+ * ```
+ */
+export async function requireLLMBudget(req: AuthenticatedRequest, res: Response, next: NextFunction): Promise<void> {
+  let exceeded: IBudgetStatus | null;
+  try {
+    if (req.user) {
+      exceeded = await findExceededBudget(req.user._id);
+    } else {
+      const anonymousBudget = await getAnonymousBudgetStatus();
+      exceeded = anonymousBudget?.exceeded ? anonymousBudget : null;
+    }
+  } catch (error) {
+    // Without the ledger nothing stops spending, so refuse until it is back
+    console.error('LLM budget check failed:', error);
+    sendError(res, 503, 'AI practice is temporarily unavailable. Please try again in a few minutes.', {
+      code: USAGE_ERROR_CODES.LLM_BUDGET_UNAVAILABLE
+    });
+    return;
+  }
+
+  if (!exceeded) {
+    next();
+    return;
+  }
+
+  res.status(403).json({
+    error: 'Budget Exceeded',
+    message: BUDGET_EXCEEDED_MESSAGES[exceeded.scope],
+    code: USAGE_ERROR_CODES.LLM_BUDGET_EXCEEDED,
+    budget: { scope: exceeded.scope, resetsAt: exceeded.resetsAt }
+  });
+}
+
+export default requireLLMBudget;
@@ -0,0 +1,116 @@
+/**
+ * AI Interview Coach Backend - Rate Limit Middleware
+ *
+ * This file implements the middleware that applies a route group's rate
+ * limit. Every limited response carries RateLimit-Limit, RateLimit-Remaining
+ * and RateLimit-Reset headers; a request over the limit gets a 429 with the
+ * RATE_LIMIT_EXCEEDED code, a Retry-After header and retryAfterSeconds in
+ * the body, which the frontend's retryApiCall waits for before retrying.
+ *
+ * Key Features:
+ * - One limit per route group, shared by all routes in the group
+ * - Signed-in callers counted per user, anonymous callers per IP address
+ * - Login and password reset counted per IP address, since the caller is not known yet
+ * - Account emails counted per IP address and per recipient address
+ *
+ * Related Files:
+ * - src/services/rateLimit.service.ts - Sliding-window counting and policies
+ * - src/routes/chat.routes.ts - Chat turns and rating generation
+ * - src/routes/session.routes.ts - Transcription
+ * - src/routes/upload.routes.ts - Uploads
+ * - src/routes/auth.routes.ts - Login, password reset and verification emails
+ *
+ * Task: Generic rate-limiting middleware with sliding windows
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Response, NextFunction } from 'express';
+import { AuthenticatedRequest } from './auth';
+import {
+  consumeRateLimit,
+  getRateLimitPolicy,
+  RATE_LIMIT_ERROR_CODE,
+  RATE_LIMIT_GROUPS,
+  RateLimitGroup
+} from '../services/rateLimit.service';
+
+/**
+ * Groups counted per IP address even for signed-in callers
+ */
+const IP_GROUPS: RateLimitGroup[] = [
+  RATE_LIMIT_GROUPS.LOGIN,
+  RATE_LIMIT_GROUPS.ACCOUNT_EMAIL,
+  RATE_LIMIT_GROUPS.PASSWORD_RESET
+];
+
+/**
+ * Builds the keys a request is counted under
+ * Account emails are also counted per recipient, so one address cannot be
+ * flooded from many IP addresses.
+ */
+function getRateLimitKeys(group: RateLimitGroup, req: AuthenticatedRequest): string[] {
+  if (req.user && !IP_GROUPS.includes(group)) {
+    return [`${group}:user:${req.user._id}`];
+  }
+
+  const keys = [`${group}:ip:${req.ip || 'unknown'}`];
+
+  if (group === RATE_LIMIT_GROUPS.ACCOUNT_EMAIL) {
+    const email = req.user?.email || req.body?.email;
+    if (typeof email === 'string' && email.trim()) {
+      keys.push(`${group}:email:${email.toLowerCase().trim()}`);
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Creates middleware that applies a route group's rate limit
+ * Use after authenticateToken or optionalAuth so signed-in users are counted
+ * per account.
+ *
+ * @param {RateLimitGroup} group - Route group whose limit applies
+ * @returns Express middleware
+ *
+ * @example
+ * ```typescript
+ * router.post('/generate-rating', authenticateToken, rateLimit(RATE_LIMIT_GROUPS.RATING), generateRating);
+ * ```
+ */
+export function rateLimit(group: RateLimitGroup) {
+  return (req: AuthenticatedRequest, res: Response, next: NextFunction): void => {
+    const policy = getRateLimitPolicy(group);
+
+    if (!policy) {
+      next();
+      return;
+    }
+
+    const result = consumeRateLimit(getRateLimitKeys(group, req), policy);
+
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds)
+    });
+
+    if (result.allowed) {
+      next();
+      return;
+    }
+
+    const retryAfterSeconds = result.retryAfterSeconds!;
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({
+      error: 'Too Many Requests',
+      message: `Too many requests. Please try again in ${retryAfterSeconds} second${retryAfterSeconds === 1 ? '' : 's'}.`,
+      code: RATE_LIMIT_ERROR_CODE,
+      retryAfterSeconds
+    });
+  };
+}
+
+export default rateLimit;
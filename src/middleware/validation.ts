@@ -0,0 +1,94 @@
+/**
+ * AI Interview Coach Backend - Request Validation Middleware
+ *
+ * This file implements the middleware that checks a request's path
+ * parameters, query string and body against an endpoint spec from
+ * src/schemas. Invalid requests get a 400 with the VALIDATION_ERROR code,
+ * the first problem as the message and every problem in details, so route
+ * handlers only keep checks that need the database or several fields at once.
+ *
+ * Key Features:
+ * - One spec per endpoint, shared with the OpenAPI document
+ * - Body, query and path defaults applied before the handler runs
+ * - Query and path strings coerced to their schema types, so handlers get
+ *   numbers and booleans rather than parsing them again
+ *
+ * Related Files:
+ * - src/schemas/ - Endpoint specs
+ * - src/services/schemaValidation.service.ts - Schema checks
+ * - src/middleware/error.ts - sendError and the shared error format
+ *
+ * Task: Request/response schemas, validation middleware and OpenAPI document
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Request, Response, NextFunction } from 'express';
+import { IEndpointSpec } from '../schemas/types';
+import { validateSchema } from '../services/schemaValidation.service';
+import { sendError } from './error';
+
+/**
+ * Error code returned with 400 validation responses
+ */
+export const VALIDATION_ERROR_CODE = 'VALIDATION_ERROR';
+
+/**
+ * Creates middleware that validates a request against an endpoint spec
+ * Use after authenticateToken so unauthenticated callers get a 401 first, and
+ * after multer on multipart routes so the form fields are in req.body.
+ *
+ * @param {IEndpointSpec} endpoint - Spec describing the endpoint's input
+ * @returns Express middleware
+ *
+ * @example
+ * ```typescript
+ * router.post('/', authenticateToken, validateRequest(createInterviewEndpoint), createInterview);
+ * ```
+ */
+export function validateRequest(endpoint: IEndpointSpec) {
+  return (req: Request, res: Response, next: NextFunction): void => {
+    const errors: string[] = [];
+
+    if (endpoint.params) {
+      const result = validateSchema(req.params, endpoint.params, { label: 'Path parameters', coerce: true });
+      errors.push(...result.errors);
+      if (result.valid) {
+        req.params = result.value as Request['params'];
+      }
+    }
+
+    if (endpoint.query) {
+      const result = validateSchema(req.query, endpoint.query, { label: 'Query', coerce: true });
+      errors.push(...result.errors);
+      if (result.valid) {
+        // Express 5 exposes req.query through a getter; shadow it with the coerced values
+        Object.defineProperty(req, 'query', { value: result.value, writable: true, enumerable: true, configurable: true });
+      }
+    }
+
+    if (endpoint.body) {
+      const body = req.body === undefined && endpoint.bodyOptional ? {} : req.body;
+
+      if (body === undefined) {
+        errors.push('Request body is required');
+      } else {
+        const result = validateSchema(body, endpoint.body, { label: 'Request body' });
+        errors.push(...result.errors);
+        if (result.valid) {
+          req.body = result.value;
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      sendError(res, 400, errors[0]!, { code: VALIDATION_ERROR_CODE, details: errors });
+      return;
+    }
+
+    next();
+  };
+}
+
+export default validateRequest;
@@ -0,0 +1,170 @@
+/**
+ * AI Interview Coach Backend - Assignment Model
+ *
+ * This file defines the Assignment model for practice interviews a counselor
+ * assigns to a student on their roster. The assignment fixes the interview
+ * configuration; it is completed when the student ends an interview started
+ * from it, which links the resulting transcript for the counselor to review.
+ *
+ * Key Features:
+ * - Interview type, difficulty and optional target college
+ * - Optional due date and counselor instructions
+ * - Completion linked to the interview transcript
+ *
+ * Related Files:
+ * - src/models/Interview.ts - Interview type and difficulty enums
+ * - src/models/InterviewTranscript.ts - Transcript produced by the assignment
+ * - src/routes/organization.routes.ts - Counselor endpoints for assigning
+ * - src/routes/assignment.routes.ts - Student endpoints
+ *
+ * Task: Counselor workspace with rosters, invitations and assigned practice interviews
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+import {
+  INTERVIEW_TYPES,
+  INTERVIEW_DIFFICULTY,
+  InterviewType,
+  InterviewDifficulty
+} from './Interview';
+
+/**
+ * Status enum for assignments
+ */
+export const ASSIGNMENT_STATUS = {
+  ASSIGNED: 'assigned',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+} as const;
+
+export type AssignmentStatus = typeof ASSIGNMENT_STATUS[keyof typeof ASSIGNMENT_STATUS];
+
+/**
+ * Interface defining the assignment document structure
+ */
+export interface IAssignment extends Document {
+  organizationId: Types.ObjectId;
+  counselorId: Types.ObjectId; // Counselor who assigned it
+  studentId: Types.ObjectId;
+
+  // Interview configuration
+  interviewType: InterviewType;
+  difficulty: InterviewDifficulty;
+  targetCollege?: string;
+  instructions?: string;
+  dueDate?: Date;
+
+  // Progress
+  status: AssignmentStatus;
+  transcriptId?: Types.ObjectId;
+  completedAt?: Date;
+
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the Assignment model
+ */
+const assignmentSchema = new Schema<IAssignment>(
+  {
+    organizationId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required']
+    },
+
+    counselorId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Counselor ID is required']
+    },
+
+    studentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Student ID is required']
+    },
+
+    interviewType: {
+      type: String,
+      required: [true, 'Interview type is required'],
+      enum: {
+        values: Object.values(INTERVIEW_TYPES),
+        message: 'Invalid interview type'
+      }
+    },
+
+    difficulty: {
+      type: String,
+      required: [true, 'Difficulty is required'],
+      enum: {
+        values: Object.values(INTERVIEW_DIFFICULTY),
+        message: 'Invalid difficulty level'
+      }
+    },
+
+    targetCollege: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Target college cannot exceed 100 characters']
+    },
+
+    instructions: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Instructions cannot exceed 1000 characters']
+    },
+
+    dueDate: {
+      type: Date
+    },
+
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: Object.values(ASSIGNMENT_STATUS),
+        message: 'Invalid assignment status'
+      },
+      default: ASSIGNMENT_STATUS.ASSIGNED
+    },
+
+    transcriptId: {
+      type: Schema.Types.ObjectId,
+      ref: 'InterviewTranscript'
+    },
+
+    completedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+assignmentSchema.index({ studentId: 1, status: 1, dueDate: 1 }); // Student's open assignments
+assignmentSchema.index({ organizationId: 1, createdAt: -1 }); // Counselor's assignment list
+
+/**
+ * Create and export the Assignment model
+ */
+const Assignment: Model<IAssignment> = mongoose.model<IAssignment>(
+  'Assignment',
+  assignmentSchema
+);
+
+export default Assignment;
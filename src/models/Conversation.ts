@@ -0,0 +1,203 @@
+/**
+ * AI Interview Coach Backend - Conversation Model
+ *
+ * This file defines the Conversation model for interviews in progress. The
+ * chat is stored on the server as it happens, so an interview survives a page
+ * refresh and can be paused on one device and resumed on another. When the
+ * interview ends, its messages become an InterviewTranscript for rating.
+ *
+ * Key Features:
+ * - Messages appended turn by turn
+ * - Interview context captured when the interview starts
+ * - Links to the Interview, counselor assignment and resulting transcript
+ * - Idle conversations expire CONVERSATION_IDLE_TTL_DAYS after their last activity
+ *
+ * Conversation Lifecycle:
+ * 1. Created when the user starts an interview
+ * 2. Each turn (answer and AI reply) is appended
+ * 3. Ended when the user ends the interview; the transcript ID is recorded
+ * 4. Removed by the TTL index once idle for CONVERSATION_IDLE_TTL_DAYS
+ *
+ * Related Files:
+ * - src/models/InterviewTranscript.ts - Transcript created when the interview ends
+ * - src/services/conversation.service.ts - Conversation operations
+ * - src/routes/conversation.routes.ts - Conversation endpoints
+ * - src/routes/chat.routes.ts - POST /api/chat/end-interview
+ *
+ * Task: Server-side conversation persistence and resumable interviews
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+import { ITranscriptMessage, IInterviewContext } from './InterviewTranscript';
+
+/**
+ * Status enum for conversations
+ */
+export const CONVERSATION_STATUS = {
+  ACTIVE: 'active',
+  ENDED: 'ended'
+} as const;
+
+export type ConversationStatus = typeof CONVERSATION_STATUS[keyof typeof CONVERSATION_STATUS];
+
+/**
+ * Maximum number of messages in one conversation
+ */
+export const MAX_CONVERSATION_MESSAGES = 200;
+
+/**
+ * Days a conversation is kept after its last activity
+ */
+export const CONVERSATION_IDLE_TTL_DAYS = 30;
+
+/**
+ * Interface defining the conversation document structure
+ */
+export interface IConversation extends Document {
+  // Reference fields
+  userId: Types.ObjectId;
+  interviewId?: Types.ObjectId; // Interview this conversation conducts
+  assignmentId?: Types.ObjectId; // Counselor assignment the interview completes
+  transcriptId?: Types.ObjectId; // Transcript created when the interview ended
+
+  // Conversation data
+  messages: ITranscriptMessage[];
+  interviewContext: IInterviewContext;
+
+  status: ConversationStatus;
+  endedAt?: Date;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+  expiresAt: Date; // Pushed back on every change
+}
+
+/**
+ * Mongoose schema definition for the Conversation model
+ */
+const conversationSchema = new Schema<IConversation>(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+
+    interviewId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Interview'
+    },
+
+    assignmentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Assignment'
+    },
+
+    transcriptId: {
+      type: Schema.Types.ObjectId,
+      ref: 'InterviewTranscript'
+    },
+
+    messages: {
+      type: [{
+        sender: {
+          type: String,
+          required: [true, 'Sender is required'],
+          enum: {
+            values: ['ai', 'user'],
+            message: 'Sender must be either ai or user'
+          }
+        },
+        text: {
+          type: String,
+          required: [true, 'Message text is required'],
+          trim: true,
+          maxlength: [5000, 'Message cannot exceed 5000 characters']
+        },
+        timestamp: {
+          type: Date,
+          required: [true, 'Timestamp is required'],
+          default: Date.now
+        }
+      }],
+      validate: {
+        validator: (messages: ITranscriptMessage[]) => messages.length <= MAX_CONVERSATION_MESSAGES,
+        message: `A conversation cannot exceed ${MAX_CONVERSATION_MESSAGES} messages`
+      }
+    },
+
+    // Same shape as InterviewTranscript.interviewContext, which it is copied to
+    interviewContext: {
+      difficulty: {
+        type: String,
+        required: [true, 'Difficulty is required'],
+        trim: true
+      },
+      userProfile: {
+        name: { type: String, trim: true },
+        grade: { type: Number, min: 1, max: 12 },
+        targetMajor: { type: String, trim: true },
+        targetColleges: [{ type: String, trim: true }],
+        strengths: [{ type: String, trim: true }],
+        weaknesses: [{ type: String, trim: true }]
+      },
+      interviewType: {
+        type: String,
+        required: [true, 'Interview type is required'],
+        trim: true
+      },
+      duration: {
+        type: Number,
+        min: [1, 'Duration must be positive']
+      }
+    },
+
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: Object.values(CONVERSATION_STATUS),
+        message: 'Invalid conversation status'
+      },
+      default: CONVERSATION_STATUS.ACTIVE
+    },
+
+    endedAt: {
+      type: Date
+    },
+
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + CONVERSATION_IDLE_TTL_DAYS * 24 * 60 * 60 * 1000),
+      index: { expireAfterSeconds: 0 } // MongoDB TTL index
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+conversationSchema.index({ userId: 1, status: 1, updatedAt: -1 }); // User's conversations to resume
+
+/**
+ * Create and export the Conversation model
+ */
+const Conversation: Model<IConversation> = mongoose.model<IConversation>(
+  'Conversation',
+  conversationSchema
+);
+
+export default Conversation;
@@ -0,0 +1,123 @@
+/**
+ * AI Interview Coach Backend - DocumentChunk Model
+ *
+ * This file defines the DocumentChunk model, the search index over uploaded
+ * documents. When a file's text has been extracted it is split into passages
+ * of a few paragraphs; each passage is stored with its analyzed terms for
+ * BM25 keyword ranking and, when embeddings are enabled, its embedding vector
+ * for semantic ranking.
+ *
+ * Key Features:
+ * - One entry per passage, numbered in document order for citations
+ * - Analyzed terms stored with the passage, so ranking needs no text processing
+ * - Optional embedding, tagged with the model that produced it
+ * - Rebuilt whenever the file is processed and removed with the file
+ *
+ * Related Files:
+ * - src/models/UploadedFile.ts - The documents being indexed
+ * - src/services/retrieval.service.ts - Chunking, indexing and search
+ * - src/routes/upload.routes.ts - Indexes files after text extraction
+ *
+ * Task: Relevance-ranked retrieval over uploaded documents
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+
+/**
+ * Interface defining the document chunk structure
+ */
+export interface IDocumentChunk extends Document {
+  userId: Types.ObjectId;
+  fileId: Types.ObjectId;
+  fileName: string; // Original name of the file, for citations
+  chunkIndex: number; // Position in the document, starting at 0
+  text: string;
+  tokenCount: number;
+  terms: string[]; // Analyzed terms in passage order, for BM25
+  embedding?: number[];
+  embeddingModel?: string;
+  createdAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the DocumentChunk model
+ */
+const documentChunkSchema = new Schema<IDocumentChunk>(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+
+    fileId: {
+      type: Schema.Types.ObjectId,
+      ref: 'UploadedFile',
+      required: [true, 'File ID is required']
+    },
+
+    fileName: {
+      type: String,
+      required: [true, 'File name is required'],
+      trim: true
+    },
+
+    chunkIndex: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    text: {
+      type: String,
+      required: [true, 'Chunk text is required']
+    },
+
+    tokenCount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    terms: {
+      type: [String],
+      default: []
+    },
+
+    embedding: {
+      type: [Number],
+      default: undefined
+    },
+
+    embeddingModel: {
+      type: String
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        delete ret.terms;
+        delete ret.embedding;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+documentChunkSchema.index({ fileId: 1, chunkIndex: 1 }, { unique: true }); // Passages of a file, in order
+documentChunkSchema.index({ userId: 1 }); // Account deletion
+
+/**
+ * Create and export the DocumentChunk model
+ */
+const DocumentChunk: Model<IDocumentChunk> = mongoose.model<IDocumentChunk>('DocumentChunk', documentChunkSchema);
+
+export default DocumentChunk;
@@ -1,31 +1,34 @@
 /**
  * AI Interview Coach Backend - InterviewTranscript Model
  * 
- * This file defines the InterviewTranscript model for temporarily storing
- * interview transcripts for AI rating generation. This model is used specifically
- * for the AI rating feature workflow where transcripts are collected, analyzed,
- * and then cleaned up after feedback generation.
+ * This file defines the InterviewTranscript model for storing interview
+ * transcripts and their AI ratings. Transcripts start as drafts awaiting a
+ * rating; rated transcripts make up the student's interview history.
  * 
  * Key Features:
- * - Temporary storage for interview transcripts
+ * - Storage for interview transcripts and their AI ratings
  * - AI rating generation status tracking
  * - User ownership and security
- * - Automatic cleanup after processing
+ * - Unrated drafts expire automatically after DRAFT_TRANSCRIPT_TTL_HOURS
+ * - Rated transcripts are kept as durable history
  * - Integration with existing SessionRecording model
  * 
  * Lifecycle:
- * 1. Created when user ends interview
- * 2. Transcript data stored temporarily
- * 3. AI rating generated using OpenAI service
- * 4. Rating stored and linked
- * 5. Cleaned up after successful generation
+ * 1. Created when user ends interview, with an expiry
+ * 2. AI rating generated using OpenAI service
+ * 3. Rating stored and the expiry cleared, promoting it to history
+ * 4. Unrated drafts are removed once they expire
+ * 5. Rated transcripts are removed by the retention job once older than the
+ *    user's retention period (kept indefinitely by default)
  * 
  * Related Files:
  * - src/models/SessionRecording.ts - Full session storage
  * - src/services/openai.service.ts - AI feedback analysis
+ * - src/services/retention.service.ts - Scheduled retention enforcement
  * - src/routes/chat.routes.ts - API endpoints
  * 
  * Task: Step 5 - Transcript Storage Model for AI Rating Feature
+ * Task: Persist interview transcripts and ratings beyond the 24-hour expiry
  * 
  * @author AI Interview Coach Team
  * @version 1.0.0
@@ -71,12 +74,24 @@ export const TRANSCRIPT_STATUS = {
 
 export type TranscriptStatus = typeof TRANSCRIPT_STATUS[keyof typeof TRANSCRIPT_STATUS];
 
+/**
+ * Hours an unrated draft is kept before it expires
+ */
+export const DRAFT_TRANSCRIPT_TTL_HOURS = 24;
+
+/**
+ * Bounds for how many days a user may keep rated transcripts
+ */
+export const MIN_TRANSCRIPT_RETENTION_DAYS = 7;
+export const MAX_TRANSCRIPT_RETENTION_DAYS = 3650;
+
 /**
  * Interface defining the interview transcript document structure
  */
 export interface IInterviewTranscript extends Document {
   // Reference fields
   userId: Types.ObjectId;
+  assignmentId?: Types.ObjectId; // Counselor assignment this interview completes
   
   // Transcript data
   messages: ITranscriptMessage[];
@@ -113,7 +128,7 @@ export interface IInterviewTranscript extends Document {
   // Timestamps
   createdAt: Date;
   updatedAt: Date;
-  expiresAt: Date; // Auto-cleanup after 24 hours
+  expiresAt?: Date; // Set on unrated drafts only; cleared once rated
   
   // Instance methods
   generateRating(): Promise<void>;
@@ -144,6 +159,12 @@ const interviewTranscriptSchema = new Schema<IInterviewTranscript>(
       index: true
     },
     
+    // Reference to the counselor assignment, if any
+    assignmentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Assignment'
+    },
+    
     // Transcript messages
     messages: [{
       sender: {
@@ -269,12 +290,11 @@ const interviewTranscriptSchema = new Schema<IInterviewTranscript>(
       maxlength: [1000, 'Error message cannot exceed 1000 characters']
     },
     
-    // Auto-expire after 24 hours
+    // Unrated drafts expire; generateRating clears this so rated transcripts are kept
     expiresAt: {
       type: Date,
-      required: true,
-      default: () => new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours from now
-      index: { expireAfterSeconds: 0 } // MongoDB TTL index
+      default: () => new Date(Date.now() + DRAFT_TRANSCRIPT_TTL_HOURS * 60 * 60 * 1000),
+      index: { expireAfterSeconds: 0 } // MongoDB TTL index, ignores documents without the field
     }
   },
   {
@@ -314,7 +334,8 @@ interviewTranscriptSchema.methods.generateRating = async function(): Promise<voi
       interviewDifficulty: this.interviewContext.difficulty,
       userMajor: this.interviewContext.userProfile.targetMajor || 'General Studies',
       interviewDuration: this.interviewContext.duration || 30,
-      userProfile: this.interviewContext.userProfile
+      userProfile: this.interviewContext.userProfile,
+      usageContext: { userId: this.userId }
     });
     
     // Store the rating
@@ -322,6 +343,7 @@ interviewTranscriptSchema.methods.generateRating = async function(): Promise<voi
     this.status = TRANSCRIPT_STATUS.RATED;
     this.ratingGeneratedAt = new Date();
     this.errorMessage = undefined;
+    this.expiresAt = undefined; // Promote to durable history
     
     await this.save();
     
@@ -345,7 +367,7 @@ interviewTranscriptSchema.methods.getRating = function(): object | null {
  * Instance method to check if transcript is expired
  */
 interviewTranscriptSchema.methods.isExpired = function(): boolean {
-  return new Date() > this.expiresAt;
+  return !!this.expiresAt && new Date() > this.expiresAt;
 };
 
 /**
@@ -376,10 +398,12 @@ interviewTranscriptSchema.statics.findPendingTranscripts = async function(): Pro
 };
 
 /**
- * Static method to cleanup expired transcripts
+ * Static method to cleanup expired drafts
+ * Rated transcripts are never removed here; see retention.service.ts.
  */
 interviewTranscriptSchema.statics.cleanupExpired = async function(): Promise<number> {
   const result = await this.deleteMany({
+    status: { $ne: TRANSCRIPT_STATUS.RATED },
     $or: [
       { expiresAt: { $lt: new Date() } },
       { status: TRANSCRIPT_STATUS.EXPIRED }
@@ -0,0 +1,117 @@
+/**
+ * AI Interview Coach Backend - Invitation Model
+ *
+ * This file defines the Invitation model for the codes counselors hand out so
+ * students can join an organization's roster. A code can be limited to one
+ * email address and to a number of uses, and expires automatically.
+ *
+ * Key Features:
+ * - Short human-friendly codes, unique across organizations
+ * - Optional restriction to a single student email
+ * - Use counting with an optional limit
+ * - Manual revocation and automatic cleanup through a MongoDB TTL index
+ *
+ * Related Files:
+ * - src/models/Organization.ts - Organization the code joins
+ * - src/models/RosterMembership.ts - Membership created on redemption
+ * - src/services/roster.service.ts - Code generation and redemption
+ *
+ * Task: Counselor workspace with rosters, invitations and assigned practice interviews
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+
+/**
+ * Interface defining the invitation document structure
+ */
+export interface IInvitation extends Document {
+  organizationId: Types.ObjectId;
+  code: string;
+  createdBy: Types.ObjectId;
+  email?: string; // Only this address may redeem the code when set
+  maxUses?: number; // Unlimited when not set
+  uses: number;
+  revokedAt?: Date;
+  expiresAt: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the Invitation model
+ */
+const invitationSchema = new Schema<IInvitation>(
+  {
+    organizationId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true
+    },
+
+    code: {
+      type: String,
+      required: [true, 'Invitation code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true
+    },
+
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creator is required']
+    },
+
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      maxlength: [254, 'Email cannot exceed 254 characters']
+    },
+
+    maxUses: {
+      type: Number,
+      min: [1, 'An invitation must allow at least one use'],
+      max: [500, 'An invitation cannot allow more than 500 uses']
+    },
+
+    uses: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    revokedAt: {
+      type: Date
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 } // MongoDB TTL index
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Create and export the Invitation model
+ */
+const Invitation: Model<IInvitation> = mongoose.model<IInvitation>(
+  'Invitation',
+  invitationSchema
+);
+
+export default Invitation;
@@ -0,0 +1,215 @@
+/**
+ * AI Interview Coach Backend - Job Model
+ *
+ * This file defines the Job model, the queue of background work such as text
+ * extraction from uploaded files and AI rating generation. Requests enqueue a
+ * job and return immediately; workers claim queued jobs, report progress while
+ * they run and record the result, so clients poll the job instead of holding
+ * a request open.
+ *
+ * Key Features:
+ * - Job type, owner and the IDs of the records it works on
+ * - Status, percentage progress and a message describing the current step
+ * - Attempt counting for retries; jobs left by a stopped worker are reclaimed
+ * - Uploaded file bytes kept on the job only until it finishes
+ * - Finished jobs removed after JOB_RETENTION_DAYS
+ *
+ * Related Files:
+ * - src/services/jobQueue.service.ts - Enqueueing, claiming and running jobs
+ * - src/services/jobHandlers.service.ts - The work done for each job type
+ * - src/routes/job.routes.ts - Job status endpoints
+ *
+ * Task: Background job queue for file processing and rating generation
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+
+/**
+ * Kinds of background work
+ */
+export const JOB_TYPES = {
+  FILE_PROCESSING: 'file_processing',
+  RATING_GENERATION: 'rating_generation'
+} as const;
+
+export type JobType = typeof JOB_TYPES[keyof typeof JOB_TYPES];
+
+/**
+ * Job lifecycle states
+ */
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+} as const;
+
+export type JobStatus = typeof JOB_STATUS[keyof typeof JOB_STATUS];
+
+/**
+ * States of a job that has not finished
+ */
+export const ACTIVE_JOB_STATUSES: JobStatus[] = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+/**
+ * Days a finished job stays available to status requests
+ */
+export const JOB_RETENTION_DAYS = 7;
+
+/**
+ * Interface for the records a job works on
+ */
+export interface IJobPayload {
+  fileId?: string;
+  transcriptId?: string;
+}
+
+/**
+ * Interface defining the job document structure
+ */
+export interface IJob extends Document {
+  type: JobType;
+  userId: Types.ObjectId; // Owner; only they (and admins) can see the job
+  status: JobStatus;
+  payload: IJobPayload;
+  fileData?: Buffer; // Uploaded bytes for file processing, removed when the job finishes
+  dedupeKey?: string; // Enqueueing the same key while a job is active returns that job
+  progress: number; // 0-100
+  progressMessage?: string;
+  attempts: number;
+  maxAttempts: number;
+  lockedBy?: string; // Worker running the job
+  lockedAt?: Date;
+  result?: Record<string, unknown>;
+  error?: string;
+  startedAt?: Date;
+  finishedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the Job model
+ */
+const jobSchema = new Schema<IJob>(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: Object.values(JOB_TYPES),
+        message: 'Job type must be one of: ' + Object.values(JOB_TYPES).join(', ')
+      },
+      required: [true, 'Job type is required']
+    },
+
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(JOB_STATUS),
+      default: JOB_STATUS.QUEUED
+    },
+
+    payload: {
+      fileId: { type: String },
+      transcriptId: { type: String }
+    },
+
+    fileData: {
+      type: Buffer,
+      select: false
+    },
+
+    dedupeKey: {
+      type: String
+    },
+
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+
+    progressMessage: {
+      type: String,
+      maxlength: 200
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: 1
+    },
+
+    lockedBy: {
+      type: String
+    },
+
+    lockedAt: {
+      type: Date
+    },
+
+    result: {
+      type: Schema.Types.Mixed
+    },
+
+    error: {
+      type: String,
+      maxlength: 1000
+    },
+
+    startedAt: {
+      type: Date
+    },
+
+    finishedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        delete ret.fileData;
+        delete ret.lockedBy;
+        delete ret.lockedAt;
+        delete ret.dedupeKey;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+jobSchema.index({ status: 1, createdAt: 1 }); // Claiming the oldest queued job
+jobSchema.index({ status: 1, lockedAt: 1 }); // Reclaiming jobs of stopped workers
+jobSchema.index({ userId: 1, createdAt: -1 }); // A user's recent jobs
+jobSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true }, status: { $in: ACTIVE_JOB_STATUSES } } }
+); // One active job per record; $in in a partial index needs MongoDB 6.0
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 }); // TTL for finished jobs
+
+/**
+ * Create and export the Job model
+ */
+const Job: Model<IJob> = mongoose.model<IJob>('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,146 @@
+/**
+ * AI Interview Coach Backend - LLMUsage Model
+ *
+ * This file defines the LLMUsage model, the ledger of language model calls
+ * made on a user's behalf, or for a signed-out visitor. Each entry records the model, the prompt and
+ * completion tokens reported by the provider and the estimated cost, and is
+ * attributed to the user and to the organizations whose rosters they were on
+ * at the time of the call.
+ *
+ * Key Features:
+ * - One entry per chat, question generation, feedback, summarization or embedding call
+ * - Cost estimated when the call is recorded, so price changes never rewrite history
+ * - Organization attribution fixed at call time
+ * - Anonymous chat flagged so it counts against the shared anonymous budget
+ * - Entries outlive account deletion with the user removed, keeping organization totals intact
+ *
+ * Related Files:
+ * - src/services/usage.service.ts - Recording, pricing, summaries and budgets
+ * - src/services/openai.service.ts - AI features that report their usage
+ * - src/routes/usage.routes.ts - Usage endpoints
+ *
+ * Task: Per-user LLM usage metering, cost tracking and budgets
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+
+/**
+ * Features that call the language model
+ */
+export const LLM_USAGE_FEATURES = {
+  CHAT: 'chat',
+  QUESTION_GENERATION: 'question_generation',
+  FEEDBACK_ANALYSIS: 'feedback_analysis',
+  SUMMARIZATION: 'summarization',
+  EMBEDDING: 'embedding'
+} as const;
+
+export type LLMUsageFeature = typeof LLM_USAGE_FEATURES[keyof typeof LLM_USAGE_FEATURES];
+
+/**
+ * Interface defining the usage ledger entry structure
+ */
+export interface ILLMUsageEntry extends Document {
+  userId?: Types.ObjectId; // Removed when the account is deleted
+  anonymous?: boolean; // Set on calls made for signed-out visitors
+  organizationIds: Types.ObjectId[]; // Rosters the user was on at the time of the call
+  feature: LLMUsageFeature;
+  provider: string;
+  modelName: string; // Model that served the call
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  costUsd: number;
+  createdAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the LLMUsage model
+ */
+const llmUsageSchema = new Schema<ILLMUsageEntry>(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    anonymous: {
+      type: Boolean
+    },
+
+    organizationIds: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'Organization' }],
+      default: []
+    },
+
+    feature: {
+      type: String,
+      required: [true, 'Feature is required'],
+      enum: {
+        values: Object.values(LLM_USAGE_FEATURES),
+        message: 'Invalid usage feature'
+      }
+    },
+
+    provider: {
+      type: String,
+      required: [true, 'Provider is required']
+    },
+
+    modelName: {
+      type: String,
+      required: [true, 'Model is required']
+    },
+
+    promptTokens: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    completionTokens: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    totalTokens: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+
+    costUsd: {
+      type: Number,
+      required: true,
+      min: 0,
+      default: 0
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+llmUsageSchema.index({ userId: 1, createdAt: -1 }); // Monthly usage per user
+llmUsageSchema.index({ organizationIds: 1, createdAt: -1 }); // Monthly usage per organization
+llmUsageSchema.index({ anonymous: 1, createdAt: -1 }, { partialFilterExpression: { anonymous: true } }); // Monthly anonymous usage
+
+/**
+ * Create and export the LLMUsage model
+ */
+const LLMUsage: Model<ILLMUsageEntry> = mongoose.model<ILLMUsageEntry>('LLMUsage', llmUsageSchema);
+
+export default LLMUsage;
@@ -0,0 +1,127 @@
+/**
+ * AI Interview Coach Backend - LoginThrottle Model
+ *
+ * This file defines the LoginThrottle model used to track failed login attempts
+ * per account and per client IP address. When too many attempts fail within the
+ * counting window the key is locked, and each further lockout doubles in length.
+ *
+ * Throttle Scopes:
+ * - account: Keyed by normalized email, so unknown emails are throttled the same
+ *   way as registered ones and responses do not reveal which accounts exist
+ * - ip: Keyed by client IP address to slow down credential stuffing across accounts
+ *
+ * Key Features:
+ * - Failure counts within a sliding counting window
+ * - Exponential lockout level per key
+ * - Automatic cleanup through a MongoDB TTL index so lockout levels decay
+ *
+ * Related Files:
+ * - src/services/loginThrottle.service.ts - Lockout policy and checks
+ * - src/routes/auth.routes.ts - Login endpoint
+ *
+ * Task: Account lockout and brute-force protection on login
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Model } from 'mongoose';
+
+/**
+ * Scopes a throttle entry can apply to
+ */
+export const THROTTLE_SCOPES = {
+  ACCOUNT: 'account',
+  IP: 'ip'
+} as const;
+
+export type ThrottleScope = typeof THROTTLE_SCOPES[keyof typeof THROTTLE_SCOPES];
+
+/**
+ * Interface defining the login throttle document structure
+ */
+export interface ILoginThrottle extends Document {
+  scope: ThrottleScope;
+  key: string; // Normalized email or IP address
+  failures: number; // Failures in the current counting window
+  firstFailureAt: Date; // Start of the current counting window
+  lockLevel: number; // Number of lockouts so far, drives the exponential backoff
+  lockUntil?: Date;
+  expiresAt: Date; // Entry is removed after a quiet period
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the LoginThrottle model
+ */
+const loginThrottleSchema = new Schema<ILoginThrottle>(
+  {
+    scope: {
+      type: String,
+      required: true,
+      enum: {
+        values: Object.values(THROTTLE_SCOPES),
+        message: 'Invalid throttle scope'
+      }
+    },
+
+    key: {
+      type: String,
+      required: [true, 'Throttle key is required'],
+      trim: true,
+      maxlength: [254, 'Throttle key cannot exceed 254 characters']
+    },
+
+    failures: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    firstFailureAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    lockLevel: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    lockUntil: {
+      type: Date
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 } // MongoDB TTL index
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true }); // One entry per account or IP
+
+/**
+ * Create and export the LoginThrottle model
+ */
+const LoginThrottle: Model<ILoginThrottle> = mongoose.model<ILoginThrottle>(
+  'LoginThrottle',
+  loginThrottleSchema
+);
+
+export default LoginThrottle;
@@ -0,0 +1,158 @@
+/**
+ * AI Interview Coach Backend - Notification Model
+ *
+ * This file defines the Notification model for in-app notifications shown to
+ * a user, such as a counselor commenting on one of their interviews.
+ * Notifications are removed automatically after NOTIFICATION_RETENTION_DAYS.
+ *
+ * Key Features:
+ * - Typed notifications with a short title and message
+ * - Reference to the interview and comment that triggered them
+ * - Read state per notification
+ * - Automatic cleanup through a TTL index
+ *
+ * Related Files:
+ * - src/services/notification.service.ts - Creating and reading notifications
+ * - src/routes/notification.routes.ts - Notification endpoints
+ * - src/services/review.service.ts - Review comment notifications
+ *
+ * Task: Counselor review comments anchored to transcript messages
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+import { REVIEW_TARGET_TYPES, ReviewTargetType } from './ReviewComment';
+
+/**
+ * Notification type enum
+ */
+export const NOTIFICATION_TYPES = {
+  REVIEW_COMMENT: 'review_comment',
+  REVIEW_REPLY: 'review_reply',
+  REVIEW_RESOLVED: 'review_resolved'
+} as const;
+
+export type NotificationType = typeof NOTIFICATION_TYPES[keyof typeof NOTIFICATION_TYPES];
+
+/**
+ * Days a notification is kept before it is removed
+ */
+export const NOTIFICATION_RETENTION_DAYS = 90;
+
+/**
+ * Interface defining the notification document structure
+ */
+export interface INotification extends Document {
+  userId: Types.ObjectId; // Recipient
+  type: NotificationType;
+  title: string;
+  message: string;
+
+  // What triggered the notification
+  actorId?: Types.ObjectId;
+  targetType?: ReviewTargetType;
+  targetId?: Types.ObjectId;
+  commentId?: Types.ObjectId;
+
+  readAt?: Date;
+  expiresAt: Date;
+
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the Notification model
+ */
+const notificationSchema = new Schema<INotification>(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+
+    type: {
+      type: String,
+      required: [true, 'Notification type is required'],
+      enum: {
+        values: Object.values(NOTIFICATION_TYPES),
+        message: 'Invalid notification type'
+      }
+    },
+
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+
+    message: {
+      type: String,
+      required: [true, 'Message is required'],
+      trim: true,
+      maxlength: [500, 'Message cannot exceed 500 characters']
+    },
+
+    actorId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    targetType: {
+      type: String,
+      enum: {
+        values: Object.values(REVIEW_TARGET_TYPES),
+        message: 'Invalid review target type'
+      }
+    },
+
+    targetId: {
+      type: Schema.Types.ObjectId
+    },
+
+    commentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'ReviewComment'
+    },
+
+    readAt: {
+      type: Date
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+      default: () => new Date(Date.now() + NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      index: { expireAfterSeconds: 0 } // MongoDB TTL index
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+notificationSchema.index({ userId: 1, createdAt: -1 }); // A user's notification feed
+notificationSchema.index({ userId: 1, readAt: 1 }); // Unread counts
+
+/**
+ * Create and export the Notification model
+ */
+const Notification: Model<INotification> = mongoose.model<INotification>(
+  'Notification',
+  notificationSchema
+);
+
+export default Notification;
@@ -0,0 +1,92 @@
+/**
+ * AI Interview Coach Backend - Organization Model
+ *
+ * This file defines the Organization model for counselor workspaces. An
+ * organization is a school, program or practice run by one or more counselors;
+ * students join it through invitation codes and appear on its roster.
+ *
+ * Key Features:
+ * - Counselors who manage the roster and assign practice interviews
+ * - Creator recorded for auditing
+ * - Soft deactivation so rosters and assignments are kept
+ *
+ * Related Files:
+ * - src/models/RosterMembership.ts - Students on the roster
+ * - src/models/Invitation.ts - Invitation codes for joining
+ * - src/models/Assignment.ts - Assigned practice interviews
+ * - src/services/roster.service.ts - Roster and invitation operations
+ * - src/routes/organization.routes.ts - Counselor workspace endpoints
+ *
+ * Task: Counselor workspace with rosters, invitations and assigned practice interviews
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+
+/**
+ * Interface defining the organization document structure
+ */
+export interface IOrganization extends Document {
+  name: string;
+  createdBy: Types.ObjectId;
+  counselorIds: Types.ObjectId[]; // Counselors who manage this organization
+  isActive: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the Organization model
+ */
+const organizationSchema = new Schema<IOrganization>(
+  {
+    name: {
+      type: String,
+      required: [true, 'Organization name is required'],
+      trim: true,
+      minlength: [2, 'Organization name must be at least 2 characters'],
+      maxlength: [120, 'Organization name cannot exceed 120 characters']
+    },
+
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creator is required']
+    },
+
+    counselorIds: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+      validate: {
+        validator: (ids: Types.ObjectId[]) => ids.length > 0,
+        message: 'An organization needs at least one counselor'
+      },
+      index: true
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Create and export the Organization model
+ */
+const Organization: Model<IOrganization> = mongoose.model<IOrganization>(
+  'Organization',
+  organizationSchema
+);
+
+export default Organization;
@@ -0,0 +1,218 @@
+/**
+ * AI Interview Coach Backend - RefreshToken Model
+ *
+ * This file defines the RefreshToken model used to persist issued refresh tokens
+ * per user and device. Tokens are rotated on every use: the presented token is
+ * revoked and linked to its replacement, so a replayed (stolen) token can be
+ * detected and the whole device session revoked.
+ *
+ * Key Features:
+ * - One active token chain per user/device
+ * - Only a SHA-256 hash of the raw token is stored
+ * - Rotation tracking via replacedByTokenId
+ * - Revocation with reason for auditing
+ * - Automatic cleanup through a MongoDB TTL index on expiresAt
+ *
+ * Related Files:
+ * - src/services/auth.service.ts - Refresh token generation and hashing
+ * - src/services/refreshToken.service.ts - Issue, rotate and revoke operations
+ * - src/routes/auth.routes.ts - POST /api/auth/refresh endpoint
+ *
+ * Task: Refresh-token rotation endpoint
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+
+/**
+ * Reasons a refresh token can be revoked
+ */
+export const REVOCATION_REASONS = {
+  ROTATED: 'rotated',
+  REUSE_DETECTED: 'reuse_detected',
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all',
+  PASSWORD_CHANGED: 'password_changed'
+} as const;
+
+export type RevocationReason = typeof REVOCATION_REASONS[keyof typeof REVOCATION_REASONS];
+
+/**
+ * Interface defining the refresh token document structure
+ */
+export interface IRefreshToken extends Document {
+  userId: Types.ObjectId;
+  tokenId: string; // jti claim of the refresh token
+  tokenHash: string;
+  deviceId: string;
+  userAgent?: string;
+  ipAddress?: string;
+
+  // Lifecycle
+  expiresAt: Date;
+  lastUsedAt?: Date;
+  revokedAt?: Date;
+  revokedReason?: RevocationReason;
+  replacedByTokenId?: string;
+
+  // Timestamps
+  createdAt: Date;
+  updatedAt: Date;
+
+  // Instance methods
+  isActive(): boolean;
+}
+
+/**
+ * Interface for RefreshToken model static methods
+ */
+interface IRefreshTokenModel extends Model<IRefreshToken> {
+  findActiveByUser(userId: string | Types.ObjectId): Promise<IRefreshToken[]>;
+  revokeForDevice(userId: string | Types.ObjectId, deviceId: string, reason: RevocationReason): Promise<number>;
+  revokeAllForUser(userId: string | Types.ObjectId, reason: RevocationReason): Promise<number>;
+}
+
+/**
+ * Mongoose schema definition for the RefreshToken model
+ */
+const refreshTokenSchema = new Schema<IRefreshToken>(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+
+    tokenId: {
+      type: String,
+      required: [true, 'Token ID is required'],
+      unique: true
+    },
+
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required']
+    },
+
+    deviceId: {
+      type: String,
+      required: [true, 'Device ID is required'],
+      trim: true,
+      maxlength: [128, 'Device ID cannot exceed 128 characters']
+    },
+
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'User agent cannot exceed 500 characters']
+    },
+
+    ipAddress: {
+      type: String,
+      trim: true
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 } // MongoDB TTL index
+    },
+
+    lastUsedAt: {
+      type: Date
+    },
+
+    revokedAt: {
+      type: Date
+    },
+
+    revokedReason: {
+      type: String,
+      enum: {
+        values: Object.values(REVOCATION_REASONS),
+        message: 'Invalid revocation reason'
+      }
+    },
+
+    replacedByTokenId: {
+      type: String
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.tokenHash;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Instance method to check whether the token can still be used
+ */
+refreshTokenSchema.methods.isActive = function(): boolean {
+  return !this.revokedAt && new Date() < this.expiresAt;
+};
+
+/**
+ * Static method to find a user's active refresh tokens (one per signed-in device)
+ */
+refreshTokenSchema.statics.findActiveByUser = async function(
+  userId: string | Types.ObjectId
+): Promise<IRefreshToken[]> {
+  return this.find({
+    userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Static method to revoke every active token for a single device
+ */
+refreshTokenSchema.statics.revokeForDevice = async function(
+  userId: string | Types.ObjectId,
+  deviceId: string,
+  reason: RevocationReason
+): Promise<number> {
+  const result = await this.updateMany(
+    { userId, deviceId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Static method to revoke every active token for a user across all devices
+ */
+refreshTokenSchema.statics.revokeAllForUser = async function(
+  userId: string | Types.ObjectId,
+  reason: RevocationReason
+): Promise<number> {
+  const result = await this.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Indexes for performance optimization
+ */
+refreshTokenSchema.index({ userId: 1, deviceId: 1, revokedAt: 1 }); // Device session lookups
+
+/**
+ * Create and export the RefreshToken model
+ */
+const RefreshToken = mongoose.model<IRefreshToken, IRefreshTokenModel>(
+  'RefreshToken',
+  refreshTokenSchema
+);
+
+export default RefreshToken;
@@ -0,0 +1,159 @@
+/**
+ * AI Interview Coach Backend - ReviewComment Model
+ *
+ * This file defines the ReviewComment model for counselor review comments on
+ * a student's interview. A comment is anchored to one message of an
+ * InterviewTranscript or one transcript entry of a SessionRecording. Top-level
+ * comments start a thread; replies point at the thread's root comment, and
+ * only the root carries the thread's resolved state.
+ *
+ * Key Features:
+ * - Anchoring by target type, target ID and entry index
+ * - Single-level threading through parentId
+ * - Resolved state with who resolved the thread and when
+ * - Student ID stored on each comment for access checks
+ *
+ * Related Files:
+ * - src/models/InterviewTranscript.ts - Transcript messages comments anchor to
+ * - src/models/SessionRecording.ts - Session transcript entries comments anchor to
+ * - src/services/review.service.ts - Comment operations and access rules
+ * - src/routes/review.routes.ts - Comments endpoints
+ *
+ * Task: Counselor review comments anchored to transcript messages
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+
+/**
+ * Kinds of interview records a comment can be anchored to
+ */
+export const REVIEW_TARGET_TYPES = {
+  TRANSCRIPT: 'transcript',
+  SESSION: 'session'
+} as const;
+
+export type ReviewTargetType = typeof REVIEW_TARGET_TYPES[keyof typeof REVIEW_TARGET_TYPES];
+
+/**
+ * Maximum comment length in characters
+ */
+export const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Interface defining the review comment document structure
+ */
+export interface IReviewComment extends Document {
+  // Anchor
+  targetType: ReviewTargetType;
+  targetId: Types.ObjectId; // InterviewTranscript or SessionRecording ID
+  anchorIndex: number; // Index into messages (transcript) or transcript entries (session)
+  studentId: Types.ObjectId; // Owner of the reviewed interview
+
+  // Threading
+  parentId?: Types.ObjectId | null; // Root comment of the thread, null for roots
+
+  authorId: Types.ObjectId;
+  body: string;
+
+  // Thread state (root comments only)
+  resolved: boolean;
+  resolvedAt?: Date;
+  resolvedBy?: Types.ObjectId;
+
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the ReviewComment model
+ */
+const reviewCommentSchema = new Schema<IReviewComment>(
+  {
+    targetType: {
+      type: String,
+      required: [true, 'Target type is required'],
+      enum: {
+        values: Object.values(REVIEW_TARGET_TYPES),
+        message: 'Invalid review target type'
+      }
+    },
+
+    targetId: {
+      type: Schema.Types.ObjectId,
+      required: [true, 'Target ID is required']
+    },
+
+    anchorIndex: {
+      type: Number,
+      required: [true, 'Anchor index is required'],
+      min: [0, 'Anchor index cannot be negative']
+    },
+
+    studentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Student ID is required']
+    },
+
+    parentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'ReviewComment',
+      default: null
+    },
+
+    authorId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Author ID is required']
+    },
+
+    body: {
+      type: String,
+      required: [true, 'Comment body is required'],
+      trim: true,
+      maxlength: [MAX_COMMENT_LENGTH, `Comment cannot exceed ${MAX_COMMENT_LENGTH} characters`]
+    },
+
+    resolved: {
+      type: Boolean,
+      default: false
+    },
+
+    resolvedAt: {
+      type: Date
+    },
+
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+reviewCommentSchema.index({ targetType: 1, targetId: 1, createdAt: 1 }); // All comments on an interview
+reviewCommentSchema.index({ parentId: 1 }); // Replies in a thread
+
+/**
+ * Create and export the ReviewComment model
+ */
+const ReviewComment: Model<IReviewComment> = mongoose.model<IReviewComment>(
+  'ReviewComment',
+  reviewCommentSchema
+);
+
+export default ReviewComment;
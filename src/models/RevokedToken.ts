@@ -0,0 +1,126 @@
+/**
+ * AI Interview Coach Backend - RevokedToken Model
+ *
+ * This file defines the RevokedToken model, the revocation list consulted by the
+ * authentication middleware. JWT access tokens are stateless, so logging out only
+ * takes effect server-side if the token (or every token a user holds) is recorded
+ * here until it would have expired anyway.
+ *
+ * Revocation Scopes:
+ * - token: A single access token identified by its jti claim
+ * - user: Every token issued to the user before revokedAt (log out of all devices)
+ *
+ * Key Features:
+ * - Entries expire through a MongoDB TTL index once the covered tokens expire
+ * - Indexed lookups by token ID and by user for per-request checks
+ *
+ * Related Files:
+ * - src/services/tokenRevocation.service.ts - Revocation operations and checks
+ * - src/middleware/auth.ts - Consults the revocation list on every request
+ * - src/routes/auth.routes.ts - Logout endpoints
+ *
+ * Task: Server-side logout and token revocation list
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+import { REVOCATION_REASONS, RevocationReason } from './RefreshToken';
+
+/**
+ * Scope of a revocation entry
+ */
+export const REVOCATION_SCOPES = {
+  TOKEN: 'token',
+  USER: 'user'
+} as const;
+
+export type RevocationScope = typeof REVOCATION_SCOPES[keyof typeof REVOCATION_SCOPES];
+
+/**
+ * Interface defining the revoked token document structure
+ */
+export interface IRevokedToken extends Document {
+  scope: RevocationScope;
+  tokenId?: string; // Set for token scope
+  userId: Types.ObjectId;
+  reason: RevocationReason;
+  revokedAt: Date;
+  expiresAt: Date; // When every covered token has expired
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the RevokedToken model
+ */
+const revokedTokenSchema = new Schema<IRevokedToken>(
+  {
+    scope: {
+      type: String,
+      required: true,
+      enum: {
+        values: Object.values(REVOCATION_SCOPES),
+        message: 'Invalid revocation scope'
+      }
+    },
+
+    tokenId: {
+      type: String,
+      sparse: true,
+      unique: true
+    },
+
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+
+    reason: {
+      type: String,
+      required: true,
+      enum: {
+        values: Object.values(REVOCATION_REASONS),
+        message: 'Invalid revocation reason'
+      }
+    },
+
+    revokedAt: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 } // MongoDB TTL index
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+revokedTokenSchema.index({ userId: 1, scope: 1, revokedAt: -1 }); // User-wide revocation checks
+
+/**
+ * Create and export the RevokedToken model
+ */
+const RevokedToken: Model<IRevokedToken> = mongoose.model<IRevokedToken>(
+  'RevokedToken',
+  revokedTokenSchema
+);
+
+export default RevokedToken;
@@ -0,0 +1,118 @@
+/**
+ * AI Interview Coach Backend - RosterMembership Model
+ *
+ * This file defines the RosterMembership model linking a student to an
+ * organization's roster. A membership is created when a student redeems an
+ * invitation code and gives the organization's counselors read access to the
+ * student's interview ratings.
+ *
+ * Key Features:
+ * - One membership per student and organization
+ * - Records the invitation used to join
+ * - Removal keeps the record so assignment history stays intact
+ *
+ * Related Files:
+ * - src/models/Organization.ts - Organization the roster belongs to
+ * - src/models/Invitation.ts - Invitation codes for joining
+ * - src/services/roster.service.ts - Roster operations and counselor access checks
+ *
+ * Task: Counselor workspace with rosters, invitations and assigned practice interviews
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+
+/**
+ * Status enum for roster memberships
+ */
+export const ROSTER_STATUS = {
+  ACTIVE: 'active',
+  REMOVED: 'removed'
+} as const;
+
+export type RosterStatus = typeof ROSTER_STATUS[keyof typeof ROSTER_STATUS];
+
+/**
+ * Interface defining the roster membership document structure
+ */
+export interface IRosterMembership extends Document {
+  organizationId: Types.ObjectId;
+  studentId: Types.ObjectId;
+  invitationId?: Types.ObjectId;
+  status: RosterStatus;
+  joinedAt: Date;
+  removedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the RosterMembership model
+ */
+const rosterMembershipSchema = new Schema<IRosterMembership>(
+  {
+    organizationId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required']
+    },
+
+    studentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Student ID is required'],
+      index: true
+    },
+
+    invitationId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Invitation'
+    },
+
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: Object.values(ROSTER_STATUS),
+        message: 'Invalid roster status'
+      },
+      default: ROSTER_STATUS.ACTIVE
+    },
+
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    removedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+rosterMembershipSchema.index({ organizationId: 1, studentId: 1 }, { unique: true }); // One membership per student
+rosterMembershipSchema.index({ organizationId: 1, status: 1 }); // Roster listing
+
+/**
+ * Create and export the RosterMembership model
+ */
+const RosterMembership: Model<IRosterMembership> = mongoose.model<IRosterMembership>(
+  'RosterMembership',
+  rosterMembershipSchema
+);
+
+export default RosterMembership;
@@ -12,6 +12,7 @@
  * - AI-generated feedback and recommendations
  * - Audio recording references
  * - Performance scoring and analytics
+ * - Processing status changes pushed to the user over the realtime WebSocket
  * 
  * Session Recording Lifecycle:
  * 1. Created when interview starts
@@ -25,6 +26,7 @@
  * - src/models/User.ts - User reference
  * - src/services/openai.service.ts - Transcription and feedback
  * - src/controllers/session.controller.ts - Session management
+ * - src/services/realtime.service.ts - Pushes processing status changes
  * 
  * Task: #9 - SessionRecording model with transcript and feedback storage
  * 
@@ -33,6 +35,7 @@
  */
 
 import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+import { publishToUser, REALTIME_EVENTS } from '../services/realtime.service';
 
 /**
  * Enum for speaker types in transcript
@@ -642,6 +645,35 @@ sessionRecordingSchema.statics.getAverageScores = async function(
   return scores[0];
 };
 
+/**
+ * Pre-save middleware to note processing status changes
+ * isModified is only reliable before the save, so the result is kept for the post-save hook.
+ */
+sessionRecordingSchema.pre('save', function(next) {
+  this.$locals.processingStatusChanged = !this.isNew && this.isModified('processingStatus');
+  next();
+});
+
+/**
+ * Post-save middleware to push processing status changes to the user
+ */
+sessionRecordingSchema.post('save', function(doc) {
+  if (!doc.$locals.processingStatusChanged) {
+    return;
+  }
+  doc.$locals.processingStatusChanged = false;
+
+  publishToUser(doc.userId, REALTIME_EVENTS.SESSION_STATUS, {
+    sessionId: (doc._id as Types.ObjectId).toString(),
+    interviewId: doc.interviewId.toString(),
+    processingStatus: {
+      transcription: doc.processingStatus.transcription,
+      analysis: doc.processingStatus.analysis,
+      feedback: doc.processingStatus.feedback
+    }
+  });
+});
+
 /**
  * Indexes for performance optimization
  */
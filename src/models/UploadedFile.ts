@@ -9,8 +9,12 @@
  * - TypeScript interfaces for type safety
  * - Reference to User model for ownership
  * - File metadata storage (name, type, size)
+ * - Original file bytes kept for the student's data export, never returned
+ *   by queries unless selected
  * - Text extraction tracking and storage
  * - Processing status management
+ * - Structured profile data (activities, awards, courses, skills) parsed from
+ *   resumes and activity lists, with the student's review status
  * - Virtual fields for file URL generation
  * - Instance methods for status checking
  * - Performance indexes for efficient queries
@@ -26,8 +30,10 @@
  * - src/services/fileProcessing.service.ts - Text extraction logic
  * - src/middleware/documentUpload.ts - File upload handling
  * - src/routes/upload.routes.ts - Upload endpoints
+ * - src/services/profileExtraction.service.ts - Resume and activity list parsing
  * 
  * Task: Phase 1, Step 3 - Create UploadedFile Database Model
+ * Task: Structured resume and activity-list parsing into the user profile
  * 
  * @author AI Interview Coach Team
  * @version 1.0.0
@@ -62,6 +68,88 @@ export const FILE_TYPES = {
 
 export type FileType = typeof FILE_TYPES[keyof typeof FILE_TYPES];
 
+/**
+ * Enum for the kind of document profile data was parsed from
+ */
+export const PROFILE_DOCUMENT_TYPES = {
+  RESUME: 'resume',
+  ACTIVITY_LIST: 'activity_list',
+  OTHER: 'other'
+} as const;
+
+export type ProfileDocumentType = typeof PROFILE_DOCUMENT_TYPES[keyof typeof PROFILE_DOCUMENT_TYPES];
+
+/**
+ * Enum for the student's review of parsed profile data
+ */
+export const PROFILE_IMPORT_STATUS = {
+  PENDING: 'pending', // Not reviewed yet
+  MERGED: 'merged', // Some suggestions were added to the profile
+  DISMISSED: 'dismissed' // Reviewed, nothing added
+} as const;
+
+export type ProfileImportStatus = typeof PROFILE_IMPORT_STATUS[keyof typeof PROFILE_IMPORT_STATUS];
+
+/**
+ * Enum for award recognition levels (the Common App's levels)
+ */
+export const AWARD_LEVELS = {
+  SCHOOL: 'school',
+  STATE_REGIONAL: 'state_regional',
+  NATIONAL: 'national',
+  INTERNATIONAL: 'international'
+} as const;
+
+export type AwardLevel = typeof AWARD_LEVELS[keyof typeof AWARD_LEVELS];
+
+/**
+ * Interface for an activity parsed from a resume or activity list
+ * Dates are kept as written ("Sept 2022", "Present").
+ */
+export interface IExtractedActivity {
+  name: string;
+  role?: string;
+  organization?: string;
+  description?: string;
+  startDate?: string;
+  endDate?: string;
+  grades?: number[]; // Grade levels of participation, e.g. [10, 11, 12]
+  hoursPerWeek?: number;
+  weeksPerYear?: number;
+}
+
+/**
+ * Interface for an award or honor
+ */
+export interface IExtractedAward {
+  title: string;
+  level?: AwardLevel;
+  date?: string;
+  grades?: number[];
+}
+
+/**
+ * Interface for a course
+ */
+export interface IExtractedCourse {
+  name: string;
+  level?: string; // AP, IB HL, IB SL, Honors or Dual Enrollment
+}
+
+/**
+ * Interface for the profile data parsed from a document
+ */
+export interface IProfileExtraction {
+  documentType: ProfileDocumentType;
+  activities: IExtractedActivity[];
+  awards: IExtractedAward[];
+  courses: IExtractedCourse[];
+  skills: string[];
+  importStatus: ProfileImportStatus;
+  extractedAt: Date;
+  reviewedAt?: Date;
+}
+
 /**
  * Interface defining the uploaded file document structure
  * Extends Mongoose Document for type safety
@@ -76,12 +164,14 @@ export interface IUploadedFile extends Document {
   mimeType: string;
   size: number;
   fileType: FileType;
+  fileData?: Buffer; // Original upload; select with '+fileData'
   
   // Processing information
   extractedText?: string;
   processingStatus: ProcessingStatus;
   processingError?: string;
   processingDuration?: number; // milliseconds
+  profileExtraction?: IProfileExtraction;
   
   // Timestamps
   uploadedAt: Date;
@@ -114,6 +204,57 @@ interface IUploadedFileModel extends Model<IUploadedFile> {
   cleanupOldFiles(daysOld: number): Promise<number>;
 }
 
+/**
+ * Schema for profile data parsed from a document (embedded, no _id)
+ */
+const profileExtractionSchema = new Schema<IProfileExtraction>(
+  {
+    documentType: {
+      type: String,
+      enum: Object.values(PROFILE_DOCUMENT_TYPES),
+      required: true
+    },
+    activities: [{
+      _id: false,
+      name: { type: String, required: true, trim: true, maxlength: 200 },
+      role: { type: String, trim: true, maxlength: 100 },
+      organization: { type: String, trim: true, maxlength: 200 },
+      description: { type: String, trim: true, maxlength: 1000 },
+      startDate: { type: String, trim: true, maxlength: 30 },
+      endDate: { type: String, trim: true, maxlength: 30 },
+      grades: { type: [Number], default: undefined },
+      hoursPerWeek: { type: Number, min: 0 },
+      weeksPerYear: { type: Number, min: 0 }
+    }],
+    awards: [{
+      _id: false,
+      title: { type: String, required: true, trim: true, maxlength: 200 },
+      level: { type: String, enum: Object.values(AWARD_LEVELS) },
+      date: { type: String, trim: true, maxlength: 30 },
+      grades: { type: [Number], default: undefined }
+    }],
+    courses: [{
+      _id: false,
+      name: { type: String, required: true, trim: true, maxlength: 100 },
+      level: { type: String, trim: true, maxlength: 30 }
+    }],
+    skills: [{ type: String, trim: true, maxlength: 100 }],
+    importStatus: {
+      type: String,
+      enum: Object.values(PROFILE_IMPORT_STATUS),
+      default: PROFILE_IMPORT_STATUS.PENDING
+    },
+    extractedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedAt: {
+      type: Date
+    }
+  },
+  { _id: false }
+);
+
 /**
  * Mongoose schema definition for the UploadedFile model
  * Implements all fields with proper validation and defaults
@@ -158,6 +299,11 @@ const uploadedFileSchema = new Schema<IUploadedFile>(
       max: [5 * 1024 * 1024, 'File size cannot exceed 5MB'] // 5MB limit
     },
     
+    fileData: {
+      type: Buffer,
+      select: false
+    },
+    
     fileType: {
       type: String,
       required: [true, 'File type is required'],
@@ -191,6 +337,11 @@ const uploadedFileSchema = new Schema<IUploadedFile>(
       default: null,
       min: [0, 'Processing duration must be non-negative']
     },
+
+    profileExtraction: {
+      type: profileExtractionSchema,
+      default: undefined
+    },
     
     // Timestamps
     uploadedAt: {
@@ -213,6 +364,7 @@ const uploadedFileSchema = new Schema<IUploadedFile>(
       transform: function(doc: any, ret: any) {
         // Remove sensitive fields from JSON output
         delete ret.__v;
+        delete ret.fileData;
         return ret;
       }
     }
@@ -19,6 +19,8 @@
  * - Password field excluded from JSON responses
  * - Email validation and normalization
  * - Safe password comparison methods
+ * - Optional TOTP two-factor authentication with hashed recovery codes
+ * - Roles (student, counselor, admin) for role-based access control
  * 
  * Related Files:
  * - src/services/auth.service.ts - Authentication logic
@@ -33,6 +35,33 @@
 
 import mongoose, { Document, Schema, Model } from 'mongoose';
 import * as bcrypt from 'bcryptjs';
+import { MIN_TRANSCRIPT_RETENTION_DAYS, MAX_TRANSCRIPT_RETENTION_DAYS } from './InterviewTranscript';
+
+/**
+ * Roles a user can hold
+ * - student: Default role, can only access their own data
+ * - counselor: Works with students (see the counselor workspace)
+ * - admin: Manages roles and can view system-wide analytics
+ */
+export const USER_ROLES = {
+  STUDENT: 'student',
+  COUNSELOR: 'counselor',
+  ADMIN: 'admin'
+} as const;
+
+export type UserRole = typeof USER_ROLES[keyof typeof USER_ROLES];
+
+/**
+ * Limits for list-valued profile fields, matching the schema validators below
+ */
+export const PROFILE_LIST_LIMITS = {
+  targetColleges: { label: 'Target colleges', maxItems: 20, maxLength: 100 },
+  extracurriculars: { label: 'Extracurriculars', maxItems: 50, maxLength: 200 },
+  strengths: { label: 'Strengths', maxItems: 10, maxLength: 100 },
+  weaknesses: { label: 'Weaknesses', maxItems: 10, maxLength: 100 }
+} as const;
+
+export type ProfileListField = keyof typeof PROFILE_LIST_LIMITS;
 
 /**
  * Interface defining the user document structure
@@ -52,12 +81,29 @@ export interface IUser extends Document {
   strengths?: string[];
   weaknesses?: string[];
   
+  // Days to keep rated interview transcripts; unset uses the server default
+  transcriptRetentionDays?: number;
+  
   // System fields
+  role: UserRole;
   isActive: boolean;
   isEmailVerified: boolean;
   lastLogin?: Date;
   loginCount: number;
   
+  // Single-use token hashes for emailed links
+  resetPasswordToken?: string;
+  resetPasswordExpires?: Date;
+  emailVerificationToken?: string;
+  emailVerificationExpires?: Date;
+  
+  // TOTP two-factor authentication (secrets are encrypted at rest)
+  twoFactorEnabled: boolean;
+  twoFactorSecret?: string;
+  twoFactorPendingSecret?: string;
+  twoFactorRecoveryCodes?: string[];
+  twoFactorLastUsedStep?: number;
+  
   // Timestamps
   createdAt: Date;
   updatedAt: Date;
@@ -174,7 +220,27 @@ const userSchema = new Schema<IUser>(
       }
     },
     
+    transcriptRetentionDays: {
+      type: Number,
+      min: [MIN_TRANSCRIPT_RETENTION_DAYS, `Retention must be at least ${MIN_TRANSCRIPT_RETENTION_DAYS} days`],
+      max: [MAX_TRANSCRIPT_RETENTION_DAYS, `Retention cannot exceed ${MAX_TRANSCRIPT_RETENTION_DAYS} days`],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Retention must be a whole number of days'
+      }
+    },
+    
     // System fields
+    role: {
+      type: String,
+      enum: {
+        values: Object.values(USER_ROLES),
+        message: 'Role must be student, counselor or admin'
+      },
+      default: USER_ROLES.STUDENT,
+      index: true // Index for listing users by role
+    },
+    
     isActive: {
       type: Boolean,
       default: true,
@@ -195,6 +261,57 @@ const userSchema = new Schema<IUser>(
       type: Number,
       default: 0,
       min: 0
+    },
+    
+    // Emailed link tokens (SHA-256 hashes, cleared once used)
+    resetPasswordToken: {
+      type: String,
+      select: false
+    },
+    
+    resetPasswordExpires: {
+      type: Date,
+      select: false
+    },
+    
+    emailVerificationToken: {
+      type: String,
+      select: false
+    },
+    
+    emailVerificationExpires: {
+      type: Date,
+      select: false
+    },
+    
+    // TOTP two-factor authentication
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false
+    },
+    
+    twoFactorSecret: {
+      type: String,
+      select: false
+    },
+    
+    // Secret awaiting confirmation with a first code during enrollment
+    twoFactorPendingSecret: {
+      type: String,
+      select: false
+    },
+    
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: undefined,
+      select: false
+    },
+    
+    // Last accepted TOTP time step, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false
     }
   },
   {
@@ -204,6 +321,12 @@ const userSchema = new Schema<IUser>(
       transform: function(doc: any, ret: any) {
         // Remove sensitive fields from JSON output
         delete ret.password;
+        delete ret.resetPasswordToken;
+        delete ret.emailVerificationToken;
+        delete ret.twoFactorSecret;
+        delete ret.twoFactorPendingSecret;
+        delete ret.twoFactorRecoveryCodes;
+        delete ret.twoFactorLastUsedStep;
         delete ret.__v;
         return ret;
       }
@@ -261,6 +384,14 @@ userSchema.methods.comparePassword = async function(candidatePassword: string):
 userSchema.methods.toSafeObject = function(): Partial<IUser> {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.resetPasswordToken;
+  delete userObject.resetPasswordExpires;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.twoFactorLastUsedStep;
   delete userObject.__v;
   return userObject;
 };
@@ -0,0 +1,139 @@
+/**
+ * AI Interview Coach Backend - VoiceAnalyticsEvent Model
+ *
+ * This file defines the VoiceAnalyticsEvent model, the log of voice mode
+ * usage events behind the voice analytics dashboard: voice mode being turned
+ * on or off, speech recognition attempts, successes and errors, voice
+ * sessions and preference changes. No speech content is stored.
+ * Events are removed automatically after VOICE_ANALYTICS_RETENTION_DAYS.
+ *
+ * Key Features:
+ * - One entry per voice event, shared by every server process
+ * - Browser name and device type derived when the event is recorded, so
+ *   metrics group on indexed fields
+ * - Automatic cleanup through a TTL index
+ *
+ * Related Files:
+ * - src/services/voiceAnalytics.service.ts - Recording events and metrics
+ * - src/models/VoiceError.ts - Reported voice errors
+ * - src/models/VoicePreference.ts - Current voice preferences per user
+ *
+ * Task: Persistent voice analytics store
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+
+/**
+ * Voice event types
+ */
+export const VOICE_EVENT_TYPES = {
+  VOICE_ENABLED: 'voice_enabled',
+  VOICE_DISABLED: 'voice_disabled',
+  SPEECH_ATTEMPT: 'speech_attempt',
+  SPEECH_SUCCESS: 'speech_success',
+  SPEECH_ERROR: 'speech_error',
+  SESSION_START: 'session_start',
+  SESSION_END: 'session_end',
+  PREFERENCE_CHANGE: 'preference_change'
+} as const;
+
+export type VoiceEventType = typeof VOICE_EVENT_TYPES[keyof typeof VOICE_EVENT_TYPES];
+
+/**
+ * Device types derived from browser information
+ */
+export const VOICE_DEVICE_TYPES = {
+  DESKTOP: 'desktop',
+  MOBILE: 'mobile',
+  TABLET: 'tablet'
+} as const;
+
+export type VoiceDeviceType = typeof VOICE_DEVICE_TYPES[keyof typeof VOICE_DEVICE_TYPES];
+
+/**
+ * Days voice events and errors are kept before they are removed
+ */
+export const VOICE_ANALYTICS_RETENTION_DAYS = 90;
+
+/**
+ * Interface defining the voice event document structure
+ */
+export interface IVoiceAnalyticsEvent extends Document {
+  userId: Types.ObjectId;
+  event: VoiceEventType;
+  data?: Record<string, any>; // Event details, e.g. confidence or processing time
+  browserInfo?: string;
+  deviceInfo?: string;
+  browser?: string; // First word of browserInfo
+  device: VoiceDeviceType;
+  createdAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the VoiceAnalyticsEvent model
+ */
+const voiceAnalyticsEventSchema = new Schema<IVoiceAnalyticsEvent>(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    event: {
+      type: String,
+      required: [true, 'Event type is required'],
+      enum: {
+        values: Object.values(VOICE_EVENT_TYPES),
+        message: 'Invalid voice event type'
+      }
+    },
+    data: {
+      type: Schema.Types.Mixed
+    },
+    browserInfo: {
+      type: String,
+      maxlength: 500
+    },
+    deviceInfo: {
+      type: String,
+      maxlength: 500
+    },
+    browser: {
+      type: String
+    },
+    device: {
+      type: String,
+      enum: Object.values(VOICE_DEVICE_TYPES),
+      default: VOICE_DEVICE_TYPES.DESKTOP
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+voiceAnalyticsEventSchema.index({ event: 1, createdAt: -1 }); // Metrics per event type and period
+voiceAnalyticsEventSchema.index({ userId: 1, createdAt: -1 }); // A user's events
+voiceAnalyticsEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: VOICE_ANALYTICS_RETENTION_DAYS * 24 * 60 * 60 }); // TTL
+
+/**
+ * Create and export the VoiceAnalyticsEvent model
+ */
+const VoiceAnalyticsEvent: Model<IVoiceAnalyticsEvent> = mongoose.model<IVoiceAnalyticsEvent>(
+  'VoiceAnalyticsEvent',
+  voiceAnalyticsEventSchema
+);
+
+export default VoiceAnalyticsEvent;
@@ -0,0 +1,114 @@
+/**
+ * AI Interview Coach Backend - VoiceError Model
+ *
+ * This file defines the VoiceError model for voice mode errors reported by
+ * the frontend, such as a denied microphone permission or a browser without
+ * speech recognition. Errors can be marked resolved once their cause is fixed.
+ * Errors are removed automatically after VOICE_ANALYTICS_RETENTION_DAYS.
+ *
+ * Key Features:
+ * - Error type, message and browser of each report
+ * - Browser name and device type derived when the error is recorded
+ * - Resolution state for the error resolution rate
+ * - Automatic cleanup through a TTL index
+ *
+ * Related Files:
+ * - src/services/voiceAnalytics.service.ts - Recording errors and error metrics
+ * - src/models/VoiceAnalyticsEvent.ts - Voice event log and retention period
+ * - src/routes/chat.routes.ts - Error reports from /api/chat/voice-process
+ *
+ * Task: Persistent voice analytics store
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+import { VOICE_DEVICE_TYPES, VoiceDeviceType, VOICE_ANALYTICS_RETENTION_DAYS } from './VoiceAnalyticsEvent';
+
+/**
+ * Interface defining the voice error document structure
+ */
+export interface IVoiceError extends Document {
+  userId: Types.ObjectId;
+  errorType: string;
+  errorMessage: string;
+  browserInfo: string;
+  browser: string; // First word of browserInfo
+  device: VoiceDeviceType;
+  resolved: boolean;
+  resolvedAt?: Date;
+  resolution?: string;
+  createdAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the VoiceError model
+ */
+const voiceErrorSchema = new Schema<IVoiceError>(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    errorType: {
+      type: String,
+      required: true,
+      default: 'unknown'
+    },
+    errorMessage: {
+      type: String,
+      default: '',
+      maxlength: 1000
+    },
+    browserInfo: {
+      type: String,
+      default: 'unknown',
+      maxlength: 500
+    },
+    browser: {
+      type: String,
+      default: 'unknown'
+    },
+    device: {
+      type: String,
+      enum: Object.values(VOICE_DEVICE_TYPES),
+      default: VOICE_DEVICE_TYPES.DESKTOP
+    },
+    resolved: {
+      type: Boolean,
+      default: false
+    },
+    resolvedAt: {
+      type: Date
+    },
+    resolution: {
+      type: String,
+      maxlength: 1000
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+voiceErrorSchema.index({ createdAt: -1, errorType: 1 }); // Error metrics per period
+voiceErrorSchema.index({ userId: 1 }); // A user's errors
+voiceErrorSchema.index({ createdAt: 1 }, { expireAfterSeconds: VOICE_ANALYTICS_RETENTION_DAYS * 24 * 60 * 60 }); // TTL
+
+/**
+ * Create and export the VoiceError model
+ */
+const VoiceError: Model<IVoiceError> = mongoose.model<IVoiceError>('VoiceError', voiceErrorSchema);
+
+export default VoiceError;
@@ -0,0 +1,118 @@
+/**
+ * AI Interview Coach Backend - VoicePreference Model
+ *
+ * This file defines the VoicePreference model, each user's current voice
+ * mode settings: the selected voice, speech rate and volume, microphone
+ * sensitivity and whether replies are read aloud automatically. Preference
+ * patterns across users feed the voice analytics dashboard.
+ *
+ * Key Features:
+ * - One document per user, updated in place
+ * - Ranges matching the validation in voicePreference.service.ts
+ *
+ * Related Files:
+ * - src/services/voicePreference.service.ts - Reading and updating preferences
+ * - src/services/voiceAnalytics.service.ts - Preference patterns
+ * - src/routes/chat.routes.ts - /api/chat/voice-preferences and store_preferences
+ *
+ * Task: Persistent voice analytics store
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import mongoose, { Document, Schema, Types, Model } from 'mongoose';
+
+/**
+ * Voice gender options
+ */
+export const VOICE_GENDERS = {
+  MALE: 'male',
+  FEMALE: 'female',
+  NEUTRAL: 'neutral'
+} as const;
+
+export type VoiceGender = typeof VOICE_GENDERS[keyof typeof VOICE_GENDERS];
+
+/**
+ * Interface defining the voice preference document structure
+ */
+export interface IVoicePreference extends Document {
+  userId: Types.ObjectId;
+  voiceEnabled?: boolean;
+  selectedVoice?: string;
+  speechRate?: number; // 0.5-2.0
+  speechVolume?: number; // 0-1
+  microphoneSensitivity?: number; // 0-1
+  autoPlayResponses?: boolean;
+  voiceGender?: VoiceGender;
+  voiceLanguage?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Mongoose schema definition for the VoicePreference model
+ */
+const voicePreferenceSchema = new Schema<IVoicePreference>(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      unique: true
+    },
+    voiceEnabled: {
+      type: Boolean
+    },
+    selectedVoice: {
+      type: String,
+      maxlength: 100
+    },
+    speechRate: {
+      type: Number,
+      min: 0.5,
+      max: 2.0
+    },
+    speechVolume: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    microphoneSensitivity: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    autoPlayResponses: {
+      type: Boolean
+    },
+    voiceGender: {
+      type: String,
+      enum: Object.values(VOICE_GENDERS)
+    },
+    voiceLanguage: {
+      type: String,
+      maxlength: 10
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc: any, ret: any) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Create and export the VoicePreference model
+ */
+const VoicePreference: Model<IVoicePreference> = mongoose.model<IVoicePreference>(
+  'VoicePreference',
+  voicePreferenceSchema
+);
+
+export default VoicePreference;
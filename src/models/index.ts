@@ -9,7 +9,20 @@
  * - User - User profiles, authentication, and account management
  * - Interview - Interview sessions, questions, and metadata
  * - SessionRecording - Transcript storage, audio data, and session state
- * - InterviewTranscript - Temporary transcript storage for AI rating generation
+ * - InterviewTranscript - Interview transcripts with AI ratings; unrated drafts expire
+ * - Conversation - Interviews in progress, stored turn by turn so they can be resumed
+ * - RefreshToken - Rotating refresh tokens persisted per user/device
+ * - RevokedToken - Access token revocation list with TTL cleanup
+ * - LoginThrottle - Failed login counters and lockouts per account and IP
+ * - Organization, RosterMembership, Invitation - Counselor workspaces and rosters
+ * - Assignment - Practice interviews assigned by counselors
+ * - ReviewComment - Counselor review comments anchored to interview messages
+ * - Notification - In-app notifications with TTL cleanup
+ * - LLMUsage - Ledger of language model calls with tokens and cost
+ * - DocumentChunk - Search index of passages from uploaded documents
+ * - Job - Background file processing and rating generation jobs
+ * - VoiceAnalyticsEvent, VoiceError - Voice mode usage events and errors with TTL cleanup
+ * - VoicePreference - Current voice mode settings per user
  * - FeedbackReport - AI-generated feedback, scores, and recommendations
  * 
  * Database Design Principles:
@@ -39,7 +52,7 @@
  */
 
 // Model exports
-export { default as User, type IUser } from './User';
+export { default as User, type IUser, USER_ROLES, type UserRole, PROFILE_LIST_LIMITS, type ProfileListField } from './User';
 export { 
   default as Interview, 
   type IInterview,
@@ -66,17 +79,128 @@ export {
   type ITranscriptMessage,
   type IInterviewContext,
   type TranscriptStatus,
-  TRANSCRIPT_STATUS
+  TRANSCRIPT_STATUS,
+  DRAFT_TRANSCRIPT_TTL_HOURS,
+  MIN_TRANSCRIPT_RETENTION_DAYS,
+  MAX_TRANSCRIPT_RETENTION_DAYS
 } from './InterviewTranscript';
+export {
+  default as Conversation,
+  type IConversation,
+  type ConversationStatus,
+  CONVERSATION_STATUS,
+  MAX_CONVERSATION_MESSAGES,
+  CONVERSATION_IDLE_TTL_DAYS
+} from './Conversation';
 export {
   default as UploadedFile,
   type IUploadedFile,
   type ProcessingStatus,
   type FileType,
+  type IProfileExtraction,
+  type IExtractedActivity,
+  type IExtractedAward,
+  type IExtractedCourse,
+  type ProfileDocumentType,
+  type ProfileImportStatus,
+  type AwardLevel,
   PROCESSING_STATUS,
-  FILE_TYPES
+  FILE_TYPES,
+  PROFILE_DOCUMENT_TYPES,
+  PROFILE_IMPORT_STATUS,
+  AWARD_LEVELS
 } from './UploadedFile';
 export {
   default as AvatarPreference,
   type IAvatarPreference
-} from './AvatarPreference'; 
\ No newline at end of file
+} from './AvatarPreference';
+export {
+  default as RefreshToken,
+  type IRefreshToken,
+  type RevocationReason,
+  REVOCATION_REASONS
+} from './RefreshToken';
+export {
+  default as RevokedToken,
+  type IRevokedToken,
+  type RevocationScope,
+  REVOCATION_SCOPES
+} from './RevokedToken';
+export {
+  default as LoginThrottle,
+  type ILoginThrottle,
+  type ThrottleScope,
+  THROTTLE_SCOPES
+} from './LoginThrottle';
+export {
+  default as Organization,
+  type IOrganization
+} from './Organization';
+export {
+  default as RosterMembership,
+  type IRosterMembership,
+  type RosterStatus,
+  ROSTER_STATUS
+} from './RosterMembership';
+export {
+  default as Invitation,
+  type IInvitation
+} from './Invitation';
+export {
+  default as Assignment,
+  type IAssignment,
+  type AssignmentStatus,
+  ASSIGNMENT_STATUS
+} from './Assignment';
+export {
+  default as ReviewComment,
+  type IReviewComment,
+  type ReviewTargetType,
+  REVIEW_TARGET_TYPES,
+  MAX_COMMENT_LENGTH
+} from './ReviewComment';
+export {
+  default as Notification,
+  type INotification,
+  type NotificationType,
+  NOTIFICATION_TYPES
+} from './Notification';
+export {
+  default as LLMUsage,
+  type ILLMUsageEntry,
+  type LLMUsageFeature,
+  LLM_USAGE_FEATURES
+} from './LLMUsage';
+export {
+  default as DocumentChunk,
+  type IDocumentChunk
+} from './DocumentChunk';
+export {
+  default as Job,
+  type IJob,
+  type IJobPayload,
+  type JobType,
+  type JobStatus,
+  JOB_TYPES,
+  JOB_STATUS,
+  JOB_RETENTION_DAYS
+} from './Job';
+export {
+  default as VoiceAnalyticsEvent,
+  type IVoiceAnalyticsEvent,
+  type VoiceEventType,
+  type VoiceDeviceType,
+  VOICE_EVENT_TYPES,
+  VOICE_DEVICE_TYPES,
+  VOICE_ANALYTICS_RETENTION_DAYS
+} from './VoiceAnalyticsEvent';
+export {
+  default as VoiceError,
+  type IVoiceError
+} from './VoiceError';
+export {
+  default as VoicePreference,
+  type IVoicePreference,
+  type VoiceGender,
+  VOICE_GENDERS
+} from './VoicePreference';
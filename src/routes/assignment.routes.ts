@@ -0,0 +1,60 @@
+/**
+ * AI Interview Coach Backend - Assignment Routes
+ *
+ * This file implements the student side of counselor assignments. Students
+ * list the practice interviews their counselors assigned; an assignment is
+ * completed by passing its ID when ending the interview
+ * (POST /api/chat/end-interview).
+ *
+ * API Endpoints:
+ * - GET /api/assignments - List the current user's open and completed assignments
+ *
+ * Related Files:
+ * - src/services/assignment.service.ts - Assignment operations
+ * - src/routes/organization.routes.ts - Counselor endpoints for assigning
+ * - src/routes/chat.routes.ts - Assignment completion when an interview ends
+ *
+ * Task: Counselor workspace with rosters, invitations and assigned practice interviews
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Router, Response } from 'express';
+import { Types } from 'mongoose';
+import { authenticateToken, AuthenticatedRequest } from '../middleware/auth';
+import { getStudentAssignments } from '../services/assignment.service';
+
+// Create Express router instance
+const router = Router();
+
+/**
+ * GET /api/assignments - List the current user's assignments
+ * Open assignments come first, ordered by due date.
+ *
+ * @route GET /api/assignments
+ * @access Private (requires JWT authentication)
+ * @returns {Object} The user's assignments
+ */
+router.get('/', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const assignments = await getStudentAssignments(req.user!._id as Types.ObjectId);
+
+    res.status(200).json({
+      success: true,
+      assignments
+    });
+
+  } catch (error) {
+    console.error('Error listing assignments:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve assignments'
+    });
+  }
+});
+
+/**
+ * Default export for the assignment router
+ */
+export default router;
@@ -10,17 +10,43 @@
  * - Input validation to prevent malformed requests
  * - Comprehensive error handling with appropriate HTTP status codes
  * - JWT token generation for authenticated sessions
+ * - Rotating refresh tokens persisted per user/device
+ * - Password reset and email verification through emailed single-use links
+ * - Profile read and partial update for the fields used to personalize interviews
+ * - Per-account and per-IP lockout after repeated failed logins
+ * - Optional TOTP two-factor authentication with recovery codes
+ * - Admin-only role assignment for counselors and admins
+ * - Data export and account deletion with cascade across all user data
  * - Security measures against common attacks
  * 
  * API Endpoints:
  * - POST /api/auth/register - Create new user account
  * - POST /api/auth/login - Authenticate existing user
+ * - POST /api/auth/login/2fa - Finish a login with a TOTP or recovery code
+ * - POST /api/auth/refresh - Exchange a refresh token for a new token pair
+ * - POST /api/auth/logout - Revoke the current session
+ * - POST /api/auth/logout-all - Revoke every session on every device
+ * - POST /api/auth/forgot-password - Email a password reset link
+ * - POST /api/auth/reset-password - Set a new password with a reset token
+ * - POST /api/auth/verify-email - Confirm an email address with a verification token
+ * - POST /api/auth/resend-verification - Email a new verification link
+ * - GET /api/auth/me - Get the current user's profile
+ * - PATCH /api/auth/me - Update the current user's profile
+ * - GET /api/auth/me/export - Download all of the current user's data
+ * - DELETE /api/auth/me - Delete the account and all of its data
+ * - POST /api/auth/2fa/setup - Start two-factor enrollment
+ * - POST /api/auth/2fa/enable - Confirm enrollment with a first code
+ * - POST /api/auth/2fa/disable - Turn two-factor authentication off
+ * - POST /api/auth/2fa/recovery-codes - Replace the recovery codes
+ * - PATCH /api/auth/users/:userId/role - Change a user's role (admin only)
  * 
  * Security Features:
  * - Email format validation and uniqueness checking
  * - Password strength requirements
  * - Automatic password hashing via User model
- * - Rate limiting ready (can be integrated)
+ * - Exponential lockout after repeated failed logins (unlocked by password reset)
+ * - Second login step with short-lived challenge tokens for two-factor accounts
+ * - Login rate limit per IP address, next to the per-account lockout
  * - Input sanitization and validation
  * - Secure error messages without internal details
  * 
@@ -36,17 +62,75 @@
  * - src/services/auth.service.ts - JWT token generation
  * - src/models/User.ts - User model with password hashing
  * - src/middleware/auth.ts - Authentication middleware
+ * - src/middleware/rateLimit.ts - Login, password reset and account email rate limits
+ * - src/services/refreshToken.service.ts - Refresh token rotation
+ * - src/services/tokenRevocation.service.ts - Access token revocation
+ * - src/services/accountEmail.service.ts - Password reset and email verification
+ * - src/services/twoFactor.service.ts - TOTP enrollment and verification
+ * - src/services/accountData.service.ts - Data export and cascading deletion
  * 
  * Task: #12 - User registration routes implementation
  * Task: #13 - User login endpoint implementation
+ * Task: Refresh-token rotation endpoint
+ * Task: Server-side logout and token revocation list
+ * Task: Password reset and email verification flows
+ * Task: Profile management API
+ * Task: Account lockout and brute-force protection on login
+ * Task: TOTP two-factor authentication
+ * Task: Role-based access control with counselor and admin roles
+ * Task: GDPR-style data export and account deletion
  * 
  * @author AI Interview Coach Team
  * @version 1.0.0
  */
 
 import { Router, Request, Response } from 'express';
-import { generateToken } from '../services/auth.service';
-import User, { IUser } from '../models/User';
+import {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeDeviceRefreshTokens,
+  IDeviceContext,
+  REFRESH_ERROR_CODES
+} from '../services/refreshToken.service';
+import { revokeAccessToken, revokeAllUserTokens } from '../services/tokenRevocation.service';
+import {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+  ACCOUNT_EMAIL_ERROR_CODES
+} from '../services/accountEmail.service';
+import {
+  getLoginLockStatus,
+  recordFailedLogin,
+  clearAccountLockout,
+  ILockStatus,
+  LOCKOUT_ERROR_CODES
+} from '../services/loginThrottle.service';
+import {
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  ITwoFactorCredentials,
+  TWO_FACTOR_ERROR_CODES
+} from '../services/twoFactor.service';
+import {
+  generatePurposeToken,
+  verifyTokenOfType,
+  TOKEN_TYPES,
+  TWO_FACTOR_CHALLENGE_TOKEN_EXPIRES_IN
+} from '../services/auth.service';
+import { exportAccountData, deleteAccountData } from '../services/accountData.service';
+import { validateProfileList } from '../services/validation.service';
+import { authenticateToken, requireRole, AuthenticatedRequest } from '../middleware/auth';
+import { rateLimit } from '../middleware/rateLimit';
+import { RATE_LIMIT_GROUPS } from '../services/rateLimit.service';
+import User, { IUser, USER_ROLES, UserRole, PROFILE_LIST_LIMITS, ProfileListField } from '../models/User';
+import { REVOCATION_REASONS } from '../models/RefreshToken';
+import { MIN_TRANSCRIPT_RETENTION_DAYS, MAX_TRANSCRIPT_RETENTION_DAYS } from '../models/InterviewTranscript';
 import { Types } from 'mongoose';
 
 /**
@@ -70,12 +154,15 @@ interface IRegisterResponse {
   message: string;
   token: string;
   expiresAt: string;
+  refreshToken: string;
+  refreshTokenExpiresAt: string;
   user: {
     id: string;
     email: string;
     name: string;
     grade?: number;
     targetMajor?: string;
+    role: UserRole;
     isEmailVerified: boolean;
     createdAt: string;
   };
@@ -88,7 +175,9 @@ interface IRegisterResponse {
 interface IErrorResponse {
   error: string;
   message: string;
+  code?: string;
   details?: string[];
+  retryAfterSeconds?: number;
 }
 
 /**
@@ -109,18 +198,98 @@ interface ILoginResponse {
   message: string;
   token: string;
   expiresAt: string;
+  refreshToken: string;
+  refreshTokenExpiresAt: string;
   user: {
     id: string;
     email: string;
     name: string;
     grade?: number;
     targetMajor?: string;
+    role: UserRole;
     isEmailVerified: boolean;
+    twoFactorEnabled: boolean;
     lastLogin: string;
     loginCount: number;
   };
 }
 
+/**
+ * Interface for the login response when a second factor is required
+ */
+interface ITwoFactorChallengeResponse {
+  success: boolean;
+  message: string;
+  twoFactorRequired: true;
+  challengeToken: string;
+  challengeExpiresAt: string;
+}
+
+/**
+ * Interface for the second login step request body
+ */
+interface ITwoFactorLoginRequest {
+  challengeToken: string;
+  code?: string;
+  recoveryCode?: string;
+}
+
+/**
+ * Interface for token refresh request body
+ */
+interface IRefreshRequest {
+  refreshToken: string;
+  deviceId?: string;
+}
+
+/**
+ * Interface for successful token refresh response
+ */
+interface IRefreshResponse {
+  success: boolean;
+  message: string;
+  token: string;
+  expiresAt: string;
+  refreshToken: string;
+  refreshTokenExpiresAt: string;
+}
+
+/**
+ * Interface for password reset request body
+ */
+interface IResetPasswordRequest {
+  token: string;
+  password: string;
+}
+
+/**
+ * Interface for the profile returned by GET/PATCH /api/auth/me
+ */
+interface IProfileResponse {
+  id: string;
+  _id: string;
+  email: string;
+  name: string;
+  grade?: number;
+  targetMajor?: string;
+  targetColleges: string[];
+  extracurriculars: string[];
+  strengths: string[];
+  weaknesses: string[];
+  role: UserRole;
+  isEmailVerified: boolean;
+  isProfileComplete: boolean;
+  twoFactorEnabled: boolean;
+  transcriptRetentionDays: number | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Profile fields that can be changed through PATCH /api/auth/me
+ */
+const UPDATABLE_PROFILE_FIELDS = ['name', 'grade', 'targetMajor', 'transcriptRetentionDays', ...Object.keys(PROFILE_LIST_LIMITS)];
+
 /**
  * Create Express router for authentication routes
  */
@@ -209,6 +378,236 @@ function validateName(name: string): { isValid: boolean; errors: string[] } {
   return { isValid: errors.length === 0, errors };
 }
 
+/**
+ * Validates a profile update and builds the MongoDB update document
+ * Only fields present in the body are changed; null clears an optional field.
+ * 
+ * @param {Record<string, unknown>} body - PATCH request body
+ * @returns {{ errors: string[]; update: { $set: Record<string, unknown>; $unset: Record<string, 1> } }}
+ */
+function validateProfileUpdate(body: Record<string, unknown>): {
+  errors: string[];
+  update: { $set: Record<string, unknown>; $unset: Record<string, 1> };
+} {
+  const errors: string[] = [];
+  const $set: Record<string, unknown> = {};
+  const $unset: Record<string, 1> = {};
+
+  const unknownFields = Object.keys(body).filter(field => !UPDATABLE_PROFILE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    errors.push(`These fields cannot be updated here: ${unknownFields.join(', ')}`);
+  }
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string') {
+      errors.push('Name must be a string');
+    } else {
+      const nameValidation = validateName(body.name);
+      if (nameValidation.isValid) {
+        $set.name = body.name.trim();
+      } else {
+        errors.push(...nameValidation.errors);
+      }
+    }
+  }
+
+  if (body.grade !== undefined) {
+    if (body.grade === null) {
+      $unset.grade = 1;
+    } else if (typeof body.grade !== 'number' || !Number.isInteger(body.grade) || body.grade < 1 || body.grade > 12) {
+      errors.push('Grade must be a whole number between 1 and 12');
+    } else {
+      $set.grade = body.grade;
+    }
+  }
+
+  if (body.targetMajor !== undefined) {
+    if (body.targetMajor === null || (typeof body.targetMajor === 'string' && body.targetMajor.trim().length === 0)) {
+      $unset.targetMajor = 1;
+    } else if (typeof body.targetMajor !== 'string') {
+      errors.push('Target major must be a string');
+    } else if (body.targetMajor.trim().length > 100) {
+      errors.push('Target major must be 100 characters or less');
+    } else {
+      $set.targetMajor = body.targetMajor.trim();
+    }
+  }
+
+  if (body.transcriptRetentionDays !== undefined) {
+    const days = body.transcriptRetentionDays;
+    if (days === null) {
+      $unset.transcriptRetentionDays = 1;
+    } else if (typeof days !== 'number' || !Number.isInteger(days) ||
+      days < MIN_TRANSCRIPT_RETENTION_DAYS || days > MAX_TRANSCRIPT_RETENTION_DAYS) {
+      errors.push(`Transcript retention must be a whole number of days between ${MIN_TRANSCRIPT_RETENTION_DAYS} and ${MAX_TRANSCRIPT_RETENTION_DAYS}`);
+    } else {
+      $set.transcriptRetentionDays = days;
+    }
+  }
+
+  (Object.keys(PROFILE_LIST_LIMITS) as ProfileListField[]).forEach(field => {
+    if (body[field] === undefined) {
+      return;
+    }
+
+    const listValidation = validateProfileList(field, body[field]);
+    if (listValidation.errors.length > 0) {
+      errors.push(...listValidation.errors);
+    } else {
+      $set[field] = listValidation.items;
+    }
+  });
+
+  return { errors, update: { $set, $unset } };
+}
+
+/**
+ * Builds the profile response for GET/PATCH /api/auth/me
+ * 
+ * @param {IUser} user - User document or authenticated user object
+ * @returns {IProfileResponse} Profile without sensitive fields
+ */
+function buildProfileResponse(user: IUser): IProfileResponse {
+  const userId = (user._id as Types.ObjectId).toString();
+  const targetColleges = user.targetColleges || [];
+
+  return {
+    id: userId,
+    _id: userId,
+    email: user.email,
+    name: user.name,
+    ...(user.grade && { grade: user.grade }),
+    ...(user.targetMajor && { targetMajor: user.targetMajor }),
+    targetColleges,
+    extracurriculars: user.extracurriculars || [],
+    strengths: user.strengths || [],
+    weaknesses: user.weaknesses || [],
+    role: user.role || USER_ROLES.STUDENT,
+    isEmailVerified: user.isEmailVerified,
+    isProfileComplete: !!(user.name && user.grade && user.targetMajor && targetColleges.length > 0),
+    twoFactorEnabled: !!user.twoFactorEnabled,
+    transcriptRetentionDays: user.transcriptRetentionDays ?? null,
+    createdAt: new Date(user.createdAt).toISOString(),
+    updatedAt: new Date(user.updatedAt).toISOString()
+  };
+}
+
+/**
+ * Reads a TOTP code or recovery code from a request body
+ * 
+ * @param {Record<string, unknown>} body - Request body
+ * @returns {ITwoFactorCredentials | null} Credentials, or null if neither is usable
+ */
+function parseTwoFactorCredentials(body: Record<string, unknown> | undefined): ITwoFactorCredentials | null {
+  const code = body?.code;
+  const recoveryCode = body?.recoveryCode;
+
+  if (typeof code === 'string' && code.trim().length > 0 && code.length <= 16) {
+    return { code: code.trim() };
+  }
+
+  if (typeof recoveryCode === 'string' && recoveryCode.trim().length > 0 && recoveryCode.length <= 32) {
+    return { recoveryCode: recoveryCode.trim() };
+  }
+
+  return null;
+}
+
+/**
+ * Records login tracking, issues tokens and sends the login success response
+ * Shared by the password step and the two-factor step.
+ * 
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {IUser} user - The authenticated user
+ */
+async function completeLogin(req: Request, res: Response, user: IUser): Promise<void> {
+  await clearAccountLockout(user.email);
+
+  // Update login tracking
+  user.lastLogin = new Date();
+  user.loginCount = (user.loginCount || 0) + 1;
+  const updatedUser = await user.save();
+
+  // Type assertion for _id to resolve TypeScript strict mode
+  const userId = (updatedUser._id as Types.ObjectId).toString();
+
+  // Generate JWT and refresh tokens for authenticated session
+  const { accessToken, refreshToken } = await issueTokenPair(userId, updatedUser.email, getDeviceContext(req));
+
+  // Prepare user data for response (exclude sensitive information)
+  const userResponse = {
+    id: userId,
+    _id: userId, // Include both id and _id for compatibility
+    email: updatedUser.email,
+    name: updatedUser.name,
+    ...(updatedUser.grade && { grade: updatedUser.grade }),
+    ...(updatedUser.targetMajor && { targetMajor: updatedUser.targetMajor }),
+    role: updatedUser.role || USER_ROLES.STUDENT,
+    isEmailVerified: updatedUser.isEmailVerified,
+    twoFactorEnabled: !!updatedUser.twoFactorEnabled,
+    lastLogin: updatedUser.lastLogin?.toISOString() || new Date().toISOString(),
+    loginCount: updatedUser.loginCount
+  };
+
+  // Return success response with token and user data
+  res.status(200).json({
+    success: true,
+    message: 'Login successful. Welcome back!',
+    token: accessToken.token,
+    expiresAt: accessToken.expiresAt.toISOString(),
+    refreshToken: refreshToken.token,
+    refreshTokenExpiresAt: refreshToken.expiresAt.toISOString(),
+    user: userResponse
+  } as ILoginResponse);
+}
+
+/**
+ * Sends the response for a login refused by a lockout
+ * Account lockouts use 423 Locked, IP lockouts 429 Too Many Requests; both
+ * include a Retry-After header.
+ * 
+ * @param {Response} res - Express response object
+ * @param {ILockStatus} lock - Active lock status
+ */
+function sendLockoutResponse(res: Response, lock: ILockStatus): void {
+  const retryAfterSeconds = lock.retryAfterSeconds || 60;
+  const retryMinutes = Math.ceil(retryAfterSeconds / 60);
+  const isAccountLock = lock.errorCode === LOCKOUT_ERROR_CODES.ACCOUNT_LOCKED;
+
+  res.set('Retry-After', String(retryAfterSeconds));
+  res.status(isAccountLock ? 423 : 429).json({
+    error: isAccountLock ? 'Locked' : 'Too Many Requests',
+    message: isAccountLock
+      ? `Too many failed login attempts. This account is locked for ${retryMinutes} minute${retryMinutes === 1 ? '' : 's'}. Reset your password to unlock it now.`
+      : `Too many failed login attempts from this network. Please try again in ${retryMinutes} minute${retryMinutes === 1 ? '' : 's'}.`,
+    ...(lock.errorCode && { code: lock.errorCode }),
+    retryAfterSeconds
+  } as IErrorResponse);
+}
+
+/**
+ * Builds the device context for refresh token issuance
+ * Device IDs come from the X-Device-Id header or the request body and are
+ * generated by the client once per browser; unknown clients share one slot.
+ * 
+ * @param {Request} req - Express request object
+ * @returns {IDeviceContext} Device identification for the token
+ */
+function getDeviceContext(req: Request): IDeviceContext {
+  const headerDeviceId = req.headers['x-device-id'];
+  const candidate = typeof headerDeviceId === 'string' ? headerDeviceId : req.body?.deviceId;
+  const deviceId = typeof candidate === 'string' && /^[a-zA-Z0-9_-]{1,128}$/.test(candidate)
+    ? candidate
+    : 'default';
+
+  return {
+    deviceId,
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip
+  };
+}
+
 /**
  * POST /api/auth/register
  * 
@@ -238,6 +637,8 @@ function validateName(name: string): { isValid: boolean; errors: string[] } {
  *   "message": "User registered successfully",
  *   "token": "eyJhbGciOiJIUzI1NiIs...",
  *   "expiresAt": "2024-01-20T10:00:00.000Z",
+ *   "refreshToken": "eyJhbGciOiJIUzI1NiIs...",
+ *   "refreshTokenExpiresAt": "2024-01-26T10:00:00.000Z",
  *   "user": {
  *     "id": "user_id_here",
  *     "email": "user@example.com",
@@ -460,8 +861,17 @@ async function registerUser(req: Request, res: Response): Promise<void> {
     // Type assertion for _id to resolve TypeScript strict mode
     const userId = (savedUser._id as Types.ObjectId).toString();
 
-    // Generate JWT token for immediate authentication
-    const tokenResult = generateToken(userId, savedUser.email);
+    // Generate JWT and refresh tokens for immediate authentication
+    const { accessToken, refreshToken } = await issueTokenPair(userId, savedUser.email, getDeviceContext(req));
+
+    // Send the verification link without holding up registration
+    sendEmailVerification(savedUser).catch(error => {
+      console.error('Verification email error:', {
+        timestamp: new Date().toISOString(),
+        error: error instanceof Error ? error.message : 'Unknown error',
+        userId
+      });
+    });
 
     // Prepare user data for response (exclude sensitive information)
     const userResponse = {
@@ -471,6 +881,7 @@ async function registerUser(req: Request, res: Response): Promise<void> {
       name: savedUser.name,
       ...(savedUser.grade && { grade: savedUser.grade }),
       ...(savedUser.targetMajor && { targetMajor: savedUser.targetMajor }),
+      role: savedUser.role || USER_ROLES.STUDENT,
       isEmailVerified: savedUser.isEmailVerified,
       createdAt: savedUser.createdAt.toISOString()
     };
@@ -479,8 +890,10 @@ async function registerUser(req: Request, res: Response): Promise<void> {
     res.status(201).json({
       success: true,
       message: 'User registered successfully. Welcome to AI Interview Coach!',
-      token: tokenResult.token,
-      expiresAt: tokenResult.expiresAt.toISOString(),
+      token: accessToken.token,
+      expiresAt: accessToken.expiresAt.toISOString(),
+      refreshToken: refreshToken.token,
+      refreshTokenExpiresAt: refreshToken.expiresAt.toISOString(),
       user: userResponse
     } as IRegisterResponse);
 
@@ -533,6 +946,8 @@ router.post('/register', registerUser);
  *   "message": "Login successful",
  *   "token": "eyJhbGciOiJIUzI1NiIs...",
  *   "expiresAt": "2024-01-20T10:00:00.000Z",
+ *   "refreshToken": "eyJhbGciOiJIUzI1NiIs...",
+ *   "refreshTokenExpiresAt": "2024-01-26T10:00:00.000Z",
  *   "user": {
  *     "id": "user_id_here",
  *     "email": "user@example.com",
@@ -545,6 +960,14 @@ router.post('/register', registerUser);
  *   }
  * }
  * 
+ * // Response for accounts with two-factor authentication
+ * {
+ *   "success": true,
+ *   "twoFactorRequired": true,
+ *   "challengeToken": "eyJhbGciOiJIUzI1NiIs...",
+ *   "challengeExpiresAt": "2024-01-19T10:05:00.000Z"
+ * }
+ * 
  * // Error response
  * {
  *   "error": "Unauthorized",
@@ -642,6 +1065,13 @@ async function loginUser(req: Request, res: Response): Promise<void> {
       return;
     }
 
+    // Refuse locked accounts and IPs before checking the password
+    const lockStatus = await getLoginLockStatus(email, req.ip);
+    if (lockStatus.locked) {
+      sendLockoutResponse(res, lockStatus);
+      return;
+    }
+
     // Find user by email and include password field for comparison
     // Note: Password is excluded by default, so we must explicitly select it
     const user = await User.findOne({ 
@@ -649,8 +1079,17 @@ async function loginUser(req: Request, res: Response): Promise<void> {
       isActive: true 
     }).select('+password');
 
-    // Check if user exists and is active
-    if (!user) {
+    // Compare password using the model's comparePassword method
+    const isPasswordValid = user ? await user.comparePassword(password) : false;
+
+    // Unknown emails and wrong passwords count the same way
+    if (!user || !isPasswordValid) {
+      const failureLock = await recordFailedLogin(email, req.ip);
+      if (failureLock.locked) {
+        sendLockoutResponse(res, failureLock);
+        return;
+      }
+
       res.status(401).json({
         error: 'Unauthorized',
         message: 'Invalid email or password'
@@ -658,62 +1097,161 @@ async function loginUser(req: Request, res: Response): Promise<void> {
       return;
     }
 
-    // Compare password using the model's comparePassword method
-    const isPasswordValid = await user.comparePassword(password);
+    // Two-factor accounts finish signing in with a code from /login/2fa
+    if (user.twoFactorEnabled) {
+      const challenge = generatePurposeToken(
+        (user._id as Types.ObjectId).toString(),
+        user.email,
+        TOKEN_TYPES.TWO_FACTOR_CHALLENGE,
+        TWO_FACTOR_CHALLENGE_TOKEN_EXPIRES_IN
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app to finish signing in.',
+        twoFactorRequired: true,
+        challengeToken: challenge.token,
+        challengeExpiresAt: challenge.expiresAt.toISOString()
+      } as ITwoFactorChallengeResponse);
+      return;
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('User login error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+      email: req.body?.email // Log email for debugging (sanitize in production)
+    });
+
+    // Return generic error to client (don't expose internal details)
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Authentication service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/login route
+ */
+router.post('/login', rateLimit(RATE_LIMIT_GROUPS.LOGIN), loginUser);
+
+/**
+ * POST /api/auth/login/2fa
+ * 
+ * Finishes a login for an account with two-factor authentication. The
+ * challenge token from POST /api/auth/login proves the password step; the
+ * body carries either a current TOTP code or an unused recovery code. Wrong
+ * codes count toward the same lockout as wrong passwords.
+ * 
+ * @route POST /api/auth/login/2fa
+ * @param {Request} req - Express request object with the challenge and code
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON response with tokens and user data or error
+ * 
+ * @example
+ * ```typescript
+ * // Request body
+ * {
+ *   "challengeToken": "eyJhbGciOiJIUzI1NiIs...",
+ *   "code": "123456"
+ * }
+ * 
+ * // Error response
+ * {
+ *   "error": "Unauthorized",
+ *   "message": "Invalid authentication code",
+ *   "code": "TWO_FACTOR_CODE_INVALID"
+ * }
+ * ```
+ */
+async function loginWithTwoFactor(req: Request, res: Response): Promise<void> {
+  try {
+    const { challengeToken }: ITwoFactorLoginRequest = req.body || {};
+    const credentials = parseTwoFactorCredentials(req.body);
+
+    if (!challengeToken || typeof challengeToken !== 'string' || !credentials) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Challenge token and an authentication code or recovery code are required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const verification = verifyTokenOfType(challengeToken, TOKEN_TYPES.TWO_FACTOR_CHALLENGE);
 
-    if (!isPasswordValid) {
+    if (!verification.isValid || !verification.payload) {
       res.status(401).json({
         error: 'Unauthorized',
-        message: 'Invalid email or password'
+        message: 'Your sign-in attempt has expired. Please log in again.',
+        code: TWO_FACTOR_ERROR_CODES.CHALLENGE_INVALID
       } as IErrorResponse);
       return;
     }
 
-    // Update login tracking
-    user.lastLogin = new Date();
-    user.loginCount = (user.loginCount || 0) + 1;
-    const updatedUser = await user.save();
+    const { userId, email } = verification.payload;
 
-    // Type assertion for _id to resolve TypeScript strict mode
-    const userId = (updatedUser._id as Types.ObjectId).toString();
+    const lockStatus = await getLoginLockStatus(email, req.ip);
+    if (lockStatus.locked) {
+      sendLockoutResponse(res, lockStatus);
+      return;
+    }
 
-    // Generate JWT token for authenticated session
-    const tokenResult = generateToken(userId, updatedUser.email);
+    const result = await verifyTwoFactorLogin(userId, credentials);
 
-    // Prepare user data for response (exclude sensitive information)
-    const userResponse = {
-      id: userId,
-      _id: userId, // Include both id and _id for compatibility
-      email: updatedUser.email,
-      name: updatedUser.name,
-      ...(updatedUser.grade && { grade: updatedUser.grade }),
-      ...(updatedUser.targetMajor && { targetMajor: updatedUser.targetMajor }),
-      isEmailVerified: updatedUser.isEmailVerified,
-      lastLogin: updatedUser.lastLogin?.toISOString() || new Date().toISOString(),
-      loginCount: updatedUser.loginCount
-    };
+    if (!result.success) {
+      if (result.errorCode === TWO_FACTOR_ERROR_CODES.CODE_INVALID) {
+        const failureLock = await recordFailedLogin(email, req.ip);
+        if (failureLock.locked) {
+          sendLockoutResponse(res, failureLock);
+          return;
+        }
 
-    // Return success response with token and user data
-    res.status(200).json({
-      success: true,
-      message: 'Login successful. Welcome back!',
-      token: tokenResult.token,
-      expiresAt: tokenResult.expiresAt.toISOString(),
-      user: userResponse
-    } as ILoginResponse);
+        res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid authentication code',
+          code: TWO_FACTOR_ERROR_CODES.CODE_INVALID
+        } as IErrorResponse);
+        return;
+      }
+
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Your sign-in attempt has expired. Please log in again.',
+        code: TWO_FACTOR_ERROR_CODES.CHALLENGE_INVALID
+      } as IErrorResponse);
+      return;
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Your sign-in attempt has expired. Please log in again.',
+        code: TWO_FACTOR_ERROR_CODES.CHALLENGE_INVALID
+      } as IErrorResponse);
+      return;
+    }
+
+    await completeLogin(req, res, user);
 
   } catch (error) {
     // Log error for debugging (in production, use proper logging service)
-    console.error('User login error:', {
+    console.error('Two-factor login error:', {
       timestamp: new Date().toISOString(),
       error: error instanceof Error ? error.message : 'Unknown error',
       stack: error instanceof Error ? error.stack : undefined,
       userAgent: req.headers['user-agent'],
-      ip: req.ip,
-      email: req.body?.email // Log email for debugging (sanitize in production)
+      ip: req.ip
     });
 
-    // Return generic error to client (don't expose internal details)
     res.status(500).json({
       error: 'Internal Server Error',
       message: 'Authentication service temporarily unavailable. Please try again later.'
@@ -722,9 +1260,1325 @@ async function loginUser(req: Request, res: Response): Promise<void> {
 }
 
 /**
- * Register the POST /api/auth/login route
+ * Register the POST /api/auth/login/2fa route
+ */
+router.post('/login/2fa', rateLimit(RATE_LIMIT_GROUPS.LOGIN), loginWithTwoFactor);
+
+/**
+ * POST /api/auth/refresh
+ * 
+ * Exchanges a refresh token for a new access token and refresh token.
+ * The presented refresh token is revoked (single use); replaying it revokes
+ * the device session and forces a new login.
+ * 
+ * @route POST /api/auth/refresh
+ * @param {Request} req - Express request object with the refresh token
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON response with new tokens or error
+ * 
+ * @example
+ * ```typescript
+ * // Request body
+ * {
+ *   "refreshToken": "eyJhbGciOiJIUzI1NiIs...",
+ *   "deviceId": "3f9c2a7e-..."
+ * }
+ * 
+ * // Success response
+ * {
+ *   "success": true,
+ *   "message": "Token refreshed successfully",
+ *   "token": "eyJhbGciOiJIUzI1NiIs...",
+ *   "expiresAt": "2024-01-20T10:00:00.000Z",
+ *   "refreshToken": "eyJhbGciOiJIUzI1NiIs...",
+ *   "refreshTokenExpiresAt": "2024-01-26T10:00:00.000Z"
+ * }
+ * 
+ * // Error response
+ * {
+ *   "error": "Unauthorized",
+ *   "message": "Invalid or expired refresh token. Please log in again.",
+ *   "code": "REFRESH_TOKEN_INVALID"
+ * }
+ * ```
+ */
+async function refreshAccessToken(req: Request, res: Response): Promise<void> {
+  try {
+    const { refreshToken }: Partial<IRefreshRequest> = req.body || {};
+
+    if (!refreshToken) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Refresh token is required'
+      } as IErrorResponse);
+      return;
+    }
+
+    if (typeof refreshToken !== 'string') {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Refresh token must be a string'
+      } as IErrorResponse);
+      return;
+    }
+
+    const result = await rotateRefreshToken(refreshToken, getDeviceContext(req));
+
+    if (!result.success || !result.tokens) {
+      const message = result.errorCode === REFRESH_ERROR_CODES.USER_INACTIVE
+        ? 'User account is inactive. Please contact support.'
+        : 'Invalid or expired refresh token. Please log in again.';
+
+      res.status(401).json({
+        error: 'Unauthorized',
+        message,
+        ...(result.errorCode && { code: result.errorCode })
+      } as IErrorResponse);
+      return;
+    }
+
+    const { accessToken, refreshToken: newRefreshToken } = result.tokens;
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      token: accessToken.token,
+      expiresAt: accessToken.expiresAt.toISOString(),
+      refreshToken: newRefreshToken.token,
+      refreshTokenExpiresAt: newRefreshToken.expiresAt.toISOString()
+    } as IRefreshResponse);
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Token refresh error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
+
+    // Return generic error to client (don't expose internal details)
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Authentication service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/refresh route
+ */
+router.post('/refresh', refreshAccessToken);
+
+/**
+ * POST /api/auth/logout
+ * 
+ * Ends the current session. The access token used for the request is added to
+ * the revocation list and the device's refresh token is revoked, so neither
+ * can be used again even before they expire.
+ * 
+ * @route POST /api/auth/logout
+ * @param {AuthenticatedRequest} req - Authenticated request, optionally with the refresh token
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON confirmation or error
+ * 
+ * @example
+ * ```typescript
+ * // Request body (optional)
+ * {
+ *   "refreshToken": "eyJhbGciOiJIUzI1NiIs..."
+ * }
+ * 
+ * // Success response
+ * {
+ *   "success": true,
+ *   "message": "Logged out successfully"
+ * }
+ * ```
+ */
+async function logoutUser(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    if (!req.user || !req.tokenPayload) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      } as IErrorResponse);
+      return;
+    }
+
+    await revokeAccessToken(req.tokenPayload, REVOCATION_REASONS.LOGOUT);
+
+    const { refreshToken } = req.body || {};
+
+    if (typeof refreshToken === 'string' && refreshToken.length > 0) {
+      await revokeRefreshToken(refreshToken, REVOCATION_REASONS.LOGOUT);
+    } else {
+      await revokeDeviceRefreshTokens(req.user._id, getDeviceContext(req).deviceId, REVOCATION_REASONS.LOGOUT);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('User logout error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Logout service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/logout route
+ */
+router.post('/logout', authenticateToken, logoutUser);
+
+/**
+ * POST /api/auth/logout-all
+ * 
+ * Ends every session the user has on every device. All refresh tokens are
+ * revoked and every access token issued before this request is rejected
+ * until it expires. Intended for lost or shared devices.
+ * 
+ * @route POST /api/auth/logout-all
+ * @param {AuthenticatedRequest} req - Authenticated request
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON confirmation with the number of sessions ended
+ * 
+ * @example
+ * ```typescript
+ * // Success response
+ * {
+ *   "success": true,
+ *   "message": "Logged out of all devices",
+ *   "sessionsRevoked": 3
+ * }
+ * ```
+ */
+async function logoutAllDevices(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    if (!req.user) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const sessionsRevoked = await revokeAllUserTokens(req.user._id, REVOCATION_REASONS.LOGOUT_ALL);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      sessionsRevoked
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Logout all devices error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Logout service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/logout-all route
+ */
+router.post('/logout-all', authenticateToken, logoutAllDevices);
+
+/**
+ * GET /api/auth/me
+ * 
+ * Returns the logged-in user's profile, including the fields used to
+ * personalize interview questions and feedback.
+ * 
+ * @route GET /api/auth/me
+ * @param {AuthenticatedRequest} req - Authenticated request
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON response with the profile or error
+ * 
+ * @example
+ * ```typescript
+ * // Success response
+ * {
+ *   "success": true,
+ *   "user": {
+ *     "id": "507f1f77bcf86cd799439011",
+ *     "email": "student@example.com",
+ *     "name": "Jane Doe",
+ *     "grade": 11,
+ *     "targetMajor": "Biology",
+ *     "targetColleges": ["UC Berkeley"],
+ *     "extracurriculars": ["Science Olympiad"],
+ *     "strengths": ["Curiosity"],
+ *     "weaknesses": ["Public speaking"],
+ *     "role": "student",
+ *     "isEmailVerified": true,
+ *     "isProfileComplete": true
+ *   }
+ * }
+ * ```
+ */
+async function getProfile(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    if (!req.user) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      } as IErrorResponse);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      user: buildProfileResponse(req.user)
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Get profile error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Profile service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the GET /api/auth/me route
+ */
+router.get('/me', authenticateToken, getProfile);
+
+/**
+ * PATCH /api/auth/me
+ * 
+ * Updates the logged-in user's profile. Only the fields present in the body
+ * change; send null (or an empty string for targetMajor) to clear an optional
+ * field. List fields replace the stored list. Email and password cannot be
+ * changed here.
+ * 
+ * @route PATCH /api/auth/me
+ * @param {AuthenticatedRequest} req - Authenticated request with profile fields
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated profile or error
+ * 
+ * @example
+ * ```typescript
+ * // Request body
+ * {
+ *   "grade": 12,
+ *   "targetColleges": ["MIT", "Stanford"],
+ *   "weaknesses": ["Time management"]
+ * }
+ * 
+ * // Error response
+ * {
+ *   "error": "Bad Request",
+ *   "message": "Invalid profile update",
+ *   "details": ["Grade must be a whole number between 1 and 12"]
+ * }
+ * ```
+ */
+async function updateProfile(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    if (!req.user) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      } as IErrorResponse);
+      return;
+    }
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body) || Object.keys(req.body).length === 0) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Request body must include at least one profile field'
+      } as IErrorResponse);
+      return;
+    }
+
+    const { errors, update } = validateProfileUpdate(req.body);
+
+    if (errors.length > 0) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid profile update',
+        details: errors
+      } as IErrorResponse);
+      return;
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      {
+        ...(Object.keys(update.$set).length > 0 && { $set: update.$set }),
+        ...(Object.keys(update.$unset).length > 0 && { $unset: update.$unset })
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedUser) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      } as IErrorResponse);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: buildProfileResponse(updatedUser)
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Update profile error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Profile service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the PATCH /api/auth/me route
+ */
+router.patch('/me', authenticateToken, updateProfile);
+
+/**
+ * GET /api/auth/me/export
+ * 
+ * Downloads everything stored for the logged-in user as one JSON file: the
+ * profile, interviews, session recordings, interview transcripts, uploaded
+ * file records with their extracted text, and avatar preferences.
+ * 
+ * @route GET /api/auth/me/export
+ * @param {AuthenticatedRequest} req - Authenticated request
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON attachment with the export bundle or error
+ * 
+ * @example
+ * ```typescript
+ * // Success response (Content-Disposition: attachment)
+ * {
+ *   "exportFormatVersion": 1,
+ *   "exportedAt": "2024-01-20T15:30:00.000Z",
+ *   "user": { "email": "student@example.com", "name": "Jane Doe", ... },
+ *   "interviews": [...],
+ *   "sessionRecordings": [...],
+ *   "interviewTranscripts": [...],
+ *   "uploadedFiles": [...],
+ *   "avatarPreference": { "avatarId": "professional-female-1", ... }
+ * }
+ * ```
+ */
+async function exportAccount(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    if (!req.user) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const bundle = await exportAccountData(req.user);
+    const date = bundle.exportedAt.slice(0, 10);
+
+    res.setHeader('Content-Disposition', `attachment; filename="elocutionist-data-${date}.json"`);
+    res.status(200).json(bundle);
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Account export error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Data export temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the GET /api/auth/me/export route
+ */
+router.get('/me/export', authenticateToken, exportAccount);
+
+/**
+ * DELETE /api/auth/me
+ * 
+ * Permanently deletes the logged-in user's account and all of their data:
+ * interviews, session recordings, transcripts, uploaded files, avatar
+ * preferences, sessions, assignments, roster memberships, review comments and
+ * notifications. The current password is required, plus a two-factor or
+ * recovery code when two-factor authentication is on.
+ * 
+ * @route DELETE /api/auth/me
+ * @param {AuthenticatedRequest} req - Authenticated request with the password
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON response with the number of records deleted
+ * 
+ * @example
+ * ```typescript
+ * // Request body
+ * {
+ *   "password": "CurrentPassword123!",
+ *   "code": "123456"
+ * }
+ * 
+ * // Success response
+ * {
+ *   "success": true,
+ *   "message": "Account deleted",
+ *   "deleted": { "interviews": 3, "interviewTranscripts": 5, ... }
+ * }
+ * ```
+ */
+async function deleteAccount(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    if (!req.user) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const password = req.body?.password;
+
+    if (typeof password !== 'string' || password.length === 0) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Your current password is required to delete your account'
+      } as IErrorResponse);
+      return;
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      } as IErrorResponse);
+      return;
+    }
+
+    // 403 rather than 401 so the client does not treat this as an expired session
+    if (!(await user.comparePassword(password))) {
+      res.status(403).json({
+        error: 'Forbidden',
+        message: 'Password is incorrect',
+        code: 'PASSWORD_INCORRECT'
+      } as IErrorResponse);
+      return;
+    }
+
+    if (user.twoFactorEnabled) {
+      const credentials = parseTwoFactorCredentials(req.body);
+
+      if (!credentials) {
+        res.status(400).json({
+          error: 'Bad Request',
+          message: 'An authentication code or recovery code is required',
+          code: 'TWO_FACTOR_REQUIRED'
+        } as IErrorResponse);
+        return;
+      }
+
+      const result = await verifyTwoFactorLogin((user._id as Types.ObjectId).toString(), credentials);
+
+      if (!result.success) {
+        sendTwoFactorError(res, result.errorCode);
+        return;
+      }
+    }
+
+    const deleted = await deleteAccountData(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted',
+      deleted
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Account deletion error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Account deletion temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the DELETE /api/auth/me route
+ */
+router.delete('/me', authenticateToken, deleteAccount);
+
+/**
+ * Generic response for password reset requests, identical whether or not the
+ * account exists so the endpoint cannot be used to discover registered emails
+ */
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for that email, a password reset link has been sent.';
+
+/**
+ * POST /api/auth/forgot-password
+ * 
+ * Emails a password reset link valid for one hour. Always responds with the
+ * same message so registered addresses cannot be enumerated.
+ * 
+ * @route POST /api/auth/forgot-password
+ * @param {Request} req - Express request object with the account email
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON confirmation or error
+ * 
+ * @example
+ * ```typescript
+ * // Request body
+ * {
+ *   "email": "student@example.com"
+ * }
+ * 
+ * // Success response
+ * {
+ *   "success": true,
+ *   "message": "If an account exists for that email, a password reset link has been sent."
+ * }
+ * ```
+ */
+async function forgotPassword(req: Request, res: Response): Promise<void> {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || typeof email !== 'string' || !isValidEmail(email.toLowerCase().trim())) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'A valid email address is required'
+      } as IErrorResponse);
+      return;
+    }
+
+    await requestPasswordReset(email);
+
+    res.status(200).json({
+      success: true,
+      message: FORGOT_PASSWORD_MESSAGE
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Forgot password error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Password reset service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/forgot-password route
+ */
+router.post('/forgot-password', rateLimit(RATE_LIMIT_GROUPS.ACCOUNT_EMAIL), forgotPassword);
+
+/**
+ * POST /api/auth/reset-password
+ * 
+ * Sets a new password using the token from a reset link. The link can only
+ * be used once, and every existing session is logged out.
+ * 
+ * @route POST /api/auth/reset-password
+ * @param {Request} req - Express request object with the token and new password
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON confirmation or error
+ * 
+ * @example
+ * ```typescript
+ * // Request body
+ * {
+ *   "token": "eyJhbGciOiJIUzI1NiIs...",
+ *   "password": "NewSecurePass123!"
+ * }
+ * 
+ * // Error response
+ * {
+ *   "error": "Bad Request",
+ *   "message": "This password reset link is invalid or has expired. Please request a new one.",
+ *   "code": "RESET_TOKEN_INVALID"
+ * }
+ * ```
+ */
+async function resetUserPassword(req: Request, res: Response): Promise<void> {
+  try {
+    const { token, password }: Partial<IResetPasswordRequest> = req.body || {};
+
+    if (!token || typeof token !== 'string') {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Reset token is required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const passwordValidation = validatePassword(password as string);
+    if (!passwordValidation.isValid) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Password does not meet security requirements',
+        details: passwordValidation.errors
+      } as IErrorResponse);
+      return;
+    }
+
+    const result = await resetPassword(token, password as string);
+
+    if (!result.success) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'This password reset link is invalid or has expired. Please request a new one.',
+        code: ACCOUNT_EMAIL_ERROR_CODES.RESET_TOKEN_INVALID
+      } as IErrorResponse);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Password reset error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Password reset service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/reset-password route
+ */
+router.post('/reset-password', rateLimit(RATE_LIMIT_GROUPS.PASSWORD_RESET), resetUserPassword);
+
+/**
+ * POST /api/auth/verify-email
+ * 
+ * Marks the user's email address verified using the token from a
+ * verification link. Does not require the user to be logged in.
+ * 
+ * @route POST /api/auth/verify-email
+ * @param {Request} req - Express request object with the verification token
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON confirmation or error
+ * 
+ * @example
+ * ```typescript
+ * // Request body
+ * {
+ *   "token": "eyJhbGciOiJIUzI1NiIs..."
+ * }
+ * 
+ * // Success response
+ * {
+ *   "success": true,
+ *   "message": "Email address verified successfully",
+ *   "user": { "id": "...", "email": "student@example.com", "isEmailVerified": true }
+ * }
+ * ```
+ */
+async function verifyUserEmail(req: Request, res: Response): Promise<void> {
+  try {
+    const { token } = req.body || {};
+
+    if (!token || typeof token !== 'string') {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Verification token is required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const result = await verifyEmail(token);
+
+    if (!result.success || !result.user) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'This verification link is invalid or has expired. Please request a new one.',
+        code: ACCOUNT_EMAIL_ERROR_CODES.VERIFICATION_TOKEN_INVALID
+      } as IErrorResponse);
+      return;
+    }
+
+    const userId = (result.user._id as Types.ObjectId).toString();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address verified successfully',
+      user: {
+        id: userId,
+        _id: userId,
+        email: result.user.email,
+        isEmailVerified: true
+      }
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Email verification error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Email verification service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/verify-email route
+ */
+router.post('/verify-email', verifyUserEmail);
+
+/**
+ * POST /api/auth/resend-verification
+ * 
+ * Emails a new verification link to the logged-in user. Earlier links stop
+ * working once a new one is sent.
+ * 
+ * @route POST /api/auth/resend-verification
+ * @param {AuthenticatedRequest} req - Authenticated request
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON confirmation or error
+ */
+async function resendVerification(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    if (!req.user) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      } as IErrorResponse);
+      return;
+    }
+
+    if (req.user.isEmailVerified) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Email address is already verified',
+        code: ACCOUNT_EMAIL_ERROR_CODES.EMAIL_ALREADY_VERIFIED
+      } as IErrorResponse);
+      return;
+    }
+
+    await sendEmailVerification(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `A verification link has been sent to ${req.user.email}`
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Resend verification error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Email service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/resend-verification route
+ */
+router.post('/resend-verification', authenticateToken, rateLimit(RATE_LIMIT_GROUPS.ACCOUNT_EMAIL), resendVerification);
+
+/**
+ * Sends the error response for a failed two-factor management request
+ * 
+ * @param {Response} res - Express response object
+ * @param {string | undefined} errorCode - Code from the two-factor service
+ */
+function sendTwoFactorError(res: Response, errorCode: string | undefined): void {
+  switch (errorCode) {
+    case TWO_FACTOR_ERROR_CODES.ALREADY_ENABLED:
+      res.status(409).json({
+        error: 'Conflict',
+        message: 'Two-factor authentication is already enabled',
+        code: errorCode
+      } as IErrorResponse);
+      return;
+    case TWO_FACTOR_ERROR_CODES.NOT_ENABLED:
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Two-factor authentication is not enabled',
+        code: errorCode
+      } as IErrorResponse);
+      return;
+    case TWO_FACTOR_ERROR_CODES.SETUP_NOT_STARTED:
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Start two-factor setup before confirming a code',
+        code: errorCode
+      } as IErrorResponse);
+      return;
+    default:
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid authentication code',
+        code: TWO_FACTOR_ERROR_CODES.CODE_INVALID
+      } as IErrorResponse);
+  }
+}
+
+/**
+ * POST /api/auth/2fa/setup
+ * 
+ * Starts two-factor enrollment for the logged-in user. Returns a new secret
+ * as an otpauth:// URI and QR code; it only takes effect once confirmed with
+ * POST /api/auth/2fa/enable. Starting again replaces an unconfirmed secret.
+ * 
+ * @route POST /api/auth/2fa/setup
+ * @param {AuthenticatedRequest} req - Authenticated request
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON response with the provisioning details or error
+ * 
+ * @example
+ * ```typescript
+ * // Success response
+ * {
+ *   "success": true,
+ *   "secret": "JBSWY3DPEHPK3PXP...",
+ *   "otpauthUri": "otpauth://totp/AI%20Interview%20Coach%3Ajane%40example.com?secret=...",
+ *   "qrCodeDataUrl": "data:image/png;base64,..."
+ * }
+ * ```
+ */
+async function setupTwoFactor(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    if (!req.user) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const setup = await beginTwoFactorSetup(req.user);
+
+    if (!setup) {
+      sendTwoFactorError(res, TWO_FACTOR_ERROR_CODES.ALREADY_ENABLED);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      ...setup
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Two-factor setup error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Two-factor service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/2fa/setup route
+ */
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+
+/**
+ * POST /api/auth/2fa/enable
+ * 
+ * Confirms enrollment with a code from the authenticator app and turns
+ * two-factor authentication on. The response lists the recovery codes; they
+ * are shown only once.
+ * 
+ * @route POST /api/auth/2fa/enable
+ * @param {AuthenticatedRequest} req - Authenticated request with { code }
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON response with recovery codes or error
+ * 
+ * @example
+ * ```typescript
+ * // Success response
+ * {
+ *   "success": true,
+ *   "message": "Two-factor authentication enabled",
+ *   "recoveryCodes": ["3f9c2-a7e41", "..."]
+ * }
+ * ```
+ */
+async function confirmTwoFactor(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    if (!req.user) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const credentials = parseTwoFactorCredentials(req.body);
+
+    if (!credentials?.code) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Authentication code is required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const result = await enableTwoFactor((req.user._id as Types.ObjectId).toString(), credentials.code);
+
+    if (!result.success) {
+      sendTwoFactorError(res, result.errorCode);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: result.recoveryCodes
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Two-factor enable error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Two-factor service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/2fa/enable route
+ */
+router.post('/2fa/enable', authenticateToken, confirmTwoFactor);
+
+/**
+ * POST /api/auth/2fa/disable
+ * 
+ * Turns two-factor authentication off. Requires a current TOTP code or an
+ * unused recovery code so a stolen session alone cannot remove it.
+ * 
+ * @route POST /api/auth/2fa/disable
+ * @param {AuthenticatedRequest} req - Authenticated request with { code } or { recoveryCode }
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON confirmation or error
+ */
+async function turnOffTwoFactor(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    if (!req.user) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const credentials = parseTwoFactorCredentials(req.body);
+
+    if (!credentials) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'An authentication code or recovery code is required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const result = await disableTwoFactor((req.user._id as Types.ObjectId).toString(), credentials);
+
+    if (!result.success) {
+      sendTwoFactorError(res, result.errorCode);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Two-factor disable error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Two-factor service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/2fa/disable route
+ */
+router.post('/2fa/disable', authenticateToken, turnOffTwoFactor);
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * 
+ * Replaces every recovery code with a new set after checking a current code.
+ * Earlier recovery codes stop working.
+ * 
+ * @route POST /api/auth/2fa/recovery-codes
+ * @param {AuthenticatedRequest} req - Authenticated request with { code } or { recoveryCode }
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON response with the new recovery codes or error
+ */
+async function replaceRecoveryCodes(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    if (!req.user) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const credentials = parseTwoFactorCredentials(req.body);
+
+    if (!credentials) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'An authentication code or recovery code is required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const result = await regenerateRecoveryCodes((req.user._id as Types.ObjectId).toString(), credentials);
+
+    if (!result.success) {
+      sendTwoFactorError(res, result.errorCode);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Earlier codes no longer work.',
+      recoveryCodes: result.recoveryCodes
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Recovery code regeneration error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Two-factor service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the POST /api/auth/2fa/recovery-codes route
+ */
+router.post('/2fa/recovery-codes', authenticateToken, replaceRecoveryCodes);
+
+/**
+ * PATCH /api/auth/users/:userId/role
+ * 
+ * Changes another user's role. Admins cannot change their own role, so an
+ * admin can never lock every admin out by accident.
+ * 
+ * @route PATCH /api/auth/users/:userId/role
+ * @access Admin only
+ * @param {AuthenticatedRequest} req - Authenticated request with { role }
+ * @param {Response} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated user or error
+ * 
+ * @example
+ * ```typescript
+ * // Request body
+ * { "role": "counselor" }
+ * 
+ * // Success response
+ * {
+ *   "success": true,
+ *   "message": "Role updated",
+ *   "user": { "id": "507f1f77bcf86cd799439011", "email": "coach@example.com", "name": "Sam Lee", "role": "counselor" }
+ * }
+ * ```
+ */
+async function updateUserRole(req: AuthenticatedRequest, res: Response): Promise<void> {
+  try {
+    const { userId } = req.params;
+    const role = req.body?.role;
+
+    if (!userId || !Types.ObjectId.isValid(userId)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid user ID format'
+      } as IErrorResponse);
+      return;
+    }
+
+    if (!Object.values(USER_ROLES).includes(role)) {
+      res.status(400).json({
+        error: 'Validation Error',
+        message: 'Role must be student, counselor or admin',
+        code: 'INVALID_ROLE'
+      } as IErrorResponse);
+      return;
+    }
+
+    if (userId === (req.user!._id as Types.ObjectId).toString()) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'You cannot change your own role',
+        code: 'CANNOT_CHANGE_OWN_ROLE'
+      } as IErrorResponse);
+      return;
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      userId,
+      { $set: { role } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedUser) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      } as IErrorResponse);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated',
+      user: {
+        id: (updatedUser._id as Types.ObjectId).toString(),
+        email: updatedUser.email,
+        name: updatedUser.name,
+        role: updatedUser.role
+      }
+    });
+
+  } catch (error) {
+    // Log error for debugging (in production, use proper logging service)
+    console.error('Role update error:', {
+      timestamp: new Date().toISOString(),
+      error: error instanceof Error ? error.message : 'Unknown error',
+      stack: error instanceof Error ? error.stack : undefined,
+      userId: req.user?._id?.toString(),
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Role service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Register the PATCH /api/auth/users/:userId/role route
  */
-router.post('/login', loginUser);
+router.patch('/users/:userId/role', authenticateToken, requireRole(USER_ROLES.ADMIN), updateUserRole);
 
 /**
  * Default export for the authentication router
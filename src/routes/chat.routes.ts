@@ -9,37 +9,81 @@
  * Key Features:
  * - OpenAI integration for chat responses
  * - Uploaded content integration
- * - Smart content selection based on context
- * - Content summarization for token management
- * - AI rating generation for interview transcripts
+ * - Passages of uploaded documents ranked against the current question, cited by source
+ * - AI rating generation for interview transcripts, run as a background job
  * - Usage analytics logging
+ * - System-wide voice analytics restricted to admins
+ * - Completion of counselor assignments when an interview ends
+ * - Ending an interview from a stored conversation without resending messages
+ * - Streaming chat replies over Server-Sent Events
+ * - Token usage metered per user, with monthly budgets enforced before AI calls
+ * - Context window split between prompt, uploaded content, history and reply by exact token counts
+ * - Requests validated against shared endpoint specs; errors use the { error, message, code } format
  * 
  * Related Files:
  * - src/services/openai.service.ts - AI chat functionality
  * - src/services/contentIntegration.service.ts - Content management
+ * - src/services/retrieval.service.ts - Passage search over uploaded documents
  * - src/models/UploadedFile.ts - File metadata
  * - src/models/InterviewTranscript.ts - Transcript storage
+ * - src/services/conversation.service.ts - Stored conversations
+ * - src/middleware/llmBudget.ts - Monthly AI budget enforcement
+ * - src/middleware/rateLimit.ts - Chat turn and rating generation rate limits
+ * - src/services/contextBudget.service.ts - Context window planning
+ * - src/services/jobQueue.service.ts - Background rating generation
+ * - src/schemas/chat.schemas.ts - Request validation and OpenAPI specs
  * 
  * Task: Phase 3, Step 16 - Enhance Chat Routes, Steps 2-4 - AI Rating Endpoints
+ * Task: Server-side conversation persistence and resumable interviews
+ * Task: Streaming chat responses over Server-Sent Events
+ * Task: Accurate tokenizer-based context budgeting
+ * Task: Relevance-ranked retrieval over uploaded documents
+ * Task: Background job queue for file processing and rating generation
  * 
  * @author AI Interview Coach Team
  * @version 1.0.0
  */
 
 import { Router, Request, Response } from 'express';
-import { authenticateToken, AuthenticatedRequest, optionalAuth } from '../middleware/auth';
-import { createChatCompletion, createVoiceOptimizedChatCompletion } from '../services/openai.service';
+import { authenticateToken, AuthenticatedRequest, optionalAuth, requireRole, isOwnerOrHasRole } from '../middleware/auth';
+import { requireLLMBudget } from '../middleware/llmBudget';
+import { rateLimit } from '../middleware/rateLimit';
+import { validateRequest } from '../middleware/validation';
+import { sendError } from '../middleware/error';
+import { RATE_LIMIT_GROUPS } from '../services/rateLimit.service';
+import { USER_ROLES } from '../models/User';
+import Assignment, { ASSIGNMENT_STATUS } from '../models/Assignment';
+import { completeAssignment } from '../services/assignment.service';
 import {
-  getUserUploadedContent,
-  summarizeContent,
-  selectRelevantContent,
-  formatContentForPrompt,
-  estimateTokenCount
-} from '../services/contentIntegration.service';
+  createChatCompletion,
+  createVoiceOptimizedChatCompletion,
+  streamChatCompletion,
+  streamVoiceOptimizedChatCompletion,
+  DEFAULT_CHAT_MODEL
+} from '../services/openai.service';
+import { getUserUploadedContent, summarizeContent, retrieveRelevantContent } from '../services/contentIntegration.service';
+import { ICitedSource } from '../services/retrieval.service';
+import { planContextBudget, fitMessagesToBudget, IContextBudget } from '../services/contextBudget.service';
 import UploadedFile, { PROCESSING_STATUS } from '../models/UploadedFile';
 import InterviewTranscript, { ITranscriptMessage, IInterviewContext } from '../models/InterviewTranscript';
+import Conversation, { CONVERSATION_STATUS } from '../models/Conversation';
+import { endConversation } from '../services/conversation.service';
+import { enqueueJob, formatJob } from '../services/jobQueue.service';
+import { JOB_TYPES } from '../models/Job';
 import { Types } from 'mongoose';
 import { recordVoiceEvent, getVoiceAnalyticsSummary } from '../services/voiceAnalytics.service';
+import { getVoicePreferences, updateVoicePreferences, validateVoicePreferences } from '../services/voicePreference.service';
+import {
+  chatTurnEndpoint,
+  chatTurnStreamEndpoint,
+  authenticatedChatTurnEndpoint,
+  authenticatedChatTurnStreamEndpoint,
+  endInterviewEndpoint,
+  generateRatingEndpoint,
+  getRatingEndpoint,
+  voiceProcessEndpoint,
+  ratingsHistoryEndpoint
+} from '../schemas';
 
 const router = Router();
 
@@ -53,16 +97,20 @@ interface IChatRequest {
   }>;
   includeUploadedContent?: boolean;
   interviewType?: string;
-  maxContentTokens?: number;
+  maxContentTokens?: number; // Cap on uploaded content; the context window may allow less
   voiceMode?: boolean; // NEW: Enable voice-optimized responses
 }
 
 /**
  * Interface for end interview request
+ * With a conversationId, the messages, context and assignment are taken from
+ * the stored conversation; a context sent alongside it replaces the stored one.
  */
 interface IEndInterviewRequest {
-  messages: ITranscriptMessage[];
-  interviewContext: IInterviewContext;
+  conversationId?: string; // Stored conversation to end
+  messages?: ITranscriptMessage[];
+  interviewContext?: IInterviewContext;
+  assignmentId?: string; // Counselor assignment this interview completes
 }
 
 /**
@@ -112,15 +160,96 @@ interface IVoiceProcessRequest {
   };
 }
 
+/**
+ * Writes one Server-Sent Event
+ */
+function writeEvent(res: Response, event: string, data: object): void {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Builds the search query for uploaded documents from the latest exchange
+ * The interviewer's last question and the user's answer to it say what the
+ * next reply is about; older turns would pull in passages already discussed.
+ */
+function getRetrievalQuery(messages: Array<{ role: string; content: string }>): string {
+  return messages
+    .filter(message => message.role !== 'system')
+    .slice(-2)
+    .map(message => message.content)
+    .join(' ');
+}
+
+/**
+ * Drops the oldest turns that no longer fit the context window
+ */
+function fitToContextWindow<T extends { role: string; content: string }>(messages: T[], budget: IContextBudget): T[] {
+  return fitMessagesToBudget(messages, budget).messages;
+}
+
+/**
+ * Sends a chat reply as Server-Sent Events while it is generated
+ * Emits a `chunk` event for each piece of text, then a `done` event with the
+ * full message and the same fields the JSON endpoints return. A failure after
+ * the stream has started is sent as an `error` event. Generation stops if the
+ * client disconnects.
+ * 
+ * @param {Response} res - Express response
+ * @param {AsyncGenerator<string>} chunks - Reply text as it is generated
+ * @param {Object} result - Extra fields for the `done` event
+ * @returns {Promise<void>}
+ */
+async function sendStreamedReply(
+  res: Response,
+  chunks: AsyncGenerator<string, void, undefined>,
+  result: object
+): Promise<void> {
+  let disconnected = false;
+  res.on('close', () => {
+    disconnected = !res.writableFinished;
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+  });
+
+  let message = '';
+
+  try {
+    for await (const text of chunks) {
+      if (disconnected) {
+        break; // Ends the OpenAI request
+      }
+      message += text;
+      writeEvent(res, 'chunk', { text });
+    }
+
+    if (!disconnected) {
+      writeEvent(res, 'done', { message, ...result });
+    }
+  } catch (err: any) {
+    console.error('Chat stream error:', err);
+    writeEvent(res, 'error', { error: err.message || 'Internal server error' });
+  }
+
+  res.end();
+}
+
 /**
  * POST /api/chat - Handle chat messages with optional uploaded content integration
  * 
+ * The /stream variant sends the same reply as Server-Sent Events (see sendStreamedReply).
+ * 
  * @route POST /api/chat
+ * @route POST /api/chat/stream
  * @access Public with optional authentication for uploaded content
  * @param {IChatRequest} req.body - Chat messages and options
  * @returns {Object} AI response message
  */
-router.post('/', optionalAuth, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+const handleChat = (stream: boolean) => async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const { 
       messages, 
@@ -128,13 +257,7 @@ router.post('/', optionalAuth, async (req: AuthenticatedRequest, res: Response):
       interviewType = 'general',
       maxContentTokens = 2000,
       voiceMode = false
-    }: IChatRequest = req.body;
-
-    // Validate messages
-    if (!messages || !Array.isArray(messages)) {
-      res.status(400).json({ error: 'Invalid messages format' });
-      return;
-    }
+    }: IChatRequest = req.body; // Checked against the chat turn spec, defaults applied
 
          // Log usage analytics
      const user = (req as any).user;
@@ -144,6 +267,14 @@ router.post('/', optionalAuth, async (req: AuthenticatedRequest, res: Response):
 
     // Process messages with optional content
     let enhancedMessages = [...messages];
+
+    // Split the context window between the prompt, uploaded content and the reply
+    const budget = planContextBudget({
+      model: DEFAULT_CHAT_MODEL,
+      messages,
+      maxResponseTokens: voiceMode ? 600 : 1000,
+      maxContentTokens
+    });
     
     // Debug: Log received messages structure
     console.log(`\n=== RECEIVED MESSAGES DEBUG ===`);
@@ -245,17 +376,13 @@ router.post('/', optionalAuth, async (req: AuthenticatedRequest, res: Response):
             console.log(`- ${file.originalName} (${file.fileType}): ${file.extractedText ? file.extractedText.length + ' chars' : 'no text'}`);
           });
 
-          // Get conversation context from recent messages
-          const recentMessages = messages.slice(-5);
-          const conversationContext = recentMessages
-            .map(m => m.content)
-            .join(' ');
-
-          // Select relevant content based on conversation
-          const relevantContent = await selectRelevantContent(
+          // Rank passages of the uploaded documents against the current question
+          const relevantContent = await retrieveRelevantContent(
             userFiles,
-            conversationContext,
-            maxContentTokens
+            getRetrievalQuery(messages),
+            budget.contentTokens,
+            budget.model,
+            { userId: userObjectId }
           );
 
           if (relevantContent) {
@@ -266,26 +393,16 @@ router.post('/', optionalAuth, async (req: AuthenticatedRequest, res: Response):
             console.log(`System message found at index: ${systemMessageIndex}`);
             
             if (systemMessageIndex >= 0 && enhancedMessages[systemMessageIndex]) {
-              // Check if content needs summarization
-              const contentTokens = estimateTokenCount(relevantContent);
-              let contentToAdd = relevantContent;
-
-              if (contentTokens > maxContentTokens) {
-                console.log(`Summarizing content: ${contentTokens} tokens to ~${maxContentTokens} tokens`);
-                contentToAdd = await summarizeContent(relevantContent);
-              }
-
               // Add content to system message with specific instructions
-              enhancedMessages[systemMessageIndex].content += `\n\n## User's Background Information\n\nThe user has provided the following personal information and documents. Use this to personalize your responses:\n\n${contentToAdd}\n\n**Instructions:**\n- Reference the user's name and background naturally when appropriate\n- Use their experiences and information to tailor your questions and advice\n- Make the conversation personal and relevant to their specific situation`;
+              enhancedMessages[systemMessageIndex].content += `\n\n## User's Background Information\n\nThe user has provided the following passages from their personal information and documents, numbered by source. Use this to personalize your responses:\n\n${relevantContent.content}\n\n**Instructions:**\n- Reference the user's name and background naturally when appropriate\n- Use their experiences and information to tailor your questions and advice\n- When you draw on a passage, name the document it comes from rather than its number\n- Make the conversation personal and relevant to their specific situation`;
               
               // Log content usage
-              console.log(`Successfully added ${userFiles.length} files to chat context (${contentTokens} tokens)`);
-              console.log('First 200 chars of content:', contentToAdd.substring(0, 200));
+              console.log(`Successfully added ${relevantContent.sources.length} passages to chat context (${relevantContent.tokenCount} tokens)`);
             } else {
               console.log('WARNING: System message not found in messages array!');
             }
           } else {
-            console.log('No relevant content returned from selectRelevantContent');
+            console.log('No relevant content returned from retrieveRelevantContent');
           }
         }
                } catch (error) {
@@ -387,32 +504,54 @@ router.post('/', optionalAuth, async (req: AuthenticatedRequest, res: Response):
       }
     }
 
+    const result = {
+      contentUsed: includeUploadedContent && user && contentMetadata.filesUsed > 0,
+      contentMetadata
+    };
+
+    // Anonymous chat is metered against the shared anonymous budget
+    const usageContext = user ? { userId: user._id } : { anonymous: true };
+    const max_tokens = budget.responseTokens;
+    enhancedMessages = fitToContextWindow(enhancedMessages, budget);
+
+    if (stream) {
+      await sendStreamedReply(res, voiceMode
+        ? streamVoiceOptimizedChatCompletion(enhancedMessages, { voiceMode: true, max_tokens, usageContext })
+        : streamChatCompletion(enhancedMessages, { max_tokens, usageContext }), result);
+      return;
+    }
+
     // Create chat completion with enhanced messages (voice-optimized if voice mode enabled)
     const reply = voiceMode 
-      ? await createVoiceOptimizedChatCompletion(enhancedMessages, { voiceMode: true })
-      : await createChatCompletion(enhancedMessages);
+      ? await createVoiceOptimizedChatCompletion(enhancedMessages, { voiceMode: true, max_tokens, usageContext })
+      : await createChatCompletion(enhancedMessages, { max_tokens, usageContext });
     
     res.json({ 
       message: reply,
-      contentUsed: includeUploadedContent && user && contentMetadata.filesUsed > 0,
-      contentMetadata
+      ...result
     });
 
   } catch (err: any) {
     console.error('Chat error:', err);
-    res.status(500).json({ error: err.message || 'Internal server error' });
+    sendError(res, 500, err.message || 'Internal server error', { code: 'INTERNAL_SERVER_ERROR' });
   }
-});
+};
+
+router.post('/', optionalAuth, validateRequest(chatTurnEndpoint), rateLimit(RATE_LIMIT_GROUPS.CHAT), requireLLMBudget, handleChat(false));
+router.post('/stream', optionalAuth, validateRequest(chatTurnStreamEndpoint), rateLimit(RATE_LIMIT_GROUPS.CHAT), requireLLMBudget, handleChat(true));
 
 /**
  * POST /api/chat/authenticated - Authenticated chat with real user content
  * 
+ * The /stream variant sends the same reply as Server-Sent Events (see sendStreamedReply).
+ * 
  * @route POST /api/chat/authenticated
+ * @route POST /api/chat/authenticated/stream
  * @access Private (requires JWT authentication)
  * @param {IChatRequest} req.body - Chat messages and options
  * @returns {Object} AI response message with content indicators
  */
-router.post('/authenticated', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+const handleAuthenticatedChat = (stream: boolean) => async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const { 
       messages, 
@@ -420,13 +559,7 @@ router.post('/authenticated', authenticateToken, async (req: AuthenticatedReques
       interviewType = 'general',
       maxContentTokens = 2000,
       voiceMode = false
-    }: IChatRequest = req.body;
-
-    // Validate messages
-    if (!messages || !Array.isArray(messages)) {
-      res.status(400).json({ error: 'Invalid messages format' });
-      return;
-    }
+    }: IChatRequest = req.body; // Checked against the chat turn spec, defaults applied
 
     const user = (req as any).user;
     const userId = user._id || user.id;
@@ -441,10 +574,20 @@ router.post('/authenticated', authenticateToken, async (req: AuthenticatedReques
 
     // Process messages
     let enhancedMessages = [...messages];
+
+    // Split the context window between the prompt, uploaded content and the reply
+    const budget = planContextBudget({
+      model: DEFAULT_CHAT_MODEL,
+      messages,
+      maxResponseTokens: voiceMode ? 800 : 1000,
+      maxContentTokens
+    });
+
     let contentMetadata = {
       filesUsed: 0,
       totalTokens: 0,
-      categories: [] as string[]
+      categories: [] as string[],
+      sources: [] as ICitedSource[]
     };
 
     // Integrate uploaded content if requested
@@ -511,40 +654,24 @@ router.post('/authenticated', authenticateToken, async (req: AuthenticatedReques
         }
 
         if (userFiles.length > 0) {
-          // Get conversation context
-          const recentMessages = messages.slice(-5);
-          const conversationContext = recentMessages
-            .map(m => m.content)
-            .join(' ');
-
-          // Select relevant content
-          const relevantContent = await selectRelevantContent(
+          // Rank passages of the uploaded documents against the current question
+          const relevantContent = await retrieveRelevantContent(
             userFiles,
-            conversationContext,
-            maxContentTokens
+            getRetrievalQuery(messages),
+            budget.contentTokens,
+            budget.model,
+            { userId }
           );
 
           if (relevantContent) {
-            // Format content for prompt
-            const formattedContent = formatContentForPrompt(userFiles);
-            
-            // Check if summarization is needed
-            const contentTokens = estimateTokenCount(formattedContent);
-            let contentToAdd = formattedContent;
-
-            if (contentTokens > maxContentTokens) {
-              contentToAdd = await summarizeContent(formattedContent);
-            }
-
             // Enhance system message
             const systemMessageIndex = enhancedMessages.findIndex(m => m.role === 'system');
             console.log(`\n=== CONTENT INTEGRATION ===`);
             console.log(`System message index: ${systemMessageIndex}`);
-            console.log(`Content to add (first 500 chars): ${contentToAdd.substring(0, 500)}...`);
             
             if (systemMessageIndex >= 0 && enhancedMessages[systemMessageIndex]) {
               const originalLength = enhancedMessages[systemMessageIndex].content.length;
-              enhancedMessages[systemMessageIndex].content += `\n\n## User's Background Information\n\nThe user has uploaded the following documents. Use this information to personalize the interview and ask relevant questions:\n\n${contentToAdd}\n\n**Instructions for using this content:**\n- Reference the user's background naturally in your questions\n- Ask follow-up questions about experiences mentioned in their documents\n- Don't reveal specific details unless the user mentions them first\n- Use phrases like "I see you have experience with..." or "Based on your background..."\n`;
+              enhancedMessages[systemMessageIndex].content += `\n\n## User's Background Information\n\nThe user has uploaded documents; the passages below are the ones most relevant to the current question, numbered by source. Use this information to personalize the interview and ask relevant questions:\n\n${relevantContent.content}\n\n**Instructions for using this content:**\n- Reference the user's background naturally in your questions\n- Ask follow-up questions about experiences mentioned in their documents\n- When you draw on a passage, name the document it comes from rather than its number\n- Don't reveal specific details unless the user mentions them first\n- Use phrases like "I see you have experience with..." or "Based on your background..."\n`;
               
               const newLength = enhancedMessages[systemMessageIndex].content.length;
               console.log(`System message updated: ${originalLength} -> ${newLength} chars`);
@@ -553,10 +680,12 @@ router.post('/authenticated', authenticateToken, async (req: AuthenticatedReques
             }
 
             // Collect metadata
+            const sourceFiles = userFiles.filter(file => relevantContent.sources.some(source => source.fileId === String(file._id)));
             contentMetadata = {
-              filesUsed: userFiles.length,
-              totalTokens: contentTokens,
-              categories: [...new Set(userFiles.map(f => f.fileType))]
+              filesUsed: sourceFiles.length,
+              totalTokens: relevantContent.tokenCount,
+              categories: [...new Set(sourceFiles.map(f => f.fileType))],
+              sources: relevantContent.sources
             };
 
             // Update file access times
@@ -580,52 +709,84 @@ router.post('/authenticated', authenticateToken, async (req: AuthenticatedReques
       }
     }
 
+    const usageContext = { userId };
+    const completionOptions = voiceMode
+      ? { voiceMode: true, temperature: 0.7, max_tokens: budget.responseTokens, usageContext } // Reduced for voice mode
+      : { temperature: 0.7, max_tokens: budget.responseTokens, usageContext };
+    enhancedMessages = fitToContextWindow(enhancedMessages, budget);
+    const result = {
+      contentUsed: includeUploadedContent,
+      contentMetadata: includeUploadedContent ? contentMetadata : undefined
+    };
+
+    if (stream) {
+      await sendStreamedReply(res, voiceMode
+        ? streamVoiceOptimizedChatCompletion(enhancedMessages, completionOptions)
+        : streamChatCompletion(enhancedMessages, completionOptions), result);
+      return;
+    }
+
     // Create chat completion (voice-optimized if voice mode enabled)
     const reply = voiceMode 
-      ? await createVoiceOptimizedChatCompletion(enhancedMessages, {
-          voiceMode: true,
-          temperature: 0.7,
-          max_tokens: 800 // Reduced for voice mode
-        })
-      : await createChatCompletion(enhancedMessages, {
-          temperature: 0.7,
-          max_tokens: 1000
-        });
+      ? await createVoiceOptimizedChatCompletion(enhancedMessages, completionOptions)
+      : await createChatCompletion(enhancedMessages, completionOptions);
     
     res.json({ 
       message: reply,
-      contentUsed: includeUploadedContent,
-      contentMetadata: includeUploadedContent ? contentMetadata : undefined
+      ...result
     });
 
   } catch (err: any) {
     console.error('Authenticated chat error:', err);
-    res.status(500).json({ error: err.message || 'Internal server error' });
+    sendError(res, 500, err.message || 'Internal server error', { code: 'INTERNAL_SERVER_ERROR' });
   }
-});
+};
+
+router.post('/authenticated', authenticateToken, validateRequest(authenticatedChatTurnEndpoint), rateLimit(RATE_LIMIT_GROUPS.CHAT), requireLLMBudget, handleAuthenticatedChat(false));
+router.post('/authenticated/stream', authenticateToken, validateRequest(authenticatedChatTurnStreamEndpoint), rateLimit(RATE_LIMIT_GROUPS.CHAT), requireLLMBudget, handleAuthenticatedChat(true));
 
 /**
  * POST /api/chat/end-interview - Collect interview transcript when user ends interview
  * 
  * @route POST /api/chat/end-interview
  * @access Private (requires JWT authentication)
- * @param {IEndInterviewRequest} req.body - Interview messages and context
+ * @param {IEndInterviewRequest} req.body - Conversation ID, or interview messages and context
  * @returns {Object} Transcript ID for later feedback generation
  */
-router.post('/end-interview', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.post('/end-interview', authenticateToken, validateRequest(endInterviewEndpoint), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
-    const { messages, interviewContext }: IEndInterviewRequest = req.body;
+    const { conversationId }: IEndInterviewRequest = req.body;
+    let { messages, interviewContext, assignmentId }: IEndInterviewRequest = req.body;
     const user = (req as any).user;
     const userId = user._id || user.id;
 
-    // Validate input
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      res.status(400).json({ error: 'Messages array is required and cannot be empty' });
+    // Load the stored conversation, if the interview was kept on the server
+    const conversation = conversationId !== undefined ? await Conversation.findById(conversationId) : null;
+
+    if (conversationId !== undefined) {
+      if (!conversation || conversation.userId.toString() !== userId.toString()) {
+        sendError(res, 404, 'Conversation not found', { code: 'CONVERSATION_NOT_FOUND' });
+        return;
+      }
+
+      if (conversation.status !== CONVERSATION_STATUS.ACTIVE) {
+        sendError(res, 409, 'Interview has already ended', { code: 'INTERVIEW_ALREADY_ENDED', transcriptId: conversation.transcriptId });
+        return;
+      }
+
+      messages = conversation.messages.map(({ sender, text, timestamp }) => ({ sender, text, timestamp }));
+      interviewContext = interviewContext || conversation.interviewContext;
+      assignmentId = assignmentId ?? conversation.assignmentId?.toString();
+    }
+
+    // Either the conversation or the body must supply the transcript
+    if (!messages || messages.length === 0) {
+      sendError(res, 400, 'Messages array is required and cannot be empty', { code: 'VALIDATION_ERROR' });
       return;
     }
 
     if (!interviewContext) {
-      res.status(400).json({ error: 'Interview context is required' });
+      sendError(res, 400, 'Interview context is required', { code: 'VALIDATION_ERROR' });
       return;
     }
 
@@ -634,23 +795,40 @@ router.post('/end-interview', authenticateToken, async (req: AuthenticatedReques
     const hasAiQuestions = messages.some(msg => msg.sender === 'ai');
 
     if (!hasUserResponses) {
-      res.status(400).json({ error: 'Transcript must contain user responses' });
+      sendError(res, 400, 'Transcript must contain user responses', { code: 'VALIDATION_ERROR' });
       return;
     }
 
     if (!hasAiQuestions) {
-      res.status(400).json({ error: 'Transcript must contain AI questions' });
+      sendError(res, 400, 'Transcript must contain AI questions', { code: 'VALIDATION_ERROR' });
       return;
     }
 
+    // The interview must complete one of the user's open assignments, if given
+    if (assignmentId !== undefined) {
+      const isOpen = !!(await Assignment.exists({ _id: assignmentId, studentId: userId, status: ASSIGNMENT_STATUS.ASSIGNED }));
+
+      if (!isOpen) {
+        sendError(res, 400, 'Assignment not found or already completed', { code: 'ASSIGNMENT_NOT_FOUND' });
+        return;
+      }
+    }
+
     // Create interview transcript record
-    const transcript = new InterviewTranscript({
+    const transcript = await InterviewTranscript.create({
       userId,
       messages,
-      interviewContext
+      interviewContext,
+      ...(assignmentId && { assignmentId })
     });
 
-    await transcript.save();
+    if (conversation) {
+      await endConversation(conversation, transcript._id as Types.ObjectId);
+    }
+
+    if (assignmentId) {
+      await completeAssignment(assignmentId, userId, transcript._id as Types.ObjectId);
+    }
 
     console.log(`Interview transcript created for user ${userId}: ${transcript._id}`);
     console.log(`Messages: ${messages.length}, Context: ${JSON.stringify(interviewContext)}`);
@@ -662,59 +840,51 @@ router.post('/end-interview', authenticateToken, async (req: AuthenticatedReques
         transcriptId: transcript._id,
         messageCount: messages.length,
         status: transcript.status,
-        expiresAt: transcript.expiresAt
+        expiresAt: transcript.expiresAt,
+        ...(assignmentId && { assignmentId }),
+        ...(conversation && { conversationId: conversation._id })
       }
     });
 
   } catch (err: any) {
     console.error('End interview error:', err);
-    res.status(500).json({ error: err.message || 'Failed to save interview transcript' });
+    sendError(res, 500, err.message || 'Failed to save interview transcript', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
 /**
  * POST /api/chat/generate-rating - Generate AI feedback from collected transcript
+ * Ratings are generated by a background job; poll the returned job, then read
+ * the rating from GET /api/chat/rating/:transcriptId.
  * 
  * @route POST /api/chat/generate-rating
  * @access Private (requires JWT authentication)
  * @param {IGenerateRatingRequest} req.body - Transcript ID
- * @returns {Object} Complete AI feedback report
+ * @returns {Object} 202 with the rating job, or 200 with the rating if it already exists
  */
-router.post('/generate-rating', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.post('/generate-rating', authenticateToken, validateRequest(generateRatingEndpoint), rateLimit(RATE_LIMIT_GROUPS.RATING), requireLLMBudget, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const { transcriptId }: IGenerateRatingRequest = req.body;
     const user = (req as any).user;
     const userId = user._id || user.id;
 
-    // Validate input
-    if (!transcriptId) {
-      res.status(400).json({ error: 'Transcript ID is required' });
-      return;
-    }
-
-    // Validate transcript ID format
-    if (!Types.ObjectId.isValid(transcriptId)) {
-      res.status(400).json({ error: 'Invalid transcript ID format' });
-      return;
-    }
-
     // Find the transcript
     const transcript = await InterviewTranscript.findById(transcriptId);
     
     if (!transcript) {
-      res.status(404).json({ error: 'Transcript not found' });
+      sendError(res, 404, 'Transcript not found', { code: 'TRANSCRIPT_NOT_FOUND' });
       return;
     }
 
     // Verify ownership
     if (transcript.userId.toString() !== userId.toString()) {
-      res.status(403).json({ error: 'Access denied: You can only generate ratings for your own transcripts' });
+      sendError(res, 403, 'Access denied: You can only generate ratings for your own transcripts', { code: 'FORBIDDEN' });
       return;
     }
 
     // Check if transcript is expired
     if (transcript.isExpired()) {
-      res.status(410).json({ error: 'Transcript has expired' });
+      sendError(res, 410, 'Transcript has expired', { code: 'TRANSCRIPT_EXPIRED' });
       return;
     }
 
@@ -729,49 +899,24 @@ router.post('/generate-rating', authenticateToken, async (req: AuthenticatedRequ
       return;
     }
 
-    // Generate the AI rating
-    try {
-      await transcript.generateRating();
-      
-      console.log(`AI rating generated for transcript ${transcriptId}`);
-      
-      res.json({
-        success: true,
-        message: 'AI rating generated successfully',
-        rating: transcript.aiRating,
-        generatedAt: transcript.ratingGeneratedAt,
-        metadata: {
-          transcriptId: transcript._id,
-          messageCount: transcript.messages.length,
-          interviewType: transcript.interviewContext.interviewType,
-          difficulty: transcript.interviewContext.difficulty
-        }
-      });
+    // Generate the rating in the background; the client polls the job
+    const job = await enqueueJob({
+      type: JOB_TYPES.RATING_GENERATION,
+      userId,
+      payload: { transcriptId: transcript._id!.toString() },
+      dedupeKey: `rating:${transcript._id}`
+    });
 
-    } catch (ratingError: any) {
-      console.error('AI rating generation failed:', ratingError);
-      
-      // Handle specific OpenAI errors
-      if (ratingError.message.includes('rate limit')) {
-        res.status(429).json({ 
-          error: 'AI service is temporarily busy. Please try again in a few moments.',
-          retryAfter: 60
-        });
-      } else if (ratingError.message.includes('authentication')) {
-        res.status(503).json({ 
-          error: 'AI service is temporarily unavailable. Please try again later.'
-        });
-      } else {
-        res.status(500).json({ 
-          error: 'Failed to generate AI rating. Please try again.',
-          details: ratingError.message
-        });
-      }
-    }
+    res.status(202).json({
+      success: true,
+      message: 'AI rating generation started',
+      job: formatJob(job),
+      statusUrl: `/api/jobs/${job._id}`
+    });
 
   } catch (err: any) {
     console.error('Generate rating error:', err);
-    res.status(500).json({ error: err.message || 'Internal server error' });
+    sendError(res, 500, err.message || 'Internal server error', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
@@ -783,37 +928,30 @@ router.post('/generate-rating', authenticateToken, async (req: AuthenticatedRequ
  * @param {string} req.params.transcriptId - Transcript ID
  * @returns {Object} Cached AI feedback report
  */
-router.get('/rating/:transcriptId', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.get('/rating/:transcriptId', authenticateToken, validateRequest(getRatingEndpoint), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const { transcriptId } = req.params;
     const user = (req as any).user;
     const userId = user._id || user.id;
 
-    // Validate transcript ID is provided and has valid format
-    if (!transcriptId || !Types.ObjectId.isValid(transcriptId)) {
-      res.status(400).json({ error: 'Invalid transcript ID format' });
-      return;
-    }
-
     // Find the transcript
     const transcript = await InterviewTranscript.findById(transcriptId);
     
     if (!transcript) {
-      res.status(404).json({ error: 'Transcript not found' });
+      sendError(res, 404, 'Transcript not found', { code: 'TRANSCRIPT_NOT_FOUND' });
       return;
     }
 
-    // Verify ownership
-    if (transcript.userId.toString() !== userId.toString()) {
-      res.status(403).json({ error: 'Access denied: You can only access your own ratings' });
+    // Verify ownership (admins may read any rating)
+    if (!isOwnerOrHasRole(req.user, transcript.userId, USER_ROLES.ADMIN)) {
+      sendError(res, 403, 'Access denied: You can only access your own ratings', { code: 'FORBIDDEN' });
       return;
     }
 
     // Check if rating exists
     if (transcript.status !== 'rated' || !transcript.aiRating) {
-      res.status(404).json({ 
-        error: 'Rating not found',
-        message: 'AI rating has not been generated for this transcript yet',
+      sendError(res, 404, 'AI rating has not been generated for this transcript yet', {
+        code: 'RATING_NOT_FOUND',
         status: transcript.status
       });
       return;
@@ -838,7 +976,7 @@ router.get('/rating/:transcriptId', authenticateToken, async (req: Authenticated
 
   } catch (err: any) {
     console.error('Get rating error:', err);
-    res.status(500).json({ error: err.message || 'Internal server error' });
+    sendError(res, 500, err.message || 'Internal server error', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
@@ -891,7 +1029,7 @@ router.get('/debug-files', authenticateToken, async (req: AuthenticatedRequest,
     });
   } catch (error) {
     console.error('Error in debug-files:', error);
-    res.status(500).json({ error: 'Failed to get debug info' });
+    sendError(res, 500, 'Failed to get debug info', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
@@ -902,7 +1040,7 @@ router.get('/debug-files', authenticateToken, async (req: AuthenticatedRequest,
  * @access Private (requires JWT authentication)
  * @returns {Object} Summary of user's uploaded content
  */
-router.get('/content-summary', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.get('/content-summary', authenticateToken, requireLLMBudget, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const user = (req as any).user;
     const userId = user._id || user.id;
@@ -926,7 +1064,7 @@ router.get('/content-summary', authenticateToken, async (req: AuthenticatedReque
 
     // Create summary
     const summary = content.length > 1000 
-      ? await summarizeContent(content)
+      ? await summarizeContent(content, undefined, { userId })
       : content;
 
     res.json({
@@ -942,7 +1080,7 @@ router.get('/content-summary', authenticateToken, async (req: AuthenticatedReque
 
   } catch (error) {
     console.error('Error getting content summary:', error);
-    res.status(500).json({ error: 'Failed to get content summary' });
+    sendError(res, 500, 'Failed to get content summary', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
@@ -954,25 +1092,13 @@ router.get('/content-summary', authenticateToken, async (req: AuthenticatedReque
  * @param {IVoiceProcessRequest} req.body - Voice processing request with action and data
  * @returns {Object} Processing confirmation and updated preferences
  */
-router.post('/voice-process', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.post('/voice-process', authenticateToken, validateRequest(voiceProcessEndpoint), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
+    // The body was checked against voiceProcessEndpoint, including the error report fields
     const { action, data }: IVoiceProcessRequest = req.body;
     const user = (req as any).user;
     const userId = user._id || user.id;
 
-    // Validate input
-    if (!action || !data) {
-      res.status(400).json({ error: 'Action and data are required' });
-      return;
-    }
-
-    // Validate action type
-    const validActions = ['store_preferences', 'log_usage', 'report_error'];
-    if (!validActions.includes(action)) {
-      res.status(400).json({ error: 'Invalid action type' });
-      return;
-    }
-
     let response: any = {
       success: true,
       action,
@@ -982,51 +1108,17 @@ router.post('/voice-process', authenticateToken, async (req: AuthenticatedReques
     switch (action) {
       case 'store_preferences':
         if (!data.preferences) {
-          res.status(400).json({ error: 'Preferences data is required for store_preferences action' });
+          sendError(res, 400, 'Preferences data is required for store_preferences action', { code: 'VALIDATION_ERROR' });
           return;
         }
 
-        // Validate preferences structure
-        const { preferences } = data;
-        const validatedPreferences: any = {};
-
-        // Validate and sanitize preferences
-        if (typeof preferences.voiceEnabled === 'boolean') {
-          validatedPreferences.voiceEnabled = preferences.voiceEnabled;
-        }
-        if (typeof preferences.selectedVoice === 'string' && preferences.selectedVoice.length <= 100) {
-          validatedPreferences.selectedVoice = preferences.selectedVoice;
-        }
-        if (typeof preferences.speechRate === 'number' && preferences.speechRate >= 0.5 && preferences.speechRate <= 2.0) {
-          validatedPreferences.speechRate = preferences.speechRate;
-        }
-        if (typeof preferences.speechVolume === 'number' && preferences.speechVolume >= 0 && preferences.speechVolume <= 1) {
-          validatedPreferences.speechVolume = preferences.speechVolume;
-        }
-        if (typeof preferences.microphoneSensitivity === 'number' && preferences.microphoneSensitivity >= 0 && preferences.microphoneSensitivity <= 1) {
-          validatedPreferences.microphoneSensitivity = preferences.microphoneSensitivity;
-        }
-        if (typeof preferences.autoPlayResponses === 'boolean') {
-          validatedPreferences.autoPlayResponses = preferences.autoPlayResponses;
-        }
-        if (preferences.voiceGender && ['male', 'female', 'neutral'].includes(preferences.voiceGender)) {
-          validatedPreferences.voiceGender = preferences.voiceGender;
-        }
-        if (typeof preferences.voiceLanguage === 'string' && preferences.voiceLanguage.length <= 10) {
-          validatedPreferences.voiceLanguage = preferences.voiceLanguage;
-        }
+        // Invalid values are left out rather than rejected; use PUT /api/chat/voice-preferences for strict validation
+        const { preferences: validatedPreferences } = validateVoicePreferences(data.preferences as Record<string, unknown>);
 
-        // Store preferences (in production, this would be saved to user profile)
         console.log(`[VOICE PREFERENCES] User ${userId}:`, JSON.stringify(validatedPreferences, null, 2));
 
-        // Record voice analytics event
-        recordVoiceEvent(
-          userId.toString(),
-          'preference_change',
-          { preferences: validatedPreferences },
-          req.headers['user-agent'],
-          undefined // device info would be extracted from user-agent in production
-        );
+        // Store the preferences; this also records the voice analytics event
+        await updateVoicePreferences(userId.toString(), validatedPreferences, [], req.headers['user-agent']);
 
         response.message = 'Voice preferences stored successfully';
         response.preferences = validatedPreferences;
@@ -1034,7 +1126,7 @@ router.post('/voice-process', authenticateToken, async (req: AuthenticatedReques
 
       case 'log_usage':
         if (!data.usage) {
-          res.status(400).json({ error: 'Usage data is required for log_usage action' });
+          sendError(res, 400, 'Usage data is required for log_usage action', { code: 'VALIDATION_ERROR' });
           return;
         }
 
@@ -1071,7 +1163,7 @@ router.post('/voice-process', authenticateToken, async (req: AuthenticatedReques
         }
 
         // Record voice usage analytics
-        recordVoiceEvent(
+        await recordVoiceEvent(
           userId.toString(),
           'speech_attempt',
           { 
@@ -1093,30 +1185,12 @@ router.post('/voice-process', authenticateToken, async (req: AuthenticatedReques
 
       case 'report_error':
         if (!data.error) {
-          res.status(400).json({ error: 'Error data is required for report_error action' });
+          sendError(res, 400, 'Error data is required for report_error action', { code: 'VALIDATION_ERROR' });
           return;
         }
 
-        // Validate and sanitize error data
+        // Sanitize error data
         const { error } = data;
-        const validErrorTypes = ['speech_recognition', 'text_to_speech', 'browser_compatibility', 'microphone_permission', 'network', 'other'];
-        
-        if (!error.errorType || !validErrorTypes.includes(error.errorType)) {
-          res.status(400).json({ error: 'Invalid error type' });
-          return;
-        }
-        if (!error.errorMessage || typeof error.errorMessage !== 'string') {
-          res.status(400).json({ error: 'Error message is required' });
-          return;
-        }
-        if (!error.browserInfo || typeof error.browserInfo !== 'string') {
-          res.status(400).json({ error: 'Browser info is required' });
-          return;
-        }
-        if (!error.timestamp || typeof error.timestamp !== 'string') {
-          res.status(400).json({ error: 'Timestamp is required' });
-          return;
-        }
 
         const validatedError = {
           errorType: error.errorType,
@@ -1129,7 +1203,7 @@ router.post('/voice-process', authenticateToken, async (req: AuthenticatedReques
         };
 
         // Record voice error analytics
-        recordVoiceEvent(
+        const recordedError = await recordVoiceEvent(
           userId.toString(),
           'speech_error',
           { error: validatedError },
@@ -1139,16 +1213,15 @@ router.post('/voice-process', authenticateToken, async (req: AuthenticatedReques
 
         // In production, this would also:
         // - Send to error tracking service (Sentry, LogRocket, etc.)
-        // - Update error metrics in analytics dashboard
         // - Trigger alerts for critical errors
-        // - Store in dedicated error logging database
 
         response.message = 'Voice error reported successfully';
-        response.errorId = `ve_${Date.now()}_${userId.toString().slice(-6)}`; // Generate error ID
+        // ID of the stored error; generated if it could not be stored
+        response.errorId = recordedError?.errorId ?? `ve_${Date.now()}_${userId.toString().slice(-6)}`;
         break;
 
       default:
-        res.status(400).json({ error: 'Unknown action type' });
+        sendError(res, 400, 'Unknown action type', { code: 'VALIDATION_ERROR' });
         return;
     }
 
@@ -1156,21 +1229,82 @@ router.post('/voice-process', authenticateToken, async (req: AuthenticatedReques
 
   } catch (err: any) {
     console.error('Voice process error:', err);
-    res.status(500).json({ 
-      error: err.message || 'Failed to process voice request',
+    sendError(res, 500, err.message || 'Failed to process voice request', {
+      code: 'INTERNAL_SERVER_ERROR',
       action: req.body?.action || 'unknown'
     });
   }
 });
 
+/**
+ * GET /api/chat/voice-preferences - Get the user's voice preferences
+ *
+ * @route GET /api/chat/voice-preferences
+ * @access Private (requires JWT authentication)
+ * @returns {Object} Stored voice preferences, with defaults for fields not set
+ */
+router.get('/voice-preferences', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const preferences = await getVoicePreferences(req.user!._id.toString());
+
+    res.json({
+      success: true,
+      preferences
+    });
+
+  } catch (err: any) {
+    console.error('Get voice preferences error:', err);
+    sendError(res, 500, 'Failed to fetch voice preferences', { code: 'INTERNAL_SERVER_ERROR' });
+  }
+});
+
+/**
+ * PUT /api/chat/voice-preferences - Save the user's voice preferences
+ * Fields left out keep their stored values; null resets a field to its default.
+ * The user's other open sessions receive the new preferences as a
+ * voice.preferences realtime event.
+ *
+ * @route PUT /api/chat/voice-preferences
+ * @access Private (requires JWT authentication)
+ * @param {Object} req.body - Voice preference fields to change
+ * @returns {Object} Voice preferences after the update
+ */
+router.put('/voice-preferences', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body) || Object.keys(req.body).length === 0) {
+      sendError(res, 400, 'Request body must include at least one voice preference', { code: 'VALIDATION_ERROR' });
+      return;
+    }
+
+    const { errors, preferences, cleared } = validateVoicePreferences(req.body);
+
+    if (errors.length > 0) {
+      sendError(res, 400, 'Invalid voice preferences', { code: 'VALIDATION_ERROR', details: errors });
+      return;
+    }
+
+    const updated = await updateVoicePreferences(req.user!._id.toString(), preferences, cleared, req.headers['user-agent']);
+
+    res.json({
+      success: true,
+      message: 'Voice preferences saved',
+      preferences: updated
+    });
+
+  } catch (err: any) {
+    console.error('Update voice preferences error:', err);
+    sendError(res, 500, 'Failed to save voice preferences', { code: 'INTERNAL_SERVER_ERROR' });
+  }
+});
+
 /**
  * GET /api/chat/voice-analytics - Get voice mode analytics summary
  * 
  * @route GET /api/chat/voice-analytics
- * @access Private (requires JWT authentication)
+ * @access Admin only (requires JWT authentication and the admin role)
  * @returns {Object} Voice analytics summary with adoption, performance, and error metrics
  */
-router.get('/voice-analytics', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.get('/voice-analytics', authenticateToken, requireRole(USER_ROLES.ADMIN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const user = (req as any).user;
     const userId = user._id || user.id;
@@ -1193,8 +1327,8 @@ router.get('/voice-analytics', authenticateToken, async (req: AuthenticatedReque
 
   } catch (err: any) {
     console.error('Voice analytics error:', err);
-    res.status(500).json({ 
-      error: err.message || 'Failed to retrieve voice analytics',
+    sendError(res, 500, err.message || 'Failed to retrieve voice analytics', {
+      code: 'INTERNAL_SERVER_ERROR',
       timestamp: new Date().toISOString()
     });
   }
@@ -1207,11 +1341,12 @@ router.get('/voice-analytics', authenticateToken, async (req: AuthenticatedReque
  * @access Private (requires JWT authentication)
  * @returns {Object} List of all AI ratings for the user
  */
-router.get('/ratings/history', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.get('/ratings/history', authenticateToken, validateRequest(ratingsHistoryEndpoint), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const user = (req as any).user;
     const userId = user._id || user.id;
-    const { limit = 10, offset = 0 } = req.query;
+    // Coerced to integers, with defaults, by ratingsHistoryEndpoint
+    const { limit, offset } = req.query as unknown as { limit: number; offset: number };
 
     // Find all rated transcripts for the user
     const transcripts = await InterviewTranscript.find({
@@ -1220,8 +1355,8 @@ router.get('/ratings/history', authenticateToken, async (req: AuthenticatedReque
       aiRating: { $exists: true }
     })
     .sort({ ratingGeneratedAt: -1 })
-    .limit(Number(limit))
-    .skip(Number(offset))
+    .limit(limit)
+    .skip(offset)
     .select('aiRating ratingGeneratedAt interviewContext createdAt');
 
     // Get total count for pagination
@@ -1255,23 +1390,24 @@ router.get('/ratings/history', authenticateToken, async (req: AuthenticatedReque
           totalRatings: totalCount,
           averageRating: Math.round(avgRating * 10) / 10,
           latestRating: latestRating ? {
+            transcriptId: latestRating._id,
             rating: latestRating.aiRating,
             generatedAt: latestRating.ratingGeneratedAt,
             context: latestRating.interviewContext
           } : null
         },
         pagination: {
-          limit: Number(limit),
-          offset: Number(offset),
+          limit,
+          offset,
           total: totalCount,
-          hasMore: Number(offset) + Number(limit) < totalCount
+          hasMore: offset + limit < totalCount
         }
       }
     });
 
   } catch (err: any) {
     console.error('Get ratings history error:', err);
-    res.status(500).json({ error: err.message || 'Failed to retrieve ratings history' });
+    sendError(res, 500, err.message || 'Failed to retrieve ratings history', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
@@ -0,0 +1,411 @@
+/**
+ * AI Interview Coach Backend - Conversation Routes
+ *
+ * This file implements the conversation resource: interviews in progress,
+ * stored on the server turn by turn. The client starts a conversation when
+ * the interview starts, appends each answer and AI reply, and can fetch the
+ * conversation again to resume it after a refresh or on another device.
+ * Ending the interview (POST /api/chat/end-interview with the conversation ID)
+ * turns the messages into a transcript.
+ *
+ * API Endpoints:
+ * - POST /api/conversations - Start a conversation
+ * - GET /api/conversations - List your conversations (?status=active to find one to resume)
+ * - GET /api/conversations/:id - Fetch a conversation with its messages
+ * - POST /api/conversations/:id/messages - Append a turn
+ * - DELETE /api/conversations/:id - Discard a conversation
+ *
+ * Security Features:
+ * - JWT authentication required for all endpoints
+ * - Only the owner can append or discard; the owner and admins can read
+ *
+ * Related Files:
+ * - src/services/conversation.service.ts - Conversation operations
+ * - src/models/Conversation.ts - Conversation model
+ * - src/routes/chat.routes.ts - End interview from a conversation
+ *
+ * Task: Server-side conversation persistence and resumable interviews
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Router, Response } from 'express';
+import { Types } from 'mongoose';
+import { authenticateToken, AuthenticatedRequest, requireOwnershipOr, ownerOf } from '../middleware/auth';
+import { USER_ROLES } from '../models/User';
+import Conversation, { CONVERSATION_STATUS, ConversationStatus, MAX_CONVERSATION_MESSAGES } from '../models/Conversation';
+import {
+  createConversation,
+  listConversations,
+  appendMessages,
+  toConversationResponse,
+  IConversationResult,
+  CONVERSATION_ERROR_CODES
+} from '../services/conversation.service';
+
+const router = Router();
+
+/**
+ * Interface for error response structure
+ */
+interface IErrorResponse {
+  error: string;
+  message: string;
+  code?: string;
+  details?: string[];
+}
+
+/**
+ * Maximum characters in one message, matching InterviewTranscript
+ */
+const MAX_MESSAGE_LENGTH = 5000;
+
+/**
+ * HTTP status and message for each rejected conversation operation
+ */
+const CONVERSATION_ERRORS: Record<string, { status: number; error: string; message: string }> = {
+  [CONVERSATION_ERROR_CODES.INTERVIEW_NOT_FOUND]: {
+    status: 400,
+    error: 'Bad Request',
+    message: 'Interview not found'
+  },
+  [CONVERSATION_ERROR_CODES.ASSIGNMENT_NOT_OPEN]: {
+    status: 400,
+    error: 'Bad Request',
+    message: 'Assignment not found or already completed'
+  },
+  [CONVERSATION_ERROR_CODES.CONVERSATION_ENDED]: {
+    status: 409,
+    error: 'Conflict',
+    message: 'This interview has already ended'
+  },
+  [CONVERSATION_ERROR_CODES.TOO_MANY_MESSAGES]: {
+    status: 400,
+    error: 'Bad Request',
+    message: `A conversation cannot exceed ${MAX_CONVERSATION_MESSAGES} messages`
+  }
+};
+
+/**
+ * Ownership check for routes addressed by conversation ID
+ */
+const conversationOwner = ownerOf(Conversation, 'id');
+
+const CONVERSATION_FORBIDDEN: IErrorResponse = {
+  error: 'Forbidden',
+  message: 'Access denied: Conversation belongs to another user'
+};
+
+/**
+ * Sends the error response for a rejected conversation operation
+ */
+function sendConversationError(res: Response, result: IConversationResult): void {
+  const failure = CONVERSATION_ERRORS[result.errorCode!]!;
+  res.status(failure.status).json({
+    error: failure.error,
+    message: failure.message,
+    code: result.errorCode
+  } as IErrorResponse);
+}
+
+/**
+ * Validates a list of { sender, text } messages
+ *
+ * @param {unknown} messages - Messages from the request body
+ * @param {boolean} allowEmpty - Whether an empty list is valid
+ * @returns {string[]} Validation errors, empty if the messages are valid
+ */
+function validateMessages(messages: unknown, allowEmpty: boolean): string[] {
+  if (!Array.isArray(messages) || (!allowEmpty && messages.length === 0)) {
+    return [allowEmpty ? 'messages must be an array' : 'messages must be a non-empty array'];
+  }
+
+  const errors: string[] = [];
+  messages.forEach((message: any, index: number) => {
+    if (message?.sender !== 'ai' && message?.sender !== 'user') {
+      errors.push(`messages[${index}].sender must be ai or user`);
+    }
+    if (typeof message?.text !== 'string' || message.text.trim().length === 0) {
+      errors.push(`messages[${index}].text is required`);
+    } else if (message.text.trim().length > MAX_MESSAGE_LENGTH) {
+      errors.push(`messages[${index}].text cannot exceed ${MAX_MESSAGE_LENGTH} characters`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates a new conversation request body
+ *
+ * @returns {string[]} Validation errors, empty if the body is valid
+ */
+function validateConversationRequest(body: any): string[] {
+  const { interviewContext, messages, interviewId, assignmentId } = body || {};
+  const errors: string[] = [];
+
+  if (!interviewContext || typeof interviewContext !== 'object') {
+    errors.push('interviewContext is required');
+  } else {
+    if (typeof interviewContext.difficulty !== 'string' || interviewContext.difficulty.trim().length === 0) {
+      errors.push('interviewContext.difficulty is required');
+    }
+    if (typeof interviewContext.interviewType !== 'string' || interviewContext.interviewType.trim().length === 0) {
+      errors.push('interviewContext.interviewType is required');
+    }
+  }
+
+  if (messages !== undefined) {
+    errors.push(...validateMessages(messages, true));
+  }
+
+  for (const [field, value] of [['interviewId', interviewId], ['assignmentId', assignmentId]] as const) {
+    if (value !== undefined && (typeof value !== 'string' || !Types.ObjectId.isValid(value))) {
+      errors.push(`${field} must be a valid ID`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * POST /api/conversations - Start a conversation
+ *
+ * @route POST /api/conversations
+ * @access Private
+ * @param {Object} req.body.interviewContext - Difficulty, interview type and profile
+ * @param {Array} req.body.messages - Opening messages, such as the greeting (optional)
+ * @param {string} req.body.interviewId - Interview this conversation conducts (optional)
+ * @param {string} req.body.assignmentId - Counselor assignment it completes (optional)
+ * @returns {Object} The new conversation
+ */
+router.post('/', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const errors = validateConversationRequest(req.body);
+
+    if (errors.length > 0) {
+      res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid conversation',
+        details: errors
+      } as IErrorResponse);
+      return;
+    }
+
+    const { interviewContext, messages, interviewId, assignmentId } = req.body;
+    const result = await createConversation(req.user!._id as Types.ObjectId, {
+      interviewContext,
+      ...(messages && { messages }),
+      ...(interviewId && { interviewId }),
+      ...(assignmentId && { assignmentId })
+    });
+
+    if (!result.success) {
+      sendConversationError(res, result);
+      return;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Conversation started',
+      conversation: toConversationResponse(result.conversation!, true)
+    });
+
+  } catch (error) {
+    console.error('Error starting conversation:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to start conversation'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * GET /api/conversations - List your conversations, most recently active first
+ *
+ * @route GET /api/conversations
+ * @access Private
+ * @param {string} req.query.status - active or ended (optional)
+ * @returns {Object} Conversations with their last message
+ */
+router.get('/', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { status } = req.query;
+
+    if (status !== undefined && !Object.values(CONVERSATION_STATUS).includes(status as ConversationStatus)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: `status must be one of: ${Object.values(CONVERSATION_STATUS).join(', ')}`
+      } as IErrorResponse);
+      return;
+    }
+
+    const conversations = await listConversations(req.user!._id as Types.ObjectId, status as ConversationStatus | undefined);
+
+    res.status(200).json({
+      success: true,
+      conversations: conversations.map(conversation => toConversationResponse(conversation, false))
+    });
+
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve conversations'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * GET /api/conversations/:id - Fetch a conversation with its messages
+ *
+ * @route GET /api/conversations/:id
+ * @access Private (owner or admin)
+ * @returns {Object} The conversation
+ */
+router.get('/:id', authenticateToken, requireOwnershipOr([USER_ROLES.ADMIN], conversationOwner, CONVERSATION_FORBIDDEN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !Types.ObjectId.isValid(id)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid conversation ID format'
+      } as IErrorResponse);
+      return;
+    }
+
+    const conversation = await Conversation.findById(id);
+
+    if (!conversation) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Conversation not found'
+      } as IErrorResponse);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      conversation: toConversationResponse(conversation, true)
+    });
+
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve conversation'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * POST /api/conversations/:id/messages - Append a turn
+ * A turn is usually the user's answer followed by the AI reply.
+ *
+ * @route POST /api/conversations/:id/messages
+ * @access Private (owner)
+ * @param {Array} req.body.messages - Messages to append ({ sender, text }), in order
+ * @returns {Object} The new message count
+ */
+router.post('/:id/messages', authenticateToken, requireOwnershipOr([], conversationOwner, CONVERSATION_FORBIDDEN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !Types.ObjectId.isValid(id)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid conversation ID format'
+      } as IErrorResponse);
+      return;
+    }
+
+    const errors = validateMessages(req.body?.messages, false);
+
+    if (errors.length > 0) {
+      res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid messages',
+        details: errors
+      } as IErrorResponse);
+      return;
+    }
+
+    const conversation = await Conversation.findById(id);
+
+    if (!conversation) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Conversation not found'
+      } as IErrorResponse);
+      return;
+    }
+
+    const result = await appendMessages(conversation, req.body.messages);
+
+    if (!result.success) {
+      sendConversationError(res, result);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Messages added',
+      messageCount: result.conversation!.messages.length
+    });
+
+  } catch (error) {
+    console.error('Error appending conversation messages:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to add messages'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * DELETE /api/conversations/:id - Discard a conversation
+ * Transcripts already created from it are kept.
+ *
+ * @route DELETE /api/conversations/:id
+ * @access Private (owner)
+ * @returns {Object} Success response
+ */
+router.delete('/:id', authenticateToken, requireOwnershipOr([], conversationOwner, CONVERSATION_FORBIDDEN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !Types.ObjectId.isValid(id)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid conversation ID format'
+      } as IErrorResponse);
+      return;
+    }
+
+    const result = await Conversation.deleteOne({ _id: id });
+
+    if (result.deletedCount === 0) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Conversation not found'
+      } as IErrorResponse);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation discarded'
+    });
+
+  } catch (error) {
+    console.error('Error discarding conversation:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to discard conversation'
+    } as IErrorResponse);
+  }
+});
+
+export default router;
@@ -0,0 +1,49 @@
+/**
+ * AI Interview Coach Backend - Docs Routes
+ *
+ * This file serves the generated API documentation. The OpenAPI document is
+ * built from the same endpoint specs that validate requests, once per process.
+ *
+ * API Endpoints:
+ * - GET /api/docs/openapi.json - OpenAPI 3.0 document for the interview, session and chat endpoints
+ *
+ * Related Files:
+ * - src/services/openapi.service.ts - Document builder
+ * - src/schemas/ - Endpoint specs
+ *
+ * Task: Request/response schemas, validation middleware and OpenAPI document
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Router, Request, Response } from 'express';
+import { buildOpenApiDocument } from '../services/openapi.service';
+
+// Create Express router instance
+const router = Router();
+
+let openApiDocument: Record<string, unknown> | null = null;
+
+/**
+ * GET /api/docs/openapi.json - OpenAPI document
+ *
+ * @route GET /api/docs/openapi.json
+ * @access Public
+ * @returns {Object} OpenAPI 3.0 document
+ */
+router.get('/openapi.json', (req: Request, res: Response): void => {
+  try {
+    openApiDocument = openApiDocument || buildOpenApiDocument();
+    res.status(200).json(openApiDocument);
+
+  } catch (error) {
+    console.error('Error building OpenAPI document:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to build API documentation'
+    });
+  }
+});
+
+export default router;
@@ -9,6 +9,11 @@
  * - /api/interviews/* - Interview session management routes  
  * - /api/sessions/* - Session recording and transcript routes
  * - /api/uploads/* - File upload and document management routes
+ * - /api/conversations/* - Interviews in progress, stored turn by turn
+ * - /api/organizations/* - Counselor workspaces, rosters and assignments
+ * - /api/assignments/* - Practice interviews assigned to the current student
+ * - /api/usage/* - AI usage and budgets
+ * - /api/docs/* - Generated OpenAPI document
  * - /api/feedback/* - Feedback generation and retrieval routes
  * 
  * Design Principles:
@@ -44,8 +49,28 @@ export { default as chatRoutes } from './chat.routes';
 // Upload routes exports
 export { default as uploadRoutes } from './upload.routes';
 
+// Conversation routes exports
+export { default as conversationRoutes } from './conversation.routes';
+
 // Avatar routes exports
 export { default as avatarRoutes } from './avatar.routes';
 
+// Counselor workspace routes exports
+export { default as organizationRoutes } from './organization.routes';
+export { default as assignmentRoutes } from './assignment.routes';
+
+// Review comment and notification routes exports
+export { transcriptReviewRoutes, sessionReviewRoutes } from './review.routes';
+export { default as notificationRoutes } from './notification.routes';
+
+// AI usage routes exports
+export { default as usageRoutes } from './usage.routes';
+
+// Background job routes exports
+export { default as jobRoutes } from './job.routes';
+
+// API documentation routes exports
+export { default as docsRoutes } from './docs.routes';
+
 // Future route exports will be added here as they are implemented:
 // export { default as feedbackRoutes } from './feedback.routes'; 
\ No newline at end of file
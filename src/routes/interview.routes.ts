@@ -14,16 +14,20 @@
  * 
  * API Endpoints:
  * - POST /api/interviews - Create new interview session
+ * - GET /api/interviews - List the user's interviews
+ * - GET /api/interviews/:id - Get one interview
+ * - POST /api/interviews/:id/generate-questions - Generate questions with OpenAI
+ * - POST /api/interviews/:id/start, /complete, /stop - Move an interview through its lifecycle
  * 
  * Security Features:
  * - JWT authentication required for all endpoints
  * - Input validation to prevent malformed requests
- * - User ownership verification for interview sessions
+ * - User ownership verification for interview sessions (admins may read any interview)
  * - Rate limiting ready (can be integrated)
  * 
  * Request/Response Flow:
  * 1. Authenticate user via JWT middleware
- * 2. Validate request body structure and required fields
+ * 2. Validate params, query and body against the endpoint spec (src/schemas)
  * 3. Create interview with user reference and configuration
  * 4. Generate unique session token for tracking
  * 5. Return success response with interview data
@@ -31,6 +35,7 @@
  * Related Files:
  * - src/models/Interview.ts - Interview model and interfaces
  * - src/middleware/auth.ts - Authentication middleware
+ * - src/schemas/interview.schemas.ts - Request validation and OpenAPI specs
  * - src/services/openai.service.ts - Question generation (future)
  * 
  * Task: #14 - Interview routes with POST /api/interviews endpoint
@@ -40,20 +45,28 @@
  */
 
 import { Router, Response } from 'express';
-import { authenticateToken, AuthenticatedRequest } from '../middleware/auth';
+import { authenticateToken, requireOwnershipOr, ownerOf, AuthenticatedRequest } from '../middleware/auth';
+import { requireLLMBudget } from '../middleware/llmBudget';
+import { validateRequest } from '../middleware/validation';
+import { sendError } from '../middleware/error';
 import Interview, { 
-  IInterview, 
   InterviewType, 
   InterviewDifficulty,
-  INTERVIEW_TYPES,
-  INTERVIEW_DIFFICULTY,
   IInterviewQuestion 
 } from '../models/Interview';
-import User from '../models/User';
+import User, { USER_ROLES } from '../models/User';
 import { generateInterviewQuestions } from '../services/openai.service';
+import {
+  createInterviewEndpoint,
+  listInterviewsEndpoint,
+  getInterviewEndpoint,
+  generateQuestionsEndpoint,
+  startInterviewEndpoint,
+  completeInterviewEndpoint,
+  stopInterviewEndpoint
+} from '../schemas';
 import { Types } from 'mongoose';
 import crypto from 'crypto';
-import mongoose from 'mongoose';
 
 /**
  * Interface for creating a new interview request body
@@ -89,16 +102,6 @@ interface ICreateInterviewResponse {
   };
 }
 
-/**
- * Interface for error response structure
- * Ensures consistent error format across endpoints
- */
-interface IErrorResponse {
-  error: string;
-  message: string;
-  details?: string[];
-}
-
 /**
  * Interface for pagination metadata
  * Provides consistent pagination information across list endpoints
@@ -180,6 +183,24 @@ interface IGenerateQuestionsResponse {
 // Create Express router instance
 const router = Router();
 
+/**
+ * Ownership check for routes addressed by interview ID
+ * Admins may read any interview; only the owner may change one.
+ */
+const interviewOwner = ownerOf(Interview, 'id');
+
+const INTERVIEW_FORBIDDEN = {
+  error: 'Forbidden',
+  message: 'You do not have permission to access this interview',
+  code: 'FORBIDDEN'
+};
+
+const INTERVIEW_WRITE_FORBIDDEN = {
+  error: 'Forbidden',
+  message: 'Access denied: Interview belongs to another user',
+  code: 'FORBIDDEN'
+};
+
 /**
  * POST /api/interviews
  * 
@@ -191,208 +212,17 @@ const router = Router();
  * @param {ICreateInterviewRequest} req.body - Interview configuration
  * @returns {ICreateInterviewResponse | IErrorResponse} Interview data or error
  */
-router.post('/', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.post('/', authenticateToken, validateRequest(createInterviewEndpoint), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
-    // Validate request body exists first
-    if (!req.body) {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: 'Request body is required'
-      } as IErrorResponse);
-      return;
-    }
-
+    // The body was checked against createInterviewEndpoint; duration defaults to 30
     const { 
       interviewType, 
       interviewDifficulty, 
-      duration = 30,
+      duration,
       customPrompt,
       tags 
     }: ICreateInterviewRequest = req.body;
 
-    // Validate required fields
-    if (!interviewType) {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: 'Interview type is required'
-      } as IErrorResponse);
-      return;
-    }
-
-    if (!interviewDifficulty) {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: 'Interview difficulty is required'
-      } as IErrorResponse);
-      return;
-    }
-
-    // Validate field types
-    if (typeof interviewType !== 'string') {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: 'Interview type must be a string'
-      } as IErrorResponse);
-      return;
-    }
-
-    if (typeof interviewDifficulty !== 'string') {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: 'Interview difficulty must be a string'
-      } as IErrorResponse);
-      return;
-    }
-
-    // Validate field content is not empty
-    if (interviewType.trim().length === 0) {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: 'Interview type cannot be empty'
-      } as IErrorResponse);
-      return;
-    }
-
-    if (interviewDifficulty.trim().length === 0) {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: 'Interview difficulty cannot be empty'
-      } as IErrorResponse);
-      return;
-    }
-
-    // Validate interview type
-    const validTypes = Object.values(INTERVIEW_TYPES);
-    if (!validTypes.includes(interviewType)) {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: `Interview type must be one of: ${validTypes.join(', ')}`,
-        details: [`Received: ${interviewType}`]
-      } as IErrorResponse);
-      return;
-    }
-
-    // Validate interview difficulty
-    const validDifficulties = Object.values(INTERVIEW_DIFFICULTY);
-    if (!validDifficulties.includes(interviewDifficulty)) {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: `Interview difficulty must be one of: ${validDifficulties.join(', ')}`,
-        details: [`Received: ${interviewDifficulty}`]
-      } as IErrorResponse);
-      return;
-    }
-
-    // Validate optional duration field
-    if (duration !== undefined && duration !== null) {
-      if (typeof duration !== 'number') {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Duration must be a number'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (!Number.isInteger(duration)) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Duration must be a whole number of minutes'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (duration < 5) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Interview duration must be at least 5 minutes'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (duration > 120) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Interview duration must be no more than 120 minutes'
-        } as IErrorResponse);
-        return;
-      }
-    }
-
-    // Validate optional custom prompt field
-    if (customPrompt !== undefined && customPrompt !== null) {
-      if (typeof customPrompt !== 'string') {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Custom prompt must be a string'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (customPrompt.trim().length === 0) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Custom prompt cannot be empty if provided'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (customPrompt.length > 500) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Custom prompt must be 500 characters or less'
-        } as IErrorResponse);
-        return;
-      }
-    }
-
-    // Validate optional tags field
-    if (tags !== undefined && tags !== null) {
-      if (!Array.isArray(tags)) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Tags must be an array'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (tags.length > 10) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Maximum of 10 tags are allowed'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate each tag
-      for (let i = 0; i < tags.length; i++) {
-        const tag = tags[i];
-        
-        if (typeof tag !== 'string') {
-          res.status(400).json({
-            error: 'Bad Request',
-            message: `Tag at index ${i} must be a string`
-          } as IErrorResponse);
-          return;
-        }
-
-        if (tag.trim().length === 0) {
-          res.status(400).json({
-            error: 'Bad Request',
-            message: `Tag at index ${i} cannot be empty`
-          } as IErrorResponse);
-          return;
-        }
-
-        if (tag.length > 50) {
-          res.status(400).json({
-            error: 'Bad Request',
-            message: `Tag at index ${i} must be 50 characters or less`
-          } as IErrorResponse);
-          return;
-        }
-      }
-    }
-
     // Create new interview document
     const interviewData: any = {
       userId: new Types.ObjectId(req.user!._id.toString()),
@@ -461,10 +291,7 @@ router.post('/', authenticateToken, async (req: AuthenticatedRequest, res: Respo
     });
 
     // Return generic error response
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to create interview session. Please try again later.'
-    } as IErrorResponse);
+    sendError(res, 500, 'Failed to create interview session. Please try again later.', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
@@ -479,172 +306,16 @@ router.post('/', authenticateToken, async (req: AuthenticatedRequest, res: Respo
  * @access Private (requires JWT authentication)
  * @returns {Array<IInterview> | IErrorResponse} Array of interview data or error
  */
-router.get('/', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.get('/', authenticateToken, validateRequest(listInterviewsEndpoint), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
-    // Extract query parameters for validation (without defaults)
-    const { 
-      page: rawPage, 
-      limit: rawLimit, 
-      status, 
-      type, 
-      difficulty 
-    } = req.query;
-
-    // Validate limit parameter first (if present)
-    if (rawLimit !== undefined) {
-      if (typeof rawLimit !== 'string') {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Limit parameter must be a string number'
-        } as IErrorResponse);
-        return;
-      }
-
-      const limitNum = parseInt(rawLimit as string, 10);
-      
-      if (isNaN(limitNum)) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Limit parameter must be a valid number'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (limitNum < 1) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Limit parameter must be 1 or greater'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (limitNum > 100) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Limit parameter must be 100 or less'
-        } as IErrorResponse);
-        return;
-      }
-    }
-
-    // Validate page parameter
-    if (rawPage !== undefined) {
-      if (typeof rawPage !== 'string') {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Page parameter must be a string number'
-        } as IErrorResponse);
-        return;
-      }
-
-      const pageNum = parseInt(rawPage as string, 10);
-      
-      if (isNaN(pageNum)) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Page parameter must be a valid number'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (pageNum < 1) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Page parameter must be 1 or greater'
-        } as IErrorResponse);
-        return;
-      }
-    }
-
-    // Validate status filter
-    if (status !== undefined) {
-      if (typeof status !== 'string') {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Status parameter must be a string'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (status.trim().length === 0) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Status filter cannot be empty'
-        } as IErrorResponse);
-        return;
-      }
-
-      const validStatuses = ['pending', 'active', 'completed', 'cancelled'];
-      if (!validStatuses.includes(status)) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Status filter must be one of: pending, active, completed, cancelled'
-        } as IErrorResponse);
-        return;
-      }
-    }
-
-    // Set defaults after validation
-    const page = rawPage ? parseInt(rawPage as string, 10) : 1;
-    const limit = rawLimit ? parseInt(rawLimit as string, 10) : 20;
-
-
-
-    // Validate type filter
-    if (type !== undefined) {
-      if (typeof type !== 'string') {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Type filter must be a string'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (type.trim().length === 0) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Type filter cannot be empty'
-        } as IErrorResponse);
-        return;
-      }
-
-      const validTypes = Object.values(INTERVIEW_TYPES);
-      if (!validTypes.includes(type as InterviewType)) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: `Type filter must be one of: ${validTypes.join(', ')}`
-        } as IErrorResponse);
-        return;
-      }
-    }
-
-    // Validate difficulty filter
-    if (difficulty !== undefined) {
-      if (typeof difficulty !== 'string') {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Difficulty filter must be a string'
-        } as IErrorResponse);
-        return;
-      }
-
-      if (difficulty.trim().length === 0) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Difficulty filter cannot be empty'
-        } as IErrorResponse);
-        return;
-      }
-
-      const validDifficulties = Object.values(INTERVIEW_DIFFICULTY);
-      if (!validDifficulties.includes(difficulty as InterviewDifficulty)) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: `Difficulty filter must be one of: ${validDifficulties.join(', ')}`
-        } as IErrorResponse);
-        return;
-      }
-    }
+    // Coerced, with page and limit defaults, by listInterviewsEndpoint
+    const { page, limit, status, type, difficulty } = req.query as unknown as {
+      page: number;
+      limit: number;
+      status?: string;
+      type?: string;
+      difficulty?: string;
+    };
 
     // Build filter object
     const filter: any = { userId: new Types.ObjectId(req.user!._id.toString()) };
@@ -731,10 +402,7 @@ router.get('/', authenticateToken, async (req: AuthenticatedRequest, res: Respon
     });
 
     // Return generic error response
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to retrieve interviews. Please try again later.'
-    } as IErrorResponse);
+    sendError(res, 500, 'Failed to retrieve interviews. Please try again later.', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
@@ -750,48 +418,16 @@ router.get('/', authenticateToken, async (req: AuthenticatedRequest, res: Respon
  * @param {string} req.params.id - Interview ID to retrieve
  * @returns {IInterview | IErrorResponse} Interview data or error
  */
-router.get('/:id', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.get('/:id', authenticateToken, validateRequest(getInterviewEndpoint), requireOwnershipOr([USER_ROLES.ADMIN], interviewOwner, INTERVIEW_FORBIDDEN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const { id } = req.params;
 
-    // Validate that ID is provided
-    if (!id) {
-      res.status(400).json({
-        error: 'Missing interview ID',
-        message: 'Interview ID is required',
-        details: ['ID parameter is missing from the request']
-      } as IErrorResponse);
-      return;
-    }
-
-    // Validate MongoDB ObjectId format
-    if (!Types.ObjectId.isValid(id)) {
-      res.status(400).json({
-        error: 'Invalid interview ID',
-        message: 'The provided interview ID is not a valid format',
-        details: [`Received: ${id}`]
-      } as IErrorResponse);
-      return;
-    }
-
     // Find interview by ID
     const interview = await Interview.findById(id);
 
     // Check if interview exists
     if (!interview) {
-      res.status(404).json({
-        error: 'Interview not found',
-        message: 'The requested interview does not exist or has been deleted'
-      } as IErrorResponse);
-      return;
-    }
-
-    // Verify user ownership (interview is guaranteed to be non-null here)
-    if (interview.userId.toString() !== req.user!._id.toString()) {
-      res.status(403).json({
-        error: 'Access forbidden',
-        message: 'You do not have permission to access this interview'
-      } as IErrorResponse);
+      sendError(res, 404, 'The requested interview does not exist or has been deleted', { code: 'INTERVIEW_NOT_FOUND' });
       return;
     }
 
@@ -841,10 +477,7 @@ router.get('/:id', authenticateToken, async (req: AuthenticatedRequest, res: Res
     });
 
     // Return generic error response
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to retrieve interview. Please try again later.'
-    } as IErrorResponse);
+    sendError(res, 500, 'Failed to retrieve interview. Please try again later.', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
@@ -860,68 +493,32 @@ router.get('/:id', authenticateToken, async (req: AuthenticatedRequest, res: Res
  * @param {string} req.params.id - Interview ID to generate questions for
  * @returns {IInterview | IErrorResponse} Updated interview with questions or error
  */
-router.post('/:id/generate-questions', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.post('/:id/generate-questions', authenticateToken, validateRequest(generateQuestionsEndpoint), requireOwnershipOr([], interviewOwner, INTERVIEW_FORBIDDEN), requireLLMBudget, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const { id } = req.params;
 
-    // Validate that ID is provided
-    if (!id) {
-      res.status(400).json({
-        error: 'Missing interview ID',
-        message: 'Interview ID is required',
-        details: ['ID parameter is missing from the request']
-      } as IErrorResponse);
-      return;
-    }
-
-    // Validate MongoDB ObjectId format
-    if (!Types.ObjectId.isValid(id)) {
-      res.status(400).json({
-        error: 'Invalid interview ID',
-        message: 'The provided interview ID is not a valid format',
-        details: [`Received: ${id}`]
-      } as IErrorResponse);
-      return;
-    }
-
     // Find interview by ID
     const interview = await Interview.findById(id);
 
     // Check if interview exists
     if (!interview) {
-      res.status(404).json({
-        error: 'Interview not found',
-        message: 'The requested interview does not exist or has been deleted'
-      } as IErrorResponse);
-      return;
-    }
-
-    // Verify user ownership
-    if (interview.userId.toString() !== req.user!._id.toString()) {
-      res.status(403).json({
-        error: 'Access forbidden',
-        message: 'You do not have permission to access this interview'
-      } as IErrorResponse);
+      sendError(res, 404, 'The requested interview does not exist or has been deleted', { code: 'INTERVIEW_NOT_FOUND' });
       return;
     }
 
     // Check if questions have already been generated
     if (interview.questions.length > 0) {
-      res.status(409).json({
-        error: 'Questions already generated',
-        message: 'This interview already has questions. Delete existing questions first to regenerate.',
+      sendError(res, 409, 'This interview already has questions. Delete existing questions first to regenerate.', {
+        code: 'QUESTIONS_ALREADY_GENERATED',
         details: [`Current question count: ${interview.questions.length}`]
-      } as IErrorResponse);
+      });
       return;
     }
 
     // Get user profile for personalized question generation
     const user = await User.findById(req.user!._id);
     if (!user) {
-      res.status(404).json({
-        error: 'User not found',
-        message: 'User profile not found'
-      } as IErrorResponse);
+      sendError(res, 404, 'User profile not found', { code: 'USER_NOT_FOUND' });
       return;
     }
 
@@ -932,7 +529,8 @@ router.post('/:id/generate-questions', authenticateToken, async (req: Authentica
     try {
       // Generate questions using OpenAI service
       const additionalParams: any = {
-        questionCount
+        questionCount,
+        usageContext: { userId: user._id }
       };
       
       if (interview.customPrompt) additionalParams.customPrompt = interview.customPrompt;
@@ -1017,11 +615,10 @@ router.post('/:id/generate-questions', authenticateToken, async (req: Authentica
       });
 
       // Return specific error for OpenAI failures
-      res.status(503).json({
-        error: 'Question generation failed',
-        message: 'Failed to generate interview questions. Please try again later.',
+      sendError(res, 503, 'Failed to generate interview questions. Please try again later.', {
+        code: 'QUESTION_GENERATION_FAILED',
         details: [openaiError.message]
-      } as IErrorResponse);
+      });
       return;
     }
 
@@ -1036,10 +633,7 @@ router.post('/:id/generate-questions', authenticateToken, async (req: Authentica
     });
 
     // Return generic error response
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to generate interview questions. Please try again later.'
-    } as IErrorResponse);
+    sendError(res, 500, 'Failed to generate interview questions. Please try again later.', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
@@ -1051,36 +645,14 @@ router.post('/:id/generate-questions', authenticateToken, async (req: Authentica
  * @param {string} req.params.id - Interview ID
  * @returns {Object} Success response with updated interview
  */
-router.post('/:id/start', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.post('/:id/start', authenticateToken, validateRequest(startInterviewEndpoint), requireOwnershipOr([], interviewOwner, INTERVIEW_WRITE_FORBIDDEN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const id = req.params.id as string;
-    const userId = req.user!._id.toString();
-
-    // Validate interview ID
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: 'Invalid interview ID format'
-      } as IErrorResponse);
-      return;
-    }
 
     // Find interview
     const interview = await Interview.findById(id);
     if (!interview) {
-      res.status(404).json({
-        error: 'Not Found',
-        message: 'Interview not found'
-      } as IErrorResponse);
-      return;
-    }
-
-    // Verify ownership
-    if (interview.userId.toString() !== userId) {
-      res.status(403).json({
-        error: 'Forbidden',
-        message: 'Access denied: Interview belongs to another user'
-      } as IErrorResponse);
+      sendError(res, 404, 'The requested interview does not exist or has been deleted', { code: 'INTERVIEW_NOT_FOUND' });
       return;
     }
 
@@ -1100,10 +672,7 @@ router.post('/:id/start', authenticateToken, async (req: AuthenticatedRequest, r
 
   } catch (error: any) {
     console.error('Error starting interview:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message || 'Failed to start interview'
-    } as IErrorResponse);
+    sendError(res, 500, error.message || 'Failed to start interview', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
@@ -1116,48 +685,15 @@ router.post('/:id/start', authenticateToken, async (req: AuthenticatedRequest, r
  * @param {number} req.body.score - Optional interview score (0-100)
  * @returns {Object} Success response with completed interview
  */
-router.post('/:id/complete', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.post('/:id/complete', authenticateToken, validateRequest(completeInterviewEndpoint), requireOwnershipOr([], interviewOwner, INTERVIEW_WRITE_FORBIDDEN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const id = req.params.id as string;
     const { score } = req.body;
-    const userId = req.user!._id.toString();
-
-    // Validate interview ID
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: 'Invalid interview ID format'
-      } as IErrorResponse);
-      return;
-    }
-
-    // Validate optional score
-    if (score !== undefined && score !== null) {
-      if (typeof score !== 'number' || score < 0 || score > 100) {
-        res.status(400).json({
-          error: 'Bad Request',
-          message: 'Score must be a number between 0 and 100'
-        } as IErrorResponse);
-        return;
-      }
-    }
 
     // Find interview
     const interview = await Interview.findById(id);
     if (!interview) {
-      res.status(404).json({
-        error: 'Not Found',
-        message: 'Interview not found'
-      } as IErrorResponse);
-      return;
-    }
-
-    // Verify ownership
-    if (interview.userId.toString() !== userId) {
-      res.status(403).json({
-        error: 'Forbidden',
-        message: 'Access denied: Interview belongs to another user'
-      } as IErrorResponse);
+      sendError(res, 404, 'The requested interview does not exist or has been deleted', { code: 'INTERVIEW_NOT_FOUND' });
       return;
     }
 
@@ -1179,10 +715,7 @@ router.post('/:id/complete', authenticateToken, async (req: AuthenticatedRequest
 
   } catch (error: any) {
     console.error('Error completing interview:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message || 'Failed to complete interview'
-    } as IErrorResponse);
+    sendError(res, 500, error.message || 'Failed to complete interview', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
@@ -1198,45 +731,20 @@ router.post('/:id/complete', authenticateToken, async (req: AuthenticatedRequest
  * @param {string} req.params.id - Interview ID
  * @returns {Object} Success response with stopped interview data
  */
-router.post('/:id/stop', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.post('/:id/stop', authenticateToken, validateRequest(stopInterviewEndpoint), requireOwnershipOr([], interviewOwner, INTERVIEW_WRITE_FORBIDDEN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
     const id = req.params.id as string;
-    const userId = req.user!._id.toString();
-
-    // Validate interview ID
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: 'Invalid interview ID format'
-      } as IErrorResponse);
-      return;
-    }
 
     // Find interview
     const interview = await Interview.findById(id);
     if (!interview) {
-      res.status(404).json({
-        error: 'Not Found',
-        message: 'Interview not found'
-      } as IErrorResponse);
-      return;
-    }
-
-    // Verify ownership
-    if (interview.userId.toString() !== userId) {
-      res.status(403).json({
-        error: 'Forbidden',
-        message: 'Access denied: Interview belongs to another user'
-      } as IErrorResponse);
+      sendError(res, 404, 'The requested interview does not exist or has been deleted', { code: 'INTERVIEW_NOT_FOUND' });
       return;
     }
 
     // Check if interview can be stopped (must be active)
     if (interview.status !== 'active') {
-      res.status(400).json({
-        error: 'Bad Request',
-        message: 'Only active interviews can be stopped'
-      } as IErrorResponse);
+      sendError(res, 400, 'Only active interviews can be stopped', { code: 'INTERVIEW_NOT_ACTIVE' });
       return;
     }
 
@@ -1256,10 +764,7 @@ router.post('/:id/stop', authenticateToken, async (req: AuthenticatedRequest, re
 
   } catch (error: any) {
     console.error('Error stopping interview:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message || 'Failed to stop interview'
-    } as IErrorResponse);
+    sendError(res, 500, error.message || 'Failed to stop interview', { code: 'INTERNAL_SERVER_ERROR' });
   }
 });
 
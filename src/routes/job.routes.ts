@@ -0,0 +1,125 @@
+/**
+ * AI Interview Coach Backend - Job Routes
+ *
+ * This file implements the background job status endpoints. Uploads and
+ * rating generation respond with a job ID; clients poll these endpoints for
+ * the job's progress and outcome instead of holding the original request open.
+ *
+ * API Endpoints:
+ * - GET /api/jobs - The current user's recent jobs
+ * - GET /api/jobs/:jobId - A job's status, progress and result
+ *
+ * Related Files:
+ * - src/services/jobQueue.service.ts - Job queue and worker
+ * - src/models/Job.ts - Job documents
+ * - src/routes/upload.routes.ts - Enqueues file processing
+ * - src/routes/chat.routes.ts - Enqueues rating generation
+ *
+ * Task: Background job queue for file processing and rating generation
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Router, Response } from 'express';
+import { Types } from 'mongoose';
+import { authenticateToken, isOwnerOrHasRole, AuthenticatedRequest } from '../middleware/auth';
+import { USER_ROLES } from '../models/User';
+import Job, { ACTIVE_JOB_STATUSES } from '../models/Job';
+import { formatJob } from '../services/jobQueue.service';
+
+/**
+ * Maximum number of jobs returned by GET /api/jobs
+ */
+const JOB_LIST_LIMIT = 20;
+
+// Create Express router instance
+const router = Router();
+
+/**
+ * GET /api/jobs - The current user's recent jobs
+ *
+ * @route GET /api/jobs
+ * @access Private (requires JWT authentication)
+ * @param {string} req.query.status - 'active' for queued and running jobs only
+ * @returns {Object} Up to 20 jobs, newest first
+ */
+router.get('/', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { status } = req.query;
+
+    if (status !== undefined && status !== 'active') {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: "status must be 'active'"
+      });
+      return;
+    }
+
+    const jobs = await Job.find({
+      userId: req.user!._id,
+      ...(status === 'active' && { status: { $in: ACTIVE_JOB_STATUSES } })
+    })
+      .sort({ createdAt: -1 })
+      .limit(JOB_LIST_LIMIT);
+
+    res.status(200).json({
+      success: true,
+      jobs: jobs.map(formatJob)
+    });
+
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve jobs'
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId - A job's status
+ *
+ * @route GET /api/jobs/:jobId
+ * @access Private (the job's owner or an admin)
+ * @param {string} req.params.jobId - Job ID
+ * @returns {Object} Status, progress, result or error
+ */
+router.get('/:jobId', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId || !Types.ObjectId.isValid(jobId)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid job ID format'
+      });
+      return;
+    }
+
+    const job = await Job.findById(jobId);
+
+    // Jobs of other users are reported as missing
+    if (!job || !isOwnerOrHasRole(req.user, job.userId, USER_ROLES.ADMIN)) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Job not found'
+      });
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      job: formatJob(job)
+    });
+
+  } catch (error) {
+    console.error('Error retrieving job:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve job'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,133 @@
+/**
+ * AI Interview Coach Backend - Notification Routes
+ *
+ * This file implements the in-app notification feed, such as alerts that a
+ * counselor commented on one of the user's interviews.
+ *
+ * API Endpoints:
+ * - GET /api/notifications - List notifications with the unread count
+ * - PATCH /api/notifications/:id/read - Mark one notification read
+ * - POST /api/notifications/read-all - Mark every notification read
+ *
+ * Related Files:
+ * - src/services/notification.service.ts - Notification operations
+ * - src/routes/review.routes.ts - Review comments that create notifications
+ *
+ * Task: Counselor review comments anchored to transcript messages
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Router, Response } from 'express';
+import { Types } from 'mongoose';
+import { authenticateToken, AuthenticatedRequest } from '../middleware/auth';
+import { getNotifications, markNotificationRead, markAllNotificationsRead } from '../services/notification.service';
+
+// Create Express router instance
+const router = Router();
+
+/**
+ * GET /api/notifications - List the current user's notifications
+ *
+ * @route GET /api/notifications
+ * @access Private (requires JWT authentication)
+ * @param {string} req.query.unreadOnly - "true" to return unread notifications only
+ * @param {number} req.query.limit - Number of notifications (default: 20, max: 100)
+ * @returns {Object} Notifications, newest first, and the unread count
+ */
+router.get('/', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const limit = parseInt(req.query.limit as string, 10);
+    const result = await getNotifications(req.user!._id as Types.ObjectId, {
+      unreadOnly: req.query.unreadOnly === 'true',
+      ...(!isNaN(limit) && { limit })
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve notifications'
+    });
+  }
+});
+
+/**
+ * POST /api/notifications/read-all - Mark every notification read
+ *
+ * @route POST /api/notifications/read-all
+ * @access Private (requires JWT authentication)
+ * @returns {Object} Number of notifications marked read
+ */
+router.post('/read-all', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const updated = await markAllNotificationsRead(req.user!._id as Types.ObjectId);
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated
+    });
+
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update notifications'
+    });
+  }
+});
+
+/**
+ * PATCH /api/notifications/:id/read - Mark one notification read
+ *
+ * @route PATCH /api/notifications/:id/read
+ * @access Private (requires JWT authentication)
+ * @returns {Object} Success message
+ */
+router.patch('/:id/read', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !Types.ObjectId.isValid(id)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid notification ID format'
+      });
+      return;
+    }
+
+    const found = await markNotificationRead(req.user!._id as Types.ObjectId, id);
+
+    if (!found) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Notification not found'
+      });
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read'
+    });
+
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update notification'
+    });
+  }
+});
+
+/**
+ * Default export for the notification router
+ */
+export default router;
@@ -0,0 +1,770 @@
+/**
+ * AI Interview Coach Backend - Organization Routes
+ *
+ * This file implements the counselor workspace endpoints. Counselors create
+ * organizations, hand out invitation codes, manage the roster of students who
+ * joined, assign practice interviews and review each student's rated
+ * interviews. Students use the join endpoint to redeem a code.
+ *
+ * Key Features:
+ * - Organization creation and listing
+ * - Invitation codes with optional email restriction, use limit and expiry
+ * - Roster with per-student rating and assignment statistics
+ * - Practice interview assignments with type, difficulty, target college and due date
+ * - Rated interview history of roster students
+ * - Monthly AI usage and budget of the organization's students
+ *
+ * API Endpoints:
+ * - POST /api/organizations - Create an organization (counselor)
+ * - GET /api/organizations - List organizations the user manages or joined
+ * - POST /api/organizations/join - Join a roster with an invitation code (student)
+ * - POST /api/organizations/:organizationId/invitations - Create an invitation code
+ * - GET /api/organizations/:organizationId/invitations - List active invitation codes
+ * - DELETE /api/organizations/:organizationId/invitations/:invitationId - Revoke a code
+ * - GET /api/organizations/:organizationId/roster - List roster students
+ * - DELETE /api/organizations/:organizationId/roster/:studentId - Remove a student
+ * - GET /api/organizations/:organizationId/usage - Monthly AI usage and budget
+ * - GET /api/organizations/:organizationId/students/:studentId/ratings - Student's rated interviews
+ * - POST /api/organizations/:organizationId/assignments - Assign a practice interview
+ * - GET /api/organizations/:organizationId/assignments - List assignments
+ * - DELETE /api/organizations/:organizationId/assignments/:assignmentId - Cancel an open assignment
+ *
+ * Security Features:
+ * - JWT authentication required for all endpoints
+ * - Counselor or admin role required for workspace management
+ * - Only the organization's counselors (or admins) can see its roster and ratings
+ *
+ * Related Files:
+ * - src/services/roster.service.ts - Organizations, invitations and rosters
+ * - src/services/assignment.service.ts - Practice interview assignments
+ * - src/services/usage.service.ts - AI usage ledger and budgets
+ * - src/routes/assignment.routes.ts - Student assignment endpoints
+ * - src/middleware/auth.ts - Authentication and role middleware
+ *
+ * Task: Counselor workspace with rosters, invitations and assigned practice interviews
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Router, Response, NextFunction } from 'express';
+import { Types } from 'mongoose';
+import { authenticateToken, requireRole, AuthenticatedRequest } from '../middleware/auth';
+import Organization, { IOrganization } from '../models/Organization';
+import { USER_ROLES } from '../models/User';
+import { INTERVIEW_TYPES, INTERVIEW_DIFFICULTY, InterviewType, InterviewDifficulty } from '../models/Interview';
+import {
+  isOrganizationCounselor,
+  createOrganization,
+  getOrganizationsForUser,
+  createInvitation,
+  getActiveInvitations,
+  revokeInvitation,
+  redeemInvitation,
+  isOnRoster,
+  getRoster,
+  removeFromRoster,
+  getStudentRatings,
+  ROSTER_ERROR_CODES,
+  MAX_INVITATION_DAYS
+} from '../services/roster.service';
+import {
+  createAssignments,
+  getOrganizationAssignments,
+  cancelAssignment,
+  toAssignmentResponse,
+  IAssignmentConfig
+} from '../services/assignment.service';
+import { getOrganizationUsage, getOrganizationBudgetStatus, parseMonth } from '../services/usage.service';
+
+/**
+ * Interface for error response structure
+ */
+interface IErrorResponse {
+  error: string;
+  message: string;
+  code?: string;
+  details?: string[];
+}
+
+/**
+ * Maximum number of students one assignment request can target
+ */
+const MAX_STUDENTS_PER_ASSIGNMENT = 200;
+
+// Create Express router instance
+const router = Router();
+
+/**
+ * Roles that can manage organizations
+ */
+const requireCounselor = requireRole(USER_ROLES.COUNSELOR, USER_ROLES.ADMIN);
+
+/**
+ * Returns the organization loaded by requireOrganizationCounselor
+ */
+function getOrganization(res: Response): IOrganization {
+  return res.locals.organization as IOrganization;
+}
+
+/**
+ * Middleware that loads the organization in :organizationId and checks that the
+ * user is one of its counselors (or an admin)
+ * The organization is stored in res.locals.organization.
+ */
+async function requireOrganizationCounselor(
+  req: AuthenticatedRequest,
+  res: Response,
+  next: NextFunction
+): Promise<void> {
+  try {
+    const { organizationId } = req.params;
+
+    if (!organizationId || !Types.ObjectId.isValid(organizationId)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid organization ID format'
+      } as IErrorResponse);
+      return;
+    }
+
+    const organization = await Organization.findById(organizationId);
+
+    if (!organization || !organization.isActive) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Organization not found'
+      } as IErrorResponse);
+      return;
+    }
+
+    if (!isOrganizationCounselor(organization, req.user!)) {
+      res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a counselor for this organization',
+        code: 'NOT_ORGANIZATION_COUNSELOR'
+      } as IErrorResponse);
+      return;
+    }
+
+    res.locals.organization = organization;
+    next();
+
+  } catch (error) {
+    console.error('Organization lookup error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Organization service temporarily unavailable. Please try again later.'
+    } as IErrorResponse);
+  }
+}
+
+/**
+ * Builds the API representation of an organization
+ */
+function toOrganizationResponse(organization: IOrganization, userId: string) {
+  return {
+    id: (organization._id as Types.ObjectId).toString(),
+    name: organization.name,
+    isCounselor: organization.counselorIds.some(id => id.toString() === userId),
+    createdAt: organization.createdAt.toISOString()
+  };
+}
+
+/**
+ * Validates an assignment request body
+ *
+ * @returns {{ studentIds: string[]; config: IAssignmentConfig } | { errors: string[] }} Parsed body or errors
+ */
+function parseAssignmentRequest(body: any): { studentIds: string[]; config: IAssignmentConfig } | { errors: string[] } {
+  const errors: string[] = [];
+  const { studentIds, interviewType, difficulty, targetCollege, instructions, dueDate } = body || {};
+
+  if (!Array.isArray(studentIds) || studentIds.length === 0) {
+    errors.push('studentIds must be a non-empty array');
+  } else if (studentIds.length > MAX_STUDENTS_PER_ASSIGNMENT) {
+    errors.push(`studentIds cannot contain more than ${MAX_STUDENTS_PER_ASSIGNMENT} students`);
+  } else if (!studentIds.every(id => typeof id === 'string' && Types.ObjectId.isValid(id))) {
+    errors.push('studentIds must contain valid user IDs');
+  }
+
+  if (!Object.values(INTERVIEW_TYPES).includes(interviewType)) {
+    errors.push(`interviewType must be one of: ${Object.values(INTERVIEW_TYPES).join(', ')}`);
+  }
+
+  if (!Object.values(INTERVIEW_DIFFICULTY).includes(difficulty)) {
+    errors.push(`difficulty must be one of: ${Object.values(INTERVIEW_DIFFICULTY).join(', ')}`);
+  }
+
+  if (targetCollege !== undefined && (typeof targetCollege !== 'string' || targetCollege.trim().length > 100)) {
+    errors.push('targetCollege must be a string of at most 100 characters');
+  }
+
+  if (instructions !== undefined && (typeof instructions !== 'string' || instructions.trim().length > 1000)) {
+    errors.push('instructions must be a string of at most 1000 characters');
+  }
+
+  let parsedDueDate: Date | undefined;
+  if (dueDate !== undefined && dueDate !== null) {
+    parsedDueDate = new Date(dueDate);
+    if (typeof dueDate !== 'string' || isNaN(parsedDueDate.getTime())) {
+      errors.push('dueDate must be an ISO 8601 date');
+    } else if (parsedDueDate.getTime() < Date.now()) {
+      errors.push('dueDate cannot be in the past');
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    studentIds,
+    config: {
+      interviewType: interviewType as InterviewType,
+      difficulty: difficulty as InterviewDifficulty,
+      ...(typeof targetCollege === 'string' && targetCollege.trim() && { targetCollege: targetCollege.trim() }),
+      ...(typeof instructions === 'string' && instructions.trim() && { instructions: instructions.trim() }),
+      ...(parsedDueDate && { dueDate: parsedDueDate })
+    }
+  };
+}
+
+/**
+ * POST /api/organizations - Create an organization
+ *
+ * @route POST /api/organizations
+ * @access Private (requires JWT authentication and counselor or admin role)
+ * @param {string} req.body.name - Organization name
+ * @returns {Object} The new organization
+ */
+router.post('/', authenticateToken, requireCounselor, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const name = req.body?.name;
+
+    if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 120) {
+      res.status(400).json({
+        error: 'Validation Error',
+        message: 'Organization name must be between 2 and 120 characters'
+      } as IErrorResponse);
+      return;
+    }
+
+    const organization = await createOrganization(req.user!, name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created',
+      organization: toOrganizationResponse(organization, req.user!._id.toString())
+    });
+
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create organization'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * GET /api/organizations - List organizations the user manages or has joined
+ *
+ * @route GET /api/organizations
+ * @access Private (requires JWT authentication)
+ * @returns {Object} Organizations with an isCounselor flag
+ */
+router.get('/', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const organizations = await getOrganizationsForUser(req.user!);
+    const userId = req.user!._id.toString();
+
+    res.status(200).json({
+      success: true,
+      organizations: organizations.map(organization => toOrganizationResponse(organization, userId))
+    });
+
+  } catch (error) {
+    console.error('Error listing organizations:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve organizations'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * POST /api/organizations/join - Join an organization's roster with an invitation code
+ *
+ * @route POST /api/organizations/join
+ * @access Private (requires JWT authentication and student role)
+ * @param {string} req.body.code - Invitation code from a counselor
+ * @returns {Object} The joined organization
+ */
+router.post('/join', authenticateToken, requireRole(USER_ROLES.STUDENT), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const code = req.body?.code;
+
+    if (typeof code !== 'string' || code.trim().length === 0 || code.length > 32) {
+      res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invitation code is required'
+      } as IErrorResponse);
+      return;
+    }
+
+    const result = await redeemInvitation(code, req.user!);
+
+    if (!result.success) {
+      if (result.errorCode === ROSTER_ERROR_CODES.ALREADY_ON_ROSTER) {
+        res.status(409).json({
+          error: 'Conflict',
+          message: `You are already on the ${result.organization?.name} roster`,
+          code: result.errorCode
+        } as IErrorResponse);
+        return;
+      }
+
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'This invitation code is invalid or has expired. Ask your counselor for a new one.',
+        code: ROSTER_ERROR_CODES.INVITATION_INVALID
+      } as IErrorResponse);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `You joined ${result.organization!.name}`,
+      organization: toOrganizationResponse(result.organization!, req.user!._id.toString())
+    });
+
+  } catch (error) {
+    console.error('Error joining organization:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to join organization'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * POST /api/organizations/:organizationId/invitations - Create an invitation code
+ *
+ * @route POST /api/organizations/:organizationId/invitations
+ * @access Private (organization counselors and admins)
+ * @param {string} req.body.email - Optional address allowed to redeem the code
+ * @param {number} req.body.maxUses - Optional use limit
+ * @param {number} req.body.expiresInDays - Optional lifetime in days (default 14, max 90)
+ * @returns {Object} The invitation code
+ */
+router.post('/:organizationId/invitations', authenticateToken, requireCounselor, requireOrganizationCounselor, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { email, maxUses, expiresInDays } = req.body || {};
+    const errors: string[] = [];
+
+    if (email !== undefined && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))) {
+      errors.push('email must be a valid email address');
+    }
+
+    if (maxUses !== undefined && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > 500)) {
+      errors.push('maxUses must be a whole number between 1 and 500');
+    }
+
+    if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_INVITATION_DAYS)) {
+      errors.push(`expiresInDays must be a whole number between 1 and ${MAX_INVITATION_DAYS}`);
+    }
+
+    if (errors.length > 0) {
+      res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid invitation options',
+        details: errors
+      } as IErrorResponse);
+      return;
+    }
+
+    const invitation = await createInvitation(getOrganization(res), req.user!, { email, maxUses, expiresInDays });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created',
+      invitation: {
+        id: (invitation._id as Types.ObjectId).toString(),
+        code: invitation.code,
+        ...(invitation.email && { email: invitation.email }),
+        ...(invitation.maxUses && { maxUses: invitation.maxUses }),
+        uses: invitation.uses,
+        expiresAt: invitation.expiresAt.toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create invitation'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * GET /api/organizations/:organizationId/invitations - List active invitation codes
+ *
+ * @route GET /api/organizations/:organizationId/invitations
+ * @access Private (organization counselors and admins)
+ * @returns {Object} Unexpired, unrevoked invitations
+ */
+router.get('/:organizationId/invitations', authenticateToken, requireCounselor, requireOrganizationCounselor, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const invitations = await getActiveInvitations(getOrganization(res)._id as Types.ObjectId);
+
+    res.status(200).json({
+      success: true,
+      invitations: invitations.map(invitation => ({
+        id: (invitation._id as Types.ObjectId).toString(),
+        code: invitation.code,
+        ...(invitation.email && { email: invitation.email }),
+        ...(invitation.maxUses && { maxUses: invitation.maxUses }),
+        uses: invitation.uses,
+        expiresAt: invitation.expiresAt.toISOString()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error listing invitations:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve invitations'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * DELETE /api/organizations/:organizationId/invitations/:invitationId - Revoke an invitation code
+ *
+ * @route DELETE /api/organizations/:organizationId/invitations/:invitationId
+ * @access Private (organization counselors and admins)
+ * @returns {Object} Success response
+ */
+router.delete('/:organizationId/invitations/:invitationId', authenticateToken, requireCounselor, requireOrganizationCounselor, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { invitationId } = req.params;
+
+    if (!invitationId || !Types.ObjectId.isValid(invitationId)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid invitation ID format'
+      } as IErrorResponse);
+      return;
+    }
+
+    const revoked = await revokeInvitation(getOrganization(res)._id as Types.ObjectId, invitationId);
+
+    if (!revoked) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Invitation not found or already revoked'
+      } as IErrorResponse);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to revoke invitation'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * GET /api/organizations/:organizationId/roster - List students on the roster
+ *
+ * @route GET /api/organizations/:organizationId/roster
+ * @access Private (organization counselors and admins)
+ * @returns {Object} Students with rating and assignment statistics
+ */
+router.get('/:organizationId/roster', authenticateToken, requireCounselor, requireOrganizationCounselor, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const students = await getRoster(getOrganization(res)._id as Types.ObjectId);
+
+    res.status(200).json({
+      success: true,
+      students
+    });
+
+  } catch (error) {
+    console.error('Error retrieving roster:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve roster'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * DELETE /api/organizations/:organizationId/roster/:studentId - Remove a student from the roster
+ * Open assignments from this organization are cancelled.
+ *
+ * @route DELETE /api/organizations/:organizationId/roster/:studentId
+ * @access Private (organization counselors and admins)
+ * @returns {Object} Success response
+ */
+router.delete('/:organizationId/roster/:studentId', authenticateToken, requireCounselor, requireOrganizationCounselor, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { studentId } = req.params;
+
+    if (!studentId || !Types.ObjectId.isValid(studentId)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid student ID format'
+      } as IErrorResponse);
+      return;
+    }
+
+    const removed = await removeFromRoster(getOrganization(res)._id as Types.ObjectId, studentId);
+
+    if (!removed) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Student is not on this roster'
+      } as IErrorResponse);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Student removed from roster'
+    });
+
+  } catch (error) {
+    console.error('Error removing student from roster:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to remove student'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * GET /api/organizations/:organizationId/usage - Monthly AI usage of the organization
+ * Counts calls students made while on the roster.
+ *
+ * @route GET /api/organizations/:organizationId/usage
+ * @access Private (organization counselors and admins)
+ * @param {string} req.query.month - Month as YYYY-MM (default: current month, UTC)
+ * @returns {Object} Usage totals by feature, model and student, and the budget (null if unlimited)
+ */
+router.get('/:organizationId/usage', authenticateToken, requireCounselor, requireOrganizationCounselor, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { month } = req.query;
+    const date = month === undefined ? new Date() : typeof month === 'string' ? parseMonth(month) : null;
+
+    if (!date) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'month must be in YYYY-MM format'
+      } as IErrorResponse);
+      return;
+    }
+
+    const organizationId = getOrganization(res)._id as Types.ObjectId;
+    const [usage, budget] = await Promise.all([
+      getOrganizationUsage(organizationId, date),
+      getOrganizationBudgetStatus(organizationId, date)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      usage,
+      budget
+    });
+
+  } catch (error) {
+    console.error('Error retrieving organization usage:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve usage'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * GET /api/organizations/:organizationId/students/:studentId/ratings - A roster student's rated interviews
+ *
+ * @route GET /api/organizations/:organizationId/students/:studentId/ratings
+ * @access Private (organization counselors and admins)
+ * @returns {Object} Rated interviews, newest first
+ */
+router.get('/:organizationId/students/:studentId/ratings', authenticateToken, requireCounselor, requireOrganizationCounselor, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { studentId } = req.params;
+
+    if (!studentId || !Types.ObjectId.isValid(studentId)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid student ID format'
+      } as IErrorResponse);
+      return;
+    }
+
+    if (!(await isOnRoster(getOrganization(res)._id as Types.ObjectId, studentId))) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Student is not on this roster'
+      } as IErrorResponse);
+      return;
+    }
+
+    const ratings = await getStudentRatings(studentId);
+
+    res.status(200).json({
+      success: true,
+      ratings
+    });
+
+  } catch (error) {
+    console.error('Error retrieving student ratings:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve student ratings'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * POST /api/organizations/:organizationId/assignments - Assign a practice interview
+ *
+ * @route POST /api/organizations/:organizationId/assignments
+ * @access Private (organization counselors and admins)
+ * @param {string[]} req.body.studentIds - Roster students to assign
+ * @param {string} req.body.interviewType - Interview type
+ * @param {string} req.body.difficulty - Difficulty level
+ * @param {string} req.body.targetCollege - Optional target college
+ * @param {string} req.body.instructions - Optional instructions for the student
+ * @param {string} req.body.dueDate - Optional ISO 8601 due date
+ * @returns {Object} Created assignments and students skipped because they are not on the roster
+ */
+router.post('/:organizationId/assignments', authenticateToken, requireCounselor, requireOrganizationCounselor, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const parsed = parseAssignmentRequest(req.body);
+
+    if ('errors' in parsed) {
+      res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid assignment',
+        details: parsed.errors
+      } as IErrorResponse);
+      return;
+    }
+
+    const { assignments, skippedStudentIds } = await createAssignments(
+      getOrganization(res),
+      req.user!._id as Types.ObjectId,
+      parsed.studentIds,
+      parsed.config
+    );
+
+    if (assignments.length === 0) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'None of the selected students are on this roster',
+        code: 'STUDENTS_NOT_ON_ROSTER'
+      } as IErrorResponse);
+      return;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Assigned to ${assignments.length} student${assignments.length === 1 ? '' : 's'}`,
+      assignments: assignments.map(assignment => toAssignmentResponse(assignment)),
+      skippedStudentIds
+    });
+
+  } catch (error) {
+    console.error('Error creating assignments:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create assignments'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * GET /api/organizations/:organizationId/assignments - List the organization's assignments
+ *
+ * @route GET /api/organizations/:organizationId/assignments
+ * @access Private (organization counselors and admins)
+ * @returns {Object} Assignments with student names, newest first
+ */
+router.get('/:organizationId/assignments', authenticateToken, requireCounselor, requireOrganizationCounselor, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const assignments = await getOrganizationAssignments(getOrganization(res)._id as Types.ObjectId);
+
+    res.status(200).json({
+      success: true,
+      assignments
+    });
+
+  } catch (error) {
+    console.error('Error listing assignments:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve assignments'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * DELETE /api/organizations/:organizationId/assignments/:assignmentId - Cancel an open assignment
+ *
+ * @route DELETE /api/organizations/:organizationId/assignments/:assignmentId
+ * @access Private (organization counselors and admins)
+ * @returns {Object} Success response
+ */
+router.delete('/:organizationId/assignments/:assignmentId', authenticateToken, requireCounselor, requireOrganizationCounselor, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { assignmentId } = req.params;
+
+    if (!assignmentId || !Types.ObjectId.isValid(assignmentId)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid assignment ID format'
+      } as IErrorResponse);
+      return;
+    }
+
+    const cancelled = await cancelAssignment(getOrganization(res)._id as Types.ObjectId, assignmentId);
+
+    if (!cancelled) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: 'Open assignment not found'
+      } as IErrorResponse);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment cancelled'
+    });
+
+  } catch (error) {
+    console.error('Error cancelling assignment:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to cancel assignment'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * Default export for the organization router
+ */
+export default router;
@@ -0,0 +1,375 @@
+/**
+ * AI Interview Coach Backend - Review Comment Routes
+ *
+ * This file implements the comments subresource of interview transcripts and
+ * session recordings. Counselors leave comments anchored to individual
+ * messages of a student's interview; the student reads them alongside the AI
+ * rating and can reply. Each top-level comment starts a thread that either
+ * side can resolve.
+ *
+ * API Endpoints (the same for /api/sessions/:targetId/comments):
+ * - GET /api/transcripts/:targetId/comments - Interview entries and comment threads
+ * - POST /api/transcripts/:targetId/comments - Start a thread or reply to one
+ * - PATCH /api/transcripts/:targetId/comments/:commentId - Resolve or reopen a thread
+ * - DELETE /api/transcripts/:targetId/comments/:commentId - Delete your own comment
+ *
+ * Security Features:
+ * - JWT authentication required for all endpoints
+ * - Only the student who owns the interview and their assigned counselors have access
+ * - Comments can only be deleted by their author
+ *
+ * Related Files:
+ * - src/services/review.service.ts - Comment operations and access rules
+ * - src/services/notification.service.ts - Comment notifications
+ * - src/routes/notification.routes.ts - Notification endpoints
+ *
+ * Task: Counselor review comments anchored to transcript messages
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Router, Response, NextFunction } from 'express';
+import { Types } from 'mongoose';
+import { authenticateToken, AuthenticatedRequest } from '../middleware/auth';
+import { REVIEW_TARGET_TYPES, ReviewTargetType, MAX_COMMENT_LENGTH } from '../models/ReviewComment';
+import {
+  loadReviewTarget,
+  getReviewParticipantIds,
+  getReviewThreads,
+  addComment,
+  setThreadResolved,
+  deleteComment,
+  IReviewTarget,
+  IReviewResult,
+  REVIEW_ERROR_CODES
+} from '../services/review.service';
+
+/**
+ * Interface for error response structure
+ */
+interface IErrorResponse {
+  error: string;
+  message: string;
+  code?: string;
+  details?: string[];
+}
+
+/**
+ * HTTP status and message for each rejected comment operation
+ */
+const REVIEW_ERRORS: Record<string, { status: number; error: string; message: string }> = {
+  [REVIEW_ERROR_CODES.ANCHOR_OUT_OF_RANGE]: {
+    status: 400,
+    error: 'Bad Request',
+    message: 'anchorIndex must refer to a message of this interview'
+  },
+  [REVIEW_ERROR_CODES.COMMENT_NOT_FOUND]: {
+    status: 404,
+    error: 'Not Found',
+    message: 'Comment not found'
+  },
+  [REVIEW_ERROR_CODES.NOT_THREAD_ROOT]: {
+    status: 400,
+    error: 'Bad Request',
+    message: 'Replies and resolved state apply to the first comment of a thread'
+  },
+  [REVIEW_ERROR_CODES.NOT_COMMENT_AUTHOR]: {
+    status: 403,
+    error: 'Forbidden',
+    message: 'You can only delete your own comments'
+  }
+};
+
+/**
+ * Returns the interview loaded by requireReviewParticipant
+ */
+function getTarget(res: Response): IReviewTarget {
+  return res.locals.reviewTarget as IReviewTarget;
+}
+
+/**
+ * Sends the error response for a rejected comment operation
+ */
+function sendReviewError(res: Response, result: IReviewResult): void {
+  const failure = REVIEW_ERRORS[result.errorCode!]!;
+  res.status(failure.status).json({
+    error: failure.error,
+    message: failure.message,
+    code: result.errorCode
+  } as IErrorResponse);
+}
+
+/**
+ * Creates middleware that loads the interview in :targetId and checks that the
+ * user is its student or one of the student's assigned counselors
+ * The interview and participant IDs are stored in res.locals.
+ *
+ * @param {ReviewTargetType} targetType - Transcript or session
+ */
+function requireReviewParticipant(targetType: ReviewTargetType) {
+  return async (req: AuthenticatedRequest, res: Response, next: NextFunction): Promise<void> => {
+    try {
+      const { targetId } = req.params;
+
+      if (!targetId || !Types.ObjectId.isValid(targetId)) {
+        res.status(400).json({
+          error: 'Bad Request',
+          message: `Invalid ${targetType} ID format`
+        } as IErrorResponse);
+        return;
+      }
+
+      const target = await loadReviewTarget(targetType, targetId);
+
+      if (!target) {
+        res.status(404).json({
+          error: 'Not Found',
+          message: targetType === REVIEW_TARGET_TYPES.TRANSCRIPT ? 'Transcript not found' : 'Session not found'
+        } as IErrorResponse);
+        return;
+      }
+
+      const participantIds = await getReviewParticipantIds(target.studentId);
+
+      if (!participantIds.includes(req.user!._id.toString())) {
+        res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only the student and their assigned counselors can access these comments',
+          code: 'NOT_REVIEW_PARTICIPANT'
+        } as IErrorResponse);
+        return;
+      }
+
+      res.locals.reviewTarget = target;
+      res.locals.participantIds = participantIds;
+      next();
+
+    } catch (error) {
+      console.error('Review target lookup error:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Comment service temporarily unavailable. Please try again later.'
+      } as IErrorResponse);
+    }
+  };
+}
+
+/**
+ * Validates a new comment request body
+ *
+ * @returns {string[]} Validation errors, empty if the body is valid
+ */
+function validateCommentRequest(body: any): string[] {
+  const errors: string[] = [];
+  const { body: text, anchorIndex, parentId } = body || {};
+
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    errors.push('body is required');
+  } else if (text.trim().length > MAX_COMMENT_LENGTH) {
+    errors.push(`body cannot exceed ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  if (parentId !== undefined) {
+    if (typeof parentId !== 'string' || !Types.ObjectId.isValid(parentId)) {
+      errors.push('parentId must be a valid comment ID');
+    }
+  } else if (!Number.isInteger(anchorIndex) || anchorIndex < 0) {
+    errors.push('anchorIndex must be a non-negative integer');
+  }
+
+  return errors;
+}
+
+/**
+ * Creates the comments router for one kind of interview record
+ *
+ * @param {ReviewTargetType} targetType - Transcript or session
+ * @returns {Router} Router to mount at /api/<records>/:targetId/comments
+ */
+function createReviewRouter(targetType: ReviewTargetType): Router {
+  const router = Router({ mergeParams: true });
+  const requireParticipant = requireReviewParticipant(targetType);
+
+  /**
+   * GET / - List the interview's entries and comment threads
+   * Threads are ordered by the entry they are anchored to.
+   *
+   * @access Private (student and assigned counselors)
+   * @returns {Object} Entries ({ index, speaker, text }) and threads with replies
+   */
+  router.get('/', authenticateToken, requireParticipant, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+    try {
+      const target = getTarget(res);
+
+      res.status(200).json({
+        success: true,
+        entries: target.entries,
+        threads: await getReviewThreads(target)
+      });
+
+    } catch (error) {
+      console.error('Error listing review comments:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to retrieve comments'
+      } as IErrorResponse);
+    }
+  });
+
+  /**
+   * POST / - Start a thread on an entry or reply to a thread
+   *
+   * @access Private (student and assigned counselors)
+   * @param {string} req.body.body - Comment text
+   * @param {number} req.body.anchorIndex - Entry to comment on (new threads)
+   * @param {string} req.body.parentId - Root comment to reply to (replies)
+   * @returns {Object} The new comment ID and the updated threads
+   */
+  router.post('/', authenticateToken, requireParticipant, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+    try {
+      const errors = validateCommentRequest(req.body);
+
+      if (errors.length > 0) {
+        res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid comment',
+          details: errors
+        } as IErrorResponse);
+        return;
+      }
+
+      const target = getTarget(res);
+      const result = await addComment(
+        target,
+        req.user!,
+        { anchorIndex: req.body.anchorIndex, parentId: req.body.parentId, body: req.body.body },
+        res.locals.participantIds
+      );
+
+      if (!result.success) {
+        sendReviewError(res, result);
+        return;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: req.body.parentId ? 'Reply added' : 'Comment added',
+        commentId: (result.comment!._id as Types.ObjectId).toString(),
+        threads: await getReviewThreads(target)
+      });
+
+    } catch (error) {
+      console.error('Error adding review comment:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to add comment'
+      } as IErrorResponse);
+    }
+  });
+
+  /**
+   * PATCH /:commentId - Resolve or reopen a thread
+   *
+   * @access Private (student and assigned counselors)
+   * @param {boolean} req.body.resolved - New thread state
+   * @returns {Object} The updated threads
+   */
+  router.patch('/:commentId', authenticateToken, requireParticipant, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+    try {
+      const { commentId } = req.params;
+
+      if (!commentId || !Types.ObjectId.isValid(commentId)) {
+        res.status(400).json({
+          error: 'Bad Request',
+          message: 'Invalid comment ID format'
+        } as IErrorResponse);
+        return;
+      }
+
+      if (typeof req.body?.resolved !== 'boolean') {
+        res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid thread update',
+          details: ['resolved must be a boolean']
+        } as IErrorResponse);
+        return;
+      }
+
+      const target = getTarget(res);
+      const result = await setThreadResolved(target, commentId, req.user!, req.body.resolved, res.locals.participantIds);
+
+      if (!result.success) {
+        sendReviewError(res, result);
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: req.body.resolved ? 'Thread resolved' : 'Thread reopened',
+        threads: await getReviewThreads(target)
+      });
+
+    } catch (error) {
+      console.error('Error updating review thread:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to update thread'
+      } as IErrorResponse);
+    }
+  });
+
+  /**
+   * DELETE /:commentId - Delete your own comment
+   * Deleting the first comment of a thread deletes the whole thread.
+   *
+   * @access Private (comment author)
+   * @returns {Object} The updated threads
+   */
+  router.delete('/:commentId', authenticateToken, requireParticipant, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+    try {
+      const { commentId } = req.params;
+
+      if (!commentId || !Types.ObjectId.isValid(commentId)) {
+        res.status(400).json({
+          error: 'Bad Request',
+          message: 'Invalid comment ID format'
+        } as IErrorResponse);
+        return;
+      }
+
+      const target = getTarget(res);
+      const result = await deleteComment(target, commentId, req.user!);
+
+      if (!result.success) {
+        sendReviewError(res, result);
+        return;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Comment deleted',
+        threads: await getReviewThreads(target)
+      });
+
+    } catch (error) {
+      console.error('Error deleting review comment:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to delete comment'
+      } as IErrorResponse);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Comments on interview transcripts, mounted at /api/transcripts/:targetId/comments
+ */
+export const transcriptReviewRoutes = createReviewRouter(REVIEW_TARGET_TYPES.TRANSCRIPT);
+
+/**
+ * Comments on session recordings, mounted at /api/sessions/:targetId/comments
+ */
+export const sessionReviewRoutes = createReviewRouter(REVIEW_TARGET_TYPES.SESSION);
@@ -10,7 +10,8 @@
  * - Session recording creation and management
  * - Transcript entry storage and retrieval
  * - User authentication required for all endpoints
- * - Comprehensive input validation and error handling
+ * - Request validation against shared endpoint specs (src/schemas/session.schemas.ts)
+ * - Error bodies in the shared { error, message, code, details } format
  * 
  * API Endpoints:
  * - POST /api/sessions/:interviewId/transcribe - Upload and transcribe audio file
@@ -22,23 +23,26 @@
  * 
  * Security Features:
  * - JWT authentication required for all endpoints
- * - Interview ownership verification
+ * - Interview and session ownership verification (admins may read any session)
  * - Audio file validation and size limits
- * - Rate limiting ready (can be integrated)
+ * - Transcription rate limited per user
  * 
  * Request/Response Flow:
  * 1. Authenticate user via JWT middleware
- * 2. Validate interview existence and ownership
- * 3. Process uploaded audio file
- * 4. Transcribe audio using OpenAI Whisper
- * 5. Create or update session recording with transcript
- * 6. Return success response with transcription data
+ * 2. Validate params and body against the endpoint spec
+ * 3. Validate interview existence and ownership
+ * 4. Process uploaded audio file
+ * 5. Transcribe audio using OpenAI Whisper
+ * 6. Create or update session recording with transcript
+ * 7. Return success response with transcription data
  * 
  * Related Files:
  * - src/models/SessionRecording.ts - Session recording model and interfaces
  * - src/models/Interview.ts - Interview model for ownership verification
  * - src/middleware/auth.ts - Authentication middleware
  * - src/middleware/upload.ts - File upload middleware
+ * - src/middleware/validation.ts - Request validation middleware
+ * - src/middleware/rateLimit.ts - Transcription rate limit
  * - src/services/openai.service.ts - Audio transcription service
  * 
  * Task: #23 - Session transcription endpoint with audio upload and Whisper integration
@@ -50,12 +54,25 @@
  */
 
 import { Router, Response } from 'express';
-import { authenticateToken, AuthenticatedRequest } from '../middleware/auth';
+import { authenticateToken, requireOwnershipOr, ownerOf, AuthenticatedRequest } from '../middleware/auth';
+import { requireLLMBudget } from '../middleware/llmBudget';
+import { rateLimit } from '../middleware/rateLimit';
+import { RATE_LIMIT_GROUPS } from '../services/rateLimit.service';
 import { uploadSingleAudio, getUploadErrorMessage } from '../middleware/upload';
+import { validateRequest } from '../middleware/validation';
+import { sendError } from '../middleware/error';
 import Interview from '../models/Interview';
 import SessionRecording, { ISessionRecording, ITranscriptEntry } from '../models/SessionRecording';
-import User, { IUser } from '../models/User';
+import User, { IUser, USER_ROLES } from '../models/User';
 import { transcribeAudio, ITranscriptionResponse as IOpenAITranscriptionResponse, analyzeFeedback, IFeedbackAnalysisParams } from '../services/openai.service';
+import {
+  createSessionEndpoint,
+  transcribeAudioEndpoint,
+  appendTranscriptEndpoint,
+  getInterviewSessionEndpoint,
+  generateFeedbackEndpoint,
+  getFeedbackEndpoint
+} from '../schemas';
 import mongoose from 'mongoose';
 
 
@@ -83,16 +100,6 @@ interface ITranscriptionResponse {
   };
 }
 
-/**
- * Interface for error response
- */
-interface IErrorResponse {
-  success: false;
-  message: string;
-  code?: string;
-  details?: any;
-}
-
 /**
  * Interface for create session request body
  */
@@ -147,6 +154,20 @@ interface IAppendTranscriptResponse {
 
 const router = Router();
 
+/**
+ * Ownership checks for session routes
+ * Admins may read any session and its feedback; only the owner may change one.
+ */
+const interviewOwner = ownerOf(Interview, 'interviewId');
+const sessionOwner = ownerOf(SessionRecording, 'id');
+
+/**
+ * Builds the 403 body returned when a user does not own the interview or session
+ */
+function accessDenied(message: string, code: string): { error: string; message: string; code: string } {
+  return { error: 'Forbidden', message, code };
+}
+
 /**
  * POST /api/sessions
  * 
@@ -181,93 +202,30 @@ const router = Router();
 router.post(
   '/',
   authenticateToken,
+  validateRequest(createSessionEndpoint),
+  requireOwnershipOr([], interviewOwner, accessDenied('Access denied. You can only create sessions for your own interviews.', 'INTERVIEW_ACCESS_DENIED')),
   async (req: AuthenticatedRequest, res: Response): Promise<void> => {
     try {
-      // Validate request body exists first
-      if (!req.body) {
-        res.status(400).json({
-          success: false,
-          message: 'Request body is required',
-          code: 'MISSING_REQUEST_BODY'
-        } as IErrorResponse);
-        return;
-      }
-
+      // The body was checked against createSessionEndpoint
       const { interviewId } = req.body as ICreateSessionRequest;
 
-      // Validate interviewId field
-      if (!interviewId) {
-        res.status(400).json({
-          success: false,
-          message: 'Interview ID is required',
-          code: 'MISSING_INTERVIEW_ID'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate interviewId type
-      if (typeof interviewId !== 'string') {
-        res.status(400).json({
-          success: false,
-          message: 'Interview ID must be a string',
-          code: 'INVALID_INTERVIEW_ID_TYPE'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate interviewId is not empty
-      if (interviewId.trim().length === 0) {
-        res.status(400).json({
-          success: false,
-          message: 'Interview ID cannot be empty',
-          code: 'EMPTY_INTERVIEW_ID'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate MongoDB ObjectId format
-      if (!mongoose.Types.ObjectId.isValid(interviewId)) {
-        res.status(400).json({
-          success: false,
-          message: 'Invalid or missing interview ID. Please provide a valid MongoDB ObjectId.',
-          code: 'INVALID_INTERVIEW_ID'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Find interview and verify ownership
+      // Find interview (ownership is checked by requireOwnershipOr)
       const interview = await Interview.findById(interviewId);
       if (!interview) {
-        res.status(404).json({
-          success: false,
-          message: 'Interview not found',
-          code: 'INTERVIEW_NOT_FOUND'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Verify user owns the interview
-      if (interview.userId.toString() !== (req.user as any)._id.toString()) {
-        res.status(403).json({
-          success: false,
-          message: 'Access denied. You can only create sessions for your own interviews.',
-          code: 'INTERVIEW_ACCESS_DENIED'
-        } as IErrorResponse);
+        sendError(res, 404, 'Interview not found', { code: 'INTERVIEW_NOT_FOUND' });
         return;
       }
 
       // Check if session already exists
       const existingSession = await SessionRecording.findOne({ interviewId });
       if (existingSession) {
-        res.status(409).json({
-          success: false,
-          message: 'A session recording already exists for this interview',
+        sendError(res, 409, 'A session recording already exists for this interview', {
           code: 'SESSION_ALREADY_EXISTS',
           details: {
             sessionId: existingSession._id,
             createdAt: existingSession.createdAt
           }
-        } as IErrorResponse);
+        });
         return;
       }
 
@@ -317,12 +275,10 @@ router.post(
         userId: (req.user as any)?._id
       });
 
-      res.status(500).json({
-        success: false,
-        message: 'An unexpected error occurred while creating session recording',
+      sendError(res, 500, 'An unexpected error occurred while creating session recording', {
         code: 'INTERNAL_SERVER_ERROR',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      } as IErrorResponse);
+      });
     }
   }
 );
@@ -363,50 +319,26 @@ router.post(
 router.post(
   '/:interviewId/transcribe',
   authenticateToken,
+  rateLimit(RATE_LIMIT_GROUPS.TRANSCRIPTION),
+  requireOwnershipOr([], interviewOwner, accessDenied('Access denied. You can only transcribe your own interviews.', 'INTERVIEW_ACCESS_DENIED')),
   uploadSingleAudio('audio'),
+  validateRequest(transcribeAudioEndpoint),
   async (req: AuthenticatedRequest, res: Response): Promise<void> => {
     try {
-                    const { interviewId } = req.params;
-       const { speaker = 'user', language, prompt } = req.body as ITranscriptionRequestBody;
-       
-       // Validate interview ID format
-       if (!interviewId || !mongoose.Types.ObjectId.isValid(interviewId)) {
-        res.status(400).json({
-          success: false,
-          message: 'Invalid interview ID format',
-          code: 'INVALID_INTERVIEW_ID'
-        } as IErrorResponse);
-        return;
-      }
+      const { interviewId } = req.params;
+      // Form fields were checked against transcribeAudioEndpoint; speaker defaults to 'user'
+      const { speaker = 'user', language, prompt } = req.body as ITranscriptionRequestBody;
 
       // Check if audio file was uploaded
       if (!req.file) {
-        res.status(400).json({
-          success: false,
-          message: 'No audio file uploaded. Please provide an audio file in the "audio" field.',
-          code: 'MISSING_AUDIO_FILE'
-        } as IErrorResponse);
+        sendError(res, 400, 'No audio file uploaded. Please provide an audio file in the "audio" field.', { code: 'MISSING_AUDIO_FILE' });
         return;
       }
 
-      // Find interview and verify ownership
+      // Find interview (ownership is checked by requireOwnershipOr)
       const interview = await Interview.findById(interviewId);
       if (!interview) {
-        res.status(404).json({
-          success: false,
-          message: 'Interview not found',
-          code: 'INTERVIEW_NOT_FOUND'
-        } as IErrorResponse);
-        return;
-      }
-
-             // Verify user owns the interview
-       if (interview.userId.toString() !== (req.user as any)._id.toString()) {
-        res.status(403).json({
-          success: false,
-          message: 'Access denied. You can only transcribe your own interviews.',
-          code: 'INTERVIEW_ACCESS_DENIED'
-        } as IErrorResponse);
+        sendError(res, 404, 'Interview not found', { code: 'INTERVIEW_NOT_FOUND' });
         return;
       }
 
@@ -437,15 +369,13 @@ router.post(
           fileSize: req.file.size
         });
 
-        res.status(500).json({
-          success: false,
-          message: `Transcription failed: ${transcriptionError.message}`,
+        sendError(res, 500, `Transcription failed: ${transcriptionError.message}`, {
           code: 'TRANSCRIPTION_ERROR',
           details: {
             filename: req.file.originalname,
             fileSize: req.file.size
           }
-        } as IErrorResponse);
+        });
         return;
       }
 
@@ -538,12 +468,10 @@ router.post(
                  userId: (req.user as any)?._id
       });
 
-      res.status(500).json({
-        success: false,
-        message: 'An unexpected error occurred during transcription',
+      sendError(res, 500, 'An unexpected error occurred during transcription', {
         code: 'INTERNAL_SERVER_ERROR',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      } as IErrorResponse);
+      });
     }
   }
 );
@@ -591,243 +519,29 @@ router.post(
 router.post(
   '/:id/transcript',
   authenticateToken,
+  validateRequest(appendTranscriptEndpoint),
+  requireOwnershipOr([], sessionOwner, accessDenied('Access denied. You can only modify your own session recordings.', 'SESSION_ACCESS_DENIED')),
   async (req: AuthenticatedRequest, res: Response): Promise<void> => {
     try {
       const { id: sessionId } = req.params;
+      // The body was checked against appendTranscriptEndpoint
       const { speaker, text, audioUrl, confidence, duration } = req.body as IAppendTranscriptRequest;
-      
-      // Validate session ID parameter
-      if (!sessionId) {
-        res.status(400).json({
-          success: false,
-          message: 'Session ID parameter is required',
-          code: 'MISSING_SESSION_ID'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate session ID type
-      if (typeof sessionId !== 'string') {
-        res.status(400).json({
-          success: false,
-          message: 'Session ID must be a string',
-          code: 'INVALID_SESSION_ID_TYPE'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate session ID is not empty
-      if (sessionId.trim().length === 0) {
-        res.status(400).json({
-          success: false,
-          message: 'Session ID cannot be empty',
-          code: 'EMPTY_SESSION_ID'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate MongoDB ObjectId format
-      if (!mongoose.Types.ObjectId.isValid(sessionId)) {
-        res.status(400).json({
-          success: false,
-          message: 'Invalid session ID format. Please provide a valid MongoDB ObjectId.',
-          code: 'INVALID_SESSION_ID'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate request body exists
-      if (!req.body) {
-        res.status(400).json({
-          success: false,
-          message: 'Request body is required',
-          code: 'MISSING_REQUEST_BODY'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate required speaker field
-      if (!speaker) {
-        res.status(400).json({
-          success: false,
-          message: 'Speaker field is required',
-          code: 'MISSING_SPEAKER'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate speaker type
-      if (typeof speaker !== 'string') {
-        res.status(400).json({
-          success: false,
-          message: 'Speaker must be a string',
-          code: 'INVALID_SPEAKER_TYPE'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate speaker value
-      if (!['user', 'ai', 'system'].includes(speaker)) {
-        res.status(400).json({
-          success: false,
-          message: 'Invalid speaker. Must be one of: user, ai, system',
-          code: 'INVALID_SPEAKER'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate required text field
-      if (!text) {
-        res.status(400).json({
-          success: false,
-          message: 'Text field is required',
-          code: 'MISSING_TEXT'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate text type
-      if (typeof text !== 'string') {
-        res.status(400).json({
-          success: false,
-          message: 'Text must be a string',
-          code: 'INVALID_TEXT_TYPE'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate text is not empty
-      if (text.trim().length === 0) {
-        res.status(400).json({
-          success: false,
-          message: 'Text is required and must be a non-empty string',
-          code: 'INVALID_TEXT'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate text length
-      if (text.length > 10000) {
-        res.status(400).json({
-          success: false,
-          message: 'Text must be 10,000 characters or less',
-          code: 'TEXT_TOO_LONG'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Validate optional audioUrl field
-      if (audioUrl !== undefined && audioUrl !== null) {
-        if (typeof audioUrl !== 'string') {
-          res.status(400).json({
-            success: false,
-            message: 'Audio URL must be a string',
-            code: 'INVALID_AUDIO_URL_TYPE'
-          } as IErrorResponse);
-          return;
-        }
-
-        if (audioUrl.trim().length === 0) {
-          res.status(400).json({
-            success: false,
-            message: 'Audio URL cannot be empty if provided',
-            code: 'EMPTY_AUDIO_URL'
-          } as IErrorResponse);
-          return;
-        }
-
-        if (audioUrl.length > 2000) {
-          res.status(400).json({
-            success: false,
-            message: 'Audio URL must be 2000 characters or less',
-            code: 'AUDIO_URL_TOO_LONG'
-          } as IErrorResponse);
-          return;
-        }
-      }
-
-      // Validate optional confidence field
-      if (confidence !== undefined && confidence !== null) {
-        if (typeof confidence !== 'number') {
-          res.status(400).json({
-            success: false,
-            message: 'Confidence must be a number between 0 and 1',
-            code: 'INVALID_CONFIDENCE'
-          } as IErrorResponse);
-          return;
-        }
-
-        if (confidence < 0 || confidence > 1) {
-          res.status(400).json({
-            success: false,
-            message: 'Confidence must be a number between 0 and 1',
-            code: 'INVALID_CONFIDENCE'
-          } as IErrorResponse);
-          return;
-        }
-      }
-
-      // Validate optional duration field
-      if (duration !== undefined && duration !== null) {
-        if (typeof duration !== 'number') {
-          res.status(400).json({
-            success: false,
-            message: 'Duration must be a positive number in milliseconds',
-            code: 'INVALID_DURATION'
-          } as IErrorResponse);
-          return;
-        }
-
-        if (duration < 0) {
-          res.status(400).json({
-            success: false,
-            message: 'Duration must be a positive number in milliseconds',
-            code: 'INVALID_DURATION'
-          } as IErrorResponse);
-          return;
-        }
-
-        if (duration > 3600000) { // 1 hour in milliseconds
-          res.status(400).json({
-            success: false,
-            message: 'Duration must be 1 hour or less',
-            code: 'DURATION_TOO_LONG'
-          } as IErrorResponse);
-          return;
-        }
-      }
 
       // Find session recording
       const sessionRecording = await SessionRecording.findById(sessionId);
       if (!sessionRecording) {
-        res.status(404).json({
-          success: false,
-          message: 'Session recording not found',
-          code: 'SESSION_NOT_FOUND'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Verify user owns the session
-      if (sessionRecording.userId.toString() !== (req.user as any)._id.toString()) {
-        res.status(403).json({
-          success: false,
-          message: 'Access denied. You can only modify your own session recordings.',
-          code: 'SESSION_ACCESS_DENIED'
-        } as IErrorResponse);
+        sendError(res, 404, 'Session recording not found', { code: 'SESSION_NOT_FOUND' });
         return;
       }
 
       // Check if session is active
       if (!sessionRecording.isActive) {
-        res.status(400).json({
-          success: false,
-          message: 'Cannot append transcript to an inactive session',
+        sendError(res, 400, 'Cannot append transcript to an inactive session', {
           code: 'SESSION_INACTIVE',
           details: {
             sessionEndTime: sessionRecording.sessionEndTime
           }
-        } as IErrorResponse);
+        });
         return;
       }
 
@@ -892,12 +606,10 @@ router.post(
         userId: (req.user as any)?._id
       });
 
-      res.status(500).json({
-        success: false,
-        message: 'An unexpected error occurred while appending transcript entry',
+      sendError(res, 500, 'An unexpected error occurred while appending transcript entry', {
         code: 'INTERNAL_SERVER_ERROR',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      } as IErrorResponse);
+      });
     }
   }
 );
@@ -932,38 +644,16 @@ router.post(
 router.get(
   '/interview/:interviewId',
   authenticateToken,
+  validateRequest(getInterviewSessionEndpoint),
+  requireOwnershipOr([USER_ROLES.ADMIN], interviewOwner, accessDenied('Access denied. You can only view sessions for your own interviews.', 'INTERVIEW_ACCESS_DENIED')),
   async (req: AuthenticatedRequest, res: Response): Promise<void> => {
     try {
-      const { interviewId } = req.params;
+      const interviewId = req.params.interviewId as string;
       
-      // Validate interview ID format
-      if (!interviewId || !mongoose.Types.ObjectId.isValid(interviewId)) {
-        res.status(400).json({
-          success: false,
-          message: 'Invalid interview ID format. Please provide a valid MongoDB ObjectId.',
-          code: 'INVALID_INTERVIEW_ID'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Find interview and verify ownership
+      // Find interview (ownership is checked by requireOwnershipOr)
       const interview = await Interview.findById(interviewId);
       if (!interview) {
-        res.status(404).json({
-          success: false,
-          message: 'Interview not found',
-          code: 'INTERVIEW_NOT_FOUND'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Verify user owns the interview
-      if (interview.userId.toString() !== (req.user as any)._id.toString()) {
-        res.status(403).json({
-          success: false,
-          message: 'Access denied. You can only view sessions for your own interviews.',
-          code: 'INTERVIEW_ACCESS_DENIED'
-        } as IErrorResponse);
+        sendError(res, 404, 'Interview not found', { code: 'INTERVIEW_NOT_FOUND' });
         return;
       }
 
@@ -971,14 +661,12 @@ router.get(
       const sessionRecording = await SessionRecording.findByInterviewId(interviewId);
       
       if (!sessionRecording) {
-        res.status(404).json({
-          success: false,
-          message: 'No session recording found for this interview',
+        sendError(res, 404, 'No session recording found for this interview', {
           code: 'SESSION_NOT_FOUND',
           details: {
             interviewId
           }
-        } as IErrorResponse);
+        });
         return;
       }
 
@@ -1038,12 +726,10 @@ router.get(
         userId: (req.user as any)?._id
       });
 
-      res.status(500).json({
-        success: false,
-        message: 'An unexpected error occurred while retrieving session recording',
+      sendError(res, 500, 'An unexpected error occurred while retrieving session recording', {
         code: 'INTERNAL_SERVER_ERROR',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      } as IErrorResponse);
+      });
     }
   }
 );
@@ -1078,84 +764,49 @@ router.get(
 router.post(
   '/:id/generate-feedback',
   authenticateToken,
+  validateRequest(generateFeedbackEndpoint),
+  requireOwnershipOr([], sessionOwner, accessDenied('Access denied. You can only generate feedback for your own sessions.', 'SESSION_ACCESS_DENIED')),
+  requireLLMBudget,
   async (req: AuthenticatedRequest, res: Response): Promise<void> => {
     try {
       const { id: sessionId } = req.params;
       
-      // Validate session ID format
-      if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
-        res.status(400).json({
-          success: false,
-          message: 'Invalid session ID format. Please provide a valid MongoDB ObjectId.',
-          code: 'INVALID_SESSION_ID'
-        } as IErrorResponse);
-        return;
-      }
-
       // Find session recording
       const sessionRecording = await SessionRecording.findById(sessionId);
       if (!sessionRecording) {
-        res.status(404).json({
-          success: false,
-          message: 'Session recording not found',
-          code: 'SESSION_NOT_FOUND'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Verify user owns the session
-      if (sessionRecording.userId.toString() !== (req.user as any)._id.toString()) {
-        res.status(403).json({
-          success: false,
-          message: 'Access denied. You can only generate feedback for your own sessions.',
-          code: 'SESSION_ACCESS_DENIED'
-        } as IErrorResponse);
+        sendError(res, 404, 'Session recording not found', { code: 'SESSION_NOT_FOUND' });
         return;
       }
 
       // Check if feedback already exists
       if (sessionRecording.feedback && sessionRecording.processingStatus.feedback === 'completed') {
-        res.status(409).json({
-          success: false,
-          message: 'Feedback has already been generated for this session',
+        sendError(res, 409, 'Feedback has already been generated for this session', {
           code: 'FEEDBACK_ALREADY_EXISTS',
           details: {
             feedbackGeneratedAt: sessionRecording.feedbackGeneratedAt,
             overallScore: sessionRecording.overallScore
           }
-        } as IErrorResponse);
+        });
         return;
       }
 
       // Check if session has transcript entries
       if (!sessionRecording.transcript || sessionRecording.transcript.length === 0) {
-        res.status(400).json({
-          success: false,
-          message: 'Cannot generate feedback for session without transcript entries',
-          code: 'NO_TRANSCRIPT_DATA'
-        } as IErrorResponse);
+        sendError(res, 400, 'Cannot generate feedback for session without transcript entries', { code: 'NO_TRANSCRIPT_DATA' });
         return;
       }
 
       // Check if there are enough user responses
       const userResponses = sessionRecording.transcript.filter(entry => entry.speaker === 'user');
       if (userResponses.length === 0) {
-        res.status(400).json({
-          success: false,
-          message: 'Cannot generate feedback without user responses in transcript',
-          code: 'INSUFFICIENT_USER_RESPONSES'
-        } as IErrorResponse);
+        sendError(res, 400, 'Cannot generate feedback without user responses in transcript', { code: 'INSUFFICIENT_USER_RESPONSES' });
         return;
       }
 
       // Get the interview for context
       const interview = await Interview.findById(sessionRecording.interviewId);
       if (!interview) {
-        res.status(404).json({
-          success: false,
-          message: 'Associated interview not found',
-          code: 'INTERVIEW_NOT_FOUND'
-        } as IErrorResponse);
+        sendError(res, 404, 'Associated interview not found', { code: 'INTERVIEW_NOT_FOUND' });
         return;
       }
 
@@ -1182,7 +833,8 @@ router.post(
             ...(user.targetColleges?.length && { targetColleges: user.targetColleges }),
             ...(user.strengths?.length && { strengths: user.strengths }),
             ...(user.weaknesses?.length && { weaknesses: user.weaknesses })
-          } : {}
+          } : {},
+          usageContext: { userId: sessionRecording.userId }
         };
 
         // Generate feedback using OpenAI
@@ -1226,19 +878,11 @@ router.post(
 
         // Handle specific OpenAI errors
         if (feedbackError.message.includes('rate limit')) {
-          res.status(429).json({
-            success: false,
-            message: 'Rate limit exceeded. Please try again later.',
-            code: 'RATE_LIMIT_EXCEEDED'
-          } as IErrorResponse);
+          sendError(res, 429, 'Rate limit exceeded. Please try again later.', { code: 'RATE_LIMIT_EXCEEDED' });
           return;
         }
 
-        res.status(500).json({
-          success: false,
-          message: `Failed to generate feedback: ${feedbackError.message}`,
-          code: 'FEEDBACK_GENERATION_ERROR'
-        } as IErrorResponse);
+        sendError(res, 500, `Failed to generate feedback: ${feedbackError.message}`, { code: 'FEEDBACK_GENERATION_ERROR' });
       }
 
     } catch (error: any) {
@@ -1249,12 +893,10 @@ router.post(
         userId: (req.user as any)?._id
       });
 
-      res.status(500).json({
-        success: false,
-        message: 'An unexpected error occurred while generating feedback',
+      sendError(res, 500, 'An unexpected error occurred while generating feedback', {
         code: 'INTERNAL_SERVER_ERROR',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      } as IErrorResponse);
+      });
     }
   }
 );
@@ -1289,53 +931,29 @@ router.post(
 router.get(
   '/:id/feedback',
   authenticateToken,
+  validateRequest(getFeedbackEndpoint),
+  requireOwnershipOr([USER_ROLES.ADMIN], sessionOwner, accessDenied('Access denied. You can only view feedback for your own sessions.', 'SESSION_ACCESS_DENIED')),
   async (req: AuthenticatedRequest, res: Response): Promise<void> => {
     try {
       const { id: sessionId } = req.params;
       
-      // Validate session ID format
-      if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
-        res.status(400).json({
-          success: false,
-          message: 'Invalid session ID format. Please provide a valid MongoDB ObjectId.',
-          code: 'INVALID_SESSION_ID'
-        } as IErrorResponse);
-        return;
-      }
-
       // Find session recording
       const sessionRecording = await SessionRecording.findById(sessionId);
       if (!sessionRecording) {
-        res.status(404).json({
-          success: false,
-          message: 'Session recording not found',
-          code: 'SESSION_NOT_FOUND'
-        } as IErrorResponse);
-        return;
-      }
-
-      // Verify user owns the session
-      if (sessionRecording.userId.toString() !== (req.user as any)._id.toString()) {
-        res.status(403).json({
-          success: false,
-          message: 'Access denied. You can only view feedback for your own sessions.',
-          code: 'SESSION_ACCESS_DENIED'
-        } as IErrorResponse);
+        sendError(res, 404, 'Session recording not found', { code: 'SESSION_NOT_FOUND' });
         return;
       }
 
       // Check if feedback has been generated
       if (!sessionRecording.feedback || sessionRecording.processingStatus.feedback !== 'completed') {
-        res.status(404).json({
-          success: false,
-          message: 'Feedback has not yet been generated for this session',
+        sendError(res, 404, 'Feedback has not yet been generated for this session', {
           code: 'FEEDBACK_NOT_FOUND',
           details: {
             sessionId,
             feedbackStatus: sessionRecording.processingStatus.feedback,
             transcriptEntries: sessionRecording.transcript.length
           }
-        } as IErrorResponse);
+        });
         return;
       }
 
@@ -1382,12 +1000,10 @@ router.get(
         userId: (req.user as any)?._id
       });
 
-      res.status(500).json({
-        success: false,
-        message: 'An unexpected error occurred while retrieving feedback',
+      sendError(res, 500, 'An unexpected error occurred while retrieving feedback', {
         code: 'INTERNAL_SERVER_ERROR',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      } as IErrorResponse);
+      });
     }
   }
 );
@@ -1403,11 +1019,7 @@ router.use((error: any, req: AuthenticatedRequest, res: Response, next: any) =>
          originalUrl: req.originalUrl
     });
 
-    res.status(400).json({
-      success: false,
-      message: errorMessage,
-      code: error.code || 'UPLOAD_ERROR'
-    } as IErrorResponse);
+    sendError(res, 400, errorMessage, { code: error.code || 'UPLOAD_ERROR' });
     return;
   }
   
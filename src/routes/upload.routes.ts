@@ -7,9 +7,12 @@
  * 
  * Key Features:
  * - Multi-file upload support (up to 10 files)
- * - Asynchronous text extraction from various file types
+ * - Text extraction from various file types in background jobs
  * - User file management (list, delete, retrieve content)
  * - Pagination support for file listings
+ * - Extracted text indexed into passages for retrieval in chat
+ * - Resumes and activity lists parsed into activities, awards, courses and skills
+ *   that the student reviews before they are added to the profile
  * - Comprehensive input validation and error handling
  * 
  * API Endpoints:
@@ -17,34 +20,45 @@
  * - GET /api/uploads - Retrieve user's uploaded files with pagination
  * - DELETE /api/uploads/:fileId - Delete specific uploaded file
  * - GET /api/uploads/:fileId/content - Get processed text content
+ * - GET /api/uploads/:fileId/profile-extraction - Get parsed profile data and suggestions
+ * - POST /api/uploads/:fileId/profile-extraction/merge - Add reviewed suggestions to the profile
  * 
  * Security Features:
  * - JWT authentication required for all endpoints
  * - File ownership verification
  * - File type and size validation
- * - Rate limiting ready (can be integrated)
+ * - Upload rate limit per user
  * 
  * Request/Response Flow:
  * 1. Authenticate user via JWT middleware
  * 2. Validate file uploads or request parameters
- * 3. Process files asynchronously in background
- * 4. Store file metadata and track processing status
- * 5. Return success response with file information
+ * 3. Store file metadata and track processing status
+ * 4. Queue a processing job per file
+ * 5. Return success response with file information and job IDs
  * 
  * Related Files:
  * - src/models/UploadedFile.ts - File metadata and storage
  * - src/middleware/documentUpload.ts - File upload middleware
- * - src/services/fileProcessing.service.ts - Text extraction service
+ * - src/services/jobHandlers.service.ts - Text extraction, indexing and parsing job
+ * - src/services/retrieval.service.ts - Passage index for chat retrieval
+ * - src/services/profileExtraction.service.ts - Resume and activity list parsing
  * - src/middleware/auth.ts - Authentication middleware
+ * - src/middleware/rateLimit.ts - Upload rate limit
  * 
  * Task: Phase 1, Step 5 - Create Upload Routes
+ * Task: Relevance-ranked retrieval over uploaded documents
+ * Task: Structured resume and activity-list parsing into the user profile
+ * Task: Background job queue for file processing and rating generation
  * 
  * @author AI Interview Coach Team
  * @version 1.0.0
  */
 
 import { Router, Response } from 'express';
-import { authenticateToken, AuthenticatedRequest } from '../middleware/auth';
+import { authenticateToken, requireRole, AuthenticatedRequest } from '../middleware/auth';
+import { rateLimit } from '../middleware/rateLimit';
+import { RATE_LIMIT_GROUPS } from '../services/rateLimit.service';
+import { USER_ROLES, PROFILE_LIST_LIMITS } from '../models/User';
 import { 
   uploadDocuments, 
   handleDocumentUploadError,
@@ -53,25 +67,28 @@ import {
 } from '../middleware/documentUpload';
 import UploadedFile, { 
   IUploadedFile, 
+  IProfileExtraction,
   PROCESSING_STATUS,
   FILE_TYPES
 } from '../models/UploadedFile';
-import { 
-  extractTextFromFile,
-  determineFileType
-} from '../services/fileProcessing.service';
+import { determineFileType } from '../services/fileProcessing.service';
+import { deleteFileChunks } from '../services/retrieval.service';
+import {
+  ensureProfileExtraction,
+  getProfileSuggestions,
+  importProfileSelection,
+  IProfileImportSelection,
+  IProfileSuggestions
+} from '../services/profileExtraction.service';
 import { 
   validateFile, 
   validateUserQuota, 
   getUserQuota, 
   sanitizeFilename,
-  validateRateLimit,
-  validateProcessedContent,
+  validateProfileList,
   UPLOAD_LIMITS 
 } from '../services/validation.service';
 import { 
-  handleFileProcessingFailure,
-  retryWithBackoff,
   cleanupFailedUpload,
   getUserFriendlyMessage,
   ErrorCategory,
@@ -84,6 +101,8 @@ import {
   getDashboardSummary,
   logUploadEvent
 } from '../services/analytics.service';
+import { enqueueJob } from '../services/jobQueue.service';
+import { JOB_TYPES } from '../models/Job';
 import { Types } from 'mongoose';
 
 /**
@@ -98,6 +117,7 @@ interface IUploadResponse {
     size: number;
     fileType: string;
     processingStatus: string;
+    jobId: string; // Background processing job to poll at /api/jobs/:jobId
   }>;
 }
 
@@ -127,9 +147,31 @@ interface IFileContentResponse {
     extractedText: string | null;
     processingStatus: string;
     wordCount?: number;
+    profileExtraction?: IProfileExtraction;
   };
 }
 
+/**
+ * Interface for profile extraction response
+ */
+interface IProfileExtractionResponse {
+  success: boolean;
+  fileId: string;
+  extraction: IProfileExtraction;
+  suggestions: IProfileSuggestions;
+}
+
+/**
+ * Interface for profile import response
+ */
+interface IProfileImportResponse {
+  success: boolean;
+  message: string;
+  added: IProfileSuggestions;
+  profile: IProfileSuggestions; // Extracurriculars and strengths after the merge
+  importStatus: string;
+}
+
 /**
  * Interface for error response
  */
@@ -145,8 +187,9 @@ const router = Router();
 /**
  * POST /api/uploads
  * 
- * Uploads multiple files for the authenticated user. Files are processed
- * asynchronously to extract text content for AI integration.
+ * Uploads multiple files for the authenticated user. Each file is processed
+ * by a background job that extracts its text for AI integration; the response
+ * includes the job ID to poll.
  * 
  * @route POST /api/uploads
  * @access Private (requires JWT authentication)
@@ -156,6 +199,7 @@ const router = Router();
 router.post(
   '/', 
   authenticateToken, 
+  rateLimit(RATE_LIMIT_GROUPS.UPLOAD),
   uploadDocuments.array('files', 10),
   async (req: AuthenticatedRequest, res: Response): Promise<void> => {
     try {
@@ -171,17 +215,6 @@ router.post(
       const files = req.files as Express.Multer.File[];
       const userId = (req.user!._id as Types.ObjectId).toString();
       
-      // Validate rate limit
-      const rateLimitValidation = await validateRateLimit(userId, 'upload', 10, 60);
-      if (!rateLimitValidation.isValid) {
-        res.status(429).json({
-          error: 'Too Many Requests',
-          message: rateLimitValidation.errors[0],
-          code: 'RATE_LIMIT_EXCEEDED'
-        } as IErrorResponse);
-        return;
-      }
-      
       // Calculate total size for quota validation
       const totalSize = files.reduce((sum, file) => sum + file.size, 0);
       
@@ -239,6 +272,7 @@ router.post(
             mimeType: file.mimetype,
             size: file.size,
             fileType,
+            fileData: file.buffer, // Kept for the data export
             processingStatus: PROCESSING_STATUS.PENDING
           });
           
@@ -252,9 +286,12 @@ router.post(
             mimeType: uploadedFile.mimeType
           });
           
-          // Process file asynchronously (don't await)
-          processFileAsync(fileId.toString(), file.buffer).catch(error => {
-            console.error(`Failed to process file ${fileId}:`, error);
+          // Extract text in the background; the client polls the job
+          const job = await enqueueJob({
+            type: JOB_TYPES.FILE_PROCESSING,
+            userId,
+            payload: { fileId: fileId.toString() },
+            fileData: file.buffer
           });
           
           return {
@@ -263,6 +300,7 @@ router.post(
             size: uploadedFile.size,
             fileType: uploadedFile.fileType,
             processingStatus: uploadedFile.processingStatus,
+            jobId: (job._id as Types.ObjectId).toString(),
             warnings: fileValidation.warnings
           };
         })
@@ -451,8 +489,9 @@ router.delete('/:fileId', authenticateToken, async (req: AuthenticatedRequest, r
       return;
     }
     
-    // Delete the file
+    // Delete the file and its passages
     await file.deleteOne();
+    await deleteFileChunks(file._id as Types.ObjectId);
     
     // Log delete event
     await logUploadEvent(
@@ -546,7 +585,8 @@ router.get('/:fileId/content', authenticateToken, async (req: AuthenticatedReque
         fileType: file.fileType,
         extractedText: file.extractedText,
         processingStatus: file.processingStatus,
-        wordCount
+        wordCount,
+        ...(file.profileExtraction && { profileExtraction: file.profileExtraction })
       }
     } as IFileContentResponse);
     
@@ -560,94 +600,159 @@ router.get('/:fileId/content', authenticateToken, async (req: AuthenticatedReque
 });
 
 /**
- * Processes a file asynchronously to extract text content
+ * Finds a processed file owned by the authenticated user for profile review
+ * Sends the error response and returns null when there is none.
+ *
+ * @param {AuthenticatedRequest} req - Request with the file ID parameter
+ * @param {Response} res - Response for errors
+ * @returns {Promise<IUploadedFile | null>} The file, or null when an error was sent
+ */
+async function findProcessedFile(req: AuthenticatedRequest, res: Response): Promise<IUploadedFile | null> {
+  const fileId = req.params.fileId;
+
+  if (!fileId || !Types.ObjectId.isValid(fileId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid file ID format'
+    } as IErrorResponse);
+    return null;
+  }
+
+  const file = await UploadedFile.findOne({
+    _id: fileId,
+    userId: req.user!._id as Types.ObjectId
+  });
+
+  if (!file) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'File not found or access denied'
+    } as IErrorResponse);
+    return null;
+  }
+
+  if (file.processingStatus !== PROCESSING_STATUS.COMPLETED || !file.extractedText) {
+    res.status(409).json({
+      error: 'Conflict',
+      message: 'The file has not finished processing',
+      code: 'FILE_NOT_PROCESSED'
+    } as IErrorResponse);
+    return null;
+  }
+
+  return file;
+}
+
+/**
+ * GET /api/uploads/:fileId/profile-extraction
+ * 
+ * Retrieves the activities, awards, courses and skills parsed from a resume
+ * or activity list, with the profile entries they suggest. Suggestions leave
+ * out entries the profile already lists.
  * 
+ * @route GET /api/uploads/:fileId/profile-extraction
+ * @access Private (requires JWT authentication)
  * @param {string} fileId - MongoDB ObjectId of the file
- * @param {Buffer} buffer - File buffer to process
+ * @returns {IProfileExtractionResponse | IErrorResponse} Parsed data and suggestions or error
  */
-async function processFileAsync(fileId: string, buffer: Buffer, attemptNumber: number = 1): Promise<void> {
-  const startTime = Date.now();
-  
+router.get('/:fileId/profile-extraction', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
-    // Update status to processing
-    await UploadedFile.findByIdAndUpdate(fileId, {
-      processingStatus: PROCESSING_STATUS.PROCESSING
-    });
-    
-    // Get file details
-    const file = await UploadedFile.findById(fileId);
+    const file = await findProcessedFile(req, res);
     if (!file) {
-      throw new Error('File not found');
-    }
-    
-    // Use retry logic for text extraction
-    const result = await retryWithBackoff(
-      async () => extractTextFromFile(buffer, file.mimeType),
-      {
-        maxAttempts: 3,
-        initialDelay: 1000,
-        maxDelay: 5000,
-        backoffMultiplier: 2
-      },
-      `text extraction for ${file.originalName}`
-    );
-    
-    // Validate extracted content
-    const contentValidation = validateProcessedContent(result.text, file.fileType);
-    if (!contentValidation.isValid) {
-      throw new Error(`Content validation failed: ${contentValidation.errors.join('; ')}`);
+      return;
     }
-    
-    // Calculate processing duration
-    const processingDuration = Date.now() - startTime;
-    
-    // Update file with extracted text
-    await UploadedFile.findByIdAndUpdate(fileId, {
-      extractedText: result.text,
-      processingStatus: PROCESSING_STATUS.COMPLETED,
-      processingDuration,
-      // Store warnings if any
-      processingError: contentValidation.warnings ? 
-        `Warnings: ${contentValidation.warnings.join('; ')}` : undefined
-    });
-    
-    console.log(`Successfully processed file ${fileId} in ${processingDuration}ms`);
-    
-    // Log processing event
-    await logUploadEvent(
-      file.userId.toString(),
-      fileId,
-      'process',
-      {
-        duration: processingDuration,
-        wordCount: result.text.split(/\s+/).filter(word => word.length > 0).length,
-        status: 'completed'
+
+    const extraction = (await ensureProfileExtraction(file))!;
+
+    res.json({
+      success: true,
+      fileId: (file._id as Types.ObjectId).toString(),
+      extraction,
+      suggestions: getProfileSuggestions(extraction, req.user!)
+    } as IProfileExtractionResponse);
+
+  } catch (error) {
+    console.error('Error retrieving profile extraction:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve profile data from file'
+    } as IErrorResponse);
+  }
+});
+
+/**
+ * POST /api/uploads/:fileId/profile-extraction/merge
+ * 
+ * Adds the suggestions a student kept after review to their profile's
+ * extracurriculars and strengths. Entries may have been edited during review.
+ * Sending no entries dismisses the suggestions.
+ * 
+ * @route POST /api/uploads/:fileId/profile-extraction/merge
+ * @access Private (requires JWT authentication)
+ * @param {string} fileId - MongoDB ObjectId of the file
+ * @body {string[]} extracurriculars - Entries to add to extracurriculars (optional)
+ * @body {string[]} strengths - Entries to add to strengths (optional)
+ * @returns {IProfileImportResponse | IErrorResponse} Updated profile lists or error
+ */
+router.post('/:fileId/profile-extraction/merge', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const body = req.body || {};
+    const selection: IProfileImportSelection = {};
+    const errors: string[] = [];
+
+    for (const field of ['extracurriculars', 'strengths'] as const) {
+      if (body[field] !== undefined) {
+        const listValidation = validateProfileList(field, body[field]);
+        errors.push(...listValidation.errors);
+        selection[field] = listValidation.items;
       }
-    );
-    
-  } catch (error: any) {
-    // Log detailed error
-    logError(error, {
-      fileId,
-      operation: 'file_processing',
-      timestamp: new Date(),
-      context: { attemptNumber }
-    }, ErrorCategory.PROCESSING);
-    
-    // Handle failure with recovery
-    const shouldRetry = await handleFileProcessingFailure(fileId, error, attemptNumber);
-    
-    if (shouldRetry) {
-      // Schedule retry
-      const delay = Math.min(1000 * Math.pow(2, attemptNumber - 1), 30000);
-      setTimeout(() => {
-        processFileAsync(fileId, buffer, attemptNumber + 1).catch(err => {
-          console.error(`Retry ${attemptNumber + 1} failed for file ${fileId}:`, err);
-        });
-      }, delay);
     }
+
+    if (errors.length > 0) {
+      res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid profile entries',
+        details: errors
+      });
+      return;
+    }
+
+    const file = await findProcessedFile(req, res);
+    if (!file) {
+      return;
+    }
+
+    const result = await importProfileSelection(file, req.user!, selection);
+
+    if (!result.success) {
+      const limits = result.field && PROFILE_LIST_LIMITS[result.field];
+      res.status(409).json({
+        error: 'Conflict',
+        message: limits
+          ? `${limits.label} cannot have more than ${limits.maxItems} entries; remove some before adding more`
+          : 'The file has no profile data to add',
+        code: result.errorCode
+      } as IErrorResponse);
+      return;
+    }
+
+    const addedCount = result.added!.extracurriculars.length + result.added!.strengths.length;
+    res.json({
+      success: true,
+      message: addedCount > 0 ? `Added ${addedCount} entries to your profile` : 'Suggestions dismissed',
+      added: result.added!,
+      profile: result.profile!,
+      importStatus: file.profileExtraction!.importStatus
+    } as IProfileImportResponse);
+
+  } catch (error) {
+    console.error('Error merging profile extraction:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to add profile data from file'
+    } as IErrorResponse);
   }
-}
+});
 
 // Export router
 /**
@@ -731,9 +836,8 @@ router.get('/analytics', authenticateToken, async (req: AuthenticatedRequest, re
  * @query {string} endDate - End date for metrics
  * @returns {Object} Upload metrics
  */
-router.get('/analytics/metrics', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.get('/analytics/metrics', authenticateToken, requireRole(USER_ROLES.ADMIN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
-    // TODO: Add admin role check here
     const { startDate, endDate } = req.query;
     
     const metrics = await getUploadMetrics(
@@ -766,9 +870,8 @@ router.get('/analytics/metrics', authenticateToken, async (req: AuthenticatedReq
  * @query {number} count - Number of periods to retrieve
  * @returns {Object} Time-based analytics
  */
-router.get('/analytics/time-series', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.get('/analytics/time-series', authenticateToken, requireRole(USER_ROLES.ADMIN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
-    // TODO: Add admin role check here
     const { period = 'day', count = '7' } = req.query;
     
     const analytics = await getTimeBasedAnalytics(
@@ -799,9 +902,8 @@ router.get('/analytics/time-series', authenticateToken, async (req: Authenticate
  * @access Private (requires JWT authentication and admin role)
  * @returns {Object} Dashboard summary
  */
-router.get('/analytics/dashboard', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+router.get('/analytics/dashboard', authenticateToken, requireRole(USER_ROLES.ADMIN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
   try {
-    // TODO: Add admin role check here
     const dashboard = await getDashboardSummary();
     
     res.status(200).json({
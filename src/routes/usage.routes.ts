@@ -0,0 +1,134 @@
+/**
+ * AI Interview Coach Backend - Usage Routes
+ *
+ * This file implements the language model usage endpoints. Students see their
+ * own monthly token usage, estimated cost and remaining budget; admins can see
+ * any user's. Organization usage is served by the organization routes.
+ *
+ * API Endpoints:
+ * - GET /api/usage - The current user's usage and budget for a month
+ * - GET /api/usage/users/:userId - Any user's usage and budget (admin)
+ *
+ * Related Files:
+ * - src/services/usage.service.ts - Usage ledger, summaries and budgets
+ * - src/routes/organization.routes.ts - GET /api/organizations/:organizationId/usage
+ * - src/middleware/llmBudget.ts - Budget enforcement
+ *
+ * Task: Per-user LLM usage metering, cost tracking and budgets
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Router, Response } from 'express';
+import { Types } from 'mongoose';
+import { authenticateToken, requireRole, AuthenticatedRequest } from '../middleware/auth';
+import { USER_ROLES } from '../models/User';
+import { getUserUsage, getUserBudgetStatus, parseMonth } from '../services/usage.service';
+
+// Create Express router instance
+const router = Router();
+
+/**
+ * Reads the optional ?month=YYYY-MM query parameter
+ * Sends a 400 response and returns null when it is malformed.
+ *
+ * @returns {Date | null} A date in the requested month (default: now)
+ */
+function readMonthQuery(req: AuthenticatedRequest, res: Response): Date | null {
+  const { month } = req.query;
+
+  if (month === undefined) {
+    return new Date();
+  }
+
+  const date = typeof month === 'string' ? parseMonth(month) : null;
+  if (!date) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'month must be in YYYY-MM format'
+    });
+  }
+  return date;
+}
+
+/**
+ * Sends a user's usage summary and budget state
+ */
+async function sendUserUsage(userId: Types.ObjectId | string, date: Date, res: Response): Promise<void> {
+  const [usage, budget] = await Promise.all([
+    getUserUsage(userId, date),
+    getUserBudgetStatus(userId, date)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    usage,
+    budget
+  });
+}
+
+/**
+ * GET /api/usage - The current user's usage for a month
+ *
+ * @route GET /api/usage
+ * @access Private (requires JWT authentication)
+ * @param {string} req.query.month - Month as YYYY-MM (default: current month, UTC)
+ * @returns {Object} Usage totals by feature and model, and the budget (null if unlimited)
+ */
+router.get('/', authenticateToken, async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const date = readMonthQuery(req, res);
+    if (!date) {
+      return;
+    }
+
+    await sendUserUsage(req.user!._id, date, res);
+
+  } catch (error) {
+    console.error('Error retrieving usage:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve usage'
+    });
+  }
+});
+
+/**
+ * GET /api/usage/users/:userId - A user's usage for a month
+ *
+ * @route GET /api/usage/users/:userId
+ * @access Private (requires JWT authentication and admin role)
+ * @param {string} req.params.userId - User ID
+ * @param {string} req.query.month - Month as YYYY-MM (default: current month, UTC)
+ * @returns {Object} Usage totals by feature and model, and the budget (null if unlimited)
+ */
+router.get('/users/:userId', authenticateToken, requireRole(USER_ROLES.ADMIN), async (req: AuthenticatedRequest, res: Response): Promise<void> => {
+  try {
+    const { userId } = req.params;
+
+    if (!userId || !Types.ObjectId.isValid(userId)) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid user ID format'
+      });
+      return;
+    }
+
+    const date = readMonthQuery(req, res);
+    if (!date) {
+      return;
+    }
+
+    await sendUserUsage(userId, date, res);
+
+  } catch (error) {
+    console.error('Error retrieving user usage:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve usage'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,489 @@
+/**
+ * AI Interview Coach Backend - Chat Schemas
+ *
+ * This file defines the endpoint specs for /api/chat: chat turns (JSON and
+ * Server-Sent Events), ending interviews, AI ratings and voice features.
+ *
+ * Related Files:
+ * - src/routes/chat.routes.ts - Routes validated with these specs
+ * - src/models/InterviewTranscript.ts - Transcript messages, context and ratings
+ * - src/services/voicePreference.service.ts - Voice preference rules
+ *
+ * Task: Request/response schemas, validation middleware and OpenAPI document
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { VOICE_GENDERS } from '../models/VoicePreference';
+import { IEndpointSpec, ISchema, IResponseSpec } from './types';
+import {
+  objectIdSchema,
+  dateTimeSchema,
+  errorResponse,
+  idParams,
+  successResponse,
+  feedbackReportSchema
+} from './common.schemas';
+
+/**
+ * Body of the chat endpoints
+ */
+export const chatRequestSchema: ISchema = {
+  title: 'ChatRequest',
+  type: 'object',
+  required: ['messages'],
+  properties: {
+    messages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['role', 'content'],
+        properties: {
+          role: { type: 'string', enum: ['system', 'user', 'assistant'] },
+          content: { type: 'string' }
+        }
+      }
+    },
+    includeUploadedContent: { type: 'boolean', default: false, description: 'Add passages from uploaded documents' },
+    interviewType: { type: 'string', maxLength: 50, default: 'general', description: 'Difficulty level chosen in the app' },
+    maxContentTokens: { type: 'integer', minimum: 0, default: 2000, description: 'Cap on uploaded content; the context window may allow less' },
+    voiceMode: { type: 'boolean', default: false, description: 'Shorter replies suited to speech' }
+  }
+};
+
+const chatReplySchema: ISchema = {
+  title: 'ChatReply',
+  type: 'object',
+  required: ['message', 'contentUsed'],
+  properties: {
+    message: { type: 'string' },
+    contentUsed: { type: 'boolean' },
+    contentMetadata: { type: 'object' }
+  }
+};
+
+const chatStreamResponse: IResponseSpec = {
+  description: 'Server-Sent Events: chunk events with { text }, then a done event with the full message and the ChatReply fields, or an error event',
+  contentType: 'text/event-stream',
+  schema: { type: 'string' }
+};
+
+const budgetExceeded = errorResponse('Monthly AI budget used up (LLM_BUDGET_EXCEEDED)');
+const budgetUnavailable = errorResponse('Monthly AI budget could not be checked (LLM_BUDGET_UNAVAILABLE)');
+const chatRateLimited = errorResponse('Chat rate limit reached (RATE_LIMIT_EXCEEDED)');
+
+/**
+ * Builds the spec of one of the four chat endpoints
+ */
+function buildChatTurnEndpoint(path: string, authenticated: boolean, stream: boolean): IEndpointSpec {
+  return {
+    method: 'post',
+    path,
+    summary: `${authenticated ? 'Authenticated chat turn' : 'Chat turn'}${stream ? ', streamed as Server-Sent Events' : ''}`,
+    description: authenticated
+      ? 'Uploaded documents of the signed-in user are cited by source.'
+      : 'Uploaded content is only used when the caller is signed in.',
+    tags: ['Chat'],
+    auth: authenticated ? 'required' : 'optional',
+    body: chatRequestSchema,
+    responses: {
+      200: stream ? chatStreamResponse : { description: 'Interviewer reply', schema: chatReplySchema },
+      403: budgetExceeded,
+      429: chatRateLimited,
+      503: budgetUnavailable
+    }
+  };
+}
+
+export const chatTurnEndpoint = buildChatTurnEndpoint('/api/chat', false, false);
+export const chatTurnStreamEndpoint = buildChatTurnEndpoint('/api/chat/stream', false, true);
+export const authenticatedChatTurnEndpoint = buildChatTurnEndpoint('/api/chat/authenticated', true, false);
+export const authenticatedChatTurnStreamEndpoint = buildChatTurnEndpoint('/api/chat/authenticated/stream', true, true);
+
+const transcriptMessageSchema: ISchema = {
+  type: 'object',
+  required: ['sender', 'text'],
+  properties: {
+    sender: { type: 'string', enum: ['ai', 'user'] },
+    text: { type: 'string' },
+    timestamp: dateTimeSchema
+  }
+};
+
+const interviewContextSchema: ISchema = {
+  title: 'InterviewContext',
+  type: 'object',
+  required: ['difficulty', 'interviewType'],
+  properties: {
+    difficulty: { type: 'string' },
+    interviewType: { type: 'string' },
+    duration: { type: 'number', description: 'Minutes' },
+    userProfile: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        grade: { type: 'number' },
+        targetMajor: { type: 'string' },
+        targetColleges: { type: 'array', items: { type: 'string' } },
+        strengths: { type: 'array', items: { type: 'string' } },
+        weaknesses: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+export const endInterviewEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/chat/end-interview',
+  summary: 'End an interview and store its transcript',
+  description: 'Send a conversationId to end a stored conversation, or the messages and interview context. ' +
+    'The transcript needs at least one user response and one AI question.',
+  tags: ['Chat'],
+  auth: 'required',
+  body: {
+    type: 'object',
+    properties: {
+      conversationId: objectIdSchema,
+      messages: { type: 'array', items: transcriptMessageSchema },
+      interviewContext: interviewContextSchema,
+      assignmentId: { ...objectIdSchema, description: 'Counselor assignment this interview completes' }
+    }
+  },
+  responses: {
+    201: {
+      description: 'Transcript stored',
+      schema: successResponse({
+        data: {
+          type: 'object',
+          required: ['transcriptId', 'messageCount', 'status'],
+          properties: {
+            transcriptId: objectIdSchema,
+            messageCount: { type: 'integer' },
+            status: { type: 'string' },
+            expiresAt: dateTimeSchema,
+            assignmentId: objectIdSchema,
+            conversationId: objectIdSchema
+          }
+        }
+      }, ['data'])
+    },
+    404: errorResponse('Conversation not found (CONVERSATION_NOT_FOUND)'),
+    409: errorResponse('Interview has already ended (INTERVIEW_ALREADY_ENDED); transcriptId holds its transcript')
+  }
+};
+
+export const generateRatingEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/chat/generate-rating',
+  summary: 'Start AI rating generation for a transcript',
+  description: 'Ratings are generated by a background job; poll statusUrl, then read GET /api/chat/rating/{transcriptId}.',
+  tags: ['Chat'],
+  auth: 'required',
+  body: {
+    type: 'object',
+    required: ['transcriptId'],
+    properties: {
+      transcriptId: objectIdSchema
+    }
+  },
+  responses: {
+    200: {
+      description: 'The transcript is already rated',
+      schema: successResponse({ rating: feedbackReportSchema, generatedAt: dateTimeSchema }, ['rating'])
+    },
+    202: {
+      description: 'Rating job queued',
+      schema: successResponse({ job: { type: 'object' }, statusUrl: { type: 'string' } }, ['job', 'statusUrl'])
+    },
+    403: errorResponse('Transcript belongs to another user (FORBIDDEN), or the monthly AI budget is used up (LLM_BUDGET_EXCEEDED)'),
+    404: errorResponse('Transcript not found (TRANSCRIPT_NOT_FOUND)'),
+    410: errorResponse('Transcript has expired (TRANSCRIPT_EXPIRED)'),
+    429: errorResponse('Rating rate limit reached (RATE_LIMIT_EXCEEDED)'),
+    503: budgetUnavailable
+  }
+};
+
+export const getRatingEndpoint: IEndpointSpec = {
+  method: 'get',
+  path: '/api/chat/rating/:transcriptId',
+  summary: 'Get the AI rating of a transcript',
+  description: 'Admins may read any rating.',
+  tags: ['Chat'],
+  auth: 'required',
+  params: idParams('transcriptId'),
+  responses: {
+    200: {
+      description: 'AI rating',
+      schema: successResponse({
+        rating: feedbackReportSchema,
+        generatedAt: dateTimeSchema,
+        metadata: { type: 'object' }
+      }, ['rating'])
+    },
+    403: errorResponse('Transcript belongs to another user (FORBIDDEN)'),
+    404: errorResponse('Transcript not found (TRANSCRIPT_NOT_FOUND), or not rated yet (RATING_NOT_FOUND); status holds the transcript status')
+  }
+};
+
+export const ratingsHistoryEndpoint: IEndpointSpec = {
+  method: 'get',
+  path: '/api/chat/ratings/history',
+  summary: 'List your AI ratings, most recent first',
+  tags: ['Chat'],
+  auth: 'required',
+  query: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+      offset: { type: 'integer', minimum: 0, default: 0 }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Ratings with statistics',
+      schema: successResponse({
+        data: {
+          type: 'object',
+          required: ['ratings', 'statistics', 'pagination'],
+          properties: {
+            ratings: { type: 'array', items: { type: 'object' } },
+            statistics: { type: 'object' },
+            pagination: {
+              type: 'object',
+              properties: {
+                limit: { type: 'integer' },
+                offset: { type: 'integer' },
+                total: { type: 'integer' },
+                hasMore: { type: 'boolean' }
+              }
+            }
+          }
+        }
+      }, ['data'])
+    }
+  }
+};
+
+export const testAuthEndpoint: IEndpointSpec = {
+  method: 'get',
+  path: '/api/chat/test-auth',
+  summary: 'Show whether the caller is signed in',
+  tags: ['Chat'],
+  auth: 'optional',
+  responses: {
+    200: {
+      description: 'Authentication status',
+      schema: {
+        type: 'object',
+        properties: {
+          authenticated: { type: 'boolean' },
+          userId: { type: 'string', nullable: true },
+          userIdType: { type: 'string', nullable: true },
+          userName: { type: 'string', nullable: true }
+        }
+      }
+    }
+  }
+};
+
+export const debugFilesEndpoint: IEndpointSpec = {
+  method: 'get',
+  path: '/api/chat/debug-files',
+  summary: 'List your uploaded files with text previews',
+  tags: ['Chat'],
+  auth: 'required',
+  responses: {
+    200: {
+      description: 'Uploaded files',
+      schema: {
+        type: 'object',
+        properties: {
+          userId: { type: 'string' },
+          fileCount: { type: 'integer' },
+          files: { type: 'array', items: { type: 'object' } }
+        }
+      }
+    }
+  }
+};
+
+export const contentSummaryEndpoint: IEndpointSpec = {
+  method: 'get',
+  path: '/api/chat/content-summary',
+  summary: 'Summarize your uploaded content',
+  description: 'Long content is summarized by the AI service and counts against the monthly AI budget.',
+  tags: ['Chat'],
+  auth: 'required',
+  responses: {
+    200: {
+      description: 'Content summary',
+      schema: {
+        type: 'object',
+        required: ['hasContent'],
+        properties: {
+          hasContent: { type: 'boolean' },
+          summary: { type: 'string', nullable: true },
+          fileCount: { type: 'integer' },
+          files: { type: 'array', items: { type: 'object' } }
+        }
+      }
+    },
+    403: budgetExceeded,
+    503: budgetUnavailable
+  }
+};
+
+const voicePreferenceProperties: Record<string, ISchema> = {
+  voiceEnabled: { type: 'boolean', nullable: true },
+  selectedVoice: { type: 'string', maxLength: 100, nullable: true },
+  speechRate: { type: 'number', minimum: 0.5, maximum: 2, nullable: true },
+  speechVolume: { type: 'number', minimum: 0, maximum: 1, nullable: true },
+  microphoneSensitivity: { type: 'number', minimum: 0, maximum: 1, nullable: true },
+  autoPlayResponses: { type: 'boolean', nullable: true },
+  voiceGender: { type: 'string', enum: Object.values(VOICE_GENDERS), nullable: true },
+  voiceLanguage: { type: 'string', pattern: '^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,4})?$', nullable: true }
+};
+
+const voicePreferencesSchema: ISchema = {
+  title: 'VoicePreferences',
+  type: 'object',
+  properties: {
+    ...voicePreferenceProperties,
+    updatedAt: { ...dateTimeSchema, nullable: true }
+  }
+};
+
+export const voiceProcessEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/chat/voice-process',
+  summary: 'Store voice preferences, log voice usage or report a voice error',
+  description: 'data must hold preferences, usage or error to match the action.',
+  tags: ['Voice'],
+  auth: 'required',
+  body: {
+    type: 'object',
+    required: ['action', 'data'],
+    properties: {
+      action: { type: 'string', enum: ['store_preferences', 'log_usage', 'report_error'] },
+      data: {
+        type: 'object',
+        properties: {
+          preferences: { type: 'object', description: 'Invalid values are left out; PUT /api/chat/voice-preferences rejects them' },
+          usage: {
+            type: 'object',
+            properties: {
+              sessionDuration: { type: 'number' },
+              speechRecognitionAttempts: { type: 'number' },
+              speechRecognitionSuccesses: { type: 'number' },
+              textToSpeechUsage: { type: 'number' },
+              errorCount: { type: 'number' },
+              browserInfo: { type: 'string' },
+              deviceInfo: { type: 'string' }
+            }
+          },
+          error: {
+            type: 'object',
+            required: ['errorType', 'errorMessage', 'browserInfo', 'timestamp'],
+            properties: {
+              errorType: {
+                type: 'string',
+                enum: ['speech_recognition', 'text_to_speech', 'browser_compatibility', 'microphone_permission', 'network', 'other']
+              },
+              errorMessage: { type: 'string', minLength: 1 },
+              browserInfo: { type: 'string', minLength: 1 },
+              timestamp: { type: 'string', minLength: 1 },
+              voiceCapabilities: { type: 'object' },
+              stackTrace: { type: 'string' },
+              userAgent: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Request processed',
+      schema: {
+        type: 'object',
+        required: ['success', 'action'],
+        properties: {
+          success: { type: 'boolean' },
+          action: { type: 'string' },
+          message: { type: 'string' },
+          timestamp: dateTimeSchema,
+          preferences: { type: 'object' },
+          usage: { type: 'object' },
+          successRate: { type: 'number' },
+          errorId: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+export const getVoicePreferencesEndpoint: IEndpointSpec = {
+  method: 'get',
+  path: '/api/chat/voice-preferences',
+  summary: 'Get your voice preferences',
+  description: 'Fields that were never set have their default values.',
+  tags: ['Voice'],
+  auth: 'required',
+  responses: {
+    200: { description: 'Voice preferences', schema: successResponse({ preferences: voicePreferencesSchema }, ['preferences']) }
+  }
+};
+
+/**
+ * Spec for PUT /api/chat/voice-preferences
+ * The body is checked by validateVoicePreferences, which POST
+ * /api/chat/voice-process shares, so this spec only documents it.
+ */
+export const updateVoicePreferencesEndpoint: IEndpointSpec = {
+  method: 'put',
+  path: '/api/chat/voice-preferences',
+  summary: 'Save your voice preferences',
+  description: 'Fields left out keep their stored values; null resets a field to its default. ' +
+    'Your other open sessions receive the new preferences as a voice.preferences realtime event.',
+  tags: ['Voice'],
+  auth: 'required',
+  body: {
+    type: 'object',
+    additionalProperties: false,
+    properties: voicePreferenceProperties
+  },
+  responses: {
+    200: { description: 'Voice preferences after the update', schema: successResponse({ preferences: voicePreferencesSchema }, ['preferences']) }
+  }
+};
+
+export const voiceAnalyticsEndpoint: IEndpointSpec = {
+  method: 'get',
+  path: '/api/chat/voice-analytics',
+  summary: 'Get system-wide voice analytics',
+  tags: ['Voice'],
+  auth: 'required',
+  responses: {
+    200: { description: 'Adoption, performance and error metrics', schema: successResponse({ data: { type: 'object' } }, ['data']) },
+    403: errorResponse('Caller is not an admin')
+  }
+};
+
+export const chatEndpoints: IEndpointSpec[] = [
+  chatTurnEndpoint,
+  chatTurnStreamEndpoint,
+  authenticatedChatTurnEndpoint,
+  authenticatedChatTurnStreamEndpoint,
+  endInterviewEndpoint,
+  generateRatingEndpoint,
+  getRatingEndpoint,
+  testAuthEndpoint,
+  debugFilesEndpoint,
+  contentSummaryEndpoint,
+  voiceProcessEndpoint,
+  getVoicePreferencesEndpoint,
+  updateVoicePreferencesEndpoint,
+  voiceAnalyticsEndpoint,
+  ratingsHistoryEndpoint
+];
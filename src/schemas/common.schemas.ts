@@ -0,0 +1,133 @@
+/**
+ * AI Interview Coach Backend - Common Schemas
+ *
+ * This file defines schemas shared by the interview, session and chat
+ * endpoint specs: the error response every route returns, IDs, dates and the
+ * feedback report produced by AI rating and session feedback.
+ *
+ * Related Files:
+ * - src/middleware/error.ts - sendError, which produces ErrorResponse bodies
+ * - src/schemas/interview.schemas.ts, session.schemas.ts, chat.schemas.ts - Endpoint specs
+ *
+ * Task: Request/response schemas, validation middleware and OpenAPI document
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { ISchema, IResponseSpec } from './types';
+
+/**
+ * MongoDB ObjectId as a 24-character hex string
+ */
+export const objectIdSchema: ISchema = {
+  type: 'string',
+  format: 'objectid',
+  pattern: '^[0-9a-fA-F]{24}$',
+  example: '60f7b3b3b3b3b3b3b3b3b3b3'
+};
+
+/**
+ * ISO 8601 date and time
+ */
+export const dateTimeSchema: ISchema = {
+  type: 'string',
+  format: 'date-time'
+};
+
+/**
+ * Error body returned by every documented endpoint
+ * Some errors add fields, such as the transcriptId of an interview that has
+ * already ended.
+ */
+export const errorResponseSchema: ISchema = {
+  title: 'ErrorResponse',
+  type: 'object',
+  required: ['error', 'message'],
+  properties: {
+    error: { type: 'string', description: 'Title for the HTTP status', example: 'Bad Request' },
+    message: { type: 'string', description: 'Human-readable description', example: 'interviewType is required' },
+    code: { type: 'string', description: 'Machine-readable error code', example: 'VALIDATION_ERROR' },
+    details: { description: 'Field errors for VALIDATION_ERROR, otherwise extra context' }
+  }
+};
+
+/**
+ * Builds an error response spec
+ *
+ * @param {string} description - When the error is returned
+ * @returns {IResponseSpec} Response spec using ErrorResponse
+ */
+export function errorResponse(description: string): IResponseSpec {
+  return { description, schema: errorResponseSchema };
+}
+
+/**
+ * Builds the path parameter schema for routes addressed by IDs
+ *
+ * @param {...string} names - Parameter names, such as "id"
+ * @returns {ISchema} Schema requiring each parameter to be an ObjectId
+ */
+export function idParams(...names: string[]): ISchema {
+  return {
+    type: 'object',
+    required: names,
+    properties: Object.fromEntries(names.map(name => [name, objectIdSchema]))
+  };
+}
+
+/**
+ * Builds a success response schema with the usual success and message fields
+ *
+ * @param {Record<string, ISchema>} properties - Fields besides success and message
+ * @param {string[]} required - Required fields besides success
+ * @returns {ISchema} Response schema
+ */
+export function successResponse(properties: Record<string, ISchema>, required: string[] = []): ISchema {
+  return {
+    type: 'object',
+    required: ['success', ...required],
+    properties: {
+      success: { type: 'boolean', example: true },
+      message: { type: 'string' },
+      ...properties
+    }
+  };
+}
+
+/**
+ * Feedback report produced by AI rating and session feedback generation
+ */
+export const feedbackReportSchema: ISchema = {
+  title: 'FeedbackReport',
+  type: 'object',
+  properties: {
+    overallRating: { type: 'number', minimum: 1, maximum: 10 },
+    strengths: { type: 'array', items: { type: 'string' } },
+    weaknesses: { type: 'array', items: { type: 'string' } },
+    recommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['area', 'suggestion', 'priority'],
+        properties: {
+          area: { type: 'string' },
+          suggestion: { type: 'string' },
+          priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+          examples: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    detailedScores: {
+      type: 'object',
+      properties: {
+        contentRelevance: { type: 'number', minimum: 0, maximum: 100 },
+        communication: { type: 'number', minimum: 0, maximum: 100 },
+        confidence: { type: 'number', minimum: 0, maximum: 100 },
+        structure: { type: 'number', minimum: 0, maximum: 100 },
+        engagement: { type: 'number', minimum: 0, maximum: 100 }
+      }
+    },
+    summary: { type: 'string' }
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * AI Interview Coach Backend - Schemas Index
+ *
+ * This file serves as the central export point for request/response schemas
+ * and the list of documented endpoints used to build the OpenAPI document.
+ *
+ * Related Files:
+ * - src/middleware/validation.ts - validateRequest, which applies these specs
+ * - src/services/openapi.service.ts - OpenAPI document built from apiEndpoints
+ *
+ * Task: Request/response schemas, validation middleware and OpenAPI document
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { IEndpointSpec } from './types';
+import { interviewEndpoints } from './interview.schemas';
+import { sessionEndpoints } from './session.schemas';
+import { chatEndpoints } from './chat.schemas';
+
+export * from './types';
+export * from './common.schemas';
+export * from './interview.schemas';
+export * from './session.schemas';
+export * from './chat.schemas';
+
+/**
+ * Every endpoint described in the OpenAPI document
+ */
+export const apiEndpoints: IEndpointSpec[] = [
+  ...interviewEndpoints,
+  ...sessionEndpoints,
+  ...chatEndpoints
+];
@@ -0,0 +1,264 @@
+/**
+ * AI Interview Coach Backend - Interview Schemas
+ *
+ * This file defines the endpoint specs for /api/interviews: request
+ * validation for each route and the responses shown in the OpenAPI document.
+ *
+ * Related Files:
+ * - src/routes/interview.routes.ts - Routes validated with these specs
+ * - src/models/Interview.ts - Interview types, difficulties and statuses
+ *
+ * Task: Request/response schemas, validation middleware and OpenAPI document
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { INTERVIEW_TYPES, INTERVIEW_DIFFICULTY, INTERVIEW_STATUS } from '../models/Interview';
+import { IEndpointSpec, ISchema } from './types';
+import { objectIdSchema, dateTimeSchema, errorResponse, idParams, successResponse } from './common.schemas';
+
+const interviewTypeSchema: ISchema = { type: 'string', enum: Object.values(INTERVIEW_TYPES) };
+const interviewDifficultySchema: ISchema = { type: 'string', enum: Object.values(INTERVIEW_DIFFICULTY) };
+const interviewStatusSchema: ISchema = { type: 'string', enum: Object.values(INTERVIEW_STATUS) };
+
+/**
+ * Generated interview question
+ */
+export const interviewQuestionSchema: ISchema = {
+  title: 'InterviewQuestion',
+  type: 'object',
+  required: ['id', 'text', 'order'],
+  properties: {
+    id: { type: 'string' },
+    text: { type: 'string' },
+    category: { type: 'string' },
+    expectedDuration: { type: 'integer', description: 'Expected answer length in seconds' },
+    hints: { type: 'array', items: { type: 'string' } },
+    followUps: { type: 'array', items: { type: 'string' } },
+    order: { type: 'integer' }
+  }
+};
+
+/**
+ * Interview as returned by the interview routes
+ * The create and list responses leave out questions.
+ */
+export const interviewSchema: ISchema = {
+  title: 'Interview',
+  type: 'object',
+  required: ['id', 'userId', 'interviewType', 'interviewDifficulty', 'duration', 'sessionToken', 'status', 'totalQuestions', 'createdAt'],
+  properties: {
+    id: objectIdSchema,
+    userId: objectIdSchema,
+    interviewType: interviewTypeSchema,
+    interviewDifficulty: interviewDifficultySchema,
+    duration: { type: 'integer', description: 'Planned length in minutes' },
+    sessionToken: { type: 'string' },
+    status: interviewStatusSchema,
+    totalQuestions: { type: 'integer' },
+    questions: { type: 'array', items: interviewQuestionSchema },
+    scheduledFor: dateTimeSchema,
+    startedAt: dateTimeSchema,
+    completedAt: dateTimeSchema,
+    actualDuration: { type: 'number', description: 'Actual length in minutes' },
+    customPrompt: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    score: { type: 'number', minimum: 0, maximum: 100 },
+    createdAt: dateTimeSchema,
+    updatedAt: dateTimeSchema
+  }
+};
+
+const interviewIdParams = idParams('id');
+const interviewNotFound = errorResponse('Interview not found (INTERVIEW_NOT_FOUND)');
+const interviewForbidden = errorResponse('Interview belongs to another user (FORBIDDEN)');
+
+export const createInterviewEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/interviews',
+  summary: 'Create an interview session',
+  tags: ['Interviews'],
+  auth: 'required',
+  body: {
+    type: 'object',
+    required: ['interviewType', 'interviewDifficulty'],
+    properties: {
+      interviewType: interviewTypeSchema,
+      interviewDifficulty: interviewDifficultySchema,
+      duration: { type: 'integer', minimum: 5, maximum: 120, default: 30, nullable: true, description: 'Length in minutes' },
+      customPrompt: { type: 'string', minLength: 1, maxLength: 500, nullable: true },
+      tags: {
+        type: 'array',
+        maxItems: 10,
+        nullable: true,
+        items: { type: 'string', minLength: 1, maxLength: 50 }
+      }
+    }
+  },
+  responses: {
+    201: { description: 'Interview created', schema: successResponse({ interview: interviewSchema }, ['interview']) }
+  }
+};
+
+export const listInterviewsEndpoint: IEndpointSpec = {
+  method: 'get',
+  path: '/api/interviews',
+  summary: 'List your interviews, most recent first',
+  tags: ['Interviews'],
+  auth: 'required',
+  query: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+      status: interviewStatusSchema,
+      type: interviewTypeSchema,
+      difficulty: interviewDifficultySchema
+    }
+  },
+  responses: {
+    200: {
+      description: 'Page of interviews',
+      schema: successResponse({
+        interviews: { type: 'array', items: interviewSchema },
+        pagination: {
+          title: 'Pagination',
+          type: 'object',
+          required: ['page', 'limit', 'total', 'totalPages', 'hasNextPage', 'hasPrevPage'],
+          properties: {
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            totalPages: { type: 'integer' },
+            hasNextPage: { type: 'boolean' },
+            hasPrevPage: { type: 'boolean' }
+          }
+        }
+      }, ['interviews', 'pagination'])
+    }
+  }
+};
+
+export const getInterviewEndpoint: IEndpointSpec = {
+  method: 'get',
+  path: '/api/interviews/:id',
+  summary: 'Get an interview with its questions',
+  description: 'Admins may read any interview.',
+  tags: ['Interviews'],
+  auth: 'required',
+  params: interviewIdParams,
+  responses: {
+    200: { description: 'Interview', schema: successResponse({ interview: interviewSchema }, ['interview']) },
+    403: interviewForbidden,
+    404: interviewNotFound
+  }
+};
+
+export const generateQuestionsEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/interviews/:id/generate-questions',
+  summary: 'Generate questions for an interview',
+  description: 'Uses the profile of the signed-in user. Counts against the monthly AI budget.',
+  tags: ['Interviews'],
+  auth: 'required',
+  params: interviewIdParams,
+  responses: {
+    200: { description: 'Interview with its generated questions', schema: successResponse({ interview: interviewSchema }, ['interview']) },
+    403: errorResponse('Interview belongs to another user (FORBIDDEN), or the monthly AI budget is used up (LLM_BUDGET_EXCEEDED)'),
+    404: interviewNotFound,
+    409: errorResponse('Questions were already generated (QUESTIONS_ALREADY_GENERATED)'),
+    503: errorResponse('Question generation failed (QUESTION_GENERATION_FAILED), or the monthly AI budget could not be checked (LLM_BUDGET_UNAVAILABLE)')
+  }
+};
+
+export const startInterviewEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/interviews/:id/start',
+  summary: 'Start an interview',
+  tags: ['Interviews'],
+  auth: 'required',
+  params: interviewIdParams,
+  responses: {
+    200: {
+      description: 'Interview started',
+      schema: successResponse({
+        interview: {
+          type: 'object',
+          properties: { id: objectIdSchema, status: interviewStatusSchema, startedAt: dateTimeSchema, sessionToken: { type: 'string' } }
+        }
+      }, ['interview'])
+    },
+    403: interviewForbidden,
+    404: interviewNotFound
+  }
+};
+
+export const completeInterviewEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/interviews/:id/complete',
+  summary: 'Complete an interview',
+  tags: ['Interviews'],
+  auth: 'required',
+  params: interviewIdParams,
+  bodyOptional: true,
+  body: {
+    type: 'object',
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 100, nullable: true }
+    }
+  },
+  responses: {
+    200: {
+      description: 'Interview completed',
+      schema: successResponse({
+        interview: {
+          type: 'object',
+          properties: {
+            id: objectIdSchema,
+            status: interviewStatusSchema,
+            startedAt: dateTimeSchema,
+            completedAt: dateTimeSchema,
+            actualDuration: { type: 'number' },
+            score: { type: 'number' }
+          }
+        }
+      }, ['interview'])
+    },
+    403: interviewForbidden,
+    404: interviewNotFound
+  }
+};
+
+export const stopInterviewEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/interviews/:id/stop',
+  summary: 'Stop an active interview',
+  description: 'The interview is cancelled. Only active interviews can be stopped (INTERVIEW_NOT_ACTIVE).',
+  tags: ['Interviews'],
+  auth: 'required',
+  params: interviewIdParams,
+  responses: {
+    200: {
+      description: 'Interview stopped',
+      schema: successResponse({
+        interview: {
+          type: 'object',
+          properties: { id: objectIdSchema, status: interviewStatusSchema, startedAt: dateTimeSchema, stoppedAt: dateTimeSchema }
+        }
+      }, ['interview'])
+    },
+    403: interviewForbidden,
+    404: interviewNotFound
+  }
+};
+
+export const interviewEndpoints: IEndpointSpec[] = [
+  createInterviewEndpoint,
+  listInterviewsEndpoint,
+  getInterviewEndpoint,
+  generateQuestionsEndpoint,
+  startInterviewEndpoint,
+  completeInterviewEndpoint,
+  stopInterviewEndpoint
+];
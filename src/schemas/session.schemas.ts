@@ -0,0 +1,280 @@
+/**
+ * AI Interview Coach Backend - Session Schemas
+ *
+ * This file defines the endpoint specs for /api/sessions: request
+ * validation for each route and the responses shown in the OpenAPI document.
+ *
+ * Related Files:
+ * - src/routes/session.routes.ts - Routes validated with these specs
+ * - src/models/SessionRecording.ts - Speakers, transcript entries and feedback
+ *
+ * Task: Request/response schemas, validation middleware and OpenAPI document
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { SPEAKER_TYPES } from '../models/SessionRecording';
+import { IEndpointSpec, ISchema } from './types';
+import {
+  objectIdSchema,
+  dateTimeSchema,
+  errorResponse,
+  idParams,
+  successResponse,
+  feedbackReportSchema
+} from './common.schemas';
+
+const speakerSchema: ISchema = { type: 'string', enum: Object.values(SPEAKER_TYPES) };
+
+const processingStatusSchema: ISchema = {
+  title: 'ProcessingStatus',
+  type: 'object',
+  properties: {
+    transcription: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed'] },
+    analysis: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed'] },
+    feedback: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed'] }
+  }
+};
+
+/**
+ * One entry of a session transcript
+ */
+export const transcriptEntrySchema: ISchema = {
+  title: 'TranscriptEntry',
+  type: 'object',
+  required: ['speaker', 'text', 'timestamp'],
+  properties: {
+    speaker: speakerSchema,
+    text: { type: 'string' },
+    timestamp: { type: 'number', description: 'Milliseconds from the start of the session' },
+    audioUrl: { type: 'string' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    duration: { type: 'number', description: 'Speaking time in milliseconds' }
+  }
+};
+
+const transcriptAddedSchema = successResponse({
+  data: {
+    type: 'object',
+    required: ['sessionId', 'transcriptEntry', 'totalEntries'],
+    properties: {
+      sessionId: objectIdSchema,
+      transcriptEntry: transcriptEntrySchema,
+      totalEntries: { type: 'integer' },
+      sessionDuration: { type: 'number', description: 'Milliseconds between the first and last entries' }
+    }
+  }
+}, ['data']);
+
+const interviewAccessDenied = errorResponse('Interview belongs to another user (INTERVIEW_ACCESS_DENIED)');
+const sessionAccessDenied = errorResponse('Session belongs to another user (SESSION_ACCESS_DENIED)');
+const interviewNotFound = errorResponse('Interview not found (INTERVIEW_NOT_FOUND)');
+const sessionNotFound = errorResponse('Session recording not found (SESSION_NOT_FOUND)');
+
+export const createSessionEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/sessions',
+  summary: 'Create a session recording for an interview',
+  tags: ['Sessions'],
+  auth: 'required',
+  body: {
+    type: 'object',
+    required: ['interviewId'],
+    properties: {
+      interviewId: objectIdSchema
+    }
+  },
+  responses: {
+    201: {
+      description: 'Session recording created with an empty transcript',
+      schema: successResponse({
+        data: {
+          type: 'object',
+          required: ['sessionId', 'interviewId', 'userId', 'status'],
+          properties: {
+            sessionId: objectIdSchema,
+            interviewId: objectIdSchema,
+            userId: objectIdSchema,
+            status: { type: 'string', enum: ['active', 'inactive'] },
+            processingStatus: processingStatusSchema,
+            createdAt: dateTimeSchema
+          }
+        }
+      }, ['data'])
+    },
+    403: interviewAccessDenied,
+    404: interviewNotFound,
+    409: errorResponse('The interview already has a session recording (SESSION_ALREADY_EXISTS); details holds its sessionId')
+  }
+};
+
+export const transcribeAudioEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/sessions/:interviewId/transcribe',
+  summary: 'Transcribe an audio recording into the interview session',
+  description: 'Creates the session recording if the interview has none yet.',
+  tags: ['Sessions'],
+  auth: 'required',
+  params: idParams('interviewId'),
+  bodyContentType: 'multipart/form-data',
+  bodyOptional: true,
+  body: {
+    type: 'object',
+    properties: {
+      audio: { type: 'string', format: 'binary', description: 'mp3, wav, webm, mp4, m4a, ogg or flac, up to 10MB' },
+      speaker: { ...speakerSchema, default: SPEAKER_TYPES.USER },
+      language: { type: 'string', maxLength: 10, description: 'ISO-639-1 language hint' },
+      prompt: { type: 'string', maxLength: 1000, description: 'Text to guide transcription style' }
+    }
+  },
+  responses: {
+    201: { description: 'Audio transcribed and added to the session', schema: transcriptAddedSchema },
+    403: interviewAccessDenied,
+    404: interviewNotFound,
+    429: errorResponse('Transcription rate limit reached (RATE_LIMIT_EXCEEDED)'),
+    500: errorResponse('Transcription failed (TRANSCRIPTION_ERROR)')
+  }
+};
+
+export const appendTranscriptEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/sessions/:id/transcript',
+  summary: 'Append a transcript entry to a session',
+  description: 'Only active sessions accept entries (SESSION_INACTIVE).',
+  tags: ['Sessions'],
+  auth: 'required',
+  params: idParams('id'),
+  body: {
+    type: 'object',
+    required: ['speaker', 'text'],
+    properties: {
+      speaker: speakerSchema,
+      text: { type: 'string', minLength: 1, maxLength: 10000 },
+      audioUrl: { type: 'string', minLength: 1, maxLength: 2000, nullable: true },
+      confidence: { type: 'number', minimum: 0, maximum: 1, nullable: true },
+      duration: { type: 'number', minimum: 0, maximum: 3600000, nullable: true, description: 'Milliseconds, at most one hour' }
+    }
+  },
+  responses: {
+    201: { description: 'Transcript entry appended', schema: transcriptAddedSchema },
+    403: sessionAccessDenied,
+    404: sessionNotFound
+  }
+};
+
+export const getInterviewSessionEndpoint: IEndpointSpec = {
+  method: 'get',
+  path: '/api/sessions/interview/:interviewId',
+  summary: 'Get the session recording of an interview',
+  description: 'Admins may read any session.',
+  tags: ['Sessions'],
+  auth: 'required',
+  params: idParams('interviewId'),
+  responses: {
+    200: {
+      description: 'Session recording with its transcript',
+      schema: successResponse({
+        data: {
+          title: 'SessionRecording',
+          type: 'object',
+          required: ['sessionId', 'interviewId', 'userId', 'status', 'transcript'],
+          properties: {
+            sessionId: objectIdSchema,
+            interviewId: objectIdSchema,
+            userId: objectIdSchema,
+            status: { type: 'string', enum: ['active', 'completed'] },
+            transcript: { type: 'array', items: transcriptEntrySchema },
+            transcriptCount: { type: 'integer' },
+            sessionStartTime: dateTimeSchema,
+            sessionEndTime: dateTimeSchema,
+            sessionDuration: { type: 'number' },
+            processingStatus: processingStatusSchema,
+            vocalAnalysis: { type: 'object' },
+            overallScore: { type: 'number' },
+            feedback: feedbackReportSchema,
+            transcriptComplete: { type: 'boolean' },
+            analysisComplete: { type: 'boolean' },
+            createdAt: dateTimeSchema,
+            updatedAt: dateTimeSchema
+          }
+        }
+      }, ['data'])
+    },
+    403: interviewAccessDenied,
+    404: errorResponse('Interview not found (INTERVIEW_NOT_FOUND), or it has no session recording (SESSION_NOT_FOUND)')
+  }
+};
+
+export const generateFeedbackEndpoint: IEndpointSpec = {
+  method: 'post',
+  path: '/api/sessions/:id/generate-feedback',
+  summary: 'Generate AI feedback for a session transcript',
+  description: 'The transcript needs at least one user response (NO_TRANSCRIPT_DATA, INSUFFICIENT_USER_RESPONSES). Counts against the monthly AI budget.',
+  tags: ['Sessions'],
+  auth: 'required',
+  params: idParams('id'),
+  responses: {
+    200: {
+      description: 'Feedback generated and stored',
+      schema: successResponse({
+        data: {
+          type: 'object',
+          properties: {
+            sessionId: objectIdSchema,
+            feedback: feedbackReportSchema,
+            feedbackGeneratedAt: dateTimeSchema,
+            processingStatus: processingStatusSchema
+          }
+        }
+      }, ['data'])
+    },
+    403: errorResponse('Session belongs to another user (SESSION_ACCESS_DENIED), or the monthly AI budget is used up (LLM_BUDGET_EXCEEDED)'),
+    404: sessionNotFound,
+    409: errorResponse('Feedback was already generated (FEEDBACK_ALREADY_EXISTS)'),
+    500: errorResponse('Feedback generation failed (FEEDBACK_GENERATION_ERROR)'),
+    503: errorResponse('Monthly AI budget could not be checked (LLM_BUDGET_UNAVAILABLE)')
+  }
+};
+
+export const getFeedbackEndpoint: IEndpointSpec = {
+  method: 'get',
+  path: '/api/sessions/:id/feedback',
+  summary: 'Get the feedback and score of a session',
+  description: 'Admins may read any session.',
+  tags: ['Sessions'],
+  auth: 'required',
+  params: idParams('id'),
+  responses: {
+    200: {
+      description: 'Feedback report',
+      schema: successResponse({
+        data: {
+          type: 'object',
+          properties: {
+            sessionId: objectIdSchema,
+            interviewId: objectIdSchema,
+            interviewType: { type: 'string' },
+            interviewDifficulty: { type: 'string' },
+            overallScore: { type: 'number' },
+            feedback: feedbackReportSchema,
+            feedbackGeneratedAt: dateTimeSchema,
+            sessionMetrics: { type: 'object' },
+            processingStatus: processingStatusSchema
+          }
+        }
+      }, ['data'])
+    },
+    403: sessionAccessDenied,
+    404: errorResponse('Session recording not found (SESSION_NOT_FOUND), or it has no feedback yet (FEEDBACK_NOT_FOUND)')
+  }
+};
+
+export const sessionEndpoints: IEndpointSpec[] = [
+  createSessionEndpoint,
+  transcribeAudioEndpoint,
+  appendTranscriptEndpoint,
+  getInterviewSessionEndpoint,
+  generateFeedbackEndpoint,
+  getFeedbackEndpoint
+];
@@ -0,0 +1,89 @@
+/**
+ * AI Interview Coach Backend - Schema Types
+ *
+ * This file defines the schema format used to describe API requests and
+ * responses. Schemas are a subset of the OpenAPI 3.0 schema object, so the
+ * same definitions drive request validation (src/middleware/validation.ts)
+ * and the generated OpenAPI document (src/services/openapi.service.ts).
+ *
+ * Key Features:
+ * - OpenAPI 3.0 schema subset: types, enums, lengths, ranges, arrays, objects
+ * - Endpoint specs with params, query, body and responses in one place
+ * - Titled schemas become shared components in the OpenAPI document
+ *
+ * Related Files:
+ * - src/schemas/index.ts - Endpoint specs for all documented routes
+ * - src/services/schemaValidation.service.ts - Validates values against schemas
+ *
+ * Task: Request/response schemas, validation middleware and OpenAPI document
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+/**
+ * Schema types supported by the validator
+ */
+export type SchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array';
+
+/**
+ * Interface for a request or response schema
+ * minLength counts characters after trimming, so whitespace-only strings
+ * fail a minLength of 1. The 'objectid' format accepts 24-character hex IDs.
+ */
+export interface ISchema {
+  title?: string; // Component name in the OpenAPI document
+  description?: string;
+  type?: SchemaType;
+  format?: string;
+  enum?: readonly (string | number)[];
+  nullable?: boolean;
+  default?: unknown;
+  example?: unknown;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minimum?: number;
+  maximum?: number;
+  items?: ISchema;
+  minItems?: number;
+  maxItems?: number;
+  properties?: Record<string, ISchema>;
+  required?: readonly string[];
+  additionalProperties?: boolean | ISchema;
+}
+
+/**
+ * HTTP methods used by documented endpoints
+ */
+export type HttpMethod = 'get' | 'post' | 'put' | 'patch' | 'delete';
+
+/**
+ * Interface for a documented response
+ */
+export interface IResponseSpec {
+  description: string;
+  schema?: ISchema;
+  contentType?: string; // Defaults to application/json
+}
+
+/**
+ * Interface for an endpoint spec
+ * Paths use Express syntax (/api/interviews/:id). Responses list the
+ * endpoint's own outcomes; 400, 401 and 500 error responses are added to the
+ * OpenAPI document automatically where they apply.
+ */
+export interface IEndpointSpec {
+  method: HttpMethod;
+  path: string;
+  summary: string;
+  description?: string;
+  tags: string[];
+  auth: 'required' | 'optional' | 'none';
+  params?: ISchema;
+  query?: ISchema;
+  body?: ISchema;
+  bodyOptional?: boolean; // Requests may leave the body out entirely
+  bodyContentType?: 'application/json' | 'multipart/form-data';
+  responses: Record<number, IResponseSpec>;
+}
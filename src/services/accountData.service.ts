@@ -0,0 +1,295 @@
+/**
+ * AI Interview Coach Backend - Account Data Service
+ *
+ * This file implements the data export and account deletion rights students
+ * have over their data. The export bundles every record stored for a user
+ * into one JSON document; deletion removes the user and cascades across
+ * every collection that holds their data.
+ *
+ * Key Features:
+ * - Export of the profile, interviews, conversations, session recordings,
+ *   transcripts, uploaded files with their original bytes, avatar and voice
+ *   preferences, sessions, assignments, roster memberships, review
+ *   comments, notifications, background jobs and voice analytics events
+ *   and errors
+ * - Cascading deletion of the same records plus the search index built
+ *   from uploaded files, which only repeats their extracted text
+ * - Counselor cleanup: removed from organizations, which are deactivated
+ *   once they have no counselors left
+ * - AI usage ledger entries kept without the user, so organization totals
+ *   and budgets are unchanged
+ *
+ * Original uploads are exported base64 encoded; files uploaded before
+ * originals were kept have only their metadata and extracted text. The user
+ * document is deleted last, so a deletion that fails part way can simply be
+ * retried.
+ *
+ * Related Files:
+ * - src/routes/auth.routes.ts - GET /api/auth/me/export and DELETE /api/auth/me
+ * - src/models/UploadedFile.ts - Stored uploads, their metadata and extracted text
+ * - src/services/loginThrottle.service.ts - Lockout entries keyed by email
+ *
+ * Task: GDPR-style data export and account deletion with cascade
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Types } from 'mongoose';
+import User, { IUser } from '../models/User';
+import Interview from '../models/Interview';
+import SessionRecording from '../models/SessionRecording';
+import InterviewTranscript from '../models/InterviewTranscript';
+import Conversation from '../models/Conversation';
+import UploadedFile from '../models/UploadedFile';
+import DocumentChunk from '../models/DocumentChunk';
+import Job from '../models/Job';
+import AvatarPreference from '../models/AvatarPreference';
+import VoicePreference from '../models/VoicePreference';
+import VoiceAnalyticsEvent from '../models/VoiceAnalyticsEvent';
+import VoiceError from '../models/VoiceError';
+import RefreshToken from '../models/RefreshToken';
+import Assignment from '../models/Assignment';
+import RosterMembership from '../models/RosterMembership';
+import Organization from '../models/Organization';
+import ReviewComment from '../models/ReviewComment';
+import Notification from '../models/Notification';
+import { clearAccountLockout } from './loginThrottle.service';
+import { anonymizeUserUsage } from './usage.service';
+
+/**
+ * Version of the export format, bumped when the bundle layout changes
+ */
+export const EXPORT_FORMAT_VERSION = 2;
+
+/**
+ * Interface for an original upload in the export bundle
+ */
+export interface IExportedOriginalFile {
+  fileId: string;
+  originalName: string;
+  mimeType: string;
+  encoding: 'base64';
+  data: string;
+}
+
+/**
+ * Interface for the data export bundle
+ * Documents serialize through their models' toJSON transforms, so password
+ * hashes, tokens and two-factor secrets are never included.
+ */
+export interface IAccountExport {
+  exportFormatVersion: number;
+  exportedAt: string;
+  user: IUser;
+  interviews: unknown[];
+  conversations: unknown[];
+  sessionRecordings: unknown[];
+  interviewTranscripts: unknown[];
+  uploadedFiles: unknown[];
+  originalFiles: IExportedOriginalFile[];
+  avatarPreference: unknown | null;
+  voicePreference: unknown | null;
+  voiceAnalyticsEvents: unknown[];
+  voiceErrors: unknown[];
+  refreshTokens: unknown[]; // Device sessions, without token hashes
+  jobs: unknown[];
+  assignments: unknown[];
+  rosterMemberships: unknown[];
+  reviewComments: unknown[]; // On the user's work and written by the user
+  notifications: unknown[]; // Sent to the user
+}
+
+/**
+ * Interface for the number of records removed per collection
+ */
+export interface IAccountDeletionSummary {
+  interviews: number;
+  conversations: number;
+  sessionRecordings: number;
+  interviewTranscripts: number;
+  uploadedFiles: number;
+  documentChunks: number;
+  jobs: number;
+  avatarPreferences: number;
+  voicePreferences: number;
+  voiceAnalyticsEvents: number;
+  voiceErrors: number;
+  refreshTokens: number;
+  assignments: number;
+  rosterMemberships: number;
+  reviewComments: number;
+  notifications: number;
+  organizationsLeft: number;
+  llmUsageAnonymized: number;
+}
+
+/**
+ * Collects every record stored for a user into one export bundle
+ *
+ * @param {IUser} user - The authenticated user
+ * @returns {Promise<IAccountExport>} The export bundle
+ */
+export async function exportAccountData(user: IUser): Promise<IAccountExport> {
+  const userId = user._id as Types.ObjectId;
+
+  const [
+    interviews,
+    conversations,
+    sessionRecordings,
+    interviewTranscripts,
+    uploadedFiles,
+    avatarPreference,
+    voicePreference,
+    voiceAnalyticsEvents,
+    voiceErrors,
+    refreshTokens,
+    jobs,
+    assignments,
+    rosterMemberships,
+    reviewComments,
+    notifications
+  ] = await Promise.all([
+    Interview.find({ userId }).sort({ createdAt: 1 }),
+    Conversation.find({ userId }).sort({ createdAt: 1 }),
+    SessionRecording.find({ userId }).sort({ createdAt: 1 }),
+    InterviewTranscript.find({ userId }).sort({ createdAt: 1 }),
+    UploadedFile.find({ userId }).select('+fileData').sort({ createdAt: 1 }),
+    AvatarPreference.findOne({ userId: userId.toString() }),
+    VoicePreference.findOne({ userId }),
+    VoiceAnalyticsEvent.find({ userId }).sort({ createdAt: 1 }),
+    VoiceError.find({ userId }).sort({ createdAt: 1 }),
+    RefreshToken.find({ userId }).sort({ createdAt: 1 }),
+    Job.find({ userId }).sort({ createdAt: 1 }),
+    Assignment.find({ studentId: userId }).sort({ createdAt: 1 }),
+    RosterMembership.find({ studentId: userId }).sort({ createdAt: 1 }),
+    ReviewComment.find({ $or: [{ studentId: userId }, { authorId: userId }] }).sort({ createdAt: 1 }),
+    Notification.find({ userId }).sort({ createdAt: 1 })
+  ]);
+
+  // The file documents serialize without their bytes; the originals go alongside
+  const originalFiles = uploadedFiles
+    .filter(file => file.fileData)
+    .map(file => ({
+      fileId: String(file._id),
+      originalName: file.originalName,
+      mimeType: file.mimeType,
+      encoding: 'base64' as const,
+      data: Buffer.from(file.fileData!).toString('base64')
+    }));
+
+  return {
+    exportFormatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    user,
+    interviews,
+    conversations,
+    sessionRecordings,
+    interviewTranscripts,
+    uploadedFiles,
+    originalFiles,
+    avatarPreference,
+    voicePreference,
+    voiceAnalyticsEvents,
+    voiceErrors,
+    refreshTokens,
+    jobs,
+    assignments,
+    rosterMemberships,
+    reviewComments,
+    notifications
+  };
+}
+
+/**
+ * Deletes a user and every record that belongs to them
+ * Review comments on the user's interviews go with them, whoever wrote
+ * them, as do comments the user wrote on other interviews.
+ *
+ * @param {IUser} user - The user to delete
+ * @returns {Promise<IAccountDeletionSummary>} Number of records removed per collection
+ */
+export async function deleteAccountData(user: IUser): Promise<IAccountDeletionSummary> {
+  const userId = user._id as Types.ObjectId;
+
+  const [
+    interviews,
+    conversations,
+    sessionRecordings,
+    interviewTranscripts,
+    uploadedFiles,
+    documentChunks,
+    jobs,
+    avatarPreferences,
+    voicePreferences,
+    voiceAnalyticsEvents,
+    voiceErrors,
+    refreshTokens,
+    assignments,
+    rosterMemberships,
+    reviewComments,
+    notifications
+  ] = await Promise.all([
+    Interview.deleteMany({ userId }),
+    Conversation.deleteMany({ userId }),
+    SessionRecording.deleteMany({ userId }),
+    InterviewTranscript.deleteMany({ userId }),
+    UploadedFile.deleteMany({ userId }),
+    DocumentChunk.deleteMany({ userId }),
+    Job.deleteMany({ userId }),
+    AvatarPreference.deleteMany({ userId: userId.toString() }),
+    VoicePreference.deleteMany({ userId }),
+    VoiceAnalyticsEvent.deleteMany({ userId }),
+    VoiceError.deleteMany({ userId }),
+    RefreshToken.deleteMany({ userId }),
+    Assignment.deleteMany({ studentId: userId }),
+    RosterMembership.deleteMany({ studentId: userId }),
+    ReviewComment.deleteMany({ $or: [{ studentId: userId }, { authorId: userId }] }),
+    Notification.deleteMany({ $or: [{ userId }, { actorId: userId }] })
+  ]);
+
+  // Only organizations this counselor leaves can be left without counselors
+  const counselorOrganizations = await Organization.find({ counselorIds: userId }).select('_id');
+  const organizationIds = counselorOrganizations.map(organization => organization._id);
+  const organizationsLeft = await Organization.updateMany(
+    { _id: { $in: organizationIds } },
+    { $pull: { counselorIds: userId } }
+  );
+  await Organization.updateMany(
+    { _id: { $in: organizationIds }, counselorIds: { $size: 0 } },
+    { $set: { isActive: false } }
+  );
+
+  const llmUsageAnonymized = await anonymizeUserUsage(userId);
+  await clearAccountLockout(user.email);
+  await User.deleteOne({ _id: userId });
+
+  return {
+    interviews: interviews.deletedCount,
+    conversations: conversations.deletedCount,
+    sessionRecordings: sessionRecordings.deletedCount,
+    interviewTranscripts: interviewTranscripts.deletedCount,
+    uploadedFiles: uploadedFiles.deletedCount,
+    documentChunks: documentChunks.deletedCount,
+    jobs: jobs.deletedCount,
+    avatarPreferences: avatarPreferences.deletedCount,
+    voicePreferences: voicePreferences.deletedCount,
+    voiceAnalyticsEvents: voiceAnalyticsEvents.deletedCount,
+    voiceErrors: voiceErrors.deletedCount,
+    refreshTokens: refreshTokens.deletedCount,
+    assignments: assignments.deletedCount,
+    rosterMemberships: rosterMemberships.deletedCount,
+    reviewComments: reviewComments.deletedCount,
+    notifications: notifications.deletedCount,
+    organizationsLeft: organizationsLeft.modifiedCount,
+    llmUsageAnonymized
+  };
+}
+
+/**
+ * Default export object containing all account data utilities
+ */
+export default {
+  exportAccountData,
+  deleteAccountData
+};
@@ -0,0 +1,213 @@
+/**
+ * AI Interview Coach Backend - Account Email Service
+ *
+ * This file implements the password reset and email verification flows. Both
+ * send the user a signed, short-lived link token; only a SHA-256 hash of the
+ * latest token is stored on the user, and it is cleared atomically when the
+ * link is used so every link works exactly once.
+ *
+ * Key Features:
+ * - Password reset requests that never reveal whether an account exists
+ * - Password reset that ends every existing session and lifts login lockouts
+ * - Email verification on registration with resend support
+ * - Tokens are bound to the user's current email address
+ *
+ * Related Files:
+ * - src/services/auth.service.ts - Signed single-purpose tokens and hashing
+ * - src/services/mailer.service.ts - Email delivery
+ * - src/services/tokenRevocation.service.ts - Session revocation after a reset
+ * - src/routes/auth.routes.ts - Password reset and verification endpoints
+ *
+ * Task: Password reset and email verification flows
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Types } from 'mongoose';
+import {
+  generatePurposeToken,
+  verifyTokenOfType,
+  hashToken,
+  TOKEN_TYPES,
+  PASSWORD_RESET_TOKEN_EXPIRES_IN,
+  EMAIL_VERIFICATION_TOKEN_EXPIRES_IN
+} from './auth.service';
+import { sendPasswordResetEmail, sendVerificationEmail } from './mailer.service';
+import { revokeAllUserTokens } from './tokenRevocation.service';
+import { clearAccountLockout } from './loginThrottle.service';
+import User, { IUser } from '../models/User';
+import { REVOCATION_REASONS } from '../models/RefreshToken';
+
+/**
+ * Error codes returned when a link token is rejected
+ */
+export const ACCOUNT_EMAIL_ERROR_CODES = {
+  RESET_TOKEN_INVALID: 'RESET_TOKEN_INVALID',
+  VERIFICATION_TOKEN_INVALID: 'VERIFICATION_TOKEN_INVALID',
+  EMAIL_ALREADY_VERIFIED: 'EMAIL_ALREADY_VERIFIED'
+} as const;
+
+export type AccountEmailErrorCode = typeof ACCOUNT_EMAIL_ERROR_CODES[keyof typeof ACCOUNT_EMAIL_ERROR_CODES];
+
+/**
+ * Interface for the result of consuming a link token
+ */
+export interface IAccountEmailResult {
+  success: boolean;
+  user?: IUser;
+  errorCode?: AccountEmailErrorCode;
+}
+
+/**
+ * Emails a password reset link if an active account uses the address
+ * Callers must respond identically whether or not an account was found.
+ *
+ * @param {string} email - Address the reset was requested for
+ * @returns {Promise<boolean>} True if a reset email was sent
+ *
+ * @example
+ * ```typescript
+ * await requestPasswordReset(req.body.email);
+ * res.json({ message: 'If an account exists, a reset link has been sent.' });
+ * ```
+ */
+export async function requestPasswordReset(email: string): Promise<boolean> {
+  const user = await User.findByEmail(email.trim());
+
+  if (!user || !user.isActive) {
+    return false;
+  }
+
+  const userId = (user._id as Types.ObjectId).toString();
+  const reset = generatePurposeToken(userId, user.email, TOKEN_TYPES.PASSWORD_RESET, PASSWORD_RESET_TOKEN_EXPIRES_IN);
+
+  // Storing only the newest hash invalidates any earlier reset link
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { resetPasswordToken: hashToken(reset.token), resetPasswordExpires: reset.expiresAt } }
+  );
+
+  await sendPasswordResetEmail({ email: user.email, name: user.name }, reset.token);
+  return true;
+}
+
+/**
+ * Sets a new password using a reset link token
+ * The token is consumed, the email address is marked verified (the user proved
+ * access to the inbox), every existing session is revoked and any login
+ * lockout on the account is lifted.
+ *
+ * @param {string} token - Password reset token from the emailed link
+ * @param {string} newPassword - Already validated new password
+ * @returns {Promise<IAccountEmailResult>} The updated user or a rejection code
+ */
+export async function resetPassword(token: string, newPassword: string): Promise<IAccountEmailResult> {
+  const verification = verifyTokenOfType(token, TOKEN_TYPES.PASSWORD_RESET);
+
+  if (!verification.isValid || !verification.payload) {
+    return { success: false, errorCode: ACCOUNT_EMAIL_ERROR_CODES.RESET_TOKEN_INVALID };
+  }
+
+  // Claim the token atomically so the link cannot be used twice
+  const user = await User.findOneAndUpdate(
+    {
+      _id: verification.payload.userId,
+      email: verification.payload.email,
+      isActive: true,
+      resetPasswordToken: hashToken(token),
+      resetPasswordExpires: { $gt: new Date() }
+    },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } }
+  );
+
+  if (!user) {
+    return { success: false, errorCode: ACCOUNT_EMAIL_ERROR_CODES.RESET_TOKEN_INVALID };
+  }
+
+  user.password = newPassword; // Hashed by the pre-save hook
+  user.isEmailVerified = true;
+  await user.save();
+
+  await revokeAllUserTokens(user._id as Types.ObjectId, REVOCATION_REASONS.PASSWORD_CHANGED);
+  await clearAccountLockout(user.email);
+
+  return { success: true, user };
+}
+
+/**
+ * Emails an address verification link to a user
+ *
+ * @param {IUser} user - The user whose address should be verified
+ * @returns {Promise<void>}
+ *
+ * @example
+ * ```typescript
+ * sendEmailVerification(savedUser).catch(error => console.error(error));
+ * ```
+ */
+export async function sendEmailVerification(user: IUser): Promise<void> {
+  const userId = (user._id as Types.ObjectId).toString();
+  const verification = generatePurposeToken(
+    userId,
+    user.email,
+    TOKEN_TYPES.EMAIL_VERIFICATION,
+    EMAIL_VERIFICATION_TOKEN_EXPIRES_IN
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        emailVerificationToken: hashToken(verification.token),
+        emailVerificationExpires: verification.expiresAt
+      }
+    }
+  );
+
+  await sendVerificationEmail({ email: user.email, name: user.name }, verification.token);
+}
+
+/**
+ * Marks a user's email address verified using a verification link token
+ *
+ * @param {string} token - Email verification token from the emailed link
+ * @returns {Promise<IAccountEmailResult>} The verified user or a rejection code
+ */
+export async function verifyEmail(token: string): Promise<IAccountEmailResult> {
+  const verification = verifyTokenOfType(token, TOKEN_TYPES.EMAIL_VERIFICATION);
+
+  if (!verification.isValid || !verification.payload) {
+    return { success: false, errorCode: ACCOUNT_EMAIL_ERROR_CODES.VERIFICATION_TOKEN_INVALID };
+  }
+
+  const user = await User.findOneAndUpdate(
+    {
+      _id: verification.payload.userId,
+      email: verification.payload.email,
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      $set: { isEmailVerified: true },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    return { success: false, errorCode: ACCOUNT_EMAIL_ERROR_CODES.VERIFICATION_TOKEN_INVALID };
+  }
+
+  return { success: true, user };
+}
+
+/**
+ * Default export object containing all account email utilities
+ */
+export default {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail
+};
@@ -0,0 +1,232 @@
+/**
+ * AI Interview Coach Backend - Assignment Service
+ *
+ * This file implements practice interview assignments. Counselors assign an
+ * interview configuration to students on their roster; a student completes an
+ * assignment by ending an interview started from it, which links the
+ * transcript so the counselor can review the rating.
+ *
+ * Key Features:
+ * - Assigning one configuration to several roster students at once
+ * - Open and completed assignment lists for students and counselors
+ * - Atomic completion so an assignment links exactly one transcript
+ *
+ * Related Files:
+ * - src/models/Assignment.ts - Assignment model
+ * - src/services/roster.service.ts - Roster membership checks
+ * - src/routes/organization.routes.ts - Counselor endpoints
+ * - src/routes/assignment.routes.ts - Student endpoints
+ * - src/routes/chat.routes.ts - Completion when an interview ends
+ *
+ * Task: Counselor workspace with rosters, invitations and assigned practice interviews
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Types } from 'mongoose';
+import Assignment, { IAssignment, ASSIGNMENT_STATUS, AssignmentStatus } from '../models/Assignment';
+import RosterMembership, { ROSTER_STATUS } from '../models/RosterMembership';
+import Organization, { IOrganization } from '../models/Organization';
+import User from '../models/User';
+import { InterviewType, InterviewDifficulty } from '../models/Interview';
+
+/**
+ * Interface for the interview configuration a counselor assigns
+ */
+export interface IAssignmentConfig {
+  interviewType: InterviewType;
+  difficulty: InterviewDifficulty;
+  targetCollege?: string;
+  instructions?: string;
+  dueDate?: Date;
+}
+
+/**
+ * Interface for an assignment as returned by the API
+ */
+export interface IAssignmentResponse {
+  id: string;
+  organizationId: string;
+  organizationName?: string;
+  studentId: string;
+  studentName?: string;
+  interviewType: InterviewType;
+  difficulty: InterviewDifficulty;
+  targetCollege?: string;
+  instructions?: string;
+  dueDate?: string;
+  status: AssignmentStatus;
+  transcriptId?: string;
+  completedAt?: string;
+  createdAt: string;
+}
+
+/**
+ * Builds the API representation of an assignment
+ *
+ * @param {IAssignment} assignment - Assignment document
+ * @param {Object} names - Optional organization and student names
+ * @returns {IAssignmentResponse} Assignment without internal fields
+ */
+export function toAssignmentResponse(
+  assignment: IAssignment,
+  names: { organizationName?: string; studentName?: string } = {}
+): IAssignmentResponse {
+  return {
+    id: (assignment._id as Types.ObjectId).toString(),
+    organizationId: assignment.organizationId.toString(),
+    ...(names.organizationName && { organizationName: names.organizationName }),
+    studentId: assignment.studentId.toString(),
+    ...(names.studentName && { studentName: names.studentName }),
+    interviewType: assignment.interviewType,
+    difficulty: assignment.difficulty,
+    ...(assignment.targetCollege && { targetCollege: assignment.targetCollege }),
+    ...(assignment.instructions && { instructions: assignment.instructions }),
+    ...(assignment.dueDate && { dueDate: assignment.dueDate.toISOString() }),
+    status: assignment.status,
+    ...(assignment.transcriptId && { transcriptId: assignment.transcriptId.toString() }),
+    ...(assignment.completedAt && { completedAt: assignment.completedAt.toISOString() }),
+    createdAt: assignment.createdAt.toISOString()
+  };
+}
+
+/**
+ * Assigns a practice interview to students on an organization's roster
+ * Students who are not on the active roster are skipped and reported.
+ *
+ * @param {IOrganization} organization - Organization the students belong to
+ * @param {Types.ObjectId} counselorId - Counselor creating the assignment
+ * @param {string[]} studentIds - Students to assign
+ * @param {IAssignmentConfig} config - Interview configuration
+ * @returns {Promise<{ assignments: IAssignment[]; skippedStudentIds: string[] }>} Created assignments
+ */
+export async function createAssignments(
+  organization: IOrganization,
+  counselorId: Types.ObjectId,
+  studentIds: string[],
+  config: IAssignmentConfig
+): Promise<{ assignments: IAssignment[]; skippedStudentIds: string[] }> {
+  const uniqueIds = [...new Set(studentIds)];
+  const memberships = await RosterMembership.find({
+    organizationId: organization._id,
+    studentId: { $in: uniqueIds },
+    status: ROSTER_STATUS.ACTIVE
+  });
+  const rosterIds = new Set(memberships.map(membership => membership.studentId.toString()));
+
+  const assignable = uniqueIds.filter(id => rosterIds.has(id));
+  const assignments = assignable.length > 0
+    ? await Assignment.insertMany(assignable.map(studentId => ({
+      organizationId: organization._id,
+      counselorId,
+      studentId,
+      interviewType: config.interviewType,
+      difficulty: config.difficulty,
+      ...(config.targetCollege && { targetCollege: config.targetCollege }),
+      ...(config.instructions && { instructions: config.instructions }),
+      ...(config.dueDate && { dueDate: config.dueDate })
+    })))
+    : [];
+
+  return {
+    assignments: assignments as unknown as IAssignment[],
+    skippedStudentIds: uniqueIds.filter(id => !rosterIds.has(id))
+  };
+}
+
+/**
+ * Lists an organization's assignments with student names
+ *
+ * @param {Types.ObjectId} organizationId - Organization ID
+ * @returns {Promise<IAssignmentResponse[]>} Newest first
+ */
+export async function getOrganizationAssignments(organizationId: Types.ObjectId): Promise<IAssignmentResponse[]> {
+  const assignments = await Assignment.find({ organizationId }).sort({ createdAt: -1 });
+  const students = await User.find({ _id: { $in: assignments.map(assignment => assignment.studentId) } })
+    .select('name');
+  const names = new Map(students.map(student => [(student._id as Types.ObjectId).toString(), student.name]));
+
+  return assignments.map(assignment => toAssignmentResponse(assignment, {
+    studentName: names.get(assignment.studentId.toString()) || ''
+  }));
+}
+
+/**
+ * Lists a student's assignments with organization names
+ * Open assignments come first, ordered by due date.
+ *
+ * @param {Types.ObjectId} studentId - Student's user ID
+ * @returns {Promise<IAssignmentResponse[]>} The student's assignments
+ */
+export async function getStudentAssignments(studentId: Types.ObjectId): Promise<IAssignmentResponse[]> {
+  const assignments = await Assignment.find({
+    studentId,
+    status: { $in: [ASSIGNMENT_STATUS.ASSIGNED, ASSIGNMENT_STATUS.COMPLETED] }
+  }).sort({ createdAt: -1 });
+  const organizations = await Organization.find({
+    _id: { $in: assignments.map(assignment => assignment.organizationId) }
+  }).select('name');
+  const names = new Map(organizations.map(org => [(org._id as Types.ObjectId).toString(), org.name]));
+
+  const dueTime = (assignment: IAssignment) => assignment.dueDate?.getTime() ?? Number.MAX_SAFE_INTEGER;
+  const open = assignments
+    .filter(assignment => assignment.status === ASSIGNMENT_STATUS.ASSIGNED)
+    .sort((a, b) => dueTime(a) - dueTime(b));
+  const completed = assignments.filter(assignment => assignment.status === ASSIGNMENT_STATUS.COMPLETED);
+
+  return [...open, ...completed].map(assignment => toAssignmentResponse(assignment, {
+    organizationName: names.get(assignment.organizationId.toString()) || ''
+  }));
+}
+
+/**
+ * Marks a student's open assignment completed by an interview transcript
+ *
+ * @param {string} assignmentId - Assignment ID
+ * @param {Types.ObjectId} studentId - Student who ended the interview
+ * @param {Types.ObjectId} transcriptId - Transcript of the interview
+ * @returns {Promise<IAssignment | null>} The completed assignment, or null if it was not open
+ */
+export async function completeAssignment(
+  assignmentId: string,
+  studentId: Types.ObjectId,
+  transcriptId: Types.ObjectId
+): Promise<IAssignment | null> {
+  if (!Types.ObjectId.isValid(assignmentId)) {
+    return null;
+  }
+
+  return Assignment.findOneAndUpdate(
+    { _id: assignmentId, studentId, status: ASSIGNMENT_STATUS.ASSIGNED },
+    { $set: { status: ASSIGNMENT_STATUS.COMPLETED, transcriptId, completedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Cancels an open assignment
+ *
+ * @param {Types.ObjectId} organizationId - Organization the assignment belongs to
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<boolean>} True if an open assignment was cancelled
+ */
+export async function cancelAssignment(organizationId: Types.ObjectId, assignmentId: string): Promise<boolean> {
+  const result = await Assignment.updateOne(
+    { _id: assignmentId, organizationId, status: ASSIGNMENT_STATUS.ASSIGNED },
+    { $set: { status: ASSIGNMENT_STATUS.CANCELLED } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Default export object containing all assignment utilities
+ */
+export default {
+  toAssignmentResponse,
+  createAssignments,
+  getOrganizationAssignments,
+  getStudentAssignments,
+  completeAssignment,
+  cancelAssignment
+};
@@ -7,6 +7,8 @@
  * 
  * Key Features:
  * - JWT token generation with configurable expiration
+ * - Typed access and refresh tokens with unique token IDs for revocation
+ * - Single-purpose tokens for password reset and email verification links
  * - Token verification and validation
  * - Secure payload handling with user identification
  * - Error handling for authentication failures
@@ -22,6 +24,7 @@
  * - src/models/User.ts - User model with password hashing
  * - src/middleware/auth.ts - Authentication middleware (future)
  * - src/routes/auth.routes.ts - Authentication routes (future)
+ * - src/services/refreshToken.service.ts - Refresh token persistence and rotation
  * 
  * Task: #10 - JWT token generation service
  * 
@@ -30,8 +33,33 @@
  */
 
 import * as jwt from 'jsonwebtoken';
+import * as crypto from 'crypto';
 import type { StringValue } from 'ms';
 
+/**
+ * Token type claims used to keep tokens issued for one purpose from being
+ * accepted in place of another
+ */
+export const TOKEN_TYPES = {
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  TWO_FACTOR_CHALLENGE: 'two_factor_challenge'
+} as const;
+
+export type TokenType = typeof TOKEN_TYPES[keyof typeof TOKEN_TYPES];
+
+/**
+ * Default lifetimes for issued tokens
+ * Access tokens are short enough to limit exposure, refresh tokens cover a school week
+ */
+export const ACCESS_TOKEN_EXPIRES_IN: StringValue = '15m';
+export const REFRESH_TOKEN_EXPIRES_IN: StringValue = '7d';
+export const PASSWORD_RESET_TOKEN_EXPIRES_IN: StringValue = '1h';
+export const EMAIL_VERIFICATION_TOKEN_EXPIRES_IN: StringValue = '48h';
+export const TWO_FACTOR_CHALLENGE_TOKEN_EXPIRES_IN: StringValue = '5m';
+
 /**
  * Interface for JWT payload structure
  * Contains user identification and token metadata
@@ -39,7 +67,10 @@ import type { StringValue } from 'ms';
 export interface IJwtPayload {
   userId: string;
   email: string;
+  tokenType?: TokenType; // Missing on tokens issued before refresh support
+  jti?: string; // Token identifier used for revocation
   iat?: number; // Issued at timestamp
+  iatMs?: number; // Issued at, in milliseconds; missing on older tokens
   exp?: number; // Expiration timestamp
 }
 
@@ -68,9 +99,11 @@ export interface IVerifyResult {
  * Allows customization of expiration times
  */
 export interface ITokenConfig {
-  expiresIn?: StringValue | number; // Default: '24h'
+  expiresIn?: StringValue | number; // Default: ACCESS_TOKEN_EXPIRES_IN
   audience?: string;
   issuer?: string;
+  tokenType?: TokenType; // Default: 'access'
+  jwtId?: string;
 }
 
 /**
@@ -104,11 +137,13 @@ export function generateToken(
     throw new Error('User ID and email are required for token generation');
   }
 
-  const expiresIn = config.expiresIn || '24h';
+  const expiresIn = config.expiresIn || ACCESS_TOKEN_EXPIRES_IN;
   
   const payload: IJwtPayload = {
     userId,
-    email
+    email,
+    tokenType: config.tokenType || TOKEN_TYPES.ACCESS,
+    iatMs: Date.now() // iat has whole seconds; user-wide revocation needs finer ordering
   };
 
   const tokenOptions: jwt.SignOptions = {
@@ -125,6 +160,9 @@ export function generateToken(
     tokenOptions.issuer = config.issuer;
   }
 
+  // Every token gets an identifier so it can be revoked individually
+  tokenOptions.jwtid = config.jwtId || generateTokenId();
+
   try {
     const token = jwt.sign(payload, jwtSecret, tokenOptions);
     
@@ -234,20 +272,136 @@ export function extractTokenFromHeader(authHeader: string | undefined): string |
  * Generates a refresh token with longer expiration
  * Used for implementing refresh token strategy
  * 
+ * Refresh tokens carry a `refresh` type claim and a unique token ID (jti) so the
+ * server can persist, rotate and revoke them individually.
+ * 
  * @param {string} userId - The user's unique identifier
  * @param {string} email - The user's email address
- * @returns {ITokenResult} The generated refresh token
+ * @param {string} tokenId - Optional token identifier; a random one is generated if omitted
+ * @returns {ITokenResult & { tokenId: string }} The generated refresh token with its identifier
  * 
  * @example
  * ```typescript
  * const refreshToken = generateRefreshToken('user123', 'user@example.com');
- * // Store refresh token securely for future access token generation
+ * // Persist refreshToken.tokenId so the token can be rotated or revoked later
  * ```
  */
-export function generateRefreshToken(userId: string, email: string): ITokenResult {
-  return generateToken(userId, email, { 
-    expiresIn: '7d' // Refresh tokens last 7 days
+export function generateRefreshToken(
+  userId: string,
+  email: string,
+  tokenId: string = generateTokenId()
+): ITokenResult & { tokenId: string } {
+  const tokenResult = generateToken(userId, email, { 
+    expiresIn: REFRESH_TOKEN_EXPIRES_IN, // Refresh tokens last 7 days
+    tokenType: TOKEN_TYPES.REFRESH,
+    jwtId: tokenId
   });
+
+  return { ...tokenResult, tokenId };
+}
+
+/**
+ * Verifies a refresh token and ensures it was issued as a refresh token
+ * 
+ * @param {string} token - The refresh token to verify
+ * @returns {IVerifyResult} Verification result with payload or error
+ * 
+ * @example
+ * ```typescript
+ * const result = verifyRefreshToken(req.body.refreshToken);
+ * if (result.isValid && result.payload?.jti) {
+ *   // Look up the persisted token by its jti
+ * }
+ * ```
+ */
+export function verifyRefreshToken(token: string): IVerifyResult {
+  return verifyTokenOfType(token, TOKEN_TYPES.REFRESH);
+}
+
+/**
+ * Generates a short-lived token for a single purpose such as a password reset
+ * or email verification link
+ * 
+ * The caller persists a hash of the token so it can be consumed exactly once.
+ * 
+ * @param {string} userId - The user's unique identifier
+ * @param {string} email - The user's email address
+ * @param {TokenType} tokenType - Purpose of the token
+ * @param {StringValue | number} expiresIn - Token lifetime
+ * @returns {ITokenResult} The generated token with expiration information
+ * 
+ * @example
+ * ```typescript
+ * const reset = generatePurposeToken(userId, email, TOKEN_TYPES.PASSWORD_RESET, PASSWORD_RESET_TOKEN_EXPIRES_IN);
+ * user.resetPasswordToken = hashToken(reset.token);
+ * ```
+ */
+export function generatePurposeToken(
+  userId: string,
+  email: string,
+  tokenType: TokenType,
+  expiresIn: StringValue | number
+): ITokenResult {
+  return generateToken(userId, email, { expiresIn, tokenType });
+}
+
+/**
+ * Verifies a token and ensures it was issued for the expected purpose
+ * 
+ * @param {string} token - The token to verify
+ * @param {TokenType} tokenType - The purpose the token must have been issued for
+ * @returns {IVerifyResult} Verification result with payload or error
+ * 
+ * @example
+ * ```typescript
+ * const result = verifyTokenOfType(req.body.token, TOKEN_TYPES.EMAIL_VERIFICATION);
+ * ```
+ */
+export function verifyTokenOfType(token: string, tokenType: TokenType): IVerifyResult {
+  const result = verifyToken(token);
+
+  if (!result.isValid || !result.payload) {
+    return result;
+  }
+
+  if (result.payload.tokenType !== tokenType || !result.payload.jti) {
+    return {
+      isValid: false,
+      error: `Token is not a ${tokenType.replace(/_/g, ' ')} token`
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Checks whether a verified payload may be used to access resources
+ * Tokens issued before token types existed are treated as access tokens.
+ * 
+ * @param {IJwtPayload} payload - Decoded token payload
+ * @returns {boolean} True if the token is an access token
+ */
+export function isAccessToken(payload: IJwtPayload): boolean {
+  return !payload.tokenType || payload.tokenType === TOKEN_TYPES.ACCESS;
+}
+
+/**
+ * Generates a random identifier for refresh tokens
+ * 
+ * @returns {string} 32-character hexadecimal identifier
+ */
+export function generateTokenId(): string {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Hashes a token for storage so raw tokens are never persisted
+ * 
+ * @param {string} token - Raw token value
+ * @returns {string} SHA-256 hex digest of the token
+ */
+export function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
 }
 
 /**
@@ -288,5 +442,11 @@ export default {
   verifyToken,
   extractTokenFromHeader,
   generateRefreshToken,
+  verifyRefreshToken,
+  generatePurposeToken,
+  verifyTokenOfType,
+  isAccessToken,
+  generateTokenId,
+  hashToken,
   isTokenExpired
 }; 
\ No newline at end of file
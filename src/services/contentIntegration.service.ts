@@ -7,15 +7,23 @@
  * 
  * Key Features:
  * - Smart content selection based on conversation context
+ * - Passages ranked against the current question, cited by document and passage
  * - Automatic summarization for token management
  * - Content formatting for AI prompt integration
  * - Relevance scoring and filtering
+ * - Token counts and truncation with the model's own tokenizer
  * 
  * @author AI Interview Coach Team
  * @version 1.0.0
  */
 
 import UploadedFile, { IUploadedFile } from '../models/UploadedFile';
+import { LLM_USAGE_FEATURES } from '../models/LLMUsage';
+import type { IUsageContext } from './usage.service';
+import { countTokens, truncateToTokens, DEFAULT_TOKENIZER_MODEL } from './tokenizer.service';
+import { planContextBudget } from './contextBudget.service';
+import { searchUploadedFiles, formatCitedPassages, ICitedSource } from './retrieval.service';
+import { parseProfileDocument, formatActivity } from './profileExtraction.service';
 import { Types } from 'mongoose';
 
 /**
@@ -59,66 +67,72 @@ export async function getUserUploadedContent(userId: string): Promise<string | n
 }
 
 /**
- * Selects relevant content based on conversation context
+ * Model that summarizes content (faster and with a larger window than the chat model)
+ */
+const SUMMARY_MODEL = 'gpt-3.5-turbo';
+
+/**
+ * Interface for retrieved content ready for a prompt
+ */
+export interface IRelevantContent {
+  content: string; // Cited passages
+  tokenCount: number;
+  sources: ICitedSource[];
+}
+
+/**
+ * Retrieves the passages most relevant to the conversation, with citations
+ * Passages are ranked against the current question and answer; when nothing
+ * matches, the opening passages of the documents are used instead.
  * 
  * @param {IUploadedFile[]} files - User's uploaded files
- * @param {string} context - Current conversation context
+ * @param {string} context - Current question and answer
  * @param {number} maxTokens - Maximum tokens to include
- * @returns {Promise<string | null>} Relevant content or null
+ * @param {string} model - Model whose tokenizer sizes the content
+ * @param {IUsageContext} usageContext - User any query embedding is metered for
+ * @returns {Promise<IRelevantContent | null>} Cited passages and their sources, or null
  */
-export async function selectRelevantContent(
+export async function retrieveRelevantContent(
   files: IUploadedFile[],
   context: string,
-  maxTokens: number = 2000
-): Promise<string | null> {
+  maxTokens: number = 2000,
+  model: string = DEFAULT_TOKENIZER_MODEL,
+  usageContext: IUsageContext = {}
+): Promise<IRelevantContent | null> {
   console.log('\n=== SELECT RELEVANT CONTENT DEBUG ===');
   console.log(`Files passed: ${files.length}`);
   console.log(`Context: "${context.substring(0, 100)}..."`);
   console.log(`Max tokens: ${maxTokens}`);
-  
-  if (files.length === 0) {
-    console.log('No files provided, returning null');
-    return null;
-  }
-
-  // Log file details
-  files.forEach((file, index) => {
-    console.log(`File ${index + 1}: ${file.originalName}`);
-    console.log(`  - Has extracted text: ${!!file.extractedText}`);
-    console.log(`  - Text length: ${file.extractedText?.length || 0}`);
-    if (file.extractedText) {
-      console.log(`  - Text preview: "${file.extractedText.substring(0, 100)}..."`);
-    }
-  });
-
-  // For now, combine all content (can be enhanced with relevance scoring later)
-  const allContent = files
-    .filter(file => file.extractedText && file.extractedText.trim().length > 0)
-    .map(file => `=== ${file.originalName} ===\n${file.extractedText || ''}`)
-    .join('\n\n');
 
-  console.log(`Combined content length: ${allContent.length} chars`);
-
-  if (!allContent.trim()) {
-    console.log('All content is empty after filtering, returning null');
+  const filesWithText = files.filter(file => file.extractedText && file.extractedText.trim().length > 0);
+  if (filesWithText.length === 0 || maxTokens <= 0) {
+    console.log('No content or no room for it, returning null');
     return null;
   }
 
-  // Check if content needs to be truncated
-  const estimatedTokens = estimateTokenCount(allContent);
-  if (estimatedTokens <= maxTokens) {
-    return allContent;
-  }
+  const passages = await searchUploadedFiles(filesWithText, context, { usageContext });
+  const cited = formatCitedPassages(passages, maxTokens, model);
 
-  // Truncate content to fit within token limit
-  const avgCharsPerToken = 4;
-  const maxChars = maxTokens * avgCharsPerToken;
-  
-  if (allContent.length > maxChars) {
-    return allContent.substring(0, maxChars) + '...\n\n[Content truncated to fit token limit]';
-  }
+  return cited.sources.length > 0 ? cited : null;
+}
 
-  return allContent;
+/**
+ * Selects relevant content based on conversation context
+ * 
+ * @param {IUploadedFile[]} files - User's uploaded files
+ * @param {string} context - Current question and answer
+ * @param {number} maxTokens - Maximum tokens to include
+ * @param {string} model - Model whose tokenizer sizes the content
+ * @returns {Promise<string | null>} Cited passages or null
+ */
+export async function selectRelevantContent(
+  files: IUploadedFile[],
+  context: string,
+  maxTokens: number = 2000,
+  model: string = DEFAULT_TOKENIZER_MODEL
+): Promise<string | null> {
+  const relevant = await retrieveRelevantContent(files, context, maxTokens, model);
+  return relevant ? relevant.content : null;
 }
 
 /**
@@ -179,15 +193,14 @@ export function formatContentForPrompt(
 }
 
 /**
- * Estimates token count for content
- * Uses OpenAI's rule of thumb: 1 token ≈ 4 characters
+ * Counts the tokens in content with the model's tokenizer
  * 
- * @param {string} content - Content to estimate
- * @returns {number} Estimated token count
+ * @param {string} content - Content to count
+ * @param {string} model - Model whose tokenizer to use
+ * @returns {number} Token count
  */
-export function estimateTokenCount(content: string): number {
-  if (!content) return 0;
-  return Math.ceil(content.length / 4);
+export function estimateTokenCount(content: string, model: string = DEFAULT_TOKENIZER_MODEL): number {
+  return countTokens(content, model);
 }
 
 /**
@@ -195,16 +208,19 @@ export function estimateTokenCount(content: string): number {
  * 
  * @param {string} content - Content to summarize
  * @param {number} targetTokens - Target token count for summary
+ * @param {IUsageContext} usageContext - User the call is metered for
  * @returns {Promise<string>} Summarized content
  */
 export async function summarizeContent(
   content: string,
-  targetTokens: number = 1000
+  targetTokens: number = 1000,
+  usageContext: IUsageContext = {}
 ): Promise<string> {
   try {
     // Import createChatCompletion from openai.service
     const { createChatCompletion } = await import('./openai.service');
     
+    const instructions = `Summarize the following content in at most ${Math.floor(targetTokens * 0.75)} words, focusing on information relevant for college interviews:\n\n`;
     const messages = [
       {
         role: 'system' as const,
@@ -212,23 +228,32 @@ export async function summarizeContent(
       },
       {
         role: 'user' as const,
-        content: `Summarize the following content in approximately ${targetTokens * 4} characters, focusing on information relevant for college interviews:\n\n${content}`
+        content: instructions
       }
     ];
 
+    // Content longer than the summarizer's own context window is cut first
+    const budget = planContextBudget({
+      model: SUMMARY_MODEL,
+      messages,
+      maxResponseTokens: targetTokens,
+      maxContentTokens: estimateTokenCount(content, SUMMARY_MODEL)
+    });
+    messages[1]!.content += truncateToTokens(content, budget.contentTokens, SUMMARY_MODEL);
+
     const summary = await createChatCompletion(messages, {
       temperature: 0.3,
-      max_tokens: targetTokens,
-      model: 'gpt-3.5-turbo'
+      max_tokens: budget.responseTokens,
+      model: SUMMARY_MODEL,
+      usageContext: { ...usageContext, feature: LLM_USAGE_FEATURES.SUMMARIZATION }
     });
 
-    return summary || content.substring(0, targetTokens * 4);
+    return summary || truncateToTokens(content, targetTokens);
   } catch (error) {
     console.error('Error summarizing content:', error);
     // Fallback to simple truncation
-    const maxChars = targetTokens * 4;
-    return content.length > maxChars 
-      ? content.substring(0, maxChars) + '...'
+    return estimateTokenCount(content) > targetTokens
+      ? truncateToTokens(content, targetTokens - estimateTokenCount('...')) + '...'
       : content;
   }
 }
@@ -327,16 +352,19 @@ export function extractKeyInfo(content: string): {
     .map(match => match.trim())
     .filter((value, index, self) => self.indexOf(value) === index);
 
+  const profile = parseProfileDocument(content);
+
   return {
     schools: schools.slice(0, 5), // Limit to top 5
     majors: majors.slice(0, 3),   // Limit to top 3
-    activities: [],               // To be implemented
-    achievements: []              // To be implemented
+    activities: profile.activities.map(formatActivity),
+    achievements: profile.awards.map(award => award.title)
   };
 }
 
 export default {
   getUserUploadedContent,
+  retrieveRelevantContent,
   selectRelevantContent,
   formatContentForPrompt,
   estimateTokenCount,
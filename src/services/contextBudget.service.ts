@@ -0,0 +1,156 @@
+/**
+ * AI Interview Coach Backend - Context Budget Service
+ *
+ * This file plans how a chat request's context window is shared between the
+ * system prompt, the user's uploaded content, the conversation history and
+ * the reply, using exact token counts from the tokenizer service.
+ *
+ * Key Features:
+ * - Reserves room for the reply before anything else
+ * - The system prompt is always sent in full
+ * - Uploaded content gets what it asks for, up to its cap, as long as the
+ *   conversation keeps at least half of the remaining room
+ * - The oldest turns are dropped when the conversation no longer fits
+ * - A safety margin covers approximate counts for models the tokenizer does not know
+ *
+ * Related Files:
+ * - src/services/tokenizer.service.ts - Token counts and context window sizes
+ * - src/services/contentIntegration.service.ts - Fits uploaded content to its budget
+ * - src/routes/chat.routes.ts - Chat endpoints that plan their prompts
+ *
+ * Task: Accurate tokenizer-based context budgeting
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import {
+  countMessageTokens,
+  getContextWindow,
+  ITokenizedMessage,
+  DEFAULT_TOKENIZER_MODEL
+} from './tokenizer.service';
+
+/**
+ * Share of the context window kept free for counting differences
+ */
+const SAFETY_MARGIN_RATIO = 0.05;
+
+/**
+ * Largest share of the context window the reply may reserve
+ */
+const MAX_RESPONSE_RATIO = 0.25;
+
+/**
+ * Share of the room left after the system prompt that the conversation keeps
+ * before uploaded content is added
+ */
+const HISTORY_SHARE = 0.5;
+
+/**
+ * Interface for context budget planning parameters
+ */
+export interface IContextBudgetParams {
+  model?: string;
+  messages: ITokenizedMessage[]; // System prompt and conversation, before uploaded content is added
+  maxResponseTokens: number;
+  maxContentTokens?: number; // Most the uploaded content may use (default: none)
+}
+
+/**
+ * Interface for a planned context budget (all values in tokens)
+ */
+export interface IContextBudget {
+  model: string;
+  contextWindow: number;
+  safetyMargin: number;
+  responseTokens: number; // Reserved for the reply; use as max_tokens
+  promptTokens: number; // Everything the prompt may use
+  systemTokens: number;
+  historyTokens: number; // What the whole conversation needs
+  contentTokens: number; // Granted to uploaded content
+}
+
+/**
+ * Interface for messages fitted to a budget
+ */
+export interface IFittedMessages<T extends ITokenizedMessage> {
+  messages: T[];
+  droppedMessages: number;
+  promptTokens: number;
+}
+
+/**
+ * Plans the token budget of a chat request
+ *
+ * @param {IContextBudgetParams} params - Model, messages and limits
+ * @returns {IContextBudget} Tokens for each part of the prompt and the reply
+ *
+ * @example
+ * ```typescript
+ * const budget = planContextBudget({ messages, maxResponseTokens: 1000, maxContentTokens: 2000 });
+ * const content = await selectRelevantContent(files, context, budget.contentTokens, budget.model);
+ * ```
+ */
+export function planContextBudget(params: IContextBudgetParams): IContextBudget {
+  const model = params.model || DEFAULT_TOKENIZER_MODEL;
+  const contextWindow = getContextWindow(model);
+  const safetyMargin = Math.ceil(contextWindow * SAFETY_MARGIN_RATIO);
+  const responseTokens = Math.max(0, Math.min(params.maxResponseTokens, Math.floor(contextWindow * MAX_RESPONSE_RATIO)));
+  const promptTokens = contextWindow - safetyMargin - responseTokens;
+
+  const systemMessages = params.messages.filter(message => message.role === 'system');
+  const history = params.messages.filter(message => message.role !== 'system');
+
+  // The reply priming is counted once, with the system prompt
+  const systemTokens = countMessageTokens(systemMessages, model);
+  const historyTokens = countMessageTokens(history, model) - countMessageTokens([], model);
+
+  const available = Math.max(0, promptTokens - systemTokens);
+  const historyReserve = Math.min(historyTokens, Math.ceil(available * HISTORY_SHARE));
+  const contentTokens = Math.max(0, Math.min(params.maxContentTokens ?? 0, available - historyReserve));
+
+  return {
+    model,
+    contextWindow,
+    safetyMargin,
+    responseTokens,
+    promptTokens,
+    systemTokens,
+    historyTokens,
+    contentTokens
+  };
+}
+
+/**
+ * Drops the oldest conversation turns until the messages fit the prompt budget
+ * System messages and the latest turn are always kept.
+ *
+ * @param {T[]} messages - Final messages, with uploaded content already added
+ * @param {IContextBudget} budget - Budget from planContextBudget
+ * @returns {IFittedMessages<T>} Messages to send and how many turns were dropped
+ */
+export function fitMessagesToBudget<T extends ITokenizedMessage>(messages: T[], budget: IContextBudget): IFittedMessages<T> {
+  const fitted = [...messages];
+  let promptTokens = countMessageTokens(fitted, budget.model);
+  let droppedMessages = 0;
+
+  while (promptTokens > budget.promptTokens) {
+    const oldestTurn = fitted.findIndex(message => message.role !== 'system');
+    const isLatestTurn = fitted.slice(oldestTurn + 1).every(message => message.role === 'system');
+    if (oldestTurn < 0 || isLatestTurn) {
+      break;
+    }
+
+    const [dropped] = fitted.splice(oldestTurn, 1);
+    promptTokens -= countMessageTokens([dropped!], budget.model) - countMessageTokens([], budget.model);
+    droppedMessages++;
+  }
+
+  return { messages: fitted, droppedMessages, promptTokens };
+}
+
+export default {
+  planContextBudget,
+  fitMessagesToBudget
+};
@@ -0,0 +1,218 @@
+/**
+ * AI Interview Coach Backend - Conversation Service
+ *
+ * This file implements server-side storage of interviews in progress. The
+ * client appends each turn as it happens instead of keeping the whole chat in
+ * memory, so an interview can be resumed after a refresh or from another
+ * device, and ending it only needs the conversation ID.
+ *
+ * Key Features:
+ * - Starting a conversation linked to an Interview or counselor assignment
+ * - Appending messages with a per-conversation limit
+ * - Listing a user's conversations to resume
+ * - Marking a conversation ended with the transcript it produced
+ *
+ * Related Files:
+ * - src/models/Conversation.ts - Conversation model
+ * - src/routes/conversation.routes.ts - Conversation endpoints
+ * - src/routes/chat.routes.ts - Ends the interview from a conversation
+ *
+ * Task: Server-side conversation persistence and resumable interviews
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Types } from 'mongoose';
+import Conversation, {
+  IConversation,
+  ConversationStatus,
+  CONVERSATION_STATUS,
+  CONVERSATION_IDLE_TTL_DAYS,
+  MAX_CONVERSATION_MESSAGES
+} from '../models/Conversation';
+import Interview from '../models/Interview';
+import Assignment, { ASSIGNMENT_STATUS } from '../models/Assignment';
+import { ITranscriptMessage, IInterviewContext } from '../models/InterviewTranscript';
+
+/**
+ * Error codes returned when a conversation operation is rejected
+ */
+export const CONVERSATION_ERROR_CODES = {
+  INTERVIEW_NOT_FOUND: 'INTERVIEW_NOT_FOUND',
+  ASSIGNMENT_NOT_OPEN: 'ASSIGNMENT_NOT_OPEN',
+  CONVERSATION_ENDED: 'CONVERSATION_ENDED',
+  TOO_MANY_MESSAGES: 'TOO_MANY_MESSAGES'
+} as const;
+
+export type ConversationErrorCode = typeof CONVERSATION_ERROR_CODES[keyof typeof CONVERSATION_ERROR_CODES];
+
+/**
+ * Interface for a new conversation
+ */
+export interface IConversationInput {
+  interviewContext: IInterviewContext;
+  messages?: Pick<ITranscriptMessage, 'sender' | 'text'>[]; // Opening messages, such as the greeting
+  interviewId?: string;
+  assignmentId?: string;
+}
+
+/**
+ * Interface for a conversation as returned by the API
+ */
+export interface IConversationResponse {
+  id: string;
+  status: ConversationStatus;
+  interviewContext: IInterviewContext;
+  interviewId: string | null;
+  assignmentId: string | null;
+  transcriptId: string | null;
+  messageCount: number;
+  messages?: ITranscriptMessage[];
+  lastMessage?: ITranscriptMessage | null;
+  createdAt: Date;
+  updatedAt: Date;
+  endedAt: Date | null;
+}
+
+/**
+ * Interface for the result of a conversation operation
+ */
+export interface IConversationResult {
+  success: boolean;
+  conversation?: IConversation;
+  errorCode?: ConversationErrorCode;
+}
+
+/**
+ * Returns the expiry for a conversation that was just active
+ */
+function nextExpiry(): Date {
+  return new Date(Date.now() + CONVERSATION_IDLE_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Stamps messages with the time they were received
+ */
+function toMessages(messages: Pick<ITranscriptMessage, 'sender' | 'text'>[]): ITranscriptMessage[] {
+  const timestamp = new Date();
+  return messages.map(message => ({ sender: message.sender, text: message.text.trim(), timestamp }));
+}
+
+/**
+ * Formats a conversation for API responses
+ *
+ * @param {IConversation} conversation - The conversation
+ * @param {boolean} includeMessages - Include every message (otherwise only the last one)
+ * @returns {IConversationResponse} The API representation
+ */
+export function toConversationResponse(conversation: IConversation, includeMessages: boolean): IConversationResponse {
+  const messages = conversation.messages || [];
+
+  return {
+    id: (conversation._id as Types.ObjectId).toString(),
+    status: conversation.status,
+    interviewContext: conversation.interviewContext,
+    interviewId: conversation.interviewId?.toString() ?? null,
+    assignmentId: conversation.assignmentId?.toString() ?? null,
+    transcriptId: conversation.transcriptId?.toString() ?? null,
+    messageCount: messages.length,
+    ...(includeMessages ? { messages } : { lastMessage: messages[messages.length - 1] ?? null }),
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    endedAt: conversation.endedAt ?? null
+  };
+}
+
+/**
+ * Starts a conversation for a user
+ * A linked interview must belong to the user; a linked assignment must be
+ * one of the user's open assignments.
+ *
+ * @param {Types.ObjectId} userId - The interviewing user
+ * @param {IConversationInput} input - Interview context, links and opening messages
+ * @returns {Promise<IConversationResult>} The new conversation or the reason it was rejected
+ */
+export async function createConversation(userId: Types.ObjectId, input: IConversationInput): Promise<IConversationResult> {
+  if (input.interviewId && !(await Interview.exists({ _id: input.interviewId, userId }))) {
+    return { success: false, errorCode: CONVERSATION_ERROR_CODES.INTERVIEW_NOT_FOUND };
+  }
+
+  if (input.assignmentId &&
+      !(await Assignment.exists({ _id: input.assignmentId, studentId: userId, status: ASSIGNMENT_STATUS.ASSIGNED }))) {
+    return { success: false, errorCode: CONVERSATION_ERROR_CODES.ASSIGNMENT_NOT_OPEN };
+  }
+
+  const conversation = await Conversation.create({
+    userId,
+    interviewContext: input.interviewContext,
+    messages: toMessages(input.messages || []),
+    ...(input.interviewId && { interviewId: input.interviewId }),
+    ...(input.assignmentId && { assignmentId: input.assignmentId })
+  });
+
+  return { success: true, conversation };
+}
+
+/**
+ * Lists a user's conversations, most recently active first
+ *
+ * @param {Types.ObjectId} userId - The user
+ * @param {ConversationStatus} status - Only conversations in this status
+ * @returns {Promise<IConversation[]>} The conversations
+ */
+export async function listConversations(userId: Types.ObjectId, status?: ConversationStatus): Promise<IConversation[]> {
+  return Conversation.find({ userId, ...(status && { status }) }).sort({ updatedAt: -1 }).limit(20);
+}
+
+/**
+ * Appends messages to an active conversation
+ *
+ * @param {IConversation} conversation - The conversation
+ * @param {Array} messages - Messages to append, in order
+ * @returns {Promise<IConversationResult>} The updated conversation or the reason it was rejected
+ */
+export async function appendMessages(
+  conversation: IConversation,
+  messages: Pick<ITranscriptMessage, 'sender' | 'text'>[]
+): Promise<IConversationResult> {
+  if (conversation.status !== CONVERSATION_STATUS.ACTIVE) {
+    return { success: false, errorCode: CONVERSATION_ERROR_CODES.CONVERSATION_ENDED };
+  }
+
+  if (conversation.messages.length + messages.length > MAX_CONVERSATION_MESSAGES) {
+    return { success: false, errorCode: CONVERSATION_ERROR_CODES.TOO_MANY_MESSAGES };
+  }
+
+  conversation.messages.push(...toMessages(messages));
+  conversation.expiresAt = nextExpiry();
+  await conversation.save();
+
+  return { success: true, conversation };
+}
+
+/**
+ * Marks a conversation ended with the transcript it produced
+ *
+ * @param {IConversation} conversation - The conversation
+ * @param {Types.ObjectId} transcriptId - Transcript created from its messages
+ * @returns {Promise<void>}
+ */
+export async function endConversation(conversation: IConversation, transcriptId: Types.ObjectId): Promise<void> {
+  conversation.status = CONVERSATION_STATUS.ENDED;
+  conversation.transcriptId = transcriptId;
+  conversation.endedAt = new Date();
+  conversation.expiresAt = nextExpiry();
+  await conversation.save();
+}
+
+/**
+ * Default export object containing all conversation utilities
+ */
+export default {
+  toConversationResponse,
+  createConversation,
+  listConversations,
+  appendMessages,
+  endConversation
+};
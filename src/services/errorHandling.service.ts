@@ -49,6 +49,7 @@ export interface IRetryConfig {
   initialDelay: number;
   maxDelay: number;
   backoffMultiplier: number;
+  isRetryable?: ((error: Error | any) => boolean) | undefined; // Errors it rejects are thrown at once, unchanged
 }
 
 /**
@@ -324,6 +325,10 @@ export async function retryWithBackoff<T>(
     } catch (error: any) {
       lastError = error;
       
+      if (config.isRetryable && !config.isRetryable(error)) {
+        throw error;
+      }
+      
       if (attempt < config.maxAttempts) {
         const delay = Math.min(
           config.initialDelay * Math.pow(config.backoffMultiplier, attempt - 1),
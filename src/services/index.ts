@@ -50,17 +50,77 @@ export {
   verifyToken, 
   extractTokenFromHeader, 
   generateRefreshToken,
-  isTokenExpired 
+  verifyRefreshToken,
+  generatePurposeToken,
+  verifyTokenOfType,
+  isAccessToken,
+  generateTokenId,
+  hashToken,
+  isTokenExpired,
+  TOKEN_TYPES
 } from './auth.service';
 export type { 
   IJwtPayload, 
   ITokenResult, 
   IVerifyResult, 
-  ITokenConfig 
+  ITokenConfig,
+  TokenType
 } from './auth.service';
 
+// Mailer service exports
+export { default as mailerService } from './mailer.service';
+export {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendNotificationEmail,
+  MAIL_TRANSPORTS
+} from './mailer.service';
+export type {
+  IMailMessage,
+  IMailTransport,
+  IMailRecipient,
+  MailTransportName
+} from './mailer.service';
+
+// Account email (password reset and verification) service exports
+export {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+  ACCOUNT_EMAIL_ERROR_CODES
+} from './accountEmail.service';
+export type {
+  IAccountEmailResult,
+  AccountEmailErrorCode
+} from './accountEmail.service';
+
+// Refresh token service exports
+export {
+  issueRefreshToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeDeviceRefreshTokens,
+  revokeAllRefreshTokens,
+  REFRESH_ERROR_CODES
+} from './refreshToken.service';
+export type {
+  IDeviceContext,
+  IIssuedRefreshToken,
+  ITokenPair,
+  IRotationResult,
+  RefreshErrorCode
+} from './refreshToken.service';
+
 // OpenAI service exports
-export { createChatCompletion } from './openai.service';
+export { createChatCompletion, streamChatCompletion, DEFAULT_CHAT_MODEL } from './openai.service';
 export { 
   initializeOpenAI,
   getOpenAIClient,
@@ -80,6 +140,7 @@ export {
   optimizeTextForVoice,
   createVoiceOptimizedPrompt,
   createVoiceOptimizedChatCompletion,
+  streamVoiceOptimizedChatCompletion,
   preprocessVoiceUserMessage,
   estimateSpeechDuration
 } from './openai.service';
@@ -97,6 +158,213 @@ export type {
   IVoiceOptimizationConfig
 } from './openai.service';
 
+// LLM provider service exports
+export {
+  createOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  getLLMProvider,
+  setLLMProvider,
+  LLM_PROVIDERS
+} from './llmProvider.service';
+export type {
+  LLMProviderName,
+  ILLMProvider,
+  ILLMEmbeddingResult,
+  ILLMChatMessage,
+  ILLMChatRequest,
+  ILLMChatResult,
+  ILLMUsage,
+  ILLMTranscriptionRequest,
+  IOpenAIProviderConfig,
+  IMockLLMProvider,
+  IMockLLMRule,
+  IMockLLMScript
+} from './llmProvider.service';
+
+// LLM usage metering and budget service exports
+export {
+  recordLLMUsage,
+  calculateCost,
+  getModelPrices,
+  getUserUsage,
+  getOrganizationUsage,
+  getMonthlyBudget,
+  getUserBudgetStatus,
+  getOrganizationBudgetStatus,
+  findExceededBudget,
+  anonymizeUserUsage,
+  DEFAULT_MODEL_PRICES,
+  USAGE_ERROR_CODES,
+  BUDGET_SCOPES
+} from './usage.service';
+export type {
+  IUsageContext,
+  IUsageRecord,
+  IUsageTotals,
+  IUsageSummary,
+  IBudgetStatus,
+  IModelPrice,
+  BudgetScope
+} from './usage.service';
+
+// Token revocation service exports
+export {
+  revokeAccessToken,
+  revokeAllUserTokens,
+  isTokenRevoked
+} from './tokenRevocation.service';
+
+// Login throttle (lockout) service exports
+export {
+  getLoginLockStatus,
+  recordFailedLogin,
+  clearAccountLockout,
+  LOCKOUT_POLICIES,
+  LOCKOUT_ERROR_CODES
+} from './loginThrottle.service';
+export type {
+  ILockoutPolicy,
+  ILockStatus,
+  LockoutErrorCode
+} from './loginThrottle.service';
+
+// Rate limit service exports
+export {
+  getRateLimitPolicy,
+  consumeRateLimit,
+  resetRateLimits,
+  RATE_LIMIT_GROUPS,
+  RATE_LIMIT_ERROR_CODE,
+  DEFAULT_RATE_LIMITS
+} from './rateLimit.service';
+export type {
+  IRateLimitPolicy,
+  IRateLimitResult,
+  RateLimitGroup
+} from './rateLimit.service';
+
+// Two-factor authentication service exports
+export {
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  generateTotpCode,
+  getTotpStep,
+  TWO_FACTOR_ERROR_CODES
+} from './twoFactor.service';
+export type {
+  ITwoFactorCredentials,
+  ITwoFactorSetup,
+  ITwoFactorResult,
+  TwoFactorErrorCode
+} from './twoFactor.service';
+
+// Counselor workspace service exports
+export {
+  generateInvitationCode,
+  isOrganizationCounselor,
+  createOrganization,
+  getOrganizationsForUser,
+  createInvitation,
+  getActiveInvitations,
+  revokeInvitation,
+  redeemInvitation,
+  isOnRoster,
+  getStudentCounselorIds,
+  getRoster,
+  removeFromRoster,
+  getStudentRatings,
+  ROSTER_ERROR_CODES
+} from './roster.service';
+export type {
+  IInvitationOptions,
+  IRedeemResult,
+  IRosterStudent,
+  IStudentRating,
+  RosterErrorCode
+} from './roster.service';
+export {
+  toAssignmentResponse,
+  createAssignments,
+  getOrganizationAssignments,
+  getStudentAssignments,
+  completeAssignment,
+  cancelAssignment
+} from './assignment.service';
+export type {
+  IAssignmentConfig,
+  IAssignmentResponse
+} from './assignment.service';
+
+// Review comment and notification service exports
+export {
+  loadReviewTarget,
+  getReviewParticipantIds,
+  getReviewThreads,
+  addComment,
+  setThreadResolved,
+  deleteComment,
+  REVIEW_ERROR_CODES
+} from './review.service';
+export type {
+  IReviewEntry,
+  IReviewTarget,
+  IReviewCommentResponse,
+  IReviewResult,
+  ReviewErrorCode
+} from './review.service';
+export {
+  toNotificationResponse,
+  notifyUsers,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} from './notification.service';
+export type {
+  INotificationInput,
+  INotificationResponse
+} from './notification.service';
+
+// Account data export and deletion service exports
+export {
+  exportAccountData,
+  deleteAccountData,
+  EXPORT_FORMAT_VERSION
+} from './accountData.service';
+export type {
+  IAccountExport,
+  IAccountDeletionSummary
+} from './accountData.service';
+
+// Transcript retention service exports
+export {
+  getDefaultRetentionDays,
+  promoteRatedTranscripts,
+  enforceTranscriptRetention,
+  startRetentionJob,
+  DEFAULT_RETENTION_INTERVAL_MINUTES
+} from './retention.service';
+export type { IRetentionResult } from './retention.service';
+
+// Conversation service exports
+export {
+  toConversationResponse,
+  createConversation,
+  listConversations,
+  appendMessages,
+  endConversation,
+  CONVERSATION_ERROR_CODES
+} from './conversation.service';
+export type {
+  IConversationInput,
+  IConversationResponse,
+  IConversationResult,
+  ConversationErrorCode
+} from './conversation.service';
+
 // Content Integration service exports
 export {
   getUserUploadedContent,
@@ -105,9 +373,78 @@ export {
   extractKeyInfo,
   estimateTokenCount,
   selectRelevantContent,
+  retrieveRelevantContent,
   hasUploadedContent,
   getContentStats
 } from './contentIntegration.service';
+export type {
+  IRelevantContent
+} from './contentIntegration.service';
+
+// Retrieval service exports
+export {
+  analyzeText,
+  chunkText,
+  indexUploadedFile,
+  deleteFileChunks,
+  searchUploadedFiles,
+  formatCitedPassages,
+  getEmbeddingModel,
+  RETRIEVAL_DEFAULTS
+} from './retrieval.service';
+export type {
+  IRetrievedChunk,
+  ISearchOptions,
+  ICitedSource,
+  ICitedPassages
+} from './retrieval.service';
+
+// Profile extraction service exports
+export {
+  parseProfileDocument,
+  buildProfileExtraction,
+  ensureProfileExtraction,
+  formatActivity,
+  getProfileSuggestions,
+  importProfileSelection,
+  PROFILE_EXTRACTION_LIMITS,
+  PROFILE_IMPORT_ERROR_CODES
+} from './profileExtraction.service';
+export type {
+  ProfileImportErrorCode,
+  IParsedProfile,
+  IProfileSuggestions,
+  IProfileImportSelection,
+  IProfileImportResult
+} from './profileExtraction.service';
+
+// Tokenizer service exports
+export {
+  countTokens,
+  countMessageTokens,
+  truncateToTokens,
+  getEncodingForModel,
+  getContextWindow,
+  DEFAULT_TOKENIZER_MODEL,
+  DEFAULT_CONTEXT_WINDOW,
+  MODEL_CONTEXT_WINDOWS,
+  TOKENIZER_ENCODINGS
+} from './tokenizer.service';
+export type {
+  ITokenizedMessage,
+  TokenizerEncoding
+} from './tokenizer.service';
+
+// Context budget service exports
+export {
+  planContextBudget,
+  fitMessagesToBudget
+} from './contextBudget.service';
+export type {
+  IContextBudgetParams,
+  IContextBudget,
+  IFittedMessages
+} from './contextBudget.service';
 
 // Validation service exports
 export {
@@ -117,6 +454,7 @@ export {
   validateProcessedContent,
   sanitizeFilename,
   validateRateLimit,
+  validateProfileList,
   UPLOAD_LIMITS
 } from './validation.service';
 export type {
@@ -141,6 +479,47 @@ export type {
   IRetryConfig
 } from './errorHandling.service';
 
+// Job queue service exports
+export {
+  enqueueJob,
+  claimNextJob,
+  runJob,
+  processNextJob,
+  startJobWorker,
+  stopJobWorker,
+  formatJob,
+  DEFAULT_JOB_POLL_INTERVAL_MS,
+  DEFAULT_JOB_WORKER_CONCURRENCY,
+  DEFAULT_JOB_LOCK_TIMEOUT_MS,
+  JOB_RETRY_CONFIG
+} from './jobQueue.service';
+export type {
+  IJobContext,
+  IJobHandler,
+  IEnqueueJobOptions,
+  IJobSummary
+} from './jobQueue.service';
+export { JOB_HANDLERS } from './jobHandlers.service';
+
+// Realtime service exports
+export {
+  authenticateSocketToken,
+  publishToUser,
+  getConnectionCount,
+  attachRealtimeServer,
+  closeRealtimeServer,
+  REALTIME_PATH,
+  REALTIME_EVENTS,
+  REALTIME_CLOSE_CODES,
+  REALTIME_AUTH_TIMEOUT_MS,
+  REALTIME_HEARTBEAT_INTERVAL_MS
+} from './realtime.service';
+export type {
+  RealtimeEventType,
+  IRealtimeEvent,
+  ISocketIdentity
+} from './realtime.service';
+
 // Analytics service exports
 export {
   getUploadMetrics,
@@ -168,7 +547,9 @@ export {
   getVoiceTimeBasedAnalytics,
   getVoiceAnalyticsSummary,
   markVoiceErrorResolved,
-  exportVoiceAnalytics
+  exportVoiceAnalytics,
+  getBrowserName,
+  getDeviceType
 } from './voiceAnalytics.service';
 export type {
   IVoiceAdoptionMetrics,
@@ -177,9 +558,24 @@ export type {
   IVoiceErrorMetrics,
   IVoiceSessionMetrics,
   IVoiceTimeBasedAnalytics,
-  IVoiceAnalyticsSummary
+  IVoiceAnalyticsSummary,
+  IRecordedVoiceEvent
 } from './voiceAnalytics.service';
 
+// Voice preference service exports
+export {
+  DEFAULT_VOICE_PREFERENCES,
+  validateVoicePreferences,
+  toVoicePreferencesResponse,
+  getVoicePreferences,
+  updateVoicePreferences
+} from './voicePreference.service';
+export type {
+  IVoicePreferenceValues,
+  IVoicePreferencesResponse,
+  VoicePreferenceField
+} from './voicePreference.service';
+
 // Future service exports will be added here as they are implemented:
 // export { default as interviewService } from './interview.service';
 // export { default as voiceAnalysisService } from './voice-analysis.service';
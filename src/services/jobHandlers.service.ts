@@ -0,0 +1,245 @@
+/**
+ * AI Interview Coach Backend - Job Handlers Service
+ *
+ * This service holds the work done for each background job type. The job
+ * queue claims a job, runs its handler with retries and records the result;
+ * handlers report progress as they go, say which failures are worth another
+ * attempt and describe failures in words the student can act on.
+ *
+ * Key Features:
+ * - File processing: text extraction, passage indexing and profile parsing,
+ *   with the file's processingStatus kept in step
+ * - Rating generation: AI feedback for a collected interview transcript
+ * - File status changes and rating outcomes pushed to the owner as they happen
+ *
+ * Related Files:
+ * - src/services/jobQueue.service.ts - Runs these handlers
+ * - src/services/fileProcessing.service.ts - Text extraction
+ * - src/services/retrieval.service.ts - Passage index for chat retrieval
+ * - src/services/profileExtraction.service.ts - Resume and activity list parsing
+ * - src/models/InterviewTranscript.ts - Rating generation
+ * - src/services/realtime.service.ts - Pushes events to clients
+ *
+ * Task: Background job queue for file processing and rating generation
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import Job, { JobType, JOB_TYPES } from '../models/Job';
+import UploadedFile, { PROCESSING_STATUS } from '../models/UploadedFile';
+import InterviewTranscript, { TRANSCRIPT_STATUS } from '../models/InterviewTranscript';
+import { extractTextFromFile } from './fileProcessing.service';
+import { indexUploadedFile } from './retrieval.service';
+import { buildProfileExtraction } from './profileExtraction.service';
+import { validateProcessedContent } from './validation.service';
+import { logUploadEvent } from './analytics.service';
+import { getUserFriendlyMessage, ErrorCategory } from './errorHandling.service';
+import { publishToUser, REALTIME_EVENTS } from './realtime.service';
+import type { IJobHandler, IJobContext } from './jobQueue.service';
+
+/**
+ * Failures of file processing that would recur on every attempt
+ * Covers missing upload data, unsupported or empty files and content that
+ * fails validation; parser crashes and OCR errors are retried.
+ */
+const PERMANENT_FILE_ERRORS = [
+  'no longer available',
+  'unsupported file type',
+  'invalid file content',
+  'buffer is empty',
+  'no text content found',
+  'no text detected',
+  'content validation failed'
+];
+
+/**
+ * Failures of rating generation that would recur on every attempt
+ */
+const PERMANENT_RATING_ERRORS = [
+  'transcript not found',
+  'authentication'
+];
+
+/**
+ * Checks whether an error message contains any of the given patterns
+ */
+function matchesAny(error: Error | any, patterns: string[]): boolean {
+  const errorMessage = error?.message?.toLowerCase() || '';
+  return patterns.some(pattern => errorMessage.includes(pattern));
+}
+
+/**
+ * Extracts text from an uploaded file, then indexes and parses it
+ *
+ * @param {IJobContext} context - Job and progress reporter
+ * @returns {Promise<Record<string, unknown>>} File ID, word count and duration
+ */
+async function processUploadedFile({ job, reportProgress }: IJobContext): Promise<Record<string, unknown>> {
+  const startTime = Date.now();
+  const fileId = job.payload.fileId;
+
+  const file = await UploadedFile.findById(fileId);
+  if (!file) {
+    // Deleted before it was processed
+    return { fileId, skipped: true };
+  }
+
+  const stored = await Job.findById(job._id).select('+fileData');
+  if (!stored?.fileData) {
+    throw new Error('Uploaded file data is no longer available');
+  }
+
+  await UploadedFile.updateOne({ _id: file._id }, { $set: { processingStatus: PROCESSING_STATUS.PROCESSING } });
+  publishToUser(job.userId, REALTIME_EVENTS.FILE_STATUS, { fileId, processingStatus: PROCESSING_STATUS.PROCESSING });
+  await reportProgress(10, 'Extracting text');
+
+  // OCR reports its own progress; pass it on in steps rather than on every update
+  let reported = 10;
+  const result = await extractTextFromFile(Buffer.from(stored.fileData), file.mimeType, ocr => {
+    const progress = 10 + Math.round(ocr.progress / 2);
+    if (ocr.status === 'recognizing text' && progress >= reported + 5) {
+      reported = progress;
+      reportProgress(progress, 'Reading text from image').catch(() => undefined);
+    }
+  });
+
+  // Validate extracted content
+  const contentValidation = validateProcessedContent(result.text, file.fileType);
+  if (!contentValidation.isValid) {
+    throw new Error(`Content validation failed: ${contentValidation.errors.join('; ')}`);
+  }
+
+  const processingDuration = Date.now() - startTime;
+
+  await UploadedFile.updateOne(
+    { _id: file._id },
+    contentValidation.warnings
+      ? {
+          $set: {
+            extractedText: result.text,
+            processingStatus: PROCESSING_STATUS.COMPLETED,
+            processingDuration,
+            processingError: `Warnings: ${contentValidation.warnings.join('; ')}`
+          }
+        }
+      : {
+          $set: { extractedText: result.text, processingStatus: PROCESSING_STATUS.COMPLETED, processingDuration },
+          $unset: { processingError: 1 }
+        }
+  );
+
+  console.log(`Successfully processed file ${fileId} in ${processingDuration}ms`);
+  publishToUser(job.userId, REALTIME_EVENTS.FILE_STATUS, { fileId, processingStatus: PROCESSING_STATUS.COMPLETED });
+
+  // Index the text for chat retrieval; files left unindexed are indexed on first search
+  await reportProgress(60, 'Indexing passages');
+  try {
+    const chunks = await indexUploadedFile({
+      _id: file._id,
+      userId: file.userId,
+      originalName: file.originalName,
+      extractedText: result.text
+    });
+    console.log(`Indexed file ${fileId} into ${chunks.length} passages`);
+  } catch (indexError) {
+    console.error(`Error indexing file ${fileId}:`, indexError);
+  }
+
+  // Parse resumes and activity lists for profile suggestions; files left
+  // unparsed are parsed when the student first reviews them
+  await reportProgress(85, 'Looking for profile details');
+  try {
+    await UploadedFile.updateOne({ _id: file._id }, { $set: { profileExtraction: buildProfileExtraction(result.text) } });
+  } catch (extractionError) {
+    console.error(`Error parsing profile data from file ${fileId}:`, extractionError);
+  }
+
+  const wordCount = result.text.split(/\s+/).filter(word => word.length > 0).length;
+  await logUploadEvent(file.userId.toString(), String(fileId), 'process', {
+    duration: processingDuration,
+    wordCount,
+    status: 'completed'
+  });
+
+  return { fileId, wordCount, processingDuration };
+}
+
+/**
+ * Generates the AI rating for a collected interview transcript
+ *
+ * @param {IJobContext} context - Job and progress reporter
+ * @returns {Promise<Record<string, unknown>>} Transcript ID and when the rating was generated
+ */
+async function generateTranscriptRating({ job, reportProgress }: IJobContext): Promise<Record<string, unknown>> {
+  const transcriptId = job.payload.transcriptId;
+
+  const transcript = await InterviewTranscript.findById(transcriptId);
+  if (!transcript) {
+    throw new Error('Transcript not found');
+  }
+
+  if (transcript.status !== TRANSCRIPT_STATUS.RATED || !transcript.aiRating) {
+    await reportProgress(20, 'Analyzing your interview');
+    await transcript.generateRating();
+    console.log(`AI rating generated for transcript ${transcriptId}`);
+  }
+
+  publishToUser(job.userId, REALTIME_EVENTS.RATING_COMPLETED, { transcriptId, jobId: job._id!.toString() });
+
+  return { transcriptId, generatedAt: transcript.ratingGeneratedAt };
+}
+
+/**
+ * Work done for each job type
+ */
+export const JOB_HANDLERS: Record<JobType, IJobHandler> = {
+  [JOB_TYPES.FILE_PROCESSING]: {
+    run: processUploadedFile,
+    isRetryable: error => !matchesAny(error, PERMANENT_FILE_ERRORS),
+    describeError: error => getUserFriendlyMessage(error, ErrorCategory.PROCESSING),
+    onFailure: async (job, message) => {
+      await UploadedFile.updateOne(
+        { _id: job.payload.fileId },
+        { $set: { processingStatus: PROCESSING_STATUS.FAILED, processingError: message, processingDuration: -1 } }
+      );
+      publishToUser(job.userId, REALTIME_EVENTS.FILE_STATUS, {
+        fileId: job.payload.fileId,
+        processingStatus: PROCESSING_STATUS.FAILED,
+        processingError: message
+      });
+    }
+  },
+
+  [JOB_TYPES.RATING_GENERATION]: {
+    run: generateTranscriptRating,
+    isRetryable: error => !matchesAny(error, PERMANENT_RATING_ERRORS),
+    describeError: error => {
+      const errorMessage = error?.message?.toLowerCase() || '';
+      if (errorMessage.includes('rate limit')) {
+        return 'AI service is temporarily busy. Please try again in a few moments.';
+      }
+      if (errorMessage.includes('authentication')) {
+        return 'AI service is temporarily unavailable. Please try again later.';
+      }
+      if (errorMessage.includes('transcript not found')) {
+        return 'Transcript not found';
+      }
+      return 'Failed to generate AI rating. Please try again.';
+    },
+    onFailure: async (job, message) => {
+      publishToUser(job.userId, REALTIME_EVENTS.RATING_FAILED, {
+        transcriptId: job.payload.transcriptId,
+        jobId: job._id!.toString(),
+        error: message
+      });
+    }
+  }
+};
+
+/**
+ * Default export object containing the job handlers
+ */
+export default {
+  JOB_HANDLERS
+};
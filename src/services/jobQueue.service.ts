@@ -0,0 +1,412 @@
+/**
+ * AI Interview Coach Backend - Job Queue Service
+ *
+ * This service runs slow work - text extraction from uploads and AI rating
+ * generation - outside the request that asked for it. Requests enqueue a job
+ * and respond straight away; a worker polling the Job collection claims queued
+ * jobs, runs their handler and records progress, the result or the error, so
+ * clients poll GET /api/jobs/:jobId instead of holding a request open.
+ *
+ * Key Features:
+ * - Mongo-backed queue shared by every server process
+ * - Atomic claiming, so each job runs on one worker
+ * - Retries with exponential backoff through retryWithBackoff; errors a
+ *   handler reports as permanent fail the job at once
+ * - Progress reporting from handlers
+ * - Jobs left running by a stopped worker are reclaimed after JOB_LOCK_TIMEOUT_MS
+ * - One active job per dedupe key (e.g. one rating job per transcript)
+ * - Job updates pushed to the owner over the realtime WebSocket
+ *
+ * Related Files:
+ * - src/models/Job.ts - Job documents
+ * - src/services/jobHandlers.service.ts - The work done for each job type
+ * - src/services/errorHandling.service.ts - retryWithBackoff and error logging
+ * - src/routes/job.routes.ts - Job status endpoints
+ * - src/services/realtime.service.ts - Pushes job updates to clients
+ * - src/index.ts - Starts the worker
+ *
+ * Task: Background job queue for file processing and rating generation
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import os from 'os';
+import { Types } from 'mongoose';
+import Job, { IJob, IJobPayload, JobType, JobStatus, JOB_STATUS, ACTIVE_JOB_STATUSES } from '../models/Job';
+import { JOB_HANDLERS } from './jobHandlers.service';
+import { retryWithBackoff, logError, ErrorCategory, IRetryConfig } from './errorHandling.service';
+import { publishToUser, REALTIME_EVENTS } from './realtime.service';
+
+/**
+ * Default interval between polls of the queue when it is idle
+ */
+export const DEFAULT_JOB_POLL_INTERVAL_MS = 2000;
+
+/**
+ * Default number of jobs a worker runs at once
+ */
+export const DEFAULT_JOB_WORKER_CONCURRENCY = 2;
+
+/**
+ * Default time after which a running job whose worker stopped reporting is reclaimed
+ */
+export const DEFAULT_JOB_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Backoff between attempts; the number of attempts comes from the job
+ */
+export const JOB_RETRY_CONFIG: Omit<IRetryConfig, 'maxAttempts'> = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  backoffMultiplier: 2
+};
+
+/**
+ * Identifies this process in job locks
+ */
+export const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Interface for the context passed to job handlers
+ */
+export interface IJobContext {
+  job: IJob;
+  reportProgress(progress: number, message: string): Promise<void>;
+}
+
+/**
+ * Interface for the work done for a job type
+ */
+export interface IJobHandler {
+  run(context: IJobContext): Promise<Record<string, unknown>>;
+  isRetryable?(error: Error | any): boolean; // Every error is retried when omitted
+  describeError(error: Error | any): string; // Message stored on the failed job, from the handler's own error
+  onFailure?(job: IJob, message: string): Promise<void>; // Called once attempts run out or on a permanent error
+}
+
+/**
+ * Interface for enqueueing a job
+ */
+export interface IEnqueueJobOptions {
+  type: JobType;
+  userId: string | Types.ObjectId;
+  payload: IJobPayload;
+  fileData?: Buffer;
+  dedupeKey?: string;
+  maxAttempts?: number;
+}
+
+/**
+ * Interface for a job as returned by the API
+ */
+export interface IJobSummary {
+  id: string;
+  type: JobType;
+  status: JobStatus;
+  progress: number;
+  progressMessage: string | null;
+  attempts: number;
+  maxAttempts: number;
+  fileId?: string;
+  transcriptId?: string;
+  result: Record<string, unknown> | null;
+  error: string | null;
+  createdAt: Date;
+  startedAt: Date | null;
+  finishedAt: Date | null;
+}
+
+/**
+ * Reads a non-negative integer setting, falling back to the default
+ */
+function readSetting(name: string, fallback: number): number {
+  const configured = parseInt(process.env[name] || '', 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : fallback;
+}
+
+/**
+ * Pushes a job's current state to its owner's open connections
+ */
+function publishJobUpdate(job: IJob): void {
+  publishToUser(job.userId, REALTIME_EVENTS.JOB_UPDATED, formatJob(job));
+}
+
+/**
+ * Adds a job to the queue
+ * When a queued or running job has the same dedupe key, that job is returned
+ * instead of adding another. The Job model's unique index on active dedupe
+ * keys settles concurrent requests: the one that loses the insert returns
+ * the winner's job.
+ *
+ * @param {IEnqueueJobOptions} options - Job type, owner, payload and options
+ * @returns {Promise<IJob>} The queued job
+ */
+export async function enqueueJob(options: IEnqueueJobOptions): Promise<IJob> {
+  const findActive = () => Job.findOne({ dedupeKey: options.dedupeKey, status: { $in: ACTIVE_JOB_STATUSES } });
+
+  if (options.dedupeKey) {
+    const active = await findActive();
+    if (active) {
+      return active;
+    }
+  }
+
+  let job: IJob;
+  try {
+    job = await Job.create({
+      type: options.type,
+      userId: options.userId,
+      status: JOB_STATUS.QUEUED,
+      payload: options.payload,
+      ...(options.fileData && { fileData: options.fileData }),
+      ...(options.dedupeKey && { dedupeKey: options.dedupeKey }),
+      ...(options.maxAttempts && { maxAttempts: options.maxAttempts })
+    });
+  } catch (error: any) {
+    const active = options.dedupeKey && error?.code === 11000 ? await findActive() : null;
+    if (!active) {
+      throw error;
+    }
+    return active;
+  }
+
+  // Start it now rather than on the next poll if this process runs a worker
+  setImmediate(pollQueue);
+
+  return job;
+}
+
+/**
+ * Claims the oldest queued job, or a running job whose worker stopped reporting
+ *
+ * @param {string} workerId - Worker taking the job
+ * @returns {Promise<IJob | null>} The claimed job, or null when the queue is empty
+ */
+export async function claimNextJob(workerId: string = WORKER_ID): Promise<IJob | null> {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - readSetting('JOB_LOCK_TIMEOUT_MS', DEFAULT_JOB_LOCK_TIMEOUT_MS));
+
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: JOB_STATUS.QUEUED },
+        { status: JOB_STATUS.RUNNING, lockedAt: { $lt: staleBefore } }
+      ]
+    },
+    { $set: { status: JOB_STATUS.RUNNING, lockedBy: workerId, lockedAt: now, startedAt: now } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+}
+
+/**
+ * Runs a claimed job with retries and records the outcome
+ * The failure is described from the error of the last attempt, not the
+ * summary retryWithBackoff throws once attempts run out. The outcome is only
+ * recorded while this worker still holds the job; once another worker has
+ * reclaimed it, this attempt's result is dropped.
+ *
+ * @param {IJob} job - Job claimed by this worker
+ * @returns {Promise<IJob>} The job with its final status
+ */
+export async function runJob(job: IJob): Promise<IJob> {
+  const handler = JOB_HANDLERS[job.type];
+  const remainingAttempts = job.maxAttempts - job.attempts;
+  const owned = { _id: job._id, lockedBy: job.lockedBy, status: JOB_STATUS.RUNNING };
+
+  const reportLostJob = (): IJob => {
+    console.warn(`Job ${job._id} was reclaimed by another worker; dropping the result of this attempt`);
+    return job;
+  };
+
+  const reportProgress = async (progress: number, message: string): Promise<void> => {
+    job.progress = Math.min(Math.max(Math.round(progress), 0), 100);
+    job.progressMessage = message;
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { progress: job.progress, progressMessage: message, lockedAt: new Date() } }
+    );
+    publishJobUpdate(job);
+  };
+
+  publishJobUpdate(job);
+
+  let attemptError: Error | any = null;
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler for job type ${job.type}`);
+    }
+    if (remainingAttempts < 1) {
+      throw new Error('Job stopped responding after its last attempt');
+    }
+
+    const result = await retryWithBackoff(
+      async () => {
+        job.attempts += 1;
+        await Job.updateOne({ _id: job._id }, { $set: { attempts: job.attempts, lockedAt: new Date() } });
+        try {
+          return await handler.run({ job, reportProgress });
+        } catch (error) {
+          attemptError = error;
+          throw error;
+        }
+      },
+      { ...JOB_RETRY_CONFIG, maxAttempts: remainingAttempts, isRetryable: error => handler.isRetryable?.(error) ?? true },
+      `${job.type} job ${job._id}`
+    );
+
+    const finishedAt = new Date();
+    const { matchedCount } = await Job.updateOne(
+      owned,
+      {
+        $set: { status: JOB_STATUS.COMPLETED, progress: 100, result, finishedAt },
+        $unset: { fileData: 1, lockedBy: 1, lockedAt: 1 }
+      }
+    );
+    if (matchedCount === 0) {
+      return reportLostJob();
+    }
+    job.set({ status: JOB_STATUS.COMPLETED, progress: 100, result, finishedAt });
+    publishJobUpdate(job);
+
+  } catch (retryError: any) {
+    const error = attemptError ?? retryError;
+    const message = handler ? handler.describeError(error) : 'Something went wrong. Please try again.';
+
+    logError(error, {
+      userId: job.userId.toString(),
+      ...(job.payload?.fileId && { fileId: job.payload.fileId }),
+      operation: job.type,
+      timestamp: new Date(),
+      context: { jobId: job._id!.toString(), attempts: job.attempts }
+    }, ErrorCategory.PROCESSING);
+
+    const finishedAt = new Date();
+    const { matchedCount } = await Job.updateOne(
+      owned,
+      {
+        $set: { status: JOB_STATUS.FAILED, error: message, finishedAt },
+        $unset: { fileData: 1, lockedBy: 1, lockedAt: 1 }
+      }
+    );
+    if (matchedCount === 0) {
+      return reportLostJob();
+    }
+
+    try {
+      await handler?.onFailure?.(job, message);
+    } catch (failureError) {
+      console.error(`Error recording failure of job ${job._id}:`, failureError);
+    }
+
+    job.set({ status: JOB_STATUS.FAILED, error: message, finishedAt });
+    publishJobUpdate(job);
+  }
+
+  return job;
+}
+
+/**
+ * Claims and runs the next job
+ *
+ * @param {string} workerId - Worker taking the job
+ * @returns {Promise<IJob | null>} The finished job, or null when the queue is empty
+ */
+export async function processNextJob(workerId: string = WORKER_ID): Promise<IJob | null> {
+  const job = await claimNextJob(workerId);
+  return job ? runJob(job) : null;
+}
+
+let workerTimer: NodeJS.Timeout | null = null;
+let workerConcurrency = DEFAULT_JOB_WORKER_CONCURRENCY;
+let activeJobs = 0;
+
+/**
+ * Fills the worker's free slots with queued jobs
+ * Slots that find a job look for another as soon as it finishes.
+ */
+function pollQueue(): void {
+  while (workerTimer && activeJobs < workerConcurrency) {
+    activeJobs += 1;
+    processNextJob()
+      .then(job => {
+        activeJobs -= 1;
+        if (job) {
+          pollQueue();
+        }
+      })
+      .catch(error => {
+        activeJobs -= 1;
+        console.error('❌ Job worker failed:', error);
+      });
+  }
+}
+
+/**
+ * Starts the job worker for this process
+ * JOB_POLL_INTERVAL_MS of 0 disables the worker, e.g. on processes that only serve requests.
+ *
+ * @returns {NodeJS.Timeout | null} The polling timer, or null when disabled
+ */
+export function startJobWorker(): NodeJS.Timeout | null {
+  const interval = readSetting('JOB_POLL_INTERVAL_MS', DEFAULT_JOB_POLL_INTERVAL_MS);
+
+  if (interval === 0 || workerTimer) {
+    return workerTimer;
+  }
+
+  workerConcurrency = Math.max(readSetting('JOB_WORKER_CONCURRENCY', DEFAULT_JOB_WORKER_CONCURRENCY), 1);
+  workerTimer = setInterval(pollQueue, interval);
+  workerTimer.unref(); // Never keep the process alive just for the worker
+  pollQueue();
+  return workerTimer;
+}
+
+/**
+ * Stops claiming new jobs; jobs already running finish on their own
+ */
+export function stopJobWorker(): void {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+/**
+ * Formats a job for API responses
+ *
+ * @param {IJob} job - Job document
+ * @returns {IJobSummary} Job status without internal fields
+ */
+export function formatJob(job: IJob): IJobSummary {
+  return {
+    id: job._id!.toString(),
+    type: job.type,
+    status: job.status,
+    progress: job.progress ?? 0,
+    progressMessage: job.progressMessage ?? null,
+    attempts: job.attempts ?? 0,
+    maxAttempts: job.maxAttempts,
+    ...(job.payload?.fileId && { fileId: job.payload.fileId }),
+    ...(job.payload?.transcriptId && { transcriptId: job.payload.transcriptId }),
+    result: job.result ?? null,
+    error: job.error ?? null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt ?? null,
+    finishedAt: job.finishedAt ?? null
+  };
+}
+
+/**
+ * Default export object containing all job queue utilities
+ */
+export default {
+  enqueueJob,
+  claimNextJob,
+  runJob,
+  processNextJob,
+  startJobWorker,
+  stopJobWorker,
+  formatJob
+};
@@ -0,0 +1,579 @@
+/**
+ * AI Interview Coach Backend - LLM Provider Service
+ *
+ * This file puts chat, transcription, summarization and embeddings behind a small provider
+ * interface so the AI features in openai.service.ts can run against OpenAI, a
+ * self-hosted model with an OpenAI-compatible API, or a deterministic mock that
+ * needs no network access or API key.
+ *
+ * Providers (selected with LLM_PROVIDER):
+ * - openai: The OpenAI API using OPENAI_API_KEY (default)
+ * - openai-compatible: Any server exposing the OpenAI HTTP API at LLM_BASE_URL,
+ *   such as vLLM, Ollama or LM Studio; LLM_MODEL replaces the requested model
+ * - mock: Deterministic replies, optionally scripted with LLM_MOCK_SCRIPT
+ *
+ * Key Features:
+ * - One interface for chat, streamed chat, transcription, summarization and embeddings
+ * - Pluggable providers with a runtime override for tests
+ * - Scripted mock replies for integration tests and offline demos
+ *
+ * Related Files:
+ * - src/services/openai.service.ts - AI features built on the active provider
+ * - src/tests/helpers/setupEnv.ts - Selects the mock provider for Jest
+ *
+ * Task: LLM provider abstraction with a deterministic local mock provider
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import * as fs from 'fs';
+import OpenAI from 'openai';
+import type { ITranscriptionResponse, IFeedbackReport } from './openai.service';
+
+/**
+ * Supported provider names
+ */
+export const LLM_PROVIDERS = {
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  MOCK: 'mock'
+} as const;
+
+export type LLMProviderName = typeof LLM_PROVIDERS[keyof typeof LLM_PROVIDERS];
+
+/**
+ * Interface for a chat message
+ */
+export interface ILLMChatMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+/**
+ * Interface for a chat request
+ * Sampling settings that are left out use the provider's defaults.
+ */
+export interface ILLMChatRequest {
+  model: string;
+  messages: ILLMChatMessage[];
+  temperature?: number;
+  max_tokens?: number;
+  top_p?: number;
+  frequency_penalty?: number;
+  presence_penalty?: number;
+  additionalParams?: Record<string, unknown>; // Passed through to the API as-is
+}
+
+/**
+ * Interface for token usage reported by a provider
+ */
+export interface ILLMUsage {
+  model: string; // Model that served the request
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+}
+
+/**
+ * Interface for a chat reply
+ */
+export interface ILLMChatResult {
+  content: string;
+  usage?: ILLMUsage;
+}
+
+/**
+ * Interface for embedding vectors, in the order of the input texts
+ */
+export interface ILLMEmbeddingResult {
+  embeddings: number[][];
+  usage?: ILLMUsage;
+}
+
+/**
+ * Interface for a transcription request
+ */
+export interface ILLMTranscriptionRequest {
+  audio: Buffer;
+  filename: string;
+  mimeType: string;
+  language?: string;
+  prompt?: string;
+  responseFormat: 'json' | 'text' | 'srt' | 'verbose_json' | 'vtt';
+  temperature: number;
+  timestampGranularities?: ('word' | 'segment')[];
+}
+
+/**
+ * Interface every provider implements
+ */
+export interface ILLMProvider {
+  name: string;
+  chat(request: ILLMChatRequest): Promise<ILLMChatResult>;
+  // Yields the reply in pieces; returns usage when the provider reports it
+  streamChat(request: ILLMChatRequest): AsyncGenerator<string, ILLMUsage | undefined, undefined>;
+  transcribe(request: ILLMTranscriptionRequest): Promise<ITranscriptionResponse>;
+  summarize(content: string, maxTokens: number): Promise<ILLMChatResult>;
+  embed(texts: string[], model: string): Promise<ILLMEmbeddingResult>;
+  listModels(): Promise<string[]>;
+}
+
+/**
+ * Interface for OpenAI API provider configuration
+ */
+export interface IOpenAIProviderConfig {
+  name?: string;
+  apiKey: string;
+  baseURL?: string;
+  organization?: string;
+  model?: string; // Replaces the model of every chat request
+  transcriptionModel?: string;
+  embeddingModel?: string; // Replaces the model of every embedding request
+}
+
+/**
+ * Interface for a mock reply rule
+ */
+export interface IMockLLMRule {
+  match: string | RegExp; // Tested against the last message; strings are case-insensitive patterns
+  reply: string;
+}
+
+/**
+ * Interface for a mock provider script
+ */
+export interface IMockLLMScript {
+  replies?: (string | Error)[]; // Used in order before any rule; an Error is thrown instead
+  rules?: IMockLLMRule[];
+  transcription?: string;
+}
+
+/**
+ * Interface for the mock provider, which records what it was asked
+ */
+export interface IMockLLMProvider extends ILLMProvider {
+  requests: ILLMChatRequest[];
+}
+
+const SUMMARIZER_PROMPT = 'You are a professional summarizer. Create concise summaries that preserve key information for interviews.';
+const SUMMARIZER_MODEL = 'gpt-3.5-turbo'; // Faster model for summarization
+
+let activeProvider: ILLMProvider | null = null;
+
+/**
+ * Converts OpenAI usage to provider usage
+ */
+function toUsage(model: string, usage: OpenAI.CompletionUsage): ILLMUsage {
+  return {
+    model,
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+    totalTokens: usage.total_tokens
+  };
+}
+
+/**
+ * Creates a provider for the OpenAI API or a server that implements it
+ *
+ * @param {IOpenAIProviderConfig} config - API key, endpoint and model overrides
+ * @returns {ILLMProvider} OpenAI API provider
+ */
+export function createOpenAIProvider(config: IOpenAIProviderConfig): ILLMProvider {
+  const client = new OpenAI({
+    apiKey: config.apiKey,
+    ...(config.baseURL && { baseURL: config.baseURL }),
+    ...(config.organization && { organization: config.organization }),
+    maxRetries: 3,
+    timeout: 30000 // 30 seconds
+  });
+
+  const toParams = (request: ILLMChatRequest) => {
+    const { model, messages, additionalParams, ...sampling } = request;
+    return { model: config.model || model, messages, ...sampling, ...additionalParams };
+  };
+
+  const provider: ILLMProvider = {
+    name: config.name || LLM_PROVIDERS.OPENAI,
+
+    async chat(request) {
+      const completion = await client.chat.completions.create(
+        toParams(request) as OpenAI.Chat.ChatCompletionCreateParamsNonStreaming
+      );
+
+      return {
+        content: completion.choices[0]?.message?.content || '',
+        ...(completion.usage && { usage: toUsage(completion.model, completion.usage) })
+      };
+    },
+
+    async *streamChat(request) {
+      const stream = await client.chat.completions.create(
+        { ...toParams(request), stream: true } as OpenAI.Chat.ChatCompletionCreateParamsStreaming
+      );
+      let usage: ILLMUsage | undefined;
+
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) {
+          yield text;
+        }
+
+        // Usage arrives in a final chunk without choices when requested
+        if (chunk.usage) {
+          usage = toUsage(chunk.model, chunk.usage);
+        }
+      }
+
+      return usage;
+    },
+
+    async transcribe(request) {
+      const params: any = {
+        file: new File([request.audio], request.filename, { type: request.mimeType }),
+        model: config.transcriptionModel || 'whisper-1',
+        response_format: request.responseFormat,
+        temperature: request.temperature
+      };
+
+      // Only add optional parameters if they are defined
+      if (request.language) params.language = request.language;
+      if (request.prompt) params.prompt = request.prompt;
+      if (request.responseFormat === 'verbose_json' && request.timestampGranularities) {
+        params.timestamp_granularities = request.timestampGranularities;
+      }
+
+      const transcription: any = await client.audio.transcriptions.create(params);
+
+      if (request.responseFormat === 'verbose_json') {
+        // Verbose JSON includes detailed metadata
+        return {
+          text: transcription.text,
+          language: transcription.language,
+          duration: transcription.duration,
+          words: transcription.words,
+          segments: transcription.segments
+        };
+      }
+
+      // Text formats return a string
+      return { text: typeof transcription === 'string' ? transcription : transcription.text };
+    },
+
+    async summarize(content, maxTokens) {
+      return provider.chat({
+        model: SUMMARIZER_MODEL,
+        messages: [
+          { role: 'system', content: SUMMARIZER_PROMPT },
+          {
+            role: 'user',
+            content: `Summarize the following content in at most ${Math.floor(maxTokens * 0.75)} words, focusing on information relevant for interviews:\n\n${content}`
+          }
+        ],
+        temperature: 0.3,
+        max_tokens: maxTokens
+      });
+    },
+
+    async embed(texts, model) {
+      const response = await client.embeddings.create({ model: config.embeddingModel || model, input: texts });
+
+      return {
+        embeddings: [...response.data].sort((a, b) => a.index - b.index).map(entry => entry.embedding),
+        usage: {
+          model: response.model,
+          promptTokens: response.usage.prompt_tokens,
+          completionTokens: 0,
+          totalTokens: response.usage.total_tokens
+        }
+      };
+    },
+
+    async listModels() {
+      const models = await client.models.list();
+      return models.data.map(model => model.id);
+    }
+  };
+
+  return provider;
+}
+
+/**
+ * Creates a provider for a self-hosted server with an OpenAI-compatible API
+ * Reads LLM_BASE_URL, LLM_API_KEY, LLM_MODEL, LLM_TRANSCRIPTION_MODEL and LLM_EMBEDDING_MODEL.
+ *
+ * @returns {ILLMProvider} OpenAI-compatible provider
+ * @throws {Error} If LLM_BASE_URL is not configured
+ */
+export function createOpenAICompatibleProvider(): ILLMProvider {
+  const baseURL = process.env.LLM_BASE_URL;
+
+  if (!baseURL) {
+    throw new Error('LLM_BASE_URL environment variable is required for the openai-compatible LLM provider');
+  }
+
+  return createOpenAIProvider({
+    name: LLM_PROVIDERS.OPENAI_COMPATIBLE,
+    baseURL,
+    apiKey: process.env.LLM_API_KEY || 'not-needed', // Most self-hosted servers ignore the key
+    ...(process.env.LLM_MODEL && { model: process.env.LLM_MODEL }),
+    ...(process.env.LLM_TRANSCRIPTION_MODEL && { transcriptionModel: process.env.LLM_TRANSCRIPTION_MODEL }),
+    ...(process.env.LLM_EMBEDDING_MODEL && { embeddingModel: process.env.LLM_EMBEDDING_MODEL })
+  });
+}
+
+/**
+ * Interviewer questions the mock provider cycles through
+ */
+const MOCK_INTERVIEW_QUESTIONS = [
+  'Thank you for joining me today. What first sparked your interest in your intended major?',
+  'I see. Can you tell me about a project or activity you are especially proud of?',
+  'Interesting. How have you handled a setback, and what did you take away from it?',
+  'Thank you. What would you contribute to our campus community?',
+  'Understood. Is there anything else you would like the admissions committee to know about you?'
+];
+
+/**
+ * Feedback report the mock provider returns for transcript analysis
+ */
+const MOCK_FEEDBACK_REPORT: IFeedbackReport = {
+  overallRating: 7,
+  strengths: ['Clear and well-organized answers', 'Specific examples from personal experience'],
+  weaknesses: ['Some answers could go deeper into what was learned'],
+  recommendations: [
+    {
+      area: 'Reflection',
+      suggestion: 'Close each story with what it taught you and how you have applied it since',
+      priority: 'medium',
+      examples: ['"Since then, I always..."']
+    }
+  ],
+  detailedScores: {
+    contentRelevance: 75,
+    communication: 80,
+    confidence: 70,
+    structure: 72,
+    engagement: 78
+  },
+  summary: 'A solid interview with clear, specific answers. Spending more time on reflection would make the responses more memorable.'
+};
+
+/**
+ * Dimensions of the mock provider's embeddings
+ */
+const MOCK_EMBEDDING_DIMENSIONS = 64;
+
+/**
+ * Embeds text as a normalized bag of hashed words
+ * Texts that share words get similar vectors, which is enough to exercise
+ * semantic ranking without a model.
+ */
+function mockEmbedding(text: string): number[] {
+  const vector = new Array<number>(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let hash = 0;
+    for (const char of word) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    vector[hash % MOCK_EMBEDDING_DIMENSIONS]! += 1;
+  }
+
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / length);
+}
+
+/**
+ * Returns the mock provider's reply when no script entry applies
+ * Recognizes the question generation, feedback analysis and relevance scoring
+ * prompts so those features return well-formed results.
+ */
+function defaultMockReply(messages: ILLMChatMessage[]): string {
+  const prompt = messages.map(message => message.content).join('\n');
+
+  const questionCount = /numbered 1-(\d+)/.exec(prompt);
+  if (questionCount) {
+    return Array.from(
+      { length: parseInt(questionCount[1]!, 10) },
+      (_, index) => `${index + 1}. ${MOCK_INTERVIEW_QUESTIONS[index % MOCK_INTERVIEW_QUESTIONS.length]}`
+    ).join('\n');
+  }
+
+  if (/JSON format/i.test(prompt)) {
+    return JSON.stringify(MOCK_FEEDBACK_REPORT);
+  }
+
+  if (/number between 0-100/i.test(prompt)) {
+    return '50';
+  }
+
+  // Interview chat: the next question, based on how many answers there have been
+  const answers = messages.filter(message => message.role === 'user').length;
+  return MOCK_INTERVIEW_QUESTIONS[Math.max(0, answers - 1) % MOCK_INTERVIEW_QUESTIONS.length]!;
+}
+
+/**
+ * Creates a provider that answers deterministically without any network access
+ * Replies come from the script's queued replies, then its rules, then built-in
+ * defaults. Streamed replies are split into words.
+ *
+ * @param {IMockLLMScript} script - Queued replies, rules and transcription text
+ * @returns {IMockLLMProvider} Mock provider
+ */
+export function createMockProvider(script: IMockLLMScript = {}): IMockLLMProvider {
+  const replies = [...(script.replies || [])];
+  const rules = (script.rules || []).map(rule => ({
+    pattern: typeof rule.match === 'string' ? new RegExp(rule.match, 'i') : rule.match,
+    reply: rule.reply
+  }));
+  const requests: ILLMChatRequest[] = [];
+
+  const reply = (request: ILLMChatRequest): string => {
+    requests.push(request);
+
+    const next = replies.shift();
+    if (next instanceof Error) {
+      throw next;
+    }
+    if (next !== undefined) {
+      return next;
+    }
+
+    const lastMessage = request.messages[request.messages.length - 1]?.content || '';
+    const rule = rules.find(entry => entry.pattern.test(lastMessage));
+    return rule ? rule.reply : defaultMockReply(request.messages);
+  };
+
+  // Rough token count; four characters per token
+  const estimateUsage = (request: ILLMChatRequest, content: string): ILLMUsage => {
+    const promptTokens = Math.ceil(request.messages.reduce((sum, message) => sum + message.content.length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    return { model: request.model, promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  };
+
+  return {
+    name: LLM_PROVIDERS.MOCK,
+    requests,
+
+    async chat(request) {
+      const content = reply(request);
+      return { content, usage: estimateUsage(request, content) };
+    },
+
+    async *streamChat(request) {
+      const content = reply(request);
+      for (const word of content.match(/\S+\s*/g) || []) {
+        yield word;
+      }
+      return estimateUsage(request, content);
+    },
+
+    async transcribe(request) {
+      return {
+        text: script.transcription || 'This is a mock transcription of the recorded answer.',
+        language: request.language || 'en',
+        duration: Math.max(1, Math.round(request.audio.length / 16000)) // Roughly 16 KB per second of audio
+      };
+    },
+
+    async summarize(content, maxTokens) {
+      const summary = content.replace(/\s+/g, ' ').trim().substring(0, maxTokens * 4);
+      return {
+        content: summary,
+        usage: estimateUsage({ model: SUMMARIZER_MODEL, messages: [{ role: 'user', content }] }, summary)
+      };
+    },
+
+    async embed(texts, model) {
+      const promptTokens = Math.ceil(texts.reduce((sum, text) => sum + text.length, 0) / 4);
+      return {
+        embeddings: texts.map(mockEmbedding),
+        usage: { model, promptTokens, completionTokens: 0, totalTokens: promptTokens }
+      };
+    },
+
+    async listModels() {
+      return ['mock-chat', 'mock-transcription', 'mock-embedding'];
+    }
+  };
+}
+
+/**
+ * Loads the mock provider script named by LLM_MOCK_SCRIPT
+ * The file is JSON in the IMockLLMScript shape; rule patterns are strings.
+ *
+ * @returns {IMockLLMScript} The script, or an empty one when none is configured
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function loadMockScript(): IMockLLMScript {
+  const scriptPath = process.env.LLM_MOCK_SCRIPT;
+
+  if (!scriptPath) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load LLM_MOCK_SCRIPT "${scriptPath}": ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+}
+
+/**
+ * Returns the provider selected by LLM_PROVIDER, creating it on first use
+ *
+ * @returns {ILLMProvider} The active provider
+ * @throws {Error} If LLM_PROVIDER names an unknown provider or its configuration is missing
+ */
+export function getLLMProvider(): ILLMProvider {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  const providerName = (process.env.LLM_PROVIDER || LLM_PROVIDERS.OPENAI).toLowerCase();
+
+  switch (providerName) {
+    case LLM_PROVIDERS.OPENAI: {
+      const apiKey = process.env.OPENAI_API_KEY;
+      if (!apiKey) {
+        throw new Error('OPENAI_API_KEY environment variable is not configured');
+      }
+      activeProvider = createOpenAIProvider({
+        apiKey,
+        ...(process.env.OPENAI_ORGANIZATION && { organization: process.env.OPENAI_ORGANIZATION })
+      });
+      break;
+    }
+    case LLM_PROVIDERS.OPENAI_COMPATIBLE:
+      activeProvider = createOpenAICompatibleProvider();
+      break;
+    case LLM_PROVIDERS.MOCK:
+      activeProvider = createMockProvider(loadMockScript());
+      break;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}". Use openai, openai-compatible or mock.`);
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Replaces the active provider, or resets to LLM_PROVIDER when passed null
+ * Used by tests to script replies.
+ *
+ * @param {ILLMProvider | null} provider - Provider to use
+ */
+export function setLLMProvider(provider: ILLMProvider | null): void {
+  activeProvider = provider;
+}
+
+/**
+ * Default export object containing all LLM provider utilities
+ */
+export default {
+  createOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  getLLMProvider,
+  setLLMProvider
+};
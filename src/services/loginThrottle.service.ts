@@ -0,0 +1,258 @@
+/**
+ * AI Interview Coach Backend - Login Throttle Service
+ *
+ * This file implements brute-force protection for the login endpoint. Failed
+ * attempts are counted per account and per client IP; when a key reaches its
+ * limit within the counting window it is locked, and every further lockout of
+ * the same key lasts twice as long (up to a cap).
+ *
+ * Key Features:
+ * - Per-account lockout that also applies to unregistered emails
+ * - Per-IP lockout with a higher limit for shared networks
+ * - Exponential lockout windows that decay after a quiet period
+ * - Unlock by successful login or password reset
+ *
+ * Related Files:
+ * - src/models/LoginThrottle.ts - Persisted failure counters and locks
+ * - src/routes/auth.routes.ts - Login endpoint
+ * - src/services/accountEmail.service.ts - Password reset clears account lockout
+ *
+ * Task: Account lockout and brute-force protection on login
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import LoginThrottle, { THROTTLE_SCOPES, ThrottleScope } from '../models/LoginThrottle';
+
+/**
+ * Error codes returned when a login is refused because of a lockout
+ */
+export const LOCKOUT_ERROR_CODES = {
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  TOO_MANY_ATTEMPTS: 'TOO_MANY_LOGIN_ATTEMPTS'
+} as const;
+
+export type LockoutErrorCode = typeof LOCKOUT_ERROR_CODES[keyof typeof LOCKOUT_ERROR_CODES];
+
+/**
+ * Interface for a lockout policy
+ */
+export interface ILockoutPolicy {
+  maxFailures: number; // Failures allowed within the window before locking
+  windowMs: number; // Counting window for failures
+  baseLockMs: number; // Length of the first lockout
+  maxLockMs: number; // Longest lockout
+}
+
+/**
+ * Lockout policies per scope
+ * IPs get a higher limit because schools and families often share one address.
+ */
+export const LOCKOUT_POLICIES: Record<ThrottleScope, ILockoutPolicy> = {
+  [THROTTLE_SCOPES.ACCOUNT]: {
+    maxFailures: 5,
+    windowMs: 15 * 60 * 1000,
+    baseLockMs: 60 * 1000,
+    maxLockMs: 24 * 60 * 60 * 1000
+  },
+  [THROTTLE_SCOPES.IP]: {
+    maxFailures: 25,
+    windowMs: 15 * 60 * 1000,
+    baseLockMs: 5 * 60 * 1000,
+    maxLockMs: 24 * 60 * 60 * 1000
+  }
+};
+
+/**
+ * How long an entry is kept after its last failure or lockout ends
+ * Once removed, the next lockout starts again from the base length.
+ */
+const QUIET_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Interface for the lock status of a login attempt
+ */
+export interface ILockStatus {
+  locked: boolean;
+  errorCode?: LockoutErrorCode;
+  lockUntil?: Date;
+  retryAfterSeconds?: number;
+}
+
+/**
+ * Normalizes an email for use as a throttle key
+ */
+function accountKey(email: string): string {
+  return email.toLowerCase().trim();
+}
+
+/**
+ * Builds a locked status for a scope
+ */
+function lockedStatus(scope: ThrottleScope, lockUntil: Date): ILockStatus {
+  return {
+    locked: true,
+    errorCode: scope === THROTTLE_SCOPES.ACCOUNT
+      ? LOCKOUT_ERROR_CODES.ACCOUNT_LOCKED
+      : LOCKOUT_ERROR_CODES.TOO_MANY_ATTEMPTS,
+    lockUntil,
+    retryAfterSeconds: Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 1000))
+  };
+}
+
+/**
+ * Returns the active lock for a single key, if any
+ */
+async function getActiveLock(scope: ThrottleScope, key: string): Promise<Date | null> {
+  const entry = await LoginThrottle.findOne({ scope, key });
+  return entry?.lockUntil && entry.lockUntil > new Date() ? entry.lockUntil : null;
+}
+
+/**
+ * Whether an error is a MongoDB duplicate key error
+ */
+function isDuplicateKeyError(error: unknown): boolean {
+  return (error as { code?: number })?.code === 11000;
+}
+
+/**
+ * Records a failure for a single key and locks it when the limit is reached
+ * Every step is a single atomic update, so concurrent failures are all
+ * counted and exactly one of them applies the lock.
+ *
+ * @returns {Promise<Date | null>} The lock expiry if the key is now locked
+ */
+async function recordFailure(scope: ThrottleScope, key: string): Promise<Date | null> {
+  const policy = LOCKOUT_POLICIES[scope];
+  const now = new Date();
+
+  // Start a new counting window; the guard lets only one request reset it
+  await LoginThrottle.updateOne(
+    { scope, key, firstFailureAt: { $lte: new Date(now.getTime() - policy.windowMs) } },
+    { $set: { failures: 0, firstFailureAt: now } }
+  );
+
+  const increment = () => LoginThrottle.findOneAndUpdate(
+    { scope, key },
+    {
+      $inc: { failures: 1 },
+      $setOnInsert: { firstFailureAt: now, lockLevel: 0 },
+      $max: { expiresAt: new Date(now.getTime() + QUIET_PERIOD_MS) }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  let entry;
+  try {
+    entry = await increment();
+  } catch (error) {
+    // A concurrent first failure created the entry; count against it
+    if (!isDuplicateKeyError(error)) {
+      throw error;
+    }
+    entry = await increment();
+  }
+
+  const activeLock = entry?.lockUntil && entry.lockUntil > now ? entry.lockUntil : null;
+
+  if (!entry || entry.failures < policy.maxFailures) {
+    return activeLock;
+  }
+
+  const lockLevel = entry.lockLevel || 0;
+  const lockMs = Math.min(policy.baseLockMs * Math.pow(2, lockLevel), policy.maxLockMs);
+  const lockUntil = new Date(now.getTime() + lockMs);
+
+  // Only the request that still sees the limit reached at this lock level locks the key
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { scope, key, lockLevel, failures: { $gte: policy.maxFailures } },
+    {
+      $set: {
+        failures: 0,
+        firstFailureAt: now,
+        lockUntil,
+        expiresAt: new Date(lockUntil.getTime() + QUIET_PERIOD_MS)
+      },
+      $inc: { lockLevel: 1 }
+    },
+    { returnDocument: 'after' }
+  );
+
+  return locked ? lockUntil : getActiveLock(scope, key);
+}
+
+/**
+ * Checks whether a login attempt may proceed
+ * Must be called before the password is checked so locked accounts cannot
+ * be probed.
+ *
+ * @param {string} email - Email address the login is for
+ * @param {string | undefined} ipAddress - Client IP address
+ * @returns {Promise<ILockStatus>} Whether the attempt is locked out and for how long
+ *
+ * @example
+ * ```typescript
+ * const lock = await getLoginLockStatus(email, req.ip);
+ * if (lock.locked) {
+ *   res.set('Retry-After', String(lock.retryAfterSeconds));
+ * }
+ * ```
+ */
+export async function getLoginLockStatus(email: string, ipAddress: string | undefined): Promise<ILockStatus> {
+  const accountLock = await getActiveLock(THROTTLE_SCOPES.ACCOUNT, accountKey(email));
+  if (accountLock) {
+    return lockedStatus(THROTTLE_SCOPES.ACCOUNT, accountLock);
+  }
+
+  if (ipAddress) {
+    const ipLock = await getActiveLock(THROTTLE_SCOPES.IP, ipAddress);
+    if (ipLock) {
+      return lockedStatus(THROTTLE_SCOPES.IP, ipLock);
+    }
+  }
+
+  return { locked: false };
+}
+
+/**
+ * Records a failed login for the account and the client IP
+ *
+ * @param {string} email - Email address the login was for
+ * @param {string | undefined} ipAddress - Client IP address
+ * @returns {Promise<ILockStatus>} The resulting lock, if this failure triggered one
+ */
+export async function recordFailedLogin(email: string, ipAddress: string | undefined): Promise<ILockStatus> {
+  const accountLock = await recordFailure(THROTTLE_SCOPES.ACCOUNT, accountKey(email));
+  const ipLock = ipAddress ? await recordFailure(THROTTLE_SCOPES.IP, ipAddress) : null;
+
+  if (accountLock) {
+    return lockedStatus(THROTTLE_SCOPES.ACCOUNT, accountLock);
+  }
+
+  if (ipLock) {
+    return lockedStatus(THROTTLE_SCOPES.IP, ipLock);
+  }
+
+  return { locked: false };
+}
+
+/**
+ * Clears the failure count and any lock for an account
+ * Called after a successful login and after a password reset.
+ *
+ * @param {string} email - Email address of the account
+ * @returns {Promise<void>}
+ */
+export async function clearAccountLockout(email: string): Promise<void> {
+  await LoginThrottle.deleteOne({ scope: THROTTLE_SCOPES.ACCOUNT, key: accountKey(email) });
+}
+
+/**
+ * Default export object containing all login throttle utilities
+ */
+export default {
+  getLoginLockStatus,
+  recordFailedLogin,
+  clearAccountLockout
+};
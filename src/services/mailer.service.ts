@@ -0,0 +1,331 @@
+/**
+ * AI Interview Coach Backend - Mailer Service
+ *
+ * This file implements outgoing email behind a small transport abstraction so
+ * account emails can be delivered over SMTP in production and written to disk
+ * or the console during local development and tests.
+ *
+ * Transports (selected with MAIL_TRANSPORT):
+ * - smtp: Delivers through an SMTP server using nodemailer
+ * - file: Writes each message as a JSON file to MAIL_OUTBOX_DIR
+ * - console: Logs each message to stdout (default outside production)
+ *
+ * Production has no default: the console transport would write every reset
+ * and verification link to the server logs, so MAIL_TRANSPORT must be set.
+ *
+ * Key Features:
+ * - Pluggable transports with a runtime override for tests
+ * - Password reset and email verification message builders
+ * - Notification emails that point back to the app
+ * - Links point at the frontend (APP_BASE_URL) which completes the flow
+ *
+ * Related Files:
+ * - src/routes/auth.routes.ts - Password reset and email verification endpoints
+ * - src/services/auth.service.ts - Signed single-purpose tokens
+ *
+ * Task: Password reset and email verification flows
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as nodemailer from 'nodemailer';
+
+/**
+ * Supported transport names
+ */
+export const MAIL_TRANSPORTS = {
+  SMTP: 'smtp',
+  FILE: 'file',
+  CONSOLE: 'console'
+} as const;
+
+export type MailTransportName = typeof MAIL_TRANSPORTS[keyof typeof MAIL_TRANSPORTS];
+
+/**
+ * Interface for an outgoing email
+ */
+export interface IMailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html?: string;
+}
+
+/**
+ * Interface every transport implements
+ */
+export interface IMailTransport {
+  name: string;
+  send(message: IMailMessage & { from: string }): Promise<void>;
+}
+
+/**
+ * Interface for the recipient of an account email
+ */
+export interface IMailRecipient {
+  email: string;
+  name: string;
+}
+
+const DEFAULT_FROM = 'AI Interview Coach <no-reply@localhost>';
+const DEFAULT_APP_BASE_URL = 'http://localhost:5173';
+const DEFAULT_OUTBOX_DIR = 'uploads/outbox';
+
+let activeTransport: IMailTransport | null = null;
+
+/**
+ * Creates a transport that delivers through an SMTP server
+ * Reads SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS.
+ *
+ * @returns {IMailTransport} SMTP transport
+ * @throws {Error} If SMTP_HOST is not configured
+ */
+export function createSmtpTransport(): IMailTransport {
+  const host = process.env.SMTP_HOST;
+
+  if (!host) {
+    throw new Error('SMTP_HOST environment variable is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS || ''
+      }
+    })
+  });
+
+  return {
+    name: MAIL_TRANSPORTS.SMTP,
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+/**
+ * Creates a transport that writes each message to a JSON file
+ *
+ * @param {string} outboxDir - Directory the messages are written to
+ * @returns {IMailTransport} File transport
+ */
+export function createFileTransport(outboxDir: string = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR): IMailTransport {
+  return {
+    name: MAIL_TRANSPORTS.FILE,
+    async send(message) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const filename = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}.json`;
+      await fs.promises.writeFile(
+        path.join(outboxDir, filename),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  };
+}
+
+/**
+ * Creates a transport that logs each message to the console
+ *
+ * @returns {IMailTransport} Console transport
+ */
+export function createConsoleTransport(): IMailTransport {
+  return {
+    name: MAIL_TRANSPORTS.CONSOLE,
+    async send(message) {
+      console.log('📧 Email (console transport):', {
+        from: message.from,
+        to: message.to,
+        subject: message.subject
+      });
+      console.log(message.text);
+    }
+  };
+}
+
+/**
+ * Returns the transport selected by MAIL_TRANSPORT, creating it on first use
+ *
+ * @returns {IMailTransport} The active transport
+ * @throws {Error} If MAIL_TRANSPORT names an unknown transport, or is unset in production
+ */
+export function getMailTransport(): IMailTransport {
+  if (activeTransport) {
+    return activeTransport;
+  }
+
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production. Use smtp, file or console.');
+  }
+
+  const transportName = (process.env.MAIL_TRANSPORT || MAIL_TRANSPORTS.CONSOLE).toLowerCase();
+
+  switch (transportName) {
+    case MAIL_TRANSPORTS.SMTP:
+      activeTransport = createSmtpTransport();
+      break;
+    case MAIL_TRANSPORTS.FILE:
+      activeTransport = createFileTransport();
+      break;
+    case MAIL_TRANSPORTS.CONSOLE:
+      activeTransport = createConsoleTransport();
+      break;
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${transportName}". Use smtp, file or console.`);
+  }
+
+  return activeTransport;
+}
+
+/**
+ * Replaces the active transport, or resets to MAIL_TRANSPORT when passed null
+ * Used by tests to capture outgoing messages.
+ *
+ * @param {IMailTransport | null} transport - Transport to use
+ */
+export function setMailTransport(transport: IMailTransport | null): void {
+  activeTransport = transport;
+}
+
+/**
+ * Sends an email through the active transport
+ *
+ * @param {IMailMessage} message - The message to send
+ * @returns {Promise<void>}
+ */
+export async function sendMail(message: IMailMessage): Promise<void> {
+  const transport = getMailTransport();
+  await transport.send({ ...message, from: process.env.MAIL_FROM || DEFAULT_FROM });
+}
+
+/**
+ * Builds a frontend link carrying a token in its query string
+ *
+ * @param {string} param - Query parameter name
+ * @param {string} token - Token value
+ * @returns {string} Absolute URL
+ */
+function buildAppLink(param: string, token: string): string {
+  const baseUrl = (process.env.APP_BASE_URL || DEFAULT_APP_BASE_URL).replace(/\/$/, '');
+  return `${baseUrl}/?${param}=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Sends a password reset link
+ *
+ * @param {IMailRecipient} recipient - The user requesting the reset
+ * @param {string} token - Signed password reset token
+ * @returns {Promise<void>}
+ *
+ * @example
+ * ```typescript
+ * await sendPasswordResetEmail({ email: user.email, name: user.name }, reset.token);
+ * ```
+ */
+export async function sendPasswordResetEmail(recipient: IMailRecipient, token: string): Promise<void> {
+  const link = buildAppLink('resetToken', token);
+
+  await sendMail({
+    to: recipient.email,
+    subject: 'Reset your AI Interview Coach password',
+    text: [
+      `Hi ${recipient.name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      link,
+      '',
+      'This link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(recipient.name)},</p>
+<p>We received a request to reset your password. Open the link below to choose a new one:</p>
+<p><a href="${link}">Reset your password</a></p>
+<p>This link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Sends an email address verification link
+ *
+ * @param {IMailRecipient} recipient - The user whose address is being verified
+ * @param {string} token - Signed email verification token
+ * @returns {Promise<void>}
+ */
+export async function sendVerificationEmail(recipient: IMailRecipient, token: string): Promise<void> {
+  const link = buildAppLink('verifyToken', token);
+
+  await sendMail({
+    to: recipient.email,
+    subject: 'Verify your AI Interview Coach email address',
+    text: [
+      `Hi ${recipient.name},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      'This link expires in 48 hours.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(recipient.name)},</p>
+<p>Please confirm your email address by opening the link below:</p>
+<p><a href="${link}">Verify your email address</a></p>
+<p>This link expires in 48 hours.</p>`
+  });
+}
+
+/**
+ * Sends an in-app notification by email
+ *
+ * @param {IMailRecipient} recipient - The user being notified
+ * @param {string} title - Notification title, used as the subject
+ * @param {string} message - Notification message
+ * @returns {Promise<void>}
+ */
+export async function sendNotificationEmail(recipient: IMailRecipient, title: string, message: string): Promise<void> {
+  const link = (process.env.APP_BASE_URL || DEFAULT_APP_BASE_URL).replace(/\/$/, '');
+
+  await sendMail({
+    to: recipient.email,
+    subject: title,
+    text: [
+      `Hi ${recipient.name},`,
+      '',
+      message,
+      '',
+      `Open AI Interview Coach to read it: ${link}`
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(recipient.name)},</p>
+<p>${escapeHtml(message)}</p>
+<p><a href="${link}">Open AI Interview Coach</a></p>`
+  });
+}
+
+/**
+ * Escapes user-provided text for the HTML body
+ */
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Default export object containing all mailer utilities
+ */
+export default {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendNotificationEmail
+};
@@ -0,0 +1,181 @@
+/**
+ * AI Interview Coach Backend - Notification Service
+ *
+ * This file implements in-app notifications. Each notification is stored for
+ * the recipient's notification feed and also sent by email; email delivery is
+ * best-effort so a mail outage never fails the action that caused it.
+ *
+ * Key Features:
+ * - Notifying several recipients at once
+ * - Notification feed with unread count
+ * - Marking one or all notifications read
+ *
+ * Related Files:
+ * - src/models/Notification.ts - Notification model
+ * - src/services/mailer.service.ts - Email delivery
+ * - src/services/review.service.ts - Review comment notifications
+ * - src/routes/notification.routes.ts - Notification endpoints
+ *
+ * Task: Counselor review comments anchored to transcript messages
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Types } from 'mongoose';
+import Notification, { INotification, NotificationType } from '../models/Notification';
+import { ReviewTargetType } from '../models/ReviewComment';
+import User from '../models/User';
+import { sendNotificationEmail } from './mailer.service';
+
+/**
+ * Default and maximum number of notifications returned per request
+ */
+export const DEFAULT_NOTIFICATION_LIMIT = 20;
+export const MAX_NOTIFICATION_LIMIT = 100;
+
+/**
+ * Interface for the content of a new notification
+ */
+export interface INotificationInput {
+  type: NotificationType;
+  title: string;
+  message: string;
+  actorId?: Types.ObjectId;
+  targetType?: ReviewTargetType;
+  targetId?: Types.ObjectId;
+  commentId?: Types.ObjectId;
+}
+
+/**
+ * Interface for a notification as returned by the API
+ */
+export interface INotificationResponse {
+  id: string;
+  type: NotificationType;
+  title: string;
+  message: string;
+  targetType?: ReviewTargetType;
+  targetId?: string;
+  commentId?: string;
+  read: boolean;
+  createdAt: string;
+}
+
+/**
+ * Builds the API representation of a notification
+ *
+ * @param {INotification} notification - Notification document
+ * @returns {INotificationResponse} Notification without internal fields
+ */
+export function toNotificationResponse(notification: INotification): INotificationResponse {
+  return {
+    id: (notification._id as Types.ObjectId).toString(),
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    ...(notification.targetType && { targetType: notification.targetType }),
+    ...(notification.targetId && { targetId: notification.targetId.toString() }),
+    ...(notification.commentId && { commentId: notification.commentId.toString() }),
+    read: !!notification.readAt,
+    createdAt: notification.createdAt.toISOString()
+  };
+}
+
+/**
+ * Notifies users in-app and by email
+ *
+ * @param {string[]} recipientIds - Users to notify
+ * @param {INotificationInput} input - Notification content
+ * @returns {Promise<number>} Number of notifications created
+ */
+export async function notifyUsers(recipientIds: string[], input: INotificationInput): Promise<number> {
+  const uniqueIds = [...new Set(recipientIds)];
+  if (uniqueIds.length === 0) {
+    return 0;
+  }
+
+  const recipients = await User.find({ _id: { $in: uniqueIds }, isActive: true }).select('name email');
+  if (recipients.length === 0) {
+    return 0;
+  }
+
+  await Notification.insertMany(recipients.map(recipient => ({ ...input, userId: recipient._id })));
+
+  await Promise.all(recipients.map(recipient =>
+    sendNotificationEmail({ email: recipient.email, name: recipient.name }, input.title, input.message)
+      .catch(error => console.error('Failed to send notification email:', error))
+  ));
+
+  return recipients.length;
+}
+
+/**
+ * Lists a user's notifications, newest first
+ *
+ * @param {Types.ObjectId} userId - Recipient
+ * @param {Object} options - Only unread notifications, and how many to return
+ * @returns {Promise<{ notifications: INotificationResponse[]; unreadCount: number }>} Feed and unread count
+ */
+export async function getNotifications(
+  userId: Types.ObjectId,
+  options: { unreadOnly?: boolean; limit?: number } = {}
+): Promise<{ notifications: INotificationResponse[]; unreadCount: number }> {
+  const limit = Math.min(Math.max(options.limit || DEFAULT_NOTIFICATION_LIMIT, 1), MAX_NOTIFICATION_LIMIT);
+  const filter = options.unreadOnly ? { userId, readAt: null } : { userId };
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+    Notification.countDocuments({ userId, readAt: null })
+  ]);
+
+  return {
+    notifications: notifications.map(toNotificationResponse),
+    unreadCount
+  };
+}
+
+/**
+ * Marks one of a user's notifications read
+ *
+ * @param {Types.ObjectId} userId - Recipient
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<boolean>} True if the notification exists
+ */
+export async function markNotificationRead(userId: Types.ObjectId, notificationId: string): Promise<boolean> {
+  const notification = await Notification.findOne({ _id: notificationId, userId });
+  if (!notification) {
+    return false;
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  return true;
+}
+
+/**
+ * Marks all of a user's notifications read
+ *
+ * @param {Types.ObjectId} userId - Recipient
+ * @returns {Promise<number>} Number of notifications marked read
+ */
+export async function markAllNotificationsRead(userId: Types.ObjectId): Promise<number> {
+  const result = await Notification.updateMany(
+    { userId, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Default export object containing all notification utilities
+ */
+export default {
+  toNotificationResponse,
+  notifyUsers,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -12,6 +12,9 @@
  * - Audio transcription using Whisper API
  * - Streaming support for long responses
  * - Rate limiting and error handling with retry logic
+ * - Runs on the provider selected by LLM_PROVIDER (OpenAI, self-hosted or mock)
+ * - Token usage of each call recorded in the usage ledger for the signed-in user
+ * - Token counts from the model's BPE tokenizer
  * 
  * Security Considerations:
  * - Uses environment OPENAI_API_KEY for authentication
@@ -26,6 +29,9 @@
  * - Token usage monitoring to optimize costs
  * 
  * Related Files:
+ * - src/services/llmProvider.service.ts - Chat, transcription and summarization providers
+ * - src/services/usage.service.ts - Usage ledger and budgets
+ * - src/services/tokenizer.service.ts - Token counting
  * - src/routes/interview.routes.ts - Interview question generation endpoints
  * - src/controllers/ - Service consumption in business logic
  * - src/models/Interview.ts - Interview data structure
@@ -38,6 +44,15 @@
  */
 
 import OpenAI from 'openai';
+import { getLLMProvider, LLM_PROVIDERS, ILLMChatRequest, ILLMUsage } from './llmProvider.service';
+import { recordLLMUsage, IUsageContext } from './usage.service';
+import { LLM_USAGE_FEATURES } from '../models/LLMUsage';
+import { countTokens } from './tokenizer.service';
+
+/**
+ * Model used for chat completions unless the caller names another
+ */
+export const DEFAULT_CHAT_MODEL = 'gpt-4';
 
 /**
  * Interface for interview question generation parameters
@@ -54,6 +69,7 @@ export interface IQuestionGenerationParams {
   userGrade?: number;
   userStrengths?: string[];
   userWeaknesses?: string[];
+  usageContext?: IUsageContext; // User the call is metered for
 }
 
 /**
@@ -120,6 +136,7 @@ export interface IFeedbackAnalysisParams {
     strengths?: string[];
     weaknesses?: string[];
   };
+  usageContext?: IUsageContext; // User the call is metered for
 }
 
 /**
@@ -228,6 +245,7 @@ export interface IChatCompletionOptions {
   logTokenUsage?: boolean;
   additionalParams?: any;
   voiceMode?: boolean; // NEW: Enable voice-optimized responses
+  usageContext?: IUsageContext; // User the call is metered for
 }
 
 /**
@@ -274,6 +292,7 @@ let openaiClient: OpenAI | null = null;
 
 /**
  * Initializes OpenAI client with API key from environment variables
+ * For direct SDK access; the AI features below go through getLLMProvider().
  * 
  * @param {IOpenAIConfig} config - Optional configuration for OpenAI client
  * @returns {OpenAI} Configured OpenAI client instance
@@ -352,7 +371,7 @@ export async function generateInterviewQuestions(
   userMajor: string,
   additionalParams: Partial<IQuestionGenerationParams> = {}
 ): Promise<string[]> {
-  const client = getOpenAIClient();
+  const provider = getLLMProvider();
   
   const questionCount = additionalParams.questionCount || 5;
   const customPrompt = additionalParams.customPrompt || '';
@@ -538,7 +557,7 @@ Return only the questions, numbered 1-${questionCount}, with no additional comme
   const userPrompt = `Generate ${questionCount} ${interviewType} interview questions for a ${userMajor} candidate at ${difficulty} difficulty level.`;
 
   try {
-    const completion = await client.chat.completions.create({
+    const { content: response, usage } = await provider.chat({
       model: 'gpt-4',
       messages: [
         { role: 'system', content: systemPrompt },
@@ -550,8 +569,12 @@ Return only the questions, numbered 1-${questionCount}, with no additional comme
       frequency_penalty: 0.6, // Significantly increased to reduce repetition
       presence_penalty: 0.5 // Increased to encourage more diverse topics
     });
-
-    const response = completion.choices[0]?.message?.content;
+    await recordLLMUsage({
+      provider: provider.name,
+      feature: LLM_USAGE_FEATURES.QUESTION_GENERATION,
+      usage,
+      context: additionalParams.usageContext
+    });
     
     if (!response) {
       throw new Error('No response received from OpenAI API');
@@ -609,16 +632,14 @@ Return only the questions, numbered 1-${questionCount}, with no additional comme
  */
 export async function validateOpenAIConnection(): Promise<boolean> {
   try {
-    const client = getOpenAIClient();
-    
     // Make a minimal API call to test connection
-    const response = await client.chat.completions.create({
+    const response = await getLLMProvider().chat({
       model: 'gpt-3.5-turbo',
       messages: [{ role: 'user', content: 'Test connection' }],
       max_tokens: 5
     });
 
-    return response.choices.length > 0;
+    return response.content.length > 0;
   } catch (error) {
     console.error('OpenAI connection validation failed:', error);
     return false;
@@ -638,12 +659,12 @@ export async function validateOpenAIConnection(): Promise<boolean> {
  */
 export async function getAvailableModels(): Promise<string[]> {
   try {
-    const client = getOpenAIClient();
-    const models = await client.models.list();
+    const provider = getLLMProvider();
+    const models = await provider.listModels();
     
-    return models.data
-      .map(model => model.id)
-      .filter(id => id.includes('gpt') || id.includes('whisper'))
+    // OpenAI also lists image, embedding and moderation models
+    return models
+      .filter(id => provider.name !== LLM_PROVIDERS.OPENAI || id.includes('gpt') || id.includes('whisper'))
       .sort();
   } catch (error) {
     console.error('Error fetching available models:', error);
@@ -674,7 +695,7 @@ export async function getAvailableModels(): Promise<string[]> {
  * ```
  */
 export async function analyzeFeedback(params: IFeedbackAnalysisParams): Promise<IFeedbackReport> {
-  const client = getOpenAIClient();
+  const provider = getLLMProvider();
   
   const {
     transcript,
@@ -764,7 +785,7 @@ ${userResponses}
 Please analyze this interview transcript and provide comprehensive feedback following the specified JSON format.`;
 
   try {
-    const completion = await client.chat.completions.create({
+    const { content: response, usage } = await provider.chat({
       model: 'gpt-4',
       messages: [
         { role: 'system', content: systemPrompt },
@@ -776,8 +797,12 @@ Please analyze this interview transcript and provide comprehensive feedback foll
       frequency_penalty: 0.1,
       presence_penalty: 0.1
     });
-
-    const response = completion.choices[0]?.message?.content;
+    await recordLLMUsage({
+      provider: provider.name,
+      feature: LLM_USAGE_FEATURES.FEEDBACK_ANALYSIS,
+      usage,
+      context: params.usageContext
+    });
     
     if (!response) {
       throw new Error('No response received from OpenAI API for feedback analysis');
@@ -858,7 +883,7 @@ export async function transcribeAudio(
   filename: string,
   options: Partial<IAudioTranscriptionParams> = {}
 ): Promise<ITranscriptionResponse> {
-  const client = getOpenAIClient();
+  const provider = getLLMProvider();
   
   // Validate audio file
   const fileValidation = validateAudioFile(audioBuffer, filename);
@@ -876,55 +901,17 @@ export async function transcribeAudio(
   } = options;
 
   try {
-    // Create a File-like object for the API
-    const audioFile = new File([audioBuffer], filename, { 
-      type: fileValidation.mimeType || 'audio/mpeg' 
+    const response = await provider.transcribe({
+      audio: audioBuffer,
+      filename,
+      mimeType: fileValidation.mimeType || 'audio/mpeg',
+      responseFormat,
+      temperature,
+      ...(language && { language }),
+      ...(prompt && { prompt }),
+      ...(timestampGranularities && { timestampGranularities })
     });
 
-    // Prepare API parameters (remove undefined values)
-    const apiParams: any = {
-      file: audioFile,
-      model: 'whisper-1' as const,
-      response_format: responseFormat,
-      temperature
-    };
-
-    // Only add optional parameters if they are defined
-    if (language) apiParams.language = language;
-    if (prompt) apiParams.prompt = prompt;
-    if (responseFormat === 'verbose_json' && timestampGranularities) {
-      apiParams.timestamp_granularities = timestampGranularities;
-    }
-
-    // Call Whisper API for transcription
-    const transcription = await client.audio.transcriptions.create(apiParams);
-
-    // Process response based on format
-    let response: ITranscriptionResponse;
-    
-    if (responseFormat === 'verbose_json') {
-      // Verbose JSON includes detailed metadata
-      const verboseResponse = transcription as any;
-      response = {
-        text: verboseResponse.text,
-        language: verboseResponse.language,
-        duration: verboseResponse.duration,
-        words: verboseResponse.words,
-        segments: verboseResponse.segments
-      };
-    } else if (responseFormat === 'json') {
-      // Standard JSON format
-      const jsonResponse = transcription as any;
-      response = {
-        text: jsonResponse.text
-      };
-    } else {
-      // Text format (string response)
-      response = {
-        text: typeof transcription === 'string' ? transcription : (transcription as any).text
-      };
-    }
-
     console.log(`Successfully transcribed audio file: ${filename} (${fileValidation.size} bytes)`);
     return response;
 
@@ -1104,6 +1091,32 @@ export function estimateAudioDuration(fileSize: number, format: string): number
   return Math.round(fileSize / bytesPerSecond);
 }
 
+/**
+ * Builds a provider chat request with this service's default settings
+ */
+function toChatRequest(
+  messages: { role: 'system' | 'user' | 'assistant'; content: string }[],
+  options: IChatCompletionOptions
+): ILLMChatRequest {
+  return {
+    model: options.model || DEFAULT_CHAT_MODEL,
+    messages,
+    temperature: options.temperature ?? 0.7,
+    max_tokens: options.max_tokens ?? 1000,
+    top_p: options.top_p ?? 0.9,
+    frequency_penalty: options.frequency_penalty ?? 0,
+    presence_penalty: options.presence_penalty ?? 0,
+    ...(options.additionalParams && { additionalParams: options.additionalParams })
+  };
+}
+
+/**
+ * Logs token usage reported by the provider
+ */
+function logTokenUsage(usage: ILLMUsage): void {
+  console.log(`Token usage - Prompt: ${usage.promptTokens}, Completion: ${usage.completionTokens}, Total: ${usage.totalTokens}`);
+}
+
 /**
  * Creates a chat completion using OpenAI API
  * 
@@ -1127,11 +1140,11 @@ export async function createChatCompletion(
   messages: { role: 'system' | 'user' | 'assistant'; content: string }[],
   options: IChatCompletionOptions = {}
 ): Promise<string> {
-  const client = getOpenAIClient();
+  const provider = getLLMProvider();
   
   // Debug: Log what's being sent to OpenAI
   console.log('\n=== OPENAI API CALL DEBUG ===');
-  console.log(`Model: ${options.model || 'gpt-4'}`);
+  console.log(`Model: ${options.model || DEFAULT_CHAT_MODEL}`);
   console.log(`Number of messages: ${messages.length}`);
   
   // Log system message to check if user content is included
@@ -1159,31 +1172,76 @@ export async function createChatCompletion(
   }
   
   try {
-    const completion = await client.chat.completions.create({
-      model: options.model || 'gpt-4',
-      messages,
-      temperature: options.temperature ?? 0.7,
-      max_tokens: options.max_tokens ?? 1000,
-      top_p: options.top_p ?? 0.9,
-      frequency_penalty: options.frequency_penalty ?? 0,
-      presence_penalty: options.presence_penalty ?? 0,
-      ...options.additionalParams
-    });
-    
-    const response = completion.choices[0]?.message?.content || '';
+    const completion = await provider.chat(toChatRequest(messages, options));
     
     // Log token usage if requested
     if (options.logTokenUsage && completion.usage) {
-      console.log(`Token usage - Prompt: ${completion.usage.prompt_tokens}, Completion: ${completion.usage.completion_tokens}, Total: ${completion.usage.total_tokens}`);
+      logTokenUsage(completion.usage);
     }
+    await recordLLMUsage({
+      provider: provider.name,
+      feature: LLM_USAGE_FEATURES.CHAT,
+      usage: completion.usage,
+      context: options.usageContext
+    });
     
-    return response;
+    return completion.content;
   } catch (error) {
     console.error('Chat completion error:', error);
     throw new Error(`Chat completion failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
 }
 
+/**
+ * Streams a chat completion as it is generated
+ * 
+ * Same request as createChatCompletion, but yields the reply in pieces as
+ * OpenAI produces them so callers can show or speak it before it is complete.
+ * Stopping iteration early (for example when the client disconnects) aborts
+ * the underlying request.
+ * 
+ * @param messages - Array of message objects for the chat
+ * @param options - Chat completion options
+ * @returns Async generator of reply text deltas, in order
+ * 
+ * @example
+ * ```typescript
+ * for await (const text of streamChatCompletion(messages)) {
+ *   process.stdout.write(text);
+ * }
+ * ```
+ */
+export async function* streamChatCompletion(
+  messages: { role: 'system' | 'user' | 'assistant'; content: string }[],
+  options: IChatCompletionOptions = {}
+): AsyncGenerator<string, void, undefined> {
+  const provider = getLLMProvider();
+  const request = toChatRequest(messages, options);
+
+  // Usage arrives at the end of the stream only when requested
+  if (options.logTokenUsage || options.usageContext?.userId || options.usageContext?.anonymous) {
+    request.additionalParams = { ...request.additionalParams, stream_options: { include_usage: true } };
+  }
+
+  let usage;
+  try {
+    usage = yield* provider.streamChat(request);
+  } catch (error) {
+    console.error('Chat completion stream error:', error);
+    throw new Error(`Chat completion failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+
+  if (options.logTokenUsage && usage) {
+    logTokenUsage(usage);
+  }
+  await recordLLMUsage({
+    provider: provider.name,
+    feature: LLM_USAGE_FEATURES.CHAT,
+    usage,
+    context: options.usageContext
+  });
+}
+
 /**
  * Creates a content-aware system prompt
  * Integrates uploaded content intelligently into the system context
@@ -1243,15 +1301,14 @@ export function createContentAwarePrompt(config: IContentAwarePromptConfig): str
 }
 
 /**
- * Estimates token count for a given text
- * Uses a simple heuristic (1 token ≈ 4 characters)
+ * Counts the tokens in a given text with the model's tokenizer
  * 
- * @param {string} text - Text to estimate tokens for
- * @returns {number} Estimated token count
+ * @param {string} text - Text to count tokens for
+ * @param {string} model - Model whose tokenizer to use
+ * @returns {number} Token count
  */
-export function estimateTokens(text: string): number {
-  // OpenAI's rule of thumb: 1 token ≈ 4 characters
-  return Math.ceil(text.length / 4);
+export function estimateTokens(text: string, model: string = DEFAULT_CHAT_MODEL): number {
+  return countTokens(text, model);
 }
 
 /**
@@ -1301,25 +1358,24 @@ export function getInterviewPromptTemplate(interviewType: string): IPromptTempla
  * 
  * @param {string} content - Content to summarize
  * @param {number} maxTokens - Maximum tokens for the summary
+ * @param {IUsageContext} usageContext - User the call is metered for
  * @returns {Promise<string>} Summarized content
  */
-export async function summarizeWithGPT(content: string, maxTokens: number = 500): Promise<string> {
-  const messages = [
-    {
-      role: 'system' as const,
-      content: 'You are a professional summarizer. Create concise summaries that preserve key information for interviews.'
-    },
-    {
-      role: 'user' as const,
-      content: `Summarize the following content in approximately ${maxTokens * 4} characters, focusing on information relevant for interviews:\n\n${content}`
-    }
-  ];
+export async function summarizeWithGPT(
+  content: string,
+  maxTokens: number = 500,
+  usageContext?: IUsageContext
+): Promise<string> {
+  const provider = getLLMProvider();
 
-  return createChatCompletion(messages, {
-    temperature: 0.3,
-    max_tokens: maxTokens,
-    model: 'gpt-3.5-turbo' // Use faster model for summarization
-  });
+  try {
+    const { content: summary, usage } = await provider.summarize(content, maxTokens);
+    await recordLLMUsage({ provider: provider.name, feature: LLM_USAGE_FEATURES.SUMMARIZATION, usage, context: usageContext });
+    return summary;
+  } catch (error) {
+    console.error('Summarization error:', error);
+    throw new Error(`Summarization failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
 }
 
 /**
@@ -1525,36 +1581,38 @@ export function createVoiceOptimizedPrompt(config: IVoiceOptimizationConfig): st
 }
 
 /**
- * Enhanced chat completion with voice optimization support
- * Extends the standard createChatCompletion with voice-specific optimizations
+ * Default voice optimization configuration used for voice-mode chat
+ */
+const DEFAULT_VOICE_CONFIG: IVoiceOptimizationConfig = {
+  enableOptimization: true,
+  maxResponseLength: 800, // ~2-3 minutes of speech at normal rate
+  reducePunctuation: true,
+  addPronunciationGuides: true,
+  optimizeForSpeechRate: 150, // Average speaking rate (words per minute)
+  includeVoiceInstructions: true
+};
+
+/**
+ * Adds voice instructions to the system prompt and lowers the token limit
+ * when voice mode is enabled
  * 
  * @param {Array} messages - Chat messages array
- * @param {IChatCompletionOptions} options - Chat completion options with voice mode support
- * @returns {Promise<string>} Voice-optimized AI response
+ * @param {IChatCompletionOptions} options - Chat completion options (max_tokens is defaulted in place)
+ * @returns {Array} Messages to send
  */
-export async function createVoiceOptimizedChatCompletion(
+function prepareVoiceMessages(
   messages: { role: 'system' | 'user' | 'assistant'; content: string }[],
-  options: IChatCompletionOptions = {}
-): Promise<string> {
-  // Default voice optimization configuration
-  const defaultVoiceConfig: IVoiceOptimizationConfig = {
-    enableOptimization: true,
-    maxResponseLength: 800, // ~2-3 minutes of speech at normal rate
-    reducePunctuation: true,
-    addPronunciationGuides: true,
-    optimizeForSpeechRate: 150, // Average speaking rate (words per minute)
-    includeVoiceInstructions: true
-  };
-
-  let processedMessages = [...messages];
+  options: IChatCompletionOptions
+): { role: 'system' | 'user' | 'assistant'; content: string }[] {
+  const processedMessages = [...messages];
 
   // If voice mode is enabled, enhance the system prompt
-  if (options.voiceMode && defaultVoiceConfig.includeVoiceInstructions) {
+  if (options.voiceMode && DEFAULT_VOICE_CONFIG.includeVoiceInstructions) {
     const systemMessageIndex = processedMessages.findIndex(m => m.role === 'system');
     
     if (systemMessageIndex >= 0 && processedMessages[systemMessageIndex]) {
       // Add voice optimization instructions to existing system message
-      const voiceInstructions = createVoiceOptimizedPrompt(defaultVoiceConfig);
+      const voiceInstructions = createVoiceOptimizedPrompt(DEFAULT_VOICE_CONFIG);
       const existingMessage = processedMessages[systemMessageIndex];
       processedMessages[systemMessageIndex] = {
         role: existingMessage.role,
@@ -1562,7 +1620,7 @@ export async function createVoiceOptimizedChatCompletion(
       };
     } else {
       // Create a new system message with voice instructions
-      const voiceInstructions = createVoiceOptimizedPrompt(defaultVoiceConfig);
+      const voiceInstructions = createVoiceOptimizedPrompt(DEFAULT_VOICE_CONFIG);
       processedMessages.unshift({
         role: 'system' as const,
         content: 'You are an AI interview coach providing voice-optimized responses.' + voiceInstructions
@@ -1575,17 +1633,94 @@ export async function createVoiceOptimizedChatCompletion(
     }
   }
 
+  return processedMessages;
+}
+
+/**
+ * Enhanced chat completion with voice optimization support
+ * Extends the standard createChatCompletion with voice-specific optimizations
+ * 
+ * @param {Array} messages - Chat messages array
+ * @param {IChatCompletionOptions} options - Chat completion options with voice mode support
+ * @returns {Promise<string>} Voice-optimized AI response
+ */
+export async function createVoiceOptimizedChatCompletion(
+  messages: { role: 'system' | 'user' | 'assistant'; content: string }[],
+  options: IChatCompletionOptions = {}
+): Promise<string> {
+  const processedMessages = prepareVoiceMessages(messages, options);
+
   // Get the standard AI response
   const response = await createChatCompletion(processedMessages, options);
 
   // Apply voice optimizations to the response if voice mode is enabled
   if (options.voiceMode) {
-    return optimizeTextForVoice(response, defaultVoiceConfig);
+    return optimizeTextForVoice(response, DEFAULT_VOICE_CONFIG);
   }
 
   return response;
 }
 
+/**
+ * Streaming counterpart of createVoiceOptimizedChatCompletion
+ * In voice mode the reply is yielded one complete sentence at a time, each
+ * optimized for speech, so text-to-speech can start on the first sentence.
+ * The reply stops at the first sentence that would pass the voice length limit.
+ * 
+ * @param {Array} messages - Chat messages array
+ * @param {IChatCompletionOptions} options - Chat completion options with voice mode support
+ * @returns {AsyncGenerator<string>} Reply text; whole sentences in voice mode
+ */
+export async function* streamVoiceOptimizedChatCompletion(
+  messages: { role: 'system' | 'user' | 'assistant'; content: string }[],
+  options: IChatCompletionOptions = {}
+): AsyncGenerator<string, void, undefined> {
+  const processedMessages = prepareVoiceMessages(messages, options);
+
+  if (!options.voiceMode) {
+    yield* streamChatCompletion(processedMessages, options);
+    return;
+  }
+
+  // The length limit applies to the whole reply, not to each sentence
+  const { maxResponseLength = Infinity, ...sentenceConfig } = DEFAULT_VOICE_CONFIG;
+  const sentenceEnd = /[.!?]+["')\]]*\s+/;
+  let pending = '';
+  let spokenLength = 0;
+
+  // Optimizes a sentence for speech; null once it would pass the length limit
+  const toSpokenSentence = (sentence: string): string | null => {
+    const optimized = optimizeTextForVoice(sentence, sentenceConfig);
+    const separator = spokenLength > 0 ? ' ' : '';
+    if (spokenLength + separator.length + optimized.length > maxResponseLength) {
+      return null;
+    }
+    spokenLength += separator.length + optimized.length;
+    return separator + optimized;
+  };
+
+  for await (const text of streamChatCompletion(processedMessages, options)) {
+    pending += text;
+
+    let match;
+    while ((match = sentenceEnd.exec(pending))) {
+      const end = match.index + match[0].length;
+      const sentence = toSpokenSentence(pending.slice(0, end));
+      pending = pending.slice(end);
+
+      if (sentence === null) {
+        return; // Ends the OpenAI request early
+      }
+      yield sentence;
+    }
+  }
+
+  const rest = pending.trim() ? toSpokenSentence(pending) : null;
+  if (rest !== null) {
+    yield rest;
+  }
+}
+
 /**
  * Validates and preprocesses user messages for voice mode
  * Ensures user messages from speech recognition are properly formatted
@@ -1707,6 +1842,7 @@ const openaiService = {
   validateOpenAIConnection,
   getAvailableModels,
   createChatCompletion,
+  streamChatCompletion,
   createContentAwarePrompt,
   estimateTokens,
   getInterviewPromptTemplate,
@@ -1716,6 +1852,7 @@ const openaiService = {
   optimizeTextForVoice,
   createVoiceOptimizedPrompt,
   createVoiceOptimizedChatCompletion,
+  streamVoiceOptimizedChatCompletion,
   preprocessVoiceUserMessage,
   estimateSpeechDuration
 };
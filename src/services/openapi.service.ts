@@ -0,0 +1,225 @@
+/**
+ * AI Interview Coach Backend - OpenAPI Service
+ *
+ * This service builds an OpenAPI 3.0 document from the endpoint specs in
+ * src/schemas. The same specs validate requests, so the document cannot drift
+ * from what the routes accept.
+ *
+ * Key Features:
+ * - Express paths (/api/interviews/:id) converted to OpenAPI paths ({id})
+ * - Path and query parameters, request bodies and responses per endpoint
+ * - Titled schemas shared through components.schemas
+ * - Bearer token security, with optional auth shown as an alternative
+ * - 400, 401 and 500 ErrorResponse entries added where they apply
+ *
+ * Related Files:
+ * - src/schemas/index.ts - Documented endpoints
+ * - src/routes/docs.routes.ts - GET /api/docs/openapi.json
+ *
+ * Task: Request/response schemas, validation middleware and OpenAPI document
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { apiEndpoints, errorResponseSchema } from '../schemas';
+import { IEndpointSpec, IResponseSpec, ISchema } from '../schemas/types';
+
+/**
+ * OpenAPI version of the generated document
+ */
+export const OPENAPI_VERSION = '3.0.3';
+
+type JsonObject = Record<string, unknown>;
+
+/**
+ * Converts an Express path to an OpenAPI path
+ *
+ * @param {string} path - Express path such as /api/sessions/:id/feedback
+ * @returns {string} OpenAPI path such as /api/sessions/{id}/feedback
+ */
+export function toOpenApiPath(path: string): string {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * Converts schemas to OpenAPI schema objects, collecting titled schemas as components
+ */
+class SchemaConverter {
+  readonly components = new Map<string, JsonObject>();
+  private readonly sources = new Map<string, ISchema>();
+
+  convert(schema: ISchema): JsonObject {
+    if (schema.title) {
+      const registered = this.sources.get(schema.title);
+
+      if (!registered) {
+        this.sources.set(schema.title, schema);
+        this.components.set(schema.title, this.convertInline(schema));
+        return { $ref: `#/components/schemas/${schema.title}` };
+      }
+      if (registered === schema) {
+        return { $ref: `#/components/schemas/${schema.title}` };
+      }
+    }
+
+    return this.convertInline(schema);
+  }
+
+  private convertInline(schema: ISchema): JsonObject {
+    const { title, properties, items, required, additionalProperties, enum: values, ...rest } = schema;
+    const converted: JsonObject = { ...rest };
+
+    if (values) {
+      converted.enum = [...values];
+    }
+    if (items) {
+      converted.items = this.convert(items);
+    }
+    if (properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(properties).map(([name, property]) => [name, this.convert(property)])
+      );
+    }
+    if (required && required.length > 0) {
+      converted.required = [...required];
+    }
+    if (additionalProperties !== undefined) {
+      converted.additionalProperties = typeof additionalProperties === 'object'
+        ? this.convert(additionalProperties)
+        : additionalProperties;
+    }
+
+    return converted;
+  }
+}
+
+/**
+ * Builds the parameter list for path or query values
+ */
+function buildParameters(schema: ISchema | undefined, location: 'path' | 'query', converter: SchemaConverter): JsonObject[] {
+  if (!schema?.properties) {
+    return [];
+  }
+
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || !!schema.required?.includes(name),
+    ...(property.description && { description: property.description }),
+    schema: converter.convert(property)
+  }));
+}
+
+/**
+ * Adds the error responses every endpoint of a kind can return
+ */
+function withDefaultResponses(endpoint: IEndpointSpec): Record<number, IResponseSpec> {
+  const responses: Record<number, IResponseSpec> = { ...endpoint.responses };
+  const validated = endpoint.params || endpoint.query || endpoint.body;
+
+  if (validated && !responses[400]) {
+    responses[400] = { description: 'Invalid request (VALIDATION_ERROR); details lists every problem', schema: errorResponseSchema };
+  }
+  if (endpoint.auth === 'required' && !responses[401]) {
+    responses[401] = { description: 'Missing or invalid access token', schema: errorResponseSchema };
+  }
+  if (!responses[500]) {
+    responses[500] = { description: 'Unexpected server error', schema: errorResponseSchema };
+  }
+
+  return responses;
+}
+
+/**
+ * Builds the OpenAPI operation for one endpoint
+ */
+function buildOperation(endpoint: IEndpointSpec, converter: SchemaConverter): JsonObject {
+  const parameters = [
+    ...buildParameters(endpoint.params, 'path', converter),
+    ...buildParameters(endpoint.query, 'query', converter)
+  ];
+
+  const responses = Object.fromEntries(
+    Object.entries(withDefaultResponses(endpoint)).map(([status, response]) => [
+      status,
+      {
+        description: response.description,
+        ...(response.schema && {
+          content: { [response.contentType || 'application/json']: { schema: converter.convert(response.schema) } }
+        })
+      }
+    ])
+  );
+
+  return {
+    summary: endpoint.summary,
+    ...(endpoint.description && { description: endpoint.description }),
+    tags: endpoint.tags,
+    ...(parameters.length > 0 && { parameters }),
+    ...(endpoint.body && {
+      requestBody: {
+        required: !endpoint.bodyOptional,
+        content: { [endpoint.bodyContentType || 'application/json']: { schema: converter.convert(endpoint.body) } }
+      }
+    }),
+    responses,
+    security: endpoint.auth === 'required'
+      ? [{ bearerAuth: [] }]
+      : endpoint.auth === 'optional' ? [{}, { bearerAuth: [] }] : []
+  };
+}
+
+/**
+ * Builds the OpenAPI document for the documented endpoints
+ *
+ * @param {IEndpointSpec[]} endpoints - Endpoints to include (default: all documented endpoints)
+ * @returns {Object} OpenAPI 3.0 document
+ *
+ * @example
+ * ```typescript
+ * const document = buildOpenApiDocument();
+ * console.log(Object.keys(document.paths)); // ['/api/interviews', '/api/interviews/{id}', ...]
+ * ```
+ */
+export function buildOpenApiDocument(endpoints: IEndpointSpec[] = apiEndpoints): JsonObject {
+  const converter = new SchemaConverter();
+  const paths: Record<string, JsonObject> = {};
+
+  for (const endpoint of endpoints) {
+    const path = toOpenApiPath(endpoint.path);
+    paths[path] = { ...paths[path], [endpoint.method]: buildOperation(endpoint, converter) };
+  }
+
+  // Components are registered while the operations are converted
+  converter.convert(errorResponseSchema);
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'AI Interview Coach API',
+      version: '1.0.0',
+      description: 'Interview, session and chat endpoints. Errors use the ErrorResponse shape; ' +
+        'invalid requests return 400 with code VALIDATION_ERROR and every problem in details.'
+    },
+    servers: [{ url: '/' }],
+    tags: [
+      { name: 'Interviews', description: 'Interview sessions and generated questions' },
+      { name: 'Sessions', description: 'Session recordings, transcripts and feedback' },
+      { name: 'Chat', description: 'Interview chat, transcripts and AI ratings' },
+      { name: 'Voice', description: 'Voice preferences and analytics' }
+    ],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: Object.fromEntries(converter.components)
+    }
+  };
+}
+
+export default {
+  buildOpenApiDocument,
+  toOpenApiPath
+};
@@ -0,0 +1,688 @@
+/**
+ * AI Interview Coach Backend - Profile Extraction Service
+ *
+ * This file turns the extracted text of a resume or Common App activity list
+ * into structured profile data: activities with roles, organizations, dates,
+ * grade levels and time commitment, awards with their level of recognition,
+ * courses and skills. The data is stored on the uploaded file and offered to
+ * the student as suggestions for the extracurriculars and strengths in their
+ * profile, which they review before anything is added.
+ *
+ * Key Features:
+ * - Section detection from resume headings (Activities, Experience, Awards,
+ *   Coursework, Skills, ...) and Common App field labels (Position, Organization, ...)
+ * - Entries grouped from header lines, bullet points and labeled fields
+ * - Date ranges ("Sept 2022 - Present"), grade levels ("Grades 9-12") and
+ *   hours per week / weeks per year picked out of each entry
+ * - Documents that are neither resumes nor activity lists (essays, transcripts
+ *   of other kinds) yield no suggestions
+ * - Suggestions skip what the profile already lists; merging respects the
+ *   profile's list limits
+ *
+ * Parsing is rule-based, so it runs during upload processing without AI calls
+ * or cost; the review step catches what the rules get wrong.
+ *
+ * Related Files:
+ * - src/models/UploadedFile.ts - Stores the parsed profile data
+ * - src/models/User.ts - Profile lists and their limits
+ * - src/routes/upload.routes.ts - Parses on upload; review and merge endpoints
+ *
+ * Task: Structured resume and activity-list parsing into the user profile
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import User, { IUser, PROFILE_LIST_LIMITS } from '../models/User';
+import {
+  IUploadedFile,
+  IProfileExtraction,
+  IExtractedActivity,
+  IExtractedAward,
+  IExtractedCourse,
+  ProfileDocumentType,
+  AwardLevel,
+  PROFILE_DOCUMENT_TYPES,
+  PROFILE_IMPORT_STATUS,
+  AWARD_LEVELS
+} from '../models/UploadedFile';
+
+/**
+ * Most entries kept per list
+ */
+export const PROFILE_EXTRACTION_LIMITS = {
+  ACTIVITIES: 50,
+  AWARDS: 30,
+  COURSES: 50,
+  SKILLS: 30
+} as const;
+
+/**
+ * Error codes for merging suggestions into a profile
+ */
+export const PROFILE_IMPORT_ERROR_CODES = {
+  NOTHING_TO_IMPORT: 'PROFILE_EXTRACTION_MISSING',
+  LIST_FULL: 'PROFILE_LIST_FULL'
+} as const;
+
+export type ProfileImportErrorCode = typeof PROFILE_IMPORT_ERROR_CODES[keyof typeof PROFILE_IMPORT_ERROR_CODES];
+
+/**
+ * Interface for parsed profile data, before review
+ */
+export type IParsedProfile = Pick<IProfileExtraction, 'documentType' | 'activities' | 'awards' | 'courses' | 'skills'>;
+
+/**
+ * Interface for profile suggestions
+ */
+export interface IProfileSuggestions {
+  extracurriculars: string[];
+  strengths: string[];
+}
+
+/**
+ * Interface for the entries a student chose to add
+ */
+export interface IProfileImportSelection {
+  extracurriculars?: string[];
+  strengths?: string[];
+}
+
+/**
+ * Interface for the result of merging suggestions
+ */
+export interface IProfileImportResult {
+  success: boolean;
+  added?: IProfileSuggestions;
+  profile?: IProfileSuggestions; // Profile lists after the merge
+  errorCode?: ProfileImportErrorCode;
+  field?: keyof IProfileSuggestions; // List that would exceed its limit
+}
+
+type Section = 'activities' | 'awards' | 'courses' | 'education' | 'skills' | 'other';
+
+/**
+ * Headings that start each section, matched against the whole heading line
+ */
+const SECTION_HEADINGS: Array<[Section, RegExp]> = [
+  ['activities', /^(?:activity \d{1,2}|(?:common app(?:lication)? )?activit(?:y|ies)(?: list)?|extracurriculars?(?: activities)?|(?:school|community|leadership|volunteer|work|research|relevant|professional) (?:activities|experience|involvement)|leadership|experience|employment|work history|volunteer(?:ing| work)?|community (?:service|involvement)|clubs?(?: (?:and|&) organizations)?|athletics|sports)$/],
+  ['awards', /^(?:honou?r \d{1,2}|awards?|honou?rs?|awards? (?:and|&) honou?rs|honou?rs (?:and|&) awards?|achievements|recognition|distinctions)$/],
+  ['courses', /^(?:(?:relevant )?course ?work|courses|classes|academic courses)$/],
+  ['education', /^(?:education|academics?|academic (?:background|record|history))$/],
+  ['skills', /^(?:skills|(?:technical|language|additional|other) skills|skills (?:and|&) (?:interests|languages)|languages)$/],
+  ['other', /^(?:objective|summary|profile|references|contact(?: information)?|personal statement|publications|interests|hobbies|certifications)$/]
+];
+
+const BULLET = /^[-*•▪●◦‣–—·]\s*/;
+const NUMBERED = /^(?:activity\s+)?(\d{1,2})\s*[.):]\s*/i;
+const FIELD = /^(position(?:\/leadership description)?|role|title|organi[sz]ation(?: name)?|activity(?: type)?|participation grade levels?|grade levels?|grades?|description|please describe this activity[^:]*|level of recognition|level|dates?|timing)\s*:\s*(.*)$/i;
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?|spring|summer|fall|autumn|winter)';
+const DATE = `(?:${MONTH}\\.?\\s+)?(?:19|20)\\d{2}`;
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|\\u2013|\\u2014|to|through)\\s*(${DATE}|present|current|now|ongoing)`, 'i');
+const SINGLE_DATE = new RegExp(DATE, 'i');
+const GRADES = /\b(?:grades?|gr\.)\s*((?:9|10|11|12)(?:th)?(?:\s*(?:-|–|,|and|&|\/)\s*(?:9|10|11|12)(?:th)?)*)/i;
+const HOURS_PER_WEEK = /(?:(\d+(?:\.\d+)?)\s*(?:hours?|hrs?)\s*(?:\/|per|a|each)\s*(?:week|wk)|hours?\s*(?:\/|per)\s*week\s*:?\s*(\d+(?:\.\d+)?))/i;
+const WEEKS_PER_YEAR = /(?:(\d+)\s*(?:weeks?|wks?)\s*(?:\/|per|a|each)\s*(?:year|yr)|weeks?\s*(?:\/|per)\s*year\s*:?\s*(\d+))/i;
+
+/**
+ * Words that name a position when they end a phrase ("Volunteer Tutor", "Team Captain")
+ */
+const ROLE_WORDS = /(?:president|vice president|vp|captain|co-captain|founder|co-founder|cofounder|leader|lead|head|chair|chairperson|co-chair|editor|editor-in-chief|treasurer|secretary|member|volunteer|tutor|intern|manager|coordinator|director|officer|representative|mentor|coach|assistant|counselor|organizer|delegate|ambassador|researcher|developer|instructor|teacher|player|performer|musician|concertmaster|drum major|employee|cashier|lifeguard)s?$/i;
+
+const COURSE_LEVEL = /^(AP|IB(?:\s+(?:HL|SL))?|Honors|Hon\.|Dual Enrollment|DE)\s+(.+)$/i;
+const COURSE_LEVEL_SUFFIX = /^(.+?)\s*\((AP|IB(?:\s+(?:HL|SL))?|Honors|Dual Enrollment)\)$/i;
+
+/**
+ * One activity, award or course as written, before its fields are picked out
+ */
+interface IRawEntry {
+  section: Section;
+  headerLines: string[];
+  fields: Record<string, string>;
+  details: string[];
+}
+
+/**
+ * Finds the section a heading line starts, with any text after a colon
+ * Numbered labels ("Activity 2: Robotics", "Honor 1: ...") start one entry.
+ */
+function matchHeading(line: string): { section: Section; rest: string; numbered: boolean } | null {
+  const [, label = line, rest = ''] = /^([^:]{2,40}):\s*(.*)$/.exec(line) || [];
+  const heading = label.replace(/^#+\s*/, '').trim().toLowerCase();
+
+  for (const [section, pattern] of SECTION_HEADINGS) {
+    if (pattern.test(heading)) {
+      return { section, rest: rest.trim(), numbered: /\d/.test(heading) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses grade levels like "9-12", "10, 11, 12" or "11th and 12th"
+ */
+function parseGrades(value: string): number[] | undefined {
+  const numbers = (value.match(/\b(?:9|10|11|12)\b/g) || []).map(Number);
+  if (numbers.length === 0) {
+    return undefined;
+  }
+
+  const range = /\b(9|10|11|12)(?:th)?\s*(?:-|–)\s*(9|10|11|12)\b/.exec(value);
+  if (range) {
+    const [from, to] = [Number(range[1]), Number(range[2])];
+    for (let grade = from; grade <= to; grade++) {
+      numbers.push(grade);
+    }
+  }
+
+  return [...new Set(numbers)].sort((a, b) => a - b);
+}
+
+/**
+ * Capitalizes the first letter of a date such as "present"
+ */
+function formatDate(value: string): string {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Removes separators and empty brackets left behind after dates are taken out
+ */
+function tidy(text: string): string {
+  return text
+    .replace(/\(\s*[,|;]?\s*\)/g, '')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/^[\s,|;:–—-]+|[\s,|;:–—-]+$/g, '')
+    .trim();
+}
+
+/**
+ * Takes dates and grade levels out of a line
+ */
+function takeTiming(text: string): { rest: string; startDate?: string; endDate?: string; grades?: number[] } {
+  let rest = text;
+  const timing: { startDate?: string; endDate?: string; grades?: number[] } = {};
+
+  const range = DATE_RANGE.exec(rest);
+  if (range) {
+    timing.startDate = formatDate(range[1]!);
+    timing.endDate = formatDate(range[2]!);
+    rest = rest.replace(range[0], ' ');
+  } else {
+    const single = SINGLE_DATE.exec(rest);
+    if (single) {
+      timing.startDate = formatDate(single[0]);
+      rest = rest.replace(single[0], ' ');
+    }
+  }
+
+  const grades = GRADES.exec(rest);
+  if (grades) {
+    const parsed = parseGrades(grades[1]!);
+    if (parsed) {
+      timing.grades = parsed;
+    }
+    rest = rest.replace(grades[0], ' ');
+  }
+
+  return { rest: tidy(rest), ...timing };
+}
+
+/**
+ * Splits an activity header into its position, name and organization
+ * "Captain, Robotics Team, Lincoln High School" and
+ * "Volunteer Tutor | Eastside Library" name the position first;
+ * "Student Council President" puts it last.
+ */
+function splitHeader(header: string): { name: string; role?: string; organization?: string } {
+  const parts = header
+    .split(/\s+\|\s+|\s+[–—-]\s+|,\s+|\s+at\s+/i)
+    .map(part => part.trim())
+    .filter(part => part.length > 0);
+
+  if (parts.length === 0) {
+    return { name: '' };
+  }
+
+  const roleIndex = parts.slice(0, 2).findIndex(part => part.split(/\s+/).length <= 5 && ROLE_WORDS.test(part));
+  if (roleIndex < 0) {
+    return parts.length === 1 ? { name: parts[0]! } : { name: parts[0]!, organization: parts.slice(1).join(', ') };
+  }
+
+  const rolePart = parts[roleIndex]!;
+  const others = parts.filter((_, index) => index !== roleIndex);
+
+  // A longer phrase names the activity before the position: "Student Council President"
+  const trailingRole = rolePart.split(/\s+/).length >= 3 ? /((?:vice |co-)?\S+)$/i.exec(rolePart)?.[1] : undefined;
+  const splitRole = trailingRole !== undefined && ROLE_WORDS.test(trailingRole);
+  const role = splitRole ? trailingRole : rolePart;
+  const [name, ...organization] = splitRole ? [rolePart.slice(0, -role.length).trim(), ...others] : others;
+
+  if (!name) {
+    return { name: rolePart };
+  }
+  return {
+    name,
+    role,
+    ...(organization.length > 0 && { organization: organization.join(', ') })
+  };
+}
+
+/**
+ * Number after a "per week" or "per year" phrase, in either word order
+ */
+function matchNumber(pattern: RegExp, texts: string[]): number | undefined {
+  for (const text of texts) {
+    const match = pattern.exec(text);
+    const value = match ? Number(match[1] ?? match[2]) : NaN;
+    if (Number.isFinite(value)) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Builds an activity from its raw entry
+ */
+function toActivity(entry: IRawEntry): IExtractedActivity | null {
+  const fieldValue = (pattern: RegExp) =>
+    Object.entries(entry.fields).find(([label]) => pattern.test(label))?.[1];
+
+  const header = entry.headerLines.join(' | ');
+  const timing = takeTiming(header);
+  const parts = splitHeader(timing.rest);
+
+  const position = fieldValue(/^(position|role|title)/);
+  const organization = fieldValue(/^organi[sz]ation/);
+  const activityType = fieldValue(/^activity/);
+  const gradeField = fieldValue(/grade/);
+  const dateField = fieldValue(/^(dates?|timing)$/);
+  const description = fieldValue(/^(description|please describe)/) || entry.details.join('; ');
+
+  const allText = [header, ...Object.values(entry.fields), ...entry.details];
+  const dateTiming = dateField ? takeTiming(dateField) : undefined;
+  const name = parts.name || organization || activityType || position;
+  if (!name) {
+    return null;
+  }
+
+  const role = position || parts.role;
+  const grades = (gradeField && parseGrades(gradeField)) || timing.grades;
+  const startDate = timing.startDate || dateTiming?.startDate;
+  const endDate = timing.endDate || dateTiming?.endDate;
+  const hoursPerWeek = matchNumber(HOURS_PER_WEEK, allText);
+  const weeksPerYear = matchNumber(WEEKS_PER_YEAR, allText);
+  const organizationName = organization || parts.organization;
+
+  return {
+    name: name.slice(0, 200),
+    ...(role && role !== name && { role: role.slice(0, 100) }),
+    ...(organizationName && organizationName !== name && { organization: organizationName.slice(0, 200) }),
+    ...(description && { description: description.slice(0, 1000) }),
+    ...(startDate && { startDate }),
+    ...(endDate && { endDate }),
+    ...(grades && { grades }),
+    ...(hoursPerWeek !== undefined && { hoursPerWeek }),
+    ...(weeksPerYear !== undefined && { weeksPerYear })
+  };
+}
+
+/**
+ * Reads a level of recognition from award text
+ */
+function parseAwardLevel(text: string): AwardLevel | undefined {
+  if (/\binternational\b/i.test(text)) return AWARD_LEVELS.INTERNATIONAL;
+  if (/\bnational\b/i.test(text)) return AWARD_LEVELS.NATIONAL;
+  if (/\b(?:state|regional|all-state|district|county)\b/i.test(text)) return AWARD_LEVELS.STATE_REGIONAL;
+  if (/\bschool\b/i.test(text)) return AWARD_LEVELS.SCHOOL;
+  return undefined;
+}
+
+/**
+ * Builds an award from a line of an awards section
+ */
+function toAward(line: string): IExtractedAward | null {
+  const timing = takeTiming(line);
+  const title = timing.rest;
+  if (title.length < 3) {
+    return null;
+  }
+
+  const level = parseAwardLevel(line);
+  return {
+    title: title.slice(0, 200),
+    ...(level && { level }),
+    ...(timing.startDate && { date: timing.endDate ? `${timing.startDate} - ${timing.endDate}` : timing.startDate }),
+    ...(timing.grades && { grades: timing.grades })
+  };
+}
+
+/**
+ * Builds a course from one item of a course list
+ */
+function toCourse(item: string): IExtractedCourse | null {
+  const text = tidy(item);
+  const prefixed = COURSE_LEVEL.exec(text);
+  const suffixed = COURSE_LEVEL_SUFFIX.exec(text);
+  const [name, level] = prefixed ? [prefixed[2]!, prefixed[1]!] : suffixed ? [suffixed[1]!, suffixed[2]!] : [text, undefined];
+
+  if (name.length < 3 || name.length > 100 || !/[a-z]/i.test(name) || /\bgpa\b|^\d/i.test(name)) {
+    return null;
+  }
+
+  const normalizedLevel = level && (/^(hon\.|honors)$/i.test(level) ? 'Honors'
+    : /^(de|dual enrollment)$/i.test(level) ? 'Dual Enrollment'
+    : level.toUpperCase());
+  return { name: tidy(name), ...(normalizedLevel && { level: normalizedLevel }) };
+}
+
+/**
+ * Splits a list line into items, dropping a category label ("Languages: ...")
+ */
+function splitList(line: string): string[] {
+  return line
+    .replace(/^[^:,]{2,30}:\s*/, '')
+    .split(/[,;•]|\s\|\s/)
+    .map(item => tidy(item.replace(BULLET, '')))
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Classifies a document from its headings and Common App field labels
+ */
+function classifyDocument(lines: string[]): ProfileDocumentType {
+  const text = lines.join('\n');
+  const commonAppFields = lines.filter(line => /^(position|organi[sz]ation(?: name)?|participation grade levels?)\s*:/i.test(line)).length;
+  const timeCommitments = (text.match(new RegExp(HOURS_PER_WEEK.source, 'gi')) || []).length;
+
+  if (/common app/i.test(text) || commonAppFields >= 2 || timeCommitments >= 2) {
+    return PROFILE_DOCUMENT_TYPES.ACTIVITY_LIST;
+  }
+
+  const sections = new Set(lines.map(line => matchHeading(line)?.section).filter(section => section && section !== 'other'));
+  return sections.size > 0 ? PROFILE_DOCUMENT_TYPES.RESUME : PROFILE_DOCUMENT_TYPES.OTHER;
+}
+
+/**
+ * Parses resume or activity list text into structured profile data
+ *
+ * @param {string} text - Extracted document text
+ * @returns {IParsedProfile} Activities, awards, courses and skills (empty for other documents)
+ *
+ * @example
+ * ```typescript
+ * parseProfileDocument('ACTIVITIES\nCaptain, Robotics Team  Sept 2022 - Present\n- Led 20 students');
+ * // { documentType: 'resume', activities: [{ name: 'Robotics Team', role: 'Captain',
+ * //   startDate: 'Sept 2022', endDate: 'Present', description: 'Led 20 students' }], ... }
+ * ```
+ */
+export function parseProfileDocument(text: string): IParsedProfile {
+  const lines = text.split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim());
+  const documentType = classifyDocument(lines.filter(line => line.length > 0));
+  const parsed: IParsedProfile = { documentType, activities: [], awards: [], courses: [], skills: [] };
+
+  if (documentType === PROFILE_DOCUMENT_TYPES.OTHER) {
+    return parsed;
+  }
+
+  const entries: IRawEntry[] = [];
+  let section: Section = documentType === PROFILE_DOCUMENT_TYPES.ACTIVITY_LIST ? 'activities' : 'other';
+  let current: IRawEntry | null = null;
+
+  const addEntry = (headerLines: string[]): IRawEntry => {
+    const entry: IRawEntry = { section, headerLines, fields: {}, details: [] };
+    entries.push(entry);
+    return entry;
+  };
+
+  for (const line of lines) {
+    if (!line) {
+      current = null;
+      continue;
+    }
+
+    const heading = matchHeading(line);
+    if (heading && !(section === 'activities' && FIELD.test(line))) {
+      section = heading.section;
+      current = null;
+      if (heading.rest && section === 'activities' && !heading.numbered) {
+        // "Activities: Robotics; Debate" lists one activity per item
+        heading.rest.split(/[,;]\s*/).forEach(item => addEntry([item]));
+      } else if (heading.rest && section !== 'other') {
+        current = addEntry([heading.rest]);
+      }
+      continue;
+    }
+
+    if (section === 'other') {
+      continue;
+    }
+
+    const isBullet = BULLET.test(line);
+    const content = line.replace(BULLET, '').trim();
+    const field = FIELD.exec(content);
+
+    if (section !== 'activities') {
+      // Awards, courses and skills are one item per line; a labeled line such
+      // as "Level of recognition: National" belongs to the award above it
+      const last = entries[entries.length - 1];
+      if (field && section === 'awards' && last?.section === 'awards') {
+        last.fields[field[1]!.toLowerCase()] = field[2]!.trim();
+      } else {
+        addEntry([content]);
+      }
+      continue;
+    }
+
+    const numbered = NUMBERED.exec(line);
+
+    if (numbered) {
+      current = addEntry([line.slice(numbered[0].length).trim()].filter(Boolean));
+    } else if (field) {
+      current = current || addEntry([]);
+      current.fields[field[1]!.toLowerCase()] = field[2]!.trim();
+    } else if (current && !isBullet && (HOURS_PER_WEEK.test(content) || WEEKS_PER_YEAR.test(content))) {
+      current.fields['time commitment'] = content;
+    } else if (current && isBullet) {
+      current.details.push(content);
+    } else if (current && current.fields.description !== undefined) {
+      current.fields.description = `${current.fields.description} ${content}`.trim();
+    } else if (current && current.details.length === 0 && current.headerLines.length === 1 &&
+        !takeTiming(current.headerLines[0]!).startDate && !GRADES.test(current.headerLines[0]!) &&
+        (SINGLE_DATE.test(content) || GRADES.test(content))) {
+      // A second header line carrying the organization and dates or grades
+      current.headerLines.push(content);
+    } else {
+      current = addEntry([content]);
+    }
+  }
+
+  for (const entry of entries) {
+    if (entry.section === 'activities') {
+      const activity = toActivity(entry);
+      if (activity) parsed.activities.push(activity);
+    } else if (entry.section === 'awards') {
+      const award = toAward(entry.headerLines.join(' '));
+      if (award) {
+        const level = entry.fields['level of recognition'] || entry.fields.level;
+        const parsedLevel = level && parseAwardLevel(level);
+        const grades = entry.fields['grade levels'] || entry.fields['grade level'] || entry.fields.grades;
+        const parsedGrades = grades && parseGrades(grades);
+        parsed.awards.push({
+          ...award,
+          ...(parsedLevel && { level: parsedLevel }),
+          ...(parsedGrades && { grades: parsedGrades })
+        });
+      }
+    } else if (entry.section === 'courses') {
+      splitList(entry.headerLines.join(' ')).forEach(item => {
+        const course = toCourse(item);
+        if (course) parsed.courses.push(course);
+      });
+    } else if (entry.section === 'education') {
+      // Only course lists and leveled courses; school names and GPAs are not courses
+      const line = entry.headerLines.join(' ');
+      const isCourseList = /^(?:relevant |ap |ib |honors )?(?:course ?work|courses|classes)\s*:/i.test(line);
+      splitList(line).forEach(item => {
+        const course = toCourse(item);
+        if (course && (isCourseList || course.level)) parsed.courses.push(course);
+      });
+    } else if (entry.section === 'skills') {
+      parsed.skills.push(...splitList(entry.headerLines.join(' ')).filter(skill => skill.length <= 60));
+    }
+  }
+
+  const unique = <T>(items: T[], key: (item: T) => string) =>
+    items.filter((item, index) => items.findIndex(other => key(other).toLowerCase() === key(item).toLowerCase()) === index);
+
+  return {
+    documentType,
+    activities: parsed.activities.slice(0, PROFILE_EXTRACTION_LIMITS.ACTIVITIES),
+    awards: unique(parsed.awards, award => award.title).slice(0, PROFILE_EXTRACTION_LIMITS.AWARDS),
+    courses: unique(parsed.courses, course => course.name).slice(0, PROFILE_EXTRACTION_LIMITS.COURSES),
+    skills: unique(parsed.skills, skill => skill).slice(0, PROFILE_EXTRACTION_LIMITS.SKILLS)
+  };
+}
+
+/**
+ * Parses a document's text into a new, unreviewed profile extraction
+ *
+ * @param {string} text - Extracted document text
+ * @returns {IProfileExtraction} Parsed data waiting for the student's review
+ */
+export function buildProfileExtraction(text: string): IProfileExtraction {
+  return {
+    ...parseProfileDocument(text),
+    importStatus: PROFILE_IMPORT_STATUS.PENDING,
+    extractedAt: new Date()
+  };
+}
+
+/**
+ * Gets a file's profile extraction, parsing files processed before parsing existed
+ *
+ * @param {IUploadedFile} file - Processed file
+ * @returns {Promise<IProfileExtraction | null>} The extraction, or null without extracted text
+ */
+export async function ensureProfileExtraction(file: IUploadedFile): Promise<IProfileExtraction | null> {
+  if (file.profileExtraction) {
+    return file.profileExtraction;
+  }
+  if (!file.extractedText) {
+    return null;
+  }
+
+  file.profileExtraction = buildProfileExtraction(file.extractedText);
+  await file.save();
+  return file.profileExtraction;
+}
+
+/**
+ * Formats an activity as a profile extracurricular, e.g.
+ * "Captain, Robotics Team (Lincoln High School)"
+ *
+ * @param {IExtractedActivity} activity - Parsed activity
+ * @returns {string} Profile entry
+ */
+export function formatActivity(activity: IExtractedActivity): string {
+  const name = activity.role ? `${activity.role}, ${activity.name}` : activity.name;
+  const entry = activity.organization ? `${name} (${activity.organization})` : name;
+  return entry.slice(0, PROFILE_LIST_LIMITS.extracurriculars.maxLength);
+}
+
+/**
+ * Removes entries the list already has, ignoring case
+ */
+function notListed(entries: string[], listed: string[] = []): string[] {
+  const seen = new Set(listed.map(entry => entry.toLowerCase()));
+  return entries.filter(entry => {
+    const key = entry.toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Suggests profile entries from parsed data that the profile does not list yet
+ * Activities become extracurriculars; skills become strengths.
+ *
+ * @param {IParsedProfile} extraction - Parsed profile data
+ * @param {Pick<IUser, 'extracurriculars' | 'strengths'>} user - Current profile
+ * @returns {IProfileSuggestions} Entries to offer for review
+ */
+export function getProfileSuggestions(
+  extraction: IParsedProfile,
+  user: Pick<IUser, 'extracurriculars' | 'strengths'>
+): IProfileSuggestions {
+  return {
+    extracurriculars: notListed(extraction.activities.map(formatActivity), user.extracurriculars),
+    strengths: notListed(
+      extraction.skills.filter(skill => skill.length <= PROFILE_LIST_LIMITS.strengths.maxLength),
+      user.strengths
+    )
+  };
+}
+
+/**
+ * Adds the entries a student chose to their profile and records the review
+ * Entries may have been edited during review; they are added as given, after
+ * those already listed. Nothing is saved if either list would exceed its limit.
+ *
+ * @param {IUploadedFile} file - File the suggestions came from, parsed if it was not yet
+ * @param {IUser} user - Owner of the file
+ * @param {IProfileImportSelection} selection - Validated entries to add
+ * @returns {Promise<IProfileImportResult>} Entries added, or why nothing was
+ */
+export async function importProfileSelection(
+  file: IUploadedFile,
+  user: IUser,
+  selection: IProfileImportSelection
+): Promise<IProfileImportResult> {
+  const extraction = await ensureProfileExtraction(file);
+  if (!extraction) {
+    return { success: false, errorCode: PROFILE_IMPORT_ERROR_CODES.NOTHING_TO_IMPORT };
+  }
+
+  const added: IProfileSuggestions = {
+    extracurriculars: notListed(selection.extracurriculars || [], user.extracurriculars),
+    strengths: notListed(selection.strengths || [], user.strengths)
+  };
+
+  for (const field of ['extracurriculars', 'strengths'] as const) {
+    if ((user[field] || []).length + added[field].length > PROFILE_LIST_LIMITS[field].maxItems) {
+      return { success: false, errorCode: PROFILE_IMPORT_ERROR_CODES.LIST_FULL, field };
+    }
+  }
+
+  const profile: IProfileSuggestions = {
+    extracurriculars: [...(user.extracurriculars || []), ...added.extracurriculars],
+    strengths: [...(user.strengths || []), ...added.strengths]
+  };
+
+  const hasAdditions = added.extracurriculars.length > 0 || added.strengths.length > 0;
+  if (hasAdditions) {
+    await User.updateOne({ _id: user._id }, { $set: profile }, { runValidators: true });
+  }
+
+  extraction.importStatus = hasAdditions ? PROFILE_IMPORT_STATUS.MERGED : PROFILE_IMPORT_STATUS.DISMISSED;
+  extraction.reviewedAt = new Date();
+  await file.save();
+
+  return { success: true, added, profile };
+}
+
+export default {
+  parseProfileDocument,
+  buildProfileExtraction,
+  ensureProfileExtraction,
+  formatActivity,
+  getProfileSuggestions,
+  importProfileSelection,
+  PROFILE_EXTRACTION_LIMITS,
+  PROFILE_IMPORT_ERROR_CODES
+};
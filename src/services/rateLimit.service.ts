@@ -0,0 +1,206 @@
+/**
+ * AI Interview Coach Backend - Rate Limit Service
+ *
+ * This file implements request rate limits with a sliding window: a key may
+ * make at most `max` requests in any `windowMs` period, counted from the
+ * times of its earlier requests rather than from fixed clock boundaries.
+ * Limits are kept per route group (chat turns, rating generation,
+ * transcription, uploads, login, account emails, password resets) and per
+ * caller.
+ *
+ * Key Features:
+ * - Sliding-window log: no burst of twice the limit across a window boundary
+ * - In-memory store with periodic cleanup of idle keys
+ * - Per-group defaults, overridable with the RATE_LIMITS environment variable
+ * - Refused requests are not counted, so waiting Retry-After always helps
+ * - A request can be counted under several keys at once (IP address and email)
+ *
+ * Counts live in the server process; with several instances behind a load
+ * balancer each instance applies the limit separately.
+ *
+ * Related Files:
+ * - src/middleware/rateLimit.ts - Express middleware and rate-limit headers
+ * - src/services/validation.service.ts - validateRateLimit for ad hoc checks
+ * - src/routes/chat.routes.ts, session.routes.ts, upload.routes.ts, auth.routes.ts - Limited routes
+ *
+ * Task: Generic rate-limiting middleware with sliding windows
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+/**
+ * Route groups that share a rate limit
+ */
+export const RATE_LIMIT_GROUPS = {
+  CHAT: 'chat',
+  RATING: 'rating',
+  TRANSCRIPTION: 'transcription',
+  UPLOAD: 'upload',
+  LOGIN: 'login',
+  ACCOUNT_EMAIL: 'accountEmail',
+  PASSWORD_RESET: 'passwordReset'
+} as const;
+
+export type RateLimitGroup = typeof RATE_LIMIT_GROUPS[keyof typeof RATE_LIMIT_GROUPS];
+
+/**
+ * Error code returned with 429 responses
+ */
+export const RATE_LIMIT_ERROR_CODE = 'RATE_LIMIT_EXCEEDED';
+
+/**
+ * Interface for a rate-limit policy
+ */
+export interface IRateLimitPolicy {
+  max: number; // Requests allowed within the window
+  windowMs: number; // Length of the sliding window
+}
+
+/**
+ * Default policies per route group
+ * Chat is counted per turn; rating, transcription and uploads are heavier and
+ * counted over longer windows. Login is counted per IP address, next to the
+ * per-account lockout in loginThrottle.service.ts. Account emails (password
+ * reset links, verification links) are counted per IP address and per
+ * recipient, and reset-token submissions per IP address.
+ */
+export const DEFAULT_RATE_LIMITS: Record<RateLimitGroup, IRateLimitPolicy> = {
+  [RATE_LIMIT_GROUPS.CHAT]: { max: 30, windowMs: 60 * 1000 },
+  [RATE_LIMIT_GROUPS.RATING]: { max: 20, windowMs: 60 * 60 * 1000 },
+  [RATE_LIMIT_GROUPS.TRANSCRIPTION]: { max: 30, windowMs: 60 * 60 * 1000 },
+  [RATE_LIMIT_GROUPS.UPLOAD]: { max: 20, windowMs: 10 * 60 * 1000 },
+  [RATE_LIMIT_GROUPS.LOGIN]: { max: 50, windowMs: 15 * 60 * 1000 },
+  [RATE_LIMIT_GROUPS.ACCOUNT_EMAIL]: { max: 10, windowMs: 60 * 60 * 1000 },
+  [RATE_LIMIT_GROUPS.PASSWORD_RESET]: { max: 20, windowMs: 15 * 60 * 1000 }
+};
+
+/**
+ * Interface for the outcome of a rate-limit check
+ */
+export interface IRateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number; // Requests left in the current window, after this one
+  resetSeconds: number; // Seconds until the oldest counted request leaves the window
+  retryAfterSeconds?: number; // Set when refused
+}
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Times of the counted requests per key, oldest first
+const hitsByKey = new Map<string, { hits: number[]; windowMs: number }>();
+let lastSweep = Date.now();
+
+/**
+ * Returns the policy for a route group with RATE_LIMITS applied
+ * RATE_LIMITS is JSON such as {"chat": {"max": 60, "windowSeconds": 60}}; a
+ * max of 0 turns the group's limit off.
+ *
+ * @param {RateLimitGroup} group - Route group
+ * @returns {IRateLimitPolicy | null} Policy, or null if the group is not limited
+ */
+export function getRateLimitPolicy(group: RateLimitGroup): IRateLimitPolicy | null {
+  const policy = { ...DEFAULT_RATE_LIMITS[group] };
+  const overrides = process.env.RATE_LIMITS;
+
+  if (overrides) {
+    try {
+      const override = JSON.parse(overrides)[group];
+
+      if (override && Number.isInteger(override.max) && override.max >= 0) {
+        policy.max = override.max;
+      }
+      if (override && Number.isFinite(override.windowSeconds) && override.windowSeconds > 0) {
+        policy.windowMs = override.windowSeconds * 1000;
+      }
+    } catch (error) {
+      console.warn('Ignoring RATE_LIMITS: it is not valid JSON');
+    }
+  }
+
+  return policy.max > 0 ? policy : null;
+}
+
+/**
+ * Removes keys with no requests left in their window
+ */
+function sweepIdleKeys(now: number): void {
+  for (const [key, entry] of hitsByKey) {
+    const newest = entry.hits[entry.hits.length - 1];
+    if (newest === undefined || newest <= now - entry.windowMs) {
+      hitsByKey.delete(key);
+    }
+  }
+  lastSweep = now;
+}
+
+/**
+ * Counts a request against one or more keys if it is within the limit for all of them
+ * A request refused under any key is counted under none, and the result
+ * describes the most constrained key.
+ *
+ * @param {string | string[]} keys - Caller key, for example "chat:user:<id>", or several
+ * @param {IRateLimitPolicy} policy - Limit to apply to each key
+ * @param {number} now - Current time in milliseconds
+ * @returns {IRateLimitResult} Whether the request is allowed, with header values
+ *
+ * @example
+ * ```typescript
+ * const result = consumeRateLimit(`upload:user:${userId}`, { max: 10, windowMs: 60000 });
+ * if (!result.allowed) {
+ *   res.set('Retry-After', String(result.retryAfterSeconds));
+ * }
+ * ```
+ */
+export function consumeRateLimit(keys: string | string[], policy: IRateLimitPolicy, now: number = Date.now()): IRateLimitResult {
+  if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+    sweepIdleKeys(now);
+  }
+
+  const entries = (Array.isArray(keys) ? keys : [keys]).map(key => {
+    const entry = hitsByKey.get(key) || { hits: [], windowMs: policy.windowMs };
+    entry.windowMs = policy.windowMs;
+    entry.hits = entry.hits.filter(time => time > now - policy.windowMs);
+    hitsByKey.set(key, entry);
+    return entry;
+  });
+
+  const allowed = entries.every(entry => entry.hits.length < policy.max);
+  if (allowed) {
+    entries.forEach(entry => entry.hits.push(now));
+  }
+
+  // The fullest key decides what is left; the longest wait decides when to retry
+  const counted = Math.max(...entries.map(entry => entry.hits.length));
+  const resetSeconds = Math.max(...entries
+    .filter(entry => entry.hits.length === counted)
+    .map(entry => Math.max(1, Math.ceil(((entry.hits[0] ?? now) + policy.windowMs - now) / 1000))));
+
+  return {
+    allowed,
+    limit: policy.max,
+    remaining: Math.max(0, policy.max - counted),
+    resetSeconds,
+    ...(!allowed && { retryAfterSeconds: resetSeconds })
+  };
+}
+
+/**
+ * Clears counted requests for one key, or for every key
+ *
+ * @param {string} key - Caller key; omit to clear all
+ */
+export function resetRateLimits(key?: string): void {
+  if (key === undefined) {
+    hitsByKey.clear();
+  } else {
+    hitsByKey.delete(key);
+  }
+}
+
+export default {
+  getRateLimitPolicy,
+  consumeRateLimit,
+  resetRateLimits
+};
@@ -0,0 +1,370 @@
+/**
+ * AI Interview Coach Backend - Realtime Service
+ *
+ * This service pushes events to signed-in clients over a WebSocket at
+ * /api/ws, so the frontend learns about finished uploads, ratings and session
+ * feedback as they happen instead of polling for them.
+ *
+ * Protocol:
+ * 1. The client connects to /api/ws and sends
+ *    { "type": "authenticate", "token": "<access token>" } within 10 seconds
+ * 2. The server replies { "type": "authenticated", "userId": "..." }, or an
+ *    error message and close code 4001
+ * 3. The server sends { "type": "<event>", "data": {...}, "timestamp": "..." }
+ *    for the user's events until the access token expires; the connection is
+ *    then closed with code 4001 and the client reconnects with a fresh token
+ * 4. Revoking all of a user's sessions closes their connections with code
+ *    4001 at once
+ *
+ * Key Features:
+ * - Access tokens checked like authenticateToken: type, revocation, active user
+ * - Every connection of a user receives their events
+ * - A user's connections closed when all their sessions are revoked
+ * - Heartbeat pings to drop dead connections
+ * - Events are delivered by the process that publishes them; clients poll
+ *   slowly as a fallback for events from other processes
+ *
+ * Related Files:
+ * - src/services/jobQueue.service.ts - Job progress events
+ * - src/services/jobHandlers.service.ts - File status and rating events
+ * - src/models/SessionRecording.ts - Session processing status events
+ * - src/services/voicePreference.service.ts - Voice preference changes
+ * - src/services/tokenRevocation.service.ts - Closes connections on logout of all devices
+ * - src/index.ts - Attaches the WebSocket server to the HTTP server
+ *
+ * Task: Real-time job and interview events over WebSocket
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Server as HttpServer, IncomingMessage } from 'http';
+import { Duplex } from 'stream';
+import { Types } from 'mongoose';
+import { WebSocketServer, WebSocket, RawData } from 'ws';
+import User from '../models/User';
+import { verifyToken, isAccessToken } from './auth.service';
+import { isTokenRevoked } from './tokenRevocation.service';
+
+/**
+ * Path clients connect to
+ */
+export const REALTIME_PATH = '/api/ws';
+
+/**
+ * Events pushed to clients
+ */
+export const REALTIME_EVENTS = {
+  JOB_UPDATED: 'job.updated',
+  FILE_STATUS: 'file.status',
+  RATING_COMPLETED: 'rating.completed',
+  RATING_FAILED: 'rating.failed',
+  SESSION_STATUS: 'session.status',
+  VOICE_PREFERENCES: 'voice.preferences'
+} as const;
+
+export type RealtimeEventType = typeof REALTIME_EVENTS[keyof typeof REALTIME_EVENTS];
+
+/**
+ * Close codes sent by the server
+ */
+export const REALTIME_CLOSE_CODES = {
+  UNAUTHORIZED: 4001, // Missing, invalid, revoked or expired token
+  AUTH_TIMEOUT: 4008 // No authenticate message in time
+} as const;
+
+/**
+ * Time allowed for the authenticate message after connecting
+ */
+export const REALTIME_AUTH_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Interval between heartbeat pings
+ */
+export const REALTIME_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Interface for an event sent to clients
+ */
+export interface IRealtimeEvent<T = Record<string, unknown>> {
+  type: RealtimeEventType;
+  data: T;
+  timestamp: string;
+}
+
+/**
+ * Interface for a verified socket token
+ */
+export interface ISocketIdentity {
+  userId: string;
+  expiresAt: Date | null;
+}
+
+// Open, authenticated connections per user
+const connections = new Map<string, Set<WebSocket>>();
+
+// Connections pinged since their last pong
+const awaitingPong = new WeakSet<WebSocket>();
+
+let realtimeServer: WebSocketServer | null = null;
+let heartbeatTimer: NodeJS.Timeout | null = null;
+
+/**
+ * Verifies an access token sent by a socket
+ *
+ * @param {string} token - Access token
+ * @returns {Promise<ISocketIdentity | null>} The user and token expiry, or null if the token is not accepted
+ */
+export async function authenticateSocketToken(token: unknown): Promise<ISocketIdentity | null> {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const verificationResult = verifyToken(token);
+  if (!verificationResult.isValid || !verificationResult.payload || !isAccessToken(verificationResult.payload)) {
+    return null;
+  }
+
+  const payload = verificationResult.payload;
+  if (await isTokenRevoked(payload)) {
+    return null;
+  }
+
+  const user = await User.findById(payload.userId).select('isActive');
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  return {
+    userId: (user._id as Types.ObjectId).toString(),
+    expiresAt: payload.exp ? new Date(payload.exp * 1000) : null
+  };
+}
+
+/**
+ * Sends an event to every open connection of a user
+ *
+ * @param {Types.ObjectId | string} userId - Recipient
+ * @param {RealtimeEventType} type - Event type
+ * @param {Object} data - Event data
+ * @returns {number} Number of connections the event was sent to
+ */
+export function publishToUser<T extends object>(
+  userId: Types.ObjectId | string,
+  type: RealtimeEventType,
+  data: T
+): number {
+  const sockets = connections.get(userId.toString());
+  if (!sockets) {
+    return 0;
+  }
+
+  const message = JSON.stringify({ type, data, timestamp: new Date().toISOString() });
+  let sent = 0;
+  sockets.forEach(socket => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(message);
+      sent += 1;
+    }
+  });
+  return sent;
+}
+
+/**
+ * Counts open connections, for one user or in total
+ *
+ * @param {string} userId - Optional user
+ * @returns {number} Number of authenticated connections
+ */
+export function getConnectionCount(userId?: Types.ObjectId | string): number {
+  if (userId) {
+    return connections.get(userId.toString())?.size ?? 0;
+  }
+  let total = 0;
+  connections.forEach(sockets => { total += sockets.size; });
+  return total;
+}
+
+/**
+ * Sends an error message and closes the socket
+ */
+function rejectSocket(socket: WebSocket, code: number, message: string): void {
+  if (socket.readyState === WebSocket.OPEN) {
+    const errorCode = code === REALTIME_CLOSE_CODES.AUTH_TIMEOUT ? 'AUTH_TIMEOUT' : 'UNAUTHORIZED';
+    socket.send(JSON.stringify({ type: 'error', code: errorCode, message }));
+  }
+  socket.close(code, message);
+}
+
+/**
+ * Closes every open connection of a user
+ * Only connections to this process are closed; those on other processes are
+ * closed when their access token expires.
+ *
+ * @param {Types.ObjectId | string} userId - User whose connections to close
+ * @param {string} message - Reason sent to the client before closing
+ * @returns {number} Number of connections closed
+ */
+export function closeUserConnections(
+  userId: Types.ObjectId | string,
+  message: string = 'Session revoked'
+): number {
+  const sockets = connections.get(userId.toString());
+  if (!sockets) {
+    return 0;
+  }
+
+  const closed = sockets.size;
+  [...sockets].forEach(socket => rejectSocket(socket, REALTIME_CLOSE_CODES.UNAUTHORIZED, message));
+  connections.delete(userId.toString());
+  return closed;
+}
+
+/**
+ * Handles one client connection: authentication, heartbeat and cleanup
+ */
+function handleConnection(socket: WebSocket): void {
+  let userId: string | null = null;
+  let expiryTimer: NodeJS.Timeout | null = null;
+
+  const authTimer = setTimeout(() => {
+    rejectSocket(socket, REALTIME_CLOSE_CODES.AUTH_TIMEOUT, 'Authentication timed out');
+  }, REALTIME_AUTH_TIMEOUT_MS);
+
+  const untrack = () => {
+    if (!userId) {
+      return;
+    }
+    const sockets = connections.get(userId);
+    sockets?.delete(socket);
+    if (sockets && sockets.size === 0) {
+      connections.delete(userId);
+    }
+  };
+
+  socket.on('pong', () => awaitingPong.delete(socket));
+
+  socket.on('message', async (raw: RawData) => {
+    let message: any;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      return; // Ignore anything that is not JSON
+    }
+
+    if (message?.type === 'ping') {
+      socket.send(JSON.stringify({ type: 'pong' }));
+      return;
+    }
+
+    if (message?.type !== 'authenticate') {
+      return;
+    }
+
+    try {
+      const identity = await authenticateSocketToken(message.token);
+      if (!identity || (userId && identity.userId !== userId)) {
+        rejectSocket(socket, REALTIME_CLOSE_CODES.UNAUTHORIZED, 'Invalid or expired access token');
+        return;
+      }
+
+      clearTimeout(authTimer);
+      userId = identity.userId;
+      if (!connections.has(userId)) {
+        connections.set(userId, new Set());
+      }
+      connections.get(userId)!.add(socket);
+
+      // Close when the token expires; sending a fresh token first keeps the connection
+      if (expiryTimer) {
+        clearTimeout(expiryTimer);
+      }
+      if (identity.expiresAt) {
+        expiryTimer = setTimeout(() => {
+          rejectSocket(socket, REALTIME_CLOSE_CODES.UNAUTHORIZED, 'Access token expired');
+        }, Math.max(identity.expiresAt.getTime() - Date.now(), 0));
+        expiryTimer.unref();
+      }
+
+      socket.send(JSON.stringify({ type: 'authenticated', userId }));
+    } catch (error) {
+      console.error('Error authenticating WebSocket connection:', error);
+      rejectSocket(socket, REALTIME_CLOSE_CODES.UNAUTHORIZED, 'Authentication failed');
+    }
+  });
+
+  socket.on('close', () => {
+    clearTimeout(authTimer);
+    if (expiryTimer) {
+      clearTimeout(expiryTimer);
+    }
+    untrack();
+  });
+
+  socket.on('error', error => {
+    console.error('WebSocket error:', error);
+  });
+}
+
+/**
+ * Accepts WebSocket connections at REALTIME_PATH on an HTTP server
+ *
+ * @param {HttpServer} server - The server Express listens on
+ * @returns {WebSocketServer} The WebSocket server
+ */
+export function attachRealtimeServer(server: HttpServer): WebSocketServer {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (request: IncomingMessage, socket: Duplex, head: Buffer) => {
+    const { pathname } = new URL(request.url || '/', 'http://localhost');
+    if (pathname !== REALTIME_PATH) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(request, socket, head, client => wss.emit('connection', client, request));
+  });
+
+  wss.on('connection', handleConnection);
+
+  // Drop connections that did not answer the previous ping
+  heartbeatTimer = setInterval(() => {
+    wss.clients.forEach(client => {
+      if (awaitingPong.has(client)) {
+        client.terminate();
+        return;
+      }
+      awaitingPong.add(client);
+      client.ping();
+    });
+  }, REALTIME_HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref(); // Never keep the process alive just for the heartbeat
+
+  realtimeServer = wss;
+  return wss;
+}
+
+/**
+ * Closes every connection and stops accepting new ones
+ */
+export function closeRealtimeServer(): void {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+  realtimeServer?.clients.forEach(client => client.close(1001, 'Server shutting down'));
+  realtimeServer?.close();
+  realtimeServer = null;
+  connections.clear();
+}
+
+/**
+ * Default export object containing all realtime utilities
+ */
+export default {
+  authenticateSocketToken,
+  publishToUser,
+  getConnectionCount,
+  closeUserConnections,
+  attachRealtimeServer,
+  closeRealtimeServer
+};
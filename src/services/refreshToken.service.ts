@@ -0,0 +1,320 @@
+/**
+ * AI Interview Coach Backend - Refresh Token Service
+ *
+ * This file implements persistence and rotation of refresh tokens. Each login
+ * issues a refresh token bound to a user and device; every refresh revokes the
+ * presented token and issues a replacement. Presenting a token that was already
+ * rotated is treated as token theft and revokes the device's session.
+ *
+ * Key Features:
+ * - Refresh token issuance per user/device
+ * - Single-use rotation with atomic claim of the presented token
+ * - Reuse detection that revokes the compromised device session
+ * - Revocation helpers for logout flows
+ *
+ * Related Files:
+ * - src/services/auth.service.ts - JWT generation, verification and hashing
+ * - src/models/RefreshToken.ts - Persisted refresh tokens
+ * - src/routes/auth.routes.ts - Login, register and refresh endpoints
+ *
+ * Task: Refresh-token rotation endpoint
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Types } from 'mongoose';
+import {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  hashToken,
+  ITokenResult
+} from './auth.service';
+import RefreshToken, { REVOCATION_REASONS, RevocationReason } from '../models/RefreshToken';
+import User, { IUser } from '../models/User';
+
+/**
+ * Error codes returned when a refresh attempt is rejected
+ */
+export const REFRESH_ERROR_CODES = {
+  INVALID: 'REFRESH_TOKEN_INVALID',
+  REVOKED: 'REFRESH_TOKEN_REVOKED',
+  REUSED: 'REFRESH_TOKEN_REUSED',
+  USER_INACTIVE: 'USER_INACTIVE'
+} as const;
+
+export type RefreshErrorCode = typeof REFRESH_ERROR_CODES[keyof typeof REFRESH_ERROR_CODES];
+
+/**
+ * Interface describing the client device a token is issued to
+ */
+export interface IDeviceContext {
+  deviceId: string;
+  userAgent?: string | undefined;
+  ipAddress?: string | undefined;
+}
+
+/**
+ * Interface for an issued refresh token
+ */
+export interface IIssuedRefreshToken {
+  token: string;
+  tokenId: string;
+  expiresAt: Date;
+}
+
+/**
+ * Interface for a full token pair returned to the client
+ */
+export interface ITokenPair {
+  accessToken: ITokenResult;
+  refreshToken: IIssuedRefreshToken;
+}
+
+/**
+ * Interface for the result of a refresh attempt
+ */
+export interface IRotationResult {
+  success: boolean;
+  tokens?: ITokenPair;
+  user?: IUser;
+  errorCode?: RefreshErrorCode;
+}
+
+/**
+ * Issues and persists a refresh token for a user on a device
+ * Any token previously issued to the same device is revoked so each
+ * device holds a single active session.
+ *
+ * @param {string} userId - The user's unique identifier
+ * @param {string} email - The user's email address
+ * @param {IDeviceContext} device - Client device information
+ * @returns {Promise<IIssuedRefreshToken>} The raw refresh token and its metadata
+ *
+ * @example
+ * ```typescript
+ * const refresh = await issueRefreshToken(userId, user.email, { deviceId: 'abc123' });
+ * res.json({ refreshToken: refresh.token, refreshTokenExpiresAt: refresh.expiresAt });
+ * ```
+ */
+export async function issueRefreshToken(
+  userId: string,
+  email: string,
+  device: IDeviceContext
+): Promise<IIssuedRefreshToken> {
+  await RefreshToken.revokeForDevice(userId, device.deviceId, REVOCATION_REASONS.ROTATED);
+
+  const refreshResult = generateRefreshToken(userId, email);
+
+  await RefreshToken.create({
+    userId: new Types.ObjectId(userId),
+    tokenId: refreshResult.tokenId,
+    tokenHash: hashToken(refreshResult.token),
+    deviceId: device.deviceId,
+    ...(device.userAgent && { userAgent: device.userAgent.substring(0, 500) }),
+    ...(device.ipAddress && { ipAddress: device.ipAddress }),
+    expiresAt: refreshResult.expiresAt
+  });
+
+  return {
+    token: refreshResult.token,
+    tokenId: refreshResult.tokenId,
+    expiresAt: refreshResult.expiresAt
+  };
+}
+
+/**
+ * Issues a new access token and refresh token for a user
+ *
+ * @param {string} userId - The user's unique identifier
+ * @param {string} email - The user's email address
+ * @param {IDeviceContext} device - Client device information
+ * @returns {Promise<ITokenPair>} Access and refresh tokens
+ */
+export async function issueTokenPair(
+  userId: string,
+  email: string,
+  device: IDeviceContext
+): Promise<ITokenPair> {
+  const accessToken = generateToken(userId, email);
+  const refreshToken = await issueRefreshToken(userId, email, device);
+  return { accessToken, refreshToken };
+}
+
+/**
+ * Exchanges a refresh token for a new token pair
+ *
+ * The presented token is claimed atomically so it can only be used once.
+ * If an already-rotated token is presented again, every token for that
+ * device is revoked and the client must log in again.
+ *
+ * @param {string} rawToken - The refresh token presented by the client
+ * @param {IDeviceContext} device - Client device information
+ * @returns {Promise<IRotationResult>} New tokens or a rejection code
+ *
+ * @example
+ * ```typescript
+ * const result = await rotateRefreshToken(req.body.refreshToken, { deviceId });
+ * if (!result.success) {
+ *   return res.status(401).json({ code: result.errorCode });
+ * }
+ * ```
+ */
+export async function rotateRefreshToken(
+  rawToken: string,
+  device: IDeviceContext
+): Promise<IRotationResult> {
+  const verification = verifyRefreshToken(rawToken);
+
+  if (!verification.isValid || !verification.payload?.jti) {
+    return { success: false, errorCode: REFRESH_ERROR_CODES.INVALID };
+  }
+
+  const { userId, email, jti } = verification.payload;
+  const storedToken = await RefreshToken.findOne({ tokenId: jti });
+
+  if (!storedToken || storedToken.tokenHash !== hashToken(rawToken)) {
+    return { success: false, errorCode: REFRESH_ERROR_CODES.INVALID };
+  }
+
+  if (storedToken.revokedAt) {
+    if (storedToken.revokedReason === REVOCATION_REASONS.ROTATED) {
+      // A rotated token was replayed: assume it leaked and end the device session
+      await RefreshToken.revokeForDevice(storedToken.userId, storedToken.deviceId, REVOCATION_REASONS.REUSE_DETECTED);
+      console.warn('Refresh token reuse detected:', {
+        timestamp: new Date().toISOString(),
+        userId: storedToken.userId.toString(),
+        deviceId: storedToken.deviceId,
+        ip: device.ipAddress
+      });
+      return { success: false, errorCode: REFRESH_ERROR_CODES.REUSED };
+    }
+
+    return { success: false, errorCode: REFRESH_ERROR_CODES.REVOKED };
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeAllForUser(userId, REVOCATION_REASONS.LOGOUT_ALL);
+    return { success: false, errorCode: REFRESH_ERROR_CODES.USER_INACTIVE };
+  }
+
+  // Claim the presented token; a concurrent request using the same token loses
+  const claimedToken = await RefreshToken.findOneAndUpdate(
+    { _id: storedToken._id, revokedAt: { $exists: false } },
+    {
+      $set: {
+        revokedAt: new Date(),
+        revokedReason: REVOCATION_REASONS.ROTATED,
+        lastUsedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimedToken) {
+    return { success: false, errorCode: REFRESH_ERROR_CODES.REUSED };
+  }
+
+  const accessToken = generateToken(userId, user.email || email);
+  const refreshResult = generateRefreshToken(userId, user.email || email);
+
+  await RefreshToken.create({
+    userId: storedToken.userId,
+    tokenId: refreshResult.tokenId,
+    tokenHash: hashToken(refreshResult.token),
+    deviceId: storedToken.deviceId,
+    ...(device.userAgent && { userAgent: device.userAgent.substring(0, 500) }),
+    ...(device.ipAddress && { ipAddress: device.ipAddress }),
+    expiresAt: refreshResult.expiresAt
+  });
+
+  claimedToken.replacedByTokenId = refreshResult.tokenId;
+  await claimedToken.save();
+
+  return {
+    success: true,
+    user,
+    tokens: {
+      accessToken,
+      refreshToken: {
+        token: refreshResult.token,
+        tokenId: refreshResult.tokenId,
+        expiresAt: refreshResult.expiresAt
+      }
+    }
+  };
+}
+
+/**
+ * Revokes a single refresh token presented by the client
+ *
+ * @param {string} rawToken - The refresh token to revoke
+ * @param {RevocationReason} reason - Why the token is being revoked
+ * @returns {Promise<boolean>} True if an active token was revoked
+ */
+export async function revokeRefreshToken(
+  rawToken: string,
+  reason: RevocationReason
+): Promise<boolean> {
+  const verification = verifyRefreshToken(rawToken);
+
+  if (!verification.isValid || !verification.payload?.jti) {
+    return false;
+  }
+
+  const result = await RefreshToken.updateOne(
+    {
+      tokenId: verification.payload.jti,
+      tokenHash: hashToken(rawToken),
+      revokedAt: { $exists: false }
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revokes the refresh tokens issued to one of a user's devices
+ *
+ * @param {string | Types.ObjectId} userId - The user's unique identifier
+ * @param {string} deviceId - The device whose session is ending
+ * @param {RevocationReason} reason - Why the tokens are being revoked
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+export async function revokeDeviceRefreshTokens(
+  userId: string | Types.ObjectId,
+  deviceId: string,
+  reason: RevocationReason
+): Promise<number> {
+  return RefreshToken.revokeForDevice(userId, deviceId, reason);
+}
+
+/**
+ * Revokes every refresh token a user holds across all devices
+ *
+ * @param {string | Types.ObjectId} userId - The user's unique identifier
+ * @param {RevocationReason} reason - Why the tokens are being revoked
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+export async function revokeAllRefreshTokens(
+  userId: string | Types.ObjectId,
+  reason: RevocationReason
+): Promise<number> {
+  return RefreshToken.revokeAllForUser(userId, reason);
+}
+
+/**
+ * Default export object containing all refresh token utilities
+ */
+export default {
+  issueRefreshToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeDeviceRefreshTokens,
+  revokeAllRefreshTokens
+};
@@ -0,0 +1,164 @@
+/**
+ * AI Interview Coach Backend - Retention Service
+ *
+ * This file enforces how long interview transcripts are kept. Unrated drafts
+ * expire after DRAFT_TRANSCRIPT_TTL_HOURS; rated transcripts form the
+ * student's interview history and are kept until they are older than the
+ * student's retention period. Students choose that period on their profile;
+ * otherwise RATED_TRANSCRIPT_RETENTION_DAYS applies, and when that is unset
+ * rated transcripts are kept indefinitely.
+ *
+ * Key Features:
+ * - Promotion of rated transcripts that still carry a draft expiry
+ * - Removal of expired drafts
+ * - Per-user and server-wide retention for rated transcripts
+ * - Review comments on removed transcripts are removed with them
+ * - Scheduled job started with the server
+ *
+ * Related Files:
+ * - src/models/InterviewTranscript.ts - Draft expiry and retention bounds
+ * - src/models/User.ts - Per-user transcriptRetentionDays
+ * - src/index.ts - Starts the retention job
+ *
+ * Task: Persist interview transcripts and ratings beyond the 24-hour expiry
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Types } from 'mongoose';
+import InterviewTranscript, { TRANSCRIPT_STATUS } from '../models/InterviewTranscript';
+import ReviewComment, { REVIEW_TARGET_TYPES } from '../models/ReviewComment';
+import User from '../models/User';
+
+/**
+ * Default interval between retention runs
+ */
+export const DEFAULT_RETENTION_INTERVAL_MINUTES = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Interface for the outcome of one retention run
+ */
+export interface IRetentionResult {
+  promoted: number; // Rated transcripts whose draft expiry was cleared
+  expiredDrafts: number; // Unrated drafts removed
+  expiredRated: number; // Rated transcripts removed for exceeding their retention
+}
+
+/**
+ * Reads the server-wide retention for rated transcripts
+ *
+ * @returns {number | null} Days to keep rated transcripts, or null to keep them indefinitely
+ */
+export function getDefaultRetentionDays(): number | null {
+  const days = parseInt(process.env.RATED_TRANSCRIPT_RETENTION_DAYS || '', 10);
+  return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+/**
+ * Clears the draft expiry of rated transcripts so the TTL index keeps them
+ * Covers transcripts rated before rating cleared the expiry itself.
+ *
+ * @returns {Promise<number>} Number of transcripts promoted
+ */
+export async function promoteRatedTranscripts(): Promise<number> {
+  const result = await InterviewTranscript.updateMany(
+    { status: TRANSCRIPT_STATUS.RATED, expiresAt: { $exists: true } },
+    { $unset: { expiresAt: 1 } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Removes rated transcripts matching a filter, along with their review comments
+ *
+ * @returns {Promise<number>} Number of transcripts removed
+ */
+async function removeRatedTranscripts(filter: Record<string, unknown>): Promise<number> {
+  const transcripts = await InterviewTranscript.find({ ...filter, status: TRANSCRIPT_STATUS.RATED }).select('_id');
+  if (transcripts.length === 0) {
+    return 0;
+  }
+
+  const transcriptIds = transcripts.map(transcript => transcript._id as Types.ObjectId);
+  await ReviewComment.deleteMany({ targetType: REVIEW_TARGET_TYPES.TRANSCRIPT, targetId: { $in: transcriptIds } });
+  const result = await InterviewTranscript.deleteMany({ _id: { $in: transcriptIds } });
+  return result.deletedCount;
+}
+
+/**
+ * Runs one pass of the retention policy
+ *
+ * @param {Date} now - Reference time, for tests
+ * @returns {Promise<IRetentionResult>} What was promoted and removed
+ */
+export async function enforceTranscriptRetention(now: Date = new Date()): Promise<IRetentionResult> {
+  const promoted = await promoteRatedTranscripts();
+  const expiredDrafts = await InterviewTranscript.cleanupExpired();
+
+  // Students with their own retention period
+  const users = await User.find({ transcriptRetentionDays: { $exists: true } }).select('_id transcriptRetentionDays');
+  const customized = users.filter(user => typeof user.transcriptRetentionDays === 'number');
+  let expiredRated = 0;
+
+  for (const user of customized) {
+    expiredRated += await removeRatedTranscripts({
+      userId: user._id,
+      createdAt: { $lt: new Date(now.getTime() - user.transcriptRetentionDays! * DAY_MS) }
+    });
+  }
+
+  // Everyone else follows the server default, if there is one
+  const defaultDays = getDefaultRetentionDays();
+  if (defaultDays !== null) {
+    expiredRated += await removeRatedTranscripts({
+      userId: { $nin: customized.map(user => user._id) },
+      createdAt: { $lt: new Date(now.getTime() - defaultDays * DAY_MS) }
+    });
+  }
+
+  return { promoted, expiredDrafts, expiredRated };
+}
+
+/**
+ * Starts running the retention policy on a schedule
+ * The first run happens immediately. Set RETENTION_JOB_INTERVAL_MINUTES to 0
+ * to disable the job (for example when another instance runs it).
+ *
+ * @returns {NodeJS.Timeout | null} The interval timer, or null if disabled
+ */
+export function startRetentionJob(): NodeJS.Timeout | null {
+  const configured = parseInt(process.env.RETENTION_JOB_INTERVAL_MINUTES || '', 10);
+  const minutes = Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_RETENTION_INTERVAL_MINUTES;
+
+  if (minutes === 0) {
+    return null;
+  }
+
+  const run = () => {
+    enforceTranscriptRetention()
+      .then(result => {
+        if (result.promoted + result.expiredDrafts + result.expiredRated > 0) {
+          console.log('🧹 Transcript retention:', result);
+        }
+      })
+      .catch(error => console.error('❌ Transcript retention failed:', error));
+  };
+
+  run();
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref(); // Never keep the process alive just for this job
+  return timer;
+}
+
+/**
+ * Default export object containing all retention utilities
+ */
+export default {
+  getDefaultRetentionDays,
+  promoteRatedTranscripts,
+  enforceTranscriptRetention,
+  startRetentionJob
+};
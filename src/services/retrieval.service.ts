@@ -0,0 +1,500 @@
+/**
+ * AI Interview Coach Backend - Retrieval Service
+ *
+ * This file finds the passages of a user's uploaded documents that are most
+ * relevant to the current interview question. Documents are split into
+ * passages when their text is extracted; at chat time the passages are ranked
+ * with BM25 against the latest question and answer and the best ones are put
+ * into the prompt with numbered citations, so the interviewer can refer to the
+ * right paragraph of the right essay.
+ *
+ * Key Features:
+ * - Paragraph-aware chunking into passages of about CHUNK_TOKENS tokens
+ * - BM25 keyword ranking computed locally, with no external service
+ * - Optional semantic ranking with embeddings (RETRIEVAL_EMBEDDING_MODEL),
+ *   fused with BM25 by reciprocal rank fusion
+ * - Files processed before indexing existed are indexed on first search
+ * - The opening passages of each document when nothing matches the question
+ *
+ * Related Files:
+ * - src/models/DocumentChunk.ts - Stored passages, terms and embeddings
+ * - src/services/contentIntegration.service.ts - Puts retrieved passages into prompts
+ * - src/routes/upload.routes.ts - Indexes files after text extraction
+ * - src/services/llmProvider.service.ts - Embedding provider
+ *
+ * Task: Relevance-ranked retrieval over uploaded documents
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Types } from 'mongoose';
+import DocumentChunk, { IDocumentChunk } from '../models/DocumentChunk';
+import { IUploadedFile } from '../models/UploadedFile';
+import { LLM_USAGE_FEATURES } from '../models/LLMUsage';
+import { getLLMProvider } from './llmProvider.service';
+import { recordLLMUsage, IUsageContext } from './usage.service';
+import { countTokens, truncateToTokens, DEFAULT_TOKENIZER_MODEL } from './tokenizer.service';
+
+/**
+ * Retrieval settings
+ */
+export const RETRIEVAL_DEFAULTS = {
+  CHUNK_TOKENS: 200, // Target passage size
+  TOP_K: 5, // Passages returned per search
+  BM25_K1: 1.2, // Term frequency saturation
+  BM25_B: 0.75, // Document length normalization
+  RRF_K: 60, // Reciprocal rank fusion constant
+  EMBEDDING_BATCH_SIZE: 100
+} as const;
+
+/**
+ * Words too common to help ranking
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been',
+  'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'for', 'from', 'had', 'has',
+  'have', 'having', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'just', 'me', 'more', 'most', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'over', 'she', 'so',
+  'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'to', 'too', 'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Interface for a retrieved passage
+ */
+export interface IRetrievedChunk {
+  fileId: string;
+  fileName: string;
+  chunkIndex: number;
+  text: string;
+  tokenCount: number;
+  score: number; // 0 for opening passages returned when nothing matched
+}
+
+/**
+ * Interface for search options
+ */
+export interface ISearchOptions {
+  topK?: number;
+  usageContext?: IUsageContext; // User the query embedding is metered for
+}
+
+/**
+ * Interface for a cited source in the prompt
+ */
+export interface ICitedSource {
+  citation: number; // The [n] label in the prompt
+  fileId: string;
+  fileName: string;
+  passage: number; // 1-based passage number within the file
+  score: number;
+}
+
+/**
+ * Interface for passages formatted for a prompt
+ */
+export interface ICitedPassages {
+  content: string;
+  tokenCount: number;
+  sources: ICitedSource[];
+}
+
+/**
+ * Gets the embedding model, or null when semantic ranking is off
+ */
+export function getEmbeddingModel(): string | null {
+  return process.env.RETRIEVAL_EMBEDDING_MODEL || null;
+}
+
+/**
+ * Gets the number of passages returned per search
+ */
+function getTopK(): number {
+  const configured = Number(process.env.RETRIEVAL_TOP_K);
+  return Number.isInteger(configured) && configured > 0 ? configured : RETRIEVAL_DEFAULTS.TOP_K;
+}
+
+/**
+ * Splits text into lowercase search terms
+ * Removes accents, stop words and a plural "s", so "Essays" matches "essay".
+ *
+ * @param {string} text - Text to analyze
+ * @returns {string[]} Terms in text order
+ */
+export function analyzeText(text: string): string[] {
+  const words = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+  return words
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Splits a paragraph that is too long into sentence groups, and sentences
+ * that are still too long at token boundaries
+ */
+function splitParagraph(paragraph: string, maxTokens: number): string[] {
+  const pieces: string[] = [];
+
+  for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+    let rest = sentence;
+    while (countTokens(rest) > maxTokens) {
+      const piece = truncateToTokens(rest, maxTokens);
+      if (!piece) {
+        break;
+      }
+      pieces.push(piece);
+      rest = rest.slice(piece.length).trim();
+    }
+    if (rest) {
+      pieces.push(rest);
+    }
+  }
+
+  return packUnits(pieces, maxTokens, ' ');
+}
+
+/**
+ * Joins consecutive units while they fit in maxTokens
+ */
+function packUnits(units: string[], maxTokens: number, separator: string): string[] {
+  const packed: string[] = [];
+  let current = '';
+
+  for (const unit of units) {
+    const candidate = current ? current + separator + unit : unit;
+    if (current && countTokens(candidate) > maxTokens) {
+      packed.push(current);
+      current = unit;
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current) {
+    packed.push(current);
+  }
+  return packed;
+}
+
+/**
+ * Splits document text into passages
+ * Keeps paragraphs together where possible; paragraphs longer than a passage
+ * are split between sentences.
+ *
+ * @param {string} text - Extracted document text
+ * @param {number} maxTokens - Largest passage size
+ * @returns {string[]} Passages in document order
+ */
+export function chunkText(text: string, maxTokens: number = RETRIEVAL_DEFAULTS.CHUNK_TOKENS): string[] {
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph.length > 0)
+    .flatMap(paragraph => (countTokens(paragraph) > maxTokens ? splitParagraph(paragraph, maxTokens) : [paragraph]));
+
+  return packUnits(paragraphs, maxTokens, '\n\n');
+}
+
+/**
+ * Embeds texts in batches and meters the calls
+ */
+async function embedTexts(texts: string[], model: string, usageContext: IUsageContext): Promise<number[][]> {
+  const provider = getLLMProvider();
+  const embeddings: number[][] = [];
+
+  for (let start = 0; start < texts.length; start += RETRIEVAL_DEFAULTS.EMBEDDING_BATCH_SIZE) {
+    const result = await provider.embed(texts.slice(start, start + RETRIEVAL_DEFAULTS.EMBEDDING_BATCH_SIZE), model);
+    embeddings.push(...result.embeddings);
+    await recordLLMUsage({
+      provider: provider.name,
+      feature: LLM_USAGE_FEATURES.EMBEDDING,
+      usage: result.usage,
+      context: usageContext
+    });
+  }
+
+  return embeddings;
+}
+
+/**
+ * Indexes an uploaded file's extracted text, replacing any earlier passages
+ * Embeddings are added when RETRIEVAL_EMBEDDING_MODEL is set; if embedding
+ * fails the passages are still indexed for keyword ranking.
+ *
+ * @param {IUploadedFile} file - File with extracted text
+ * @returns {Promise<IDocumentChunk[]>} The stored passages
+ */
+export async function indexUploadedFile(
+  file: Pick<IUploadedFile, '_id' | 'userId' | 'originalName' | 'extractedText'>
+): Promise<IDocumentChunk[]> {
+  const fileId = file._id as Types.ObjectId;
+  await DocumentChunk.deleteMany({ fileId });
+
+  const passages = chunkText(file.extractedText || '');
+  if (passages.length === 0) {
+    return [];
+  }
+
+  let embeddings: number[][] = [];
+  const embeddingModel = getEmbeddingModel();
+  if (embeddingModel) {
+    try {
+      embeddings = await embedTexts(passages, embeddingModel, { userId: file.userId });
+    } catch (error) {
+      console.error(`Embedding failed for file ${fileId}; indexing for keyword search only:`, error);
+    }
+  }
+
+  const chunks = await DocumentChunk.insertMany(passages.map((text, chunkIndex) => ({
+    userId: file.userId,
+    fileId,
+    fileName: file.originalName,
+    chunkIndex,
+    text,
+    tokenCount: countTokens(text),
+    terms: analyzeText(text),
+    ...(embeddings[chunkIndex] && { embedding: embeddings[chunkIndex], embeddingModel })
+  })));
+
+  console.log(`Indexed ${chunks.length} passages of ${file.originalName}`);
+  return chunks as unknown as IDocumentChunk[];
+}
+
+/**
+ * Removes the passages of a file
+ *
+ * @param {Types.ObjectId | string} fileId - Uploaded file ID
+ * @returns {Promise<number>} Number of passages removed
+ */
+export async function deleteFileChunks(fileId: Types.ObjectId | string): Promise<number> {
+  const result = await DocumentChunk.deleteMany({ fileId: new Types.ObjectId(fileId) });
+  return result.deletedCount;
+}
+
+/**
+ * Loads the passages of the given files, indexing files that have none yet
+ */
+async function loadChunks(files: IUploadedFile[]): Promise<IDocumentChunk[]> {
+  const fileIds = files.map(file => file._id as Types.ObjectId);
+  const chunks: IDocumentChunk[] = await DocumentChunk.find({ fileId: { $in: fileIds } });
+
+  const indexed = new Set(chunks.map(chunk => chunk.fileId.toString()));
+  for (const file of files) {
+    if (!indexed.has(String(file._id)) && file.extractedText) {
+      chunks.push(...await indexUploadedFile(file));
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Scores passages against query terms with BM25
+ */
+function scoreBM25(chunks: IDocumentChunk[], queryTerms: string[]): number[] {
+  const { BM25_K1: k1, BM25_B: b } = RETRIEVAL_DEFAULTS;
+  const averageLength = chunks.reduce((sum, chunk) => sum + chunk.terms.length, 0) / chunks.length || 1;
+  const frequencies = chunks.map(chunk => {
+    const counts = new Map<string, number>();
+    chunk.terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+  });
+
+  const idf = new Map(queryTerms.map(term => {
+    const documentFrequency = frequencies.filter(counts => counts.has(term)).length;
+    return [term, Math.log(1 + (chunks.length - documentFrequency + 0.5) / (documentFrequency + 0.5))];
+  }));
+
+  return chunks.map((chunk, index) => queryTerms.reduce((score, term) => {
+    const frequency = frequencies[index]!.get(term) || 0;
+    if (frequency === 0) {
+      return score;
+    }
+    const lengthNorm = 1 - b + b * (chunk.terms.length / averageLength);
+    return score + idf.get(term)! * (frequency * (k1 + 1)) / (frequency + k1 * lengthNorm);
+  }, 0));
+}
+
+/**
+ * Cosine similarity of two vectors
+ */
+function cosineSimilarity(a: number[], b: number[]): number {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i]! * b[i]!;
+    normA += a[i]! * a[i]!;
+    normB += b[i]! * b[i]!;
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Ranks passages by similarity to the query embedding
+ * Returns null when semantic ranking is off, no passage has an embedding from
+ * the current model, or the query cannot be embedded.
+ */
+async function scoreSemantic(chunks: IDocumentChunk[], query: string, usageContext: IUsageContext): Promise<(number | null)[] | null> {
+  const model = getEmbeddingModel();
+  if (!model || !chunks.some(chunk => chunk.embeddingModel === model)) {
+    return null;
+  }
+
+  try {
+    const [queryEmbedding] = await embedTexts([query], model, usageContext);
+    return chunks.map(chunk => (chunk.embeddingModel === model && chunk.embedding?.length
+      ? cosineSimilarity(queryEmbedding!, chunk.embedding)
+      : null));
+  } catch (error) {
+    console.error('Query embedding failed; ranking by keywords only:', error);
+    return null;
+  }
+}
+
+/**
+ * Converts per-passage scores to 1-based ranks (null for unranked passages)
+ */
+function toRanks(scores: (number | null)[]): (number | null)[] {
+  const order = scores
+    .map((score, index) => ({ score, index }))
+    .filter((entry): entry is { score: number; index: number } => entry.score !== null && entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const ranks: (number | null)[] = scores.map(() => null);
+  order.forEach((entry, rank) => { ranks[entry.index] = rank + 1; });
+  return ranks;
+}
+
+/**
+ * Converts a stored passage to a search result
+ */
+function toRetrievedChunk(chunk: IDocumentChunk, score: number): IRetrievedChunk {
+  return {
+    fileId: chunk.fileId.toString(),
+    fileName: chunk.fileName,
+    chunkIndex: chunk.chunkIndex,
+    text: chunk.text,
+    tokenCount: chunk.tokenCount,
+    score
+  };
+}
+
+/**
+ * Finds the passages of the given files most relevant to a query
+ * With semantic ranking on, BM25 and embedding ranks are fused; otherwise
+ * passages are ranked by BM25 alone. When no passage matches, the opening
+ * passages of the files are returned in turn, in the order the files were given.
+ *
+ * @param {IUploadedFile[]} files - The user's processed files
+ * @param {string} query - Current question and answer
+ * @param {ISearchOptions} options - Result count and metering context
+ * @returns {Promise<IRetrievedChunk[]>} Passages, best first
+ *
+ * @example
+ * ```typescript
+ * const passages = await searchUploadedFiles(files, 'Tell me about your robotics team');
+ * ```
+ */
+export async function searchUploadedFiles(
+  files: IUploadedFile[],
+  query: string,
+  options: ISearchOptions = {}
+): Promise<IRetrievedChunk[]> {
+  const topK = options.topK || getTopK();
+  const chunks = await loadChunks(files);
+  if (chunks.length === 0) {
+    return [];
+  }
+
+  const queryTerms = [...new Set(analyzeText(query))];
+  const bm25Ranks = toRanks(scoreBM25(chunks, queryTerms));
+  const semanticScores = queryTerms.length > 0 ? await scoreSemantic(chunks, query, options.usageContext || {}) : null;
+  const semanticRanks = semanticScores ? toRanks(semanticScores) : chunks.map(() => null);
+
+  const ranked = chunks
+    .map((chunk, index) => {
+      const score = [bm25Ranks[index], semanticRanks[index]]
+        .reduce<number>((sum, rank) => sum + (rank ? 1 / (RETRIEVAL_DEFAULTS.RRF_K + rank) : 0), 0);
+      return toRetrievedChunk(chunk, score);
+    })
+    .filter(chunk => chunk.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (ranked.length > 0) {
+    return ranked.slice(0, topK);
+  }
+
+  // Nothing matched: take passages from the start of each file in turn
+  const fileOrder = files.map(file => String(file._id));
+  return chunks
+    .map(chunk => toRetrievedChunk(chunk, 0))
+    .sort((a, b) => a.chunkIndex - b.chunkIndex || fileOrder.indexOf(a.fileId) - fileOrder.indexOf(b.fileId))
+    .slice(0, topK);
+}
+
+/**
+ * Formats passages for a prompt with numbered citations, within a token budget
+ * Passages that do not fit are skipped, so smaller ones further down can still be used.
+ *
+ * @param {IRetrievedChunk[]} passages - Passages, best first
+ * @param {number} maxTokens - Most tokens the formatted passages may use
+ * @param {string} model - Model whose tokenizer to use
+ * @returns {ICitedPassages} Prompt text and the sources it cites
+ *
+ * @example
+ * ```text
+ * [1] personal_essay.docx, passage 3
+ * When our robot failed at regionals, I ...
+ * ```
+ */
+export function formatCitedPassages(
+  passages: IRetrievedChunk[],
+  maxTokens: number,
+  model: string = DEFAULT_TOKENIZER_MODEL
+): ICitedPassages {
+  const sources: ICitedSource[] = [];
+  let content = '';
+  let tokenCount = 0;
+
+  for (const passage of passages) {
+    const citation = sources.length + 1;
+    const block = `[${citation}] ${passage.fileName}, passage ${passage.chunkIndex + 1}\n${passage.text}`;
+    const candidate = content ? `${content}\n\n${block}` : block;
+    const candidateTokens = countTokens(candidate, model);
+
+    if (candidateTokens > maxTokens) {
+      continue;
+    }
+
+    content = candidate;
+    tokenCount = candidateTokens;
+    sources.push({
+      citation,
+      fileId: passage.fileId,
+      fileName: passage.fileName,
+      passage: passage.chunkIndex + 1,
+      score: passage.score
+    });
+  }
+
+  return { content, tokenCount, sources };
+}
+
+export default {
+  analyzeText,
+  chunkText,
+  indexUploadedFile,
+  deleteFileChunks,
+  searchUploadedFiles,
+  formatCitedPassages,
+  getEmbeddingModel,
+  RETRIEVAL_DEFAULTS
+};
@@ -0,0 +1,358 @@
+/**
+ * AI Interview Coach Backend - Review Service
+ *
+ * This file implements counselor review comments on a student's interview.
+ * Comments are anchored to one message of an InterviewTranscript or one
+ * transcript entry of a SessionRecording. A thread is a root comment plus its
+ * replies; only the student who owns the interview and their assigned
+ * counselors (counselors of every organization whose roster the student is
+ * on) can read or write a thread.
+ *
+ * Key Features:
+ * - Loading the reviewed interview as a list of anchorable entries
+ * - Access checks for the student and their assigned counselors
+ * - Threads with replies and resolved state
+ * - Notifications to the other people in the conversation
+ *
+ * Related Files:
+ * - src/models/ReviewComment.ts - Review comment model
+ * - src/services/roster.service.ts - Assigned counselors of a student
+ * - src/services/notification.service.ts - Comment notifications
+ * - src/routes/review.routes.ts - Comments endpoints
+ *
+ * Task: Counselor review comments anchored to transcript messages
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Types } from 'mongoose';
+import ReviewComment, { IReviewComment, REVIEW_TARGET_TYPES, ReviewTargetType } from '../models/ReviewComment';
+import InterviewTranscript from '../models/InterviewTranscript';
+import SessionRecording from '../models/SessionRecording';
+import User, { IUser, UserRole, USER_ROLES } from '../models/User';
+import { NOTIFICATION_TYPES } from '../models/Notification';
+import { getStudentCounselorIds } from './roster.service';
+import { notifyUsers } from './notification.service';
+
+/**
+ * Error codes returned when a comment operation is rejected
+ */
+export const REVIEW_ERROR_CODES = {
+  ANCHOR_OUT_OF_RANGE: 'ANCHOR_OUT_OF_RANGE',
+  COMMENT_NOT_FOUND: 'COMMENT_NOT_FOUND',
+  NOT_THREAD_ROOT: 'NOT_THREAD_ROOT',
+  NOT_COMMENT_AUTHOR: 'NOT_COMMENT_AUTHOR'
+} as const;
+
+export type ReviewErrorCode = typeof REVIEW_ERROR_CODES[keyof typeof REVIEW_ERROR_CODES];
+
+/**
+ * Number of characters of the anchored entry quoted in notifications
+ */
+const EXCERPT_LENGTH = 80;
+
+/**
+ * Interface for one anchorable entry of a reviewed interview
+ */
+export interface IReviewEntry {
+  index: number;
+  speaker: string;
+  text: string;
+}
+
+/**
+ * Interface for a reviewed interview
+ */
+export interface IReviewTarget {
+  type: ReviewTargetType;
+  id: Types.ObjectId;
+  studentId: Types.ObjectId;
+  entries: IReviewEntry[];
+}
+
+/**
+ * Interface for a comment as returned by the API
+ */
+export interface IReviewCommentResponse {
+  id: string;
+  anchorIndex: number;
+  parentId: string | null;
+  author: { id: string; name: string; role: UserRole };
+  body: string;
+  resolved?: boolean;
+  resolvedAt?: string;
+  resolvedBy?: string;
+  createdAt: string;
+  replies?: IReviewCommentResponse[];
+}
+
+/**
+ * Interface for the result of a comment operation
+ */
+export interface IReviewResult {
+  success: boolean;
+  comment?: IReviewComment;
+  errorCode?: ReviewErrorCode;
+}
+
+/**
+ * Loads the interview a comment thread belongs to
+ *
+ * @param {ReviewTargetType} type - Transcript or session
+ * @param {string} id - InterviewTranscript or SessionRecording ID
+ * @returns {Promise<IReviewTarget | null>} The interview, or null if it does not exist
+ */
+export async function loadReviewTarget(type: ReviewTargetType, id: string): Promise<IReviewTarget | null> {
+  if (type === REVIEW_TARGET_TYPES.TRANSCRIPT) {
+    const transcript = await InterviewTranscript.findById(id).select('userId messages');
+    return transcript && {
+      type,
+      id: transcript._id as Types.ObjectId,
+      studentId: transcript.userId,
+      entries: transcript.messages.map((message, index) => ({ index, speaker: message.sender, text: message.text }))
+    };
+  }
+
+  const session = await SessionRecording.findById(id).select('userId transcript');
+  return session && {
+    type,
+    id: session._id as Types.ObjectId,
+    studentId: session.userId,
+    entries: session.transcript.map((entry, index) => ({ index, speaker: entry.speaker, text: entry.text }))
+  };
+}
+
+/**
+ * Lists the users who may read and write comments on a student's interview
+ *
+ * @param {Types.ObjectId} studentId - Owner of the interview
+ * @returns {Promise<string[]>} The student and their assigned counselors
+ */
+export async function getReviewParticipantIds(studentId: Types.ObjectId): Promise<string[]> {
+  const counselorIds = await getStudentCounselorIds(studentId);
+  return [studentId.toString(), ...counselorIds];
+}
+
+/**
+ * Lists the comment threads on an interview
+ * Threads are ordered by anchor, then by when they were started.
+ *
+ * @param {IReviewTarget} target - Reviewed interview
+ * @returns {Promise<IReviewCommentResponse[]>} Root comments with their replies
+ */
+export async function getReviewThreads(target: IReviewTarget): Promise<IReviewCommentResponse[]> {
+  const comments = await ReviewComment.find({ targetType: target.type, targetId: target.id }).sort({ createdAt: 1 });
+  const authors = await User.find({ _id: { $in: comments.map(comment => comment.authorId) } }).select('name role');
+  const authorById = new Map(authors.map(author => [(author._id as Types.ObjectId).toString(), author]));
+
+  const toResponse = (comment: IReviewComment): IReviewCommentResponse => {
+    const author = authorById.get(comment.authorId.toString());
+    return {
+      id: (comment._id as Types.ObjectId).toString(),
+      anchorIndex: comment.anchorIndex,
+      parentId: comment.parentId ? comment.parentId.toString() : null,
+      author: {
+        id: comment.authorId.toString(),
+        name: author?.name || 'Former user',
+        role: author?.role || USER_ROLES.STUDENT
+      },
+      body: comment.body,
+      ...(!comment.parentId && { resolved: comment.resolved }),
+      ...(comment.resolvedAt && { resolvedAt: comment.resolvedAt.toISOString() }),
+      ...(comment.resolvedBy && { resolvedBy: comment.resolvedBy.toString() }),
+      createdAt: comment.createdAt.toISOString()
+    };
+  };
+
+  return comments
+    .filter(comment => !comment.parentId)
+    .sort((a, b) => a.anchorIndex - b.anchorIndex)
+    .map(root => ({
+      ...toResponse(root),
+      replies: comments
+        .filter(comment => comment.parentId?.toString() === (root._id as Types.ObjectId).toString())
+        .map(toResponse)
+    }));
+}
+
+/**
+ * Builds a short quote of the entry a comment is anchored to
+ */
+function excerptOf(target: IReviewTarget, anchorIndex: number): string {
+  const text = target.entries[anchorIndex]?.text || '';
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Lists everyone who commented in a thread
+ */
+async function getThreadAuthorIds(rootId: Types.ObjectId): Promise<string[]> {
+  const comments = await ReviewComment.find({ $or: [{ _id: rootId }, { parentId: rootId }] }).select('authorId');
+  return comments.map(comment => comment.authorId.toString());
+}
+
+/**
+ * Adds a comment to an interview
+ * Without parentId the comment starts a new thread on the anchored entry;
+ * with parentId it replies to that thread and reopens it if it was resolved.
+ * The student and the thread's other participants are notified.
+ *
+ * @param {IReviewTarget} target - Reviewed interview
+ * @param {IUser} author - User writing the comment
+ * @param {Object} input - Anchor index (new threads), parent comment ID (replies) and body
+ * @param {string[]} participantIds - Users allowed on this interview's threads
+ * @returns {Promise<IReviewResult>} The new comment or the reason it was rejected
+ */
+export async function addComment(
+  target: IReviewTarget,
+  author: IUser,
+  input: { anchorIndex?: number; parentId?: string; body: string },
+  participantIds: string[]
+): Promise<IReviewResult> {
+  const authorId = (author._id as Types.ObjectId).toString();
+  let root: IReviewComment | null = null;
+
+  if (input.parentId) {
+    root = await ReviewComment.findOne({ _id: input.parentId, targetType: target.type, targetId: target.id });
+    if (!root) {
+      return { success: false, errorCode: REVIEW_ERROR_CODES.COMMENT_NOT_FOUND };
+    }
+    if (root.parentId) {
+      return { success: false, errorCode: REVIEW_ERROR_CODES.NOT_THREAD_ROOT };
+    }
+  } else if (
+    input.anchorIndex === undefined ||
+    input.anchorIndex < 0 ||
+    input.anchorIndex >= target.entries.length
+  ) {
+    return { success: false, errorCode: REVIEW_ERROR_CODES.ANCHOR_OUT_OF_RANGE };
+  }
+
+  const anchorIndex = root ? root.anchorIndex : input.anchorIndex!;
+  const comment = await ReviewComment.create({
+    targetType: target.type,
+    targetId: target.id,
+    anchorIndex,
+    studentId: target.studentId,
+    parentId: root ? root._id : null,
+    authorId: author._id,
+    body: input.body.trim()
+  });
+
+  if (root?.resolved) {
+    await ReviewComment.updateOne(
+      { _id: root._id },
+      { $set: { resolved: false }, $unset: { resolvedAt: 1, resolvedBy: 1 } }
+    );
+  }
+
+  // A new thread goes to the student, or to every assigned counselor when the
+  // student starts it; a reply goes to the student and everyone in the thread
+  const studentId = target.studentId.toString();
+  const audience = root
+    ? [studentId, ...await getThreadAuthorIds(root._id as Types.ObjectId)]
+    : authorId === studentId ? participantIds : [studentId];
+  const recipients = audience.filter(id => id !== authorId && participantIds.includes(id));
+
+  await notifyUsers(recipients, {
+    type: root ? NOTIFICATION_TYPES.REVIEW_REPLY : NOTIFICATION_TYPES.REVIEW_COMMENT,
+    title: root ? `${author.name} replied to a review comment` : `${author.name} commented on an interview`,
+    message: `On "${excerptOf(target, anchorIndex)}": ${comment.body}`.slice(0, 500),
+    actorId: author._id as Types.ObjectId,
+    targetType: target.type,
+    targetId: target.id,
+    commentId: (root ? root._id : comment._id) as Types.ObjectId
+  });
+
+  return { success: true, comment };
+}
+
+/**
+ * Resolves or reopens a thread
+ * Resolving notifies the thread's other participants.
+ *
+ * @param {IReviewTarget} target - Reviewed interview
+ * @param {string} commentId - Root comment of the thread
+ * @param {IUser} user - User changing the state
+ * @param {boolean} resolved - New state
+ * @param {string[]} participantIds - Users allowed on this interview's threads
+ * @returns {Promise<IReviewResult>} The updated root comment or the reason it was rejected
+ */
+export async function setThreadResolved(
+  target: IReviewTarget,
+  commentId: string,
+  user: IUser,
+  resolved: boolean,
+  participantIds: string[]
+): Promise<IReviewResult> {
+  const root = await ReviewComment.findOne({ _id: commentId, targetType: target.type, targetId: target.id });
+  if (!root) {
+    return { success: false, errorCode: REVIEW_ERROR_CODES.COMMENT_NOT_FOUND };
+  }
+  if (root.parentId) {
+    return { success: false, errorCode: REVIEW_ERROR_CODES.NOT_THREAD_ROOT };
+  }
+  if (root.resolved === resolved) {
+    return { success: true, comment: root };
+  }
+
+  root.resolved = resolved;
+  if (resolved) {
+    root.resolvedAt = new Date();
+    root.resolvedBy = user._id as Types.ObjectId;
+  } else {
+    root.set({ resolvedAt: undefined, resolvedBy: undefined });
+  }
+  await root.save();
+
+  if (resolved) {
+    const userId = (user._id as Types.ObjectId).toString();
+    const audience = [target.studentId.toString(), ...await getThreadAuthorIds(root._id as Types.ObjectId)];
+    await notifyUsers(audience.filter(id => id !== userId && participantIds.includes(id)), {
+      type: NOTIFICATION_TYPES.REVIEW_RESOLVED,
+      title: `${user.name} resolved a review comment`,
+      message: `On "${excerptOf(target, root.anchorIndex)}": ${root.body}`.slice(0, 500),
+      actorId: user._id as Types.ObjectId,
+      targetType: target.type,
+      targetId: target.id,
+      commentId: root._id as Types.ObjectId
+    });
+  }
+
+  return { success: true, comment: root };
+}
+
+/**
+ * Deletes a comment written by the user
+ * Deleting a root comment deletes its whole thread.
+ *
+ * @param {IReviewTarget} target - Reviewed interview
+ * @param {string} commentId - Comment ID
+ * @param {IUser} user - User deleting the comment
+ * @returns {Promise<IReviewResult>} Success or the reason it was rejected
+ */
+export async function deleteComment(target: IReviewTarget, commentId: string, user: IUser): Promise<IReviewResult> {
+  const comment = await ReviewComment.findOne({ _id: commentId, targetType: target.type, targetId: target.id });
+  if (!comment) {
+    return { success: false, errorCode: REVIEW_ERROR_CODES.COMMENT_NOT_FOUND };
+  }
+  if (comment.authorId.toString() !== (user._id as Types.ObjectId).toString()) {
+    return { success: false, errorCode: REVIEW_ERROR_CODES.NOT_COMMENT_AUTHOR };
+  }
+
+  await ReviewComment.deleteMany({ $or: [{ _id: comment._id }, { parentId: comment._id }] });
+  return { success: true };
+}
+
+/**
+ * Default export object containing all review utilities
+ */
+export default {
+  loadReviewTarget,
+  getReviewParticipantIds,
+  getReviewThreads,
+  addComment,
+  setThreadResolved,
+  deleteComment
+};
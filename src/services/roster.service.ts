@@ -0,0 +1,453 @@
+/**
+ * AI Interview Coach Backend - Roster Service
+ *
+ * This file implements counselor workspaces: organizations, the invitation
+ * codes students use to join them, and the roster of joined students with
+ * their interview rating history.
+ *
+ * Key Features:
+ * - Organization creation and listing for counselors and students
+ * - Invitation codes with optional email restriction, use limit and expiry
+ * - Roster listing with per-student rating statistics
+ * - Counselor access checks for a student's ratings
+ *
+ * Related Files:
+ * - src/models/Organization.ts - Organization model
+ * - src/models/Invitation.ts - Invitation codes
+ * - src/models/RosterMembership.ts - Roster entries
+ * - src/models/InterviewTranscript.ts - Rated interviews shown to counselors
+ * - src/routes/organization.routes.ts - Counselor workspace endpoints
+ *
+ * Task: Counselor workspace with rosters, invitations and assigned practice interviews
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import { Types } from 'mongoose';
+import Organization, { IOrganization } from '../models/Organization';
+import Invitation, { IInvitation } from '../models/Invitation';
+import RosterMembership, { ROSTER_STATUS } from '../models/RosterMembership';
+import Assignment, { ASSIGNMENT_STATUS } from '../models/Assignment';
+import InterviewTranscript, { TRANSCRIPT_STATUS } from '../models/InterviewTranscript';
+import User, { IUser, USER_ROLES } from '../models/User';
+
+/**
+ * Error codes returned when an invitation code cannot be redeemed
+ */
+export const ROSTER_ERROR_CODES = {
+  INVITATION_INVALID: 'INVITATION_INVALID',
+  ALREADY_ON_ROSTER: 'ALREADY_ON_ROSTER'
+} as const;
+
+export type RosterErrorCode = typeof ROSTER_ERROR_CODES[keyof typeof ROSTER_ERROR_CODES];
+
+/**
+ * Characters used in invitation codes
+ * Leaves out 0/O and 1/I so codes can be read aloud and typed from paper.
+ */
+const INVITATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITATION_CODE_LENGTH = 8;
+
+/**
+ * Default and maximum invitation lifetime in days
+ */
+export const DEFAULT_INVITATION_DAYS = 14;
+export const MAX_INVITATION_DAYS = 90;
+
+/**
+ * Interface for invitation options chosen by a counselor
+ */
+export interface IInvitationOptions {
+  email?: string;
+  maxUses?: number;
+  expiresInDays?: number;
+}
+
+/**
+ * Interface for the result of redeeming an invitation code
+ */
+export interface IRedeemResult {
+  success: boolean;
+  organization?: IOrganization;
+  errorCode?: RosterErrorCode;
+}
+
+/**
+ * Interface for a student on a roster with rating statistics
+ */
+export interface IRosterStudent {
+  id: string;
+  name: string;
+  email: string;
+  grade?: number;
+  targetMajor?: string;
+  joinedAt: string;
+  ratedInterviews: number;
+  averageRating: number | null;
+  lastInterviewAt: string | null;
+  openAssignments: number;
+  completedAssignments: number;
+}
+
+/**
+ * Interface for a rated interview shown to counselors
+ */
+export interface IStudentRating {
+  transcriptId: string;
+  interviewType: string;
+  difficulty: string;
+  assignmentId?: string;
+  overallRating?: number;
+  detailedScores?: Record<string, number>;
+  summary?: string;
+  ratedAt?: string;
+  createdAt: string;
+}
+
+/**
+ * Generates a random invitation code
+ *
+ * @returns {string} Code such as "K7PQ2MXA"
+ */
+export function generateInvitationCode(): string {
+  let code = '';
+  for (let i = 0; i < INVITATION_CODE_LENGTH; i++) {
+    code += INVITATION_CODE_ALPHABET[crypto.randomInt(INVITATION_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalizes a code typed by a student
+ */
+function normalizeCode(code: string): string {
+  return code.replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Checks whether a user manages an organization
+ * Admins manage every organization.
+ *
+ * @param {IOrganization} organization - Organization to check
+ * @param {IUser} user - Authenticated user
+ * @returns {boolean} True if the user may manage the roster
+ */
+export function isOrganizationCounselor(organization: IOrganization, user: IUser): boolean {
+  if (user.role === USER_ROLES.ADMIN) {
+    return true;
+  }
+
+  const userId = (user._id as Types.ObjectId).toString();
+  return organization.counselorIds.some(id => id.toString() === userId);
+}
+
+/**
+ * Creates an organization managed by the given counselor
+ *
+ * @param {IUser} counselor - Counselor creating the organization
+ * @param {string} name - Organization name
+ * @returns {Promise<IOrganization>} The new organization
+ */
+export async function createOrganization(counselor: IUser, name: string): Promise<IOrganization> {
+  return Organization.create({
+    name: name.trim(),
+    createdBy: counselor._id,
+    counselorIds: [counselor._id]
+  });
+}
+
+/**
+ * Lists the active organizations a user manages or has joined
+ *
+ * @param {IUser} user - Authenticated user
+ * @returns {Promise<IOrganization[]>} Organizations sorted by name
+ */
+export async function getOrganizationsForUser(user: IUser): Promise<IOrganization[]> {
+  const memberships = await RosterMembership.find({ studentId: user._id, status: ROSTER_STATUS.ACTIVE });
+  const joinedIds = memberships.map(membership => membership.organizationId);
+
+  return Organization.find({
+    isActive: true,
+    $or: [{ counselorIds: user._id }, { _id: { $in: joinedIds } }]
+  }).sort({ name: 1 });
+}
+
+/**
+ * Creates an invitation code for an organization
+ * Retries with a new code on the unlikely event of a collision.
+ *
+ * @param {IOrganization} organization - Organization the code joins
+ * @param {IUser} counselor - Counselor creating the code
+ * @param {IInvitationOptions} options - Email restriction, use limit and lifetime
+ * @returns {Promise<IInvitation>} The new invitation
+ */
+export async function createInvitation(
+  organization: IOrganization,
+  counselor: IUser,
+  options: IInvitationOptions = {}
+): Promise<IInvitation> {
+  const days = options.expiresInDays ?? DEFAULT_INVITATION_DAYS;
+  const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await Invitation.create({
+        organizationId: organization._id,
+        code: generateInvitationCode(),
+        createdBy: counselor._id,
+        ...(options.email && { email: options.email.toLowerCase().trim() }),
+        ...(options.maxUses && { maxUses: options.maxUses }),
+        expiresAt
+      });
+    } catch (error: any) {
+      if (error?.code !== 11000 || attempt >= 2) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Lists the unexpired, unrevoked invitations of an organization
+ *
+ * @param {Types.ObjectId} organizationId - Organization ID
+ * @returns {Promise<IInvitation[]>} Newest first
+ */
+export async function getActiveInvitations(organizationId: Types.ObjectId): Promise<IInvitation[]> {
+  return Invitation.find({
+    organizationId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+}
+
+/**
+ * Revokes an invitation code so it can no longer be redeemed
+ *
+ * @param {Types.ObjectId} organizationId - Organization the code belongs to
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<boolean>} True if an active invitation was revoked
+ */
+export async function revokeInvitation(organizationId: Types.ObjectId, invitationId: string): Promise<boolean> {
+  const result = await Invitation.updateOne(
+    { _id: invitationId, organizationId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Adds a student to an organization's roster using an invitation code
+ * Expired, revoked, used-up and email-restricted codes are all reported as
+ * INVITATION_INVALID so a code's existence is not revealed.
+ *
+ * @param {string} code - Invitation code as typed by the student
+ * @param {IUser} student - Student joining the roster
+ * @returns {Promise<IRedeemResult>} The joined organization or a rejection code
+ */
+export async function redeemInvitation(code: string, student: IUser): Promise<IRedeemResult> {
+  const invalid: IRedeemResult = { success: false, errorCode: ROSTER_ERROR_CODES.INVITATION_INVALID };
+  const invitation = await Invitation.findOne({ code: normalizeCode(code) });
+
+  if (
+    !invitation ||
+    invitation.revokedAt ||
+    invitation.expiresAt <= new Date() ||
+    (invitation.email && invitation.email !== student.email.toLowerCase())
+  ) {
+    return invalid;
+  }
+
+  const organization = await Organization.findById(invitation.organizationId);
+  if (!organization || !organization.isActive) {
+    return invalid;
+  }
+
+  const existing = await RosterMembership.findOne({ organizationId: organization._id, studentId: student._id });
+  if (existing?.status === ROSTER_STATUS.ACTIVE) {
+    return { success: false, organization, errorCode: ROSTER_ERROR_CODES.ALREADY_ON_ROSTER };
+  }
+
+  if (invitation.maxUses !== undefined && invitation.uses >= invitation.maxUses) {
+    return invalid;
+  }
+
+  // Claim a use only if no one else used the code in the meantime
+  const claim = await Invitation.updateOne(
+    { _id: invitation._id, uses: invitation.uses },
+    { $inc: { uses: 1 } }
+  );
+  if (claim.modifiedCount === 0) {
+    return invalid;
+  }
+
+  await RosterMembership.updateOne(
+    { organizationId: organization._id, studentId: student._id },
+    {
+      $set: { status: ROSTER_STATUS.ACTIVE, joinedAt: new Date(), invitationId: invitation._id },
+      $unset: { removedAt: 1 }
+    },
+    { upsert: true }
+  );
+
+  return { success: true, organization };
+}
+
+/**
+ * Checks whether a student is on an organization's active roster
+ *
+ * @param {Types.ObjectId} organizationId - Organization ID
+ * @param {string | Types.ObjectId} studentId - Student's user ID
+ * @returns {Promise<boolean>} True if the student is on the roster
+ */
+export async function isOnRoster(organizationId: Types.ObjectId, studentId: string | Types.ObjectId): Promise<boolean> {
+  const membership = await RosterMembership.findOne({ organizationId, studentId, status: ROSTER_STATUS.ACTIVE });
+  return !!membership;
+}
+
+/**
+ * Lists the counselors assigned to a student
+ * These are the counselors of every active organization the student is on.
+ *
+ * @param {string | Types.ObjectId} studentId - Student's user ID
+ * @returns {Promise<string[]>} Counselor user IDs
+ */
+export async function getStudentCounselorIds(studentId: string | Types.ObjectId): Promise<string[]> {
+  const memberships = await RosterMembership.find({ studentId, status: ROSTER_STATUS.ACTIVE });
+  if (memberships.length === 0) {
+    return [];
+  }
+
+  const organizations = await Organization.find({
+    _id: { $in: memberships.map(membership => membership.organizationId) },
+    isActive: true
+  }).select('counselorIds');
+
+  const counselorIds = organizations.flatMap(organization => organization.counselorIds.map(id => id.toString()));
+  return [...new Set(counselorIds)];
+}
+
+/**
+ * Lists the students on an organization's roster with rating and assignment statistics
+ *
+ * @param {Types.ObjectId} organizationId - Organization ID
+ * @returns {Promise<IRosterStudent[]>} Students sorted by name
+ */
+export async function getRoster(organizationId: Types.ObjectId): Promise<IRosterStudent[]> {
+  const memberships = await RosterMembership.find({ organizationId, status: ROSTER_STATUS.ACTIVE });
+  if (memberships.length === 0) {
+    return [];
+  }
+
+  const studentIds = memberships.map(membership => membership.studentId);
+  const [students, transcripts, assignments] = await Promise.all([
+    User.find({ _id: { $in: studentIds }, isActive: true }).select('name email grade targetMajor'),
+    InterviewTranscript.find({ userId: { $in: studentIds }, status: TRANSCRIPT_STATUS.RATED })
+      .select('userId aiRating.overallRating createdAt'),
+    Assignment.find({ organizationId, studentId: { $in: studentIds } }).select('studentId status')
+  ]);
+
+  const roster = students.map(student => {
+    const studentId = (student._id as Types.ObjectId).toString();
+    const membership = memberships.find(entry => entry.studentId.toString() === studentId);
+    const ratings = transcripts.filter(transcript => transcript.userId.toString() === studentId);
+    const scores = ratings
+      .map(transcript => transcript.aiRating?.overallRating)
+      .filter((score): score is number => typeof score === 'number');
+    const latest = ratings.reduce<Date | null>(
+      (newest, transcript) => (!newest || transcript.createdAt > newest ? transcript.createdAt : newest),
+      null
+    );
+    const own = assignments.filter(assignment => assignment.studentId.toString() === studentId);
+
+    return {
+      id: studentId,
+      name: student.name,
+      email: student.email,
+      ...(student.grade && { grade: student.grade }),
+      ...(student.targetMajor && { targetMajor: student.targetMajor }),
+      joinedAt: (membership?.joinedAt || new Date()).toISOString(),
+      ratedInterviews: ratings.length,
+      averageRating: scores.length > 0
+        ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10
+        : null,
+      lastInterviewAt: latest ? latest.toISOString() : null,
+      openAssignments: own.filter(assignment => assignment.status === ASSIGNMENT_STATUS.ASSIGNED).length,
+      completedAssignments: own.filter(assignment => assignment.status === ASSIGNMENT_STATUS.COMPLETED).length
+    };
+  });
+
+  return roster.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Removes a student from a roster and cancels their open assignments there
+ *
+ * @param {Types.ObjectId} organizationId - Organization ID
+ * @param {string} studentId - Student's user ID
+ * @returns {Promise<boolean>} True if the student was on the roster
+ */
+export async function removeFromRoster(organizationId: Types.ObjectId, studentId: string): Promise<boolean> {
+  const result = await RosterMembership.updateOne(
+    { organizationId, studentId, status: ROSTER_STATUS.ACTIVE },
+    { $set: { status: ROSTER_STATUS.REMOVED, removedAt: new Date() } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await Assignment.updateMany(
+    { organizationId, studentId, status: ASSIGNMENT_STATUS.ASSIGNED },
+    { $set: { status: ASSIGNMENT_STATUS.CANCELLED } }
+  );
+
+  return true;
+}
+
+/**
+ * Lists a student's rated interviews for a counselor
+ *
+ * @param {string} studentId - Student's user ID
+ * @returns {Promise<IStudentRating[]>} Rated interviews, newest first
+ */
+export async function getStudentRatings(studentId: string): Promise<IStudentRating[]> {
+  const transcripts = await InterviewTranscript.find({ userId: studentId, status: TRANSCRIPT_STATUS.RATED })
+    .select('interviewContext.interviewType interviewContext.difficulty assignmentId aiRating ratingGeneratedAt createdAt')
+    .sort({ createdAt: -1 });
+
+  return transcripts.map(transcript => ({
+    transcriptId: (transcript._id as Types.ObjectId).toString(),
+    interviewType: transcript.interviewContext.interviewType,
+    difficulty: transcript.interviewContext.difficulty,
+    ...(transcript.assignmentId && { assignmentId: transcript.assignmentId.toString() }),
+    ...(transcript.aiRating && {
+      overallRating: transcript.aiRating.overallRating,
+      detailedScores: { ...transcript.aiRating.detailedScores },
+      summary: transcript.aiRating.summary
+    }),
+    ...(transcript.ratingGeneratedAt && { ratedAt: transcript.ratingGeneratedAt.toISOString() }),
+    createdAt: transcript.createdAt.toISOString()
+  }));
+}
+
+/**
+ * Default export object containing all roster utilities
+ */
+export default {
+  generateInvitationCode,
+  isOrganizationCounselor,
+  createOrganization,
+  getOrganizationsForUser,
+  createInvitation,
+  getActiveInvitations,
+  revokeInvitation,
+  redeemInvitation,
+  isOnRoster,
+  getStudentCounselorIds,
+  getRoster,
+  removeFromRoster,
+  getStudentRatings
+};
@@ -0,0 +1,239 @@
+/**
+ * AI Interview Coach Backend - Schema Validation Service
+ *
+ * This service validates request values against the schemas in src/schemas.
+ * It returns every problem found, with messages that name the offending field
+ * ("tags[2] must be at most 50 characters"), and a copy of the value with
+ * defaults applied.
+ *
+ * Key Features:
+ * - Type, enum, length, range, pattern and item-count checks
+ * - Nested objects and arrays with dotted and indexed field paths
+ * - Defaults filled in for missing optional properties
+ * - Optional coercion of query and path strings to numbers and booleans
+ *
+ * Related Files:
+ * - src/schemas/types.ts - Schema format
+ * - src/middleware/validation.ts - validateRequest middleware
+ *
+ * Task: Request/response schemas, validation middleware and OpenAPI document
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { ISchema, SchemaType } from '../schemas/types';
+
+/**
+ * Interface for validation options
+ */
+export interface ISchemaValidationOptions {
+  label?: string; // Name used for the value itself, e.g. "Request body"
+  coerce?: boolean; // Convert strings for number, integer and boolean schemas
+}
+
+/**
+ * Interface for validation results
+ */
+export interface ISchemaValidationResult {
+  valid: boolean;
+  errors: string[];
+  value: unknown; // Input with defaults applied and strings coerced
+}
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const TYPE_DESCRIPTIONS: Record<SchemaType, string> = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array'
+};
+
+/**
+ * Checks whether a value has a schema type
+ */
+function matchesType(value: unknown, type: SchemaType): boolean {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+  }
+}
+
+/**
+ * Converts query and path strings to the schema's type where they parse
+ */
+function coerceString(value: unknown, type: SchemaType | undefined): unknown {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  switch (type) {
+    case 'integer':
+      return /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Copies a default so requests never share a mutable default value
+ */
+function copyDefault(value: unknown): unknown {
+  return typeof value === 'object' && value !== null ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+/**
+ * Validates one value, recording errors and returning the normalized value
+ */
+function checkValue(
+  value: unknown,
+  schema: ISchema,
+  path: string,
+  label: string,
+  errors: string[],
+  coerce: boolean
+): unknown {
+  const name = path || label;
+
+  if (value === null) {
+    if (!schema.nullable) {
+      errors.push(`${name} cannot be null`);
+    }
+    return value;
+  }
+
+  const input = coerce ? coerceString(value, schema.type) : value;
+
+  if (schema.type && !matchesType(input, schema.type)) {
+    errors.push(`${name} must be ${TYPE_DESCRIPTIONS[schema.type]}`);
+    return input;
+  }
+
+  if (schema.enum && !schema.enum.includes(input as string | number)) {
+    errors.push(`${name} must be one of: ${schema.enum.join(', ')}`);
+    return input;
+  }
+
+  if (typeof input === 'string') {
+    if (schema.minLength !== undefined && input.trim().length < schema.minLength) {
+      errors.push(schema.minLength === 1
+        ? `${name} cannot be empty`
+        : `${name} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && input.length > schema.maxLength) {
+      errors.push(`${name} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.format === 'objectid' && !OBJECT_ID_PATTERN.test(input)) {
+      errors.push(`${name} must be a valid ID`);
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(input)) {
+      errors.push(`${name} has an invalid format`);
+    }
+    return input;
+  }
+
+  if (typeof input === 'number') {
+    if (schema.minimum !== undefined && input < schema.minimum) {
+      errors.push(`${name} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && input > schema.maximum) {
+      errors.push(`${name} must be at most ${schema.maximum}`);
+    }
+    return input;
+  }
+
+  if (Array.isArray(input)) {
+    if (schema.minItems !== undefined && input.length < schema.minItems) {
+      errors.push(`${name} must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && input.length > schema.maxItems) {
+      errors.push(`${name} must contain at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+    }
+    const itemSchema = schema.items;
+    return itemSchema
+      ? input.map((item, index) => checkValue(item, itemSchema, `${name}[${index}]`, label, errors, coerce))
+      : input;
+  }
+
+  if (matchesType(input, 'object')) {
+    const source = input as Record<string, unknown>;
+    const result: Record<string, unknown> = { ...source };
+    const properties = schema.properties || {};
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      const propertyPath = path ? `${path}.${key}` : key;
+
+      if (source[key] === undefined) {
+        if (schema.required?.includes(key)) {
+          errors.push(`${propertyPath} is required`);
+        } else if (propertySchema.default !== undefined) {
+          result[key] = copyDefault(propertySchema.default);
+        }
+        continue;
+      }
+
+      result[key] = checkValue(source[key], propertySchema, propertyPath, label, errors, coerce);
+    }
+
+    const extraKeys = Object.keys(source).filter(key => !(key in properties) && source[key] !== undefined);
+    if (schema.additionalProperties === false && extraKeys.length > 0) {
+      errors.push(`${name} has unknown field${extraKeys.length === 1 ? '' : 's'}: ${extraKeys.join(', ')}`);
+    } else if (typeof schema.additionalProperties === 'object') {
+      for (const key of extraKeys) {
+        const propertyPath = path ? `${path}.${key}` : key;
+        result[key] = checkValue(source[key], schema.additionalProperties, propertyPath, label, errors, coerce);
+      }
+    }
+
+    return result;
+  }
+
+  return input;
+}
+
+/**
+ * Validates a value against a schema
+ *
+ * @param {unknown} value - Value to validate, such as req.body or req.query
+ * @param {ISchema} schema - Schema to validate against
+ * @param {ISchemaValidationOptions} options - Label for the value and string coercion
+ * @returns {ISchemaValidationResult} Errors found and the normalized value
+ *
+ * @example
+ * ```typescript
+ * const { valid, errors, value } = validateSchema(req.body, createInterviewSchema, { label: 'Request body' });
+ * if (!valid) {
+ *   console.log(errors); // ['interviewType is required']
+ * }
+ * ```
+ */
+export function validateSchema(
+  value: unknown,
+  schema: ISchema,
+  options: ISchemaValidationOptions = {}
+): ISchemaValidationResult {
+  const errors: string[] = [];
+  const normalized = checkValue(value, schema, '', options.label || 'Value', errors, options.coerce === true);
+
+  return { valid: errors.length === 0, errors, value: normalized };
+}
+
+export default {
+  validateSchema
+};
@@ -0,0 +1,157 @@
+/**
+ * AI Interview Coach Backend - Token Revocation Service
+ *
+ * This file implements server-side invalidation of JWT access tokens. Revoked
+ * tokens are recorded in the RevokedToken collection until they would have
+ * expired, and the authentication middleware checks every request against it.
+ *
+ * Key Features:
+ * - Revoke the access token used for a request (logout)
+ * - Revoke every token a user holds across devices (logout of all devices),
+ *   closing their realtime connections too
+ * - Fast revocation checks for the authentication middleware
+ *
+ * Related Files:
+ * - src/models/RevokedToken.ts - Revocation list with TTL cleanup
+ * - src/services/refreshToken.service.ts - Refresh token revocation
+ * - src/middleware/auth.ts - Revocation checks on authenticated requests
+ * - src/routes/auth.routes.ts - Logout endpoints
+ * - src/services/realtime.service.ts - Realtime connections closed on revocation
+ *
+ * Task: Server-side logout and token revocation list
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Types } from 'mongoose';
+import { IJwtPayload } from './auth.service';
+import { revokeAllRefreshTokens } from './refreshToken.service';
+import { closeUserConnections } from './realtime.service';
+import RevokedToken, { REVOCATION_SCOPES } from '../models/RevokedToken';
+import { RevocationReason } from '../models/RefreshToken';
+
+/**
+ * How long a user-wide revocation must be kept
+ * Matches ACCESS_TOKEN_EXPIRES_IN so every covered access token has expired
+ * before the entry is removed
+ */
+const USER_REVOCATION_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Adds a single access token to the revocation list
+ *
+ * @param {IJwtPayload} payload - Decoded payload of the token to revoke
+ * @param {RevocationReason} reason - Why the token is being revoked
+ * @returns {Promise<boolean>} True if the token could be revoked
+ *
+ * @example
+ * ```typescript
+ * await revokeAccessToken(req.tokenPayload, REVOCATION_REASONS.LOGOUT);
+ * ```
+ */
+export async function revokeAccessToken(
+  payload: IJwtPayload,
+  reason: RevocationReason
+): Promise<boolean> {
+  // Tokens issued before token IDs existed can only be revoked user-wide
+  if (!payload.jti || !payload.exp) {
+    return false;
+  }
+
+  await RevokedToken.updateOne(
+    { tokenId: payload.jti },
+    {
+      $setOnInsert: {
+        scope: REVOCATION_SCOPES.TOKEN,
+        tokenId: payload.jti,
+        userId: new Types.ObjectId(payload.userId),
+        reason,
+        revokedAt: new Date(),
+        expiresAt: new Date(payload.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+
+  return true;
+}
+
+/**
+ * Revokes every access and refresh token a user holds
+ * Access tokens issued before this call are rejected until they expire, and
+ * the user's realtime connections are closed.
+ *
+ * @param {string | Types.ObjectId} userId - The user's unique identifier
+ * @param {RevocationReason} reason - Why the tokens are being revoked
+ * @returns {Promise<number>} Number of refresh token sessions that were ended
+ *
+ * @example
+ * ```typescript
+ * const sessionsEnded = await revokeAllUserTokens(user._id, REVOCATION_REASONS.LOGOUT_ALL);
+ * ```
+ */
+export async function revokeAllUserTokens(
+  userId: string | Types.ObjectId,
+  reason: RevocationReason
+): Promise<number> {
+  const revokedAt = new Date();
+
+  await RevokedToken.create({
+    scope: REVOCATION_SCOPES.USER,
+    userId: new Types.ObjectId(userId.toString()),
+    reason,
+    revokedAt,
+    expiresAt: new Date(revokedAt.getTime() + USER_REVOCATION_TTL_MS)
+  });
+
+  // Open sockets were authenticated once; end them rather than wait for expiry
+  closeUserConnections(userId);
+
+  return revokeAllRefreshTokens(userId, reason);
+}
+
+/**
+ * Checks whether a verified token has been revoked
+ *
+ * @param {IJwtPayload} payload - Decoded payload of a verified token
+ * @returns {Promise<boolean>} True if the token must be rejected
+ *
+ * @example
+ * ```typescript
+ * if (await isTokenRevoked(verificationResult.payload)) {
+ *   return res.status(401).json({ error: 'Unauthorized' });
+ * }
+ * ```
+ */
+export async function isTokenRevoked(payload: IJwtPayload): Promise<boolean> {
+  // A user-wide revocation covers every token issued before it. iatMs orders
+  // a token against a revocation in the same second, so a login right after
+  // logout-all works; older tokens with only iat are covered by any
+  // revocation in or after the second they were issued.
+  const issuedAt = new Date(payload.iatMs ?? (payload.iat || 0) * 1000);
+
+  const conditions: Record<string, unknown>[] = [
+    {
+      scope: REVOCATION_SCOPES.USER,
+      userId: payload.userId,
+      revokedAt: { $gt: issuedAt }
+    }
+  ];
+
+  if (payload.jti) {
+    conditions.push({ scope: REVOCATION_SCOPES.TOKEN, tokenId: payload.jti });
+  }
+
+  const revocation = await RevokedToken.exists({ $or: conditions });
+  return revocation !== null;
+}
+
+/**
+ * Default export object containing all token revocation utilities
+ */
+export default {
+  revokeAccessToken,
+  revokeAllUserTokens,
+  isTokenRevoked
+};
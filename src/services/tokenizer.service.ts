@@ -0,0 +1,230 @@
+/**
+ * AI Interview Coach Backend - Tokenizer Service
+ *
+ * This file counts tokens with the byte pair encoding (BPE) the model actually
+ * uses, so prompts can be sized against the model's context window instead of
+ * guessed from their length in characters.
+ *
+ * Key Features:
+ * - Exact token counts for OpenAI models (cl100k_base and o200k_base encodings)
+ * - Message counts that include the per-message overhead of the chat format
+ * - Truncation to a token limit without splitting characters
+ * - Context window sizes per model, overridable with LLM_CONTEXT_WINDOW
+ *
+ * Models the tokenizer does not know, such as those served by a self-hosted
+ * OpenAI-compatible server, are counted with cl100k_base. Counts for them are
+ * close but not exact, which the context budget's safety margin absorbs.
+ *
+ * Related Files:
+ * - src/services/contextBudget.service.ts - Splits the context window between prompt parts
+ * - src/services/contentIntegration.service.ts - Sizes uploaded content
+ * - src/services/openai.service.ts - Chat completions
+ *
+ * Task: Accurate tokenizer-based context budgeting
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { getEncoding, getEncodingNameForModel, Tiktoken, TiktokenModel } from 'js-tiktoken';
+
+/**
+ * Model used when a caller does not name one (the chat default)
+ */
+export const DEFAULT_TOKENIZER_MODEL = 'gpt-4';
+
+/**
+ * Encodings used by this service
+ */
+export const TOKENIZER_ENCODINGS = {
+  CL100K_BASE: 'cl100k_base',
+  O200K_BASE: 'o200k_base'
+} as const;
+
+export type TokenizerEncoding = typeof TOKENIZER_ENCODINGS[keyof typeof TOKENIZER_ENCODINGS];
+
+/**
+ * Model name prefixes that use o200k_base, for dated and newer model names
+ * the tokenizer library does not list
+ */
+const O200K_MODEL_PREFIXES = ['gpt-4o', 'chatgpt-4o', 'gpt-4.1', 'gpt-4.5', 'gpt-5', 'o1', 'o3', 'o4'];
+
+/**
+ * Context window sizes in tokens, matched by exact model name or longest prefix
+ */
+export const MODEL_CONTEXT_WINDOWS: Record<string, number> = {
+  'gpt-4': 8192,
+  'gpt-4-32k': 32768,
+  'gpt-4-turbo': 128000,
+  'gpt-4-1106-preview': 128000,
+  'gpt-4-0125-preview': 128000,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-3.5-turbo': 16385
+};
+
+/**
+ * Context window assumed for models missing from the table
+ */
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Tokens every chat message adds on top of its content (role and separators)
+ */
+const TOKENS_PER_MESSAGE = 3;
+
+/**
+ * Tokens that prime the assistant's reply at the end of every chat request
+ */
+const TOKENS_PER_REPLY = 3;
+
+/**
+ * Interface for a chat message whose tokens are counted
+ */
+export interface ITokenizedMessage {
+  role: string;
+  content: string;
+}
+
+// Encoders are expensive to build, so each is built once and reused
+const encoders = new Map<TokenizerEncoding, Tiktoken>();
+
+/**
+ * Finds the value for a model by exact name or longest matching prefix
+ */
+function lookupByModel<T>(table: Record<string, T>, model: string): T | undefined {
+  if (table[model] !== undefined) {
+    return table[model];
+  }
+
+  const prefix = Object.keys(table)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? table[prefix] : undefined;
+}
+
+/**
+ * Gets the encoding a model tokenizes with
+ *
+ * @param {string} model - Model name, e.g. 'gpt-4' or 'gpt-4o-2024-08-06'
+ * @returns {TokenizerEncoding} Encoding name (cl100k_base for unknown models)
+ */
+export function getEncodingForModel(model: string = DEFAULT_TOKENIZER_MODEL): TokenizerEncoding {
+  try {
+    const encoding = getEncodingNameForModel(model as TiktokenModel);
+    if (encoding === TOKENIZER_ENCODINGS.O200K_BASE) {
+      return TOKENIZER_ENCODINGS.O200K_BASE;
+    }
+    if (encoding === TOKENIZER_ENCODINGS.CL100K_BASE) {
+      return TOKENIZER_ENCODINGS.CL100K_BASE;
+    }
+  } catch {
+    // Not a model name the library knows; fall back to the prefixes below
+  }
+
+  return O200K_MODEL_PREFIXES.some(prefix => model.startsWith(prefix))
+    ? TOKENIZER_ENCODINGS.O200K_BASE
+    : TOKENIZER_ENCODINGS.CL100K_BASE;
+}
+
+/**
+ * Gets the (cached) encoder for a model
+ */
+function getEncoder(model: string): Tiktoken {
+  const encoding = getEncodingForModel(model);
+  let encoder = encoders.get(encoding);
+
+  if (!encoder) {
+    encoder = getEncoding(encoding);
+    encoders.set(encoding, encoder);
+  }
+
+  return encoder;
+}
+
+/**
+ * Counts the tokens in a piece of text
+ *
+ * @param {string} text - Text to count
+ * @param {string} model - Model whose tokenizer to use
+ * @returns {number} Number of tokens
+ *
+ * @example
+ * ```typescript
+ * countTokens('Tell me about yourself.', 'gpt-4'); // 5
+ * ```
+ */
+export function countTokens(text: string, model: string = DEFAULT_TOKENIZER_MODEL): number {
+  if (!text) {
+    return 0;
+  }
+  return getEncoder(model).encode(text).length;
+}
+
+/**
+ * Counts the prompt tokens of a chat request, including the chat format overhead
+ *
+ * @param {ITokenizedMessage[]} messages - Chat messages
+ * @param {string} model - Model whose tokenizer to use
+ * @returns {number} Number of prompt tokens the request will use
+ */
+export function countMessageTokens(messages: ITokenizedMessage[], model: string = DEFAULT_TOKENIZER_MODEL): number {
+  return messages.reduce(
+    (total, message) => total + TOKENS_PER_MESSAGE + countTokens(message.role, model) + countTokens(message.content, model),
+    TOKENS_PER_REPLY
+  );
+}
+
+/**
+ * Shortens text to at most a number of tokens
+ * Cuts on a token boundary and drops a trailing partial character, so the
+ * result never ends in a broken multi-byte character.
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Maximum number of tokens to keep
+ * @param {string} model - Model whose tokenizer to use
+ * @returns {string} The text, or its first maxTokens tokens
+ */
+export function truncateToTokens(text: string, maxTokens: number, model: string = DEFAULT_TOKENIZER_MODEL): string {
+  if (!text || maxTokens <= 0) {
+    return '';
+  }
+
+  const encoder = getEncoder(model);
+  const tokens = encoder.encode(text);
+  if (tokens.length <= maxTokens) {
+    return text;
+  }
+
+  return encoder.decode(tokens.slice(0, maxTokens)).replace(/\uFFFD+$/, '');
+}
+
+/**
+ * Gets the context window of a model
+ * LLM_CONTEXT_WINDOW overrides the table, for self-hosted models.
+ *
+ * @param {string} model - Model name
+ * @returns {number} Context window size in tokens
+ */
+export function getContextWindow(model: string = DEFAULT_TOKENIZER_MODEL): number {
+  const configured = Number(process.env.LLM_CONTEXT_WINDOW);
+  if (Number.isInteger(configured) && configured > 0) {
+    return configured;
+  }
+
+  return lookupByModel(MODEL_CONTEXT_WINDOWS, model) ?? DEFAULT_CONTEXT_WINDOW;
+}
+
+export default {
+  countTokens,
+  countMessageTokens,
+  truncateToTokens,
+  getEncodingForModel,
+  getContextWindow,
+  DEFAULT_TOKENIZER_MODEL,
+  DEFAULT_CONTEXT_WINDOW,
+  MODEL_CONTEXT_WINDOWS,
+  TOKENIZER_ENCODINGS
+};
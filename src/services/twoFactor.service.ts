@@ -0,0 +1,535 @@
+/**
+ * AI Interview Coach Backend - Two-Factor Authentication Service
+ *
+ * This file implements optional TOTP (RFC 6238) two-factor authentication for
+ * student and counselor accounts. Users enroll by scanning a provisioning QR
+ * code in an authenticator app and confirming a first code; logins then need
+ * a current code or one of the single-use recovery codes issued at enrollment.
+ *
+ * Key Features:
+ * - RFC 6238 TOTP codes (SHA-1, 6 digits, 30 second steps) built on node:crypto
+ * - otpauth:// provisioning URI and QR code for authenticator apps
+ * - Secrets encrypted at rest with AES-256-GCM
+ * - Replay protection by remembering the last accepted time step
+ * - Ten single-use recovery codes stored as SHA-256 hashes
+ *
+ * Related Files:
+ * - src/models/User.ts - Two-factor fields on the user
+ * - src/routes/auth.routes.ts - Enrollment endpoints and the second login step
+ * - src/services/auth.service.ts - Challenge tokens and hashing
+ *
+ * Task: TOTP two-factor authentication
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import * as crypto from 'crypto';
+import * as QRCode from 'qrcode';
+import { Types } from 'mongoose';
+import { hashToken } from './auth.service';
+import User, { IUser } from '../models/User';
+
+/**
+ * Error codes returned by two-factor operations
+ */
+export const TWO_FACTOR_ERROR_CODES = {
+  CHALLENGE_INVALID: 'TWO_FACTOR_CHALLENGE_INVALID',
+  CODE_INVALID: 'TWO_FACTOR_CODE_INVALID',
+  ALREADY_ENABLED: 'TWO_FACTOR_ALREADY_ENABLED',
+  NOT_ENABLED: 'TWO_FACTOR_NOT_ENABLED',
+  SETUP_NOT_STARTED: 'TWO_FACTOR_SETUP_NOT_STARTED'
+} as const;
+
+export type TwoFactorErrorCode = typeof TWO_FACTOR_ERROR_CODES[keyof typeof TWO_FACTOR_ERROR_CODES];
+
+/**
+ * TOTP parameters supported by every common authenticator app
+ */
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+const TOTP_WINDOW_STEPS = 1; // Accept the previous and next step for clock drift
+const TOTP_SECRET_BYTES = 20;
+export const RECOVERY_CODE_COUNT = 10;
+
+const DEFAULT_ISSUER = 'AI Interview Coach';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Interface for the second factor presented by the user
+ * Exactly one of code or recoveryCode is expected.
+ */
+export interface ITwoFactorCredentials {
+  code?: string;
+  recoveryCode?: string;
+}
+
+/**
+ * Interface for the details shown to the user when enrollment starts
+ */
+export interface ITwoFactorSetup {
+  secret: string; // Base32 secret for manual entry
+  otpauthUri: string;
+  qrCodeDataUrl: string;
+}
+
+/**
+ * Interface for the result of a two-factor operation
+ */
+export interface ITwoFactorResult {
+  success: boolean;
+  errorCode?: TwoFactorErrorCode;
+  recoveryCodes?: string[]; // Plain codes, only returned when newly issued
+  usedRecoveryCode?: boolean;
+  remainingRecoveryCodes?: number;
+}
+
+/**
+ * Encodes bytes as RFC 4648 base32 without padding
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export function base32Encode(buffer: Buffer): string {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodes an RFC 4648 base32 string, ignoring case, spaces and padding
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the input contains characters outside the alphabet
+ */
+export function base32Decode(input: string): Buffer {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes: number[] = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Returns the TOTP time step for a moment in time
+ *
+ * @param {number} timeMs - Unix time in milliseconds
+ * @returns {number} Time step counter
+ */
+export function getTotpStep(timeMs: number = Date.now()): number {
+  return Math.floor(timeMs / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Generates the TOTP code for a secret and time step (RFC 4226 HOTP)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded numeric code
+ *
+ * @example
+ * ```typescript
+ * const code = generateTotpCode(secret, getTotpStep());
+ * ```
+ */
+export function generateTotpCode(secret: string, step: number): string {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = (digest[digest.length - 1] as number) & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % Math.pow(10, TOTP_DIGITS)).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Finds the time step a code was generated for, allowing for clock drift
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} timeMs - Current time in milliseconds
+ * @returns {number | null} Matching time step or null if the code is wrong
+ */
+export function findTotpStep(secret: string, code: string, timeMs: number = Date.now()): number | null {
+  const normalized = code.replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTotpStep(timeMs);
+
+  for (let drift = -TOTP_WINDOW_STEPS; drift <= TOTP_WINDOW_STEPS; drift++) {
+    const step = currentStep + drift;
+    const expected = generateTotpCode(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Builds the otpauth:// provisioning URI understood by authenticator apps
+ *
+ * @param {string} email - Account label shown in the app
+ * @param {string} secret - Base32 secret
+ * @returns {string} Provisioning URI
+ */
+export function buildOtpauthUri(email: string, secret: string): string {
+  const issuer = process.env.TOTP_ISSUER || DEFAULT_ISSUER;
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Derives the key used to encrypt TOTP secrets at rest
+ * Uses TWO_FACTOR_ENCRYPTION_KEY, falling back to JWT_SECRET.
+ */
+function getEncryptionKey(): Buffer {
+  const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+  if (!keyMaterial) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET environment variable is required for two-factor authentication');
+  }
+
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+}
+
+/**
+ * Encrypts a TOTP secret for storage
+ *
+ * @param {string} secret - Base32 secret
+ * @returns {string} "iv:authTag:ciphertext" in base64
+ */
+export function encryptTwoFactorSecret(secret: string): string {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypts a stored TOTP secret
+ *
+ * @param {string} stored - Value produced by encryptTwoFactorSecret
+ * @returns {string} Base32 secret
+ * @throws {Error} If the value is malformed or was encrypted with another key
+ */
+export function decryptTwoFactorSecret(stored: string): string {
+  const [iv, authTag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+
+  if (!iv || !authTag || !ciphertext) {
+    throw new Error('Malformed two-factor secret');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Normalizes a recovery code so spacing, dashes and case do not matter
+ */
+function normalizeRecoveryCode(code: string): string {
+  return code.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Generates a fresh set of recovery codes
+ *
+ * @returns {{ codes: string[]; hashes: string[] }} Plain codes for the user and hashes for storage
+ */
+export function generateRecoveryCodes(): { codes: string[]; hashes: string[] } {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+}
+
+/**
+ * Loads a user with the two-factor fields that are excluded by default
+ */
+async function findUserWithTwoFactor(userId: string | Types.ObjectId): Promise<IUser | null> {
+  return User.findById(userId).select(
+    '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep'
+  );
+}
+
+/**
+ * Checks a TOTP code or recovery code against an enrolled user and consumes it
+ * Codes are claimed atomically so a code cannot be used twice.
+ */
+async function consumeSecondFactor(user: IUser, credentials: ITwoFactorCredentials): Promise<ITwoFactorResult> {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    return { success: false, errorCode: TWO_FACTOR_ERROR_CODES.NOT_ENABLED };
+  }
+
+  if (credentials.recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(credentials.recoveryCode));
+    const claim = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: codeHash },
+      { $pull: { twoFactorRecoveryCodes: codeHash } }
+    );
+
+    if (claim.modifiedCount === 0) {
+      return { success: false, errorCode: TWO_FACTOR_ERROR_CODES.CODE_INVALID };
+    }
+
+    return {
+      success: true,
+      usedRecoveryCode: true,
+      remainingRecoveryCodes: Math.max(0, (user.twoFactorRecoveryCodes?.length || 1) - 1)
+    };
+  }
+
+  const step = credentials.code ? findTotpStep(decryptTwoFactorSecret(user.twoFactorSecret), credentials.code) : null;
+
+  if (step === null) {
+    return { success: false, errorCode: TWO_FACTOR_ERROR_CODES.CODE_INVALID };
+  }
+
+  const claim = await User.updateOne(
+    { _id: user._id, twoFactorLastUsedStep: { $lt: step } },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+
+  if (claim.modifiedCount === 0) {
+    return { success: false, errorCode: TWO_FACTOR_ERROR_CODES.CODE_INVALID };
+  }
+
+  return {
+    success: true,
+    usedRecoveryCode: false,
+    remainingRecoveryCodes: user.twoFactorRecoveryCodes?.length || 0
+  };
+}
+
+/**
+ * Starts enrollment by generating a pending secret for the user
+ * The secret only takes effect once confirmed with enableTwoFactor.
+ *
+ * @param {IUser} user - The authenticated user
+ * @returns {Promise<ITwoFactorSetup | null>} Setup details, or null if already enrolled
+ *
+ * @example
+ * ```typescript
+ * const setup = await beginTwoFactorSetup(user);
+ * // Show setup.qrCodeDataUrl and setup.secret to the user
+ * ```
+ */
+export async function beginTwoFactorSetup(user: IUser): Promise<ITwoFactorSetup | null> {
+  if (user.twoFactorEnabled) {
+    return null;
+  }
+
+  const secret = base32Encode(crypto.randomBytes(TOTP_SECRET_BYTES));
+  const otpauthUri = buildOtpauthUri(user.email, secret);
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorPendingSecret: encryptTwoFactorSecret(secret) } }
+  );
+
+  return {
+    secret,
+    otpauthUri,
+    qrCodeDataUrl: await QRCode.toDataURL(otpauthUri)
+  };
+}
+
+/**
+ * Confirms enrollment with a first code from the authenticator app
+ *
+ * @param {string} userId - The authenticated user's ID
+ * @param {string} code - Code generated from the pending secret
+ * @returns {Promise<ITwoFactorResult>} Recovery codes on success
+ */
+export async function enableTwoFactor(userId: string, code: string): Promise<ITwoFactorResult> {
+  const user = await findUserWithTwoFactor(userId);
+
+  if (user?.twoFactorEnabled) {
+    return { success: false, errorCode: TWO_FACTOR_ERROR_CODES.ALREADY_ENABLED };
+  }
+
+  if (!user || !user.twoFactorPendingSecret) {
+    return { success: false, errorCode: TWO_FACTOR_ERROR_CODES.SETUP_NOT_STARTED };
+  }
+
+  const step = findTotpStep(decryptTwoFactorSecret(user.twoFactorPendingSecret), code);
+
+  if (step === null) {
+    return { success: false, errorCode: TWO_FACTOR_ERROR_CODES.CODE_INVALID };
+  }
+
+  const recovery = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorRecoveryCodes: recovery.hashes,
+        twoFactorLastUsedStep: step
+      },
+      $unset: { twoFactorPendingSecret: 1 }
+    }
+  );
+
+  return { success: true, recoveryCodes: recovery.codes, remainingRecoveryCodes: recovery.codes.length };
+}
+
+/**
+ * Verifies the second factor during login
+ *
+ * @param {string} userId - User identified by the challenge token
+ * @param {ITwoFactorCredentials} credentials - TOTP code or recovery code
+ * @returns {Promise<ITwoFactorResult>} Whether the login may complete
+ */
+export async function verifyTwoFactorLogin(userId: string, credentials: ITwoFactorCredentials): Promise<ITwoFactorResult> {
+  const user = await findUserWithTwoFactor(userId);
+
+  if (!user || !user.isActive) {
+    return { success: false, errorCode: TWO_FACTOR_ERROR_CODES.CHALLENGE_INVALID };
+  }
+
+  return consumeSecondFactor(user, credentials);
+}
+
+/**
+ * Turns two-factor authentication off after checking a current code
+ *
+ * @param {string} userId - The authenticated user's ID
+ * @param {ITwoFactorCredentials} credentials - TOTP code or recovery code
+ * @returns {Promise<ITwoFactorResult>} Whether two-factor was disabled
+ */
+export async function disableTwoFactor(userId: string, credentials: ITwoFactorCredentials): Promise<ITwoFactorResult> {
+  const user = await findUserWithTwoFactor(userId);
+
+  if (!user) {
+    return { success: false, errorCode: TWO_FACTOR_ERROR_CODES.NOT_ENABLED };
+  }
+
+  const verification = await consumeSecondFactor(user, credentials);
+
+  if (!verification.success) {
+    return verification;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { twoFactorEnabled: false },
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastUsedStep: 1
+      }
+    }
+  );
+
+  return { success: true };
+}
+
+/**
+ * Replaces all recovery codes after checking a current code
+ *
+ * @param {string} userId - The authenticated user's ID
+ * @param {ITwoFactorCredentials} credentials - TOTP code or recovery code
+ * @returns {Promise<ITwoFactorResult>} The new recovery codes on success
+ */
+export async function regenerateRecoveryCodes(userId: string, credentials: ITwoFactorCredentials): Promise<ITwoFactorResult> {
+  const user = await findUserWithTwoFactor(userId);
+
+  if (!user) {
+    return { success: false, errorCode: TWO_FACTOR_ERROR_CODES.NOT_ENABLED };
+  }
+
+  const verification = await consumeSecondFactor(user, credentials);
+
+  if (!verification.success) {
+    return verification;
+  }
+
+  const recovery = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorRecoveryCodes: recovery.hashes } }
+  );
+
+  return { success: true, recoveryCodes: recovery.codes, remainingRecoveryCodes: recovery.codes.length };
+}
+
+/**
+ * Default export object containing all two-factor utilities
+ */
+export default {
+  base32Encode,
+  base32Decode,
+  getTotpStep,
+  generateTotpCode,
+  findTotpStep,
+  buildOtpauthUri,
+  encryptTwoFactorSecret,
+  decryptTwoFactorSecret,
+  generateRecoveryCodes,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
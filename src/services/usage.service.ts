@@ -0,0 +1,507 @@
+/**
+ * AI Interview Coach Backend - Usage Service
+ *
+ * This file meters language model usage. Every chat, question generation,
+ * feedback, summarization and embedding call made for a signed-in user is written to the
+ * LLMUsage ledger with its token counts and estimated cost, and monthly totals
+ * are checked against the configured per-user and per-organization budgets.
+ * Chat for signed-out visitors is recorded too, against one shared anonymous
+ * budget.
+ *
+ * Key Features:
+ * - Ledger entries attributed to the user and the rosters they are on
+ * - Cost estimates from a built-in price table, overridable with LLM_MODEL_PRICES
+ * - Monthly summaries by feature, model and (for organizations) student
+ * - Monthly budgets in US dollars from LLM_USER_MONTHLY_BUDGET_USD,
+ *   LLM_ORG_MONTHLY_BUDGET_USD and LLM_ANONYMOUS_MONTHLY_BUDGET_USD; unset
+ *   means unlimited
+ * - Budget checks sum the month's cost in the database rather than loading entries
+ *
+ * Months are calendar months in UTC. Recording never fails the call it
+ * meters: ledger errors are logged and the reply is still returned.
+ *
+ * Related Files:
+ * - src/models/LLMUsage.ts - Usage ledger
+ * - src/services/openai.service.ts - AI features that report their usage
+ * - src/middleware/llmBudget.ts - Budget enforcement before AI endpoints
+ * - src/routes/usage.routes.ts - Usage endpoints
+ *
+ * Task: Per-user LLM usage metering, cost tracking and budgets
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import { Types } from 'mongoose';
+import LLMUsage, { ILLMUsageEntry, LLMUsageFeature } from '../models/LLMUsage';
+import RosterMembership, { ROSTER_STATUS } from '../models/RosterMembership';
+import type { ILLMUsage } from './llmProvider.service';
+
+/**
+ * Error codes returned when a monthly budget has been used up or cannot be checked
+ */
+export const USAGE_ERROR_CODES = {
+  LLM_BUDGET_EXCEEDED: 'LLM_BUDGET_EXCEEDED',
+  LLM_BUDGET_UNAVAILABLE: 'LLM_BUDGET_UNAVAILABLE'
+} as const;
+
+/**
+ * Budget scopes
+ */
+export const BUDGET_SCOPES = {
+  USER: 'user',
+  ORGANIZATION: 'organization',
+  ANONYMOUS: 'anonymous' // Shared by every signed-out visitor
+} as const;
+
+export type BudgetScope = typeof BUDGET_SCOPES[keyof typeof BUDGET_SCOPES];
+
+/**
+ * Environment variable holding the monthly budget of each scope
+ */
+const BUDGET_ENV_VARS: Record<BudgetScope, string> = {
+  [BUDGET_SCOPES.USER]: 'LLM_USER_MONTHLY_BUDGET_USD',
+  [BUDGET_SCOPES.ORGANIZATION]: 'LLM_ORG_MONTHLY_BUDGET_USD',
+  [BUDGET_SCOPES.ANONYMOUS]: 'LLM_ANONYMOUS_MONTHLY_BUDGET_USD'
+};
+
+/**
+ * Interface for a model price in US dollars per 1,000 tokens
+ */
+export interface IModelPrice {
+  prompt: number;
+  completion: number;
+}
+
+/**
+ * Built-in model prices in US dollars per 1,000 tokens
+ * Dated model names use the price of their longest matching prefix, so
+ * "gpt-4o-2024-08-06" is priced as "gpt-4o". Unknown models, such as
+ * self-hosted ones, cost nothing unless LLM_MODEL_PRICES prices them.
+ */
+export const DEFAULT_MODEL_PRICES: Record<string, IModelPrice> = {
+  'gpt-4': { prompt: 0.03, completion: 0.06 },
+  'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+  'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+  'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+  'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+  'text-embedding-3-small': { prompt: 0.00002, completion: 0 },
+  'text-embedding-3-large': { prompt: 0.00013, completion: 0 },
+  'text-embedding-ada-002': { prompt: 0.0001, completion: 0 }
+};
+
+/**
+ * Interface for who a call is made for
+ */
+export interface IUsageContext {
+  userId?: Types.ObjectId | string | undefined; // Calls without a user are not metered unless anonymous
+  anonymous?: boolean | undefined; // Made for a signed-out visitor; metered against the anonymous budget
+  feature?: LLMUsageFeature | undefined; // Overrides the feature the calling function reports
+}
+
+/**
+ * Interface for a usage entry to record
+ */
+export interface IUsageRecord {
+  provider: string;
+  feature: LLMUsageFeature;
+  usage: ILLMUsage | undefined;
+  context?: IUsageContext | undefined;
+}
+
+/**
+ * Interface for usage totals
+ */
+export interface IUsageTotals {
+  calls: number;
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  costUsd: number;
+}
+
+/**
+ * Interface for a monthly usage summary
+ */
+export interface IUsageSummary {
+  month: string; // YYYY-MM
+  periodStart: string;
+  periodEnd: string;
+  totals: IUsageTotals;
+  byFeature: Record<string, IUsageTotals>;
+  byModel: Record<string, IUsageTotals>;
+  byUser?: (IUsageTotals & { userId: string | null })[]; // Organization summaries only; null for deleted accounts
+}
+
+/**
+ * Interface for the state of a monthly budget
+ */
+export interface IBudgetStatus {
+  scope: BudgetScope;
+  organizationId?: string;
+  limitUsd: number;
+  usedUsd: number;
+  remainingUsd: number;
+  exceeded: boolean;
+  resetsAt: string;
+}
+
+/**
+ * Returns the model price table with LLM_MODEL_PRICES applied
+ * LLM_MODEL_PRICES is JSON such as {"llama3": {"prompt": 0.0002, "completion": 0.0002}}.
+ *
+ * @returns {Record<string, IModelPrice>} Prices by model name
+ */
+export function getModelPrices(): Record<string, IModelPrice> {
+  const overrides = process.env.LLM_MODEL_PRICES;
+
+  if (!overrides) {
+    return DEFAULT_MODEL_PRICES;
+  }
+
+  try {
+    return { ...DEFAULT_MODEL_PRICES, ...JSON.parse(overrides) };
+  } catch (error) {
+    console.warn('Ignoring LLM_MODEL_PRICES: it is not valid JSON');
+    return DEFAULT_MODEL_PRICES;
+  }
+}
+
+/**
+ * Estimates the cost of a call in US dollars
+ *
+ * @param {ILLMUsage} usage - Tokens and model reported by the provider
+ * @returns {number} Cost rounded to a millionth of a dollar
+ */
+export function calculateCost(usage: ILLMUsage): number {
+  const prices = getModelPrices();
+  const priceKey = prices[usage.model]
+    ? usage.model
+    : Object.keys(prices)
+      .filter(model => usage.model.startsWith(model))
+      .sort((a, b) => b.length - a.length)[0];
+  const price = priceKey ? prices[priceKey] : undefined;
+
+  if (!price) {
+    return 0;
+  }
+
+  const cost = (usage.promptTokens * price.prompt + usage.completionTokens * price.completion) / 1000;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Writes a call to the usage ledger
+ * Calls without reported usage, or made for neither a user nor an anonymous
+ * visitor, are skipped. Errors are logged rather than thrown, so metering
+ * never fails the call it records.
+ *
+ * @param {IUsageRecord} record - Provider, feature, usage and caller
+ */
+export async function recordLLMUsage(record: IUsageRecord): Promise<void> {
+  const { provider, usage, context = {} } = record;
+
+  if (!usage || (!context.userId && !context.anonymous)) {
+    return;
+  }
+
+  try {
+    const userId = context.userId ? new Types.ObjectId(context.userId) : undefined;
+    const memberships = userId
+      ? await RosterMembership.find({ studentId: userId, status: ROSTER_STATUS.ACTIVE })
+      : [];
+
+    await LLMUsage.create({
+      ...(userId ? { userId } : { anonymous: true }),
+      organizationIds: memberships.map(membership => membership.organizationId),
+      feature: context.feature || record.feature,
+      provider,
+      modelName: usage.model,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      totalTokens: usage.totalTokens,
+      costUsd: calculateCost(usage)
+    });
+  } catch (error) {
+    console.error('Failed to record LLM usage:', {
+      error: error instanceof Error ? error.message : error,
+      userId: context.userId ? String(context.userId) : 'anonymous',
+      model: usage.model
+    });
+  }
+}
+
+/**
+ * Returns the calendar month (UTC) containing a date
+ *
+ * @param {Date} date - Any date in the month
+ * @returns {{ start: Date; end: Date }} Start of the month and start of the next one
+ */
+export function getMonthPeriod(date: Date = new Date()): { start: Date; end: Date } {
+  return {
+    start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+    end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+  };
+}
+
+/**
+ * Parses a month given as YYYY-MM
+ *
+ * @param {string} month - Month such as "2025-03"
+ * @returns {Date | null} First day of the month, or null if the format is invalid
+ */
+export function parseMonth(month: string): Date | null {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(month);
+  return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1)) : null;
+}
+
+/**
+ * Creates empty usage totals
+ */
+function emptyTotals(): IUsageTotals {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+/**
+ * Adds a ledger entry to usage totals
+ */
+function addToTotals(totals: IUsageTotals, entry: ILLMUsageEntry): void {
+  totals.calls += 1;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.totalTokens;
+  totals.costUsd = Math.round((totals.costUsd + entry.costUsd) * 1e6) / 1e6;
+}
+
+/**
+ * Loads the ledger entries matching a filter in a calendar month
+ */
+async function findMonthEntries(filter: Record<string, unknown>, date: Date): Promise<ILLMUsageEntry[]> {
+  const { start, end } = getMonthPeriod(date);
+  return LLMUsage.find({ ...filter, createdAt: { $gte: start, $lt: end } });
+}
+
+/**
+ * Summarizes ledger entries for a month
+ */
+function summarizeEntries(entries: ILLMUsageEntry[], date: Date): IUsageSummary {
+  const { start, end } = getMonthPeriod(date);
+  const summary: IUsageSummary = {
+    month: start.toISOString().substring(0, 7),
+    periodStart: start.toISOString(),
+    periodEnd: end.toISOString(),
+    totals: emptyTotals(),
+    byFeature: {},
+    byModel: {}
+  };
+
+  for (const entry of entries) {
+    addToTotals(summary.totals, entry);
+    addToTotals(summary.byFeature[entry.feature] ??= emptyTotals(), entry);
+    addToTotals(summary.byModel[entry.modelName] ??= emptyTotals(), entry);
+  }
+
+  return summary;
+}
+
+/**
+ * Summarizes a user's usage for a month
+ *
+ * @param {Types.ObjectId | string} userId - User ID
+ * @param {Date} date - Any date in the month; defaults to the current month
+ * @returns {Promise<IUsageSummary>} Totals by feature and model
+ */
+export async function getUserUsage(userId: Types.ObjectId | string, date: Date = new Date()): Promise<IUsageSummary> {
+  const entries = await findMonthEntries({ userId: new Types.ObjectId(userId) }, date);
+  return summarizeEntries(entries, date);
+}
+
+/**
+ * Summarizes an organization's usage for a month
+ * Includes calls its students made while on the roster, even if they have
+ * left it since.
+ *
+ * @param {Types.ObjectId | string} organizationId - Organization ID
+ * @param {Date} date - Any date in the month; defaults to the current month
+ * @returns {Promise<IUsageSummary>} Totals by feature, model and student, highest cost first
+ */
+export async function getOrganizationUsage(
+  organizationId: Types.ObjectId | string,
+  date: Date = new Date()
+): Promise<IUsageSummary> {
+  const entries = await findMonthEntries({ organizationIds: new Types.ObjectId(organizationId) }, date);
+  const summary = summarizeEntries(entries, date);
+
+  const byUser = new Map<string | null, IUsageTotals>();
+  for (const entry of entries) {
+    const userId = entry.userId ? entry.userId.toString() : null;
+    if (!byUser.has(userId)) {
+      byUser.set(userId, emptyTotals());
+    }
+    addToTotals(byUser.get(userId)!, entry);
+  }
+
+  summary.byUser = [...byUser.entries()]
+    .map(([userId, totals]) => ({ userId, ...totals }))
+    .sort((a, b) => b.costUsd - a.costUsd);
+
+  return summary;
+}
+
+/**
+ * Reads a monthly budget from the environment
+ *
+ * @param {BudgetScope} scope - User, organization or anonymous budget
+ * @returns {number | null} Budget in US dollars, or null if unlimited
+ */
+export function getMonthlyBudget(scope: BudgetScope): number | null {
+  const value = process.env[BUDGET_ENV_VARS[scope]];
+  const budget = value ? parseFloat(value) : NaN;
+
+  return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+/**
+ * Builds the state of a budget from the amount used
+ */
+function toBudgetStatus(scope: BudgetScope, limitUsd: number, usedUsd: number, date: Date): IBudgetStatus {
+  return {
+    scope,
+    limitUsd,
+    usedUsd,
+    remainingUsd: Math.max(0, Math.round((limitUsd - usedUsd) * 1e6) / 1e6),
+    exceeded: usedUsd >= limitUsd,
+    resetsAt: getMonthPeriod(date).end.toISOString()
+  };
+}
+
+/**
+ * Sums the cost of the ledger entries matching a filter this month
+ * The sum is computed by the database over the userId, organizationIds and
+ * anonymous indexes, so budget checks stay cheap however busy the month is.
+ * Aggregation does not cast, so ID filters must already be ObjectIds.
+ */
+async function getMonthCost(filter: Record<string, unknown>, date: Date): Promise<number> {
+  const { start, end } = getMonthPeriod(date);
+  const [result] = await LLMUsage.aggregate<{ costUsd: number }>([
+    { $match: { ...filter, createdAt: { $gte: start, $lt: end } } },
+    { $group: { _id: null, costUsd: { $sum: '$costUsd' } } }
+  ]);
+
+  return result ? Math.round(result.costUsd * 1e6) / 1e6 : 0;
+}
+
+/**
+ * Returns a user's monthly budget state
+ *
+ * @param {Types.ObjectId | string} userId - User ID
+ * @param {Date} date - Any date in the month; defaults to the current month
+ * @returns {Promise<IBudgetStatus | null>} Budget state, or null if unlimited
+ */
+export async function getUserBudgetStatus(
+  userId: Types.ObjectId | string,
+  date: Date = new Date()
+): Promise<IBudgetStatus | null> {
+  const limit = getMonthlyBudget(BUDGET_SCOPES.USER);
+  if (limit === null) {
+    return null;
+  }
+
+  const used = await getMonthCost({ userId: new Types.ObjectId(userId) }, date);
+  return toBudgetStatus(BUDGET_SCOPES.USER, limit, used, date);
+}
+
+/**
+ * Returns an organization's monthly budget state
+ *
+ * @param {Types.ObjectId | string} organizationId - Organization ID
+ * @param {Date} date - Any date in the month; defaults to the current month
+ * @returns {Promise<IBudgetStatus | null>} Budget state, or null if unlimited
+ */
+export async function getOrganizationBudgetStatus(
+  organizationId: Types.ObjectId | string,
+  date: Date = new Date()
+): Promise<IBudgetStatus | null> {
+  const limit = getMonthlyBudget(BUDGET_SCOPES.ORGANIZATION);
+  if (limit === null) {
+    return null;
+  }
+
+  const used = await getMonthCost({ organizationIds: new Types.ObjectId(organizationId) }, date);
+  return { ...toBudgetStatus(BUDGET_SCOPES.ORGANIZATION, limit, used, date), organizationId: organizationId.toString() };
+}
+
+/**
+ * Returns the monthly budget state shared by signed-out visitors
+ *
+ * @param {Date} date - Any date in the month; defaults to the current month
+ * @returns {Promise<IBudgetStatus | null>} Budget state, or null if unlimited
+ */
+export async function getAnonymousBudgetStatus(date: Date = new Date()): Promise<IBudgetStatus | null> {
+  const limit = getMonthlyBudget(BUDGET_SCOPES.ANONYMOUS);
+  if (limit === null) {
+    return null;
+  }
+
+  const used = await getMonthCost({ anonymous: true }, date);
+  return toBudgetStatus(BUDGET_SCOPES.ANONYMOUS, limit, used, date);
+}
+
+/**
+ * Finds a budget a user has used up this month
+ * Checks the user's own budget, then the budget of every roster they are on.
+ *
+ * @param {Types.ObjectId | string} userId - User ID
+ * @returns {Promise<IBudgetStatus | null>} The first exceeded budget, or null if the user may make calls
+ */
+export async function findExceededBudget(userId: Types.ObjectId | string): Promise<IBudgetStatus | null> {
+  const userBudget = await getUserBudgetStatus(userId);
+  if (userBudget?.exceeded) {
+    return userBudget;
+  }
+
+  if (getMonthlyBudget(BUDGET_SCOPES.ORGANIZATION) === null) {
+    return null;
+  }
+
+  const memberships = await RosterMembership.find({ studentId: new Types.ObjectId(userId), status: ROSTER_STATUS.ACTIVE });
+  for (const membership of memberships) {
+    const organizationBudget = await getOrganizationBudgetStatus(membership.organizationId);
+    if (organizationBudget?.exceeded) {
+      return organizationBudget;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Removes the user from their ledger entries when their account is deleted
+ * The entries stay so organization totals and budgets are unchanged.
+ *
+ * @param {Types.ObjectId} userId - Deleted user's ID
+ * @returns {Promise<number>} Number of entries anonymized
+ */
+export async function anonymizeUserUsage(userId: Types.ObjectId): Promise<number> {
+  const result = await LLMUsage.updateMany({ userId }, { $unset: { userId: 1 } });
+  return result.modifiedCount;
+}
+
+/**
+ * Default export object containing all usage utilities
+ */
+export default {
+  getModelPrices,
+  calculateCost,
+  recordLLMUsage,
+  getMonthPeriod,
+  parseMonth,
+  getUserUsage,
+  getOrganizationUsage,
+  getMonthlyBudget,
+  getUserBudgetStatus,
+  getOrganizationBudgetStatus,
+  getAnonymousBudgetStatus,
+  findExceededBudget,
+  anonymizeUserUsage
+};
@@ -12,6 +12,7 @@
  * - User quota enforcement
  * - Rate limiting helpers
  * - Sanitization utilities
+ * - Profile list validation shared by profile updates and document imports
  * 
  * Related Files:
  * - src/middleware/documentUpload.ts - Upload middleware
@@ -26,6 +27,8 @@
 
 import { Types } from 'mongoose';
 import UploadedFile, { IUploadedFile, FILE_TYPES } from '../models/UploadedFile';
+import { PROFILE_LIST_LIMITS, ProfileListField } from '../models/User';
+import { consumeRateLimit } from './rateLimit.service';
 import * as fileType from 'file-type';
 import * as path from 'path';
 
@@ -467,6 +470,35 @@ export function validateProcessedContent(
   return result;
 }
 
+/**
+ * Validates a list-valued profile field and normalizes its entries
+ * Entries are trimmed, empty entries dropped and duplicates removed.
+ * 
+ * @param {ProfileListField} field - Name of the profile field
+ * @param {unknown} value - Value from the request body
+ * @returns {{ errors: string[]; items: string[] }} Validation errors and normalized entries
+ */
+export function validateProfileList(field: ProfileListField, value: unknown): { errors: string[]; items: string[] } {
+  const { label, maxItems, maxLength } = PROFILE_LIST_LIMITS[field];
+
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    return { errors: [`${label} must be an array of strings`], items: [] };
+  }
+
+  const items = Array.from(new Set(value.map(item => item.trim()).filter(item => item.length > 0)));
+  const errors: string[] = [];
+
+  if (items.length > maxItems) {
+    errors.push(`${label} cannot have more than ${maxItems} entries`);
+  }
+
+  if (items.some(item => item.length > maxLength)) {
+    errors.push(`${label} entries must be ${maxLength} characters or less`);
+  }
+
+  return { errors, items };
+}
+
 /**
  * Sanitizes filename to prevent path traversal and other attacks
  * 
@@ -501,6 +533,9 @@ export function sanitizeFilename(filename: string): string {
 
 /**
  * Validates request rate limit
+ * Counts the call against a sliding window per user and operation; calls
+ * refused by the limit are not counted. Routes use the rateLimit middleware
+ * instead; this is for limits checked inside a handler.
  * 
  * @param {string} userId - User ID
  * @param {string} operation - Operation type (e.g., 'upload', 'delete')
@@ -514,36 +549,28 @@ export async function validateRateLimit(
   limit: number,
   window: number
 ): Promise<IValidationResult> {
-  // This is a placeholder for rate limiting logic
-  // In production, you would use Redis or similar for tracking
   const errors: string[] = [];
   const warnings: string[] = [];
 
-  // For now, we'll use a simple in-memory approach
-  // In production, use Redis or database-backed rate limiting
-  
-  // Example: Check recent uploads
-  const recentUploads = await UploadedFile.countDocuments({
-    userId: new Types.ObjectId(userId),
-    uploadedAt: { $gte: new Date(Date.now() - window * 1000) }
-  });
-
-  if (recentUploads >= limit) {
-    errors.push(`Rate limit exceeded. Maximum ${limit} ${operation}s allowed per ${window} seconds`);
-  } else if (recentUploads >= limit * 0.8) {
-    warnings.push(`Approaching rate limit: ${recentUploads}/${limit} ${operation}s in the last ${window} seconds`);
+  const result = consumeRateLimit(`validate:${operation}:user:${userId}`, { max: limit, windowMs: window * 1000 });
+  const used = limit - result.remaining;
+
+  if (!result.allowed) {
+    errors.push(`Rate limit exceeded. Maximum ${limit} ${operation}s allowed per ${window} seconds. Try again in ${result.retryAfterSeconds} seconds`);
+  } else if (used >= limit * 0.8) {
+    warnings.push(`Approaching rate limit: ${used}/${limit} ${operation}s in the last ${window} seconds`);
   }
 
-  const result: IValidationResult = {
+  const validation: IValidationResult = {
     isValid: errors.length === 0,
     errors
   };
   
   if (warnings.length > 0) {
-    result.warnings = warnings;
+    validation.warnings = warnings;
   }
   
-  return result;
+  return validation;
 }
 
 /**
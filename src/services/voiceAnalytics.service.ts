@@ -12,14 +12,21 @@
  * - Error rates by browser/device type
  * - Voice session performance monitoring
  * - Privacy-compliant anonymized data collection
+ * - Events, errors and preferences stored in MongoDB, shared by every server
+ *   process; metrics computed with aggregation pipelines
+ * - Events and errors removed after VOICE_ANALYTICS_RETENTION_DAYS
  * 
  * Privacy Considerations:
  * - No actual speech content is stored or analyzed
  * - Only anonymized usage metrics and performance data
  * - User consent required for analytics collection
- * - GDPR and privacy regulation compliant
+ * - GDPR and privacy regulation compliant; a user's records are deleted with their account
  * 
  * Related Files:
+ * - src/models/VoiceAnalyticsEvent.ts - Voice event log
+ * - src/models/VoiceError.ts - Reported voice errors
+ * - src/models/VoicePreference.ts - Current voice preferences per user
+ * - src/services/voicePreference.service.ts - Storing voice preferences
  * - src/routes/chat.routes.ts - Voice processing endpoint
  * - src/services/analytics.service.ts - General analytics patterns
  * - src/services/openai.service.ts - AI response optimization
@@ -31,6 +38,14 @@
  */
 
 import { Types } from 'mongoose';
+import VoiceAnalyticsEvent, {
+  VOICE_EVENT_TYPES,
+  VoiceEventType,
+  VOICE_DEVICE_TYPES,
+  VoiceDeviceType
+} from '../models/VoiceAnalyticsEvent';
+import VoiceError from '../models/VoiceError';
+import VoicePreference from '../models/VoicePreference';
 
 /**
  * Interface for voice mode adoption metrics
@@ -140,86 +155,121 @@ export interface IVoiceAnalyticsSummary {
 }
 
 /**
- * In-memory storage for voice analytics data
- * In production, this would be replaced with a proper database/analytics service
+ * Interface for a recorded voice event
  */
-interface IVoiceAnalyticsData {
-  userId: string;
-  timestamp: Date;
-  event: 'voice_enabled' | 'voice_disabled' | 'speech_attempt' | 'speech_success' | 'speech_error' | 'session_start' | 'session_end' | 'preference_change';
-  data: any;
-  browserInfo: string | undefined;
-  deviceInfo: string | undefined;
+export interface IRecordedVoiceEvent {
+  eventId: string;
+  errorId?: string; // Set for speech errors
 }
 
-// In-memory storage (replace with database in production)
-const voiceAnalyticsStore: IVoiceAnalyticsData[] = [];
-const userVoicePreferences: Map<string, any> = new Map();
-const voiceErrorLog: Array<{
-  timestamp: Date;
-  userId: string;
-  errorType: string;
-  errorMessage: string;
-  browserInfo: string;
-  resolved: boolean;
-}> = [];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_WINDOW_MS = 60 * 60 * 1000; // Events up to an hour after a session start belong to it
+
+/**
+ * Milliseconds per time-based analytics period
+ */
+const PERIOD_MS: Record<IVoiceTimeBasedAnalytics['period'], number> = {
+  hour: 60 * 60 * 1000,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS
+};
+
+/**
+ * Rounds to the given number of decimal places
+ */
+function round(value: number, places: number = 2): number {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Turns aggregation groups of { _id, count } into a record
+ */
+function countsToRecord(groups: Array<{ _id: string | null; count: number }>): Record<string, number> {
+  return Object.fromEntries(groups.map(group => [group._id ?? 'unknown', group.count]));
+}
+
+/**
+ * Gets the browser name from browser information
+ *
+ * @param {string} browserInfo - Browser information, e.g. "Chrome 120 on macOS"
+ * @returns {string} First word of the browser information, or 'unknown'
+ */
+export function getBrowserName(browserInfo: string): string {
+  return browserInfo.split(' ')[0] || 'unknown';
+}
+
+/**
+ * Gets the device type from browser information
+ *
+ * @param {string} browserInfo - Browser information or user agent
+ * @returns {VoiceDeviceType} mobile, tablet or desktop
+ */
+export function getDeviceType(browserInfo?: string): VoiceDeviceType {
+  if (browserInfo?.includes('Mobile')) {
+    return VOICE_DEVICE_TYPES.MOBILE;
+  }
+  if (browserInfo?.includes('Tablet')) {
+    return VOICE_DEVICE_TYPES.TABLET;
+  }
+  return VOICE_DEVICE_TYPES.DESKTOP;
+}
 
 /**
  * Records a voice analytics event
+ * Speech errors are also added to the error log. Analytics never fail the
+ * request that reports them: storage errors are logged and null is returned.
  * 
  * @param {string} userId - User ID
  * @param {string} event - Event type
  * @param {any} data - Event data
  * @param {string} browserInfo - Browser information
  * @param {string} deviceInfo - Device information
+ * @returns {Promise<IRecordedVoiceEvent | null>} IDs of the stored event and error, or null if storing failed
  */
-export function recordVoiceEvent(
+export async function recordVoiceEvent(
   userId: string,
-  event: 'voice_enabled' | 'voice_disabled' | 'speech_attempt' | 'speech_success' | 'speech_error' | 'session_start' | 'session_end' | 'preference_change',
+  event: VoiceEventType,
   data: any,
   browserInfo?: string,
   deviceInfo?: string
-): void {
-  const analyticsEntry: IVoiceAnalyticsData = {
-    userId,
-    timestamp: new Date(),
-    event,
-    data,
-    browserInfo,
-    deviceInfo
-  };
-
-  voiceAnalyticsStore.push(analyticsEntry);
-  
+): Promise<IRecordedVoiceEvent | null> {
   // Log for debugging and external analytics services
-  console.log('[VOICE ANALYTICS]', JSON.stringify(analyticsEntry));
-
-  // Update user preferences if applicable
-  if (event === 'preference_change' && data.preferences) {
-    userVoicePreferences.set(userId, {
-      ...userVoicePreferences.get(userId),
-      ...data.preferences,
-      lastUpdated: new Date()
-    });
-  }
+  console.log('[VOICE ANALYTICS]', JSON.stringify({ userId, timestamp: new Date(), event, data, browserInfo, deviceInfo }));
 
-  // Record errors in error log
-  if (event === 'speech_error' && data.error) {
-    voiceErrorLog.push({
-      timestamp: new Date(),
+  try {
+    const analyticsEvent = await VoiceAnalyticsEvent.create({
       userId,
-      errorType: data.error.errorType || 'unknown',
-      errorMessage: data.error.errorMessage || '',
-      browserInfo: browserInfo || 'unknown',
-      resolved: false
+      event,
+      data,
+      ...(browserInfo && { browserInfo, browser: getBrowserName(browserInfo) }),
+      ...(deviceInfo && { deviceInfo }),
+      device: getDeviceType(browserInfo)
     });
-  }
+    const recorded: IRecordedVoiceEvent = { eventId: (analyticsEvent._id as Types.ObjectId).toString() };
+
+    // Add errors to the error log
+    if (event === VOICE_EVENT_TYPES.SPEECH_ERROR && data?.error) {
+      const errorBrowserInfo = browserInfo || 'unknown';
+      const voiceError = await VoiceError.create({
+        userId,
+        errorType: data.error.errorType || 'unknown',
+        errorMessage: data.error.errorMessage || '',
+        browserInfo: errorBrowserInfo,
+        browser: getBrowserName(errorBrowserInfo),
+        device: getDeviceType(errorBrowserInfo),
+        resolved: false
+      });
+      recorded.errorId = (voiceError._id as Types.ObjectId).toString();
+    }
+
+    return recorded;
 
-  // In production, this would also:
-  // - Send to analytics service (Google Analytics, Mixpanel, etc.)
-  // - Store in analytics database
-  // - Trigger real-time dashboards
-  // - Send alerts for critical errors
+  } catch (error) {
+    console.error('[VOICE ANALYTICS] Failed to store voice event:', error);
+    return null;
+  }
 }
 
 /**
@@ -234,63 +284,60 @@ export async function getVoiceAdoptionMetrics(
   endDate?: Date
 ): Promise<IVoiceAdoptionMetrics> {
   const now = new Date();
-  const defaultStartDate = startDate || new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
+  const defaultStartDate = startDate || new Date(now.getTime() - 30 * DAY_MS); // 30 days ago
   const defaultEndDate = endDate || now;
 
-  // Filter events by date range
-  const periodEvents = voiceAnalyticsStore.filter(event => 
-    event.timestamp >= defaultStartDate && event.timestamp <= defaultEndDate
-  );
-
-  // Calculate adoption metrics
-  const allUsers = new Set(periodEvents.map(e => e.userId));
-  const voiceEnabledUsers = new Set(
-    periodEvents
-      .filter(e => e.event === 'voice_enabled' || e.event === 'speech_attempt')
-      .map(e => e.userId)
-  );
-
-  const newAdopters = new Set(
-    periodEvents
-      .filter(e => e.event === 'voice_enabled')
-      .map(e => e.userId)
-  );
-
-  // Calculate session counts per user
-  const sessionCounts = new Map<string, number>();
-  periodEvents
-    .filter(e => e.event === 'session_start')
-    .forEach(e => {
-      sessionCounts.set(e.userId, (sessionCounts.get(e.userId) || 0) + 1);
-    });
-
-  const averageSessionsPerUser = sessionCounts.size > 0
-    ? Array.from(sessionCounts.values()).reduce((sum, count) => sum + count, 0) / sessionCounts.size
-    : 0;
-
-  // Calculate retention (users who used voice mode in both halves of the period)
+  // Retention: users active in both halves of the period
   const midPoint = new Date((defaultStartDate.getTime() + defaultEndDate.getTime()) / 2);
-  const firstHalfUsers = new Set(
-    periodEvents
-      .filter(e => e.timestamp < midPoint && (e.event === 'speech_attempt' || e.event === 'session_start'))
-      .map(e => e.userId)
-  );
-  const secondHalfUsers = new Set(
-    periodEvents
-      .filter(e => e.timestamp >= midPoint && (e.event === 'speech_attempt' || e.event === 'session_start'))
-      .map(e => e.userId)
-  );
+  const isActivity = { $in: ['$event', [VOICE_EVENT_TYPES.SPEECH_ATTEMPT, VOICE_EVENT_TYPES.SESSION_START]] };
+
+  const [totals] = await VoiceAnalyticsEvent.aggregate([
+    { $match: { createdAt: { $gte: defaultStartDate, $lte: defaultEndDate } } },
+    // One row per user
+    {
+      $group: {
+        _id: '$userId',
+        voiceEnabled: {
+          $max: { $cond: [{ $in: ['$event', [VOICE_EVENT_TYPES.VOICE_ENABLED, VOICE_EVENT_TYPES.SPEECH_ATTEMPT]] }, 1, 0] }
+        },
+        newAdopter: { $max: { $cond: [{ $eq: ['$event', VOICE_EVENT_TYPES.VOICE_ENABLED] }, 1, 0] } },
+        sessions: { $sum: { $cond: [{ $eq: ['$event', VOICE_EVENT_TYPES.SESSION_START] }, 1, 0] } },
+        activeFirstHalf: { $max: { $cond: [{ $and: [isActivity, { $lt: ['$createdAt', midPoint] }] }, 1, 0] } },
+        activeSecondHalf: { $max: { $cond: [{ $and: [isActivity, { $gte: ['$createdAt', midPoint] }] }, 1, 0] } }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalUsers: { $sum: 1 },
+        voiceEnabledUsers: { $sum: '$voiceEnabled' },
+        newAdopters: { $sum: '$newAdopter' },
+        totalSessions: { $sum: '$sessions' },
+        usersWithSessions: { $sum: { $cond: [{ $gt: ['$sessions', 0] }, 1, 0] } },
+        firstHalfUsers: { $sum: '$activeFirstHalf' },
+        retainedUsers: { $sum: { $cond: [{ $and: [{ $eq: ['$activeFirstHalf', 1] }, { $eq: ['$activeSecondHalf', 1] }] }, 1, 0] } }
+      }
+    }
+  ]);
 
-  const retainedUsers = new Set([...firstHalfUsers].filter(u => secondHalfUsers.has(u)));
-  const retentionRate = firstHalfUsers.size > 0 ? (retainedUsers.size / firstHalfUsers.size) * 100 : 0;
+  if (!totals) {
+    return {
+      totalUsers: 0,
+      voiceEnabledUsers: 0,
+      adoptionRate: 0,
+      newAdoptersThisPeriod: 0,
+      averageSessionsPerUser: 0,
+      retentionRate: 0
+    };
+  }
 
   return {
-    totalUsers: allUsers.size,
-    voiceEnabledUsers: voiceEnabledUsers.size,
-    adoptionRate: allUsers.size > 0 ? (voiceEnabledUsers.size / allUsers.size) * 100 : 0,
-    newAdoptersThisPeriod: newAdopters.size,
-    averageSessionsPerUser: Math.round(averageSessionsPerUser * 100) / 100,
-    retentionRate: Math.round(retentionRate * 100) / 100
+    totalUsers: totals.totalUsers,
+    voiceEnabledUsers: totals.voiceEnabledUsers,
+    adoptionRate: totals.totalUsers > 0 ? (totals.voiceEnabledUsers / totals.totalUsers) * 100 : 0,
+    newAdoptersThisPeriod: totals.newAdopters,
+    averageSessionsPerUser: totals.usersWithSessions > 0 ? round(totals.totalSessions / totals.usersWithSessions) : 0,
+    retentionRate: totals.firstHalfUsers > 0 ? round((totals.retainedUsers / totals.firstHalfUsers) * 100) : 0
   };
 }
 
@@ -306,83 +353,81 @@ export async function getSpeechRecognitionMetrics(
   endDate?: Date
 ): Promise<ISpeechRecognitionMetrics> {
   const now = new Date();
-  const defaultStartDate = startDate || new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
+  const defaultStartDate = startDate || new Date(now.getTime() - 7 * DAY_MS); // 7 days ago
   const defaultEndDate = endDate || now;
 
-  const periodEvents = voiceAnalyticsStore.filter(event => 
-    event.timestamp >= defaultStartDate && event.timestamp <= defaultEndDate
-  );
-
-  const speechAttempts = periodEvents.filter(e => e.event === 'speech_attempt');
-  const speechSuccesses = periodEvents.filter(e => e.event === 'speech_success');
-  const speechErrors = periodEvents.filter(e => e.event === 'speech_error');
+  const isSuccess = { $eq: ['$event', VOICE_EVENT_TYPES.SPEECH_SUCCESS] };
 
-  // Calculate accuracy rate
-  const accuracyRate = speechAttempts.length > 0 
-    ? (speechSuccesses.length / speechAttempts.length) * 100 
-    : 0;
-
-  // Calculate average confidence score
-  const confidenceScores = speechSuccesses
-    .map(e => e.data?.confidence)
-    .filter(score => typeof score === 'number' && score >= 0 && score <= 1);
-  
-  const averageConfidenceScore = confidenceScores.length > 0
-    ? confidenceScores.reduce((sum, score) => sum + score, 0) / confidenceScores.length
-    : 0;
-
-  // Group errors by type
-  const errorsByType: Record<string, number> = {};
-  speechErrors.forEach(e => {
-    const errorType = e.data?.error?.errorType || 'unknown';
-    errorsByType[errorType] = (errorsByType[errorType] || 0) + 1;
-  });
-
-  // Calculate average processing time
-  const processingTimes = speechSuccesses
-    .map(e => e.data?.processingTime)
-    .filter(time => typeof time === 'number' && time > 0);
-  
-  const averageProcessingTime = processingTimes.length > 0
-    ? processingTimes.reduce((sum, time) => sum + time, 0) / processingTimes.length
-    : 0;
-
-  // Calculate accuracy rates by browser
-  const browserAccuracyRates: Record<string, number> = {};
-  const browserStats = new Map<string, { attempts: number; successes: number }>();
-
-  [...speechAttempts, ...speechSuccesses].forEach(e => {
-    if (e.browserInfo) {
-      const browser = e.browserInfo.split(' ')[0] || 'unknown';
-      if (!browserStats.has(browser)) {
-        browserStats.set(browser, { attempts: 0, successes: 0 });
+  const [result] = await VoiceAnalyticsEvent.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: defaultStartDate, $lte: defaultEndDate },
+        event: { $in: [VOICE_EVENT_TYPES.SPEECH_ATTEMPT, VOICE_EVENT_TYPES.SPEECH_SUCCESS, VOICE_EVENT_TYPES.SPEECH_ERROR] }
       }
-      const stats = browserStats.get(browser)!;
-      if (e.event === 'speech_attempt') {
-        stats.attempts++;
-      } else if (e.event === 'speech_success') {
-        stats.successes++;
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              attempts: { $sum: { $cond: [{ $eq: ['$event', VOICE_EVENT_TYPES.SPEECH_ATTEMPT] }, 1, 0] } },
+              successes: { $sum: { $cond: [isSuccess, 1, 0] } },
+              // $avg skips the nulls left for events without a valid value
+              averageConfidence: {
+                $avg: {
+                  $cond: [
+                    { $and: [isSuccess, { $isNumber: '$data.confidence' }, { $gte: ['$data.confidence', 0] }, { $lte: ['$data.confidence', 1] }] },
+                    '$data.confidence',
+                    null
+                  ]
+                }
+              },
+              averageProcessingTime: {
+                $avg: {
+                  $cond: [
+                    { $and: [isSuccess, { $isNumber: '$data.processingTime' }, { $gt: ['$data.processingTime', 0] }] },
+                    '$data.processingTime',
+                    null
+                  ]
+                }
+              }
+            }
+          }
+        ],
+        errorsByType: [
+          { $match: { event: VOICE_EVENT_TYPES.SPEECH_ERROR } },
+          { $group: { _id: { $ifNull: ['$data.error.errorType', 'unknown'] }, count: { $sum: 1 } } }
+        ],
+        byBrowser: [
+          { $match: { event: { $ne: VOICE_EVENT_TYPES.SPEECH_ERROR }, browser: { $exists: true } } },
+          {
+            $group: {
+              _id: '$browser',
+              attempts: { $sum: { $cond: [{ $eq: ['$event', VOICE_EVENT_TYPES.SPEECH_ATTEMPT] }, 1, 0] } },
+              successes: { $sum: { $cond: [isSuccess, 1, 0] } }
+            }
+          }
+        ]
       }
     }
-  });
+  ]);
 
-  browserStats.forEach((stats, browser) => {
-    browserAccuracyRates[browser] = stats.attempts > 0 
-      ? (stats.successes / stats.attempts) * 100 
-      : 0;
-  });
+  const totals = result?.totals?.[0];
+  const attempts = totals?.attempts ?? 0;
+  const successes = totals?.successes ?? 0;
 
   return {
-    totalAttempts: speechAttempts.length,
-    successfulAttempts: speechSuccesses.length,
-    accuracyRate: Math.round(accuracyRate * 100) / 100,
-    averageConfidenceScore: Math.round(averageConfidenceScore * 1000) / 1000,
-    errorsByType,
-    averageProcessingTime: Math.round(averageProcessingTime),
+    totalAttempts: attempts,
+    successfulAttempts: successes,
+    accuracyRate: attempts > 0 ? round((successes / attempts) * 100) : 0,
+    averageConfidenceScore: round(totals?.averageConfidence ?? 0, 3),
+    errorsByType: countsToRecord(result?.errorsByType ?? []),
+    averageProcessingTime: Math.round(totals?.averageProcessingTime ?? 0),
     browserAccuracyRates: Object.fromEntries(
-      Object.entries(browserAccuracyRates).map(([browser, rate]) => [
-        browser, 
-        Math.round(rate * 100) / 100
+      (result?.byBrowser ?? []).map((browser: { _id: string; attempts: number; successes: number }) => [
+        browser._id,
+        browser.attempts > 0 ? round((browser.successes / browser.attempts) * 100) : 0
       ])
     )
   };
@@ -394,67 +439,54 @@ export async function getSpeechRecognitionMetrics(
  * @returns {Promise<IUserPreferencePatterns>} User preference patterns
  */
 export async function getUserPreferencePatterns(): Promise<IUserPreferencePatterns> {
-  const preferences = Array.from(userVoicePreferences.values());
-
-  // Analyze voice preferences
-  const voiceNameCounts = new Map<string, number>();
-  const speechRates: number[] = [];
-  const speechVolumes: number[] = [];
-  const voiceGenderCounts = new Map<string, number>();
-  const autoPlayCounts = { enabled: 0, disabled: 0 };
-  const languageCounts = new Map<string, number>();
-
-  preferences.forEach(pref => {
-    if (pref.selectedVoice) {
-      voiceNameCounts.set(pref.selectedVoice, (voiceNameCounts.get(pref.selectedVoice) || 0) + 1);
-    }
-    if (typeof pref.speechRate === 'number') {
-      speechRates.push(pref.speechRate);
-    }
-    if (typeof pref.speechVolume === 'number') {
-      speechVolumes.push(pref.speechVolume);
-    }
-    if (pref.voiceGender) {
-      voiceGenderCounts.set(pref.voiceGender, (voiceGenderCounts.get(pref.voiceGender) || 0) + 1);
-    }
-    if (typeof pref.autoPlayResponses === 'boolean') {
-      if (pref.autoPlayResponses) {
-        autoPlayCounts.enabled++;
-      } else {
-        autoPlayCounts.disabled++;
+  const countBy = (field: string) => [
+    { $match: { [field]: { $exists: true, $ne: null } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ];
+
+  const [result] = await VoicePreference.aggregate([
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              users: { $sum: 1 },
+              averageSpeechRate: { $avg: '$speechRate' },
+              averageSpeechVolume: { $avg: '$speechVolume' }
+            }
+          }
+        ],
+        voices: [
+          ...countBy('selectedVoice'),
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 5 }
+        ],
+        genders: countBy('voiceGender'),
+        autoPlay: countBy('autoPlayResponses'),
+        languages: countBy('voiceLanguage')
       }
     }
-    if (pref.voiceLanguage) {
-      languageCounts.set(pref.voiceLanguage, (languageCounts.get(pref.voiceLanguage) || 0) + 1);
-    }
-  });
+  ]);
 
-  // Create most popular voices array
-  const mostPopularVoices = Array.from(voiceNameCounts.entries())
-    .sort(([, a], [, b]) => b - a)
-    .slice(0, 5)
-    .map(([voiceName, usageCount]) => ({
-      voiceName,
-      usageCount,
-      percentage: preferences.length > 0 ? (usageCount / preferences.length) * 100 : 0
-    }));
-
-  // Calculate averages
-  const averageSpeechRate = speechRates.length > 0
-    ? speechRates.reduce((sum, rate) => sum + rate, 0) / speechRates.length
-    : 1.0;
-
-  const averageSpeechVolume = speechVolumes.length > 0
-    ? speechVolumes.reduce((sum, vol) => sum + vol, 0) / speechVolumes.length
-    : 0.8;
+  const totals = result?.totals?.[0];
+  const users = totals?.users ?? 0;
+  const autoPlay = countsToRecord(result?.autoPlay ?? []);
 
   return {
-    mostPopularVoices,
-    averageSpeechRate: Math.round(averageSpeechRate * 100) / 100,
-    averageSpeechVolume: Math.round(averageSpeechVolume * 100) / 100,
-    preferredVoiceGender: Object.fromEntries(voiceGenderCounts),
-    autoPlayPreference: autoPlayCounts,
-    languageDistribution: Object.fromEntries(languageCounts)
+    mostPopularVoices: (result?.voices ?? []).map((voice: { _id: string; count: number }) => ({
+      voiceName: voice._id,
+      usageCount: voice.count,
+      percentage: users > 0 ? (voice.count / users) * 100 : 0
+    })),
+    averageSpeechRate: round(totals?.averageSpeechRate ?? 1.0),
+    averageSpeechVolume: round(totals?.averageSpeechVolume ?? 0.8),
+    preferredVoiceGender: countsToRecord(result?.genders ?? []),
+    autoPlayPreference: {
+      enabled: autoPlay['true'] ?? 0,
+      disabled: autoPlay['false'] ?? 0
+    },
+    languageDistribution: countsToRecord(result?.languages ?? [])
   };
 }
 
@@ -470,81 +502,57 @@ export async function getVoiceErrorMetrics(
   endDate?: Date
 ): Promise<IVoiceErrorMetrics> {
   const now = new Date();
-  const defaultStartDate = startDate || new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
+  const defaultStartDate = startDate || new Date(now.getTime() - 7 * DAY_MS); // 7 days ago
   const defaultEndDate = endDate || now;
 
-  const periodErrors = voiceErrorLog.filter(error => 
-    error.timestamp >= defaultStartDate && error.timestamp <= defaultEndDate
-  );
-
-  // Group errors by type
-  const errorsByType: Record<string, number> = {};
-  periodErrors.forEach(error => {
-    errorsByType[error.errorType] = (errorsByType[error.errorType] || 0) + 1;
-  });
-
-  // Group errors by browser
-  const errorsByBrowser: Record<string, number> = {};
-  periodErrors.forEach(error => {
-    const browser = error.browserInfo.split(' ')[0] || 'unknown';
-    errorsByBrowser[browser] = (errorsByBrowser[browser] || 0) + 1;
-  });
-
-  // Group errors by device (extracted from browser info)
-  const errorsByDevice: Record<string, number> = {};
-  periodErrors.forEach(error => {
-    let device = 'desktop';
-    if (error.browserInfo.includes('Mobile')) {
-      device = 'mobile';
-    } else if (error.browserInfo.includes('Tablet')) {
-      device = 'tablet';
-    }
-    errorsByDevice[device] = (errorsByDevice[device] || 0) + 1;
-  });
-
-  // Create error trends (daily aggregation)
-  const errorTrends: Array<{ date: Date; errorCount: number; errorType: string }> = [];
-  const trendMap = new Map<string, Map<string, number>>();
-
-  periodErrors.forEach(error => {
-    const dateKey = error.timestamp.toISOString().split('T')[0];
-    if (dateKey) {
-      if (!trendMap.has(dateKey)) {
-        trendMap.set(dateKey, new Map());
+  const inPeriod = { $match: { createdAt: { $gte: defaultStartDate, $lte: defaultEndDate } } };
+
+  const [result] = await VoiceError.aggregate([
+    {
+      $facet: {
+        byType: [inPeriod, { $group: { _id: '$errorType', count: { $sum: 1 } } }],
+        byBrowser: [inPeriod, { $group: { _id: '$browser', count: { $sum: 1 } } }],
+        byDevice: [inPeriod, { $group: { _id: '$device', count: { $sum: 1 } } }],
+        // Daily counts per error type
+        trends: [
+          inPeriod,
+          {
+            $group: {
+              _id: { date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, errorType: '$errorType' },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { '_id.date': 1, '_id.errorType': 1 } }
+        ],
+        // Resolution rate covers every stored error, not just the period
+        resolution: [
+          { $group: { _id: null, total: { $sum: 1 }, resolved: { $sum: { $cond: ['$resolved', 1, 0] } } } }
+        ]
       }
-      const dayMap = trendMap.get(dateKey)!;
-      dayMap.set(error.errorType, (dayMap.get(error.errorType) || 0) + 1);
     }
-  });
+  ]);
 
-  trendMap.forEach((errorCounts, dateKey) => {
-    errorCounts.forEach((count, errorType) => {
-      errorTrends.push({
-        date: new Date(dateKey),
-        errorCount: count,
-        errorType
-      });
-    });
-  });
-
-  // Calculate resolution rate
-  const resolvedErrors = voiceErrorLog.filter(error => error.resolved).length;
-  const resolutionRate = voiceErrorLog.length > 0 
-    ? (resolvedErrors / voiceErrorLog.length) * 100 
-    : 0;
+  const errorsByType = countsToRecord(result?.byType ?? []);
+  const resolution = result?.resolution?.[0];
 
   return {
-    totalErrors: periodErrors.length,
+    totalErrors: Object.values(errorsByType).reduce((sum, count) => sum + count, 0),
     errorsByType,
-    errorsByBrowser,
-    errorsByDevice,
-    errorTrends: errorTrends.sort((a, b) => a.date.getTime() - b.date.getTime()),
-    resolutionRate: Math.round(resolutionRate * 100) / 100
+    errorsByBrowser: countsToRecord(result?.byBrowser ?? []),
+    errorsByDevice: countsToRecord(result?.byDevice ?? []),
+    errorTrends: (result?.trends ?? []).map((trend: { _id: { date: string; errorType: string }; count: number }) => ({
+      date: new Date(trend._id.date),
+      errorCount: trend.count,
+      errorType: trend._id.errorType
+    })),
+    resolutionRate: resolution?.total > 0 ? round((resolution.resolved / resolution.total) * 100) : 0
   };
 }
 
 /**
  * Gets voice session performance metrics
+ * Sessions are matched to their end and speech attempts by user and time,
+ * so the period's session events are read and paired here.
  * 
  * @param {Date} startDate - Start date for metrics
  * @param {Date} endDate - End date for metrics
@@ -555,44 +563,45 @@ export async function getVoiceSessionMetrics(
   endDate?: Date
 ): Promise<IVoiceSessionMetrics> {
   const now = new Date();
-  const defaultStartDate = startDate || new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
+  const defaultStartDate = startDate || new Date(now.getTime() - 7 * DAY_MS); // 7 days ago
   const defaultEndDate = endDate || now;
 
-  const periodEvents = voiceAnalyticsStore.filter(event => 
-    event.timestamp >= defaultStartDate && event.timestamp <= defaultEndDate
-  );
-
-  const sessionStarts = periodEvents.filter(e => e.event === 'session_start');
-  const sessionEnds = periodEvents.filter(e => e.event === 'session_end');
-  const speechAttempts = periodEvents.filter(e => e.event === 'speech_attempt');
-
-  // Calculate session durations
-  const sessionDurations: number[] = [];
-  sessionStarts.forEach(start => {
-    const matchingEnd = sessionEnds.find(end => 
-      end.userId === start.userId && 
-      end.timestamp > start.timestamp &&
-      end.timestamp.getTime() - start.timestamp.getTime() < 3600000 // within 1 hour
+  const periodEvents = await VoiceAnalyticsEvent.find({
+    createdAt: { $gte: defaultStartDate, $lte: defaultEndDate },
+    event: { $in: [VOICE_EVENT_TYPES.SESSION_START, VOICE_EVENT_TYPES.SESSION_END, VOICE_EVENT_TYPES.SPEECH_ATTEMPT] }
+  })
+    .select('userId event browser device createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const sessionStarts = periodEvents.filter(e => e.event === VOICE_EVENT_TYPES.SESSION_START);
+  const sessionEnds = periodEvents.filter(e => e.event === VOICE_EVENT_TYPES.SESSION_END);
+  const speechAttempts = periodEvents.filter(e => e.event === VOICE_EVENT_TYPES.SPEECH_ATTEMPT);
+  const sameUser = (a: { userId: Types.ObjectId }, b: { userId: Types.ObjectId }) => a.userId.toString() === b.userId.toString();
+
+  // Calculate session durations, indexed like sessionStarts
+  const sessionDurations: Array<number | null> = sessionStarts.map(start => {
+    const matchingEnd = sessionEnds.find(end =>
+      sameUser(end, start) &&
+      end.createdAt > start.createdAt &&
+      end.createdAt.getTime() - start.createdAt.getTime() < SESSION_WINDOW_MS
     );
-    if (matchingEnd) {
-      sessionDurations.push(matchingEnd.timestamp.getTime() - start.timestamp.getTime());
-    }
+    return matchingEnd ? matchingEnd.createdAt.getTime() - start.createdAt.getTime() : null;
   });
+  const completedDurations = sessionDurations.filter((duration): duration is number => duration !== null);
 
-  const averageSessionDuration = sessionDurations.length > 0
-    ? sessionDurations.reduce((sum, duration) => sum + duration, 0) / sessionDurations.length
+  const averageSessionDuration = completedDurations.length > 0
+    ? completedDurations.reduce((sum, duration) => sum + duration, 0) / completedDurations.length
     : 0;
 
   // Calculate average voice interactions per session
-  const voiceInteractionsPerSession: number[] = [];
-  sessionStarts.forEach(start => {
-    const sessionInteractions = speechAttempts.filter(attempt =>
-      attempt.userId === start.userId &&
-      attempt.timestamp >= start.timestamp &&
-      attempt.timestamp.getTime() - start.timestamp.getTime() < 3600000 // within 1 hour
-    );
-    voiceInteractionsPerSession.push(sessionInteractions.length);
-  });
+  const voiceInteractionsPerSession = sessionStarts.map(start =>
+    speechAttempts.filter(attempt =>
+      sameUser(attempt, start) &&
+      attempt.createdAt >= start.createdAt &&
+      attempt.createdAt.getTime() - start.createdAt.getTime() < SESSION_WINDOW_MS
+    ).length
+  );
 
   const averageVoiceInteractions = voiceInteractionsPerSession.length > 0
     ? voiceInteractionsPerSession.reduce((sum, count) => sum + count, 0) / voiceInteractionsPerSession.length
@@ -604,26 +613,18 @@ export async function getVoiceSessionMetrics(
     : 0;
 
   // Performance by browser
-  const performanceByBrowser: Record<string, any> = {};
-  const browserSessionMap = new Map<string, { sessions: any[]; durations: number[] }>();
-
-  sessionStarts.forEach(start => {
-    if (start.browserInfo) {
-      const browser = start.browserInfo.split(' ')[0] || 'unknown';
-      if (!browserSessionMap.has(browser)) {
-        browserSessionMap.set(browser, { sessions: [], durations: [] });
-      }
-      browserSessionMap.get(browser)!.sessions.push(start);
-    }
-  });
-
-  sessionDurations.forEach((duration, index) => {
-    const start = sessionStarts[index];
-    if (start?.browserInfo) {
-      const browser = start.browserInfo.split(' ')[0] || 'unknown';
-      if (browserSessionMap.has(browser)) {
-        browserSessionMap.get(browser)!.durations.push(duration);
+  const performanceByBrowser: IVoiceSessionMetrics['performanceByBrowser'] = {};
+  const browserSessionMap = new Map<string, { sessions: number; durations: number[] }>();
+
+  sessionStarts.forEach((start, index) => {
+    if (start.browser) {
+      const stats = browserSessionMap.get(start.browser) ?? { sessions: 0, durations: [] };
+      stats.sessions++;
+      const duration = sessionDurations[index];
+      if (duration !== null && duration !== undefined) {
+        stats.durations.push(duration);
       }
+      browserSessionMap.set(start.browser, stats);
     }
   });
 
@@ -633,34 +634,31 @@ export async function getVoiceSessionMetrics(
       : 0;
     
     performanceByBrowser[browser] = {
-      sessionCount: data.sessions.length,
+      sessionCount: data.sessions,
       averageDuration: Math.round(avgDuration),
-      completionRate: Math.round((data.durations.length / data.sessions.length) * 100)
+      completionRate: Math.round((data.durations.length / data.sessions) * 100)
     };
   });
 
   // Device performance (simplified)
-  const devicePerformance: Record<string, any> = {
-    desktop: { sessionCount: 0, averageLatency: 0, errorRate: 0 },
-    mobile: { sessionCount: 0, averageLatency: 0, errorRate: 0 },
-    tablet: { sessionCount: 0, averageLatency: 0, errorRate: 0 }
+  const devicePerformance: IVoiceSessionMetrics['devicePerformance'] = {
+    [VOICE_DEVICE_TYPES.DESKTOP]: { sessionCount: 0, averageLatency: 0, errorRate: 0 },
+    [VOICE_DEVICE_TYPES.MOBILE]: { sessionCount: 0, averageLatency: 0, errorRate: 0 },
+    [VOICE_DEVICE_TYPES.TABLET]: { sessionCount: 0, averageLatency: 0, errorRate: 0 }
   };
 
   sessionStarts.forEach(start => {
-    let device = 'desktop';
-    if (start.browserInfo?.includes('Mobile')) {
-      device = 'mobile';
-    } else if (start.browserInfo?.includes('Tablet')) {
-      device = 'tablet';
+    const device = devicePerformance[start.device ?? VOICE_DEVICE_TYPES.DESKTOP];
+    if (device) {
+      device.sessionCount++;
     }
-    devicePerformance[device].sessionCount++;
   });
 
   return {
     totalSessions: sessionStarts.length,
     averageSessionDuration: Math.round(averageSessionDuration),
-    averageVoiceInteractions: Math.round(averageVoiceInteractions * 100) / 100,
-    sessionCompletionRate: Math.round(sessionCompletionRate * 100) / 100,
+    averageVoiceInteractions: round(averageVoiceInteractions),
+    sessionCompletionRate: round(sessionCompletionRate),
     performanceByBrowser,
     devicePerformance
   };
@@ -678,40 +676,40 @@ export async function getVoiceTimeBasedAnalytics(
   count: number = 7
 ): Promise<IVoiceTimeBasedAnalytics> {
   const now = new Date();
+  const periodMs = PERIOD_MS[period];
+  const rangeStart = new Date(now.getTime() - count * periodMs);
+  const countEvent = (event: VoiceEventType) => ({ $sum: { $cond: [{ $eq: ['$event', event] }, 1, 0] } });
+
+  // Bucket 0 is the oldest period, bucket count - 1 ends now
+  const buckets = await VoiceAnalyticsEvent.aggregate([
+    { $match: { createdAt: { $gte: rangeStart, $lt: now } } },
+    {
+      $group: {
+        _id: { $floor: { $divide: [{ $subtract: ['$createdAt', rangeStart] }, periodMs] } },
+        voiceSessions: countEvent(VOICE_EVENT_TYPES.SESSION_START),
+        speechAttempts: countEvent(VOICE_EVENT_TYPES.SPEECH_ATTEMPT),
+        speechSuccesses: countEvent(VOICE_EVENT_TYPES.SPEECH_SUCCESS),
+        errors: countEvent(VOICE_EVENT_TYPES.SPEECH_ERROR),
+        users: { $addToSet: '$userId' }
+      }
+    }
+  ]);
+
+  const bucketsByIndex = new Map(buckets.map(bucket => [bucket._id, bucket]));
   const data: IVoiceTimeBasedAnalytics['data'] = [];
-  
-  // Calculate milliseconds per period
-  const periodMs = {
-    hour: 60 * 60 * 1000,
-    day: 24 * 60 * 60 * 1000,
-    week: 7 * 24 * 60 * 60 * 1000,
-    month: 30 * 24 * 60 * 60 * 1000
-  };
-  
-  for (let i = count - 1; i >= 0; i--) {
-    const startTime = new Date(now.getTime() - (i + 1) * periodMs[period]);
-    const endTime = new Date(now.getTime() - i * periodMs[period]);
-    
-    const periodEvents = voiceAnalyticsStore.filter(event => 
-      event.timestamp >= startTime && event.timestamp < endTime
-    );
-    
-    const voiceSessions = periodEvents.filter(e => e.event === 'session_start').length;
-    const speechAttempts = periodEvents.filter(e => e.event === 'speech_attempt').length;
-    const speechSuccesses = periodEvents.filter(e => e.event === 'speech_success').length;
-    const errors = periodEvents.filter(e => e.event === 'speech_error').length;
-    const uniqueUsers = new Set(periodEvents.map(e => e.userId)).size;
-    
+
+  for (let index = 0; index < count; index++) {
+    const bucket = bucketsByIndex.get(index);
     data.push({
-      timestamp: endTime,
-      voiceSessions,
-      speechAttempts,
-      speechSuccesses,
-      errors,
-      uniqueUsers
+      timestamp: new Date(rangeStart.getTime() + (index + 1) * periodMs),
+      voiceSessions: bucket?.voiceSessions ?? 0,
+      speechAttempts: bucket?.speechAttempts ?? 0,
+      speechSuccesses: bucket?.speechSuccesses ?? 0,
+      errors: bucket?.errors ?? 0,
+      uniqueUsers: bucket?.users?.length ?? 0
     });
   }
-  
+
   return {
     period,
     data
@@ -753,20 +751,30 @@ export async function getVoiceAnalyticsSummary(): Promise<IVoiceAnalyticsSummary
 /**
  * Marks a voice error as resolved
  * 
- * @param {string} errorId - Error ID or identifier
+ * @param {string} errorId - ID returned when the error was reported
  * @param {string} resolution - Resolution description
+ * @returns {Promise<boolean>} True if an unresolved error was marked resolved
  */
-export function markVoiceErrorResolved(errorId: string, resolution: string): void {
-  // In a real implementation, this would update the error in the database
-  // For now, we'll mark errors as resolved based on timestamp
+export async function markVoiceErrorResolved(errorId: string, resolution: string): Promise<boolean> {
+  if (!Types.ObjectId.isValid(errorId)) {
+    return false;
+  }
+
   const now = new Date();
-  voiceErrorLog.forEach(error => {
-    if (!error.resolved && now.getTime() - error.timestamp.getTime() > 24 * 60 * 60 * 1000) {
-      error.resolved = true;
-    }
-  });
+  const result = await VoiceError.updateOne(
+    { _id: errorId, resolved: false },
+    { $set: { resolved: true, resolvedAt: now, resolution } }
+  );
 
   console.log('[VOICE ANALYTICS] Error marked as resolved:', { errorId, resolution, timestamp: now });
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Anonymizes a user ID for exported analytics
+ */
+function anonymizeUserId(userId: Types.ObjectId | string): string {
+  return Buffer.from(userId.toString()).toString('base64').substring(0, 8);
 }
 
 /**
@@ -785,35 +793,38 @@ export async function exportVoiceAnalytics(
   anonymizedUserData: any[];
 }> {
   const now = new Date();
-  const defaultStartDate = startDate || new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+  const defaultStartDate = startDate || new Date(now.getTime() - 30 * DAY_MS);
   const defaultEndDate = endDate || now;
 
-  const summary = await getVoiceAnalyticsSummary();
+  const [summary, events, preferences] = await Promise.all([
+    getVoiceAnalyticsSummary(),
+    VoiceAnalyticsEvent.find({ createdAt: { $gte: defaultStartDate, $lte: defaultEndDate } })
+      .sort({ createdAt: 1 })
+      .lean(),
+    VoicePreference.find({}).lean()
+  ]);
   
-  // Filter and anonymize raw events
-  const rawEvents = voiceAnalyticsStore
-    .filter(event => event.timestamp >= defaultStartDate && event.timestamp <= defaultEndDate)
-    .map(event => ({
-      timestamp: event.timestamp,
-      event: event.event,
-      anonymizedUserId: Buffer.from(event.userId).toString('base64').substring(0, 8),
-      browserInfo: event.browserInfo,
-      deviceInfo: event.deviceInfo,
-      // Remove any sensitive data
-      data: event.data ? {
-        ...event.data,
-        userId: undefined,
-        personalInfo: undefined
-      } : undefined
-    }));
+  // Anonymize raw events
+  const rawEvents = events.map(event => ({
+    timestamp: event.createdAt,
+    event: event.event,
+    anonymizedUserId: anonymizeUserId(event.userId),
+    browserInfo: event.browserInfo,
+    deviceInfo: event.deviceInfo,
+    // Remove any sensitive data
+    data: event.data ? {
+      ...event.data,
+      userId: undefined,
+      personalInfo: undefined
+    } : undefined
+  }));
 
   // Anonymize user preferences data
-  const anonymizedUserData = Array.from(userVoicePreferences.entries()).map(([userId, prefs]) => ({
-    anonymizedUserId: Buffer.from(userId).toString('base64').substring(0, 8),
+  const anonymizedUserData = preferences.map(({ _id, userId, __v, ...prefs }: any) => ({
+    anonymizedUserId: anonymizeUserId(userId),
     preferences: {
       ...prefs,
-      userId: undefined,
-      personalInfo: undefined
+      lastUpdated: prefs.updatedAt
     }
   }));
 
@@ -822,4 +833,4 @@ export async function exportVoiceAnalytics(
     rawEvents,
     anonymizedUserData
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,227 @@
+/**
+ * AI Interview Coach Backend - Voice Preference Service
+ *
+ * This file implements each user's stored voice mode settings, so the voice,
+ * speech rate and volume, microphone sensitivity and auto-play choices follow
+ * the user to every device they log in on. Changes are pushed to the user's
+ * other open sessions and recorded for voice analytics.
+ *
+ * Key Features:
+ * - Stored preferences merged over defaults, so every field is always present
+ * - Validation shared by PUT /api/chat/voice-preferences and the
+ *   store_preferences action of /api/chat/voice-process
+ * - Partial updates; null resets a field to its default
+ * - voice.preferences realtime event after every change
+ *
+ * Related Files:
+ * - src/models/VoicePreference.ts - Voice preference model
+ * - src/services/voiceAnalytics.service.ts - Preference change events and patterns
+ * - src/services/realtime.service.ts - Pushing changes to other devices
+ * - src/routes/chat.routes.ts - Voice preference endpoints
+ *
+ * Task: Voice preferences synced to the server and applied across devices
+ *
+ * @author AI Interview Coach Team
+ * @version 1.0.0
+ */
+
+import VoicePreference, { IVoicePreference, VOICE_GENDERS, VoiceGender } from '../models/VoicePreference';
+import { recordVoiceEvent } from './voiceAnalytics.service';
+import { publishToUser, REALTIME_EVENTS } from './realtime.service';
+
+/**
+ * Interface for the voice preference values
+ */
+export interface IVoicePreferenceValues {
+  voiceEnabled: boolean;
+  selectedVoice: string | null; // null uses the browser's default voice
+  speechRate: number; // 0.5-2.0
+  speechVolume: number; // 0-1
+  microphoneSensitivity: number; // 0-1
+  autoPlayResponses: boolean;
+  voiceGender: VoiceGender;
+  voiceLanguage: string;
+}
+
+export type VoicePreferenceField = keyof IVoicePreferenceValues;
+
+/**
+ * Interface for voice preferences as returned by the API
+ */
+export interface IVoicePreferencesResponse extends IVoicePreferenceValues {
+  updatedAt: string | null; // null until the user saves preferences
+}
+
+/**
+ * Values used for fields the user has not set
+ * A sensitivity of 0.3 keeps the frontend's default minimum confidence for recognized speech.
+ */
+export const DEFAULT_VOICE_PREFERENCES: IVoicePreferenceValues = {
+  voiceEnabled: false,
+  selectedVoice: null,
+  speechRate: 1.0,
+  speechVolume: 0.8,
+  microphoneSensitivity: 0.3,
+  autoPlayResponses: true,
+  voiceGender: VOICE_GENDERS.FEMALE,
+  voiceLanguage: 'en-US'
+};
+
+const VOICE_PREFERENCE_FIELDS = Object.keys(DEFAULT_VOICE_PREFERENCES) as VoicePreferenceField[];
+
+/**
+ * Checks whether a value is a number within a range
+ */
+function isInRange(value: unknown, min: number, max: number): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Validates voice preferences
+ * Only fields present in the input are returned; null resets a field to its default.
+ *
+ * @param {Record<string, unknown>} input - Preferences from a request body
+ * @returns {{ errors: string[]; preferences: Partial<IVoicePreferenceValues>; cleared: VoicePreferenceField[] }}
+ *   Problems found, valid values and fields to reset
+ */
+export function validateVoicePreferences(input: Record<string, unknown>): {
+  errors: string[];
+  preferences: Partial<IVoicePreferenceValues>;
+  cleared: VoicePreferenceField[];
+} {
+  const errors: string[] = [];
+  const preferences: Partial<IVoicePreferenceValues> = {};
+  const cleared: VoicePreferenceField[] = [];
+
+  const unknownFields = Object.keys(input).filter(field => !VOICE_PREFERENCE_FIELDS.includes(field as VoicePreferenceField));
+  if (unknownFields.length > 0) {
+    errors.push(`Unknown voice preference fields: ${unknownFields.join(', ')}`);
+  }
+
+  for (const field of VOICE_PREFERENCE_FIELDS) {
+    const value = input[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (value === null) {
+      cleared.push(field);
+      continue;
+    }
+
+    switch (field) {
+      case 'voiceEnabled':
+      case 'autoPlayResponses':
+        if (typeof value === 'boolean') {
+          preferences[field] = value;
+        } else {
+          errors.push(`${field} must be true or false`);
+        }
+        break;
+      case 'selectedVoice':
+        if (typeof value === 'string' && value.trim().length > 0 && value.length <= 100) {
+          preferences.selectedVoice = value.trim();
+        } else {
+          errors.push('selectedVoice must be a voice name of at most 100 characters');
+        }
+        break;
+      case 'speechRate':
+        if (isInRange(value, 0.5, 2.0)) {
+          preferences.speechRate = value;
+        } else {
+          errors.push('speechRate must be a number from 0.5 to 2.0');
+        }
+        break;
+      case 'speechVolume':
+      case 'microphoneSensitivity':
+        if (isInRange(value, 0, 1)) {
+          preferences[field] = value;
+        } else {
+          errors.push(`${field} must be a number from 0 to 1`);
+        }
+        break;
+      case 'voiceGender':
+        if (Object.values(VOICE_GENDERS).includes(value as VoiceGender)) {
+          preferences.voiceGender = value as VoiceGender;
+        } else {
+          errors.push(`voiceGender must be one of: ${Object.values(VOICE_GENDERS).join(', ')}`);
+        }
+        break;
+      case 'voiceLanguage':
+        if (typeof value === 'string' && /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,4})?$/.test(value)) {
+          preferences.voiceLanguage = value;
+        } else {
+          errors.push('voiceLanguage must be a language tag such as en-US');
+        }
+        break;
+    }
+  }
+
+  return { errors, preferences, cleared };
+}
+
+/**
+ * Builds the API representation of stored voice preferences
+ *
+ * @param {IVoicePreference | null} stored - Stored preferences, if any
+ * @returns {IVoicePreferencesResponse} Every field, with defaults for those not set
+ */
+export function toVoicePreferencesResponse(stored: IVoicePreference | null): IVoicePreferencesResponse {
+  const response: IVoicePreferencesResponse = { ...DEFAULT_VOICE_PREFERENCES, updatedAt: null };
+
+  if (stored) {
+    for (const field of VOICE_PREFERENCE_FIELDS) {
+      const value = stored[field];
+      if (value !== undefined && value !== null) {
+        (response as any)[field] = value;
+      }
+    }
+    response.updatedAt = stored.updatedAt ? new Date(stored.updatedAt).toISOString() : null;
+  }
+
+  return response;
+}
+
+/**
+ * Gets a user's voice preferences
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<IVoicePreferencesResponse>} Stored preferences merged over the defaults
+ */
+export async function getVoicePreferences(userId: string): Promise<IVoicePreferencesResponse> {
+  const stored = await VoicePreference.findOne({ userId }).lean<IVoicePreference>();
+  return toVoicePreferencesResponse(stored);
+}
+
+/**
+ * Updates a user's voice preferences
+ * Fields left out keep their stored values. The change is pushed to the
+ * user's open sessions and recorded as a preference_change event.
+ *
+ * @param {string} userId - User ID
+ * @param {Partial<IVoicePreferenceValues>} preferences - Validated values to store
+ * @param {VoicePreferenceField[]} cleared - Fields to reset to their defaults
+ * @param {string} browserInfo - Browser information for analytics
+ * @returns {Promise<IVoicePreferencesResponse>} Preferences after the update
+ */
+export async function updateVoicePreferences(
+  userId: string,
+  preferences: Partial<IVoicePreferenceValues>,
+  cleared: VoicePreferenceField[] = [],
+  browserInfo?: string
+): Promise<IVoicePreferencesResponse> {
+  await VoicePreference.updateOne(
+    { userId },
+    {
+      ...(Object.keys(preferences).length > 0 && { $set: preferences }),
+      ...(cleared.length > 0 && { $unset: Object.fromEntries(cleared.map(field => [field, 1])) })
+    },
+    { upsert: true, runValidators: true }
+  );
+
+  const updated = await getVoicePreferences(userId);
+
+  publishToUser(userId, REALTIME_EVENTS.VOICE_PREFERENCES, updated);
+  await recordVoiceEvent(userId, 'preference_change', { preferences, cleared }, browserInfo);
+
+  return updated;
+}
@@ -0,0 +1,380 @@
+/**
+ * Account Data Routes Tests
+ *
+ * Tests the data export and account deletion endpoints.
+ *
+ * Test Coverage:
+ * - GET /api/auth/me/export - Export bundle contents, including original uploads
+ * - DELETE /api/auth/me - Password and two-factor confirmation
+ * - Cascading deletion across every collection holding the user's data
+ * - Counselor removal from their organizations only
+ *
+ * Related Files:
+ * - src/routes/auth.routes.ts - Routes being tested
+ * - src/services/accountData.service.ts - Export and cascade logic
+ */
+
+import request from 'supertest';
+import app from '../index';
+import { Types } from 'mongoose';
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true, twoFactorEnabled: false }))
+}));
+
+jest.mock('../models/Interview', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Interview'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/Conversation', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Conversation'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/SessionRecording', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/SessionRecording'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/InterviewTranscript', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/InterviewTranscript'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/UploadedFile', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/UploadedFile'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/DocumentChunk', () => ({
+  __esModule: true,
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/Job', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Job'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/AvatarPreference', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/AvatarPreference'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/VoicePreference', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/VoicePreference'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/VoiceAnalyticsEvent', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/VoiceAnalyticsEvent'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/VoiceError', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/VoiceError'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/RefreshToken', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/RefreshToken'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/Assignment', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Assignment'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/RosterMembership', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/RosterMembership'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/Organization', () => ({
+  __esModule: true,
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+jest.mock('../models/ReviewComment', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/ReviewComment'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/Notification', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Notification'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/LoginThrottle', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/LoginThrottle'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/LLMUsage', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/LLMUsage'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+// Authenticate requests as the user whose ID is sent as the bearer token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  const User = require('../models/User').default;
+
+  return {
+    __esModule: true,
+    ...actual,
+    authenticateToken: jest.fn((req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = User.docs.find((entry: any) => String(entry._id) === token);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    })
+  };
+});
+
+import User from '../models/User';
+import Interview from '../models/Interview';
+import Conversation from '../models/Conversation';
+import SessionRecording from '../models/SessionRecording';
+import InterviewTranscript from '../models/InterviewTranscript';
+import UploadedFile from '../models/UploadedFile';
+import DocumentChunk from '../models/DocumentChunk';
+import Job from '../models/Job';
+import AvatarPreference from '../models/AvatarPreference';
+import VoicePreference from '../models/VoicePreference';
+import VoiceAnalyticsEvent from '../models/VoiceAnalyticsEvent';
+import VoiceError from '../models/VoiceError';
+import RefreshToken from '../models/RefreshToken';
+import Assignment from '../models/Assignment';
+import RosterMembership from '../models/RosterMembership';
+import Organization from '../models/Organization';
+import ReviewComment from '../models/ReviewComment';
+import Notification from '../models/Notification';
+import LoginThrottle from '../models/LoginThrottle';
+import LLMUsage from '../models/LLMUsage';
+
+const collections = [
+  User, Interview, Conversation, SessionRecording, InterviewTranscript, UploadedFile, DocumentChunk, Job, AvatarPreference,
+  VoicePreference, VoiceAnalyticsEvent, VoiceError, RefreshToken, Assignment, RosterMembership, Organization, ReviewComment, Notification, LoginThrottle, LLMUsage
+] as any[];
+
+const PASSWORD = 'CorrectHorse1!';
+
+describe('Account Data Routes', () => {
+  let student: any;
+  let counselor: any;
+
+  const auth = (user: any) => ({ Authorization: `Bearer ${user._id.toString()}` });
+
+  const insert = (collection: any, doc: Record<string, any>) =>
+    collection.docs[collection.docs.push({ _id: new Types.ObjectId(), createdAt: new Date(), ...doc }) - 1];
+
+  const addUser = (email: string, role: string, extra: Record<string, any> = {}) => {
+    const user = insert(User, { email, name: email.split('@')[0], role, isActive: true, twoFactorEnabled: false, ...extra });
+    Object.defineProperty(user, 'comparePassword', { value: async (candidate: string) => candidate === PASSWORD });
+    return user;
+  };
+
+  const countFor = (collection: any, field: string, user: any) =>
+    collection.docs.filter((doc: any) => String(doc[field]) === String(user._id)).length;
+
+  beforeEach(() => {
+    collections.forEach(collection => { collection.docs.length = 0; });
+
+    student = addUser('student@example.com', 'student');
+    counselor = addUser('counselor@example.com', 'counselor');
+    const classmate = addUser('classmate@example.com', 'student');
+
+    const organization = insert(Organization, { name: 'Lincoln High', counselorIds: [counselor._id], isActive: true });
+
+    for (const user of [student, classmate]) {
+      const interview = insert(Interview, { userId: user._id, interviewType: 'behavioral' });
+      insert(Conversation, { userId: user._id, interviewId: interview._id, status: 'active', messages: [] });
+      insert(SessionRecording, { userId: user._id, interviewId: interview._id, transcript: [] });
+      const transcript = insert(InterviewTranscript, { userId: user._id, messages: [{ sender: 'user', text: 'Hi' }] });
+      const file = insert(UploadedFile, {
+        userId: user._id, originalName: 'resume.pdf', mimeType: 'application/pdf', extractedText: 'Robotics captain', fileData: Buffer.from('%PDF-1.4')
+      });
+      insert(DocumentChunk, { userId: user._id, fileId: file._id, fileName: 'resume.pdf', chunkIndex: 0, text: 'Robotics captain' });
+      insert(Job, { userId: user._id, type: 'file_processing', status: 'completed', payload: { fileId: file._id.toString() } });
+      insert(AvatarPreference, { userId: user._id.toString(), avatarId: 'professional-female-1' });
+      insert(VoicePreference, { userId: user._id, voiceEnabled: true, speechRate: 1.2 });
+      insert(VoiceAnalyticsEvent, { userId: user._id, event: 'voice_enabled', browser: 'Chrome', device: 'desktop' });
+      insert(VoiceError, { userId: user._id, errorType: 'not-allowed', errorMessage: 'Permission denied', resolved: false });
+      insert(RefreshToken, { userId: user._id, tokenId: new Types.ObjectId().toString() });
+      insert(RosterMembership, { organizationId: organization._id, studentId: user._id, status: 'active' });
+      insert(Assignment, { organizationId: organization._id, counselorId: counselor._id, studentId: user._id });
+      insert(ReviewComment, {
+        targetType: 'transcript', targetId: transcript._id, studentId: user._id, authorId: counselor._id, body: 'Nice'
+      });
+      insert(Notification, { userId: user._id, actorId: counselor._id, type: 'review_comment' });
+      insert(LLMUsage, { userId: user._id, organizationIds: [organization._id], feature: 'chat', totalTokens: 120, costUsd: 0.005 });
+    }
+  });
+
+  describe('GET /api/auth/me/export', () => {
+    it('should return every record stored for the user as a JSON attachment', async () => {
+      const response = await request(app)
+        .get('/api/auth/me/export')
+        .set(auth(student))
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="elocutionist-data-\d{4}-\d{2}-\d{2}\.json"$/);
+      expect(response.body.exportFormatVersion).toBe(2);
+      expect(response.body.user.email).toBe('student@example.com');
+
+      for (const key of [
+        'interviews', 'conversations', 'sessionRecordings', 'interviewTranscripts', 'uploadedFiles',
+        'voiceAnalyticsEvents', 'voiceErrors', 'refreshTokens', 'jobs', 'notifications'
+      ]) {
+        expect(response.body[key]).toHaveLength(1);
+        expect(response.body[key][0].userId).toBe(student._id.toString());
+      }
+      for (const key of ['assignments', 'rosterMemberships', 'reviewComments']) {
+        expect(response.body[key]).toHaveLength(1);
+        expect(response.body[key][0].studentId).toBe(student._id.toString());
+      }
+      expect(response.body.uploadedFiles[0].extractedText).toBe('Robotics captain');
+      expect(response.body.originalFiles).toEqual([{
+        fileId: response.body.uploadedFiles[0]._id,
+        originalName: 'resume.pdf',
+        mimeType: 'application/pdf',
+        encoding: 'base64',
+        data: Buffer.from('%PDF-1.4').toString('base64')
+      }]);
+      expect(response.body.avatarPreference.userId).toBe(student._id.toString());
+      expect(response.body.voicePreference.speechRate).toBe(1.2);
+    });
+
+    it('should require authentication', async () => {
+      await request(app).get('/api/auth/me/export').expect(401);
+    });
+  });
+
+  describe('DELETE /api/auth/me', () => {
+    it('should require the current password', async () => {
+      await request(app).delete('/api/auth/me').set(auth(student)).send({}).expect(400);
+
+      const response = await request(app)
+        .delete('/api/auth/me')
+        .set(auth(student))
+        .send({ password: 'wrong' })
+        .expect(403);
+
+      expect(response.body.code).toBe('PASSWORD_INCORRECT');
+      expect((User as any).docs).toContainEqual(expect.objectContaining({ email: 'student@example.com' }));
+    });
+
+    it('should require a second factor when two-factor authentication is on', async () => {
+      student.twoFactorEnabled = true;
+
+      const response = await request(app)
+        .delete('/api/auth/me')
+        .set(auth(student))
+        .send({ password: PASSWORD })
+        .expect(400);
+
+      expect(response.body.code).toBe('TWO_FACTOR_REQUIRED');
+      expect(countFor(Interview, 'userId', student)).toBe(1);
+    });
+
+    it('should delete the user and cascade across their data only', async () => {
+      insert(LoginThrottle, { scope: 'account', key: 'student@example.com', failures: 2 });
+
+      const response = await request(app)
+        .delete('/api/auth/me')
+        .set(auth(student))
+        .send({ password: PASSWORD })
+        .expect(200);
+
+      expect(response.body.deleted).toMatchObject({
+        interviews: 1,
+        conversations: 1,
+        sessionRecordings: 1,
+        interviewTranscripts: 1,
+        uploadedFiles: 1,
+        documentChunks: 1,
+        jobs: 1,
+        avatarPreferences: 1,
+        voicePreferences: 1,
+        voiceAnalyticsEvents: 1,
+        voiceErrors: 1,
+        refreshTokens: 1,
+        assignments: 1,
+        rosterMemberships: 1,
+        reviewComments: 1,
+        notifications: 1,
+        organizationsLeft: 0,
+        llmUsageAnonymized: 1
+      });
+
+      expect((User as any).docs.map((user: any) => user.email)).not.toContain('student@example.com');
+      for (const [collection, field] of [
+        [Interview, 'userId'], [Conversation, 'userId'], [SessionRecording, 'userId'], [InterviewTranscript, 'userId'],
+        [UploadedFile, 'userId'], [DocumentChunk, 'userId'], [Job, 'userId'], [AvatarPreference, 'userId'],
+        [VoicePreference, 'userId'], [VoiceAnalyticsEvent, 'userId'], [VoiceError, 'userId'],
+        [RefreshToken, 'userId'], [Assignment, 'studentId'], [RosterMembership, 'studentId'], [ReviewComment, 'studentId'],
+        [Notification, 'userId']
+      ] as [any, string][]) {
+        expect(countFor(collection, field, student)).toBe(0);
+        expect(collection.docs).toHaveLength(1);
+      }
+      expect((LoginThrottle as any).docs).toHaveLength(0);
+
+      // Usage stays on the organization's books without the user
+      expect((LLMUsage as any).docs).toHaveLength(2);
+      expect(countFor(LLMUsage, 'userId', student)).toBe(0);
+      expect((LLMUsage as any).docs.filter((entry: any) => entry.userId === undefined)).toHaveLength(1);
+    });
+
+    it('should remove a counselor from their organizations and their comments', async () => {
+      const response = await request(app)
+        .delete('/api/auth/me')
+        .set(auth(counselor))
+        .send({ password: PASSWORD })
+        .expect(200);
+
+      expect(response.body.deleted.organizationsLeft).toBe(1);
+      expect(response.body.deleted.reviewComments).toBe(2);
+      expect(response.body.deleted.notifications).toBe(2);
+      expect((Organization as any).docs[0]).toMatchObject({ counselorIds: [], isActive: false });
+      expect((Assignment as any).docs).toHaveLength(2);
+    });
+
+    it('should leave organizations the counselor was not part of untouched', async () => {
+      const newOrganization = insert(Organization, { name: 'Roosevelt High', counselorIds: [], isActive: true });
+
+      await request(app)
+        .delete('/api/auth/me')
+        .set(auth(counselor))
+        .send({ password: PASSWORD })
+        .expect(200);
+
+      expect(newOrganization.isActive).toBe(true);
+    });
+  });
+});
@@ -17,6 +17,7 @@
  * - src/routes/chat.routes.ts - AI rating endpoints
  * - src/models/InterviewTranscript.ts - Transcript model
  * - src/services/openai.service.ts - AI feedback analysis
+ * - src/services/jobQueue.service.ts - Background rating generation
  * 
  * Task: Steps 2-5 - AI Rating Feature Implementation Testing
  * 
@@ -31,6 +32,7 @@ import mongoose from 'mongoose';
 import User from '../models/User';
 import InterviewTranscript from '../models/InterviewTranscript';
 import { generateToken } from '../services/auth.service';
+import { processNextJob } from '../services/jobQueue.service';
 
 // Mock the OpenAI service to avoid API calls during testing
 jest.mock('../services/openai.service', () => ({
@@ -165,7 +167,7 @@ describe('AI Rating Endpoints', () => {
         .send({ interviewContext: validTranscriptData.interviewContext })
         .expect(400);
 
-      expect(response.body.error).toBe('Messages array is required and cannot be empty');
+      expect(response.body.message).toBe('Messages array is required and cannot be empty');
     });
 
     it('should validate interview context is required', async () => {
@@ -175,7 +177,7 @@ describe('AI Rating Endpoints', () => {
         .send({ messages: validTranscriptData.messages })
         .expect(400);
 
-      expect(response.body.error).toBe('Interview context is required');
+      expect(response.body.message).toBe('Interview context is required');
     });
 
     it('should validate transcript contains user responses', async () => {
@@ -191,7 +193,7 @@ describe('AI Rating Endpoints', () => {
         })
         .expect(400);
 
-      expect(response.body.error).toBe('Transcript must contain user responses');
+      expect(response.body.message).toBe('Transcript must contain user responses');
     });
 
     it('should validate transcript contains AI questions', async () => {
@@ -207,7 +209,7 @@ describe('AI Rating Endpoints', () => {
         })
         .expect(400);
 
-      expect(response.body.error).toBe('Transcript must contain AI questions');
+      expect(response.body.message).toBe('Transcript must contain AI questions');
     });
   });
 
@@ -245,26 +247,35 @@ describe('AI Rating Endpoints', () => {
       transcriptId = transcript._id.toString();
     });
 
-    it('should successfully generate AI rating', async () => {
+    it('should queue AI rating generation and rate the transcript in the background', async () => {
       const response = await request(app)
         .post('/api/chat/generate-rating')
         .set('Authorization', `Bearer ${authToken}`)
         .send({ transcriptId })
-        .expect(200);
+        .expect(202);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('AI rating generated successfully');
-      expect(response.body.rating).toHaveProperty('overallRating');
-      expect(response.body.rating).toHaveProperty('strengths');
-      expect(response.body.rating).toHaveProperty('weaknesses');
-      expect(response.body.rating).toHaveProperty('recommendations');
-      expect(response.body.rating).toHaveProperty('detailedScores');
-      expect(response.body.metadata.transcriptId).toBe(transcriptId);
+      expect(response.body.message).toBe('AI rating generation started');
+      expect(response.body.job).toMatchObject({ type: 'rating_generation', status: 'queued', transcriptId });
+      expect(response.body.statusUrl).toBe(`/api/jobs/${response.body.job.id}`);
+
+      // Requests made while the job is queued return the same job
+      const repeated = await request(app)
+        .post('/api/chat/generate-rating')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ transcriptId })
+        .expect(202);
+      expect(repeated.body.job.id).toBe(response.body.job.id);
+
+      const job = await processNextJob();
+      expect(job?.status).toBe('completed');
 
       // Verify rating was saved to database
       const transcript = await InterviewTranscript.findById(transcriptId);
       expect(transcript?.status).toBe('rated');
       expect(transcript?.aiRating).toBeTruthy();
+      expect(transcript?.aiRating).toHaveProperty('overallRating');
+      expect(transcript?.aiRating).toHaveProperty('detailedScores');
     });
 
     it('should require authentication', async () => {
@@ -281,7 +292,8 @@ describe('AI Rating Endpoints', () => {
         .send({})
         .expect(400);
 
-      expect(response.body.error).toBe('Transcript ID is required');
+      expect(response.body.message).toBe('transcriptId is required');
+      expect(response.body.code).toBe('VALIDATION_ERROR');
     });
 
     it('should validate transcript ID format', async () => {
@@ -291,7 +303,7 @@ describe('AI Rating Endpoints', () => {
         .send({ transcriptId: 'invalid-id' })
         .expect(400);
 
-      expect(response.body.error).toBe('Invalid transcript ID format');
+      expect(response.body.message).toBe('transcriptId must be a valid ID');
     });
 
     it('should return 404 for non-existent transcript', async () => {
@@ -302,7 +314,7 @@ describe('AI Rating Endpoints', () => {
         .send({ transcriptId: fakeId })
         .expect(404);
 
-      expect(response.body.error).toBe('Transcript not found');
+      expect(response.body.message).toBe('Transcript not found');
     });
 
     it('should deny access to other users transcripts', async () => {
@@ -322,7 +334,7 @@ describe('AI Rating Endpoints', () => {
         .send({ transcriptId })
         .expect(403);
 
-      expect(response.body.error).toBe('Access denied: You can only generate ratings for your own transcripts');
+      expect(response.body.message).toBe('Access denied: You can only generate ratings for your own transcripts');
     });
 
     it('should return existing rating if already generated', async () => {
@@ -331,7 +343,8 @@ describe('AI Rating Endpoints', () => {
         .post('/api/chat/generate-rating')
         .set('Authorization', `Bearer ${authToken}`)
         .send({ transcriptId })
-        .expect(200);
+        .expect(202);
+      await processNextJob();
 
       // Second request should return existing rating
       const response = await request(app)
@@ -406,7 +419,7 @@ describe('AI Rating Endpoints', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .expect(400);
 
-      expect(response.body.error).toBe('Invalid transcript ID format');
+      expect(response.body.message).toBe('transcriptId must be a valid ID');
     });
 
     it('should return 404 for non-existent transcript', async () => {
@@ -416,7 +429,7 @@ describe('AI Rating Endpoints', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .expect(404);
 
-      expect(response.body.error).toBe('Transcript not found');
+      expect(response.body.message).toBe('Transcript not found');
     });
 
     it('should deny access to other users ratings', async () => {
@@ -435,7 +448,7 @@ describe('AI Rating Endpoints', () => {
         .set('Authorization', `Bearer ${otherToken}`)
         .expect(403);
 
-      expect(response.body.error).toBe('Access denied: You can only access your own ratings');
+      expect(response.body.message).toBe('Access denied: You can only access your own ratings');
     });
 
     it('should return 404 for transcript without rating', async () => {
@@ -467,7 +480,7 @@ describe('AI Rating Endpoints', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .expect(404);
 
-      expect(response.body.error).toBe('Rating not found');
+      expect(response.body.code).toBe('RATING_NOT_FOUND');
       expect(response.body.message).toBe('AI rating has not been generated for this transcript yet');
     });
   });
@@ -7,6 +7,13 @@
  * Test Coverage:
  * - POST /api/auth/register - User registration with various scenarios
  * - POST /api/auth/login - User authentication with various scenarios
+ * - POST /api/auth/refresh - Refresh token rotation and reuse detection
+ * - POST /api/auth/logout, /logout-all - Server-side token revocation
+ * - Password reset and email verification flows with a captured mail transport
+ * - GET/PATCH /api/auth/me - Profile read and update
+ * - Account lockout after repeated failed logins and unlock by password reset
+ * - TOTP two-factor enrollment, second login step, recovery codes and disabling
+ * - Role checks on admin-only endpoints and admin role assignment
  * - Input validation for all fields
  * - Error handling and response formatting
  * 
@@ -24,7 +31,10 @@ import app from '../index';
 import { connectDB, disconnectDB } from '../config/database';
 import User from '../models/User';
 import { generateToken } from '../services/auth.service';
+import { generateTotpCode, getTotpStep } from '../services/twoFactor.service';
+import { setMailTransport, IMailMessage } from '../services/mailer.service';
 import bcrypt from 'bcryptjs';
+import { Types } from 'mongoose';
 
 // Mock the User model for test mode
 jest.mock('../models/User', () => {
@@ -40,6 +50,7 @@ jest.mock('../models/User', () => {
       name: data.name,
       grade: data.grade,
       targetMajor: data.targetMajor,
+      role: data.role || 'student',
       isEmailVerified: data.isEmailVerified || false,
       isActive: data.isActive !== undefined ? data.isActive : true,
       resetPasswordToken: data.resetPasswordToken,
@@ -145,6 +156,64 @@ jest.mock('../models/User', () => {
     return createQueryBuilder(null);
   });
 
+  UserMock.findById = jest.fn().mockImplementation((id: any) => {
+    const user = mockUsers.find(u => u._id.toString() === id.toString());
+    if (user) {
+      user.toObject = jest.fn().mockReturnValue({ ...user });
+    }
+    const result = Promise.resolve(user || null);
+    return Object.assign(result, { select: jest.fn().mockReturnValue(result) });
+  });
+
+  // Matches the query operators used by the password reset, verification and two-factor flows
+  const matchesQuery = (user: any, query: any) => Object.entries(query).every(([key, value]: [string, any]) => {
+    if (value && typeof value === 'object' && '$gt' in value) {
+      return user[key] !== undefined && user[key] > value.$gt;
+    }
+    if (value && typeof value === 'object' && '$lt' in value) {
+      return user[key] !== undefined && user[key] < value.$lt;
+    }
+    if (Array.isArray(user[key])) {
+      return user[key].includes(value);
+    }
+    return String(user[key]) === String(value);
+  });
+
+  const applyUpdate = (user: any, update: any) => {
+    Object.assign(user, update.$set || {});
+    Object.keys(update.$unset || {}).forEach(key => { user[key] = undefined; });
+    Object.entries(update.$pull || {}).forEach(([key, value]) => {
+      user[key] = (user[key] || []).filter((item: any) => item !== value);
+    });
+  };
+
+  UserMock.updateOne = jest.fn().mockImplementation(async (query: any, update: any) => {
+    const user = mockUsers.find(u => matchesQuery(u, query));
+    if (user) applyUpdate(user, update);
+    return { modifiedCount: user ? 1 : 0 };
+  });
+
+  UserMock.findOneAndUpdate = jest.fn().mockImplementation(async (query: any, update: any) => {
+    const user = mockUsers.find(u => matchesQuery(u, query));
+    if (!user) return null;
+    applyUpdate(user, update);
+    user.save = jest.fn().mockImplementation(async function(this: any) {
+      if (this.password && !this.password.startsWith('$2')) {
+        this.password = await bcrypt.hash(this.password, 12);
+      }
+      return this;
+    });
+    return user;
+  });
+
+  UserMock.findByIdAndUpdate = jest.fn().mockImplementation(async (id: any, update: any) => {
+    const user = mockUsers.find(u => u._id.toString() === id.toString());
+    if (!user) return null;
+    applyUpdate(user, update);
+    user.updatedAt = new Date();
+    return user;
+  });
+
   UserMock.findByEmail = jest.fn().mockImplementation((email: string) => {
     const user = mockUsers.find(u => u.email === email);
     return Promise.resolve(user || null);
@@ -155,9 +224,105 @@ jest.mock('../models/User', () => {
     return Promise.resolve({});
   });
 
+  UserMock.USER_ROLES = jest.requireActual('../models/User').USER_ROLES;
+  UserMock.PROFILE_LIST_LIMITS = jest.requireActual('../models/User').PROFILE_LIST_LIMITS;
+
   return UserMock;
 });
 
+// Mock the RefreshToken model with an in-memory token store
+jest.mock('../models/RefreshToken', () => {
+  const actual = jest.requireActual('../models/RefreshToken');
+  const mockTokens: any[] = [];
+
+  const matches = (token: any, query: any) => Object.entries(query).every(([key, value]: [string, any]) => {
+    if (value && typeof value === 'object' && '$exists' in value) {
+      return value.$exists ? token[key] !== undefined : token[key] === undefined;
+    }
+    return String(token[key]) === String(value);
+  });
+
+  const revokeMatching = (query: any, reason: string) => {
+    const active = mockTokens.filter(t => matches(t, query) && !t.revokedAt);
+    active.forEach(t => { t.revokedAt = new Date(); t.revokedReason = reason; });
+    return active.length;
+  };
+
+  const RefreshTokenMock = {
+    create: jest.fn().mockImplementation(async (data: any) => {
+      const token = { _id: data.tokenId, ...data, save: jest.fn().mockResolvedValue(undefined) };
+      mockTokens.push(token);
+      return token;
+    }),
+    findOne: jest.fn().mockImplementation(async (query: any) => mockTokens.find(t => matches(t, query)) || null),
+    findOneAndUpdate: jest.fn().mockImplementation(async (query: any, update: any) => {
+      const token = mockTokens.find(t => matches(t, query));
+      if (!token) return null;
+      Object.assign(token, update.$set);
+      return token;
+    }),
+    updateOne: jest.fn().mockImplementation(async (query: any, update: any) => {
+      const token = mockTokens.find(t => matches(t, query));
+      if (token) Object.assign(token, update.$set);
+      return { modifiedCount: token ? 1 : 0 };
+    }),
+    revokeForDevice: jest.fn().mockImplementation(async (userId: any, deviceId: string, reason: string) =>
+      revokeMatching({ userId, deviceId }, reason)),
+    revokeAllForUser: jest.fn().mockImplementation(async (userId: any, reason: string) =>
+      revokeMatching({ userId }, reason))
+  };
+
+  return {
+    __esModule: true,
+    ...actual,
+    default: RefreshTokenMock
+  };
+});
+
+// Mock the RevokedToken model with an in-memory revocation list
+jest.mock('../models/RevokedToken', () => {
+  const actual = jest.requireActual('../models/RevokedToken');
+  const mockRevocations: any[] = [];
+
+  const matches = (entry: any, query: any) => Object.entries(query).every(([key, value]: [string, any]) => {
+    if (value && typeof value === 'object' && '$gt' in value) {
+      return entry[key] > value.$gt;
+    }
+    if (value && typeof value === 'object' && '$gte' in value) {
+      return entry[key] >= value.$gte;
+    }
+    return String(entry[key]) === String(value);
+  });
+
+  return {
+    __esModule: true,
+    ...actual,
+    default: {
+      create: jest.fn().mockImplementation(async (data: any) => {
+        mockRevocations.push(data);
+        return data;
+      }),
+      updateOne: jest.fn().mockImplementation(async (query: any, update: any) => {
+        if (!mockRevocations.some(entry => matches(entry, query))) {
+          mockRevocations.push(update.$setOnInsert);
+        }
+        return { acknowledged: true };
+      }),
+      exists: jest.fn().mockImplementation(async (query: any) =>
+        query.$or.some((condition: any) => mockRevocations.some(entry => matches(entry, condition)))
+          ? { _id: 'revoked' }
+          : null)
+    }
+  };
+});
+
+// Mock the LoginThrottle model with in-memory failure counters
+jest.mock('../models/LoginThrottle', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/LoginThrottle'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
 describe('Auth Routes', () => {
   // Setup before all tests
   beforeAll(async () => {
@@ -206,6 +371,8 @@ describe('Auth Routes', () => {
           message: 'User registered successfully. Welcome to AI Interview Coach!',
           token: expect.any(String),
           expiresAt: expect.any(String),
+          refreshToken: expect.any(String),
+          refreshTokenExpiresAt: expect.any(String),
           user: {
             id: expect.any(String),
             email: 'test@example.com',
@@ -217,6 +384,11 @@ describe('Auth Routes', () => {
 
         // Verify password is not included in response
         expect(response.body.user.password).toBeUndefined();
+
+        // Access tokens are short-lived; the refresh token keeps the session
+        const accessLifetimeMs = new Date(response.body.expiresAt).getTime() - Date.now();
+        expect(accessLifetimeMs).toBeGreaterThan(14 * 60 * 1000);
+        expect(accessLifetimeMs).toBeLessThanOrEqual(15 * 60 * 1000);
       });
 
       test('should register user with minimal required data', async () => {
@@ -399,6 +571,8 @@ describe('Auth Routes', () => {
           message: 'Login successful. Welcome back!',
           token: expect.any(String),
           expiresAt: expect.any(String),
+          refreshToken: expect.any(String),
+          refreshTokenExpiresAt: expect.any(String),
           user: {
             id: expect.any(String),
             email: 'login@example.com',
@@ -488,4 +662,767 @@ describe('Auth Routes', () => {
       });
     });
   });
-}); 
\ No newline at end of file
+
+  describe('POST /api/auth/refresh', () => {
+    const loginAndGetRefreshToken = async (deviceId: string): Promise<string> => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'refresh@example.com',
+          password: 'TestPassword123!',
+          name: 'Refresh User'
+        });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('X-Device-Id', deviceId)
+        .send({ email: 'refresh@example.com', password: 'TestPassword123!' })
+        .expect(200);
+
+      return response.body.refreshToken;
+    };
+
+    test('should require a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(400);
+
+      expect(response.body.message).toContain('Refresh token');
+    });
+
+    test('should issue a new token pair and rotate the refresh token', async () => {
+      const refreshToken = await loginAndGetRefreshToken('device-rotate');
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .set('X-Device-Id', 'device-rotate')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        token: expect.any(String),
+        refreshToken: expect.any(String)
+      });
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+    });
+
+    test('should reject a replayed refresh token and revoke its successor', async () => {
+      const refreshToken = await loginAndGetRefreshToken('device-replay');
+
+      const firstRefresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(replay.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: firstRefresh.body.refreshToken })
+        .expect(401);
+    });
+
+    test('should not accept an access token as a refresh token', async () => {
+      const { token } = generateToken(new Types.ObjectId().toString(), 'access@example.com');
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: token })
+        .expect(401);
+
+      expect(response.body.code).toBe('REFRESH_TOKEN_INVALID');
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    const loginAs = async (email: string, deviceId: string) => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'TestPassword123!', name: 'Logout User' });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('X-Device-Id', deviceId)
+        .send({ email, password: 'TestPassword123!' })
+        .expect(200);
+
+      return response.body;
+    };
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .expect(401);
+    });
+
+    test('should revoke the access token and refresh token of the session', async () => {
+      const session = await loginAs('logout@example.com', 'device-logout');
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(401);
+
+      expect(reuse.body.message).toContain('revoked');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+    });
+
+    test('should revoke sessions on every device with logout-all', async () => {
+      const laptop = await loginAs('logout-all@example.com', 'device-laptop');
+      const tablet = await loginAs('logout-all@example.com', 'device-tablet');
+
+      await new Promise(resolve => setTimeout(resolve, 1000)); // Tokens issued in an earlier second
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${tablet.token}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${laptop.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: laptop.refreshToken })
+        .expect(401);
+    });
+
+    test('should accept a login in the same second as logout-all', async () => {
+      const session = await loginAs('relogin@example.com', 'device-relogin');
+
+      // Freeze the clock mid-second so the revocation and the new token share it
+      jest.useFakeTimers({
+        now: Math.floor(Date.now() / 1000) * 1000 + 1500,
+        doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask']
+      });
+
+      try {
+        await request(app)
+          .post('/api/auth/logout-all')
+          .set('Authorization', `Bearer ${session.token}`)
+          .expect(200);
+
+        const relogin = await request(app)
+          .post('/api/auth/login')
+          .set('X-Device-Id', 'device-relogin')
+          .send({ email: 'relogin@example.com', password: 'TestPassword123!' })
+          .expect(200);
+
+        await request(app)
+          .get('/api/auth/me')
+          .set('Authorization', `Bearer ${relogin.body.token}`)
+          .expect(200);
+
+        await request(app)
+          .get('/api/auth/me')
+          .set('Authorization', `Bearer ${session.token}`)
+          .expect(401);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should revoke a token issued earlier in the same second as logout-all', async () => {
+      const session = await loginAs('samesecond@example.com', 'device-same-second');
+      const secondStart = Math.ceil(Date.now() / 1000) * 1000 + 1000;
+
+      jest.useFakeTimers({
+        now: secondStart + 100,
+        doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask']
+      });
+
+      try {
+        // A refresh moments before logout-all, e.g. by someone holding a stolen refresh token
+        const refreshed = await request(app)
+          .post('/api/auth/refresh')
+          .set('X-Device-Id', 'device-same-second')
+          .send({ refreshToken: session.refreshToken })
+          .expect(200);
+
+        jest.setSystemTime(secondStart + 600);
+
+        await request(app)
+          .post('/api/auth/logout-all')
+          .set('Authorization', `Bearer ${session.token}`)
+          .expect(200);
+
+        await request(app)
+          .get('/api/auth/me')
+          .set('Authorization', `Bearer ${refreshed.body.token}`)
+          .expect(401);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('Password reset and email verification', () => {
+    const sentMail: IMailMessage[] = [];
+
+    // Emails are sent without blocking the response; let them finish
+    const flushMail = () => new Promise(resolve => setImmediate(resolve));
+
+    const extractToken = (message: IMailMessage | undefined, param: string): string => {
+      const match = message?.text.match(new RegExp(`${param}=([^\\s]+)`));
+      return match ? decodeURIComponent(match[1] as string) : '';
+    };
+
+    const registerUser = async (email: string) => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'TestPassword123!', name: 'Mail User' })
+        .expect(201);
+      await flushMail();
+      return response.body;
+    };
+
+    beforeAll(() => {
+      setMailTransport({
+        name: 'test',
+        send: async message => { sentMail.push(message); }
+      });
+    });
+
+    afterAll(() => {
+      setMailTransport(null);
+    });
+
+    beforeEach(() => {
+      sentMail.length = 0;
+    });
+
+    test('should respond identically for unknown emails without sending mail', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toContain('If an account exists');
+      expect(sentMail).toHaveLength(0);
+    });
+
+    test('should reset the password once with the emailed token', async () => {
+      const session = await registerUser('reset@example.com');
+      sentMail.length = 0;
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' })
+        .expect(200);
+
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0]?.to).toBe('reset@example.com');
+      const resetToken = extractToken(sentMail[0], 'resetToken');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'NewPassword456!' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'reset@example.com', password: 'NewPassword456!' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'reset@example.com', password: 'TestPassword123!' })
+        .expect(401);
+
+      const reuse = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'AnotherPassword789!' })
+        .expect(400);
+
+      expect(reuse.body.code).toBe('RESET_TOKEN_INVALID');
+
+      // Sessions from before the reset are logged out
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+    });
+
+    test('should reject weak passwords and non-reset tokens', async () => {
+      const { token } = await registerUser('weak-reset@example.com');
+
+      const weak = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'weak' })
+        .expect(400);
+
+      expect(weak.body.details).toEqual(expect.any(Array));
+
+      const wrongType = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'NewPassword456!' })
+        .expect(400);
+
+      expect(wrongType.body.code).toBe('RESET_TOKEN_INVALID');
+    });
+
+    test('should verify the email address from the registration email', async () => {
+      const session = await registerUser('verify@example.com');
+
+      expect(session.user.isEmailVerified).toBe(false);
+      const verifyToken = extractToken(sentMail[0], 'verifyToken');
+
+      // Link tokens are not accepted as access tokens
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${verifyToken}`)
+        .expect(401);
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verifyToken })
+        .expect(200);
+
+      expect(response.body.user).toMatchObject({ email: 'verify@example.com', isEmailVerified: true });
+
+      const reuse = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verifyToken })
+        .expect(400);
+
+      expect(reuse.body.code).toBe('VERIFICATION_TOKEN_INVALID');
+    });
+
+    test('should resend the verification email to unverified users', async () => {
+      const session = await registerUser('resend@example.com');
+      sentMail.length = 0;
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0]?.subject).toContain('Verify');
+    });
+  });
+
+  describe('GET/PATCH /api/auth/me', () => {
+    const registerProfileUser = async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'profile@example.com',
+          password: 'TestPassword123!',
+          name: 'Profile User',
+          grade: 11,
+          targetMajor: 'Biology'
+        })
+        .expect(201);
+      return response.body.token as string;
+    };
+
+    test('should require authentication', async () => {
+      await request(app).get('/api/auth/me').expect(401);
+      await request(app).patch('/api/auth/me').send({ grade: 12 }).expect(401);
+    });
+
+    test('should return the current profile', async () => {
+      const token = await registerProfileUser();
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.user).toMatchObject({
+        email: 'profile@example.com',
+        name: 'Profile User',
+        grade: 11,
+        targetMajor: 'Biology',
+        targetColleges: [],
+        strengths: [],
+        isProfileComplete: false
+      });
+      expect(response.body.user.password).toBeUndefined();
+    });
+
+    test('should update only the provided fields and normalize lists', async () => {
+      const token = await registerProfileUser();
+
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          targetColleges: [' MIT ', 'Stanford', 'MIT', ''],
+          strengths: ['Curiosity'],
+          targetMajor: null
+        })
+        .expect(200);
+
+      expect(response.body.user).toMatchObject({
+        name: 'Profile User',
+        grade: 11,
+        targetColleges: ['MIT', 'Stanford'],
+        strengths: ['Curiosity']
+      });
+      expect(response.body.user.targetMajor).toBeUndefined();
+
+      const profile = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(profile.body.user.targetColleges).toEqual(['MIT', 'Stanford']);
+    });
+
+    test('should reject invalid values and non-profile fields', async () => {
+      const token = await registerProfileUser();
+
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          grade: 13,
+          strengths: Array.from({ length: 11 }, (_, i) => `Strength ${i}`),
+          email: 'changed@example.com'
+        })
+        .expect(400);
+
+      expect(response.body.details).toEqual(expect.arrayContaining([
+        'Grade must be a whole number between 1 and 12',
+        'Strengths cannot have more than 10 entries',
+        'These fields cannot be updated here: email'
+      ]));
+    });
+  });
+
+  describe('Account lockout', () => {
+    const sentMail: IMailMessage[] = [];
+
+    beforeAll(() => {
+      setMailTransport({ name: 'test', send: async message => { sentMail.push(message); } });
+    });
+
+    afterAll(() => {
+      setMailTransport(null);
+    });
+
+    const failLogin = (email: string) => request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'WrongPassword123!' });
+
+    test('should lock the account after repeated failures, even for the right password', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'locked@example.com', password: 'TestPassword123!', name: 'Locked User' })
+        .expect(201);
+
+      for (let attempt = 1; attempt < 5; attempt++) {
+        await failLogin('locked@example.com').expect(401);
+      }
+
+      const lockResponse = await failLogin('locked@example.com').expect(423);
+      expect(lockResponse.body.code).toBe('ACCOUNT_LOCKED');
+      expect(lockResponse.headers['retry-after']).toBe(String(lockResponse.body.retryAfterSeconds));
+
+      const correctPassword = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'locked@example.com', password: 'TestPassword123!' })
+        .expect(423);
+
+      expect(correctPassword.body.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    test('should throttle unknown emails the same way', async () => {
+      for (let attempt = 1; attempt < 5; attempt++) {
+        await failLogin('ghost@example.com').expect(401);
+      }
+
+      const response = await failLogin('ghost@example.com').expect(423);
+      expect(response.body.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    test('should unlock the account through a password reset', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'unlock@example.com', password: 'TestPassword123!', name: 'Unlock User' })
+        .expect(201);
+
+      for (let attempt = 1; attempt <= 5; attempt++) {
+        await failLogin('unlock@example.com');
+      }
+
+      sentMail.length = 0;
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'unlock@example.com' })
+        .expect(200);
+
+      const match = sentMail[0]?.text.match(/resetToken=([^\s]+)/);
+      const resetToken = decodeURIComponent(match ? match[1] as string : '');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'NewPassword456!' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'unlock@example.com', password: 'NewPassword456!' })
+        .expect(200);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const login = () => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'twofactor@example.com', password: 'TestPassword123!' });
+
+    // Registers a user and completes enrollment
+    const enrollUser = async () => {
+      const registration = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'twofactor@example.com', password: 'TestPassword123!', name: 'Two Factor User' })
+        .expect(201);
+      const accessToken = registration.body.token as string;
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      const secret = setup.body.secret as string;
+
+      const enrollStep = getTotpStep();
+      const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: generateTotpCode(secret, enrollStep) })
+        .expect(200);
+
+      return { accessToken, setup: setup.body, secret, enrollStep, recoveryCodes: enable.body.recoveryCodes as string[] };
+    };
+
+    test('should enroll with a provisioning QR code and a confirming code', async () => {
+      const { accessToken, setup, recoveryCodes } = await enrollUser();
+
+      expect(setup.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+      expect(setup.otpauthUri).toContain(`secret=${setup.secret}`);
+      expect(setup.qrCodeDataUrl).toMatch(/^data:image\/png;base64,/);
+      expect(recoveryCodes).toHaveLength(10);
+
+      const profile = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(profile.body.user.twoFactorEnabled).toBe(true);
+      expect(profile.body.user.twoFactorSecret).toBeUndefined();
+
+      const again = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(409);
+
+      expect(again.body.code).toBe('TWO_FACTOR_ALREADY_ENABLED');
+    });
+
+    test('should reject a wrong confirming code', async () => {
+      const registration = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'twofactor@example.com', password: 'TestPassword123!', name: 'Two Factor User' })
+        .expect(201);
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${registration.body.token}`)
+        .expect(200);
+
+      const wrongCode = generateTotpCode(setup.body.secret, getTotpStep() + 5);
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${registration.body.token}`)
+        .send({ code: wrongCode })
+        .expect(400);
+
+      expect(response.body.code).toBe('TWO_FACTOR_CODE_INVALID');
+    });
+
+    test('should require a second step and reject replayed codes', async () => {
+      const { secret, enrollStep } = await enrollUser();
+
+      const firstStep = await login().expect(200);
+      expect(firstStep.body.twoFactorRequired).toBe(true);
+      expect(firstStep.body.token).toBeUndefined();
+
+      // The challenge token cannot be used to access resources
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${firstStep.body.challengeToken}`)
+        .expect(401);
+
+      // The code used for enrollment has already been consumed
+      const replay = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: firstStep.body.challengeToken, code: generateTotpCode(secret, enrollStep) })
+        .expect(401);
+
+      expect(replay.body.code).toBe('TWO_FACTOR_CODE_INVALID');
+
+      const code = generateTotpCode(secret, enrollStep + 1);
+      const secondStep = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: firstStep.body.challengeToken, code })
+        .expect(200);
+
+      expect(secondStep.body.token).toBeDefined();
+      expect(secondStep.body.refreshToken).toBeDefined();
+      expect(secondStep.body.user.twoFactorEnabled).toBe(true);
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: firstStep.body.challengeToken, code })
+        .expect(401);
+    });
+
+    test('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enrollUser();
+      const { body } = await login().expect(200);
+      const recoveryCode = (recoveryCodes[0] as string).toUpperCase();
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, recoveryCode })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, recoveryCode })
+        .expect(401);
+
+      expect(reuse.body.code).toBe('TWO_FACTOR_CODE_INVALID');
+    });
+
+    test('should disable two-factor authentication with a recovery code', async () => {
+      const { accessToken, recoveryCodes } = await enrollUser();
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({})
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ recoveryCode: recoveryCodes[1] })
+        .expect(200);
+
+      const response = await login().expect(200);
+      expect(response.body.twoFactorRequired).toBeUndefined();
+      expect(response.body.token).toBeDefined();
+    });
+  });
+
+  describe('Role-based access control', () => {
+    const registerUser = async (email: string) => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'TestPassword123!', name: 'Role User' })
+        .expect(201);
+      return { token: response.body.token as string, id: response.body.user.id as string };
+    };
+
+    const registerAdmin = async () => {
+      const admin = await registerUser('admin@example.com');
+      await User.findByIdAndUpdate(admin.id, { $set: { role: 'admin' } });
+      return admin;
+    };
+
+    test('should register new users as students', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'student@example.com', password: 'TestPassword123!', name: 'Student User' })
+        .expect(201);
+
+      expect(response.body.user.role).toBe('student');
+    });
+
+    test('should keep system-wide analytics admin-only', async () => {
+      const student = await registerUser('student@example.com');
+
+      const response = await request(app)
+        .get('/api/uploads/analytics/dashboard')
+        .set('Authorization', `Bearer ${student.token}`)
+        .expect(403);
+
+      expect(response.body).toMatchObject({ error: 'Forbidden', code: 'FORBIDDEN' });
+
+      await request(app)
+        .get('/api/chat/voice-analytics')
+        .set('Authorization', `Bearer ${student.token}`)
+        .expect(403);
+    });
+
+    test('should let an admin change another user\'s role', async () => {
+      const admin = await registerAdmin();
+      const student = await registerUser('student@example.com');
+
+      const response = await request(app)
+        .patch(`/api/auth/users/${student.id}/role`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ role: 'counselor' })
+        .expect(200);
+
+      expect(response.body.user).toMatchObject({ id: student.id, role: 'counselor' });
+
+      const profile = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${student.token}`)
+        .expect(200);
+
+      expect(profile.body.user.role).toBe('counselor');
+    });
+
+    test('should reject role changes from non-admins, invalid roles and self-demotion', async () => {
+      const admin = await registerAdmin();
+      const student = await registerUser('student@example.com');
+
+      await request(app)
+        .patch(`/api/auth/users/${admin.id}/role`)
+        .set('Authorization', `Bearer ${student.token}`)
+        .send({ role: 'student' })
+        .expect(403);
+
+      const invalid = await request(app)
+        .patch(`/api/auth/users/${student.id}/role`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ role: 'superuser' })
+        .expect(400);
+      expect(invalid.body.code).toBe('INVALID_ROLE');
+
+      const self = await request(app)
+        .patch(`/api/auth/users/${admin.id}/role`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ role: 'student' })
+        .expect(400);
+      expect(self.body.code).toBe('CANNOT_CHANGE_OWN_ROLE');
+    });
+  });
+});
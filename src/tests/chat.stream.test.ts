@@ -0,0 +1,186 @@
+/**
+ * Streaming Chat Tests
+ *
+ * Tests the Server-Sent Events variants of the chat endpoints.
+ *
+ * Test Coverage:
+ * - POST /api/chat/stream - Chunk and done events, voice mode
+ * - POST /api/chat/authenticated/stream - Authentication
+ * - Errors before and after the stream has started
+ *
+ * Related Files:
+ * - src/routes/chat.routes.ts - Routes being tested
+ * - src/services/openai.service.ts - Streaming chat completions
+ * - src/services/llmProvider.service.ts - Scripted mock provider
+ */
+
+import request from 'supertest';
+import app from '../index';
+import { Types } from 'mongoose';
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+jest.mock('../models/RosterMembership', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/RosterMembership'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/LLMUsage', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/LLMUsage'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+// Authenticate requests as the user whose ID is sent as the bearer token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  const User = require('../models/User').default;
+
+  return {
+    __esModule: true,
+    ...actual,
+    authenticateToken: jest.fn((req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = User.docs.find((entry: any) => String(entry._id) === token);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    })
+  };
+});
+
+import User from '../models/User';
+import LLMUsage from '../models/LLMUsage';
+import { createMockProvider, setLLMProvider, IMockLLMProvider } from '../services/llmProvider.service';
+
+const messages = [
+  { role: 'system', content: 'You are an interviewer.' },
+  { role: 'user', content: "I'm ready." }
+];
+
+/**
+ * Parses a Server-Sent Events body into { event, data } entries
+ */
+const parseEvents = (body: string) => body
+  .split('\n\n')
+  .filter(block => block.trim())
+  .map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine!.replace('event: ', ''), data: JSON.parse(dataLine!.replace('data: ', '')) };
+  });
+
+describe('Streaming Chat Routes', () => {
+  let provider: IMockLLMProvider;
+
+  const scriptReplies = (...replies: (string | Error)[]) => {
+    provider = createMockProvider({ replies });
+    setLLMProvider(provider);
+  };
+
+  beforeEach(() => {
+    (User as any).docs.length = 0;
+    (LLMUsage as any).docs.length = 0;
+    scriptReplies();
+  });
+
+  afterAll(() => {
+    setLLMProvider(null);
+  });
+
+  describe('POST /api/chat/stream', () => {
+    it('should send the reply as chunk events followed by a done event', async () => {
+      scriptReplies('Tell me about yourself.');
+
+      const response = await request(app)
+        .post('/api/chat/stream')
+        .send({ messages })
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      expect(parseEvents(response.text)).toEqual([
+        { event: 'chunk', data: { text: 'Tell ' } },
+        { event: 'chunk', data: { text: 'me ' } },
+        { event: 'chunk', data: { text: 'about ' } },
+        { event: 'chunk', data: { text: 'yourself.' } },
+        { event: 'done', data: expect.objectContaining({ message: 'Tell me about yourself.', contentUsed: false }) }
+      ]);
+    });
+
+    it('should stream whole sentences optimized for speech in voice mode', async () => {
+      scriptReplies('Welcome back. Why does this college appeal to you? Take your time.');
+
+      const response = await request(app)
+        .post('/api/chat/stream')
+        .send({ messages, voiceMode: true })
+        .expect(200);
+
+      expect(parseEvents(response.text)).toEqual([
+        { event: 'chunk', data: { text: 'Welcome back.' } },
+        { event: 'chunk', data: { text: ' Why does this college appeal to you?' } },
+        { event: 'chunk', data: { text: ' Take your time.' } },
+        { event: 'done', data: expect.objectContaining({ message: 'Welcome back. Why does this college appeal to you? Take your time.' }) }
+      ]);
+
+      // Voice instructions are added to the prompt and the reply is kept short
+      expect(provider.requests[0]!.max_tokens).toBe(600);
+      expect(provider.requests[0]!.messages[0]!.content).not.toBe(messages[0]!.content);
+    });
+
+    it('should report a failure after the stream started as an error event', async () => {
+      scriptReplies(new Error('connection reset'));
+
+      const response = await request(app)
+        .post('/api/chat/stream')
+        .send({ messages })
+        .expect(200);
+
+      expect(parseEvents(response.text)).toEqual([
+        { event: 'error', data: { error: 'Chat completion failed: connection reset' } }
+      ]);
+    });
+
+    it('should reject invalid messages before streaming', async () => {
+      const response = await request(app)
+        .post('/api/chat/stream')
+        .send({ messages: 'hello' })
+        .expect(400);
+
+      expect(response.body).toMatchObject({
+        error: 'Bad Request',
+        message: 'messages must be an array',
+        code: 'VALIDATION_ERROR'
+      });
+      expect(provider.requests).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/chat/authenticated/stream', () => {
+    it('should require authentication and stream with the reduced voice token limit', async () => {
+      await request(app).post('/api/chat/authenticated/stream').send({ messages }).expect(401);
+
+      const user = { _id: new Types.ObjectId(), email: 'student@example.com', role: 'student', isActive: true };
+      (User as any).docs.push(user);
+      scriptReplies('Welcome back.');
+
+      const response = await request(app)
+        .post('/api/chat/authenticated/stream')
+        .set('Authorization', `Bearer ${user._id.toString()}`)
+        .send({ messages, voiceMode: true })
+        .expect(200);
+
+      expect(provider.requests[0]).toMatchObject({ temperature: 0.7, max_tokens: 800 });
+      expect(parseEvents(response.text).pop()).toMatchObject({ event: 'done', data: { message: 'Welcome back.' } });
+
+      // The streamed reply is metered for the user
+      expect((LLMUsage as any).docs).toHaveLength(1);
+      expect((LLMUsage as any).docs[0]).toMatchObject({ userId: user._id, feature: 'chat', completionTokens: 4 });
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Context Budget Service Tests
+ *
+ * Tests token counting with the model's BPE tokenizer and how the context
+ * window is split between the system prompt, uploaded content, conversation
+ * history and the reply.
+ *
+ * Test Coverage:
+ * - tokenizer.service - Token counts, truncation and context window sizes
+ * - planContextBudget - Reply reserve, content cap and history share
+ * - fitMessagesToBudget - Dropping the oldest turns
+ * - selectRelevantContent - Cited passages within a token budget
+ * - POST /api/chat - Long conversations trimmed to the context window
+ *
+ * Related Files:
+ * - src/services/tokenizer.service.ts - Token counting
+ * - src/services/contextBudget.service.ts - Service being tested
+ * - src/services/contentIntegration.service.ts - Uploaded content sizing
+ */
+
+jest.mock('../models/DocumentChunk', () => ({
+  __esModule: true,
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+import request from 'supertest';
+import { Types } from 'mongoose';
+import app from '../index';
+import {
+  countTokens,
+  countMessageTokens,
+  truncateToTokens,
+  getEncodingForModel,
+  getContextWindow
+} from '../services/tokenizer.service';
+import { planContextBudget, fitMessagesToBudget } from '../services/contextBudget.service';
+import { selectRelevantContent } from '../services/contentIntegration.service';
+import { createMockProvider, setLLMProvider, IMockLLMProvider } from '../services/llmProvider.service';
+
+const system = { role: 'system', content: 'You are a college admissions interviewer.' };
+
+/**
+ * Builds a conversation of alternating turns, each about `words` tokens long
+ */
+const conversation = (turns: number, words: number) => Array.from({ length: turns }, (_, index) => ({
+  role: index % 2 === 0 ? 'user' : 'assistant',
+  content: `Turn ${index}:` + ' robotics'.repeat(words)
+}));
+
+describe('Context Budget Service', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setLLMProvider(null);
+  });
+
+  describe('tokenizer', () => {
+    it("should count tokens with the model's encoding", () => {
+      expect(countTokens('Tell me about yourself.')).toBe(5);
+      expect(countTokens('')).toBe(0);
+
+      // Non-English text is far off the 4-characters-per-token rule
+      expect(countTokens('héllo wörld 日本語', 'gpt-4')).toBe(10);
+      expect(countTokens('héllo wörld 日本語', 'gpt-4o-2024-08-06')).toBe(7);
+
+      expect(getEncodingForModel('gpt-4o-mini')).toBe('o200k_base');
+      expect(getEncodingForModel('gpt-3.5-turbo-0125')).toBe('cl100k_base');
+      expect(getEncodingForModel('llama3')).toBe('cl100k_base');
+    });
+
+    it('should count the chat format overhead of every message', () => {
+      const messages = [system, { role: 'user', content: "I'm ready." }];
+      const contentTokens = messages.reduce((sum, message) => sum + countTokens(message.role) + countTokens(message.content), 0);
+
+      expect(countMessageTokens(messages)).toBe(contentTokens + 3 * messages.length + 3);
+    });
+
+    it('should truncate on token boundaries without breaking characters', () => {
+      expect(truncateToTokens('Tell me about yourself.', 3)).toBe('Tell me about');
+      expect(truncateToTokens('Tell me about yourself.', 50)).toBe('Tell me about yourself.');
+      expect(truncateToTokens('日本語', 3)).toBe('日本');
+      expect(truncateToTokens('anything', 0)).toBe('');
+    });
+
+    it('should know context windows and honor LLM_CONTEXT_WINDOW', () => {
+      expect(getContextWindow('gpt-4')).toBe(8192);
+      expect(getContextWindow('gpt-4-0613')).toBe(8192);
+      expect(getContextWindow('gpt-4o-2024-08-06')).toBe(128000);
+      expect(getContextWindow('llama3')).toBe(8192);
+
+      process.env.LLM_CONTEXT_WINDOW = '32768';
+      expect(getContextWindow('llama3')).toBe(32768);
+    });
+  });
+
+  describe('planContextBudget', () => {
+    it('should grant uploaded content its cap when the conversation is short', () => {
+      const messages = [system, ...conversation(2, 20)];
+      const budget = planContextBudget({ messages, maxResponseTokens: 1000, maxContentTokens: 2000 });
+
+      expect(budget).toMatchObject({
+        model: 'gpt-4',
+        contextWindow: 8192,
+        safetyMargin: 410,
+        responseTokens: 1000,
+        promptTokens: 8192 - 410 - 1000,
+        systemTokens: countMessageTokens([system]),
+        contentTokens: 2000
+      });
+      expect(budget.systemTokens + budget.historyTokens).toBe(countMessageTokens(messages));
+    });
+
+    it('should keep half of the remaining room for a long conversation', () => {
+      const messages = [system, ...conversation(40, 200)];
+      const budget = planContextBudget({ messages, maxResponseTokens: 1000, maxContentTokens: 5000 });
+      const available = budget.promptTokens - budget.systemTokens;
+
+      expect(budget.historyTokens).toBeGreaterThan(available);
+      expect(budget.contentTokens).toBe(available - Math.ceil(available / 2));
+    });
+
+    it('should limit the reply to a quarter of a small context window', () => {
+      process.env.LLM_CONTEXT_WINDOW = '2048';
+
+      const budget = planContextBudget({ messages: [system], maxResponseTokens: 1000 });
+
+      expect(budget).toMatchObject({ contextWindow: 2048, responseTokens: 512, contentTokens: 0 });
+    });
+  });
+
+  describe('fitMessagesToBudget', () => {
+    it('should drop the oldest turns and keep the system prompt and latest turn', () => {
+      const messages = [system, ...conversation(40, 200)];
+      const budget = planContextBudget({ messages, maxResponseTokens: 1000 });
+
+      const fitted = fitMessagesToBudget(messages, budget);
+
+      expect(fitted.droppedMessages).toBeGreaterThan(0);
+      expect(fitted.messages[0]).toBe(system);
+      expect(fitted.messages[fitted.messages.length - 1]).toBe(messages[messages.length - 1]);
+      expect(fitted.messages[1]).toBe(messages[1 + fitted.droppedMessages]);
+      expect(fitted.promptTokens).toBe(countMessageTokens(fitted.messages));
+      expect(fitted.promptTokens).toBeLessThanOrEqual(budget.promptTokens);
+
+      const short = [system, ...conversation(2, 20)];
+      expect(fitMessagesToBudget(short, budget)).toMatchObject({ messages: short, droppedMessages: 0 });
+    });
+  });
+
+  describe('selectRelevantContent', () => {
+    const userId = new Types.ObjectId();
+    const files = [
+      { _id: new Types.ObjectId(), userId, originalName: 'resume.pdf', extractedText: 'Robotics team captain.' + ' Led the build season.'.repeat(500) },
+      { _id: new Types.ObjectId(), userId, originalName: 'essay.docx', extractedText: 'Why I want to study engineering.' }
+    ] as any[];
+
+    it('should cite the matching passages within the token budget', async () => {
+      const content = await selectRelevantContent(files, 'Tell me about robotics.', 300);
+
+      expect(content).toMatch(/^\[1\] resume\.pdf, passage 1\nRobotics team captain\./);
+      expect(content).not.toContain('essay.docx');
+      expect(countTokens(content!)).toBeLessThanOrEqual(300);
+    });
+
+    it('should fall back to opening passages, and return nothing without a budget', async () => {
+      const essay = await selectRelevantContent(files.slice(1), '', 300);
+      expect(essay).toBe('[1] essay.docx, passage 1\nWhy I want to study engineering.');
+
+      expect(await selectRelevantContent(files, '', 0)).toBeNull();
+    });
+  });
+
+  describe('POST /api/chat', () => {
+    let provider: IMockLLMProvider;
+
+    beforeEach(() => {
+      provider = createMockProvider({ replies: ['What drew you to robotics?'] });
+      setLLMProvider(provider);
+    });
+
+    it('should send a long conversation trimmed to the context window', async () => {
+      const messages = [system, ...conversation(41, 200)];
+
+      const response = await request(app).post('/api/chat').send({ messages }).expect(200);
+
+      expect(response.body.message).toBe('What drew you to robotics?');
+
+      const sent = provider.requests[0]!;
+      expect(sent.max_tokens).toBe(1000);
+      expect(sent.messages[0]).toEqual(system);
+      expect(sent.messages[sent.messages.length - 1]).toEqual(messages[messages.length - 1]);
+      expect(sent.messages.length).toBeLessThan(messages.length);
+      expect(countMessageTokens(sent.messages) + 1000).toBeLessThanOrEqual(8192);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Conversation Routes Tests
+ *
+ * Tests the server-side conversation resource and ending an interview from a
+ * stored conversation.
+ *
+ * Test Coverage:
+ * - POST /api/conversations - Starting a conversation and linked records
+ * - GET /api/conversations(/:id) - Resuming and access control
+ * - POST /api/conversations/:id/messages - Appending turns
+ * - DELETE /api/conversations/:id - Discarding a conversation
+ * - POST /api/chat/end-interview - Ending with only the conversation ID
+ *
+ * Related Files:
+ * - src/routes/conversation.routes.ts - Routes being tested
+ * - src/services/conversation.service.ts - Conversation operations
+ * - src/routes/chat.routes.ts - End interview endpoint
+ */
+
+import request from 'supertest';
+import app from '../index';
+import { Types } from 'mongoose';
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+jest.mock('../models/Conversation', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Conversation'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ status: 'active' }))
+}));
+
+jest.mock('../models/Interview', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Interview'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/InterviewTranscript', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/InterviewTranscript'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ status: 'pending' }))
+}));
+
+// Authenticate requests as the user whose ID is sent as the bearer token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  const User = require('../models/User').default;
+
+  return {
+    __esModule: true,
+    ...actual,
+    authenticateToken: jest.fn((req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = User.docs.find((entry: any) => String(entry._id) === token);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    })
+  };
+});
+
+import User from '../models/User';
+import Conversation from '../models/Conversation';
+import Interview from '../models/Interview';
+import InterviewTranscript from '../models/InterviewTranscript';
+
+const collections = [User, Conversation, Interview, InterviewTranscript] as any[];
+
+const interviewContext = { difficulty: 'advanced', interviewType: 'behavioral', userProfile: { name: 'Jane' } };
+
+describe('Conversation Routes', () => {
+  let student: any;
+  let classmate: any;
+
+  const auth = (user: any) => ({ Authorization: `Bearer ${user._id.toString()}` });
+
+  const addUser = (email: string) => {
+    const user = { _id: new Types.ObjectId(), email, name: email.split('@')[0], role: 'student', isActive: true };
+    (User as any).docs.push(user);
+    return user;
+  };
+
+  const startConversation = async (user: any) => {
+    const response = await request(app)
+      .post('/api/conversations')
+      .set(auth(user))
+      .send({ interviewContext, messages: [{ sender: 'ai', text: 'Interview started!' }] })
+      .expect(201);
+    return response.body.conversation;
+  };
+
+  beforeEach(() => {
+    collections.forEach(collection => { collection.docs.length = 0; });
+    student = addUser('student@example.com');
+    classmate = addUser('classmate@example.com');
+  });
+
+  describe('POST /api/conversations', () => {
+    it('should start a conversation that can be found again to resume', async () => {
+      const conversation = await startConversation(student);
+
+      expect(conversation).toMatchObject({ status: 'active', messageCount: 1, interviewContext });
+      expect(conversation.messages[0]).toMatchObject({ sender: 'ai', text: 'Interview started!' });
+
+      const response = await request(app)
+        .get('/api/conversations?status=active')
+        .set(auth(student))
+        .expect(200);
+
+      expect(response.body.conversations).toHaveLength(1);
+      expect(response.body.conversations[0]).toMatchObject({ id: conversation.id, messageCount: 1 });
+      expect(response.body.conversations[0].lastMessage.text).toBe('Interview started!');
+      expect(response.body.conversations[0].messages).toBeUndefined();
+    });
+
+    it('should validate the interview context and linked interview', async () => {
+      const invalid = await request(app)
+        .post('/api/conversations')
+        .set(auth(student))
+        .send({ interviewContext: { difficulty: 'advanced' } })
+        .expect(400);
+
+      expect(invalid.body.details).toContain('interviewContext.interviewType is required');
+
+      const interview = { _id: new Types.ObjectId(), userId: classmate._id };
+      (Interview as any).docs.push(interview);
+
+      const response = await request(app)
+        .post('/api/conversations')
+        .set(auth(student))
+        .send({ interviewContext, interviewId: interview._id.toString() })
+        .expect(400);
+
+      expect(response.body.code).toBe('INTERVIEW_NOT_FOUND');
+      expect((Conversation as any).docs).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/conversations/:id/messages', () => {
+    it('should append turns that are returned when the conversation is fetched', async () => {
+      const conversation = await startConversation(student);
+
+      const response = await request(app)
+        .post(`/api/conversations/${conversation.id}/messages`)
+        .set(auth(student))
+        .send({ messages: [{ sender: 'user', text: 'Hello' }, { sender: 'ai', text: 'Tell me about yourself.' }] })
+        .expect(200);
+
+      expect(response.body.messageCount).toBe(3);
+
+      const fetched = await request(app)
+        .get(`/api/conversations/${conversation.id}`)
+        .set(auth(student))
+        .expect(200);
+
+      expect(fetched.body.conversation.messages.map((message: any) => message.text))
+        .toEqual(['Interview started!', 'Hello', 'Tell me about yourself.']);
+    });
+
+    it('should only let the owner read, append or discard', async () => {
+      const conversation = await startConversation(student);
+
+      await request(app).get(`/api/conversations/${conversation.id}`).set(auth(classmate)).expect(403);
+      await request(app)
+        .post(`/api/conversations/${conversation.id}/messages`)
+        .set(auth(classmate))
+        .send({ messages: [{ sender: 'user', text: 'Hi' }] })
+        .expect(403);
+
+      await request(app)
+        .post(`/api/conversations/${conversation.id}/messages`)
+        .set(auth(student))
+        .send({ messages: [{ sender: 'coach', text: '' }] })
+        .expect(400);
+
+      await request(app).delete(`/api/conversations/${conversation.id}`).set(auth(classmate)).expect(403);
+      await request(app).delete(`/api/conversations/${conversation.id}`).set(auth(student)).expect(200);
+      expect((Conversation as any).docs).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/chat/end-interview', () => {
+    it('should create the transcript from the stored conversation', async () => {
+      const conversation = await startConversation(student);
+      await request(app)
+        .post(`/api/conversations/${conversation.id}/messages`)
+        .set(auth(student))
+        .send({ messages: [{ sender: 'user', text: 'I lead the robotics team.' }, { sender: 'ai', text: 'Why robotics?' }] })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/chat/end-interview')
+        .set(auth(student))
+        .send({ conversationId: conversation.id })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ messageCount: 3, conversationId: conversation.id });
+
+      const transcript = (InterviewTranscript as any).docs[0];
+      expect(transcript.userId).toEqual(student._id);
+      expect(transcript.interviewContext).toMatchObject(interviewContext);
+      expect(transcript.messages.map((message: any) => message.text))
+        .toEqual(['Interview started!', 'I lead the robotics team.', 'Why robotics?']);
+
+      expect((Conversation as any).docs[0]).toMatchObject({ status: 'ended', transcriptId: transcript._id });
+
+      // An ended conversation takes no more turns and cannot be ended twice
+      await request(app)
+        .post(`/api/conversations/${conversation.id}/messages`)
+        .set(auth(student))
+        .send({ messages: [{ sender: 'user', text: 'One more thing' }] })
+        .expect(409);
+      await request(app)
+        .post('/api/chat/end-interview')
+        .set(auth(student))
+        .send({ conversationId: conversation.id })
+        .expect(409);
+    });
+
+    it("should not end another user's conversation", async () => {
+      const conversation = await startConversation(student);
+
+      await request(app)
+        .post('/api/chat/end-interview')
+        .set(auth(classmate))
+        .send({ conversationId: conversation.id })
+        .expect(404);
+
+      expect((InterviewTranscript as any).docs).toHaveLength(0);
+    });
+  });
+});
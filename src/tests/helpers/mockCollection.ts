@@ -0,0 +1,190 @@
+/**
+ * In-memory model mocks for route tests
+ *
+ * Route tests replace Mongoose models with these collections through
+ * jest.mock factories, so they run without a database:
+ *
+ * ```typescript
+ * jest.mock('../models/Organization', () => ({
+ *   __esModule: true,
+ *   default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+ * }));
+ * ```
+ */
+
+import { Types } from 'mongoose';
+
+/**
+ * Minimal in-memory stand-in for a Mongoose model
+ * Supports the equality, $in, $nin, $ne, $exists, $gt, $gte, $lt, $lte, $size
+ * and $or queries, the $set, $setOnInsert, $unset, $inc, $max and $pull
+ * updates, and the $match and $group ($sum) aggregation stages used by the
+ * services under test. Documents get save() and set() so services can modify them like
+ * Mongoose documents.
+ */
+export function mockCollection(defaults: () => Record<string, any> = () => ({})) {
+  const docs: any[] = [];
+
+  const read = (doc: any, path: string) => path.split('.').reduce((value, key) => value?.[key], doc);
+  const equals = (value: any, expected: any) => {
+    if (expected === null) {
+      return value === null || value === undefined;
+    }
+    return Array.isArray(value)
+      ? value.some(entry => String(entry) === String(expected))
+      : value !== undefined && value !== null && String(value) === String(expected);
+  };
+  const isOperator = (condition: any) => condition && typeof condition === 'object' &&
+    !(condition instanceof Types.ObjectId) && !(condition instanceof Date) &&
+    Object.keys(condition).some(key => key.startsWith('$'));
+
+  const matches = (doc: any, query: any = {}): boolean => Object.entries(query).every(([key, condition]: [string, any]) => {
+    if (key === '$or') {
+      return condition.some((branch: any) => matches(doc, branch));
+    }
+    const value = read(doc, key);
+    if (!isOperator(condition)) {
+      return equals(value, condition);
+    }
+    return Object.entries(condition).every(([operator, argument]: [string, any]) => {
+      switch (operator) {
+        case '$in': return argument.some((entry: any) => equals(value, entry));
+        case '$nin': return !argument.some((entry: any) => equals(value, entry));
+        case '$ne': return !equals(value, argument);
+        case '$exists': return argument ? value !== undefined : value === undefined;
+        case '$gt': return value > argument;
+        case '$gte': return value >= argument;
+        case '$lt': return value < argument;
+        case '$lte': return value <= argument;
+        case '$size': return Array.isArray(value) && value.length === argument;
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  });
+
+  const applyUpdate = (doc: any, update: any, inserted = false) => {
+    Object.assign(doc, update.$set || {}, inserted ? update.$setOnInsert : {});
+    Object.keys(update.$unset || {}).forEach(key => delete doc[key]);
+    Object.entries(update.$inc || {}).forEach(([key, amount]: [string, any]) => {
+      doc[key] = (doc[key] || 0) + amount;
+    });
+    Object.entries(update.$max || {}).forEach(([key, value]: [string, any]) => {
+      if (doc[key] === undefined || value > doc[key]) {
+        doc[key] = value;
+      }
+    });
+    Object.entries(update.$pull || {}).forEach(([key, removed]: [string, any]) => {
+      doc[key] = (doc[key] || []).filter((entry: any) => !equals(entry, removed));
+    });
+    doc.updatedAt = new Date();
+  };
+
+  const create = (data: any) => {
+    const now = new Date();
+    const doc = { _id: new Types.ObjectId(), ...defaults(), ...data, createdAt: now, updatedAt: now };
+    Object.defineProperties(doc, {
+      save: { value: async () => doc },
+      set: { value: (fields: Record<string, any>) => Object.assign(doc, fields) }
+    });
+    docs.push(doc);
+    return doc;
+  };
+
+  // Creates the document an upsert inserts, from the filter's equality fields
+  const upsert = (filter: any, update: any) => {
+    const fields = Object.fromEntries(Object.entries(filter).filter(([, value]) => !isOperator(value)));
+    const doc = create(fields);
+    applyUpdate(doc, update, true);
+    return doc;
+  };
+
+  // Chainable query that resolves like a Mongoose query
+  const query = (resolve: () => any) => {
+    let sortSpec: Record<string, number> | null = null;
+    let limitCount: number | null = null;
+    const chain: any = {
+      select: () => chain,
+      lean: () => chain,
+      sort: (spec: Record<string, number>) => { sortSpec = spec; return chain; },
+      limit: (count: number) => { limitCount = count; return chain; },
+      then: (onFulfilled: any, onRejected: any) => Promise.resolve().then(() => {
+        const result = resolve();
+        if (sortSpec && Array.isArray(result)) {
+          const [[field, direction]] = Object.entries(sortSpec) as [[string, number]];
+          result.sort((a: any, b: any) => (a[field] > b[field] ? 1 : a[field] < b[field] ? -1 : 0) * direction);
+        }
+        return limitCount !== null && Array.isArray(result) ? result.slice(0, limitCount) : result;
+      }).then(onFulfilled, onRejected)
+    };
+    return chain;
+  };
+
+  // Runs $match and $group stages; $group supports $sum of a field or a constant
+  const aggregate = (pipeline: any[]) => pipeline.reduce((input: any[], stage: any) => {
+    if (stage.$match) {
+      return input.filter(doc => matches(doc, stage.$match));
+    }
+    if (stage.$group) {
+      const { _id: key, ...accumulators } = stage.$group;
+      const groups = new Map<string, any>();
+      for (const doc of input) {
+        const id = typeof key === 'string' ? read(doc, key.substring(1)) ?? null : null;
+        const group = groups.get(String(id)) || { _id: id };
+        groups.set(String(id), group);
+        Object.entries(accumulators).forEach(([field, { $sum }]: [string, any]) => {
+          group[field] = (group[field] || 0) + (typeof $sum === 'string' ? read(doc, $sum.substring(1)) || 0 : $sum);
+        });
+      }
+      return [...groups.values()];
+    }
+    throw new Error(`Unsupported stage ${Object.keys(stage)[0]}`);
+  }, docs);
+
+  return {
+    docs,
+    create: jest.fn(async (data: any) => create(data)),
+    insertMany: jest.fn(async (entries: any[]) => entries.map(create)),
+    find: jest.fn((filter: any) => query(() => docs.filter(doc => matches(doc, filter)))),
+    findOne: jest.fn((filter: any) => query(() => docs.find(doc => matches(doc, filter)) || null)),
+    findById: jest.fn((id: any) => query(() => docs.find(doc => String(doc._id) === String(id)) || null)),
+    exists: jest.fn(async (filter: any) => {
+      const doc = docs.find(entry => matches(entry, filter));
+      return doc ? { _id: doc._id } : null;
+    }),
+    updateOne: jest.fn(async (filter: any, update: any, options: any = {}) => {
+      const doc = docs.find(entry => matches(entry, filter));
+      if (doc) {
+        applyUpdate(doc, update);
+        return { matchedCount: 1, modifiedCount: 1 };
+      }
+      if (options.upsert) {
+        upsert(filter, update);
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+      }
+      return { matchedCount: 0, modifiedCount: 0 };
+    }),
+    updateMany: jest.fn(async (filter: any, update: any) => {
+      const matching = docs.filter(doc => matches(doc, filter));
+      matching.forEach(doc => applyUpdate(doc, update));
+      return { matchedCount: matching.length, modifiedCount: matching.length };
+    }),
+    findOneAndUpdate: jest.fn(async (filter: any, update: any, options: any = {}) => {
+      const doc = docs.find(entry => matches(entry, filter));
+      if (!doc) return options.upsert ? upsert(filter, update) : null;
+      applyUpdate(doc, update);
+      return doc;
+    }),
+    deleteOne: jest.fn(async (filter: any) => {
+      const doc = docs.find(entry => matches(entry, filter));
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      return { deletedCount: doc ? 1 : 0 };
+    }),
+    aggregate: jest.fn(async (pipeline: any[]) => aggregate(pipeline)),
+    countDocuments: jest.fn(async (filter: any) => docs.filter(doc => matches(doc, filter)).length),
+    deleteMany: jest.fn(async (filter: any) => {
+      const matching = docs.filter(doc => matches(doc, filter));
+      matching.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+      return { deletedCount: matching.length };
+    })
+  };
+}
@@ -0,0 +1,13 @@
+/**
+ * Jest Environment Setup
+ *
+ * Runs before every test suite. Selects the deterministic mock LLM provider so
+ * no suite calls OpenAI or needs an API key. Suites that need particular
+ * replies install a scripted one with setLLMProvider(createMockProvider(...)).
+ *
+ * Related Files:
+ * - jest.config.js - Registers this file in setupFiles
+ * - src/services/llmProvider.service.ts - Mock provider
+ */
+
+process.env.LLM_PROVIDER = 'mock';
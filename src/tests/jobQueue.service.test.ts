@@ -0,0 +1,316 @@
+/**
+ * Job Queue Service Tests
+ *
+ * Tests the background job queue: enqueueing with dedupe keys, claiming,
+ * running file processing jobs with retries and progress, reclaiming jobs
+ * left by a stopped worker and the job status endpoints.
+ *
+ * Test Coverage:
+ * - enqueueJob - Queued jobs and one active job per dedupe key, also under concurrency
+ * - processNextJob - File processing, retries, permanent failures and reclaiming,
+ *   without the stopped worker overwriting the reclaimed job
+ * - GET /api/jobs/:jobId - Job status for the owner only
+ * - GET /api/jobs - The user's active jobs
+ *
+ * Related Files:
+ * - src/services/jobQueue.service.ts - Service being tested
+ * - src/services/jobHandlers.service.ts - File processing handler
+ * - src/routes/job.routes.ts - Job status endpoints
+ */
+
+import request from 'supertest';
+import app from '../index';
+import { Types } from 'mongoose';
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true, role: 'student' }))
+}));
+
+jest.mock('../models/Job', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Job'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ progress: 0, attempts: 0, maxAttempts: 3 }))
+}));
+
+jest.mock('../models/UploadedFile', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/UploadedFile'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/DocumentChunk', () => ({
+  __esModule: true,
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../services/fileProcessing.service', () => ({
+  __esModule: true,
+  ...jest.requireActual('../services/fileProcessing.service'),
+  extractTextFromFile: jest.fn()
+}));
+
+// Authenticate requests as the user whose ID is sent as the bearer token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  const User = require('../models/User').default;
+
+  return {
+    __esModule: true,
+    ...actual,
+    authenticateToken: jest.fn((req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = User.docs.find((entry: any) => String(entry._id) === token);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    })
+  };
+});
+
+import User from '../models/User';
+import Job from '../models/Job';
+import UploadedFile from '../models/UploadedFile';
+import DocumentChunk from '../models/DocumentChunk';
+import { extractTextFromFile } from '../services/fileProcessing.service';
+import { enqueueJob, processNextJob } from '../services/jobQueue.service';
+import { JOB_HANDLERS } from '../services/jobHandlers.service';
+
+const extractText = extractTextFromFile as jest.Mock;
+
+const RESUME_TEXT = `ACTIVITIES
+Captain, Robotics Team    Sept 2021 - Present
+• Led 20 students to the state championship
+
+SKILLS
+Python, Java`;
+
+describe('Job Queue Service', () => {
+  let user: any;
+
+  const addFileJob = async (maxAttempts?: number) => {
+    const file = await (UploadedFile as any).create({
+      userId: user._id,
+      originalName: 'resume.txt',
+      mimeType: 'text/plain',
+      fileType: 'document',
+      processingStatus: 'pending'
+    });
+    const job: any = await enqueueJob({
+      type: 'file_processing',
+      userId: user._id,
+      payload: { fileId: file._id.toString() },
+      fileData: Buffer.from(RESUME_TEXT),
+      ...(maxAttempts && { maxAttempts })
+    });
+    return { file, job };
+  };
+
+  beforeEach(async () => {
+    [User, Job, UploadedFile, DocumentChunk].forEach((collection: any) => { collection.docs.length = 0; });
+    extractText.mockReset();
+    user = await (User as any).create({ email: 'student@example.com' });
+  });
+
+  describe('enqueueJob', () => {
+    it('should return the active job for a dedupe key instead of adding another', async () => {
+      const transcriptId = new Types.ObjectId().toString();
+      const options = { type: 'rating_generation' as const, userId: user._id, payload: { transcriptId }, dedupeKey: `rating:${transcriptId}` };
+
+      const first = await enqueueJob(options);
+      const second = await enqueueJob(options);
+      expect(second._id).toBe(first._id);
+      expect(first).toMatchObject({ status: 'queued' });
+
+      first.set({ status: 'completed' });
+      const third = await enqueueJob(options);
+      expect(third._id).not.toBe(first._id);
+      expect((Job as any).docs).toHaveLength(2);
+    });
+
+    it('should return the winning job when concurrent requests share a dedupe key', async () => {
+      // Enforce the unique index on active dedupe keys, as MongoDB does
+      const create = (Job as any).create.getMockImplementation();
+      (Job as any).create.mockImplementation(async (data: any) => {
+        if ((Job as any).docs.some((doc: any) => doc.dedupeKey === data.dedupeKey && ['queued', 'running'].includes(doc.status))) {
+          throw Object.assign(new Error('E11000 duplicate key error collection: jobs index: dedupeKey_1'), { code: 11000 });
+        }
+        return create(data);
+      });
+
+      try {
+        const transcriptId = new Types.ObjectId().toString();
+        const options = { type: 'rating_generation' as const, userId: user._id, payload: { transcriptId }, dedupeKey: `rating:${transcriptId}` };
+
+        const [first, second] = await Promise.all([enqueueJob(options), enqueueJob(options)]);
+
+        expect(second._id).toBe(first._id);
+        expect((Job as any).docs).toHaveLength(1);
+      } finally {
+        (Job as any).create.mockImplementation(create);
+      }
+    });
+  });
+
+  describe('processNextJob', () => {
+    it('should extract, index and parse an uploaded file', async () => {
+      extractText.mockResolvedValue({ text: RESUME_TEXT });
+      const { file, job } = await addFileJob();
+
+      const finished = await processNextJob();
+
+      expect(finished?._id).toBe(job._id);
+      expect(extractText).toHaveBeenCalledWith(Buffer.from(RESUME_TEXT), 'text/plain', expect.any(Function));
+      expect(job).toMatchObject({
+        status: 'completed',
+        progress: 100,
+        attempts: 1,
+        result: { fileId: file._id.toString(), wordCount: 19 },
+        finishedAt: expect.any(Date)
+      });
+      expect(job.fileData).toBeUndefined();
+      expect(job.lockedBy).toBeUndefined();
+      expect(file).toMatchObject({ processingStatus: 'completed', extractedText: RESUME_TEXT });
+      expect(file.profileExtraction.skills).toEqual(['Python', 'Java']);
+      expect((DocumentChunk as any).docs.length).toBeGreaterThan(0);
+
+      expect(await processNextJob()).toBeNull();
+    });
+
+    it('should retry failed attempts with backoff', async () => {
+      extractText
+        .mockRejectedValueOnce(new Error('Temporary failure'))
+        .mockResolvedValueOnce({ text: RESUME_TEXT });
+      const { file, job } = await addFileJob();
+
+      await processNextJob();
+
+      expect(extractText).toHaveBeenCalledTimes(2);
+      expect(job).toMatchObject({ status: 'completed', attempts: 2 });
+      expect(file.processingStatus).toBe('completed');
+    });
+
+    it('should fail the job and the file once attempts run out', async () => {
+      extractText.mockRejectedValue(new Error('PDF parsing error'));
+      const { file, job } = await addFileJob(1);
+
+      await processNextJob();
+
+      const message = 'Could not read the PDF file. The file may be password-protected or corrupted.';
+      expect(job).toMatchObject({ status: 'failed', attempts: 1, error: message });
+      expect(job.fileData).toBeUndefined();
+      expect(file).toMatchObject({ processingStatus: 'failed', processingError: message });
+    });
+
+    it('should fail at once on errors that would recur, describing the original error', async () => {
+      const error = new Error('Unsupported file type: application/zip');
+      extractText.mockRejectedValue(error);
+      const describeError = jest.spyOn(JOB_HANDLERS.file_processing, 'describeError');
+      const { file, job } = await addFileJob(3);
+
+      try {
+        await processNextJob();
+
+        expect(extractText).toHaveBeenCalledTimes(1);
+        expect(describeError).toHaveBeenCalledWith(error);
+
+        const message = 'This file type is not supported. Please upload images (JPG, PNG, GIF, WebP) or documents (PDF, TXT, DOCX).';
+        expect(job).toMatchObject({ status: 'failed', attempts: 1, error: message });
+        expect(file).toMatchObject({ processingStatus: 'failed', processingError: message });
+      } finally {
+        describeError.mockRestore();
+      }
+    });
+
+    it('should reclaim jobs whose worker stopped reporting', async () => {
+      extractText.mockResolvedValue({ text: RESUME_TEXT });
+      const { job } = await addFileJob();
+      job.set({ status: 'running', lockedBy: 'stopped-worker', lockedAt: new Date() });
+
+      expect(await processNextJob()).toBeNull();
+
+      job.set({ lockedAt: new Date(Date.now() - 60 * 60 * 1000) });
+      expect(await processNextJob()).toBe(job);
+      expect(job.status).toBe('completed');
+    });
+
+    it('should keep the outcome of a reclaimed job when its first worker finishes late', async () => {
+      let failFirstAttempt: (error: Error) => void = () => {};
+      extractText
+        .mockImplementationOnce(() => new Promise((resolve, reject) => { failFirstAttempt = reject; }))
+        .mockResolvedValue({ text: RESUME_TEXT });
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const { file, job } = await addFileJob(3);
+
+      try {
+        const slowWorker = processNextJob('slow-worker');
+        while (extractText.mock.calls.length === 0) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+
+        job.set({ lockedAt: new Date(Date.now() - 60 * 60 * 1000) });
+        await processNextJob('other-worker');
+        expect(job.status).toBe('completed');
+
+        // The slow worker's attempt fails after the job was finished elsewhere
+        failFirstAttempt(new Error('Unsupported file type: application/zip'));
+        await slowWorker;
+
+        expect(job).toMatchObject({ status: 'completed', result: { fileId: file._id.toString() } });
+        expect(job.error).toBeUndefined();
+        expect(file.processingStatus).toBe('completed');
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('was reclaimed by another worker'));
+      } finally {
+        warn.mockRestore();
+      }
+    });
+  });
+
+  describe('job status endpoints', () => {
+    it('should report a job to its owner only', async () => {
+      const { job } = await addFileJob();
+      const other = await (User as any).create({ email: 'other@example.com' });
+
+      const response = await request(app)
+        .get(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${user._id}`)
+        .expect(200);
+
+      expect(response.body.job).toMatchObject({
+        id: job._id.toString(),
+        type: 'file_processing',
+        status: 'queued',
+        progress: 0,
+        fileId: job.payload.fileId,
+        error: null
+      });
+      expect(response.body.job).not.toHaveProperty('fileData');
+
+      await request(app)
+        .get(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${other._id}`)
+        .expect(404);
+
+      await request(app)
+        .get('/api/jobs/not-an-id')
+        .set('Authorization', `Bearer ${user._id}`)
+        .expect(400);
+    });
+
+    it('should list the user\'s active jobs', async () => {
+      const { job: queued } = await addFileJob();
+      const { job: finished } = await addFileJob();
+      finished.set({ status: 'completed' });
+
+      const response = await request(app)
+        .get('/api/jobs?status=active')
+        .set('Authorization', `Bearer ${user._id}`)
+        .expect(200);
+
+      expect(response.body.jobs.map((job: any) => job.id)).toEqual([queued._id.toString()]);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * LLM Provider Service Tests
+ *
+ * Tests provider selection and the deterministic mock provider, and that the
+ * AI features in the OpenAI service run on the active provider.
+ *
+ * Test Coverage:
+ * - getLLMProvider - Selection by LLM_PROVIDER and configuration errors
+ * - createMockProvider - Queued replies, rules, defaults and streaming
+ * - openai.service - Question generation, feedback, summaries and transcription
+ *
+ * Related Files:
+ * - src/services/llmProvider.service.ts - Service being tested
+ * - src/services/openai.service.ts - AI features built on the provider
+ */
+
+import {
+  createMockProvider,
+  getLLMProvider,
+  setLLMProvider,
+  LLM_PROVIDERS
+} from '../services/llmProvider.service';
+import {
+  createChatCompletion,
+  generateInterviewQuestions,
+  analyzeFeedback,
+  summarizeWithGPT,
+  transcribeAudio
+} from '../services/openai.service';
+
+const messages = [
+  { role: 'system' as const, content: 'You are an interviewer.' },
+  { role: 'user' as const, content: "I'm ready." }
+];
+
+describe('LLM Provider Service', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setLLMProvider(null);
+  });
+
+  describe('getLLMProvider', () => {
+    it('should select the provider named by LLM_PROVIDER', () => {
+      expect(getLLMProvider().name).toBe(LLM_PROVIDERS.MOCK);
+
+      setLLMProvider(null);
+      process.env.LLM_PROVIDER = 'openai-compatible';
+      process.env.LLM_BASE_URL = 'http://localhost:11434/v1';
+      expect(getLLMProvider().name).toBe(LLM_PROVIDERS.OPENAI_COMPATIBLE);
+    });
+
+    it('should reject unknown providers and missing configuration', () => {
+      process.env.LLM_PROVIDER = 'claude-in-a-box';
+      expect(() => getLLMProvider()).toThrow('Unknown LLM_PROVIDER "claude-in-a-box"');
+
+      process.env.LLM_PROVIDER = 'openai-compatible';
+      delete process.env.LLM_BASE_URL;
+      expect(() => getLLMProvider()).toThrow('LLM_BASE_URL environment variable is required');
+
+      process.env.LLM_PROVIDER = 'openai';
+      delete process.env.OPENAI_API_KEY;
+      expect(() => getLLMProvider()).toThrow('OPENAI_API_KEY environment variable is not configured');
+    });
+  });
+
+  describe('createMockProvider', () => {
+    it('should use queued replies, then rules, then defaults', async () => {
+      const provider = createMockProvider({
+        replies: ['First scripted reply.', new Error('Scripted failure')],
+        rules: [{ match: 'robotics', reply: 'What did robotics teach you?' }]
+      });
+      setLLMProvider(provider);
+
+      expect(await createChatCompletion(messages)).toBe('First scripted reply.');
+      await expect(createChatCompletion(messages)).rejects.toThrow('Scripted failure');
+      expect(await createChatCompletion([...messages, { role: 'user', content: 'I lead the Robotics team.' }]))
+        .toBe('What did robotics teach you?');
+
+      // Defaults are deterministic
+      expect(await createChatCompletion(messages)).toBe(await createChatCompletion(messages));
+      expect(provider.requests).toHaveLength(5);
+      expect(provider.requests[0]).toMatchObject({ model: 'gpt-4', temperature: 0.7, max_tokens: 1000 });
+    });
+
+    it('should stream the reply word by word and report usage', async () => {
+      const provider = createMockProvider({ replies: ['Tell me about yourself.'] });
+      const stream = provider.streamChat({ model: 'gpt-4', messages });
+
+      const words: string[] = [];
+      let next = await stream.next();
+      while (!next.done) {
+        words.push(next.value);
+        next = await stream.next();
+      }
+
+      expect(words).toEqual(['Tell ', 'me ', 'about ', 'yourself.']);
+      expect(next.value).toMatchObject({ completionTokens: 6 });
+    });
+  });
+
+  describe('AI features on the mock provider', () => {
+    it('should generate the requested number of interview questions', async () => {
+      const questions = await generateInterviewQuestions('behavioral', 'intermediate', 'Computer Science', { questionCount: 3 });
+
+      expect(questions).toHaveLength(3);
+      expect(new Set(questions).size).toBe(3);
+    });
+
+    it('should return a well-formed feedback report', async () => {
+      const feedback = await analyzeFeedback({
+        transcript: [
+          { speaker: 'interviewer', text: 'Why this college?', timestamp: 0 },
+          { speaker: 'user', text: 'Because of its robotics program.', timestamp: 1000 }
+        ],
+        interviewType: 'behavioral',
+        interviewDifficulty: 'intermediate',
+        userMajor: 'Engineering'
+      } as any);
+
+      expect(feedback.overallRating).toBeGreaterThanOrEqual(1);
+      expect(feedback.strengths.length).toBeGreaterThan(0);
+      expect(Object.keys(feedback.detailedScores)).toEqual(
+        ['contentRelevance', 'communication', 'confidence', 'structure', 'engagement']
+      );
+    });
+
+    it('should summarize and transcribe without network access', async () => {
+      setLLMProvider(createMockProvider({ transcription: 'I want to study marine biology.' }));
+
+      expect(await summarizeWithGPT('A  long\n\ndocument about robotics.', 5)).toBe('A long document abou');
+
+      const wav = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVE'), Buffer.alloc(32000)]);
+      const transcription = await transcribeAudio(wav, 'answer.wav', { language: 'en' });
+
+      expect(transcription).toMatchObject({ text: 'I want to study marine biology.', language: 'en', duration: 2 });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Login Throttle Service Tests
+ *
+ * Tests failure counting and lockouts when failed logins arrive at the same
+ * time, as they do when a password is guessed with parallel requests.
+ *
+ * Test Coverage:
+ * - Concurrent failures all counted, and the lock applied exactly once
+ * - Lockouts for concurrent failures from one IP address
+ * - A new counting window after the old one has passed
+ *
+ * Related Files:
+ * - src/services/loginThrottle.service.ts - Service being tested
+ * - src/models/LoginThrottle.ts - Failure counters and locks
+ */
+
+jest.mock('../models/LoginThrottle', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/LoginThrottle'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+import LoginThrottle from '../models/LoginThrottle';
+import {
+  getLoginLockStatus,
+  recordFailedLogin,
+  LOCKOUT_POLICIES,
+  LOCKOUT_ERROR_CODES
+} from '../services/loginThrottle.service';
+
+describe('Login Throttle Service', () => {
+  const entries = () => (LoginThrottle as any).docs;
+
+  beforeEach(() => {
+    entries().length = 0;
+  });
+
+  const failConcurrently = (count: number, email: string, ipAddress?: string) =>
+    Promise.all(Array.from({ length: count }, () => recordFailedLogin(email, ipAddress)));
+
+  it('should lock the account once when failures arrive concurrently', async () => {
+    const results = await failConcurrently(LOCKOUT_POLICIES.account.maxFailures + 3, 'student@example.com');
+
+    expect(results.some(result => result.locked)).toBe(true);
+    expect(await getLoginLockStatus('Student@example.com', undefined)).toMatchObject({
+      locked: true,
+      errorCode: LOCKOUT_ERROR_CODES.ACCOUNT_LOCKED
+    });
+
+    // Every failure past the limit sees the same lock rather than doubling it
+    expect(entries()).toHaveLength(1);
+    expect(entries()[0]).toMatchObject({ scope: 'account', key: 'student@example.com', lockLevel: 1 });
+  });
+
+  it('should lock an IP address when its failures arrive concurrently', async () => {
+    const maxFailures = LOCKOUT_POLICIES.ip.maxFailures;
+    await Promise.all(Array.from({ length: maxFailures }, (_, index) =>
+      recordFailedLogin(`student${index}@example.com`, '203.0.113.7')));
+
+    expect(await getLoginLockStatus('someone@example.com', '203.0.113.7')).toMatchObject({
+      locked: true,
+      errorCode: LOCKOUT_ERROR_CODES.TOO_MANY_ATTEMPTS
+    });
+  });
+
+  it('should start a new counting window once the old one has passed', async () => {
+    const { maxFailures, windowMs } = LOCKOUT_POLICIES.account;
+    await failConcurrently(maxFailures - 1, 'student@example.com');
+
+    entries()[0].firstFailureAt = new Date(Date.now() - windowMs - 1000);
+
+    const result = await recordFailedLogin('student@example.com', undefined);
+    expect(result.locked).toBe(false);
+    expect(entries()[0].failures).toBe(1);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Mailer Service Tests
+ *
+ * Tests how the mail transport is chosen from MAIL_TRANSPORT.
+ *
+ * Test Coverage:
+ * - getMailTransport - Console default outside production, none in production
+ *
+ * Related Files:
+ * - src/services/mailer.service.ts - Service being tested
+ */
+
+import { getMailTransport, setMailTransport, MAIL_TRANSPORTS } from '../services/mailer.service';
+
+describe('Mailer Service', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    setMailTransport(null);
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setMailTransport(null);
+  });
+
+  it('should log messages to the console by default outside production', () => {
+    process.env.NODE_ENV = 'development';
+    expect(getMailTransport().name).toBe(MAIL_TRANSPORTS.CONSOLE);
+  });
+
+  it('should refuse to pick a transport in production unless one is configured', () => {
+    process.env.NODE_ENV = 'production';
+    expect(() => getMailTransport()).toThrow('MAIL_TRANSPORT must be set in production');
+
+    process.env.MAIL_TRANSPORT = 'file';
+    expect(getMailTransport().name).toBe(MAIL_TRANSPORTS.FILE);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * OpenAPI Document and Request Validation Tests
+ *
+ * Tests the endpoint specs that both validate requests and generate the
+ * OpenAPI document.
+ *
+ * Test Coverage:
+ * - GET /api/docs/openapi.json - Paths, shared components and security
+ * - validateRequest - 400 VALIDATION_ERROR responses with every problem in details,
+ *   and coerced query values passed on to handlers
+ * - Unified error bodies from interview routes
+ * - validateSchema - Coercion, defaults and nested paths
+ *
+ * Related Files:
+ * - src/schemas/ - Endpoint specs
+ * - src/middleware/validation.ts - Validation middleware
+ * - src/services/openapi.service.ts - Document generation
+ * - src/services/schemaValidation.service.ts - Schema checks
+ */
+
+import express from 'express';
+import request from 'supertest';
+import app from '../index';
+import { Types } from 'mongoose';
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+jest.mock('../models/Interview', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Interview'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+// Authenticate requests as the user whose ID is sent as the bearer token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  const User = require('../models/User').default;
+
+  return {
+    __esModule: true,
+    ...actual,
+    authenticateToken: jest.fn((req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = User.docs.find((entry: any) => String(entry._id) === token);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    })
+  };
+});
+
+import User from '../models/User';
+import Interview from '../models/Interview';
+import { validateSchema } from '../services/schemaValidation.service';
+import { validateRequest } from '../middleware/validation';
+import { createInterviewEndpoint, listInterviewsEndpoint } from '../schemas';
+
+describe('OpenAPI Document and Request Validation', () => {
+  let user: any;
+
+  const auth = () => ({ Authorization: `Bearer ${user._id.toString()}` });
+
+  beforeEach(() => {
+    [User, Interview].forEach(collection => { (collection as any).docs.length = 0; });
+    user = (User as any).docs[(User as any).docs.push({ _id: new Types.ObjectId(), email: 'student@example.com', role: 'student' }) - 1];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/docs/openapi.json', () => {
+    it('should describe the validated routes without authentication', async () => {
+      const response = await request(app)
+        .get('/api/docs/openapi.json')
+        .expect(200);
+
+      const document = response.body;
+      expect(document.openapi).toBe('3.0.3');
+      expect(document.components.securitySchemes.bearerAuth).toMatchObject({ type: 'http', scheme: 'bearer' });
+      expect(document.components.schemas.ErrorResponse.required).toEqual(['error', 'message']);
+
+      const getInterview = document.paths['/api/interviews/{id}'].get;
+      expect(getInterview.parameters).toEqual([
+        expect.objectContaining({ name: 'id', in: 'path', required: true })
+      ]);
+      expect(getInterview.security).toEqual([{ bearerAuth: [] }]);
+      expect(Object.keys(getInterview.responses)).toEqual(expect.arrayContaining(['200', '400', '401', '404', '500']));
+
+      const createInterview = document.paths['/api/interviews'].post;
+      expect(createInterview.requestBody.required).toBe(true);
+      expect(createInterview.requestBody.content['application/json'].schema.required)
+        .toEqual(['interviewType', 'interviewDifficulty']);
+
+      expect(document.paths['/api/sessions/{interviewId}/transcribe'].post.requestBody.content)
+        .toHaveProperty('multipart/form-data');
+      expect(document.paths['/api/chat'].post.security).toEqual([{}, { bearerAuth: [] }]);
+    });
+  });
+
+  describe('validateRequest', () => {
+    it('should reject an invalid body with every problem in details', async () => {
+      const response = await request(app)
+        .post('/api/interviews')
+        .set(auth())
+        .send({ interviewType: 'debate', duration: 200, tags: ['leadership', ''] })
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Bad Request',
+        message: 'interviewType must be one of: behavioral, technical, situational, case_study, mixed',
+        code: 'VALIDATION_ERROR',
+        details: [
+          'interviewType must be one of: behavioral, technical, situational, case_study, mixed',
+          'interviewDifficulty is required',
+          'duration must be at most 120',
+          'tags[1] cannot be empty'
+        ]
+      });
+      expect((Interview as any).docs).toHaveLength(0);
+    });
+
+    it('should reject invalid path and query values before the handler runs', async () => {
+      const invalidId = await request(app)
+        .get('/api/interviews/not-an-id')
+        .set(auth())
+        .expect(400);
+      expect(invalidId.body).toMatchObject({ message: 'id must be a valid ID', code: 'VALIDATION_ERROR' });
+
+      const invalidPage = await request(app)
+        .get('/api/interviews?page=0&limit=ten')
+        .set(auth())
+        .expect(400);
+      expect(invalidPage.body.details).toEqual(['page must be at least 1', 'limit must be an integer']);
+      expect((Interview as any).find).not.toHaveBeenCalled();
+    });
+
+    it('should pass coerced query values and defaults on to the handler', async () => {
+      const probe = express();
+      probe.get('/interviews', validateRequest(listInterviewsEndpoint), (req, res) => {
+        res.json({ query: req.query });
+      });
+
+      const response = await request(probe).get('/interviews?limit=5&status=active').expect(200);
+      expect(response.body.query).toEqual({ page: 1, limit: 5, status: 'active' });
+    });
+
+    it('should return 401 before validating the request', async () => {
+      await request(app)
+        .post('/api/interviews')
+        .send({})
+        .expect(401);
+    });
+  });
+
+  describe('Unified error bodies', () => {
+    it('should answer missing and foreign interviews with codes', async () => {
+      const missing = await request(app)
+        .get(`/api/interviews/${new Types.ObjectId()}`)
+        .set(auth())
+        .expect(404);
+      expect(missing.body).toMatchObject({ error: 'Not Found', code: 'INTERVIEW_NOT_FOUND' });
+
+      const interview = await (Interview as any).create({ _id: new Types.ObjectId(), userId: new Types.ObjectId() });
+      const forbidden = await request(app)
+        .post(`/api/interviews/${interview._id}/start`)
+        .set(auth())
+        .expect(403);
+      expect(forbidden.body).toEqual({
+        error: 'Forbidden',
+        message: 'Access denied: Interview belongs to another user',
+        code: 'FORBIDDEN'
+      });
+    });
+  });
+
+  describe('validateSchema', () => {
+    it('should coerce query strings and apply defaults', () => {
+      const result = validateSchema({ page: '2', status: 'active' }, listInterviewsEndpoint.query!, { coerce: true });
+
+      expect(result.valid).toBe(true);
+      expect(result.value).toEqual({ page: 2, limit: 20, status: 'active' });
+    });
+
+    it('should apply body defaults without coercing', () => {
+      const valid = validateSchema(
+        { interviewType: 'behavioral', interviewDifficulty: 'beginner' },
+        createInterviewEndpoint.body!
+      );
+      expect(valid.value).toMatchObject({ duration: 30 });
+
+      const uncoerced = validateSchema(
+        { interviewType: 'behavioral', interviewDifficulty: 'beginner', duration: '45' },
+        createInterviewEndpoint.body!
+      );
+      expect(uncoerced.errors).toEqual(['duration must be an integer']);
+    });
+
+    it('should report nested paths and unknown fields', () => {
+      const result = validateSchema(
+        { user: { tags: ['ok', 7] }, extra: true },
+        {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            user: { type: 'object', properties: { tags: { type: 'array', items: { type: 'string' } } } }
+          }
+        },
+        { label: 'Request body' }
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['user.tags[1] must be a string', 'Request body has unknown field: extra']);
+    });
+  });
+});
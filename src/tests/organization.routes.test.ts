@@ -0,0 +1,419 @@
+/**
+ * Organization Routes Tests
+ *
+ * Tests the counselor workspace: organizations, invitation codes, rosters,
+ * assigned practice interviews and the counselor view of student ratings.
+ *
+ * Test Coverage:
+ * - POST/GET /api/organizations - Creation and listing with role checks
+ * - POST /api/organizations/join - Invitation code redemption and use limits
+ * - GET /api/organizations/:organizationId/roster - Roster with rating statistics
+ * - POST /api/organizations/:organizationId/assignments - Assigning practice interviews
+ * - GET /api/assignments - Student assignment list
+ * - POST /api/chat/end-interview - Assignment completion
+ * - GET /api/organizations/:organizationId/students/:studentId/ratings - Counselor rating view
+ *
+ * Related Files:
+ * - src/routes/organization.routes.ts - Routes being tested
+ * - src/routes/assignment.routes.ts - Student assignment routes
+ * - src/services/roster.service.ts - Roster and invitation logic
+ * - src/services/assignment.service.ts - Assignment logic
+ */
+
+import request from 'supertest';
+import app from '../index';
+import { Types } from 'mongoose';
+
+jest.mock('../models/Organization', () => ({
+  __esModule: true,
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+jest.mock('../models/Invitation', () => ({
+  __esModule: true,
+  default: require('./helpers/mockCollection').mockCollection(() => ({ uses: 0 }))
+}));
+
+jest.mock('../models/RosterMembership', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/RosterMembership'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ status: 'active', joinedAt: new Date() }))
+}));
+
+jest.mock('../models/Assignment', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Assignment'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ status: 'assigned' }))
+}));
+
+jest.mock('../models/InterviewTranscript', () => {
+  const collection = require('./helpers/mockCollection').mockCollection(() => ({ status: 'pending' }));
+
+  // Supports `new InterviewTranscript(data).save()` in the end-interview route
+  function MockTranscript(this: any, data: any) {
+    Object.assign(this, { _id: new (require('mongoose').Types.ObjectId)(), status: 'pending', ...data });
+    this.save = async () => {
+      collection.docs.push(this);
+      return this;
+    };
+  }
+  Object.assign(MockTranscript, collection);
+
+  return {
+    __esModule: true,
+    ...jest.requireActual('../models/InterviewTranscript'),
+    default: MockTranscript
+  };
+});
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+// Authenticate requests as the user whose ID is sent as the bearer token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  const User = require('../models/User').default;
+
+  return {
+    __esModule: true,
+    ...actual,
+    authenticateToken: jest.fn((req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = User.docs.find((entry: any) => String(entry._id) === token);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    })
+  };
+});
+
+import Organization from '../models/Organization';
+import Invitation from '../models/Invitation';
+import RosterMembership from '../models/RosterMembership';
+import Assignment from '../models/Assignment';
+import InterviewTranscript from '../models/InterviewTranscript';
+import User from '../models/User';
+
+const collections = [Organization, Invitation, RosterMembership, Assignment, InterviewTranscript, User] as any[];
+
+describe('Organization Routes', () => {
+  let counselor: any;
+  let otherCounselor: any;
+  let admin: any;
+  let student: any;
+  let classmate: any;
+
+  const auth = (user: any) => ({ Authorization: `Bearer ${user._id.toString()}` });
+
+  const addUser = (email: string, name: string, role: string) => (User as any).docs[
+    (User as any).docs.push({ _id: new Types.ObjectId(), email, name, role, isActive: true }) - 1
+  ];
+
+  const createOrganization = async () => {
+    const response = await request(app)
+      .post('/api/organizations')
+      .set(auth(counselor))
+      .send({ name: 'Lincoln High College Prep' })
+      .expect(201);
+    return response.body.organization.id as string;
+  };
+
+  const joinWithNewCode = async (organizationId: string, ...students: any[]) => {
+    const invitation = await request(app)
+      .post(`/api/organizations/${organizationId}/invitations`)
+      .set(auth(counselor))
+      .send({})
+      .expect(201);
+
+    for (const user of students) {
+      await request(app)
+        .post('/api/organizations/join')
+        .set(auth(user))
+        .send({ code: invitation.body.invitation.code })
+        .expect(200);
+    }
+  };
+
+  beforeEach(() => {
+    collections.forEach(collection => { collection.docs.length = 0; });
+
+    counselor = addUser('counselor@example.com', 'Casey Counselor', 'counselor');
+    otherCounselor = addUser('other@example.com', 'Oakley Other', 'counselor');
+    admin = addUser('admin@example.com', 'Avery Admin', 'admin');
+    student = addUser('student@example.com', 'Sam Student', 'student');
+    classmate = addUser('classmate@example.com', 'Cameron Classmate', 'student');
+  });
+
+  describe('Organizations and invitations', () => {
+    test('should let counselors, but not students, create organizations', async () => {
+      await request(app)
+        .post('/api/organizations')
+        .set(auth(student))
+        .send({ name: 'Student Club' })
+        .expect(403);
+
+      const organizationId = await createOrganization();
+
+      const response = await request(app)
+        .get('/api/organizations')
+        .set(auth(counselor))
+        .expect(200);
+
+      expect(response.body.organizations).toEqual([
+        expect.objectContaining({ id: organizationId, name: 'Lincoln High College Prep', isCounselor: true })
+      ]);
+    });
+
+    test('should add students to the roster with a code and enforce its use limit', async () => {
+      const organizationId = await createOrganization();
+
+      const invitation = await request(app)
+        .post(`/api/organizations/${organizationId}/invitations`)
+        .set(auth(counselor))
+        .send({ maxUses: 1, expiresInDays: 7 })
+        .expect(201);
+      const code = invitation.body.invitation.code as string;
+      expect(code).toMatch(/^[A-Z2-9]{8}$/);
+
+      const joined = await request(app)
+        .post('/api/organizations/join')
+        .set(auth(student))
+        .send({ code: code.toLowerCase() })
+        .expect(200);
+      expect(joined.body.organization).toMatchObject({ id: organizationId, isCounselor: false });
+
+      const again = await request(app)
+        .post('/api/organizations/join')
+        .set(auth(student))
+        .send({ code })
+        .expect(409);
+      expect(again.body.code).toBe('ALREADY_ON_ROSTER');
+
+      const usedUp = await request(app)
+        .post('/api/organizations/join')
+        .set(auth(classmate))
+        .send({ code })
+        .expect(400);
+      expect(usedUp.body.code).toBe('INVITATION_INVALID');
+
+      const unknown = await request(app)
+        .post('/api/organizations/join')
+        .set(auth(classmate))
+        .send({ code: 'ZZZZZZZZ' })
+        .expect(400);
+      expect(unknown.body.code).toBe('INVITATION_INVALID');
+    });
+
+    test('should only accept email-restricted codes from the invited address', async () => {
+      const organizationId = await createOrganization();
+
+      const invitation = await request(app)
+        .post(`/api/organizations/${organizationId}/invitations`)
+        .set(auth(counselor))
+        .send({ email: 'Student@Example.com' })
+        .expect(201);
+      const code = invitation.body.invitation.code as string;
+
+      await request(app).post('/api/organizations/join').set(auth(classmate)).send({ code }).expect(400);
+      await request(app).post('/api/organizations/join').set(auth(student)).send({ code }).expect(200);
+    });
+  });
+
+  describe('Roster', () => {
+    test('should list roster students with rating statistics for the organization\'s counselors only', async () => {
+      const organizationId = await createOrganization();
+      await joinWithNewCode(organizationId, student);
+
+      (InterviewTranscript as any).docs.push(
+        { _id: new Types.ObjectId(), userId: student._id, status: 'rated', aiRating: { overallRating: 7 }, createdAt: new Date('2024-03-01') },
+        { _id: new Types.ObjectId(), userId: student._id, status: 'rated', aiRating: { overallRating: 8 }, createdAt: new Date('2024-03-05') },
+        { _id: new Types.ObjectId(), userId: classmate._id, status: 'rated', aiRating: { overallRating: 3 }, createdAt: new Date('2024-03-05') }
+      );
+
+      const response = await request(app)
+        .get(`/api/organizations/${organizationId}/roster`)
+        .set(auth(counselor))
+        .expect(200);
+
+      expect(response.body.students).toEqual([
+        expect.objectContaining({
+          id: student._id.toString(),
+          name: 'Sam Student',
+          ratedInterviews: 2,
+          averageRating: 7.5,
+          lastInterviewAt: new Date('2024-03-05').toISOString(),
+          openAssignments: 0
+        })
+      ]);
+
+      const denied = await request(app)
+        .get(`/api/organizations/${organizationId}/roster`)
+        .set(auth(otherCounselor))
+        .expect(403);
+      expect(denied.body.code).toBe('NOT_ORGANIZATION_COUNSELOR');
+
+      await request(app)
+        .get(`/api/organizations/${organizationId}/roster`)
+        .set(auth(admin))
+        .expect(200);
+    });
+
+    test('should show a roster student\'s rated interviews', async () => {
+      const organizationId = await createOrganization();
+      await joinWithNewCode(organizationId, student);
+
+      const transcriptId = new Types.ObjectId();
+      (InterviewTranscript as any).docs.push({
+        _id: transcriptId,
+        userId: student._id,
+        status: 'rated',
+        interviewContext: { interviewType: 'behavioral', difficulty: 'advanced' },
+        aiRating: { overallRating: 8, detailedScores: { communication: 80 }, summary: 'Clear answers' },
+        ratingGeneratedAt: new Date(),
+        createdAt: new Date()
+      });
+
+      const response = await request(app)
+        .get(`/api/organizations/${organizationId}/students/${student._id}/ratings`)
+        .set(auth(counselor))
+        .expect(200);
+
+      expect(response.body.ratings).toEqual([
+        expect.objectContaining({
+          transcriptId: transcriptId.toString(),
+          interviewType: 'behavioral',
+          difficulty: 'advanced',
+          overallRating: 8,
+          summary: 'Clear answers'
+        })
+      ]);
+
+      await request(app)
+        .get(`/api/organizations/${organizationId}/students/${classmate._id}/ratings`)
+        .set(auth(counselor))
+        .expect(404);
+    });
+  });
+
+  describe('Assignments', () => {
+    const assignment = {
+      interviewType: 'behavioral',
+      difficulty: 'advanced',
+      targetCollege: 'Stanford University',
+      instructions: 'Focus on leadership stories',
+      dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+    };
+
+    test('should validate the assignment configuration', async () => {
+      const organizationId = await createOrganization();
+
+      const response = await request(app)
+        .post(`/api/organizations/${organizationId}/assignments`)
+        .set(auth(counselor))
+        .send({ studentIds: [], interviewType: 'debate', difficulty: 'advanced', dueDate: '2000-01-01T00:00:00.000Z' })
+        .expect(400);
+
+      expect(response.body.details).toEqual(expect.arrayContaining([
+        'studentIds must be a non-empty array',
+        expect.stringContaining('interviewType must be one of'),
+        'dueDate cannot be in the past'
+      ]));
+    });
+
+    test('should assign an interview that the student sees and completes by ending an interview', async () => {
+      const organizationId = await createOrganization();
+      await joinWithNewCode(organizationId, student);
+
+      const created = await request(app)
+        .post(`/api/organizations/${organizationId}/assignments`)
+        .set(auth(counselor))
+        .send({ ...assignment, studentIds: [student._id.toString(), classmate._id.toString()] })
+        .expect(201);
+
+      expect(created.body.assignments).toHaveLength(1);
+      expect(created.body.skippedStudentIds).toEqual([classmate._id.toString()]);
+      const assignmentId = created.body.assignments[0].id as string;
+
+      const list = await request(app)
+        .get('/api/assignments')
+        .set(auth(student))
+        .expect(200);
+
+      expect(list.body.assignments).toEqual([
+        expect.objectContaining({
+          id: assignmentId,
+          organizationName: 'Lincoln High College Prep',
+          interviewType: 'behavioral',
+          difficulty: 'advanced',
+          targetCollege: 'Stanford University',
+          dueDate: assignment.dueDate,
+          status: 'assigned'
+        })
+      ]);
+
+      const interview = {
+        messages: [
+          { sender: 'ai', text: 'Tell me about a time you led a team.', timestamp: new Date() },
+          { sender: 'user', text: 'I captained the robotics team.', timestamp: new Date() }
+        ],
+        interviewContext: { interviewType: 'behavioral', difficulty: 'advanced', userProfile: {} },
+        assignmentId
+      };
+
+      await request(app)
+        .post('/api/chat/end-interview')
+        .set(auth(classmate))
+        .send(interview)
+        .expect(400);
+
+      const ended = await request(app)
+        .post('/api/chat/end-interview')
+        .set(auth(student))
+        .send(interview)
+        .expect(201);
+
+      const completed = (Assignment as any).docs.find((doc: any) => doc._id.toString() === assignmentId);
+      expect(completed.status).toBe('completed');
+      expect(completed.transcriptId.toString()).toBe(ended.body.data.transcriptId.toString());
+
+      await request(app)
+        .post('/api/chat/end-interview')
+        .set(auth(student))
+        .send(interview)
+        .expect(400);
+    });
+
+    test('should cancel open assignments when a student is removed from the roster', async () => {
+      const organizationId = await createOrganization();
+      await joinWithNewCode(organizationId, student);
+
+      await request(app)
+        .post(`/api/organizations/${organizationId}/assignments`)
+        .set(auth(counselor))
+        .send({ ...assignment, studentIds: [student._id.toString()] })
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/organizations/${organizationId}/roster/${student._id}`)
+        .set(auth(counselor))
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/assignments')
+        .set(auth(student))
+        .expect(200);
+      expect(list.body.assignments).toEqual([]);
+
+      const roster = await request(app)
+        .get(`/api/organizations/${organizationId}/roster`)
+        .set(auth(counselor))
+        .expect(200);
+      expect(roster.body.students).toEqual([]);
+    });
+  });
+});
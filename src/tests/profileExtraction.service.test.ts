@@ -0,0 +1,317 @@
+/**
+ * Profile Extraction Service Tests
+ *
+ * Tests parsing resumes and Common App activity lists into structured profile
+ * data, the profile suggestions made from it and the review endpoints that
+ * add accepted suggestions to the profile.
+ *
+ * Test Coverage:
+ * - parseProfileDocument - Resume sections, activity list fields, other documents
+ * - getProfileSuggestions - Formatted entries without those already listed
+ * - GET /api/uploads/:fileId/profile-extraction - Lazy parsing and suggestions
+ * - POST /api/uploads/:fileId/profile-extraction/merge - Merging, dismissing, list limits
+ *
+ * Related Files:
+ * - src/services/profileExtraction.service.ts - Service being tested
+ * - src/routes/upload.routes.ts - Review endpoints
+ * - src/models/UploadedFile.ts - Stored profile extraction
+ */
+
+import request from 'supertest';
+import app from '../index';
+import { Types } from 'mongoose';
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true, extracurriculars: [], strengths: [] }))
+}));
+
+jest.mock('../models/UploadedFile', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/UploadedFile'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/DocumentChunk', () => ({
+  __esModule: true,
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/RosterMembership', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/RosterMembership'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/LLMUsage', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/LLMUsage'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+// Authenticate requests as the user whose ID is sent as the bearer token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  const User = require('../models/User').default;
+
+  return {
+    __esModule: true,
+    ...actual,
+    authenticateToken: jest.fn((req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = User.docs.find((entry: any) => String(entry._id) === token);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    })
+  };
+});
+
+import User from '../models/User';
+import UploadedFile from '../models/UploadedFile';
+import { parseProfileDocument, getProfileSuggestions } from '../services/profileExtraction.service';
+
+const RESUME = `Jane Doe
+jane@example.com | (555) 123-4567
+
+EDUCATION
+Lincoln High School, Springfield, IL    Class of 2025
+GPA: 3.95 weighted
+AP Biology, AP Calculus BC, Honors Chemistry
+Relevant Coursework: Linear Algebra, Data Structures
+
+ACTIVITIES
+Captain, Robotics Team    Sept 2021 - Present
+• Led 20 students to the state championship
+• Designed the drivetrain, 10 hours/week
+
+Student Council President
+Lincoln High School    Grades 11-12
+- Ran weekly meetings
+
+Volunteer Tutor | Eastside Library | 2022 - 2024
+
+AWARDS & HONORS
+National Merit Semifinalist, 2024
+First Place, State Science Fair (2023)
+
+SKILLS
+Python, Java, CAD; Spanish (fluent)
+`;
+
+const ACTIVITY_LIST = `Common App Activities
+
+Activity 1: Robotics
+Position: Team Captain
+Organization: Lincoln High School Robotics Club
+Participation grade levels: 9, 10, 11, 12
+Hours per week: 10, Weeks per year: 35
+Description: Led 20 students in designing robots; placed 3rd at regionals.
+
+Activity 2: Community Service (Volunteer)
+Position: Tutor
+Organization: Eastside Library
+Participation grade levels: 10-12
+Hours per week: 3, Weeks per year: 40
+Description: Tutored middle schoolers in math.
+
+Honor 1: National Merit Semifinalist
+Level of recognition: National
+`;
+
+describe('Profile Extraction Service', () => {
+  describe('parseProfileDocument', () => {
+    it('should parse activities, awards, courses and skills from a resume', () => {
+      const profile = parseProfileDocument(RESUME);
+
+      expect(profile.documentType).toBe('resume');
+      expect(profile.activities).toEqual([
+        {
+          name: 'Robotics Team',
+          role: 'Captain',
+          description: 'Led 20 students to the state championship; Designed the drivetrain, 10 hours/week',
+          startDate: 'Sept 2021',
+          endDate: 'Present',
+          hoursPerWeek: 10
+        },
+        {
+          name: 'Student Council',
+          role: 'President',
+          organization: 'Lincoln High School',
+          description: 'Ran weekly meetings',
+          grades: [11, 12]
+        },
+        { name: 'Eastside Library', role: 'Volunteer Tutor', startDate: '2022', endDate: '2024' }
+      ]);
+      expect(profile.awards).toEqual([
+        { title: 'National Merit Semifinalist', level: 'national', date: '2024' },
+        { title: 'First Place, State Science Fair', level: 'state_regional', date: '2023' }
+      ]);
+      expect(profile.courses).toEqual([
+        { name: 'Biology', level: 'AP' },
+        { name: 'Calculus BC', level: 'AP' },
+        { name: 'Chemistry', level: 'Honors' },
+        { name: 'Linear Algebra' },
+        { name: 'Data Structures' }
+      ]);
+      expect(profile.skills).toEqual(['Python', 'Java', 'CAD', 'Spanish (fluent)']);
+    });
+
+    it('should read Common App activity and honor fields', () => {
+      const profile = parseProfileDocument(ACTIVITY_LIST);
+
+      expect(profile.documentType).toBe('activity_list');
+      expect(profile.activities).toEqual([
+        {
+          name: 'Robotics',
+          role: 'Team Captain',
+          organization: 'Lincoln High School Robotics Club',
+          description: 'Led 20 students in designing robots; placed 3rd at regionals.',
+          grades: [9, 10, 11, 12],
+          hoursPerWeek: 10,
+          weeksPerYear: 35
+        },
+        expect.objectContaining({ name: 'Community Service (Volunteer)', role: 'Tutor', grades: [10, 11, 12], hoursPerWeek: 3 })
+      ]);
+      expect(profile.awards).toEqual([{ title: 'National Merit Semifinalist', level: 'national' }]);
+    });
+
+    it('should find nothing in other documents', () => {
+      expect(parseProfileDocument('Dear admissions committee, robotics taught me patience. In 2023 our team...')).toEqual({
+        documentType: 'other', activities: [], awards: [], courses: [], skills: []
+      });
+    });
+  });
+
+  describe('getProfileSuggestions', () => {
+    it('should format activities and skip entries the profile lists', () => {
+      const suggestions = getProfileSuggestions(parseProfileDocument(RESUME), {
+        extracurriculars: ['captain, robotics team'],
+        strengths: ['Python']
+      } as any);
+
+      expect(suggestions).toEqual({
+        extracurriculars: ['President, Student Council (Lincoln High School)', 'Volunteer Tutor, Eastside Library'],
+        strengths: ['Java', 'CAD', 'Spanish (fluent)']
+      });
+    });
+  });
+
+  describe('profile extraction endpoints', () => {
+    let user: any;
+
+    const addFile = (extractedText: string, fields: Record<string, any> = {}) => (UploadedFile as any).create({
+      userId: user._id,
+      originalName: 'resume.pdf',
+      fileType: 'document',
+      extractedText,
+      processingStatus: 'completed',
+      ...fields
+    });
+
+    beforeEach(async () => {
+      [User, UploadedFile].forEach((collection: any) => { collection.docs.length = 0; });
+      user = await (User as any).create({ email: 'student@example.com', role: 'student', extracurriculars: ['Captain, Robotics Team'] });
+    });
+
+    it('should parse a file on first review and suggest new entries', async () => {
+      const file = await addFile(RESUME);
+
+      const response = await request(app)
+        .get(`/api/uploads/${file._id}/profile-extraction`)
+        .set('Authorization', `Bearer ${user._id}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        fileId: file._id.toString(),
+        extraction: { documentType: 'resume', importStatus: 'pending' },
+        suggestions: {
+          extracurriculars: ['President, Student Council (Lincoln High School)', 'Volunteer Tutor, Eastside Library'],
+          strengths: ['Python', 'Java', 'CAD', 'Spanish (fluent)']
+        }
+      });
+      expect(response.body.extraction.activities).toHaveLength(3);
+      expect(file.profileExtraction.courses).toHaveLength(5);
+    });
+
+    it('should refuse files that are still processing or belong to someone else', async () => {
+      const processing = await addFile('', { processingStatus: 'processing' });
+      const other = await addFile(RESUME, { userId: new Types.ObjectId() });
+
+      const conflict = await request(app)
+        .get(`/api/uploads/${processing._id}/profile-extraction`)
+        .set('Authorization', `Bearer ${user._id}`)
+        .expect(409);
+      expect(conflict.body.code).toBe('FILE_NOT_PROCESSED');
+
+      await request(app)
+        .get(`/api/uploads/${other._id}/profile-extraction`)
+        .set('Authorization', `Bearer ${user._id}`)
+        .expect(404);
+    });
+
+    it('should add the reviewed entries to the profile', async () => {
+      const file = await addFile(RESUME);
+
+      const response = await request(app)
+        .post(`/api/uploads/${file._id}/profile-extraction/merge`)
+        .set('Authorization', `Bearer ${user._id}`)
+        .send({
+          extracurriculars: ['Student Council President', 'captain, robotics team'],
+          strengths: [' Python ', 'Python']
+        })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        added: { extracurriculars: ['Student Council President'], strengths: ['Python'] },
+        profile: {
+          extracurriculars: ['Captain, Robotics Team', 'Student Council President'],
+          strengths: ['Python']
+        },
+        importStatus: 'merged'
+      });
+      expect(user.extracurriculars).toEqual(['Captain, Robotics Team', 'Student Council President']);
+      expect(file.profileExtraction).toMatchObject({ importStatus: 'merged', reviewedAt: expect.any(Date) });
+    });
+
+    it('should dismiss the suggestions when nothing is kept', async () => {
+      const file = await addFile(RESUME);
+
+      const response = await request(app)
+        .post(`/api/uploads/${file._id}/profile-extraction/merge`)
+        .set('Authorization', `Bearer ${user._id}`)
+        .send({})
+        .expect(200);
+
+      expect(response.body).toMatchObject({ message: 'Suggestions dismissed', importStatus: 'dismissed' });
+      expect(user.extracurriculars).toEqual(['Captain, Robotics Team']);
+    });
+
+    it('should reject invalid entries and lists that would exceed their limit', async () => {
+      const file = await addFile(RESUME);
+      user.strengths = Array.from({ length: 9 }, (_, index) => `Strength ${index}`);
+
+      const invalid = await request(app)
+        .post(`/api/uploads/${file._id}/profile-extraction/merge`)
+        .set('Authorization', `Bearer ${user._id}`)
+        .send({ strengths: 'Python' })
+        .expect(400);
+      expect(invalid.body.details).toEqual(['Strengths must be an array of strings']);
+
+      const full = await request(app)
+        .post(`/api/uploads/${file._id}/profile-extraction/merge`)
+        .set('Authorization', `Bearer ${user._id}`)
+        .send({ strengths: ['Python', 'Java'] })
+        .expect(409);
+
+      expect(full.body).toMatchObject({ code: 'PROFILE_LIST_FULL', message: expect.stringContaining('10 entries') });
+      expect(user.strengths).toHaveLength(9);
+      expect(file.profileExtraction.importStatus).toBe('pending');
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Rate Limit Tests
+ *
+ * Tests the sliding-window rate limits and the middleware that applies them
+ * to route groups.
+ *
+ * Test Coverage:
+ * - Requests counted over a sliding window, refused ones not counted
+ * - RATE_LIMITS overrides and disabled groups
+ * - Requests counted under several keys, refused ones under none
+ * - 429 response with Retry-After and rate-limit headers on a limited route
+ * - Account emails limited per IP address and per recipient
+ * - TRUST_PROXY parsing for client IP addresses behind a proxy
+ * - validateRateLimit checks per operation
+ *
+ * Related Files:
+ * - src/services/rateLimit.service.ts - Sliding-window counting and policies
+ * - src/middleware/rateLimit.ts - Middleware being tested
+ * - src/routes/auth.routes.ts - Login and forgot-password routes used for the middleware tests
+ * - src/index.ts - Applies the TRUST_PROXY setting
+ */
+
+import request from 'supertest';
+import app, { getTrustProxySetting } from '../index';
+import {
+  consumeRateLimit,
+  getRateLimitPolicy,
+  resetRateLimits,
+  DEFAULT_RATE_LIMITS,
+  RATE_LIMIT_GROUPS
+} from '../services/rateLimit.service';
+import { validateRateLimit } from '../services/validation.service';
+
+describe('Rate Limits', () => {
+  beforeEach(() => {
+    resetRateLimits();
+    delete process.env.RATE_LIMITS;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    delete process.env.RATE_LIMITS;
+  });
+
+  describe('consumeRateLimit', () => {
+    const policy = { max: 2, windowMs: 60 * 1000 };
+
+    it('should refuse requests over the limit until the oldest one leaves the window', () => {
+      const start = 1_000_000;
+
+      expect(consumeRateLimit('key', policy, start)).toMatchObject({ allowed: true, limit: 2, remaining: 1, resetSeconds: 60 });
+      expect(consumeRateLimit('key', policy, start + 30 * 1000)).toMatchObject({ allowed: true, remaining: 0, resetSeconds: 30 });
+      expect(consumeRateLimit('key', policy, start + 45 * 1000)).toEqual({
+        allowed: false,
+        limit: 2,
+        remaining: 0,
+        resetSeconds: 15,
+        retryAfterSeconds: 15
+      });
+
+      // The first request has left the window; the refused one was not counted
+      expect(consumeRateLimit('key', policy, start + 60 * 1000).allowed).toBe(true);
+      expect(consumeRateLimit('key', policy, start + 61 * 1000).allowed).toBe(false);
+      expect(consumeRateLimit('other-key', policy, start + 61 * 1000).allowed).toBe(true);
+    });
+
+    it('should count a request under every key only when all of them are within the limit', () => {
+      const start = 1_000_000;
+
+      consumeRateLimit(['ip', 'email'], policy, start);
+      expect(consumeRateLimit(['ip', 'other-email'], policy, start + 10 * 1000))
+        .toMatchObject({ allowed: true, remaining: 0, resetSeconds: 50 });
+
+      // The IP key is full, so the email key is not counted either
+      expect(consumeRateLimit(['ip', 'email'], policy, start + 20 * 1000))
+        .toMatchObject({ allowed: false, retryAfterSeconds: 40 });
+      expect(consumeRateLimit(['other-ip', 'email'], policy, start + 20 * 1000))
+        .toMatchObject({ allowed: true, remaining: 0 });
+    });
+  });
+
+  describe('getRateLimitPolicy', () => {
+    it('should apply RATE_LIMITS over the defaults and turn groups off with a max of 0', () => {
+      expect(getRateLimitPolicy(RATE_LIMIT_GROUPS.CHAT)).toEqual(DEFAULT_RATE_LIMITS.chat);
+
+      process.env.RATE_LIMITS = JSON.stringify({ chat: { max: 5, windowSeconds: 10 }, upload: { max: 0 } });
+
+      expect(getRateLimitPolicy(RATE_LIMIT_GROUPS.CHAT)).toEqual({ max: 5, windowMs: 10 * 1000 });
+      expect(getRateLimitPolicy(RATE_LIMIT_GROUPS.UPLOAD)).toBeNull();
+      expect(getRateLimitPolicy(RATE_LIMIT_GROUPS.LOGIN)).toEqual(DEFAULT_RATE_LIMITS.login);
+    });
+
+    it('should ignore RATE_LIMITS that is not valid JSON', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      process.env.RATE_LIMITS = '{chat: 5}';
+
+      expect(getRateLimitPolicy(RATE_LIMIT_GROUPS.RATING)).toEqual(DEFAULT_RATE_LIMITS.rating);
+    });
+  });
+
+  describe('rateLimit middleware', () => {
+    it('should send rate-limit headers and a 429 with Retry-After once the group limit is reached', async () => {
+      process.env.RATE_LIMITS = JSON.stringify({ login: { max: 2, windowSeconds: 120 } });
+
+      // Requests without credentials are refused before any lookup, but still counted
+      const first = await request(app).post('/api/auth/login').send({}).expect(400);
+      expect(first.headers['ratelimit-limit']).toBe('2');
+      expect(first.headers['ratelimit-remaining']).toBe('1');
+
+      await request(app).post('/api/auth/login/2fa').send({}).expect(400);
+
+      const limited = await request(app).post('/api/auth/login').send({}).expect(429);
+
+      expect(limited.headers['retry-after']).toBe(limited.headers['ratelimit-reset']);
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+      expect(limited.body).toEqual({
+        error: 'Too Many Requests',
+        message: expect.stringContaining('Too many requests'),
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfterSeconds: Number(limited.headers['retry-after'])
+      });
+    });
+  });
+
+  describe('TRUST_PROXY', () => {
+    afterEach(() => {
+      delete process.env.TRUST_PROXY;
+    });
+
+    it('should not trust forwarded addresses unless configured', () => {
+      expect(getTrustProxySetting()).toBe(false);
+      expect(app.get('trust proxy')).toBe(false);
+
+      process.env.TRUST_PROXY = 'false';
+      expect(getTrustProxySetting()).toBe(false);
+    });
+
+    it('should accept true, a hop count or a list of trusted addresses', () => {
+      process.env.TRUST_PROXY = 'true';
+      expect(getTrustProxySetting()).toBe(true);
+
+      process.env.TRUST_PROXY = ' 2 ';
+      expect(getTrustProxySetting()).toBe(2);
+
+      process.env.TRUST_PROXY = 'loopback, 10.0.0.0/8';
+      expect(getTrustProxySetting()).toBe('loopback, 10.0.0.0/8');
+    });
+  });
+
+  describe('account email limits', () => {
+    afterEach(() => {
+      delete process.env.TRUST_PROXY;
+      app.set('trust proxy', getTrustProxySetting());
+    });
+
+    it('should limit forgot-password per recipient across IP addresses and per IP address', async () => {
+      process.env.RATE_LIMITS = JSON.stringify({ accountEmail: { max: 2, windowSeconds: 3600 } });
+      process.env.TRUST_PROXY = '1';
+      app.set('trust proxy', getTrustProxySetting());
+
+      // Malformed addresses are refused before any lookup, but still counted
+      const forgotPassword = (ip: string, email: string) => request(app)
+        .post('/api/auth/forgot-password')
+        .set('X-Forwarded-For', ip)
+        .send({ email });
+
+      await forgotPassword('10.0.0.1', 'target').expect(400);
+      await forgotPassword('10.0.0.2', ' TARGET ').expect(400);
+
+      const limited = await forgotPassword('10.0.0.3', 'target').expect(429);
+      expect(limited.body.code).toBe('RATE_LIMIT_EXCEEDED');
+
+      await forgotPassword('10.0.0.3', 'someone-else').expect(400);
+      await forgotPassword('10.0.0.3', 'third-person').expect(400);
+      await forgotPassword('10.0.0.3', 'fourth-person').expect(429);
+    });
+  });
+
+  describe('validateRateLimit', () => {
+    it('should count each operation separately and warn near the limit', async () => {
+      expect((await validateRateLimit('user-1', 'export', 5, 60)).isValid).toBe(true);
+      for (let attempt = 2; attempt <= 4; attempt++) {
+        await validateRateLimit('user-1', 'export', 5, 60);
+      }
+
+      const nearLimit = await validateRateLimit('user-1', 'export', 5, 60);
+      expect(nearLimit.isValid).toBe(true);
+      expect(nearLimit.warnings).toEqual(['Approaching rate limit: 5/5 exports in the last 60 seconds']);
+
+      const refused = await validateRateLimit('user-1', 'export', 5, 60);
+      expect(refused.isValid).toBe(false);
+      expect(refused.errors[0]).toMatch(/^Rate limit exceeded\. Maximum 5 exports allowed per 60 seconds/);
+
+      expect((await validateRateLimit('user-1', 'delete', 5, 60)).isValid).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Realtime Service Tests
+ *
+ * Tests the realtime WebSocket: authentication with access tokens, delivery
+ * of events to the connections of their user only, and the job and file
+ * events published while the job queue processes an upload.
+ *
+ * Test Coverage:
+ * - authenticate message - Accepted and rejected tokens
+ * - publishToUser - Delivery to the user's connections
+ * - revokeAllUserTokens - Closes the user's connections
+ * - processNextJob - job.updated and file.status events
+ *
+ * Related Files:
+ * - src/services/realtime.service.ts - Service being tested
+ * - src/services/tokenRevocation.service.ts - Closes connections on revocation
+ * - src/services/jobQueue.service.ts - Publishes job updates
+ * - src/services/jobHandlers.service.ts - Publishes file status events
+ */
+
+import http from 'http';
+import { AddressInfo } from 'net';
+import WebSocket from 'ws';
+import app from '../index';
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true, role: 'student' }))
+}));
+
+jest.mock('../models/RevokedToken', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/RevokedToken'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/RefreshToken', () => {
+  const actual = jest.requireActual('../models/RefreshToken');
+  return {
+    __esModule: true,
+    ...actual,
+    default: { revokeAllForUser: jest.fn(async () => 0) }
+  };
+});
+
+jest.mock('../models/Job', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Job'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ progress: 0, attempts: 0, maxAttempts: 3 }))
+}));
+
+jest.mock('../models/UploadedFile', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/UploadedFile'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/DocumentChunk', () => ({
+  __esModule: true,
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../services/fileProcessing.service', () => ({
+  __esModule: true,
+  ...jest.requireActual('../services/fileProcessing.service'),
+  extractTextFromFile: jest.fn()
+}));
+
+import User from '../models/User';
+import Job from '../models/Job';
+import UploadedFile from '../models/UploadedFile';
+import DocumentChunk from '../models/DocumentChunk';
+import { extractTextFromFile } from '../services/fileProcessing.service';
+import { generateToken, TOKEN_TYPES } from '../services/auth.service';
+import { enqueueJob, processNextJob } from '../services/jobQueue.service';
+import { revokeAllUserTokens } from '../services/tokenRevocation.service';
+import { REVOCATION_REASONS } from '../models/RefreshToken';
+import {
+  attachRealtimeServer,
+  closeRealtimeServer,
+  publishToUser,
+  getConnectionCount,
+  REALTIME_PATH,
+  REALTIME_EVENTS,
+  REALTIME_CLOSE_CODES
+} from '../services/realtime.service';
+
+interface ITestClient {
+  socket: WebSocket;
+  messages: any[];
+  closeCode: Promise<number>;
+  waitFor(predicate: (message: any) => boolean): Promise<any>;
+}
+
+describe('Realtime Service', () => {
+  let server: http.Server;
+  let url: string;
+  let user: any;
+  const clients: WebSocket[] = [];
+
+  const connect = async (): Promise<ITestClient> => {
+    const socket = new WebSocket(url);
+    clients.push(socket);
+    const messages: any[] = [];
+    const waiters: Array<{ predicate: (message: any) => boolean; resolve: (message: any) => void }> = [];
+
+    socket.on('message', raw => {
+      const message = JSON.parse(raw.toString());
+      messages.push(message);
+      waiters.filter(waiter => waiter.predicate(message)).forEach(waiter => waiter.resolve(message));
+    });
+    const closeCode = new Promise<number>(resolve => socket.on('close', code => resolve(code)));
+    await new Promise(resolve => socket.once('open', resolve));
+
+    return {
+      socket,
+      messages,
+      closeCode,
+      waitFor: predicate => {
+        const received = messages.find(predicate);
+        return received
+          ? Promise.resolve(received)
+          : new Promise(resolve => waiters.push({ predicate, resolve }));
+      }
+    };
+  };
+
+  const authenticate = async (client: ITestClient, token: string): Promise<any> => {
+    client.socket.send(JSON.stringify({ type: 'authenticate', token }));
+    return client.waitFor(message => message.type === 'authenticated' || message.type === 'error');
+  };
+
+  const accessToken = (target: any) => generateToken(target._id.toString(), target.email).token;
+
+  beforeAll(async () => {
+    server = http.createServer(app);
+    attachRealtimeServer(server);
+    await new Promise<void>(resolve => server.listen(0, resolve));
+    url = `ws://127.0.0.1:${(server.address() as AddressInfo).port}${REALTIME_PATH}`;
+  });
+
+  afterAll(async () => {
+    closeRealtimeServer();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    [User, Job, UploadedFile, DocumentChunk].forEach((collection: any) => { collection.docs.length = 0; });
+    (extractTextFromFile as jest.Mock).mockReset();
+    user = await (User as any).create({ email: 'student@example.com' });
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(socket => socket.terminate());
+  });
+
+  describe('authentication', () => {
+    it('should deliver events to the authenticated user only', async () => {
+      const other = await (User as any).create({ email: 'other@example.com' });
+      const client = await connect();
+      const otherClient = await connect();
+
+      expect(await authenticate(client, accessToken(user))).toEqual({ type: 'authenticated', userId: user._id.toString() });
+      await authenticate(otherClient, accessToken(other));
+
+      expect(publishToUser(user._id, REALTIME_EVENTS.RATING_COMPLETED, { transcriptId: 'abc' })).toBe(1);
+
+      const event = await client.waitFor(message => message.type === REALTIME_EVENTS.RATING_COMPLETED);
+      expect(event).toEqual({ type: 'rating.completed', data: { transcriptId: 'abc' }, timestamp: expect.any(String) });
+      expect(otherClient.messages.map(message => message.type)).toEqual(['authenticated']);
+    });
+
+    it('should close connections with tokens that are not accepted', async () => {
+      const refresh = await connect();
+      const response = await authenticate(
+        refresh,
+        generateToken(user._id.toString(), user.email, { tokenType: TOKEN_TYPES.REFRESH }).token
+      );
+      expect(response).toMatchObject({ type: 'error', code: 'UNAUTHORIZED' });
+      expect(await refresh.closeCode).toBe(REALTIME_CLOSE_CODES.UNAUTHORIZED);
+
+      user.isActive = false;
+      const inactive = await connect();
+      await authenticate(inactive, accessToken(user));
+      expect(await inactive.closeCode).toBe(REALTIME_CLOSE_CODES.UNAUTHORIZED);
+
+      const garbage = await connect();
+      await authenticate(garbage, 'not-a-token');
+      expect(await garbage.closeCode).toBe(REALTIME_CLOSE_CODES.UNAUTHORIZED);
+
+      expect(getConnectionCount(user._id)).toBe(0);
+    });
+
+    it("should close the user's connections when all their sessions are revoked", async () => {
+      const other = await (User as any).create({ email: 'other@example.com' });
+      const laptop = await connect();
+      const phone = await connect();
+      const otherClient = await connect();
+      await authenticate(laptop, accessToken(user));
+      await authenticate(phone, accessToken(user));
+      await authenticate(otherClient, accessToken(other));
+
+      await revokeAllUserTokens(user._id, REVOCATION_REASONS.LOGOUT_ALL);
+
+      expect(await laptop.closeCode).toBe(REALTIME_CLOSE_CODES.UNAUTHORIZED);
+      expect(await phone.closeCode).toBe(REALTIME_CLOSE_CODES.UNAUTHORIZED);
+      expect(laptop.messages).toContainEqual({ type: 'error', code: 'UNAUTHORIZED', message: 'Session revoked' });
+      expect(getConnectionCount(user._id)).toBe(0);
+      expect(getConnectionCount(other._id)).toBe(1);
+    });
+  });
+
+  describe('job events', () => {
+    it('should push job progress and file status while a file is processed', async () => {
+      (extractTextFromFile as jest.Mock).mockResolvedValue({ text: 'Captain of the robotics team for three years' });
+      const client = await connect();
+      await authenticate(client, accessToken(user));
+
+      const file = await (UploadedFile as any).create({
+        userId: user._id,
+        originalName: 'notes.txt',
+        mimeType: 'text/plain',
+        fileType: 'document',
+        processingStatus: 'pending'
+      });
+      const job: any = await enqueueJob({
+        type: 'file_processing',
+        userId: user._id,
+        payload: { fileId: file._id.toString() },
+        fileData: Buffer.from('notes')
+      });
+
+      await processNextJob();
+
+      await client.waitFor(message => message.type === REALTIME_EVENTS.JOB_UPDATED && message.data.status === 'completed');
+      const jobEvents = client.messages.filter(message => message.type === REALTIME_EVENTS.JOB_UPDATED);
+      expect(jobEvents[0].data).toMatchObject({ id: job._id.toString(), status: 'running' });
+      expect(jobEvents.some(message => message.data.progressMessage === 'Extracting text')).toBe(true);
+      expect(jobEvents[jobEvents.length - 1].data).toMatchObject({ status: 'completed', progress: 100 });
+
+      const fileEvents = client.messages.filter(message => message.type === REALTIME_EVENTS.FILE_STATUS);
+      expect(fileEvents.map(message => message.data)).toEqual([
+        { fileId: file._id.toString(), processingStatus: 'processing' },
+        { fileId: file._id.toString(), processingStatus: 'completed' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Transcript Retention Service Tests
+ *
+ * Tests the retention policy for interview transcripts: unrated drafts
+ * expire, rated transcripts are kept as history until they exceed the
+ * user's or the server's retention period.
+ *
+ * Test Coverage:
+ * - Promotion of rated transcripts that still carry a draft expiry
+ * - Removal of expired drafts only
+ * - Per-user retention and the RATED_TRANSCRIPT_RETENTION_DAYS default
+ * - Review comments removed with their transcripts
+ *
+ * Related Files:
+ * - src/services/retention.service.ts - Service being tested
+ * - src/models/InterviewTranscript.ts - Draft expiry and cleanupExpired
+ */
+
+import { Types } from 'mongoose';
+
+jest.mock('../models/InterviewTranscript', () => {
+  const actual = jest.requireActual('../models/InterviewTranscript');
+  const collection = require('./helpers/mockCollection').mockCollection();
+  // Run the model's own cleanup query against the in-memory collection
+  collection.cleanupExpired = actual.default.schema.statics.cleanupExpired.bind(collection);
+
+  return { __esModule: true, ...actual, default: collection };
+});
+
+jest.mock('../models/ReviewComment', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/ReviewComment'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+import InterviewTranscript from '../models/InterviewTranscript';
+import ReviewComment from '../models/ReviewComment';
+import User from '../models/User';
+import { enforceTranscriptRetention } from '../services/retention.service';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Transcript Retention Service', () => {
+  const now = new Date('2024-06-01T00:00:00.000Z');
+  const daysAgo = (days: number) => new Date(now.getTime() - days * DAY_MS);
+  const originalDefault = process.env.RATED_TRANSCRIPT_RETENTION_DAYS;
+
+  const addTranscript = (userId: Types.ObjectId, fields: Record<string, any>) => {
+    const transcript = { _id: new Types.ObjectId(), userId, ...fields };
+    (InterviewTranscript as any).docs.push(transcript);
+    return transcript;
+  };
+
+  const remainingIds = () => (InterviewTranscript as any).docs.map((doc: any) => doc._id.toString());
+
+  beforeEach(() => {
+    [InterviewTranscript, ReviewComment, User].forEach((collection: any) => { collection.docs.length = 0; });
+    delete process.env.RATED_TRANSCRIPT_RETENTION_DAYS;
+  });
+
+  afterAll(() => {
+    if (originalDefault === undefined) {
+      delete process.env.RATED_TRANSCRIPT_RETENTION_DAYS;
+    } else {
+      process.env.RATED_TRANSCRIPT_RETENTION_DAYS = originalDefault;
+    }
+  });
+
+  it('should keep rated transcripts indefinitely by default and expire only drafts', async () => {
+    const userId = new Types.ObjectId();
+    const legacyRated = addTranscript(userId, { status: 'rated', createdAt: daysAgo(400), expiresAt: daysAgo(399) });
+    const rated = addTranscript(userId, { status: 'rated', createdAt: daysAgo(30) });
+    addTranscript(userId, { status: 'pending', createdAt: daysAgo(2), expiresAt: daysAgo(1) });
+    addTranscript(userId, { status: 'error', createdAt: daysAgo(2), expiresAt: daysAgo(1) });
+    const freshDraft = addTranscript(userId, { status: 'pending', createdAt: new Date(), expiresAt: new Date(Date.now() + DAY_MS) });
+
+    const result = await enforceTranscriptRetention(now);
+
+    expect(result).toEqual({ promoted: 1, expiredDrafts: 2, expiredRated: 0 });
+    expect(remainingIds()).toEqual([legacyRated, rated, freshDraft].map(doc => doc._id.toString()));
+    expect(legacyRated).not.toHaveProperty('expiresAt');
+  });
+
+  it('should apply per-user retention before the server default', async () => {
+    process.env.RATED_TRANSCRIPT_RETENTION_DAYS = '365';
+
+    const shortRetention = new Types.ObjectId();
+    const defaultRetention = new Types.ObjectId();
+    (User as any).docs.push(
+      { _id: shortRetention, transcriptRetentionDays: 30 },
+      { _id: defaultRetention }
+    );
+
+    const expiredShort = addTranscript(shortRetention, { status: 'rated', createdAt: daysAgo(31) });
+    const keptShort = addTranscript(shortRetention, { status: 'rated', createdAt: daysAgo(29) });
+    const expiredDefault = addTranscript(defaultRetention, { status: 'rated', createdAt: daysAgo(366) });
+    const keptDefault = addTranscript(defaultRetention, { status: 'rated', createdAt: daysAgo(100) });
+
+    (ReviewComment as any).docs.push(
+      { _id: new Types.ObjectId(), targetType: 'transcript', targetId: expiredShort._id },
+      { _id: new Types.ObjectId(), targetType: 'transcript', targetId: keptShort._id }
+    );
+
+    const result = await enforceTranscriptRetention(now);
+
+    expect(result.expiredRated).toBe(2);
+    expect(remainingIds()).toEqual([keptShort, keptDefault].map(doc => doc._id.toString()));
+    expect(remainingIds()).not.toContain(expiredDefault._id.toString());
+    expect((ReviewComment as any).docs.map((comment: any) => String(comment.targetId))).toEqual([keptShort._id.toString()]);
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Retrieval Service Tests
+ *
+ * Tests chunking and indexing of uploaded documents, BM25 and embedding
+ * ranking of their passages, and the cited passages sent to the interviewer.
+ *
+ * Test Coverage:
+ * - analyzeText and chunkText - Search terms and paragraph-aware passages
+ * - indexUploadedFile - Stored passages, embeddings and embedding usage
+ * - searchUploadedFiles - Ranking, fallback to opening passages, lazy indexing
+ * - formatCitedPassages - Numbered citations within a token budget
+ * - POST /api/chat/authenticated - Retrieved passages and their sources
+ *
+ * Related Files:
+ * - src/services/retrieval.service.ts - Service being tested
+ * - src/models/DocumentChunk.ts - Stored passages
+ * - src/routes/chat.routes.ts - Chat endpoints that retrieve passages
+ */
+
+import request from 'supertest';
+import app from '../index';
+import { Types } from 'mongoose';
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+jest.mock('../models/UploadedFile', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/UploadedFile'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/DocumentChunk', () => ({
+  __esModule: true,
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/RosterMembership', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/RosterMembership'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/LLMUsage', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/LLMUsage'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+// Authenticate requests as the user whose ID is sent as the bearer token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  const User = require('../models/User').default;
+
+  return {
+    __esModule: true,
+    ...actual,
+    authenticateToken: jest.fn((req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = User.docs.find((entry: any) => String(entry._id) === token);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    })
+  };
+});
+
+import User from '../models/User';
+import UploadedFile from '../models/UploadedFile';
+import DocumentChunk from '../models/DocumentChunk';
+import LLMUsage from '../models/LLMUsage';
+import {
+  analyzeText,
+  chunkText,
+  indexUploadedFile,
+  searchUploadedFiles,
+  formatCitedPassages
+} from '../services/retrieval.service';
+import { countTokens } from '../services/tokenizer.service';
+import { createMockProvider, setLLMProvider, IMockLLMProvider } from '../services/llmProvider.service';
+
+const ESSAY = [
+  'I grew up in a small town where the library was the only place open after school.',
+  'Joining the robotics team changed everything. When our robot failed at regionals, I rebuilt the drivetrain overnight and we still placed third.',
+  'Volunteering at the food bank taught me to listen before offering help.',
+  'I want to study mechanical engineering so I can design affordable prosthetics.'
+].join('\n\n');
+
+describe('Retrieval Service', () => {
+  const originalEnv = { ...process.env };
+  const userId = new Types.ObjectId();
+
+  const addFile = (originalName: string, extractedText: string) => {
+    const file = (UploadedFile as any).docs[(UploadedFile as any).docs.push({
+      _id: new Types.ObjectId(),
+      userId,
+      originalName,
+      fileType: 'document',
+      extractedText,
+      processingStatus: 'completed',
+      uploadedAt: new Date()
+    }) - 1];
+    Object.defineProperty(file, 'markAsAccessed', { value: async () => file });
+    return file;
+  };
+
+  beforeEach(() => {
+    [User, UploadedFile, DocumentChunk, LLMUsage].forEach((collection: any) => { collection.docs.length = 0; });
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setLLMProvider(null);
+  });
+
+  describe('analyzeText', () => {
+    it('should drop stop words, accents and plurals', () => {
+      expect(analyzeText("Tell me about the Robotics teams I've led and my Résumés!"))
+        .toEqual(['tell', 'robotic', 'team', 've', 'led', 'resume']);
+      expect(analyzeText('Class essays')).toEqual(['class', 'essay']);
+    });
+  });
+
+  describe('chunkText', () => {
+    it('should keep paragraphs together up to the passage size', () => {
+      expect(chunkText(ESSAY)).toEqual([ESSAY]);
+
+      const passages = chunkText(ESSAY, 40);
+      expect(passages.length).toBeGreaterThan(1);
+      expect(passages.join('\n\n')).toBe(ESSAY);
+      passages.forEach(passage => expect(countTokens(passage)).toBeLessThanOrEqual(40));
+    });
+
+    it('should split long paragraphs between sentences', () => {
+      const paragraph = 'We built a robot. '.repeat(100).trim();
+
+      const passages = chunkText(paragraph, 50);
+
+      expect(passages.length).toBeGreaterThan(5);
+      passages.forEach(passage => {
+        expect(passage).toMatch(/^We built a robot\..*\.$/);
+        expect(countTokens(passage)).toBeLessThanOrEqual(50);
+      });
+      expect(chunkText('  \n\n  ')).toEqual([]);
+    });
+  });
+
+  describe('searchUploadedFiles', () => {
+    it('should rank the paragraph that answers the question first', async () => {
+      const essay = addFile('personal_essay.docx', ESSAY.split('\n\n').join('\n\n' + 'Filler sentence. '.repeat(60) + '\n\n'));
+      const resume = addFile('resume.pdf', 'Food bank volunteer, 2022 to 2024.');
+
+      const passages = await searchUploadedFiles([essay, resume], 'What happened when your robot failed at regionals?');
+
+      expect(passages[0]).toMatchObject({ fileName: 'personal_essay.docx', fileId: essay._id.toString() });
+      expect(passages[0]!.text).toContain('rebuilt the drivetrain');
+      expect(passages[0]!.score).toBeGreaterThan(0);
+      expect(passages.every(passage => passage.score > 0)).toBe(true);
+
+      // The files were indexed on first search and are reused afterwards
+      const indexed = (DocumentChunk as any).docs.length;
+      expect(indexed).toBeGreaterThan(2);
+      await searchUploadedFiles([essay, resume], 'Tell me about volunteering');
+      expect((DocumentChunk as any).docs).toHaveLength(indexed);
+    });
+
+    it('should return the opening passages when nothing matches', async () => {
+      const essay = addFile('personal_essay.docx', ESSAY);
+      const resume = addFile('resume.pdf', 'Food bank volunteer, 2022 to 2024.');
+
+      const passages = await searchUploadedFiles([resume, essay], 'Hello there!');
+
+      expect(passages.map(passage => [passage.fileName, passage.chunkIndex, passage.score])).toEqual([
+        ['resume.pdf', 0, 0],
+        ['personal_essay.docx', 0, 0]
+      ]);
+    });
+
+    it('should fuse embedding ranks when an embedding model is set', async () => {
+      process.env.RETRIEVAL_EMBEDDING_MODEL = 'text-embedding-3-small';
+      const provider: IMockLLMProvider = createMockProvider();
+      const embed = jest.spyOn(provider, 'embed');
+      setLLMProvider(provider);
+
+      const essay = addFile('personal_essay.docx', ESSAY);
+      const chunks = await indexUploadedFile(essay);
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0]).toMatchObject({ chunkIndex: 0, embeddingModel: 'text-embedding-3-small' });
+      expect(chunks[0]!.embedding).toHaveLength(64);
+
+      const passages = await searchUploadedFiles([essay], 'robot drivetrain', { usageContext: { userId } });
+
+      expect(passages).toHaveLength(1);
+      expect(embed).toHaveBeenCalledTimes(2);
+      expect(embed).toHaveBeenLastCalledWith(['robot drivetrain'], 'text-embedding-3-small');
+      expect((LLMUsage as any).docs).toEqual([
+        expect.objectContaining({ feature: 'embedding', modelName: 'text-embedding-3-small', completionTokens: 0 }),
+        expect.objectContaining({ feature: 'embedding', modelName: 'text-embedding-3-small', completionTokens: 0 })
+      ]);
+    });
+
+    it('should index for keyword search only when embedding fails', async () => {
+      process.env.RETRIEVAL_EMBEDDING_MODEL = 'text-embedding-3-small';
+      const provider = createMockProvider();
+      jest.spyOn(provider, 'embed').mockRejectedValue(new Error('Embeddings unavailable'));
+      setLLMProvider(provider);
+
+      const essay = addFile('personal_essay.docx', ESSAY);
+      const chunks = await indexUploadedFile(essay);
+      const passages = await searchUploadedFiles([essay], 'robotics');
+
+      expect(chunks[0]!.embedding).toBeUndefined();
+      expect(passages[0]!.score).toBeGreaterThan(0);
+    });
+  });
+
+  describe('formatCitedPassages', () => {
+    const passage = (fileName: string, chunkIndex: number, text: string) => ({
+      fileId: new Types.ObjectId().toString(), fileName, chunkIndex, text, tokenCount: countTokens(text), score: 1
+    });
+
+    it('should number the passages and skip those that do not fit', () => {
+      const passages = [
+        passage('personal_essay.docx', 2, 'When our robot failed at regionals, I rebuilt the drivetrain.'),
+        passage('resume.pdf', 0, 'Robotics team captain. '.repeat(50)),
+        passage('resume.pdf', 3, 'Food bank volunteer.')
+      ];
+
+      const cited = formatCitedPassages(passages, 60);
+
+      expect(cited.content).toBe(
+        '[1] personal_essay.docx, passage 3\nWhen our robot failed at regionals, I rebuilt the drivetrain.\n\n' +
+        '[2] resume.pdf, passage 4\nFood bank volunteer.'
+      );
+      expect(cited.tokenCount).toBe(countTokens(cited.content));
+      expect(cited.sources.map(source => [source.citation, source.fileName, source.passage])).toEqual([
+        [1, 'personal_essay.docx', 3],
+        [2, 'resume.pdf', 4]
+      ]);
+    });
+  });
+
+  describe('POST /api/chat/authenticated', () => {
+    it('should add the passages for the current question and report their sources', async () => {
+      const provider = createMockProvider({ replies: ['What did you learn from rebuilding it?'] });
+      setLLMProvider(provider);
+      const user = await (User as any).create({ _id: userId, email: 'student@example.com', role: 'student' });
+      const essay = addFile('personal_essay.docx', ESSAY.split('\n\n').join('\n\n' + 'Filler sentence. '.repeat(60) + '\n\n'));
+
+      const response = await request(app)
+        .post('/api/chat/authenticated')
+        .set('Authorization', `Bearer ${user._id}`)
+        .send({
+          includeUploadedContent: true,
+          messages: [
+            { role: 'system', content: 'You are an interviewer.' },
+            { role: 'assistant', content: 'Tell me about a setback.' },
+            { role: 'user', content: 'Our robot failed at regionals.' }
+          ]
+        })
+        .expect(200);
+
+      const system = provider.requests[0]!.messages[0]!.content;
+      expect(system).toContain('[1] personal_essay.docx, passage');
+      expect(system).toContain('rebuilt the drivetrain');
+      expect(response.body.contentMetadata).toMatchObject({
+        filesUsed: 1,
+        categories: ['document'],
+        sources: [expect.objectContaining({ citation: 1, fileId: essay._id.toString(), fileName: 'personal_essay.docx' })]
+      });
+      expect(response.body.contentMetadata.totalTokens).toBeGreaterThan(0);
+    });
+  });
+});
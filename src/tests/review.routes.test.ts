@@ -0,0 +1,324 @@
+/**
+ * Review Comment Routes Tests
+ *
+ * Tests counselor review comments anchored to interview messages and the
+ * notifications they create.
+ *
+ * Test Coverage:
+ * - /api/transcripts/:targetId/comments - Threads, replies, resolving and deleting
+ * - /api/sessions/:targetId/comments - Comments on session transcript entries
+ * - Access limited to the student and their assigned counselors
+ * - /api/notifications - Notification feed and read state
+ *
+ * Related Files:
+ * - src/routes/review.routes.ts - Routes being tested
+ * - src/routes/notification.routes.ts - Notification routes
+ * - src/services/review.service.ts - Comment logic and access rules
+ */
+
+import request from 'supertest';
+import app from '../index';
+import { Types } from 'mongoose';
+
+jest.mock('../models/Organization', () => ({
+  __esModule: true,
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+jest.mock('../models/RosterMembership', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/RosterMembership'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ status: 'active', joinedAt: new Date() }))
+}));
+
+jest.mock('../models/InterviewTranscript', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/InterviewTranscript'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ status: 'rated' }))
+}));
+
+jest.mock('../models/SessionRecording', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/SessionRecording'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/ReviewComment', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/ReviewComment'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ parentId: null, resolved: false }))
+}));
+
+jest.mock('../models/Notification', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/Notification'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+// Authenticate requests as the user whose ID is sent as the bearer token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  const User = require('../models/User').default;
+
+  return {
+    __esModule: true,
+    ...actual,
+    authenticateToken: jest.fn((req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = User.docs.find((entry: any) => String(entry._id) === token);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    })
+  };
+});
+
+import Organization from '../models/Organization';
+import RosterMembership from '../models/RosterMembership';
+import InterviewTranscript from '../models/InterviewTranscript';
+import SessionRecording from '../models/SessionRecording';
+import ReviewComment from '../models/ReviewComment';
+import Notification from '../models/Notification';
+import User from '../models/User';
+import { setMailTransport } from '../services/mailer.service';
+
+const collections = [
+  Organization, RosterMembership, InterviewTranscript, SessionRecording, ReviewComment, Notification, User
+] as any[];
+
+describe('Review Comment Routes', () => {
+  let counselor: any;
+  let otherCounselor: any;
+  let student: any;
+  let classmate: any;
+  let transcriptId: string;
+  const sendMail = jest.fn(async () => undefined);
+
+  const auth = (user: any) => ({ Authorization: `Bearer ${user._id.toString()}` });
+
+  const insert = (collection: any, doc: Record<string, any>) =>
+    collection.docs[collection.docs.push({ _id: new Types.ObjectId(), createdAt: new Date(), ...doc }) - 1];
+
+  const addUser = (email: string, name: string, role: string) =>
+    insert(User, { email, name, role, isActive: true });
+
+  const comment = (user: any, body: Record<string, any>) => request(app)
+    .post(`/api/transcripts/${transcriptId}/comments`)
+    .set(auth(user))
+    .send(body);
+
+  const notificationsOf = (user: any) => (Notification as any).docs
+    .filter((notification: any) => String(notification.userId) === String(user._id));
+
+  beforeAll(() => {
+    setMailTransport({ name: 'test', send: sendMail });
+  });
+
+  afterAll(() => {
+    setMailTransport(null);
+  });
+
+  beforeEach(() => {
+    collections.forEach(collection => { collection.docs.length = 0; });
+    sendMail.mockClear();
+
+    counselor = addUser('counselor@example.com', 'Casey Counselor', 'counselor');
+    otherCounselor = addUser('other@example.com', 'Oakley Other', 'counselor');
+    student = addUser('student@example.com', 'Sam Student', 'student');
+    classmate = addUser('classmate@example.com', 'Cameron Classmate', 'student');
+
+    const organization = insert(Organization, { name: 'Lincoln High', counselorIds: [counselor._id], isActive: true });
+    insert(RosterMembership, { organizationId: organization._id, studentId: student._id, status: 'active' });
+    insert(Organization, { name: 'Other School', counselorIds: [otherCounselor._id], isActive: true });
+
+    transcriptId = insert(InterviewTranscript, {
+      userId: student._id,
+      status: 'rated',
+      messages: [
+        { sender: 'ai', text: 'Tell me about a time you led a team.', timestamp: new Date() },
+        { sender: 'user', text: 'I organized our robotics club fundraiser.', timestamp: new Date() }
+      ]
+    })._id.toString();
+  });
+
+  describe('Threads', () => {
+    it('should let an assigned counselor comment on a message and notify the student', async () => {
+      const response = await comment(counselor, { anchorIndex: 1, body: 'Add the amount you raised.' }).expect(201);
+
+      expect(response.body.threads).toHaveLength(1);
+      expect(response.body.threads[0]).toMatchObject({
+        anchorIndex: 1,
+        parentId: null,
+        body: 'Add the amount you raised.',
+        resolved: false,
+        author: { id: counselor._id.toString(), name: 'Casey Counselor', role: 'counselor' },
+        replies: []
+      });
+
+      const list = await request(app)
+        .get(`/api/transcripts/${transcriptId}/comments`)
+        .set(auth(student))
+        .expect(200);
+
+      expect(list.body.entries[1]).toEqual({ index: 1, speaker: 'user', text: 'I organized our robotics club fundraiser.' });
+      expect(list.body.threads[0].id).toBe(response.body.commentId);
+
+      expect(notificationsOf(student)).toHaveLength(1);
+      expect(notificationsOf(student)[0]).toMatchObject({ type: 'review_comment', targetType: 'transcript' });
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'student@example.com' }));
+    });
+
+    it('should thread replies, notify the other side and reject replies to replies', async () => {
+      const root = await comment(counselor, { anchorIndex: 0, body: 'Pause before answering.' }).expect(201);
+
+      const reply = await comment(student, { parentId: root.body.commentId, body: 'Will do, thanks!' }).expect(201);
+
+      expect(reply.body.threads[0].replies).toHaveLength(1);
+      expect(reply.body.threads[0].replies[0]).toMatchObject({
+        anchorIndex: 0,
+        parentId: root.body.commentId,
+        body: 'Will do, thanks!'
+      });
+      expect(notificationsOf(counselor)).toHaveLength(1);
+      expect(notificationsOf(counselor)[0].type).toBe('review_reply');
+
+      const nested = await comment(counselor, { parentId: reply.body.threads[0].replies[0].id, body: 'Nested' }).expect(400);
+      expect(nested.body.code).toBe('NOT_THREAD_ROOT');
+    });
+
+    it('should reject anchors outside the transcript', async () => {
+      const response = await comment(counselor, { anchorIndex: 2, body: 'Out of range' }).expect(400);
+
+      expect(response.body.code).toBe('ANCHOR_OUT_OF_RANGE');
+      expect((ReviewComment as any).docs).toHaveLength(0);
+    });
+
+    it('should validate the comment body', async () => {
+      const response = await comment(counselor, { anchorIndex: 0, body: '   ' }).expect(400);
+
+      expect(response.body.details).toContain('body is required');
+    });
+
+    it('should resolve a thread and reopen it on a new reply', async () => {
+      const root = await comment(counselor, { anchorIndex: 1, body: 'Quantify the result.' }).expect(201);
+
+      const resolved = await request(app)
+        .patch(`/api/transcripts/${transcriptId}/comments/${root.body.commentId}`)
+        .set(auth(student))
+        .send({ resolved: true })
+        .expect(200);
+
+      expect(resolved.body.threads[0]).toMatchObject({ resolved: true, resolvedBy: student._id.toString() });
+      expect(notificationsOf(counselor).map((notification: any) => notification.type)).toEqual(['review_resolved']);
+
+      const reopened = await comment(counselor, { parentId: root.body.commentId, body: 'One more thing.' }).expect(201);
+      expect(reopened.body.threads[0].resolved).toBe(false);
+    });
+
+    it('should only let authors delete their comments', async () => {
+      const root = await comment(counselor, { anchorIndex: 0, body: 'Speak up.' }).expect(201);
+      await comment(student, { parentId: root.body.commentId, body: 'Okay' }).expect(201);
+
+      const forbidden = await request(app)
+        .delete(`/api/transcripts/${transcriptId}/comments/${root.body.commentId}`)
+        .set(auth(student))
+        .expect(403);
+      expect(forbidden.body.code).toBe('NOT_COMMENT_AUTHOR');
+
+      const deleted = await request(app)
+        .delete(`/api/transcripts/${transcriptId}/comments/${root.body.commentId}`)
+        .set(auth(counselor))
+        .expect(200);
+
+      expect(deleted.body.threads).toEqual([]);
+      expect((ReviewComment as any).docs).toHaveLength(0);
+    });
+  });
+
+  describe('Access', () => {
+    it('should hide comments from counselors the student is not assigned to and other students', async () => {
+      for (const user of [otherCounselor, classmate]) {
+        const response = await request(app)
+          .get(`/api/transcripts/${transcriptId}/comments`)
+          .set(auth(user))
+          .expect(403);
+
+        expect(response.body.code).toBe('NOT_REVIEW_PARTICIPANT');
+      }
+    });
+
+    it('should revoke access when the student leaves the roster', async () => {
+      (RosterMembership as any).docs[0].status = 'removed';
+
+      await request(app)
+        .post(`/api/transcripts/${transcriptId}/comments`)
+        .set(auth(counselor))
+        .send({ anchorIndex: 0, body: 'Still here?' })
+        .expect(403);
+    });
+
+    it('should return 404 for unknown transcripts', async () => {
+      await request(app)
+        .get(`/api/transcripts/${new Types.ObjectId()}/comments`)
+        .set(auth(counselor))
+        .expect(404);
+    });
+  });
+
+  describe('Session comments', () => {
+    it('should anchor comments to session transcript entries', async () => {
+      const session = insert(SessionRecording, {
+        userId: student._id,
+        transcript: [
+          { speaker: 'ai', text: 'Why this college?', timestamp: 0 },
+          { speaker: 'user', text: 'Because of the engineering program.', timestamp: 4000 }
+        ]
+      });
+
+      const response = await request(app)
+        .post(`/api/sessions/${session._id}/comments`)
+        .set(auth(counselor))
+        .send({ anchorIndex: 1, body: 'Name a specific lab or professor.' })
+        .expect(201);
+
+      expect(response.body.threads[0].anchorIndex).toBe(1);
+      expect((ReviewComment as any).docs[0].targetType).toBe('session');
+    });
+  });
+
+  describe('Notifications', () => {
+    it('should list notifications and mark them read', async () => {
+      await comment(counselor, { anchorIndex: 0, body: 'First' }).expect(201);
+      await comment(counselor, { anchorIndex: 1, body: 'Second' }).expect(201);
+
+      const feed = await request(app).get('/api/notifications').set(auth(student)).expect(200);
+      expect(feed.body.unreadCount).toBe(2);
+      expect(feed.body.notifications).toHaveLength(2);
+
+      await request(app)
+        .patch(`/api/notifications/${feed.body.notifications[0].id}/read`)
+        .set(auth(student))
+        .expect(200);
+
+      const unread = await request(app).get('/api/notifications?unreadOnly=true').set(auth(student)).expect(200);
+      expect(unread.body.unreadCount).toBe(1);
+      expect(unread.body.notifications).toHaveLength(1);
+
+      await request(app)
+        .patch(`/api/notifications/${feed.body.notifications[0].id}/read`)
+        .set(auth(counselor))
+        .expect(404);
+
+      const readAll = await request(app).post('/api/notifications/read-all').set(auth(student)).expect(200);
+      expect(readAll.body.updated).toBe(1);
+    });
+  });
+});
@@ -4,6 +4,8 @@
  * This file contains comprehensive tests for step 32 implementation: 
  * "Add validation for all route inputs using basic if-statements to check required fields. 
  * Return 400 status with clear error messages for missing or invalid fields."
+ * Interview and session inputs are now checked against the shared endpoint
+ * specs, so those cases expect the VALIDATION_ERROR format.
  * 
  * Tests cover all API routes that received enhanced input validation:
  * - Authentication routes (register, login)
@@ -334,7 +336,7 @@ describe('Step 32: Input Validation Tests', () => {
 
         expect(response.status).toBe(400);
         expect(response.body.error).toBe('Bad Request');
-        expect(response.body.message).toBe('Interview type is required');
+        expect(response.body.message).toBe('interviewType is required');
       });
 
       it('should return 400 when interviewDifficulty is missing', async () => {
@@ -347,7 +349,7 @@ describe('Step 32: Input Validation Tests', () => {
 
         expect(response.status).toBe(400);
         expect(response.body.error).toBe('Bad Request');
-        expect(response.body.message).toBe('Interview difficulty is required');
+        expect(response.body.message).toBe('interviewDifficulty is required');
       });
 
       it('should return 400 when duration is not a number', async () => {
@@ -362,7 +364,7 @@ describe('Step 32: Input Validation Tests', () => {
 
         expect(response.status).toBe(400);
         expect(response.body.error).toBe('Bad Request');
-        expect(response.body.message).toBe('Duration must be a number');
+        expect(response.body.message).toBe('duration must be an integer');
       });
 
       it('should return 400 when duration is not an integer', async () => {
@@ -377,7 +379,7 @@ describe('Step 32: Input Validation Tests', () => {
 
         expect(response.status).toBe(400);
         expect(response.body.error).toBe('Bad Request');
-        expect(response.body.message).toBe('Duration must be a whole number of minutes');
+        expect(response.body.message).toBe('duration must be an integer');
       });
 
       it('should return 400 when tags is not an array', async () => {
@@ -392,7 +394,7 @@ describe('Step 32: Input Validation Tests', () => {
 
         expect(response.status).toBe(400);
         expect(response.body.error).toBe('Bad Request');
-        expect(response.body.message).toBe('Tags must be an array');
+        expect(response.body.message).toBe('tags must be an array');
       });
 
       it('should return 400 when tags array has too many items', async () => {
@@ -408,7 +410,7 @@ describe('Step 32: Input Validation Tests', () => {
 
         expect(response.status).toBe(400);
         expect(response.body.error).toBe('Bad Request');
-        expect(response.body.message).toBe('Maximum of 10 tags are allowed');
+        expect(response.body.message).toBe('tags must contain at most 10 items');
       });
     });
 
@@ -420,7 +422,7 @@ describe('Step 32: Input Validation Tests', () => {
 
         expect(response.status).toBe(400);
         expect(response.body.error).toBe('Bad Request');
-        expect(response.body.message).toBe('Page parameter must be a valid number');
+        expect(response.body.message).toBe('page must be an integer');
       });
 
       it('should return 400 when limit parameter is too high', async () => {
@@ -430,7 +432,7 @@ describe('Step 32: Input Validation Tests', () => {
 
         expect(response.status).toBe(400);
         expect(response.body.error).toBe('Bad Request');
-        expect(response.body.message).toBe('Limit parameter must be 100 or less');
+        expect(response.body.message).toBe('limit must be at most 100');
       });
 
       it('should return 400 when status filter is invalid', async () => {
@@ -440,7 +442,7 @@ describe('Step 32: Input Validation Tests', () => {
 
         expect(response.status).toBe(400);
         expect(response.body.error).toBe('Bad Request');
-        expect(response.body.message).toBe('Status filter must be one of: pending, active, completed, cancelled');
+        expect(response.body.message).toBe('status must be one of: pending, active, completed, cancelled');
       });
     });
   });
@@ -454,9 +456,9 @@ describe('Step 32: Input Validation Tests', () => {
           .send();
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
+        expect(response.body.error).toBe('Bad Request');
         expect(response.body.message).toBe('Request body is required');
-        expect(response.body.code).toBe('MISSING_REQUEST_BODY');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
 
       it('should return 400 when interviewId is missing', async () => {
@@ -466,9 +468,9 @@ describe('Step 32: Input Validation Tests', () => {
           .send({});
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Interview ID is required');
-        expect(response.body.code).toBe('MISSING_INTERVIEW_ID');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('interviewId is required');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
 
       it('should return 400 when interviewId is not a string', async () => {
@@ -480,9 +482,9 @@ describe('Step 32: Input Validation Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Interview ID must be a string');
-        expect(response.body.code).toBe('INVALID_INTERVIEW_ID_TYPE');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('interviewId must be a string');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
 
       it('should return 400 when interviewId is empty', async () => {
@@ -494,9 +496,9 @@ describe('Step 32: Input Validation Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Interview ID cannot be empty');
-        expect(response.body.code).toBe('EMPTY_INTERVIEW_ID');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('interviewId must be a valid ID');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
 
       it('should return 400 when interviewId is invalid ObjectId format', async () => {
@@ -508,9 +510,9 @@ describe('Step 32: Input Validation Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Invalid or missing interview ID. Please provide a valid MongoDB ObjectId.');
-        expect(response.body.code).toBe('INVALID_INTERVIEW_ID');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('interviewId must be a valid ID');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
     });
 
@@ -546,9 +548,9 @@ describe('Step 32: Input Validation Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Speaker field is required');
-        expect(response.body.code).toBe('MISSING_SPEAKER');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('speaker is required');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
 
       it('should return 400 when speaker is not a string', async () => {
@@ -561,9 +563,9 @@ describe('Step 32: Input Validation Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Speaker must be a string');
-        expect(response.body.code).toBe('INVALID_SPEAKER_TYPE');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('speaker must be a string');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
 
       it('should return 400 when speaker is invalid value', async () => {
@@ -576,9 +578,9 @@ describe('Step 32: Input Validation Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Invalid speaker. Must be one of: user, ai, system');
-        expect(response.body.code).toBe('INVALID_SPEAKER');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('speaker must be one of: user, ai, system');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
 
       it('should return 400 when text is missing', async () => {
@@ -590,9 +592,9 @@ describe('Step 32: Input Validation Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Text field is required');
-        expect(response.body.code).toBe('MISSING_TEXT');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('text is required');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
 
       it('should return 400 when text is too long', async () => {
@@ -606,9 +608,9 @@ describe('Step 32: Input Validation Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Text must be 10,000 characters or less');
-        expect(response.body.code).toBe('TEXT_TOO_LONG');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('text must be at most 10000 characters');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
 
       it('should return 400 when confidence is invalid', async () => {
@@ -622,9 +624,9 @@ describe('Step 32: Input Validation Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Confidence must be a number between 0 and 1');
-        expect(response.body.code).toBe('INVALID_CONFIDENCE');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('confidence must be at most 1');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
 
       it('should return 400 when duration is negative', async () => {
@@ -638,9 +640,9 @@ describe('Step 32: Input Validation Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Duration must be a positive number in milliseconds');
-        expect(response.body.code).toBe('INVALID_DURATION');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('duration must be at least 0');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
 
       it('should return 400 when duration is too long', async () => {
@@ -654,9 +656,9 @@ describe('Step 32: Input Validation Tests', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body.success).toBe(false);
-        expect(response.body.message).toBe('Duration must be 1 hour or less');
-        expect(response.body.code).toBe('DURATION_TOO_LONG');
+        expect(response.body.error).toBe('Bad Request');
+        expect(response.body.message).toBe('duration must be at most 3600000');
+        expect(response.body.code).toBe('VALIDATION_ERROR');
       });
     });
   });
@@ -715,12 +717,13 @@ describe('Step 32: Input Validation Tests', () => {
         .send({});
 
       expect(response.status).toBe(400);
-      expect(response.body).toHaveProperty('success');
+      expect(response.body).toHaveProperty('error');
       expect(response.body).toHaveProperty('message');
       expect(response.body).toHaveProperty('code');
-      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Bad Request');
       expect(typeof response.body.message).toBe('string');
-      expect(typeof response.body.code).toBe('string');
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details).toEqual(['interviewId is required']);
     });
   });
 }); 
\ No newline at end of file
@@ -0,0 +1,285 @@
+/**
+ * Usage Routes Tests
+ *
+ * Tests LLM usage metering, the usage endpoints and monthly budgets.
+ *
+ * Test Coverage:
+ * - calculateCost - Price table, dated model names and LLM_MODEL_PRICES
+ * - Metering of chat calls with organization attribution
+ * - GET /api/usage(/users/:userId) - User usage and admin access
+ * - GET /api/organizations/:organizationId/usage - Organization usage by student
+ * - Metering of anonymous chat
+ * - requireLLMBudget - User, organization and anonymous budgets, refused when the ledger is unreadable
+ *
+ * Related Files:
+ * - src/routes/usage.routes.ts - Routes being tested
+ * - src/services/usage.service.ts - Usage ledger and budgets
+ * - src/middleware/llmBudget.ts - Budget enforcement
+ */
+
+import request from 'supertest';
+import app from '../index';
+import { Types } from 'mongoose';
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+jest.mock('../models/Organization', () => ({
+  __esModule: true,
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+jest.mock('../models/RosterMembership', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/RosterMembership'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ status: 'active' }))
+}));
+
+jest.mock('../models/LLMUsage', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/LLMUsage'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+// Authenticate requests as the user whose ID is sent as the bearer token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  const User = require('../models/User').default;
+
+  return {
+    __esModule: true,
+    ...actual,
+    authenticateToken: jest.fn((req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = User.docs.find((entry: any) => String(entry._id) === token);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    })
+  };
+});
+
+import User from '../models/User';
+import Organization from '../models/Organization';
+import RosterMembership from '../models/RosterMembership';
+import LLMUsage from '../models/LLMUsage';
+import { calculateCost } from '../services/usage.service';
+import { createMockProvider, setLLMProvider, IMockLLMProvider } from '../services/llmProvider.service';
+
+const collections = [User, Organization, RosterMembership, LLMUsage] as any[];
+
+const messages = [
+  { role: 'system', content: 'You are an interviewer.' },
+  { role: 'user', content: "I'm ready." }
+];
+
+describe('Usage Routes', () => {
+  const originalEnv = { ...process.env };
+  let provider: IMockLLMProvider;
+  let student: any;
+  let classmate: any;
+  let counselor: any;
+  let admin: any;
+  let organization: any;
+
+  const auth = (user: any) => ({ Authorization: `Bearer ${user._id.toString()}` });
+
+  const addUser = (email: string, role: string) => {
+    const user = { _id: new Types.ObjectId(), email, role, isActive: true };
+    (User as any).docs.push(user);
+    return user;
+  };
+
+  const addUsage = (userId: Types.ObjectId, costUsd: number, createdAt: Date = new Date()) => {
+    (LLMUsage as any).docs.push({
+      _id: new Types.ObjectId(),
+      userId,
+      organizationIds: [organization._id],
+      feature: 'chat',
+      provider: 'openai',
+      modelName: 'gpt-4',
+      promptTokens: 100,
+      completionTokens: 50,
+      totalTokens: 150,
+      costUsd,
+      createdAt
+    });
+  };
+
+  const chat = (user: any) => request(app)
+    .post('/api/chat/authenticated')
+    .set(auth(user))
+    .send({ messages });
+
+  beforeEach(() => {
+    collections.forEach(collection => { collection.docs.length = 0; });
+    provider = createMockProvider({ replies: ['Tell me about yourself.'] });
+    setLLMProvider(provider);
+
+    student = addUser('student@example.com', 'student');
+    classmate = addUser('classmate@example.com', 'student');
+    counselor = addUser('counselor@example.com', 'counselor');
+    admin = addUser('admin@example.com', 'admin');
+
+    organization = { _id: new Types.ObjectId(), name: 'Lincoln High', counselorIds: [counselor._id], isActive: true };
+    (Organization as any).docs.push(organization);
+    for (const user of [student, classmate]) {
+      (RosterMembership as any).docs.push({ organizationId: organization._id, studentId: user._id, status: 'active' });
+    }
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setLLMProvider(null);
+  });
+
+  describe('calculateCost', () => {
+    it('should price dated model names by prefix and apply LLM_MODEL_PRICES', () => {
+      const usage = { promptTokens: 1000, completionTokens: 500, totalTokens: 1500 };
+
+      expect(calculateCost({ model: 'gpt-4', ...usage })).toBe(0.06);
+      expect(calculateCost({ model: 'gpt-4o-2024-08-06', ...usage })).toBe(0.0075);
+      expect(calculateCost({ model: 'llama3', ...usage })).toBe(0);
+
+      process.env.LLM_MODEL_PRICES = JSON.stringify({ llama3: { prompt: 0.001, completion: 0.002 } });
+      expect(calculateCost({ model: 'llama3', ...usage })).toBe(0.002);
+    });
+  });
+
+  describe('GET /api/usage', () => {
+    it("should meter chat calls and report the month's usage", async () => {
+      await chat(student).expect(200);
+
+      const entry = (LLMUsage as any).docs[0];
+      expect(entry).toMatchObject({
+        userId: student._id,
+        organizationIds: [organization._id],
+        feature: 'chat',
+        provider: 'mock',
+        modelName: 'gpt-4'
+      });
+      expect(entry.costUsd).toBe(calculateCost({ model: 'gpt-4', ...entry }));
+
+      // Last month's usage is not counted
+      addUsage(student._id, 1, new Date(Date.UTC(2020, 0, 15)));
+
+      const response = await request(app).get('/api/usage').set(auth(student)).expect(200);
+
+      expect(response.body.usage.totals).toMatchObject({ calls: 1, totalTokens: entry.totalTokens, costUsd: entry.costUsd });
+      expect(response.body.usage.byFeature.chat.calls).toBe(1);
+      expect(response.body.usage.byModel['gpt-4'].calls).toBe(1);
+      expect(response.body.budget).toBeNull();
+
+      const january = await request(app).get('/api/usage?month=2020-01').set(auth(student)).expect(200);
+      expect(january.body.usage).toMatchObject({ month: '2020-01', totals: { calls: 1, costUsd: 1 } });
+
+      await request(app).get('/api/usage?month=January').set(auth(student)).expect(400);
+    });
+
+    it("should only show another user's usage to admins", async () => {
+      addUsage(student._id, 0.25);
+
+      await request(app).get(`/api/usage/users/${student._id}`).set(auth(counselor)).expect(403);
+
+      const response = await request(app).get(`/api/usage/users/${student._id}`).set(auth(admin)).expect(200);
+      expect(response.body.usage.totals.costUsd).toBe(0.25);
+    });
+  });
+
+  describe('GET /api/organizations/:organizationId/usage', () => {
+    it("should break down the organization's usage by student for its counselors", async () => {
+      addUsage(student._id, 0.1);
+      addUsage(classmate._id, 0.3);
+      addUsage(classmate._id, 0.2);
+      process.env.LLM_ORG_MONTHLY_BUDGET_USD = '2';
+
+      const response = await request(app)
+        .get(`/api/organizations/${organization._id}/usage`)
+        .set(auth(counselor))
+        .expect(200);
+
+      expect(response.body.usage.totals).toMatchObject({ calls: 3, costUsd: 0.6 });
+      expect(response.body.usage.byUser).toEqual([
+        expect.objectContaining({ userId: classmate._id.toString(), calls: 2, costUsd: 0.5 }),
+        expect.objectContaining({ userId: student._id.toString(), calls: 1, costUsd: 0.1 })
+      ]);
+      expect(response.body.budget).toMatchObject({ scope: 'organization', limitUsd: 2, usedUsd: 0.6, remainingUsd: 1.4, exceeded: false });
+
+      const otherCounselor = addUser('other@example.com', 'counselor');
+      await request(app).get(`/api/organizations/${organization._id}/usage`).set(auth(otherCounselor)).expect(403);
+    });
+  });
+
+  describe('Monthly budgets', () => {
+    it("should stop AI calls once the user's budget is used up", async () => {
+      process.env.LLM_USER_MONTHLY_BUDGET_USD = '0.5';
+      addUsage(student._id, 0.5);
+
+      const response = await chat(student).expect(403);
+
+      // Students learn whose allowance ran out and when, not the amounts
+      expect(response.body).toEqual({
+        error: 'Budget Exceeded',
+        message: expect.stringContaining('your AI practice allowance'),
+        code: 'LLM_BUDGET_EXCEEDED',
+        budget: { scope: 'user', resetsAt: expect.any(String) }
+      });
+      expect(new Date(response.body.budget.resetsAt).getUTCDate()).toBe(1);
+      expect(provider.requests).toHaveLength(0);
+
+      // Other students are unaffected
+      await chat(classmate).expect(200);
+    });
+
+    it("should stop AI calls for every student once the organization's budget is used up", async () => {
+      process.env.LLM_ORG_MONTHLY_BUDGET_USD = '1';
+      addUsage(classmate._id, 1.2);
+
+      const response = await chat(student).expect(403);
+
+      expect(response.body).toMatchObject({ code: 'LLM_BUDGET_EXCEEDED' });
+      expect(response.body.message).toContain('Your organization');
+      expect(response.body.budget).toEqual({ scope: 'organization', resetsAt: expect.any(String) });
+    });
+
+    it('should meter anonymous chat and stop it once the anonymous budget is used up', async () => {
+      await request(app).post('/api/chat').send({ messages }).expect(200);
+
+      const entry = (LLMUsage as any).docs[0];
+      expect(entry).toMatchObject({ anonymous: true, organizationIds: [], feature: 'chat' });
+      expect(entry.userId).toBeUndefined();
+
+      process.env.LLM_ANONYMOUS_MONTHLY_BUDGET_USD = String(entry.costUsd);
+
+      const response = await request(app).post('/api/chat').send({ messages }).expect(403);
+      expect(response.body).toMatchObject({ code: 'LLM_BUDGET_EXCEEDED' });
+      expect(response.body.budget).toEqual({ scope: 'anonymous', resetsAt: expect.any(String) });
+      expect(provider.requests).toHaveLength(1);
+
+      // Signed-in users keep their own budgets
+      await chat(student).expect(200);
+    });
+
+    it('should refuse AI calls while the budget cannot be checked', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.LLM_USER_MONTHLY_BUDGET_USD = '5';
+      process.env.LLM_ANONYMOUS_MONTHLY_BUDGET_USD = '5';
+
+      (LLMUsage as any).aggregate.mockRejectedValueOnce(new Error('connection lost'));
+      const signedIn = await chat(student).expect(503);
+      expect(signedIn.body).toMatchObject({ error: 'Service Unavailable', code: 'LLM_BUDGET_UNAVAILABLE' });
+
+      (LLMUsage as any).aggregate.mockRejectedValueOnce(new Error('connection lost'));
+      const anonymous = await request(app).post('/api/chat').send({ messages }).expect(503);
+      expect(anonymous.body.code).toBe('LLM_BUDGET_UNAVAILABLE');
+
+      expect(provider.requests).toHaveLength(0);
+      (console.error as jest.Mock).mockRestore();
+    });
+  });
+});
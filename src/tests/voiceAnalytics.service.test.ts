@@ -0,0 +1,175 @@
+/**
+ * Voice Analytics Service Tests
+ *
+ * Tests the persistent voice analytics store: events, errors and preferences
+ * are written to their collections, and the metrics built from aggregation
+ * results keep the /api/chat/voice-analytics response shape.
+ *
+ * Test Coverage:
+ * - Events stored with browser name and device type
+ * - Speech errors logged and resolved by their stored ID
+ * - Storage failures never fail the caller
+ * - Adoption, error and time-based metrics mapped from pipeline results
+ *
+ * Related Files:
+ * - src/services/voiceAnalytics.service.ts - Service being tested
+ * - src/models/VoiceAnalyticsEvent.ts - Voice event log
+ * - src/models/VoiceError.ts - Reported voice errors
+ * - src/models/VoicePreference.ts - Current voice preferences per user
+ */
+
+import { Types } from 'mongoose';
+
+jest.mock('../models/VoiceAnalyticsEvent', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/VoiceAnalyticsEvent'),
+  default: { ...require('./helpers/mockCollection').mockCollection(), aggregate: jest.fn() }
+}));
+
+jest.mock('../models/VoiceError', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/VoiceError'),
+  default: { ...require('./helpers/mockCollection').mockCollection(), aggregate: jest.fn() }
+}));
+
+jest.mock('../models/VoicePreference', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/VoicePreference'),
+  default: { ...require('./helpers/mockCollection').mockCollection(), aggregate: jest.fn() }
+}));
+
+import VoiceAnalyticsEvent from '../models/VoiceAnalyticsEvent';
+import VoiceError from '../models/VoiceError';
+import VoicePreference from '../models/VoicePreference';
+import {
+  recordVoiceEvent,
+  markVoiceErrorResolved,
+  getVoiceAdoptionMetrics,
+  getVoiceErrorMetrics,
+  getVoiceTimeBasedAnalytics
+} from '../services/voiceAnalytics.service';
+
+const events = VoiceAnalyticsEvent as any;
+const errors = VoiceError as any;
+const preferences = VoicePreference as any;
+
+describe('Voice Analytics Service', () => {
+  const userId = new Types.ObjectId();
+
+  beforeEach(() => {
+    [events, errors, preferences].forEach(collection => {
+      collection.docs.length = 0;
+      collection.aggregate.mockReset();
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordVoiceEvent', () => {
+    it('should store the event with its browser name and device type', async () => {
+      const recorded = await recordVoiceEvent(
+        userId.toString(), 'speech_attempt', { confidence: 0.9 }, 'Safari 17 Mobile', 'iPhone'
+      );
+
+      expect(events.docs).toHaveLength(1);
+      expect(events.docs[0]).toMatchObject({
+        event: 'speech_attempt',
+        data: { confidence: 0.9 },
+        browserInfo: 'Safari 17 Mobile',
+        deviceInfo: 'iPhone',
+        browser: 'Safari',
+        device: 'mobile'
+      });
+      expect(recorded).toEqual({ eventId: events.docs[0]._id.toString() });
+    });
+
+    it('should log speech errors and resolve them by the returned ID', async () => {
+      const recorded = await recordVoiceEvent(
+        userId.toString(),
+        'speech_error',
+        { error: { errorType: 'not-allowed', errorMessage: 'Permission denied' } },
+        'Firefox 121'
+      );
+
+      expect(errors.docs).toHaveLength(1);
+      expect(errors.docs[0]).toMatchObject({ errorType: 'not-allowed', browser: 'Firefox', device: 'desktop', resolved: false });
+      expect(recorded?.errorId).toBe(errors.docs[0]._id.toString());
+
+      expect(await markVoiceErrorResolved(recorded!.errorId!, 'Microphone allowed')).toBe(true);
+      expect(errors.docs[0]).toMatchObject({ resolved: true, resolution: 'Microphone allowed' });
+      expect(await markVoiceErrorResolved(recorded!.errorId!, 'Again')).toBe(false);
+      expect(await markVoiceErrorResolved('not-an-id', 'Nothing')).toBe(false);
+    });
+
+    it('should return null instead of throwing when storage fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      events.create.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(recordVoiceEvent(userId.toString(), 'voice_enabled', {})).resolves.toBeNull();
+    });
+  });
+
+  describe('metrics', () => {
+    it('should derive adoption rates from the aggregated user totals', async () => {
+      events.aggregate.mockResolvedValueOnce([{
+        totalUsers: 4,
+        voiceEnabledUsers: 3,
+        newAdopters: 2,
+        totalSessions: 5,
+        usersWithSessions: 3,
+        firstHalfUsers: 3,
+        retainedUsers: 2
+      }]);
+
+      expect(await getVoiceAdoptionMetrics()).toEqual({
+        totalUsers: 4,
+        voiceEnabledUsers: 3,
+        adoptionRate: 75,
+        newAdoptersThisPeriod: 2,
+        averageSessionsPerUser: 1.67,
+        retentionRate: 66.67
+      });
+
+      events.aggregate.mockResolvedValueOnce([]);
+      expect((await getVoiceAdoptionMetrics()).totalUsers).toBe(0);
+    });
+
+    it('should map error facets into counts, trends and the resolution rate', async () => {
+      errors.aggregate.mockResolvedValueOnce([{
+        byType: [{ _id: 'not-allowed', count: 3 }, { _id: 'network', count: 1 }],
+        byBrowser: [{ _id: 'Chrome', count: 4 }],
+        byDevice: [{ _id: 'desktop', count: 4 }],
+        trends: [{ _id: { date: '2024-06-01', errorType: 'network' }, count: 1 }],
+        resolution: [{ _id: null, total: 8, resolved: 2 }]
+      }]);
+
+      const metrics = await getVoiceErrorMetrics();
+
+      expect(metrics).toMatchObject({
+        totalErrors: 4,
+        errorsByType: { 'not-allowed': 3, network: 1 },
+        errorsByBrowser: { Chrome: 4 },
+        errorsByDevice: { desktop: 4 },
+        resolutionRate: 25
+      });
+      expect(metrics.errorTrends).toEqual([{ date: new Date('2024-06-01'), errorCount: 1, errorType: 'network' }]);
+    });
+
+    it('should fill periods without events in time-based analytics', async () => {
+      events.aggregate.mockResolvedValueOnce([
+        { _id: 2, voiceSessions: 1, speechAttempts: 4, speechSuccesses: 3, errors: 1, users: [userId] }
+      ]);
+
+      const analytics = await getVoiceTimeBasedAnalytics('day', 3);
+
+      expect(analytics.period).toBe('day');
+      expect(analytics.data).toHaveLength(3);
+      expect(analytics.data[0]).toMatchObject({ voiceSessions: 0, speechAttempts: 0, uniqueUsers: 0 });
+      expect(analytics.data[2]).toMatchObject({ voiceSessions: 1, speechAttempts: 4, speechSuccesses: 3, errors: 1, uniqueUsers: 1 });
+      expect(analytics.data[2]!.timestamp.getTime() - analytics.data[1]!.timestamp.getTime()).toBe(24 * 60 * 60 * 1000);
+    });
+  });
+});
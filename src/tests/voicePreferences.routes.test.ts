@@ -0,0 +1,174 @@
+/**
+ * Voice Preference Routes Tests
+ *
+ * Tests the stored voice preferences that follow a user across devices.
+ *
+ * Test Coverage:
+ * - GET /api/chat/voice-preferences - Defaults and stored values
+ * - PUT /api/chat/voice-preferences - Partial updates, resets and validation
+ * - store_preferences action of POST /api/chat/voice-process
+ * - Realtime event and analytics event for every change
+ *
+ * Related Files:
+ * - src/routes/chat.routes.ts - Routes being tested
+ * - src/services/voicePreference.service.ts - Validation and storage
+ * - src/models/VoicePreference.ts - Voice preference model
+ */
+
+import request from 'supertest';
+import app from '../index';
+import { Types } from 'mongoose';
+
+jest.mock('../models/User', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/User'),
+  default: require('./helpers/mockCollection').mockCollection(() => ({ isActive: true }))
+}));
+
+jest.mock('../models/VoicePreference', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/VoicePreference'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+jest.mock('../models/VoiceAnalyticsEvent', () => ({
+  __esModule: true,
+  ...jest.requireActual('../models/VoiceAnalyticsEvent'),
+  default: require('./helpers/mockCollection').mockCollection()
+}));
+
+// Authenticate requests as the user whose ID is sent as the bearer token
+jest.mock('../middleware/auth', () => {
+  const actual = jest.requireActual('../middleware/auth');
+  const User = require('../models/User').default;
+
+  return {
+    __esModule: true,
+    ...actual,
+    authenticateToken: jest.fn((req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = User.docs.find((entry: any) => String(entry._id) === token);
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      }
+      req.user = user;
+      next();
+    })
+  };
+});
+
+import User from '../models/User';
+import VoicePreference from '../models/VoicePreference';
+import VoiceAnalyticsEvent from '../models/VoiceAnalyticsEvent';
+import * as realtime from '../services/realtime.service';
+
+describe('Voice Preference Routes', () => {
+  let user: any;
+  let publishSpy: jest.SpyInstance;
+
+  const auth = () => ({ Authorization: `Bearer ${user._id.toString()}` });
+
+  beforeEach(() => {
+    [User, VoicePreference, VoiceAnalyticsEvent].forEach(collection => { (collection as any).docs.length = 0; });
+    user = (User as any).docs[(User as any).docs.push({ _id: new Types.ObjectId(), email: 'student@example.com', role: 'student' }) - 1];
+    publishSpy = jest.spyOn(realtime, 'publishToUser').mockReturnValue(0);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/chat/voice-preferences', () => {
+    it('should return the defaults until preferences are saved', async () => {
+      const response = await request(app)
+        .get('/api/chat/voice-preferences')
+        .set(auth())
+        .expect(200);
+
+      expect(response.body.preferences).toEqual({
+        voiceEnabled: false,
+        selectedVoice: null,
+        speechRate: 1.0,
+        speechVolume: 0.8,
+        microphoneSensitivity: 0.3,
+        autoPlayResponses: true,
+        voiceGender: 'female',
+        voiceLanguage: 'en-US',
+        updatedAt: null
+      });
+    });
+
+    it('should require authentication', async () => {
+      await request(app).get('/api/chat/voice-preferences').expect(401);
+    });
+  });
+
+  describe('PUT /api/chat/voice-preferences', () => {
+    it('should store only the fields sent and push them to the user\'s other sessions', async () => {
+      const response = await request(app)
+        .put('/api/chat/voice-preferences')
+        .set(auth())
+        .send({ selectedVoice: 'Samantha', speechRate: 1.4, microphoneSensitivity: 0.6, autoPlayResponses: false })
+        .expect(200);
+
+      expect(response.body.preferences).toMatchObject({
+        selectedVoice: 'Samantha',
+        speechRate: 1.4,
+        speechVolume: 0.8,
+        microphoneSensitivity: 0.6,
+        autoPlayResponses: false
+      });
+      expect(response.body.preferences.updatedAt).toEqual(expect.any(String));
+      expect(publishSpy).toHaveBeenCalledWith(user._id.toString(), 'voice.preferences', response.body.preferences);
+      expect((VoiceAnalyticsEvent as any).docs).toContainEqual(expect.objectContaining({ event: 'preference_change' }));
+
+      await request(app)
+        .put('/api/chat/voice-preferences')
+        .set(auth())
+        .send({ speechVolume: 0.5, selectedVoice: null })
+        .expect(200);
+
+      const stored = await request(app)
+        .get('/api/chat/voice-preferences')
+        .set(auth())
+        .expect(200);
+
+      expect((VoicePreference as any).docs).toHaveLength(1);
+      expect(stored.body.preferences).toMatchObject({ selectedVoice: null, speechRate: 1.4, speechVolume: 0.5 });
+    });
+
+    it('should reject invalid values and unknown fields without storing anything', async () => {
+      const response = await request(app)
+        .put('/api/chat/voice-preferences')
+        .set(auth())
+        .send({ speechRate: 3, voiceGender: 'robot', pitch: 1.2 })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid voice preferences');
+      expect(response.body.details).toEqual([
+        'Unknown voice preference fields: pitch',
+        'speechRate must be a number from 0.5 to 2.0',
+        'voiceGender must be one of: male, female, neutral'
+      ]);
+
+      await request(app).put('/api/chat/voice-preferences').set(auth()).send({}).expect(400);
+      expect((VoicePreference as any).docs).toHaveLength(0);
+      expect(publishSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/chat/voice-process store_preferences', () => {
+    it('should store the valid preferences and leave out the rest', async () => {
+      const response = await request(app)
+        .post('/api/chat/voice-process')
+        .set(auth())
+        .send({ action: 'store_preferences', data: { preferences: { voiceEnabled: true, speechVolume: 4 } } })
+        .expect(200);
+
+      expect(response.body.preferences).toEqual({ voiceEnabled: true });
+      expect((VoicePreference as any).docs[0]).toMatchObject({ voiceEnabled: true });
+      expect((VoicePreference as any).docs[0].speechVolume).toBeUndefined();
+    });
+  });
+});